@@ -0,0 +1,79 @@
+// api-errors.js - The error envelope shared by every API route
+// Failed requests answer with
+//   { success: false, error, code, requestId, details? }
+// where `error` is a readable message, `code` a stable machine-readable
+// code, `requestId` matches the X-Request-Id response header and the server
+// log, and `details` lists field-level problems for VALIDATION_FAILED.
+
+// An error whose status and code are known where it is thrown
+class ApiError extends Error {
+  constructor(status, code, message, details = null) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// A request that doesn't match its route's schema; `details` holds one
+// { location, field, message } per problem
+class ValidationError extends ApiError {
+  constructor(details) {
+    super(400, 'VALIDATION_FAILED', `Invalid request: ${details.map(d => `${d.field} ${d.message}`).join('; ')}`, details);
+    this.name = 'ValidationError';
+  }
+}
+
+// Storage and services report failures as Error('<Thing> not found') and
+// the like; these are mapped by message
+const MESSAGE_RULES = [
+  { pattern: /^(Username|Password) must/, status: 400, code: 'VALIDATION_FAILED' },
+  { pattern: /^Invalid username or password$/, status: 401, code: 'INVALID_CREDENTIALS' },
+  { pattern: /^Registration is disabled$/, status: 403, code: 'REGISTRATION_DISABLED' },
+  { pattern: /not found/, status: 404, code: 'NOT_FOUND' },
+  { pattern: /already (exists|taken|running|pending)$/, status: 409, code: 'CONFLICT' },
+  { pattern: /^Invalid backup/, status: 422, code: 'INVALID_BACKUP' }
+];
+
+// Errors raised by express.json() before a route runs
+const BODY_PARSER_ERRORS = {
+  'entity.parse.failed': { status: 400, code: 'INVALID_JSON', message: 'Request body is not valid JSON' },
+  'entity.too.large': { status: 413, code: 'PAYLOAD_TOO_LARGE', message: 'Request body is too large' },
+  'encoding.unsupported': { status: 415, code: 'UNSUPPORTED_ENCODING', message: 'Request body encoding is not supported' }
+};
+
+// { status, code, message, details } for any error. Anything unrecognised
+// is a 500 whose message is not passed on to the client.
+function describeError(error) {
+  if (error instanceof ApiError) {
+    return { status: error.status, code: error.code, message: error.message, details: error.details };
+  }
+  if (error && BODY_PARSER_ERRORS[error.type]) {
+    return { ...BODY_PARSER_ERRORS[error.type], details: null };
+  }
+
+  const message = error && typeof error.message === 'string' ? error.message : '';
+  const rule = MESSAGE_RULES.find(r => r.pattern.test(message));
+  if (rule) {
+    return { status: rule.status, code: rule.code, message, details: null };
+  }
+  return { status: 500, code: 'INTERNAL_ERROR', message: 'Internal server error', details: null };
+}
+
+function errorBody({ code, message, details }, requestId = null) {
+  return {
+    success: false,
+    error: message,
+    code,
+    requestId,
+    ...(details ? { details } : {})
+  };
+}
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  describeError,
+  errorBody
+};
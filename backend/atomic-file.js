@@ -0,0 +1,80 @@
+// atomic-file.js - Crash-safe file helpers for the local JSON store
+// Writes go to a temp file that is fsynced and renamed into place, so a
+// reader never sees a half-written file
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Write data to file atomically. With keepPrevious, the file being replaced
+// is kept as `${file}.bak` (a hard link, so no extra copy is made) to serve
+// as the last good snapshot if the new one is ever found corrupt.
+async function writeFileAtomic(file, data, { keepPrevious = false } = {}) {
+  const tmpFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+  const handle = await fs.open(tmpFile, 'w');
+  try {
+    await handle.writeFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+
+  try {
+    if (keepPrevious) {
+      await keepPreviousVersion(file);
+    }
+    await fs.rename(tmpFile, file);
+  } catch (error) {
+    await fs.unlink(tmpFile).catch(() => {});
+    throw error;
+  }
+
+  await syncDirectory(path.dirname(file));
+}
+
+// Append data and fsync before returning, so the bytes survive a crash
+async function appendFileDurable(file, data) {
+  const handle = await fs.open(file, 'a');
+  try {
+    await handle.appendFile(data);
+    await handle.sync();
+  } finally {
+    await handle.close();
+  }
+}
+
+async function keepPreviousVersion(file) {
+  const previousFile = `${file}.bak`;
+
+  await fs.unlink(previousFile).catch(ignoreMissing);
+  try {
+    await fs.link(file, previousFile);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    // Some filesystems don't support hard links
+    await fs.copyFile(file, previousFile);
+  }
+}
+
+// Persist the rename itself; not supported on every platform, so best effort
+async function syncDirectory(dir) {
+  let handle;
+  try {
+    handle = await fs.open(dir, 'r');
+    await handle.sync();
+  } catch (error) {
+    // Ignore: directory fsync is unavailable on Windows
+  } finally {
+    if (handle) await handle.close();
+  }
+}
+
+function ignoreMissing(error) {
+  if (error.code !== 'ENOENT') throw error;
+}
+
+module.exports = {
+  writeFileAtomic,
+  appendFileDurable
+};
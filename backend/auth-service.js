@@ -0,0 +1,308 @@
+// auth-service.js - User accounts, session tokens and API tokens
+// Accounts live in auth.json next to the data (in memory for the 'memory'
+// storage). Passwords are hashed with scrypt. Clients authenticate with
+// either a signed session token from /api/auth/login or a long-lived API
+// token; both are sent as "Authorization: Bearer <token>".
+//
+// Session tokens are `<payload>.<signature>`: base64url JSON { sub, iat, exp }
+// signed with HMAC-SHA256. API tokens are random and only their SHA-256 hash
+// is stored, so a leaked auth.json does not leak usable tokens.
+
+const crypto = require('crypto');
+const { JsonFileStore } = require('./json-file-store');
+
+const DEFAULT_SESSION_TTL_HOURS = 24 * 7;
+const API_TOKEN_PREFIX = 'prisma_';
+const USERNAME_PATTERN = /^[a-zA-Z0-9_.-]{3,40}$/;
+const MIN_PASSWORD_LENGTH = 8;
+const SCRYPT_KEY_LENGTH = 64;
+
+class AuthService {
+  constructor({
+    file = null,
+    secret = process.env.AUTH_SECRET || null,
+    sessionTtlHours = parseFloat(process.env.AUTH_SESSION_TTL_HOURS) || DEFAULT_SESSION_TTL_HOURS,
+    allowRegistration = process.env.AUTH_ALLOW_REGISTRATION !== 'false',
+    adminUsername = process.env.ADMIN_USERNAME || null
+  } = {}) {
+    this.secret = secret;
+    this.sessionTtlMs = sessionTtlHours * 60 * 60 * 1000;
+    this.allowRegistration = allowRegistration;
+    this.adminUsername = adminUsername;
+
+    this.users = [];
+    // The secret is only stored when it was generated here
+    this.store = new JsonFileStore(file, () => ({ secret: process.env.AUTH_SECRET ? undefined : this.secret, users: this.users }));
+  }
+
+  // Load auth.json once; without AUTH_SECRET a secret is generated and kept
+  // in the file so sessions survive a restart
+  async init() {
+    return this.store.load(async state => {
+      this.users = state.users || [];
+      if (!this.secret) {
+        this.secret = state.secret || crypto.randomBytes(32).toString('hex');
+        if (!state.secret) await this.store.save();
+      }
+    });
+  }
+
+  // Accounts
+  // The admin routes need the admin role, which is never given out by
+  // itself: it goes to the account registered as ADMIN_USERNAME, or to one
+  // named with grant-admin.js. Device accounts are never admins.
+  async register(username, password) {
+    await this.init();
+
+    if (!this.allowRegistration) {
+      throw new Error('Registration is disabled');
+    }
+    if (!USERNAME_PATTERN.test(username || '')) {
+      throw new Error('Username must be 3-40 letters, digits, dots, dashes or underscores');
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+    if (this.findByUsername(username)) {
+      throw new Error('Username already taken');
+    }
+
+    const passwordHash = await hashPassword(password);
+    // Checked again now that hashing is done, as another registration may
+    // have taken the name meanwhile
+    if (this.findByUsername(username)) {
+      throw new Error('Username already taken');
+    }
+    const user = this.newUser(username, this.isAdminUsername(username) ? 'admin' : 'user');
+    user.password_hash = passwordHash;
+    this.users.push(user);
+    await this.store.save();
+
+    console.log(`[Auth] Registered user: ${user.username} (${user.role})`);
+    return user;
+  }
+
+  // An account without a password for a client that can't prompt for one
+  // (the browser extension); it signs in with the API token it is issued
+  async registerDevice(name = 'device') {
+    await this.init();
+
+    if (!this.allowRegistration) {
+      throw new Error('Registration is disabled');
+    }
+
+    const user = this.newUser(`device_${crypto.randomBytes(6).toString('hex')}`, 'user');
+    this.users.push(user);
+    const token = await this.createApiToken(user.id, name);
+
+    console.log(`[Auth] Registered device: ${user.username}`);
+    return { user, token };
+  }
+
+  isAdminUsername(username) {
+    return Boolean(this.adminUsername) && username.toLowerCase() === this.adminUsername.toLowerCase();
+  }
+
+  // Give an account with a password the admin role, or take it away
+  async setRole(username, role) {
+    await this.init();
+
+    const user = this.findByUsername(username);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    if (role === 'admin' && !user.password_hash) {
+      throw new Error('Device accounts cannot be admins');
+    }
+    user.role = role;
+    await this.store.save();
+    return user;
+  }
+
+  newUser(username, role) {
+    return {
+      id: `user_${crypto.randomUUID()}`,
+      username,
+      role,
+      password_hash: null,
+      api_tokens: [],
+      sessions_revoked_at: null,
+      created_at: new Date().toISOString()
+    };
+  }
+
+  async login(username, password) {
+    await this.init();
+
+    const user = this.findByUsername(username);
+    if (!user || !user.password_hash || !(await verifyPassword(password || '', user.password_hash))) {
+      throw new Error('Invalid username or password');
+    }
+    return { user, ...this.createSession(user) };
+  }
+
+  // Invalidates every session token issued to the user so far
+  async logout(userId) {
+    await this.init();
+
+    const user = this.getUser(userId);
+    user.sessions_revoked_at = new Date().toISOString();
+    await this.store.save();
+  }
+
+  getUser(userId) {
+    const user = this.users.find(u => u.id === userId);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return user;
+  }
+
+  findByUsername(username) {
+    const wanted = String(username || '').toLowerCase();
+    return this.users.find(u => u.username.toLowerCase() === wanted) || null;
+  }
+
+  // Sessions
+  // Issued strictly after the last logout, so a login in the same
+  // millisecond still gets a working token
+  createSession(user, now = Date.now()) {
+    const revokedAt = user.sessions_revoked_at ? new Date(user.sessions_revoked_at).getTime() : 0;
+    const iat = Math.max(now, revokedAt + 1);
+    const payload = { sub: user.id, iat, exp: iat + this.sessionTtlMs };
+    const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return { token: `${encoded}.${this.sign(encoded)}`, expiresAt: new Date(payload.exp).toISOString() };
+  }
+
+  sign(encoded) {
+    return crypto.createHmac('sha256', this.secret).update(encoded).digest('base64url');
+  }
+
+  // API tokens. The plain token is only returned here, when it is created.
+  async createApiToken(userId, name = 'api') {
+    await this.init();
+
+    const user = this.getUser(userId);
+    const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+    const record = {
+      id: crypto.randomUUID(),
+      name: String(name).slice(0, 100),
+      hash: hashToken(token),
+      created_at: new Date().toISOString(),
+      last_used_at: null
+    };
+    user.api_tokens.push(record);
+    await this.store.save();
+
+    return { ...publicToken(record), token };
+  }
+
+  listApiTokens(userId) {
+    return this.getUser(userId).api_tokens.map(publicToken);
+  }
+
+  async revokeApiToken(userId, tokenId) {
+    await this.init();
+
+    const user = this.getUser(userId);
+    const index = user.api_tokens.findIndex(t => t.id === tokenId);
+    if (index === -1) {
+      throw new Error('Token not found');
+    }
+    user.api_tokens.splice(index, 1);
+    await this.store.save();
+  }
+
+  // The account a bearer token belongs to, or Error('Invalid token')
+  async verify(token, now = Date.now()) {
+    await this.init();
+
+    if (typeof token !== 'string' || token.length === 0) {
+      throw new Error('Invalid token');
+    }
+    return token.startsWith(API_TOKEN_PREFIX) ? this.verifyApiToken(token, now) : this.verifySession(token, now);
+  }
+
+  verifySession(token, now) {
+    const [encoded, signature, extra] = token.split('.');
+    if (!encoded || !signature || extra !== undefined || !safeEqual(signature, this.sign(encoded))) {
+      throw new Error('Invalid token');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+    } catch (error) {
+      throw new Error('Invalid token');
+    }
+
+    const user = this.users.find(u => u.id === payload.sub);
+    const revokedAt = user && user.sessions_revoked_at ? new Date(user.sessions_revoked_at).getTime() : 0;
+    if (!user || !(payload.exp > now) || payload.iat <= revokedAt) {
+      throw new Error('Invalid token');
+    }
+    return user;
+  }
+
+  verifyApiToken(token, now) {
+    const hash = hashToken(token);
+    for (const user of this.users) {
+      const record = user.api_tokens.find(t => safeEqual(t.hash, hash));
+      if (record) {
+        // Only kept in memory until the next save, so a busy token doesn't
+        // rewrite auth.json on every request
+        record.last_used_at = new Date(now).toISOString();
+        return user;
+      }
+    }
+    throw new Error('Invalid token');
+  }
+}
+
+// What clients see of an account
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    has_password: !!user.password_hash,
+    created_at: user.created_at
+  };
+}
+
+function publicToken(record) {
+  return { id: record.id, name: record.name, created_at: record.created_at, last_used_at: record.last_used_at };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+function scrypt(password, salt) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, key) => (error ? reject(error) : resolve(key)));
+  });
+}
+
+// Stored as scrypt$<salt>$<key>, both hex
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt$${salt}$${(await scrypt(password, salt)).toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, key] = stored.split('$');
+  if (scheme !== 'scrypt' || !salt || !key) return false;
+  return safeEqual((await scrypt(password, salt)).toString('hex'), key);
+}
+
+module.exports = {
+  AuthService,
+  publicUser
+};
@@ -0,0 +1,327 @@
+// backup-manager.js - Backups of the whole store: create, list, validate, restore and prune
+// Backups are JSON files named backup_<timestamp>.json in the data directory
+// (kept in memory for the 'memory' storage) and are only ever addressed by
+// their id, the file name without .json. Each one records a SHA-256 checksum
+// of its contents, which is checked with the layout before anything is
+// restored. Backups also record the schema version of their records, and
+// older ones are upgraded before they are restored. After every new backup,
+// older ones outside the retention policy are deleted.
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./atomic-file');
+const { SCHEMA_VERSION, migrateData, validateData } = require('./data-schema');
+
+const BACKUP_FORMAT = 'prisma-backup';
+const BACKUP_VERSION = 1;
+const BACKUP_ID_PATTERN = /^backup_\d+$/;
+
+// A backup's contents, in the order they are checksummed
+const PAYLOAD_KEYS = ['memories', 'notes', 'mindmap', 'revisions', 'mastery', 'flashcards'];
+
+// Keep the newest 10 backups, plus the newest of each of the last 7 days and
+// the last 4 weeks that have one
+const DEFAULT_RETENTION = { last: 10, daily: 7, weekly: 4 };
+
+class BackupManager {
+  constructor({ storage, dir = null, retention = retentionFromEnv() }) {
+    this.storage = storage;
+    this.dir = dir;
+    this.retention = retention;
+
+    // Backups of the 'memory' storage, by id
+    this.backups = new Map();
+    this.timer = null;
+  }
+
+  async create({ kind = 'manual' } = {}) {
+    const data = await this.storage.exportData();
+    const payload = Object.fromEntries(PAYLOAD_KEYS.map(key => [key, data[key]]));
+    const backup = {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schema_version: SCHEMA_VERSION,
+      timestamp: new Date().toISOString(),
+      kind,
+      checksum: checksum(payload),
+      ...payload
+    };
+
+    const id = await this.nextId();
+    const contents = JSON.stringify(backup, null, 2);
+    if (this.dir) {
+      await fs.mkdir(this.dir, { recursive: true });
+      await writeFileAtomic(this.file(id), contents);
+    } else {
+      this.backups.set(id, contents);
+    }
+    console.log(`[Backup] Created ${id} (${kind})`);
+
+    await this.prune();
+    return summarize(id, backup, Buffer.byteLength(contents));
+  }
+
+  // Ids come from the clock and always sort after the existing ones, even
+  // for backups made in the same millisecond
+  async nextId() {
+    const newest = Math.max(0, ...(await this.ids()).map(stampOf));
+    return `backup_${Math.max(Date.now(), newest + 1)}`;
+  }
+
+  async ids() {
+    if (!this.dir) {
+      return [...this.backups.keys()];
+    }
+    try {
+      return (await fs.readdir(this.dir))
+        .filter(name => name.endsWith('.json') && BACKUP_ID_PATTERN.test(name.slice(0, -5)))
+        .map(name => name.slice(0, -5));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  // Every backup, newest first. A backup that can't be read or fails
+  // validation is still listed, with the reason in `error`.
+  async list() {
+    const summaries = [];
+    for (const id of await this.ids()) {
+      summaries.push(await this.get(id));
+    }
+    return summaries.sort((a, b) => stampOf(b.id) - stampOf(a.id));
+  }
+
+  async get(id) {
+    const contents = await this.read(id);
+    try {
+      const backup = JSON.parse(contents);
+      validateBackup(backup);
+      return summarize(id, backup, Buffer.byteLength(contents));
+    } catch (error) {
+      return { id, created_at: new Date(stampOf(id)).toISOString(), size: Buffer.byteLength(contents), valid: false, error: error.message };
+    }
+  }
+
+  // The backup file as stored, for downloading
+  async read(id) {
+    if (typeof id !== 'string' || !BACKUP_ID_PATTERN.test(id)) {
+      throw new Error('Backup not found');
+    }
+    if (!this.dir) {
+      if (!this.backups.has(id)) throw new Error('Backup not found');
+      return this.backups.get(id);
+    }
+    try {
+      return await fs.readFile(this.file(id), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new Error('Backup not found');
+      throw error;
+    }
+  }
+
+  // The parsed backup with its records upgraded to the current schema
+  // version, or Error('Invalid backup: ...') when it is damaged
+  async load(id) {
+    const contents = await this.read(id);
+    let backup;
+    try {
+      backup = JSON.parse(contents);
+    } catch (error) {
+      throw new Error('Invalid backup: not valid JSON');
+    }
+    return { ...backup, ...validateBackup(backup) };
+  }
+
+  async delete(id) {
+    await this.read(id);
+    if (this.dir) {
+      await fs.unlink(this.file(id));
+    } else {
+      this.backups.delete(id);
+    }
+    console.log(`[Backup] Deleted ${id}`);
+  }
+
+  // Replace the store with a backup, or with only userId's records from it.
+  // The current state is backed up first so the restore can be undone.
+  async restore(id, { userId = null } = {}) {
+    const backup = await this.load(id);
+    if (userId !== null && !hasUser(backup, userId)) {
+      throw new Error('User not found in backup');
+    }
+
+    const safety = await this.create({ kind: 'pre-restore' });
+    await this.storage.importData(backup, { userId });
+    console.log(`[Backup] Restored ${id}${userId ? ` for user ${userId}` : ''}`);
+
+    return { backup: summarize(id, backup), safetyBackup: safety.id };
+  }
+
+  // Delete the backups outside the retention policy; returns their ids
+  async prune() {
+    const { last, daily, weekly } = this.retention;
+    if (last + daily + weekly === 0) return [];
+
+    const ids = await this.ids();
+    const keep = selectRetained(ids.map(id => ({ id, created_at: new Date(stampOf(id)) })), this.retention);
+    const expired = ids.filter(id => !keep.has(id));
+    for (const id of expired) {
+      await this.delete(id);
+    }
+    return expired;
+  }
+
+  schedule(intervalMs) {
+    this.stop();
+    this.timer = setInterval(() => {
+      this.create({ kind: 'scheduled' }).catch(error => console.error('[Backup] Scheduled backup failed:', error));
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  file(id) {
+    return path.join(this.dir, `${id}.json`);
+  }
+}
+
+function retentionFromEnv() {
+  const read = (name, fallback) => (process.env[name] !== undefined ? Math.max(0, parseInt(process.env[name], 10) || 0) : fallback);
+  return {
+    last: read('BACKUP_KEEP_LAST', DEFAULT_RETENTION.last),
+    daily: read('BACKUP_KEEP_DAILY', DEFAULT_RETENTION.daily),
+    weekly: read('BACKUP_KEEP_WEEKLY', DEFAULT_RETENTION.weekly)
+  };
+}
+
+function stampOf(id) {
+  return parseInt(id.slice('backup_'.length), 10);
+}
+
+function checksum(payload) {
+  return 'sha256:' + crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+function summarize(id, backup, size = null) {
+  const mindmap = backup.mindmap || { nodes: [], edges: [] };
+  return {
+    id,
+    created_at: backup.timestamp || new Date(stampOf(id)).toISOString(),
+    kind: backup.kind || 'manual',
+    schema_version: backup.schema_version || 0,
+    size,
+    checksum: backup.checksum || null,
+    counts: {
+      memories: backup.memories.length,
+      notes: backup.notes.length,
+      nodes: mindmap.nodes.length,
+      edges: mindmap.edges.length,
+      revisions: backup.revisions ? backup.revisions.length : 0,
+      mastery: backup.mastery ? backup.mastery.length : 0,
+      cards: backup.flashcards ? backup.flashcards.cards.length : 0,
+      reviews: backup.flashcards ? backup.flashcards.reviews.length : 0
+    },
+    valid: true
+  };
+}
+
+function hasUser(backup, userId) {
+  const mindmap = backup.mindmap || { nodes: [], edges: [] };
+  const flashcards = backup.flashcards || { cards: [], reviews: [] };
+  return [backup.memories, backup.notes, mindmap.nodes, mindmap.edges, backup.revisions || [], backup.mastery || [], flashcards.cards, flashcards.reviews]
+    .some(records => records.some(record => record.user_id === userId));
+}
+
+// Throws Error('Invalid backup: ...') unless `backup` has the layout written
+// by create() and its checksum matches. Backups made before checksums were
+// recorded are accepted on their layout alone. Records are checked after
+// upgrading them to the current schema version, and the upgraded
+// collections are returned.
+function validateBackup(backup) {
+  const fail = reason => {
+    throw new Error(`Invalid backup: ${reason}`);
+  };
+
+  if (!backup || typeof backup !== 'object' || Array.isArray(backup)) fail('not an object');
+  if (backup.format !== undefined && backup.format !== BACKUP_FORMAT) fail(`unknown format ${backup.format}`);
+  if (backup.version !== undefined && !(backup.version <= BACKUP_VERSION)) fail(`version ${backup.version} is newer than this server supports`);
+  if (backup.schema_version !== undefined && !(backup.schema_version <= SCHEMA_VERSION)) fail(`schema version ${backup.schema_version} is newer than this server supports`);
+
+  const mindmap = backup.mindmap === undefined ? { nodes: [], edges: [] } : backup.mindmap;
+  if (!mindmap || typeof mindmap !== 'object') fail('mindmap must be an object');
+  const flashcards = backup.flashcards === undefined ? { cards: [], reviews: [] } : backup.flashcards;
+  if (!flashcards || typeof flashcards !== 'object') fail('flashcards must be an object');
+
+  const layout = {
+    memories: backup.memories,
+    notes: backup.notes,
+    'mindmap.nodes': mindmap.nodes,
+    'mindmap.edges': mindmap.edges,
+    revisions: backup.revisions === undefined ? [] : backup.revisions,
+    mastery: backup.mastery === undefined ? [] : backup.mastery,
+    'flashcards.cards': flashcards.cards,
+    'flashcards.reviews': flashcards.reviews
+  };
+  for (const [name, records] of Object.entries(layout)) {
+    if (!Array.isArray(records)) fail(`${name} must be an array`);
+  }
+
+  let migrated;
+  try {
+    ({ data: migrated } = migrateData({ memories: backup.memories, notes: backup.notes, mindmap, revisions: backup.revisions, mastery: backup.mastery, flashcards: backup.flashcards }, backup.schema_version || 0));
+  } catch (error) {
+    fail(error.message);
+  }
+
+  const { problems } = validateData(migrated);
+  if (problems.length) fail(problems[0].reason);
+
+  if (backup.checksum !== undefined) {
+    // Contents a backup doesn't have drop out, as they did when it was made
+    const expected = checksum(Object.fromEntries(PAYLOAD_KEYS.map(key => [key, backup[key]])));
+    if (backup.checksum !== expected) fail('checksum does not match its contents');
+  }
+
+  return migrated;
+}
+
+// Ids of the backups a retention policy keeps: the newest `last`, and the
+// newest backup of each of the most recent `daily` days and `weekly` weeks
+// (UTC, weeks starting on Monday) that have one
+function selectRetained(backups, { last = 0, daily = 0, weekly = 0 } = {}) {
+  const newestFirst = [...backups].sort((a, b) => b.created_at - a.created_at);
+  const keep = new Set(newestFirst.slice(0, last).map(b => b.id));
+
+  const keepNewestPer = (bucketOf, count) => {
+    const buckets = new Set();
+    for (const backup of newestFirst) {
+      const bucket = bucketOf(backup.created_at);
+      if (buckets.has(bucket)) continue;
+      if (buckets.size === count) break;
+      buckets.add(bucket);
+      keep.add(backup.id);
+    }
+  };
+
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  keepNewestPer(date => Math.floor(date.getTime() / DAY_MS), daily);
+  // 1970-01-01 was a Thursday, so shifting by 3 days starts weeks on Monday
+  keepNewestPer(date => Math.floor((date.getTime() / DAY_MS + 3) / 7), weekly);
+
+  return keep;
+}
+
+module.exports = {
+  BackupManager,
+  BACKUP_ID_PATTERN,
+  validateBackup,
+  selectRetained
+};
@@ -0,0 +1,157 @@
+// chat-sessions.js - Persistent chat conversations
+// Each user has any number of sessions, each an ordered list of user and
+// assistant messages. Assistant messages keep the memories and notes that
+// were retrieved for them as `citations`. Sessions live in chats.json next
+// to the data (in memory for the 'memory' storage), so the web chat page and
+// the extension's sidebar share the same threads.
+
+const crypto = require('crypto');
+const { JsonFileStore } = require('./json-file-store');
+
+const MESSAGE_ROLES = ['user', 'assistant'];
+
+// Untitled sessions are named after the start of their first question
+const TITLE_LENGTH = 60;
+
+class ChatSessions {
+  constructor({ file = null } = {}) {
+    this.sessions = [];
+    this.store = new JsonFileStore(file, () => ({ sessions: this.sessions }));
+  }
+
+  async init() {
+    return this.store.load(state => {
+      this.sessions = state.sessions || [];
+    });
+  }
+
+  // The user's sessions, most recently active first (newest first on ties)
+  async list(userId) {
+    await this.init();
+    return this.sessions
+      .filter(session => session.user_id === userId)
+      .reverse()
+      .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+  }
+
+  async get(userId, sessionId) {
+    await this.init();
+    const session = this.sessions.find(s => s.id === sessionId && s.user_id === userId);
+    if (!session) {
+      throw new Error('Chat session not found');
+    }
+    return session;
+  }
+
+  async create(userId, { title = null } = {}) {
+    await this.init();
+    const now = new Date().toISOString();
+    const session = {
+      id: `chat_${crypto.randomUUID()}`,
+      user_id: userId,
+      title,
+      forked_from: null,
+      messages: [],
+      created_at: now,
+      updated_at: now
+    };
+    this.sessions.push(session);
+    await this.store.save();
+    return session;
+  }
+
+  async rename(userId, sessionId, title) {
+    const session = await this.get(userId, sessionId);
+    session.title = title;
+    session.updated_at = new Date().toISOString();
+    await this.store.save();
+    return session;
+  }
+
+  // A new session holding a copy of the conversation up to and including
+  // `messageId` (the whole conversation without one), to continue it in
+  // another direction
+  async fork(userId, sessionId, { messageId = null, title = null } = {}) {
+    const source = await this.get(userId, sessionId);
+    let messages = source.messages;
+    if (messageId) {
+      const index = messages.findIndex(message => message.id === messageId);
+      if (index === -1) {
+        throw new Error('Chat message not found');
+      }
+      messages = messages.slice(0, index + 1);
+    }
+
+    const now = new Date().toISOString();
+    const fork = {
+      id: `chat_${crypto.randomUUID()}`,
+      user_id: userId,
+      title: title || (source.title ? `${source.title} (fork)` : null),
+      forked_from: { session_id: source.id, message_id: messages.length > 0 ? messages[messages.length - 1].id : null },
+      messages: [],
+      created_at: now,
+      updated_at: now
+    };
+    fork.messages = messages.map(message => ({ ...message, id: newMessageId(), session_id: fork.id }));
+    this.sessions.push(fork);
+    await this.store.save();
+    return fork;
+  }
+
+  async delete(userId, sessionId) {
+    const session = await this.get(userId, sessionId);
+    this.sessions = this.sessions.filter(s => s !== session);
+    await this.store.save();
+  }
+
+  // The last `limit` messages followed by `question`, as the alternating
+  // user and assistant turns the model expects: a fork can end on a
+  // question, so consecutive messages of one role are joined
+  async turns(userId, sessionId, question, limit) {
+    const session = await this.get(userId, sessionId);
+    const turns = [];
+    for (const { role, content } of [...session.messages.slice(-limit), { role: 'user', content: question }]) {
+      const last = turns[turns.length - 1];
+      if (last && last.role === role) {
+        last.content += `\n\n${content}`;
+      } else if (last || role === 'user') {
+        turns.push({ role, content });
+      }
+    }
+    return turns;
+  }
+
+  // Append one exchange; both messages are saved together so a failed
+  // answer leaves no dangling question behind
+  async addExchange(userId, sessionId, question, { content, citations = [] }) {
+    const session = await this.get(userId, sessionId);
+    const now = new Date().toISOString();
+    const userMessage = { id: newMessageId(), session_id: session.id, role: 'user', content: question, citations: [], created_at: now };
+    const assistantMessage = { id: newMessageId(), session_id: session.id, role: 'assistant', content, citations, created_at: now };
+
+    session.messages.push(userMessage, assistantMessage);
+    if (!session.title) {
+      session.title = titleFrom(question);
+    }
+    session.updated_at = now;
+    await this.store.save();
+    return { userMessage, assistantMessage };
+  }
+}
+
+function newMessageId() {
+  return `msg_${crypto.randomUUID()}`;
+}
+
+function titleFrom(text) {
+  const line = text.trim().replace(/\s+/g, ' ');
+  return line.length > TITLE_LENGTH ? `${line.slice(0, TITLE_LENGTH - 1)}…` : line;
+}
+
+// A session without its messages, for listings
+function sessionSummary({ messages, ...session }) {
+  const last = messages[messages.length - 1];
+  return { ...session, message_count: messages.length, last_message_at: last ? last.created_at : null };
+}
+
+module.exports = { ChatSessions, MESSAGE_ROLES, sessionSummary };
@@ -0,0 +1,356 @@
+// concept-map.js - The mind map derived from what a user has studied
+// Concepts are the words and two-word phrases that recur across a user's
+// memories and notes (plus the topics memories are tagged with). Concepts
+// found in the same documents are linked by co-occurrence, and concepts whose
+// memories read alike are linked by the similarity of their embeddings.
+// Nodes and edges the user added by hand are merged in: a manual node
+// takes over the derived concept with the same name. Nodes are then grouped
+// into clusters of closely linked concepts.
+
+const { STOPWORDS, stem } = require('./text-tokenizer');
+
+// Words that say nothing about the subject, including the framing of the
+// memories chat stores ('User asked: ... - Response context: ...')
+const GENERIC_WORDS = new Set([
+  'about', 'after', 'again', 'all', 'also', 'any', 'asked', 'because', 'before', 'being', 'both',
+  'could', 'each', 'even', 'every', 'get', 'got', 'just', 'like', 'make', 'many', 'may', 'might',
+  'more', 'most', 'much', 'must', 'need', 'new', 'not', 'now', 'one', 'only', 'other', 'over',
+  'response', 'same', 'should', 'some', 'such', 'than', 'thing', 'through', 'too', 'two', 'under',
+  'use', 'used', 'user', 'using', 'very', 'way', 'well', 'would', 'context', 'general'
+]);
+
+const DEFAULT_MAX_CONCEPTS = 30;
+
+// A word or phrase is a concept once it appears in this many documents
+const MIN_DOCUMENTS = 2;
+
+// Concepts are linked by co-occurrence once they share this many documents
+const MIN_SHARED_DOCUMENTS = 2;
+
+// Similarity links kept per concept, most similar first
+const MAX_SIMILAR = 3;
+
+// Rounds of label propagation before the clusters are taken as they stand
+const MAX_CLUSTER_ROUNDS = 20;
+
+class ConceptMap {
+  // `model` is the embedding model whose stored vectors are compared;
+  // memories embedded by another model (or not at all) only count towards
+  // co-occurrence, as do notes, which have no vectors. Concepts whose
+  // memories' mean vectors are at least `similarityThreshold` alike are linked.
+  constructor({ storage, model, similarityThreshold, maxConcepts = DEFAULT_MAX_CONCEPTS }) {
+    this.storage = storage;
+    this.model = model;
+    this.similarityThreshold = similarityThreshold;
+    this.maxConcepts = maxConcepts;
+  }
+
+  // { nodes: [{ id, label, kind, documents, cluster }], edges: [{ source, target, kind, weight }] }
+  // with edges pointing at node ids; stored edges also have their id and
+  // type, and pinned nodes their x and y. Kinds are 'concept' and 'manual' for
+  // nodes, and 'co-occurrence', 'similarity' and 'manual' for edges.
+  async build(userId) {
+    const documents = await this.loadDocuments(userId);
+    const mindmap = await this.storage.getUserMindmap(userId);
+
+    const concepts = this.selectConcepts(documents);
+    for (const document of documents) {
+      document.concepts = concepts.filter(concept => document.phrases.has(concept.key));
+    }
+
+    const edges = [...cooccurrenceEdges(concepts, documents)];
+    const linked = new Set(edges.map(edge => pairKey(edge.source, edge.target)));
+    for (const edge of this.similarityEdges(concepts, documents)) {
+      if (!linked.has(pairKey(edge.source, edge.target))) edges.push(edge);
+    }
+
+    const map = mergeManual(concepts, edges, mindmap);
+    const clusters = assignClusters(map.nodes, map.edges);
+    map.nodes.forEach(node => { node.cluster = clusters.get(node.id); });
+    return map;
+  }
+
+  // The memories and notes a node's concept appears in, newest first: a
+  // derived node's phrase, or a stored node's label read as one
+  async documents(userId, nodeId, limit) {
+    const node = nodeId.startsWith('concept:')
+      ? { id: nodeId }
+      : (await this.storage.getUserMindmap(userId)).nodes.find(n => n.id === nodeId);
+    if (!node) throw new Error('Mindmap node not found');
+    const key = nodeConceptKey(node);
+
+    const found = key ? (await this.loadDocuments(userId)).filter(document => document.phrases.has(key)) : [];
+    const newest = kind => found.filter(d => d.kind === kind).map(d => d.record)
+      .sort((a, b) => (a.created_at < b.created_at ? 1 : -1)).slice(0, limit);
+    return { memories: newest('memory'), notes: newest('note') };
+  }
+
+  // Every memory and note of the user with the phrases found in it
+  async loadDocuments(userId) {
+    const { memories } = await this.storage.getUserMemories(userId, 100000, 0);
+    const notes = await this.storage.getUserNotes(userId, 100000, 0);
+
+    return [
+      ...memories.map(memory => ({
+        kind: 'memory',
+        record: memory,
+        text: memory.content,
+        topic: memory.metadata && memory.metadata.topic,
+        vector: memory.embedding_model === this.model && Array.isArray(memory.embedding) ? memory.embedding : null
+      })),
+      ...notes.map(note => ({ kind: 'note', record: note, text: `${note.title || ''}\n${note.content}`, topic: null, vector: null }))
+    ].map(document => ({ ...document, phrases: extractPhrases(document.text, document.topic) }));
+  }
+
+  // The most widespread phrases, leaving out single words that only ever
+  // appear as part of a chosen phrase ('chain' when it is always 'chain rule')
+  selectConcepts(documents) {
+    const found = new Map();
+    for (const document of documents) {
+      for (const [key, surface] of document.phrases) {
+        let concept = found.get(key);
+        if (!concept) {
+          concept = { key, id: `concept:${key.replace(/ /g, '-')}`, documents: 0, forms: new Map() };
+          found.set(key, concept);
+        }
+        concept.documents++;
+        concept.forms.set(surface, (concept.forms.get(surface) || 0) + 1);
+      }
+    }
+
+    const frequent = [...found.values()]
+      .filter(concept => concept.documents >= MIN_DOCUMENTS)
+      .sort((a, b) => b.documents - a.documents || b.key.split(' ').length - a.key.split(' ').length || (a.key < b.key ? -1 : 1));
+
+    const phrases = frequent.filter(concept => concept.key.includes(' '));
+    return frequent
+      .filter(concept => concept.key.includes(' ') ||
+        !phrases.some(phrase => phrase.key.split(' ').includes(concept.key) && phrase.documents >= concept.documents))
+      .slice(0, this.maxConcepts)
+      .map(concept => ({ key: concept.key, id: concept.id, label: labelOf(concept.forms), documents: concept.documents }));
+  }
+
+  // Each concept against the mean vector of the memories it appears in. A
+  // phrase and the words inside it are never linked to each other.
+  similarityEdges(concepts, documents) {
+    const centroids = new Map();
+    for (const concept of concepts) {
+      const vectors = documents.filter(d => d.vector && d.concepts.includes(concept)).map(d => d.vector);
+      if (vectors.length > 0) centroids.set(concept.id, mean(vectors));
+    }
+
+    const candidates = [];
+    const embedded = concepts.filter(concept => centroids.has(concept.id));
+    for (let i = 0; i < embedded.length; i++) {
+      for (let j = i + 1; j < embedded.length; j++) {
+        const [a, b] = [embedded[i], embedded[j]];
+        if (related(a.key, b.key)) continue;
+        const similarity = cosineSimilarity(centroids.get(a.id), centroids.get(b.id));
+        if (similarity >= this.similarityThreshold) {
+          candidates.push({ source: a.id, target: b.id, kind: 'similarity', weight: Math.round(similarity * 1000) / 1000 });
+        }
+      }
+    }
+
+    // Keep a pair when it is among the closest few of either concept
+    candidates.sort((a, b) => b.weight - a.weight);
+    const kept = new Map();
+    const edges = [];
+    for (const edge of candidates) {
+      const counts = [kept.get(edge.source) || 0, kept.get(edge.target) || 0];
+      if (Math.min(...counts) >= MAX_SIMILAR) continue;
+      kept.set(edge.source, counts[0] + 1);
+      kept.set(edge.target, counts[1] + 1);
+      edges.push(edge);
+    }
+    return edges;
+  }
+}
+
+// Stemmed key => first surface form, for every word and adjacent word pair
+// in the text (pairs never span a stopword or punctuation), plus the topic
+function extractPhrases(text, topic) {
+  const phrases = new Map();
+  for (const run of String(text || '').split(/[^\p{L}\p{N}\s'-]+|\n/u)) {
+    let previous = null;
+    for (const word of run.match(/[\p{L}\p{N}]+/gu) || []) {
+      const lower = word.toLowerCase();
+      if (!isContentWord(lower)) {
+        previous = null;
+        continue;
+      }
+      const key = stem(lower);
+      if (!phrases.has(key)) phrases.set(key, lower);
+      if (previous) {
+        const pair = `${previous.key} ${key}`;
+        if (!phrases.has(pair)) phrases.set(pair, `${previous.lower} ${lower}`);
+      }
+      previous = { key, lower };
+    }
+  }
+
+  const topicKey = topic ? conceptKey(topic) : '';
+  if (topicKey && !phrases.has(topicKey)) {
+    phrases.set(topicKey, String(topic).toLowerCase().trim());
+  }
+  return phrases;
+}
+
+function isContentWord(word) {
+  return word.length > 2 && !/^\d+$/.test(word) && !STOPWORDS.has(word) && !GENERIC_WORDS.has(word);
+}
+
+// The key a label would have as a derived concept
+function conceptKey(label) {
+  return ((String(label || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(isContentWord).map(stem)).join(' ');
+}
+
+// The key of the concept a map node stands for: a derived node's phrase, or
+// a stored node's label read as one
+function nodeConceptKey(node) {
+  return node.id.startsWith('concept:') ? node.id.slice('concept:'.length).replace(/-/g, ' ') : conceptKey(node.label);
+}
+
+// The most common way the phrase was written, capitalised
+function labelOf(forms) {
+  const [surface] = [...forms.entries()].sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))[0];
+  return surface.charAt(0).toUpperCase() + surface.slice(1);
+}
+
+// Concepts found together in at least MIN_SHARED_DOCUMENTS documents
+function* cooccurrenceEdges(concepts, documents) {
+  const shared = new Map();
+  for (const document of documents) {
+    const present = document.concepts;
+    for (let i = 0; i < present.length; i++) {
+      for (let j = i + 1; j < present.length; j++) {
+        const key = pairKey(present[i].id, present[j].id);
+        shared.set(key, (shared.get(key) || 0) + 1);
+      }
+    }
+  }
+
+  for (let i = 0; i < concepts.length; i++) {
+    for (let j = i + 1; j < concepts.length; j++) {
+      const [a, b] = [concepts[i], concepts[j]];
+      const count = shared.get(pairKey(a.id, b.id)) || 0;
+      if (count < MIN_SHARED_DOCUMENTS || related(a.key, b.key)) continue;
+      yield { source: a.id, target: b.id, kind: 'co-occurrence', weight: count };
+    }
+  }
+}
+
+// Whether one concept is a word of the other
+function related(a, b) {
+  return a.split(' ').includes(b) || b.split(' ').includes(a);
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}\n${b}` : `${b}\n${a}`;
+}
+
+// Stored nodes replace the derived concept they name, keeping their own id
+// and label (and their position, once pinned there); stored edges replace
+// any derived edge between the same nodes
+function mergeManual(concepts, edges, mindmap) {
+  const renamed = new Map();
+  const nodes = concepts.map(concept => ({ id: concept.id, label: concept.label, kind: 'concept', documents: concept.documents }));
+  const byKey = new Map(concepts.map((concept, i) => [concept.key, nodes[i]]));
+
+  for (const stored of mindmap.nodes) {
+    const pinned = !!(stored.metadata && stored.metadata.pinned);
+    const node = { id: stored.id, label: stored.label, kind: 'manual', documents: 0, ...(pinned ? { x: stored.x, y: stored.y } : {}) };
+    const derived = byKey.get(conceptKey(stored.label));
+    if (derived && derived.kind === 'concept') {
+      renamed.set(derived.id, stored.id);
+      Object.assign(derived, { ...node, documents: derived.documents });
+    } else {
+      nodes.push(node);
+    }
+  }
+
+  const ids = new Set(nodes.map(node => node.id));
+  const merged = new Map();
+  for (const stored of mindmap.edges) {
+    if (!ids.has(stored.source_node_id) || !ids.has(stored.target_node_id)) continue;
+    merged.set(pairKey(stored.source_node_id, stored.target_node_id), {
+      id: stored.id, source: stored.source_node_id, target: stored.target_node_id, kind: 'manual', type: stored.type, weight: stored.weight
+    });
+  }
+  for (const edge of edges) {
+    const source = renamed.get(edge.source) || edge.source;
+    const target = renamed.get(edge.target) || edge.target;
+    const key = pairKey(source, target);
+    if (!merged.has(key)) merged.set(key, { ...edge, source, target });
+  }
+
+  return { nodes, edges: [...merged.values()] };
+}
+
+// Node id => cluster number, by label propagation: each node in turn takes
+// the cluster its neighbours weigh in for most, until none changes. Clusters
+// are numbered from the largest; a node without edges is a cluster alone.
+function assignClusters(nodes, edges) {
+  const adjacent = new Map(nodes.map(node => [node.id, []]));
+  for (const edge of edges) {
+    adjacent.get(edge.source).push({ id: edge.target, weight: edge.weight || 1 });
+    adjacent.get(edge.target).push({ id: edge.source, weight: edge.weight || 1 });
+  }
+
+  const label = new Map(nodes.map((node, i) => [node.id, i]));
+  for (let round = 0; round < MAX_CLUSTER_ROUNDS; round++) {
+    let changed = false;
+    for (const node of nodes) {
+      const votes = new Map();
+      for (const { id, weight } of adjacent.get(node.id)) {
+        votes.set(label.get(id), (votes.get(label.get(id)) || 0) + weight);
+      }
+      if (votes.size === 0) continue;
+
+      // Ties keep the node where it is, or go to the lowest cluster
+      const top = Math.max(...votes.values());
+      const tied = [...votes.keys()].filter(cluster => votes.get(cluster) === top);
+      const best = tied.includes(label.get(node.id)) ? label.get(node.id) : Math.min(...tied);
+      if (best !== label.get(node.id)) {
+        label.set(node.id, best);
+        changed = true;
+      }
+    }
+    if (!changed) break;
+  }
+
+  const sizes = new Map();
+  for (const cluster of label.values()) sizes.set(cluster, (sizes.get(cluster) || 0) + 1);
+  const order = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+  const numbers = new Map(order.map((cluster, i) => [cluster, i]));
+  return new Map(nodes.map(node => [node.id, numbers.get(label.get(node.id))]));
+}
+
+function mean(vectors) {
+  const result = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0)) || 1;
+    vector.forEach((x, i) => { result[i] += x / norm; });
+  }
+  return result;
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = {
+  ConceptMap,
+  extractPhrases,
+  conceptKey,
+  nodeConceptKey
+};
@@ -0,0 +1,124 @@
+// concept-mastery.js - How well a student knows each concept of their mind map
+// Bayesian knowledge tracing: each concept carries the probability that the
+// student knows it, revised by each piece of evidence (a quiz answer, the
+// outcome of a nudge, a question asked in chat, or the student's own rating)
+// and nudged up after every chance to learn. Estimates are keyed by the
+// concept's key (see conceptKey in concept-map.js), so a derived concept and
+// the node saved for it share one. They are kept by the storage backend, in
+// its concept_mastery collection, and so are part of every backup.
+
+const crypto = require('crypto');
+
+const EVIDENCE_SOURCES = ['quiz', 'nudge', 'question', 'self-rating'];
+
+// Knowledge tracing parameters: the chance a new concept is already known,
+// of learning it at each opportunity, of a right answer by guessing and of a
+// wrong one by slipping
+const BKT = { prior: 0.3, learn: 0.1, guess: 0.2, slip: 0.1 };
+
+// How much one piece of evidence from each source counts, against a quiz
+// answer. A nudge is shown because the student is stuck (or has just got it
+// right); a question in chat hints they don't know the concept yet.
+const SOURCE_WEIGHTS = { quiz: 1, nudge: 0.5, question: 0.25, 'self-rating': 0.5 };
+
+// The level a probability falls in, from the lowest
+const MASTERY_LEVELS = [
+  { level: 'novice', below: 0.4 },
+  { level: 'developing', below: 0.7 },
+  { level: 'proficient', below: 0.95 },
+  { level: 'mastered', below: Infinity }
+];
+
+// Pieces of evidence kept with each estimate, newest last
+const HISTORY_LENGTH = 20;
+
+class ConceptMastery {
+  constructor({ storage }) {
+    this.storage = storage;
+    // Evidence is applied one piece at a time, so two pieces for the same
+    // concept arriving together both count
+    this.queue = Promise.resolve();
+  }
+
+  // The user's estimates, least known first
+  async list(userId) {
+    return (await this.storage.getConceptMastery(userId))
+      .sort((a, b) => a.p_known - b.p_known || a.label.localeCompare(b.label));
+  }
+
+  // Concept key => estimate, for the user's concepts that have one
+  async byKey(userId) {
+    return new Map((await this.list(userId)).map(record => [record.concept_key, record]));
+  }
+
+  // Revise the estimate for a concept ({ key, label }) with one piece of
+  // evidence: { source, correct } or, for a self-rating, { source, rating }
+  // from 1 (no idea) to 5 (could teach it)
+  async record(userId, concept, evidence) {
+    const run = this.queue.then(() => this.revise(userId, concept, evidence));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async revise(userId, { key, label }, evidence) {
+    const now = new Date().toISOString();
+    const current = (await this.storage.getConceptMastery(userId)).find(r => r.concept_key === key) || {
+      id: `mastery_${crypto.randomUUID()}`,
+      user_id: userId,
+      concept_key: key,
+      label,
+      p_known: BKT.prior,
+      level: masteryLevel(BKT.prior),
+      observations: 0,
+      history: [],
+      created_at: now
+    };
+
+    const pKnown = applyEvidence(current.p_known, evidence);
+    return this.storage.saveConceptMastery({
+      ...current,
+      p_known: pKnown,
+      level: masteryLevel(pKnown),
+      observations: current.observations + 1,
+      history: [...current.history, {
+        source: evidence.source,
+        ...(evidence.source === 'self-rating' ? { rating: evidence.rating } : { correct: evidence.correct }),
+        p_known: pKnown,
+        at: now
+      }].slice(-HISTORY_LENGTH),
+      updated_at: now
+    });
+  }
+}
+
+// The probability after one piece of evidence. A self-rating pulls the
+// estimate towards the rating, read as a probability; anything else is a
+// knowledge tracing step, scaled by how much its source counts.
+function applyEvidence(pKnown, { source, correct, rating }) {
+  const weight = SOURCE_WEIGHTS[source];
+  if (source === 'self-rating') {
+    return round(pKnown + weight * ((rating - 1) / 4 - pKnown));
+  }
+
+  const known = pKnown * (correct ? 1 - BKT.slip : BKT.slip);
+  const unknown = (1 - pKnown) * (correct ? BKT.guess : 1 - BKT.guess);
+  const revised = pKnown + weight * (known / (known + unknown) - pKnown);
+  return round(revised + (1 - revised) * BKT.learn * weight);
+}
+
+function masteryLevel(pKnown) {
+  return MASTERY_LEVELS.find(({ below }) => pKnown < below).level;
+}
+
+function round(p) {
+  return Math.round(p * 10000) / 10000;
+}
+
+module.exports = {
+  ConceptMastery,
+  EVIDENCE_SOURCES,
+  MASTERY_LEVELS,
+  BKT,
+  applyEvidence,
+  masteryLevel
+};
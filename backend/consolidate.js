@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// consolidate.js - Report or merge near-duplicate memories
+// Uses the same MEMORY_STORAGE / EMBEDDING_PROVIDER settings as the server.
+// Stop the server first when merging with JSON storage, since both write the same files.
+//
+// Usage:
+//   node consolidate.js                    Dry run: list duplicate clusters for every user
+//   node consolidate.js --apply            Merge every cluster
+//   node consolidate.js --user <id>        Only this user
+//   node consolidate.js --threshold 0.85   Override the provider's duplicate threshold
+
+const LocalMemoryAPI = require('./local-memory-api');
+
+function option(args, name) {
+  const i = args.indexOf(name);
+  return i === -1 ? undefined : args[i + 1];
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const api = new LocalMemoryAPI();
+
+  const threshold = api.parseThreshold(option(args, '--threshold'));
+  if (threshold === null) {
+    console.error('--threshold must be a number between 0 and 1');
+    return 1;
+  }
+
+  await api.storage.init();
+  const report = await api.consolidator.run({
+    userId: option(args, '--user') || null,
+    threshold,
+    dryRun: !args.includes('--apply')
+  });
+
+  for (const cluster of report.clusters) {
+    console.log(`\n[${cluster.userId}] keep ${cluster.canonical.id}: ${cluster.canonical.content.substring(0, 80)}`);
+    cluster.duplicates.forEach(d => console.log(`  ${report.dryRun ? 'would merge' : 'merged'} ${d.id} (${d.similarity.toFixed(2)}): ${d.content.substring(0, 80)}`));
+  }
+  console.log(`\n${report.clusters.length} clusters across ${report.users} users (threshold ${report.threshold})${report.dryRun ? ' - dry run, pass --apply to merge' : `, ${report.merged} memories merged`}`);
+
+  if (api.storage.vectorIndex) {
+    await api.storage.vectorIndex.flush();
+  }
+  if (typeof api.storage.close === 'function') {
+    api.storage.close();
+  }
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Consolidation failed:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,203 @@
+// data-schema.js - Schema version of stored records, migrations and validation
+// Data files and backups record the schema_version their records follow;
+// files written before versioning are version 0. Older data is upgraded by
+// running every migration above its version, in order. Records that still
+// lack the fields the server relies on are reported rather than loaded.
+
+const { REVISION_ENTITY_TYPES, MINDMAP_EDGE_TYPES } = require('./storage-adapter');
+
+const SCHEMA_VERSION = 2;
+
+// Each migration upgrades data to `version` from the one before. `up` gets
+// whichever collections are being upgraded ({ memories, notes, mindmap,
+// revisions, mastery, flashcards }, any of them may be missing) and returns
+// upgraded copies, leaving its input untouched.
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Fill in user_id, metadata, category, archived_at and timestamps left out by older code paths',
+    up: data => mapRecords(data, (collection, record) => {
+      if (collection === 'revisions') return record;
+
+      const metadata = isObject(record.metadata) ? record.metadata : {};
+      const upgraded = { ...record, metadata };
+      // Before accounts, some clients only sent the user in the metadata
+      if (upgraded.user_id === undefined && typeof metadata.userId === 'string') {
+        upgraded.user_id = metadata.userId;
+      }
+      if (!upgraded.created_at) {
+        upgraded.created_at = metadata.timestamp || upgraded.updated_at || new Date(0).toISOString();
+      }
+      if (!upgraded.updated_at) {
+        upgraded.updated_at = upgraded.created_at;
+      }
+      if (collection === 'memories') {
+        if (!metadata.category) upgraded.metadata = { ...metadata, category: 'general' };
+        if (upgraded.archived_at === undefined) upgraded.archived_at = null;
+      }
+      return upgraded;
+    })
+  },
+  {
+    version: 2,
+    description: 'Give mind map edges a type, from metadata.type when it names one and related otherwise',
+    up: data => mapRecords(data, (collection, record) => {
+      if (collection !== 'mindmap.edges' || MINDMAP_EDGE_TYPES.includes(record.type)) return record;
+      const type = record.metadata && MINDMAP_EDGE_TYPES.includes(record.metadata.type) ? record.metadata.type : 'related';
+      return { ...record, type };
+    })
+  }
+];
+
+// Fields every record of a collection must have as strings
+const REQUIRED_FIELDS = {
+  memories: ['id', 'user_id', 'content'],
+  notes: ['id', 'user_id', 'content'],
+  'mindmap.nodes': ['id', 'user_id'],
+  'mindmap.edges': ['id', 'user_id', 'source_node_id', 'target_node_id'],
+  revisions: ['id', 'user_id', 'entity_id'],
+  mastery: ['id', 'user_id', 'concept_key', 'label'],
+  'flashcards.cards': ['id', 'user_id', 'front', 'back', 'due_at'],
+  'flashcards.reviews': ['id', 'user_id', 'card_id', 'reviewed_at']
+};
+
+// Collections kept in parts of one object, e.g. the mind map's nodes and edges
+const NESTED_COLLECTIONS = {
+  mindmap: ['nodes', 'edges'],
+  flashcards: ['cards', 'reviews']
+};
+
+// Concept mastery and flashcards were kept in their own files beside the
+// storage backend before they moved into it. Those files were first written
+// at this version, before they were stamped with one.
+const UNSTAMPED_STORE_VERSION = 2;
+
+// How those files laid out their records, e.g. mastery.json as
+// { schema_version, concepts } before it held { schema_version, mastery }
+const STORE_FILE_LAYOUTS = {
+  mastery: file => file.concepts,
+  flashcards: file => ({ cards: file.cards, reviews: file.reviews })
+};
+
+// Upgrade `data` from schema version `fromVersion` to SCHEMA_VERSION.
+// Returns the upgraded data and the versions of the migrations that ran.
+function migrateData(data, fromVersion = 0) {
+  if (!Number.isInteger(fromVersion) || fromVersion < 0) {
+    throw new Error(`Unknown schema version ${fromVersion}`);
+  }
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Schema version ${fromVersion} is newer than this server supports`);
+  }
+
+  const applied = [];
+  for (const migration of MIGRATIONS) {
+    if (migration.version > fromVersion) {
+      data = migration.up(data);
+      applied.push(migration.version);
+    }
+  }
+  return { data, applied };
+}
+
+// Why `record` can't be loaded into `collection`, or null when it can.
+// `label` names the record in the message, e.g. 'memories[3]'.
+function recordProblem(collection, record, label = collection) {
+  if (!isObject(record)) return `${label} must be an object`;
+  for (const field of REQUIRED_FIELDS[collection]) {
+    if (typeof record[field] !== 'string') return `${label}.${field} must be a string`;
+  }
+  if (collection === 'mastery') {
+    if (typeof record.p_known !== 'number' || record.p_known < 0 || record.p_known > 1) return `${label}.p_known must be a probability`;
+  } else if (collection === 'flashcards.reviews') {
+    if (!Number.isInteger(record.grade) || record.grade < 0 || record.grade > 5) return `${label}.grade must be an integer from 0 to 5`;
+  } else if (collection === 'revisions') {
+    if (!REVISION_ENTITY_TYPES.includes(record.entity_type)) return `${label}.entity_type is not a known type`;
+    if (!Number.isInteger(record.revision) || record.revision < 1) return `${label}.revision must be a positive integer`;
+  } else if (record.metadata !== undefined && !isObject(record.metadata)) {
+    return `${label}.metadata must be an object`;
+  }
+  return null;
+}
+
+// Split the collections in `data` into the records that can be loaded and
+// the problems with the rest: { data, problems: [{ collection, index, id,
+// reason, record }] }. Only the first record with a given id is kept.
+function validateData(data) {
+  const problems = [];
+  const valid = mapCollections(data, (collection, records) => {
+    const seen = new Set();
+    return records.filter((record, index) => {
+      const reason = recordProblem(collection, record, `${collection}[${index}]`) ||
+        (seen.has(record.id) ? `${collection} has duplicate id ${record.id}` : null);
+      if (reason) {
+        problems.push({ collection, index, id: isObject(record) ? record.id ?? null : null, reason, record });
+        return false;
+      }
+      seen.add(record.id);
+      return true;
+    });
+  });
+  return { data: valid, problems };
+}
+
+// A data file as written to disk, stamped with the schema version
+function wrapDataFile(key, value) {
+  return { schema_version: SCHEMA_VERSION, [key]: value };
+}
+
+// The contents and schema version of a parsed data file; files from before
+// versioning hold the bare array (or mindmap object) at version 0, and
+// files written by a store beside the backend are read in their old layout
+// (see STORE_FILE_LAYOUTS). Throws when the contents aren't laid out like
+// `key`'s data file.
+function unwrapDataFile(key, parsed) {
+  const { version, value } = STORE_FILE_LAYOUTS[key] && isObject(parsed) && parsed[key] === undefined
+    ? { version: parsed.schema_version ?? UNSTAMPED_STORE_VERSION, value: STORE_FILE_LAYOUTS[key](parsed) }
+    : isObject(parsed) && parsed.schema_version !== undefined
+      ? { version: parsed.schema_version, value: parsed[key] }
+      : { version: 0, value: parsed };
+
+  const laidOut = NESTED_COLLECTIONS[key]
+    ? isObject(value) && NESTED_COLLECTIONS[key].every(part => Array.isArray(value[part]))
+    : Array.isArray(value);
+  if (!laidOut) {
+    throw new Error(`Not a ${key} data file`);
+  }
+  return { version, value };
+}
+
+// Apply fn(collection, records) to every collection present in `data`,
+// which may also hold fields that aren't collections
+function mapCollections(data, fn) {
+  const result = { ...data };
+  for (const collection of ['memories', 'notes', 'revisions', 'mastery']) {
+    if (Array.isArray(data[collection])) result[collection] = fn(collection, data[collection]);
+  }
+  for (const [key, parts] of Object.entries(NESTED_COLLECTIONS)) {
+    if (!isObject(data[key])) continue;
+    result[key] = { ...data[key] };
+    for (const part of parts) {
+      if (Array.isArray(data[key][part])) result[key][part] = fn(`${key}.${part}`, data[key][part]);
+    }
+  }
+  return result;
+}
+
+// Apply fn(collection, record) to every well-formed record; anything else
+// is left for validation to report
+function mapRecords(data, fn) {
+  return mapCollections(data, (collection, records) => records.map(record => (isObject(record) ? fn(collection, record) : record)));
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MIGRATIONS,
+  migrateData,
+  validateData,
+  wrapDataFile,
+  unwrapDataFile
+};
@@ -0,0 +1,160 @@
+// embedding-provider.js - Embedding provider contract for the memory server
+// Turns text into vectors for memory storage and search. OpenAI is used when
+// OPENAI_API_KEY is set; otherwise a local vectoriser keeps semantic search
+// working with no network access
+
+const EMBEDDING_PROVIDERS = ['openai', 'local', 'stub'];
+
+const OPENAI_DIMENSIONS = {
+  'text-embedding-3-small': 1536,
+  'text-embedding-3-large': 3072,
+  'text-embedding-ada-002': 1536
+};
+
+class EmbeddingProvider {
+  constructor() {
+    this.name = 'base';
+    this.model = null;
+    this.dimensions = 0;
+    // Minimum cosine similarity for a search hit, for a context match and
+    // for two memories to count as near-duplicates. Scales differ between
+    // models, so each provider picks its own.
+    this.thresholds = { search: 0.7, context: 0.6, duplicate: 0.92 };
+  }
+
+  async embed(text, options = {}) {
+    throw new Error(`${this.constructor.name} does not implement embed`);
+  }
+
+  async embedBatch(texts, options = {}) {
+    const embeddings = [];
+    for (const text of texts) {
+      embeddings.push(await this.embed(text, options));
+    }
+    return embeddings;
+  }
+
+  // Providers fitted to a user's own corpus override these three; pretrained
+  // models never need training
+  needsTraining(userId) {
+    return false;
+  }
+
+  train(userId, texts) {}
+
+  observe(userId, text) {}
+
+  // Recorded on every memory as embedding_model; vectors are only ever
+  // compared with vectors that carry the same id
+  get modelId() {
+    return `${this.name}:${this.model}`;
+  }
+
+  describe() {
+    return { provider: this.name, model: this.model, dimensions: this.dimensions, modelId: this.modelId };
+  }
+}
+
+class OpenAIEmbeddingProvider extends EmbeddingProvider {
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+    client = null
+  } = {}) {
+    super();
+    this.name = 'openai';
+    this.model = model;
+    this.dimensions = OPENAI_DIMENSIONS[model] || null;
+
+    if (client) {
+      this.client = client;
+    } else {
+      if (!apiKey) {
+        throw new Error('OpenAI embeddings require OPENAI_API_KEY');
+      }
+      const OpenAI = require('openai');
+      this.client = new OpenAI({ apiKey });
+    }
+  }
+
+  async embed(text) {
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: text,
+    });
+
+    return response.data[0].embedding;
+  }
+
+  async embedBatch(texts) {
+    if (texts.length === 0) return [];
+
+    const response = await this.client.embeddings.create({
+      model: this.model,
+      input: texts,
+    });
+
+    return response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+}
+
+// Deterministic vectors for tests: fixed vectors for known texts, a hash of
+// the text for anything else
+class StubEmbeddingProvider extends EmbeddingProvider {
+  constructor({ dimensions = 8, vectors = {}, thresholds, model = 'stub' } = {}) {
+    super();
+    this.name = 'stub';
+    this.model = model;
+    this.dimensions = dimensions;
+    this.vectors = new Map(Object.entries(vectors));
+    this.calls = [];
+    if (thresholds) {
+      this.thresholds = { ...this.thresholds, ...thresholds };
+    }
+  }
+
+  async embed(text) {
+    this.calls.push(text);
+
+    if (this.vectors.has(text)) {
+      return this.vectors.get(text);
+    }
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (let i = 0; i < text.length; i++) {
+      vector[(text.charCodeAt(i) + i) % this.dimensions] += 1;
+    }
+    return vector;
+  }
+}
+
+// Create a provider by name. Without a name, OPENAI_API_KEY decides between
+// OpenAI and the local vectoriser.
+function createEmbeddingProvider(type = process.env.EMBEDDING_PROVIDER, options = {}) {
+  if (!type) {
+    type = process.env.OPENAI_API_KEY ? 'openai' : 'local';
+  }
+
+  switch (type) {
+    case 'openai':
+      return new OpenAIEmbeddingProvider(options);
+    case 'local': {
+      const LocalEmbeddingProvider = require('./local-embedding-provider');
+      return new LocalEmbeddingProvider(options);
+    }
+    case 'stub':
+      return new StubEmbeddingProvider(options);
+    default:
+      throw new Error(`Unknown embedding provider "${type}" (expected one of: ${EMBEDDING_PROVIDERS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  EmbeddingProvider,
+  OpenAIEmbeddingProvider,
+  StubEmbeddingProvider,
+  EMBEDDING_PROVIDERS,
+  createEmbeddingProvider
+};
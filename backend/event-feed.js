@@ -0,0 +1,158 @@
+// event-feed.js - Per-user change feed behind GET /api/events
+// Every create, update and delete of a memory, note, mind map node or edge
+// or flashcard, and every revised concept mastery estimate, is published to
+// its owner's feed. Open event streams and the owner's webhooks (see
+// webhook-dispatcher.js) receive it at once, and the last `logSize` events
+// of each user are kept so a client that reconnects with Last-Event-ID is
+// sent what it missed. The feed lives in memory only: after a restart, or
+// when a client has fallen further behind than the log reaches, it is sent
+// a `resync` event and should reload.
+
+// Events kept per user for resuming (EVENT_LOG_SIZE)
+const DEFAULT_LOG_SIZE = 500;
+
+// Every type of change a feed carries, which webhooks can also be sent
+const EVENT_TYPES = [
+  'memory.created', 'memory.updated', 'memory.deleted',
+  'note.created', 'note.updated', 'note.deleted',
+  'mindmap.node.created', 'mindmap.node.updated', 'mindmap.node.deleted',
+  'mindmap.edge.created', 'mindmap.edge.updated', 'mindmap.edge.deleted',
+  'mastery.updated',
+  'flashcard.created', 'flashcard.updated', 'flashcard.deleted'
+];
+
+// Tells an event stream it missed changes and should reload. Only streams
+// are sent it: webhook deliveries are retried rather than lost.
+const RESYNC_EVENT = 'resync';
+
+// Record fields not worth sending to clients
+const PRIVATE_FIELDS = ['embedding'];
+
+class EventFeed {
+  constructor({ logSize = DEFAULT_LOG_SIZE } = {}) {
+    this.logSize = logSize;
+    // Event ids are `<epoch>-<sequence>`; the epoch tells ids from an
+    // earlier run of the server apart
+    this.epoch = Date.now().toString(36);
+    this.sequence = 0;
+    this.logs = new Map();        // userId -> { events, evicted: last sequence dropped }
+    this.subscribers = new Map(); // userId -> Set<listener>
+    this.firehose = new Set();    // listener(userId, event) for every user
+  }
+
+  // Send `type` with `data` to the user's streams and log it
+  publish(userId, type, data) {
+    const event = { id: `${this.epoch}-${++this.sequence}`, type, data };
+
+    if (!this.logs.has(userId)) this.logs.set(userId, { events: [], evicted: 0 });
+    const log = this.logs.get(userId);
+    log.events.push(event);
+    while (log.events.length > this.logSize) {
+      log.evicted = sequenceOf(log.events.shift().id);
+    }
+
+    for (const listener of this.subscribers.get(userId) || []) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn(`[Events] Listener for ${userId} failed:`, error.message);
+      }
+    }
+    for (const listener of type === RESYNC_EVENT ? [] : this.firehose) {
+      try {
+        listener(userId, event);
+      } catch (error) {
+        console.warn('[Events] Listener for all users failed:', error.message);
+      }
+    }
+    return event;
+  }
+
+  // A memory, note, mind map, mastery or flashcard record was `created`,
+  // `updated` or `deleted`; deletes only carry the id
+  recordChange(entityType, action, record) {
+    const data = action === 'deleted' ? { id: record.id } : publicRecord(record);
+    return this.publish(record.user_id, `${entityType}.${action}`, data);
+  }
+
+  // Tell one user (or everyone with a feed) to reload, e.g. after a backup
+  // replaced their data
+  resync(userId, reason) {
+    const userIds = userId ? [userId] : new Set([...this.logs.keys(), ...this.subscribers.keys()]);
+    for (const id of userIds) {
+      this.publish(id, RESYNC_EVENT, { reason });
+    }
+  }
+
+  // listener(event) for each event published to the user; returns a
+  // function that unsubscribes
+  subscribe(userId, listener) {
+    if (!this.subscribers.has(userId)) this.subscribers.set(userId, new Set());
+    this.subscribers.get(userId).add(listener);
+    return () => {
+      const listeners = this.subscribers.get(userId);
+      listeners.delete(listener);
+      if (listeners.size === 0) this.subscribers.delete(userId);
+    };
+  }
+
+  // listener(userId, event) for each change of any user (the webhooks);
+  // returns a function that unsubscribes
+  subscribeAll(listener) {
+    this.firehose.add(listener);
+    return () => this.firehose.delete(listener);
+  }
+
+  // The user's events after `lastEventId`, or null when some of them are no
+  // longer known (the id is from another run, or older than the log)
+  since(userId, lastEventId) {
+    const [epoch, sequence] = String(lastEventId).split('-');
+    const after = Number(sequence);
+    if (epoch !== this.epoch || !Number.isInteger(after) || after < 0 || after > this.sequence) {
+      return null;
+    }
+
+    const log = this.logs.get(userId) || { events: [], evicted: 0 };
+    if (after < log.evicted) {
+      return null;
+    }
+    return log.events.filter(event => sequenceOf(event.id) > after);
+  }
+
+  // The id of the newest event of any user, for a resync event to carry so
+  // a client resumes from now
+  lastEventId() {
+    return `${this.epoch}-${this.sequence}`;
+  }
+
+  get connections() {
+    let count = 0;
+    for (const listeners of this.subscribers.values()) count += listeners.size;
+    return count;
+  }
+}
+
+function sequenceOf(id) {
+  return Number(id.slice(id.indexOf('-') + 1));
+}
+
+function publicRecord(record) {
+  const result = { ...record };
+  PRIVATE_FIELDS.forEach(field => delete result[field]);
+  return result;
+}
+
+// One event in the text/event-stream format; events that can't be resumed
+// from have no id
+function formatEvent(event) {
+  const id = event.id !== undefined && event.id !== null ? `id: ${event.id}\n` : '';
+  return `${id}event: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`;
+}
+
+module.exports = {
+  EventFeed,
+  formatEvent,
+  EVENT_TYPES,
+  RESYNC_EVENT,
+  DEFAULT_LOG_SIZE
+};
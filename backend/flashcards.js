@@ -0,0 +1,325 @@
+// flashcards.js - Spaced-repetition flashcards
+// Cards are written by the student or drafted from their memories and notes,
+// and scheduled with SM-2: each review grades recall from 0 (blackout) to 5
+// (perfect), and a card recalled well comes back after 1 day, 6 days, then
+// an interval that grows by the card's ease; a lapse starts it over. Every
+// review is kept, which is what learning streaks are counted from. Cards and
+// reviews are kept by the storage backend, in its flashcards and
+// flashcard_reviews collections, and so are part of every backup.
+
+const crypto = require('crypto');
+const { extractPhrases } = require('./concept-map');
+
+const CARD_ORIGINS = ['manual', 'generated'];
+
+// SM-2: grades from 3 up are recalled; the ease a new card starts at, and
+// the lowest it can fall to
+const PASSING_GRADE = 3;
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Cards drafted from one memory or note at most, and the sentences long
+// enough to be worth one
+const MAX_CARDS_PER_DOCUMENT = 2;
+const MIN_SENTENCE_WORDS = 4;
+const MAX_SENTENCE_LENGTH = 300;
+
+const CLOZE_BLANK = '_____';
+
+class Flashcards {
+  constructor({ storage }) {
+    this.storage = storage;
+    // Changes are made one at a time, so two reviews of a card arriving
+    // together are both scheduled from the one before
+    this.queue = Promise.resolve();
+  }
+
+  // The user's cards, newest first
+  async list(userId) {
+    return (await this.storage.getFlashcards(userId)).reverse();
+  }
+
+  async get(userId, cardId) {
+    const card = (await this.storage.getFlashcards(userId)).find(c => c.id === cardId);
+    if (!card) {
+      throw new Error('Flashcard not found');
+    }
+    return card;
+  }
+
+  // { front, back, source: { type, id } | null, concept: { key, label } | null }
+  async create(userId, { front, back, source = null, concept = null }, origin = 'manual') {
+    return this.serialize(async () => {
+      const card = newCard(userId, { front, back, source, concept }, origin, new Date());
+      await this.storage.saveFlashcards([card]);
+      return card;
+    });
+  }
+
+  // Add drafted cards, leaving out any the user already has from the same
+  // memory or note with the same front. Returns the cards added.
+  async addGenerated(userId, drafts) {
+    return this.serialize(async () => {
+      const now = new Date();
+      const existing = new Set((await this.storage.getFlashcards(userId)).map(card => draftKey(card)));
+
+      const added = [];
+      for (const draft of drafts) {
+        const key = draftKey(draft);
+        if (existing.has(key)) continue;
+        existing.add(key);
+        added.push(newCard(userId, draft, 'generated', now));
+      }
+      if (added.length > 0) {
+        await this.storage.saveFlashcards(added);
+      }
+      return added;
+    });
+  }
+
+  async update(userId, cardId, { front, back }) {
+    return this.serialize(async () => {
+      const card = await this.get(userId, cardId);
+      const updated = {
+        ...card,
+        front: front !== undefined ? front : card.front,
+        back: back !== undefined ? back : card.back,
+        updated_at: new Date().toISOString()
+      };
+      await this.storage.saveFlashcards([updated]);
+      return updated;
+    });
+  }
+
+  // Reviews of a deleted card are kept: they still count towards streaks
+  async delete(userId, cardId) {
+    return this.serialize(async () => {
+      const card = await this.get(userId, cardId);
+      await this.storage.deleteFlashcard(cardId, userId);
+      return card;
+    });
+  }
+
+  // Cards due by `now`, most overdue first, and how many are due in all
+  async due(userId, { limit = 20, now = new Date() } = {}) {
+    const cutoff = now.toISOString();
+    const cards = await this.list(userId);
+    const due = cards
+      .filter(card => card.due_at <= cutoff)
+      .sort((a, b) => a.due_at.localeCompare(b.due_at) || a.created_at.localeCompare(b.created_at));
+    const upcoming = cards
+      .filter(card => card.due_at > cutoff)
+      .reduce((next, card) => (!next || card.due_at < next ? card.due_at : next), null);
+    return { cards: due.slice(0, limit), due: due.length, next_due_at: upcoming };
+  }
+
+  // Grade a recall of the card and schedule its next review
+  async review(userId, cardId, grade, now = new Date()) {
+    return this.serialize(async () => {
+      const current = await this.get(userId, cardId);
+      const card = {
+        ...current,
+        ...schedule(current, grade, now),
+        last_reviewed_at: now.toISOString(),
+        updated_at: now.toISOString()
+      };
+
+      const review = {
+        id: `review_${crypto.randomUUID()}`,
+        user_id: userId,
+        card_id: card.id,
+        grade,
+        interval_days: card.interval_days,
+        ease: card.ease,
+        reviewed_at: now.toISOString()
+      };
+      await this.storage.saveFlashcards([card]);
+      await this.storage.addFlashcardReview(review);
+      return { card, review };
+    });
+  }
+
+  // The card's reviews, oldest first
+  async history(userId, cardId) {
+    const card = await this.get(userId, cardId);
+    return this.storage.getFlashcardReviews(userId, card.id);
+  }
+
+  // Counts for the dashboard; days are UTC dates
+  async stats(userId, now = new Date()) {
+    const cutoff = now.toISOString();
+    const cards = await this.storage.getFlashcards(userId);
+    const reviews = await this.storage.getFlashcardReviews(userId);
+    const days = new Set(reviews.map(review => review.reviewed_at.slice(0, 10)));
+    const today = cutoff.slice(0, 10);
+    return {
+      cards: cards.length,
+      due: cards.filter(card => card.due_at <= cutoff).length,
+      reviews: reviews.length,
+      reviewed_today: reviews.filter(review => review.reviewed_at.startsWith(today)).length,
+      streak: currentStreak(days, now),
+      longest_streak: longestStreak(days)
+    };
+  }
+
+  serialize(change) {
+    const run = this.queue.then(change);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+}
+
+function newCard(userId, { front, back, source = null, concept = null }, origin, now) {
+  return {
+    id: `card_${crypto.randomUUID()}`,
+    user_id: userId,
+    front,
+    back,
+    origin,
+    source,
+    concept_key: concept ? concept.key : null,
+    concept: concept ? concept.label : null,
+    ease: INITIAL_EASE,
+    interval_days: 0,
+    repetitions: 0,
+    lapses: 0,
+    due_at: now.toISOString(),
+    last_reviewed_at: null,
+    created_at: now.toISOString(),
+    updated_at: now.toISOString()
+  };
+}
+
+function draftKey({ source, front }) {
+  return `${source ? `${source.type}:${source.id}` : ''}\n${front}`;
+}
+
+// SM-2's next ease, interval, repetitions, lapses and due date for a card
+// graded `grade` (0-5) at `now`
+function schedule(card, grade, now) {
+  const ease = Math.max(MIN_EASE, round(card.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+  let { repetitions, lapses } = card;
+  let interval;
+  if (grade < PASSING_GRADE) {
+    repetitions = 0;
+    lapses++;
+    interval = 1;
+  } else {
+    interval = repetitions === 0 ? 1 : repetitions === 1 ? 6 : Math.round(card.interval_days * card.ease);
+    repetitions++;
+  }
+  return {
+    ease,
+    interval_days: interval,
+    repetitions,
+    lapses,
+    due_at: new Date(now.getTime() + interval * DAY_MS).toISOString()
+  };
+}
+
+// Days in a row with a review, up to today, or up to yesterday while today
+// can still keep the streak going
+function currentStreak(days, now) {
+  let day = now.getTime();
+  if (!days.has(dateOf(day))) day -= DAY_MS;
+  let streak = 0;
+  while (days.has(dateOf(day))) {
+    streak++;
+    day -= DAY_MS;
+  }
+  return streak;
+}
+
+function longestStreak(days) {
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  for (const day of [...days].sort()) {
+    const time = Date.parse(day);
+    run = previous !== null && time - previous === DAY_MS ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = time;
+  }
+  return longest;
+}
+
+function dateOf(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Cards drafted from one memory or note ({ kind, record, text } as
+// ConceptMap.loadDocuments gives them): a question for each sentence that
+// defines something ("X is Y"), and otherwise a fill-in-the-blank for a
+// sentence naming one of `concepts` ({ key, label }, the mind map's)
+function draftCards(document, concepts) {
+  const drafts = [];
+  const source = { type: document.kind, id: document.record.id };
+  for (const sentence of sentencesOf(document.text)) {
+    const draft = definitionCard(sentence, concepts) || clozeCard(sentence, concepts);
+    if (draft) drafts.push({ ...draft, source });
+    if (drafts.length === MAX_CARDS_PER_DOCUMENT) break;
+  }
+  return drafts;
+}
+
+function sentencesOf(text) {
+  return String(text || '')
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length <= MAX_SENTENCE_LENGTH && sentence.split(/\s+/).length >= MIN_SENTENCE_WORDS);
+}
+
+const DEFINITION = /^((?:an?|the)\s+)?([\p{L}\p{N}][\p{L}\p{N}\s'-]{1,60}?)\s+(is|are|means|refers to)\s+(.+)$/iu;
+const NOT_SUBJECTS = new Set(['it', 'this', 'that', 'these', 'those', 'there', 'they', 'he', 'she', 'what', 'which', 'here']);
+
+function definitionCard(sentence, concepts) {
+  const match = sentence.match(DEFINITION);
+  if (!match) return null;
+  const [, article = '', subject, verb] = match;
+  if (NOT_SUBJECTS.has(subject.toLowerCase()) || subject.split(/\s+/).length > 5) return null;
+
+  const named = `${article.toLowerCase()}${subject}`;
+  const front = /^(is|are)$/i.test(verb) ? `What ${verb.toLowerCase()} ${named}?` : `What does ${named} mean?`;
+  return { front, back: sentence, concept: longestConceptIn(subject, concepts) };
+}
+
+// The sentence with the longest concept it names blanked out
+function clozeCard(sentence, concepts) {
+  const concept = longestConceptIn(sentence, concepts);
+  if (!concept) return null;
+
+  const words = extractPhrases(sentence).get(concept.key).split(' ').map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${words.join("[\\s'-]+")}(?![\\p{L}\\p{N}])`, 'iu');
+  const found = sentence.match(pattern);
+  if (!found) return null;
+  return {
+    front: sentence.replace(pattern, CLOZE_BLANK),
+    back: found[0],
+    concept
+  };
+}
+
+// Of the concepts the text names, the one of most words (the first of
+// those, in the order given), or null
+function longestConceptIn(text, concepts) {
+  const phrases = extractPhrases(text);
+  let best = null;
+  for (const concept of concepts.filter(c => phrases.has(c.key))) {
+    if (!best || concept.key.split(' ').length > best.key.split(' ').length) best = concept;
+  }
+  return best;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+module.exports = {
+  Flashcards,
+  CARD_ORIGINS,
+  PASSING_GRADE,
+  schedule,
+  draftCards
+};
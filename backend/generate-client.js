@@ -0,0 +1,330 @@
+#!/usr/bin/env node
+// generate-client.js - Builds the front-ends' API client from the OpenAPI document
+// Writes the same dependency-free ES module to the extension and the web
+// pages, with one method per operation. Run it (`npm run generate:client`)
+// after changing a route; test-openapi.js fails while the copies are stale.
+//
+// Usage:
+//   node generate-client.js           Write the client files
+//   node generate-client.js --check   Exit 1 if a client file is out of date
+
+const fs = require('fs');
+const path = require('path');
+const { createOpenApiDocument } = require('./openapi');
+
+const CLIENT_FILES = [
+  path.join(__dirname, '..', 'extension', 'memory-api-client.js'),
+  path.join(__dirname, '..', 'web', 'js', 'memory-api-client.js')
+];
+
+const RUNTIME = `export class MemoryApiError extends Error {
+  constructor(status, body, fallback) {
+    super((body && body.error) || fallback);
+    this.name = 'MemoryApiError';
+    this.status = status;
+    this.code = (body && body.code) || null;
+    this.requestId = (body && body.requestId) || null;
+    this.details = (body && body.details) || [];
+  }
+}
+
+// Options:
+//   baseUrl         The server, e.g. 'http://localhost:3000' ('' for the same origin)
+//   getToken        async () => the bearer token, or null to send none
+//   onUnauthorized  async (error) => true to retry a request once after a 401
+//   fetch           fetch() to use instead of the global one
+export class MemoryApiClient {
+  constructor({ baseUrl = '', getToken = null, onUnauthorized = null, fetch = null } = {}) {
+    this.baseUrl = baseUrl.replace(/\\/$/, '');
+    this.getToken = getToken;
+    this.onUnauthorized = onUnauthorized;
+    this.fetch = fetch || ((...args) => globalThis.fetch(...args));
+  }
+
+  // Resolves with the response body; rejects with a MemoryApiError carrying
+  // the error envelope's code, requestId and details
+  async request(method, path, { params = {}, query = null, body, auth = true } = {}, retry = true) {
+    const headers = {};
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const token = auth && this.getToken ? await this.getToken() : null;
+    if (token) {
+      headers.Authorization = \`Bearer \${token}\`;
+    }
+
+    const url = this.baseUrl + expandPath(path, params) + queryString(query);
+    const response = await this.fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    if (response.ok) {
+      return (response.headers.get('Content-Type') || '').includes('application/json') ? response.json() : response.text();
+    }
+
+    const error = await responseError(method, path, response);
+    if (response.status === 401 && auth && retry && this.onUnauthorized && await this.onUnauthorized(error)) {
+      return this.request(method, path, { params, query, body, auth }, false);
+    }
+    throw error;
+  }
+
+  // Follows a Server-Sent Events route, calling onEvent({ id, type, data })
+  // for each event. After an error or a dropped connection it reconnects
+  // with the last event id, so the events missed meanwhile come first; a
+  // MemoryApiError below 500 (other than a 401 that onUnauthorized handles)
+  // ends it. Returns a function that stops it.
+  stream(path, { params = {}, query = null, onEvent, onError = null } = {}) {
+    const url = this.baseUrl + expandPath(path, params) + queryString(query);
+    let lastEventId = null;
+    let delay = 3000;
+    let controller = null;
+    let stopped = false;
+
+    const connect = async () => {
+      const headers = { Accept: 'text/event-stream' };
+      const token = this.getToken ? await this.getToken() : null;
+      if (token) {
+        headers.Authorization = \`Bearer \${token}\`;
+      }
+      if (lastEventId) {
+        headers['Last-Event-ID'] = lastEventId;
+      }
+
+      controller = new AbortController();
+      const response = await this.fetch(url, { method: 'GET', headers, signal: controller.signal });
+      if (!response.ok) {
+        const error = await responseError('GET', path, response);
+        if (response.status === 401 && this.onUnauthorized && await this.onUnauthorized(error)) {
+          return;
+        }
+        throw error;
+      }
+
+      await readEventStream(response.body, event => {
+        if (event.retry) delay = event.retry;
+        if (event.id !== null) lastEventId = event.id;
+        if (event.data.length > 0 && !stopped) {
+          onEvent({ id: event.id, type: event.type, data: JSON.parse(event.data.join('\\n')) });
+        }
+      });
+    };
+
+    (async () => {
+      while (!stopped) {
+        try {
+          await connect();
+        } catch (error) {
+          if (stopped) break;
+          if (onError) onError(error);
+          if (error instanceof MemoryApiError && error.status < 500) break;
+        }
+        if (!stopped) await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    })();
+
+    return () => {
+      stopped = true;
+      if (controller) controller.abort();
+    };
+  }
+
+  // Sends one request answered with Server-Sent Events, calling
+  // onEvent({ id, type, data }) for each event; resolves when the stream
+  // ends. It is never resent, since that would repeat the request; aborting
+  // \`signal\` closes it.
+  async requestStream(method, path, { params = {}, query = null, body, onEvent, signal = null } = {}, retry = true) {
+    const headers = { Accept: 'text/event-stream' };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const token = this.getToken ? await this.getToken() : null;
+    if (token) {
+      headers.Authorization = \`Bearer \${token}\`;
+    }
+
+    const url = this.baseUrl + expandPath(path, params) + queryString(query);
+    const response = await this.fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), signal });
+    if (!response.ok) {
+      const error = await responseError(method, path, response);
+      if (response.status === 401 && retry && this.onUnauthorized && await this.onUnauthorized(error)) {
+        return this.requestStream(method, path, { params, query, body, onEvent, signal }, false);
+      }
+      throw error;
+    }
+
+    await readEventStream(response.body, event => {
+      if (event.data.length > 0) {
+        onEvent({ id: event.id, type: event.type, data: JSON.parse(event.data.join('\\n')) });
+      }
+    });
+  }
+`;
+
+const HELPERS = `function expandPath(path, params) {
+  return path.replace(/\\{(\\w+)\\}/g, (match, name) => encodeURIComponent(params[name]));
+}
+
+function queryString(query) {
+  const entries = Object.entries(query || {}).filter(([, value]) => value !== undefined && value !== null);
+  return entries.length > 0 ? \`?\${new URLSearchParams(entries.map(([name, value]) => [name, String(value)]))}\` : '';
+}
+
+async function responseError(method, path, response) {
+  const body = (response.headers.get('Content-Type') || '').includes('application/json') ? await response.json() : null;
+  const error = new MemoryApiError(response.status, body, \`\${method} \${path} failed: \${response.status}\`);
+  error.requestId = error.requestId || response.headers.get('X-Request-Id');
+  return error;
+}
+
+// Calls onMessage({ id, type, data: [lines], retry }) for each message of a
+// text/event-stream body until it ends
+async function readEventStream(body, onMessage) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split(/\\r?\\n\\r?\\n/);
+    buffer = messages.pop();
+    messages.forEach(message => onMessage(parseEventMessage(message)));
+  }
+}
+
+function parseEventMessage(message) {
+  const event = { id: null, type: 'message', data: [], retry: null };
+  for (const line of message.split(/\\r?\\n/)) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'id') event.id = value;
+    else if (field === 'event') event.type = value;
+    else if (field === 'data') event.data.push(value);
+    else if (field === 'retry' && /^\\d+$/.test(value)) event.retry = Number(value);
+  }
+  return event;
+}
+`;
+
+// The client's method for one operation: path parameters in path order,
+// then `query` and/or `body` when the operation takes them
+function generateMethod(method, route, operation) {
+  const pathNames = operation.parameters.filter(p => p.in === 'path').map(p => p.name);
+  const queryParams = operation.parameters.filter(p => p.in === 'query');
+  const body = operation.requestBody;
+
+  const args = [...pathNames];
+  const options = [];
+  const docs = [operation.summary, `${method.toUpperCase()} ${route}`];
+  if (pathNames.length > 0) {
+    options.push(`params: { ${pathNames.join(', ')} }`);
+  }
+  if (queryParams.length > 0) {
+    args.push('query = {}');
+    options.push('query');
+    docs.push(`query: ${queryParams.map(p => p.name).join(', ')}`);
+  }
+  if (body) {
+    const schema = body.content['application/json'].schema;
+    args.push(body.required ? 'body' : 'body = {}');
+    options.push('body');
+    docs.push(`body: ${Object.keys(schema.properties).map(name => (schema.required.includes(name) ? `${name}*` : name)).join(', ')}`);
+  }
+  if (Array.isArray(operation.security) && operation.security.length === 0) {
+    options.push('auth: false');
+  }
+
+  // A request answered with an event stream takes a callback, and resolves
+  // once the stream ends
+  if (isEventStream(operation) && method !== 'get') {
+    return [
+      '  /**',
+      ...docs.map(line => `   * ${line}`),
+      '   * onEvent({ id, type, data }) for each event; aborting `signal` closes the stream',
+      '   */',
+      `  ${operation.operationId}(${[...args, 'onEvent', '{ signal = null } = {}'].join(', ')}) {`,
+      `    return this.requestStream('${method.toUpperCase()}', '${route}', { ${[...options, 'onEvent', 'signal'].join(', ')} });`,
+      '  }'
+    ].join('\n');
+  }
+
+  // Event streams to follow take a callback and return stop() instead of a promise
+  if (isEventStream(operation)) {
+    const streamOptions = [...options.filter(option => option.startsWith('params')), 'query', 'onEvent', 'onError'];
+    return [
+      '  /**',
+      ...docs.map(line => `   * ${line}`),
+      '   * onEvent({ id, type, data }) for each event; returns stop()',
+      '   */',
+      `  ${operation.operationId}(${[...pathNames, 'onEvent', '{ query = {}, onError = null } = {}'].join(', ')}) {`,
+      `    return this.stream('${route}', { ${streamOptions.join(', ')} });`,
+      '  }'
+    ].join('\n');
+  }
+
+  const call = options.length > 0
+    ? `this.request('${method.toUpperCase()}', '${route}', { ${options.join(', ')} })`
+    : `this.request('${method.toUpperCase()}', '${route}')`;
+  return [
+    '  /**',
+    ...docs.map(line => `   * ${line}`),
+    '   */',
+    `  ${operation.operationId}(${args.join(', ')}) {`,
+    `    return ${call};`,
+    '  }'
+  ].join('\n');
+}
+
+function isEventStream(operation) {
+  const success = operation.responses[200];
+  return Boolean(success && success.content && success.content['text/event-stream']);
+}
+
+// The client module's source for an OpenAPI document
+function generateClient(document) {
+  const methods = [];
+  for (const [route, operations] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      methods.push(generateMethod(method, route, operation));
+    }
+  }
+
+  return `// memory-api-client.js - Client for the memory server's API (${document.info.title} ${document.info.version})
+// Generated by backend/generate-client.js from the OpenAPI document served at
+// /api/openapi.json. Don't edit it here: change the server and run
+// \`npm run generate:client\` in backend/. Required body fields are marked *.
+
+${RUNTIME}
+${methods.join('\n\n')}
+}
+
+${HELPERS}`;
+}
+
+function main() {
+  const source = generateClient(createOpenApiDocument());
+  const check = process.argv.includes('--check');
+  let stale = 0;
+
+  for (const file of CLIENT_FILES) {
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : null;
+    if (current === source) continue;
+    if (check) {
+      console.error(`${path.relative(process.cwd(), file)} is out of date; run npm run generate:client`);
+      stale++;
+    } else {
+      fs.writeFileSync(file, source);
+      console.log(`Wrote ${path.relative(process.cwd(), file)}`);
+    }
+  }
+  return stale > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+  process.exit(main());
+}
+
+module.exports = {
+  CLIENT_FILES,
+  generateClient
+};
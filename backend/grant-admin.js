@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+// grant-admin.js - Give an account the admin role, or take it away
+// Edits auth.json in MEMORY_DATA_DIR, like the server. Stop the server first,
+// since both write the same file.
+//
+// Usage:
+//   node grant-admin.js <username>            Make the account an admin
+//   node grant-admin.js <username> --revoke   Make it a regular user again
+
+const path = require('path');
+const { AuthService } = require('./auth-service');
+
+async function main() {
+  const args = process.argv.slice(2);
+  const username = args.find(arg => !arg.startsWith('--'));
+  if (!username) {
+    console.error('Usage: node grant-admin.js <username> [--revoke]');
+    return 1;
+  }
+
+  const auth = new AuthService({ file: path.join(process.env.MEMORY_DATA_DIR || './data', 'auth.json') });
+  const user = await auth.setRole(username, args.includes('--revoke') ? 'user' : 'admin');
+  console.log(`${user.username} is now ${user.role === 'admin' ? 'an admin' : 'a regular user'}`);
+  return 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Could not change the role:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,29 @@
+// in-memory-storage.js - Non-persistent memory storage
+// LocalMemoryStorage without the JSON files; useful for tests and demos
+
+const LocalMemoryStorage = require('./local-memory-storage');
+const { MemoryVectorIndex } = require('./vector-index');
+
+class InMemoryStorage extends LocalMemoryStorage {
+  constructor() {
+    super(':memory:');
+    this.vectorIndex = new MemoryVectorIndex();
+  }
+
+  async init() {
+    if (this.initialized) return;
+    this.initialized = true;
+  }
+
+  // Nothing is written to disk
+  async saveMemories() {}
+  async saveNotes() {}
+  async saveMindmap() {}
+  async saveRevisions() {}
+  async saveMastery() {}
+  async saveFlashcardData() {}
+  async appendJournal() {}
+  async maybeCompactJournal() {}
+}
+
+module.exports = InMemoryStorage;
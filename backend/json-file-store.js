@@ -0,0 +1,51 @@
+// json-file-store.js - The state a service keeps in a JSON file of its own
+// Used by the services whose records live beside the storage backend
+// (accounts, chat sessions and webhooks). The file is read once, on first
+// use, and each save rewrites it atomically with the state as it is when
+// the save's turn comes; saves are queued so they land in order. Without a
+// file (the 'memory' storage) the state only lives in memory.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-file');
+
+class JsonFileStore {
+  // `state` returns what to write, e.g. () => ({ sessions: this.sessions })
+  constructor(file, state) {
+    this.file = file;
+    this.state = state;
+    this.loaded = null;
+    this.writeQueue = Promise.resolve();
+  }
+
+  // Read the file once and hand its contents ({} when there is none yet) to
+  // `apply`; every call waits for that first load
+  async load(apply) {
+    if (!this.loaded) {
+      this.loaded = this.read().then(apply);
+    }
+    return this.loaded;
+  }
+
+  async read() {
+    if (!this.file) return {};
+    try {
+      return JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      return {};
+    }
+  }
+
+  async save() {
+    const run = this.writeQueue.then(async () => {
+      if (!this.file) return;
+      await fs.mkdir(path.dirname(this.file), { recursive: true });
+      await writeFileAtomic(this.file, JSON.stringify(this.state(), null, 2));
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = { JsonFileStore };
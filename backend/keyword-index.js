@@ -0,0 +1,219 @@
+// keyword-index.js - BM25 inverted index over memories and notes
+// One index per user, built lazily from storage on the first search and kept
+// current by the API's write handlers. Lives in memory only; rebuilding from
+// storage is cheap compared to the vector index.
+
+const { tokenize } = require('./text-tokenizer');
+
+// Standard BM25 parameters: term frequency saturation and length normalisation
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+class Bm25Index {
+  constructor({ k1 = BM25_K1, b = BM25_B } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.docs = new Map();     // key -> { type, record, length, terms: Map<term, tf> }
+    this.postings = new Map(); // term -> Map<key, tf>
+    this.totalLength = 0;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  add(key, type, record, text) {
+    this.remove(key);
+
+    const terms = new Map();
+    const tokens = tokenize(text);
+    for (const token of tokens) {
+      terms.set(token, (terms.get(token) || 0) + 1);
+    }
+
+    this.docs.set(key, { type, record, length: tokens.length, terms });
+    this.totalLength += tokens.length;
+    for (const [term, tf] of terms) {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(key, tf);
+    }
+  }
+
+  remove(key) {
+    const doc = this.docs.get(key);
+    if (!doc) return false;
+
+    for (const term of doc.terms.keys()) {
+      const posting = this.postings.get(term);
+      posting.delete(key);
+      if (posting.size === 0) this.postings.delete(term);
+    }
+    this.totalLength -= doc.length;
+    this.docs.delete(key);
+    return true;
+  }
+
+  // Returns [{ key, type, record, score, matchedTerms }] best first
+  search(query, limit = 10, { types = null } = {}) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0 || this.docs.size === 0) return [];
+
+    const avgLength = this.totalLength / this.docs.size || 1;
+    const scores = new Map();
+
+    for (const term of queryTerms) {
+      const posting = this.postings.get(term);
+      if (!posting) continue;
+
+      const idf = Math.log(1 + (this.docs.size - posting.size + 0.5) / (posting.size + 0.5));
+      for (const [key, tf] of posting) {
+        const doc = this.docs.get(key);
+        if (types && !types.includes(doc.type)) continue;
+
+        const norm = tf + this.k1 * (1 - this.b + this.b * doc.length / avgLength);
+        const entry = scores.get(key) || { key, type: doc.type, record: doc.record, score: 0, matchedTerms: [] };
+        entry.score += idf * (tf * (this.k1 + 1)) / norm;
+        entry.matchedTerms.push(term);
+        scores.set(key, entry);
+      }
+    }
+
+    return [...scores.values()]
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+// Per-user BM25 indexes. loadUser(userId) returns { memories, notes } for a
+// user whose index hasn't been built yet; memories from both tiers.
+class KeywordIndex {
+  constructor({ loadUser }) {
+    this.loadUser = loadUser;
+    this.indexes = new Map();
+    this.pending = new Map();
+    this.generations = new Map(); // userId -> writes seen, to detect builds racing a write
+  }
+
+  async forUser(userId) {
+    if (this.indexes.has(userId)) {
+      return this.indexes.get(userId);
+    }
+    if (!this.pending.has(userId)) {
+      const build = this.build(userId).finally(() => {
+        if (this.pending.get(userId) === build) this.pending.delete(userId);
+      });
+      this.pending.set(userId, build);
+    }
+    return this.pending.get(userId);
+  }
+
+  async build(userId) {
+    const generation = this.generations.get(userId) || 0;
+    const { memories, notes } = await this.loadUser(userId);
+    const index = new Bm25Index();
+
+    for (const memory of memories) {
+      index.add(memoryKey(memory.id), memoryType(memory), withoutEmbedding(memory), memory.content);
+    }
+    for (const note of notes) {
+      index.add(noteKey(note.id), 'note', note, noteText(note));
+    }
+
+    // A write that raced the load may be missing; use it for this search only
+    if ((this.generations.get(userId) || 0) === generation) {
+      this.indexes.set(userId, index);
+    }
+    return index;
+  }
+
+  // Writes for users without a built index are skipped: the next build
+  // reads them from storage anyway
+  upsertMemory(memory) {
+    this.recordWrite(memory.user_id);
+    const index = this.indexes.get(memory.user_id);
+    if (index) index.add(memoryKey(memory.id), memoryType(memory), withoutEmbedding(memory), memory.content);
+  }
+
+  upsertNote(note) {
+    this.recordWrite(note.user_id);
+    const index = this.indexes.get(note.user_id);
+    if (index) index.add(noteKey(note.id), 'note', note, noteText(note));
+  }
+
+  removeMemory(memoryId, userId) {
+    this.recordWrite(userId);
+    const index = this.indexes.get(userId);
+    if (index) index.remove(memoryKey(memoryId));
+  }
+
+  removeNote(noteId, userId) {
+    this.recordWrite(userId);
+    const index = this.indexes.get(userId);
+    if (index) index.remove(noteKey(noteId));
+  }
+
+  recordWrite(userId) {
+    if (this.pending.has(userId)) {
+      this.generations.set(userId, (this.generations.get(userId) || 0) + 1);
+      this.pending.delete(userId);
+    }
+  }
+
+  clear() {
+    this.indexes.clear();
+    this.pending.clear();
+    this.generations.clear();
+  }
+}
+
+function memoryKey(id) {
+  return `memory:${id}`;
+}
+
+function noteKey(id) {
+  return `note:${id}`;
+}
+
+// Archived memories stay indexed under their own type so searches can opt in
+function memoryType(memory) {
+  return memory.archived_at ? 'archived' : 'memory';
+}
+
+// Results carry the record, but the index has no use for its vector
+function withoutEmbedding(memory) {
+  const { embedding, ...record } = memory;
+  return record;
+}
+
+function noteText(note) {
+  return [note.title, note.content].filter(Boolean).join('\n');
+}
+
+// Reciprocal-rank fusion: each ranked list contributes 1 / (k + rank) for
+// every item it contains. Rank-based, so BM25 and cosine scores never need
+// to share a scale.
+const RRF_K = 60;
+
+function reciprocalRankFusion(rankings, k = RRF_K) {
+  const fused = new Map();
+
+  for (const [source, items] of Object.entries(rankings)) {
+    items.forEach((item, i) => {
+      const entry = fused.get(item.key) || { key: item.key, score: 0, ranks: {} };
+      entry.score += 1 / (k + i + 1);
+      entry.ranks[source] = i + 1;
+      fused.set(item.key, entry);
+    });
+  }
+
+  return [...fused.values()].sort((a, b) => b.score - a.score);
+}
+
+module.exports = {
+  Bm25Index,
+  KeywordIndex,
+  reciprocalRankFusion,
+  memoryKey,
+  noteKey,
+  RRF_K
+};
@@ -0,0 +1,325 @@
+// llm-provider.js - Language model provider contract for the memory server
+// One interface for every text generation call: Anthropic, any
+// OpenAI-compatible server (OpenAI itself, or a local one such as Ollama or
+// llama.cpp) and a scripted mock that answers with no network access.
+// Each call names its use case (chat, nudge, summarise), which picks the
+// model, max tokens and temperature (see LLM_PROVIDER in README-local-setup.md).
+
+const LLM_PROVIDERS = ['anthropic', 'openai-compatible', 'mock'];
+
+// Settings each use case starts from; a null temperature leaves the
+// provider's own default
+const LLM_USE_CASES = {
+  chat: { maxTokens: 1000, temperature: null },
+  nudge: { maxTokens: 150, temperature: null },
+  summarise: { maxTokens: 500, temperature: null }
+};
+
+const DEFAULT_MODELS = {
+  anthropic: { chat: 'claude-3-5-sonnet-20241022', nudge: 'claude-3-haiku-20240307', summarise: 'claude-3-haiku-20240307' },
+  'openai-compatible': { chat: 'llama3.1', nudge: 'llama3.1', summarise: 'llama3.1' },
+  mock: { chat: 'mock', nudge: 'mock', summarise: 'mock' }
+};
+
+// Ollama's OpenAI-compatible endpoint
+const DEFAULT_OPENAI_COMPATIBLE_URL = 'http://localhost:11434/v1';
+
+class LLMProvider {
+  // `useCases` overrides the settings of each use case, e.g.
+  // { chat: { model: 'claude-3-5-haiku-20241022', temperature: 0.2 } }
+  constructor({ useCases = {} } = {}) {
+    this.name = 'base';
+    this.models = {};
+    this.useCases = useCases;
+  }
+
+  // The model, max tokens and temperature a use case runs with
+  settings(useCase) {
+    if (!LLM_USE_CASES[useCase]) {
+      throw new Error(`Unknown LLM use case "${useCase}" (expected one of: ${Object.keys(LLM_USE_CASES).join(', ')})`);
+    }
+    const overrides = this.useCases[useCase] || {};
+    return {
+      model: overrides.model || this.models[useCase],
+      maxTokens: overrides.maxTokens || LLM_USE_CASES[useCase].maxTokens,
+      temperature: overrides.temperature !== undefined ? overrides.temperature : LLM_USE_CASES[useCase].temperature
+    };
+  }
+
+  // Answer `messages` ({ role: 'user' | 'assistant', content } turns) under
+  // an optional system prompt. Resolves to { text, model, usage }, usage
+  // counting input_tokens and output_tokens.
+  async complete({ useCase = 'chat', system = null, messages }) {
+    const settings = this.settings(useCase);
+    const { text, usage = null } = await this.generate({ ...settings, system, messages });
+    return { text, model: settings.model, usage };
+  }
+
+  // complete(), calling onText(chunk) with each piece of the reply as it is
+  // generated. Aborting `signal` (an AbortSignal) cancels the request
+  // upstream and rejects with an error named AbortError.
+  async stream({ useCase = 'chat', system = null, messages, signal = null }, onText) {
+    const settings = this.settings(useCase);
+    const { text, usage = null } = await this.generateStream({ ...settings, system, messages, signal }, onText);
+    return { text, model: settings.model, usage };
+  }
+
+  async generate(request) {
+    throw new Error(`${this.constructor.name} does not implement generate`);
+  }
+
+  // Providers that can't stream send the whole reply as one chunk
+  async generateStream(request, onText) {
+    const result = await this.generate(request);
+    throwIfAborted(request.signal);
+    onText(result.text);
+    return result;
+  }
+
+  describe() {
+    const models = {};
+    for (const useCase of Object.keys(LLM_USE_CASES)) {
+      models[useCase] = this.settings(useCase).model;
+    }
+    return { provider: this.name, models };
+  }
+}
+
+class AnthropicProvider extends LLMProvider {
+  constructor({ apiKey = process.env.ANTHROPIC_API_KEY, client = null, ...options } = {}) {
+    super(options);
+    this.name = 'anthropic';
+    this.models = DEFAULT_MODELS.anthropic;
+
+    if (client) {
+      this.client = client;
+    } else {
+      if (!apiKey) {
+        throw new Error('The Anthropic provider requires ANTHROPIC_API_KEY');
+      }
+      const Anthropic = require('@anthropic-ai/sdk');
+      this.client = new Anthropic({ apiKey });
+    }
+  }
+
+  async generate({ model, maxTokens, temperature, system, messages }) {
+    const response = await this.client.messages.create({
+      model,
+      max_tokens: maxTokens,
+      ...(temperature !== null ? { temperature } : {}),
+      ...(system ? { system } : {}),
+      messages
+    });
+
+    return {
+      text: response.content.filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: response.usage ? { input_tokens: response.usage.input_tokens, output_tokens: response.usage.output_tokens } : null
+    };
+  }
+
+  async generateStream({ model, maxTokens, temperature, system, messages, signal }, onText) {
+    let text = '';
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    await forwardAbort(signal, async () => {
+      const events = await this.client.messages.create({
+        model,
+        max_tokens: maxTokens,
+        ...(temperature !== null ? { temperature } : {}),
+        ...(system ? { system } : {}),
+        messages,
+        stream: true
+      }, signal ? { signal } : undefined);
+
+      for await (const event of events) {
+        if (event.type === 'message_start' && event.message.usage) {
+          usage.input_tokens = event.message.usage.input_tokens;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          text += event.delta.text;
+          onText(event.delta.text);
+        } else if (event.type === 'message_delta' && event.usage) {
+          usage.output_tokens = event.usage.output_tokens;
+        }
+      }
+    });
+    return { text, usage };
+  }
+}
+
+// Chat completions from any server speaking OpenAI's API. Local servers
+// usually need no key.
+class OpenAICompatibleProvider extends LLMProvider {
+  constructor({
+    baseUrl = process.env.LLM_BASE_URL || DEFAULT_OPENAI_COMPATIBLE_URL,
+    apiKey = process.env.LLM_API_KEY,
+    client = null,
+    ...options
+  } = {}) {
+    super(options);
+    this.name = 'openai-compatible';
+    this.models = DEFAULT_MODELS['openai-compatible'];
+    this.baseUrl = baseUrl;
+
+    if (client) {
+      this.client = client;
+    } else {
+      const OpenAI = require('openai');
+      this.client = new OpenAI({ apiKey: apiKey || 'not-needed', baseURL: baseUrl });
+    }
+  }
+
+  async generate({ model, maxTokens, temperature, system, messages }) {
+    const response = await this.client.chat.completions.create({
+      model,
+      max_tokens: maxTokens,
+      ...(temperature !== null ? { temperature } : {}),
+      messages: system ? [{ role: 'system', content: system }, ...messages] : messages
+    });
+
+    return {
+      text: response.choices[0].message.content || '',
+      usage: response.usage ? { input_tokens: response.usage.prompt_tokens, output_tokens: response.usage.completion_tokens } : null
+    };
+  }
+
+  // Not every server reports usage while streaming, so none is returned
+  async generateStream({ model, maxTokens, temperature, system, messages, signal }, onText) {
+    let text = '';
+    await forwardAbort(signal, async () => {
+      const chunks = await this.client.chat.completions.create({
+        model,
+        max_tokens: maxTokens,
+        ...(temperature !== null ? { temperature } : {}),
+        messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+        stream: true
+      }, signal ? { signal } : undefined);
+
+      for await (const chunk of chunks) {
+        const delta = chunk.choices[0] && chunk.choices[0].delta && chunk.choices[0].delta.content;
+        if (delta) {
+          text += delta;
+          onText(delta);
+        }
+      }
+    });
+    return { text, usage: null };
+  }
+
+  describe() {
+    return { ...super.describe(), baseUrl: this.baseUrl };
+  }
+}
+
+// Scripted replies for tests and offline runs. `responses` are used in
+// order, each a string, an Error to throw, or a function of the request
+// returning either; once they run out every call gets `fallback`, by default
+// an echo of the last user message. Every request is kept in `calls`.
+// Streamed replies come a word at a time, `chunkDelayMs` apart.
+class MockLLMProvider extends LLMProvider {
+  constructor({ responses = [], fallback = null, chunkDelayMs = 0, ...options } = {}) {
+    super(options);
+    this.name = 'mock';
+    this.models = DEFAULT_MODELS.mock;
+    this.responses = [...responses];
+    this.fallback = fallback || (request => `Mock reply to: ${lastUserMessage(request.messages)}`);
+    this.chunkDelayMs = chunkDelayMs;
+    this.calls = [];
+  }
+
+  async generate(request) {
+    this.calls.push(request);
+    const next = this.responses.length > 0 ? this.responses.shift() : this.fallback;
+    const reply = typeof next === 'function' ? await next(request) : next;
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return { text: reply, usage: { input_tokens: 0, output_tokens: 0 } };
+  }
+
+  async generateStream(request, onText) {
+    const result = await this.generate(request);
+    for (const chunk of result.text.match(/\s*\S+\s*/g) || []) {
+      await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+      throwIfAborted(request.signal);
+      onText(chunk);
+    }
+    return result;
+  }
+}
+
+function lastUserMessage(messages) {
+  const message = [...messages].reverse().find(m => m.role === 'user');
+  return message ? message.content : '';
+}
+
+function abortError() {
+  const error = new Error('The language model request was cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw abortError();
+  }
+}
+
+// Runs `fn`, reporting any failure after `signal` aborted as an AbortError
+// whatever the SDK called it
+async function forwardAbort(signal, fn) {
+  try {
+    await fn();
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw abortError();
+    }
+    throw error;
+  }
+}
+
+// Per use case settings from LLM_MODEL and LLM_<USE CASE>_MODEL,
+// _MAX_TOKENS and _TEMPERATURE
+function useCasesFromEnv(env = process.env) {
+  const useCases = {};
+  for (const useCase of Object.keys(LLM_USE_CASES)) {
+    const prefix = `LLM_${useCase.toUpperCase()}`;
+    const settings = {};
+    const model = env[`${prefix}_MODEL`] || env.LLM_MODEL;
+    if (model) settings.model = model;
+    if (env[`${prefix}_MAX_TOKENS`]) settings.maxTokens = parseInt(env[`${prefix}_MAX_TOKENS`], 10);
+    if (env[`${prefix}_TEMPERATURE`]) settings.temperature = parseFloat(env[`${prefix}_TEMPERATURE`]);
+    useCases[useCase] = settings;
+  }
+  return useCases;
+}
+
+// Create a provider by name. Without a name, Anthropic is used when
+// ANTHROPIC_API_KEY is set, and there is no provider (null) otherwise.
+function createLLMProvider(type = process.env.LLM_PROVIDER, options = {}) {
+  if (!type) {
+    if (!process.env.ANTHROPIC_API_KEY) return null;
+    type = 'anthropic';
+  }
+
+  const settings = { useCases: useCasesFromEnv(), ...options };
+  switch (type) {
+    case 'anthropic':
+      return new AnthropicProvider(settings);
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider(settings);
+    case 'mock':
+      return new MockLLMProvider(settings);
+    default:
+      throw new Error(`Unknown LLM provider "${type}" (expected one of: ${LLM_PROVIDERS.join(', ')})`);
+  }
+}
+
+module.exports = {
+  LLMProvider,
+  AnthropicProvider,
+  OpenAICompatibleProvider,
+  MockLLMProvider,
+  LLM_PROVIDERS,
+  LLM_USE_CASES,
+  useCasesFromEnv,
+  createLLMProvider
+};
@@ -0,0 +1,106 @@
+// local-embedding-provider.js - Offline embeddings from a hashed TF-IDF vectoriser
+// Words and word pairs are hashed into a fixed number of signed buckets (a
+// random projection of the sparse TF-IDF vector), with IDF weights learned
+// from each user's own memories. No model download or network access needed.
+
+const { EmbeddingProvider } = require('./embedding-provider');
+const { tokenize } = require('./text-tokenizer');
+
+// Word pairs carry some word order, but count for less than single words
+const BIGRAM_WEIGHT = 0.5;
+
+class LocalEmbeddingProvider extends EmbeddingProvider {
+  // 1536 dimensions by default, the size of the Supabase vector(1536) column
+  constructor({ dimensions = parseInt(process.env.LOCAL_EMBEDDING_DIMENSIONS) || 1536 } = {}) {
+    super();
+    this.name = 'local';
+    this.dimensions = dimensions;
+    this.model = `hashed-tfidf-${dimensions}`;
+    // Sparse lexical vectors score lower than dense model embeddings
+    this.thresholds = { search: 0.2, context: 0.15, duplicate: 0.8 };
+    // userId -> { documents, df: Map<feature, document count> }
+    this.corpora = new Map();
+  }
+
+  needsTraining(userId) {
+    return !this.corpora.has(userId);
+  }
+
+  // Rebuild the document frequencies for a user from their whole corpus
+  train(userId, texts) {
+    const corpus = { documents: 0, df: new Map() };
+    this.corpora.set(userId, corpus);
+    for (const text of texts) {
+      this.observe(userId, text);
+    }
+  }
+
+  // Count one more document towards the user's document frequencies
+  observe(userId, text) {
+    let corpus = this.corpora.get(userId);
+    if (!corpus) {
+      corpus = { documents: 0, df: new Map() };
+      this.corpora.set(userId, corpus);
+    }
+
+    corpus.documents++;
+    for (const feature of this.features(text).keys()) {
+      corpus.df.set(feature, (corpus.df.get(feature) || 0) + 1);
+    }
+  }
+
+  async embed(text, { userId } = {}) {
+    const corpus = this.corpora.get(userId);
+    const vector = new Array(this.dimensions).fill(0);
+
+    for (const [feature, count] of this.features(text)) {
+      const weight = (1 + Math.log(count)) * this.idf(corpus, feature);
+      const hash = fnv1a(feature);
+      const bucket = hash % this.dimensions;
+      // A second, independent hash picks the sign so collisions cancel out
+      // on average instead of piling up
+      const sign = fnv1a(feature, 0x9747b28c) & 1 ? 1 : -1;
+      vector[bucket] += sign * weight;
+    }
+
+    return normalize(vector);
+  }
+
+  idf(corpus, feature) {
+    if (!corpus || corpus.documents === 0) return 1;
+    const df = corpus.df.get(feature) || 0;
+    return Math.log((1 + corpus.documents) / (1 + df)) + 1;
+  }
+
+  // Feature -> weighted count for unigrams and adjacent-word bigrams
+  features(text) {
+    const words = tokenize(text);
+    const features = new Map();
+
+    words.forEach((word, i) => {
+      features.set(word, (features.get(word) || 0) + 1);
+      if (i > 0) {
+        const bigram = `${words[i - 1]} ${word}`;
+        features.set(bigram, (features.get(bigram) || 0) + BIGRAM_WEIGHT);
+      }
+    });
+
+    return features;
+  }
+}
+
+function fnv1a(str, seed = 0x811c9dc5) {
+  let hash = seed;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, x) => sum + x * x, 0));
+  return norm === 0 ? vector : vector.map(x => x / norm);
+}
+
+module.exports = LocalEmbeddingProvider;
@@ -1,56 +1,277 @@
-// local-memory-api.js - Backend API using local file storage instead of Supabase
-// Drop-in replacement for memory-api.js with identical API endpoints
+// local-memory-api.js - Backend API for memory, notes, mind map and chat
+// One server for every storage backend (JSON files, SQLite, in-memory, Supabase)
 
+const path = require('path');
+const crypto = require('crypto');
 const express = require('express');
 const cors = require('cors');
-const OpenAI = require('openai');
-const LocalMemoryStorage = require('./local-memory-storage');
+const { createStorage } = require('./storage-adapter');
+const { createEmbeddingProvider } = require('./embedding-provider');
+const { createLLMProvider } = require('./llm-provider');
+const { KeywordIndex, reciprocalRankFusion, memoryKey } = require('./keyword-index');
+const ReembedJob = require('./reembed-job');
+const MemoryConsolidator = require('./memory-consolidator');
+const { MemoryImportance, MemoryArchiver } = require('./memory-importance');
+const { RevisionHistory } = require('./revision-history');
+const { AuthService, publicUser } = require('./auth-service');
+const { BackupManager } = require('./backup-manager');
+const { SCHEMA_VERSION, MIGRATIONS } = require('./data-schema');
+const { ApiError, ValidationError, describeError, errorBody } = require('./api-errors');
+const { validateRequest } = require('./request-validation');
+const { REQUEST_SCHEMAS } = require('./request-schemas');
+const { createOpenApiDocument } = require('./openapi');
+const { EventFeed, formatEvent, RESYNC_EVENT, DEFAULT_LOG_SIZE } = require('./event-feed');
+const { WebhookDispatcher, publicWebhook, publicDelivery } = require('./webhook-dispatcher');
+const { ChatSessions, sessionSummary } = require('./chat-sessions');
+const { ConceptMap, extractPhrases, conceptKey, nodeConceptKey } = require('./concept-map');
+const { ConceptMastery } = require('./concept-mastery');
+const { Flashcards, PASSING_GRADE, draftCards } = require('./flashcards');
+const { neighbours, prerequisitePath, prerequisiteCycles, planMerge } = require('./mindmap-graph');
+
+// The only /api routes that can be called without a bearer token
+const PUBLIC_ROUTES = ['GET /api/openapi.json', 'POST /api/auth/register', 'POST /api/auth/login', 'POST /api/auth/device'];
+
+// X-Request-Id values passed on from clients; anything else gets a new id
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// EventSource can't send headers, so the event stream also takes its token
+// as ?access_token=
+const QUERY_TOKEN_ROUTES = ['GET /api/events'];
+
+// Event streams: how long clients wait before reconnecting, and how often an
+// idle stream is sent a comment so proxies don't close it
+const EVENT_RETRY_MS = 3000;
+const EVENT_HEARTBEAT_MS = 25000;
+
+// Earlier messages of a session sent with each question, and how many
+// memories and notes are looked up for it
+const DEFAULT_CHAT_HISTORY_MESSAGES = 20;
+const CHAT_SOURCES = 5;
+const CITATION_EXCERPT_LENGTH = 200;
 
 class LocalMemoryAPI {
-  constructor() {
+  constructor(options = {}) {
     this.app = express();
-    this.port = process.env.PORT || 3000;
+    this.port = options.port || process.env.PORT || 3000;
+    
+    // Initialize storage (JSON files by default, see MEMORY_STORAGE in README-local-setup.md)
+    this.storageType = options.storageType || process.env.MEMORY_STORAGE || 'json';
+    this.dataDir = options.dataDir || process.env.MEMORY_DATA_DIR || './data';
+    this.storage = options.storage || createStorage(this.storageType, { dataDir: this.dataDir });
+    
+    // Accounts and tokens; every /api route acts as the authenticated user
+    // (see AUTH_SECRET in README-local-setup.md)
+    this.auth = options.auth || new AuthService({
+      file: this.storageType === 'memory' ? null : path.join(this.dataDir, 'auth.json')
+    });
+    
+    // Embeddings come from OpenAI when OPENAI_API_KEY is set, and from the
+    // local vectoriser otherwise (see EMBEDDING_PROVIDER in README-local-setup.md)
+    this.embeddings = options.embeddings || createEmbeddingProvider();
+    
+    // Re-embeds memories whose vectors came from another model; progress is
+    // kept next to the data so a stopped run can resume
+    this.reembedJob = new ReembedJob({
+      storage: this.storage,
+      embed: (text, userId) => this.generateEmbedding(text, userId),
+      model: this.embeddings.modelId,
+      stateFile: this.storageType === 'memory' ? null : path.join(this.dataDir, 'reembed-state.json')
+    });
+    
+    // BM25 index over memories and notes for keyword and hybrid search
+    this.keywordIndex = new KeywordIndex({
+      loadUser: async userId => ({
+        memories: (await this.storage.getUserMemories(userId, 100000, 0, null, { tier: 'all' })).memories,
+        notes: await this.storage.getUserNotes(userId, 100000, 0)
+      })
+    });
+    
+    // Immutable revisions of every memory and note; deletes go to the trash
+    this.history = new RevisionHistory({ storage: this.storage });
+    
+    // Changes to memories, notes and the mind map, streamed to the user's
+    // open clients from GET /api/events (see EVENT_LOG_SIZE)
+    this.events = new EventFeed({
+      logSize: parseInt(process.env.EVENT_LOG_SIZE, 10) || DEFAULT_LOG_SIZE
+    });
+    
+    // The same changes POSTed to the URLs each user registers, signed and
+    // retried (see WEBHOOK_MAX_ATTEMPTS in README-local-setup.md)
+    this.webhooks = new WebhookDispatcher({
+      events: this.events,
+      file: this.storageType === 'memory' ? null : path.join(this.dataDir, 'webhooks.json')
+    });
+    
+    // Chat conversations, shared by the web chat page and the sidebar
+    // (see CHAT_HISTORY_MESSAGES in README-local-setup.md)
+    this.chats = new ChatSessions({
+      file: this.storageType === 'memory' ? null : path.join(this.dataDir, 'chats.json')
+    });
+    this.chatHistoryMessages = parseInt(process.env.CHAT_HISTORY_MESSAGES, 10) || DEFAULT_CHAT_HISTORY_MESSAGES;
+    
+    // Importance scores weight retrieval; memories that decay below the
+    // archive threshold move to the archive tier (see ARCHIVE_INTERVAL_HOURS)
+    this.importance = new MemoryImportance();
+    this.archiver = new MemoryArchiver({ storage: this.storage, importance: this.importance, keywordIndex: this.keywordIndex, events: this.events });
+    
+    // Near-duplicate detection on insert, and merging of duplicate clusters on
+    // request or on a schedule (see CONSOLIDATE_INTERVAL_HOURS)
+    this.consolidator = new MemoryConsolidator({
+      storage: this.storage,
+      embed: (text, userId) => this.generateEmbedding(text, userId),
+      model: this.embeddings.modelId,
+      threshold: this.embeddings.thresholds.duplicate,
+      keywordIndex: this.keywordIndex,
+      history: this.history,
+      events: this.events,
+      reportFile: this.storageType === 'memory' ? null : path.join(this.dataDir, 'consolidation-report.json')
+    });
     
-    // Initialize local storage
-    this.storage = new LocalMemoryStorage('./data');
+    // The mind map: concepts from each user's memories and notes, linked by
+    // co-occurrence and embedding similarity, with their own nodes merged in
+    this.conceptMap = new ConceptMap({
+      storage: this.storage,
+      model: this.embeddings.modelId,
+      similarityThreshold: this.embeddings.thresholds.search
+    });
+    
+    // How well each user knows each concept, from quiz answers, nudges,
+    // chat questions and self-ratings
+    this.mastery = new ConceptMastery({ storage: this.storage });
+    
+    // Spaced-repetition flashcards, written by hand or drafted from memories
+    // and notes; their reviews count towards learning streaks
+    this.flashcards = new Flashcards({ storage: this.storage });
+    
+    // Backups of the whole store, concept mastery and flashcards included,
+    // addressed by id and pruned by the retention policy (see
+    // BACKUP_KEEP_LAST in README-local-setup.md)
+    this.backups = new BackupManager({
+      storage: this.storage,
+      dir: this.storageType === 'memory' ? null : this.dataDir
+    });
     
-    // Initialize OpenAI for embeddings (optional - can work without it)
-    this.openai = process.env.OPENAI_API_KEY ? new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    }) : null;
+    // Language model for chat; Anthropic when ANTHROPIC_API_KEY is set, and
+    // chat is unavailable without one (see LLM_PROVIDER in README-local-setup.md)
+    this.llm = options.llm !== undefined ? options.llm : createLLMProvider();
     
     this.setupMiddleware();
     this.setupRoutes();
+    this.setupErrorHandling();
   }
 
   setupMiddleware() {
-    this.app.use(cors());
+    this.app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+    
+    // Every response carries the request id, which error bodies and the log repeat
+    this.app.use((req, res, next) => {
+      const requested = req.get('X-Request-Id');
+      req.id = requested && REQUEST_ID_PATTERN.test(requested) ? requested : `req_${crypto.randomBytes(8).toString('hex')}`;
+      res.set('X-Request-Id', req.id);
+      next();
+    });
+    
     this.app.use(express.json({ limit: '10mb' }));
     
     // Request logging
     this.app.use((req, res, next) => {
-      console.log(`[${new Date().toISOString()}] ${req.method} ${req.path}`);
+      console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} (${req.id})`);
+      next();
+    });
+    
+    // Bearer token authentication for the API
+    this.app.use('/api', this.authenticate.bind(this));
+    
+    // A user id in the path must be the caller's own
+    this.app.param('userId', (req, res, next, userId) => {
+      if (userId !== req.user.id) {
+        return this.sendError(req, res, new ApiError(403, 'FORBIDDEN', 'Forbidden'));
+      }
       next();
     });
   }
 
+  async authenticate(req, res, next) {
+    if (PUBLIC_ROUTES.includes(`${req.method} ${req.baseUrl}${req.path}`)) {
+      return next();
+    }
+
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    const token = match ? match[1] : QUERY_TOKEN_ROUTES.includes(`${req.method} ${req.baseUrl}${req.path}`) && req.query.access_token;
+    try {
+      if (typeof token !== 'string' || !token) {
+        throw new Error('Invalid token');
+      }
+      req.user = publicUser(await this.auth.verify(token));
+      next();
+    } catch (error) {
+      this.sendError(req, res, new ApiError(401, 'UNAUTHORIZED', 'Authentication required'));
+    }
+  }
+
+  requireAdmin(req, res, next) {
+    if (!req.user || req.user.role !== 'admin') {
+      return this.sendError(req, res, new ApiError(403, 'ADMIN_REQUIRED', 'Admin access required'));
+    }
+    next();
+  }
+
   setupRoutes() {
     // Health check
     this.app.get('/health', (req, res) => {
       res.json({ 
         status: 'healthy', 
         timestamp: new Date().toISOString(),
-        storage: 'local',
-        openai_enabled: !!this.openai
+        storage: this.storageType,
+        openai_enabled: this.embeddings.name === 'openai',
+        embeddings: this.embeddings.describe(),
+        anthropic_enabled: !!this.llm && this.llm.name === 'anthropic',
+        llm: this.llm ? this.llm.describe() : null
       });
     });
 
-    // Memory routes (same API as Supabase version)
+    // OpenAPI description of every route (see openapi.js)
+    this.app.get('/api/openapi.json', this.getOpenApiDocument.bind(this));
+
+    // Accounts and tokens
+    this.app.post('/api/auth/register', this.register.bind(this));
+    this.app.post('/api/auth/login', this.login.bind(this));
+    this.app.post('/api/auth/device', this.registerDevice.bind(this));
+    this.app.post('/api/auth/logout', this.logout.bind(this));
+    this.app.get('/api/auth/me', this.getCurrentUser.bind(this));
+    this.app.get('/api/auth/tokens', this.listApiTokens.bind(this));
+    this.app.post('/api/auth/tokens', this.createApiToken.bind(this));
+    this.app.delete('/api/auth/tokens/:tokenId', this.revokeApiToken.bind(this));
+    
+    // Live changes (Server-Sent Events)
+    this.app.get('/api/events', this.streamEvents.bind(this));
+    
+    // Webhooks
+    this.app.get('/api/webhooks', this.listWebhooks.bind(this));
+    this.app.post('/api/webhooks', this.createWebhook.bind(this));
+    this.app.get('/api/webhooks/dead-letters', this.listDeadLetters.bind(this));
+    this.app.get('/api/webhooks/:webhookId', this.getWebhook.bind(this));
+    this.app.put('/api/webhooks/:webhookId', this.updateWebhook.bind(this));
+    this.app.delete('/api/webhooks/:webhookId', this.deleteWebhook.bind(this));
+    this.app.post('/api/webhooks/:webhookId/secret', this.rotateWebhookSecret.bind(this));
+    this.app.post('/api/webhooks/:webhookId/ping', this.pingWebhook.bind(this));
+    this.app.get('/api/webhooks/:webhookId/deliveries', this.listWebhookDeliveries.bind(this));
+    this.app.post('/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver', this.redeliverWebhook.bind(this));
+    
+    // Memory routes
     this.app.post('/api/memory/add', this.addMemory.bind(this));
     this.app.post('/api/memory/search', this.searchMemories.bind(this));
     this.app.get('/api/memory/user/:userId', this.getUserMemories.bind(this));
     this.app.put('/api/memory/:memoryId', this.updateMemory.bind(this));
     this.app.delete('/api/memory/:memoryId', this.deleteMemory.bind(this));
+    this.app.post('/api/memory/:memoryId/pin', this.pinMemory.bind(this));
+    this.app.post('/api/memory/:memoryId/archive', this.archiveMemory.bind(this));
+    this.app.post('/api/memory/:memoryId/restore', this.restoreMemory.bind(this));
+    this.app.get('/api/memory/:memoryId/revisions', this.listRevisions.bind(this, 'memory'));
+    this.app.get('/api/memory/:memoryId/revisions/diff', this.diffRevisions.bind(this, 'memory'));
+    this.app.post('/api/memory/:memoryId/revert', this.revertRevision.bind(this, 'memory'));
+    this.app.post('/api/memory/merge', this.mergeMemories.bind(this));
+    this.app.post('/api/memory/consolidate', this.consolidateMemories.bind(this));
     
     // Batch operations
     this.app.post('/api/memory/batch/add', this.addMemoriesBatch.bind(this));
@@ -61,37 +282,356 @@ class LocalMemoryAPI {
     this.app.get('/api/notes/user/:userId', this.getUserNotes.bind(this));
     this.app.put('/api/notes/:noteId', this.updateNote.bind(this));
     this.app.delete('/api/notes/:noteId', this.deleteNote.bind(this));
+    this.app.get('/api/notes/:noteId/revisions', this.listRevisions.bind(this, 'note'));
+    this.app.get('/api/notes/:noteId/revisions/diff', this.diffRevisions.bind(this, 'note'));
+    this.app.post('/api/notes/:noteId/revert', this.revertRevision.bind(this, 'note'));
+    
+    // Trash (deleted memories and notes)
+    this.app.get('/api/trash/user/:userId', this.getTrash.bind(this));
+    this.app.post('/api/trash/:entityType/:entityId/restore', this.restoreFromTrash.bind(this));
+    this.app.delete('/api/trash/:entityType/:entityId', this.purgeFromTrash.bind(this));
     
     // Mindmap routes
     this.app.post('/api/mindmap/node', this.addMindmapNode.bind(this));
+    this.app.put('/api/mindmap/node/:nodeId', this.updateMindmapNode.bind(this));
+    this.app.delete('/api/mindmap/node/:nodeId', this.deleteMindmapNode.bind(this));
+    this.app.post('/api/mindmap/node/:nodeId/merge', this.mergeMindmapNodes.bind(this));
+    this.app.get('/api/mindmap/node/:nodeId/neighbours', this.getMindmapNeighbours.bind(this));
+    this.app.get('/api/mindmap/node/:nodeId/documents', this.getConceptDocuments.bind(this));
     this.app.post('/api/mindmap/edge', this.addMindmapEdge.bind(this));
+    this.app.put('/api/mindmap/edge/:edgeId', this.updateMindmapEdge.bind(this));
+    this.app.delete('/api/mindmap/edge/:edgeId', this.deleteMindmapEdge.bind(this));
+    this.app.get('/api/mindmap/path', this.getPrerequisitePath.bind(this));
+    this.app.get('/api/mindmap/cycles', this.getPrerequisiteCycles.bind(this));
     this.app.get('/api/mindmap/user/:userId', this.getUserMindmap.bind(this));
+    this.app.get('/api/mindmap/all', this.getMindMap.bind(this));
+    
+    // Concept mastery routes
+    this.app.get('/api/mastery', this.listConceptMastery.bind(this));
+    this.app.post('/api/mastery/evidence', this.recordMasteryEvidence.bind(this));
+    
+    // Flashcard routes
+    this.app.get('/api/flashcards', this.listFlashcards.bind(this));
+    this.app.post('/api/flashcards', this.createFlashcard.bind(this));
+    this.app.post('/api/flashcards/generate', this.generateFlashcards.bind(this));
+    this.app.get('/api/flashcards/due', this.getDueFlashcards.bind(this));
+    this.app.get('/api/flashcards/stats', this.getFlashcardStats.bind(this));
+    this.app.get('/api/flashcards/:cardId', this.getFlashcard.bind(this));
+    this.app.put('/api/flashcards/:cardId', this.updateFlashcard.bind(this));
+    this.app.delete('/api/flashcards/:cardId', this.deleteFlashcard.bind(this));
+    this.app.post('/api/flashcards/:cardId/review', this.reviewFlashcard.bind(this));
+    
+    // Chat and dashboard routes
+    this.app.post('/api/chat/ask', this.handleChatQuery.bind(this));
+    this.app.get('/api/chat/sessions', this.listChatSessions.bind(this));
+    this.app.post('/api/chat/sessions', this.createChatSession.bind(this));
+    this.app.get('/api/chat/sessions/:sessionId', this.getChatSession.bind(this));
+    this.app.put('/api/chat/sessions/:sessionId', this.renameChatSession.bind(this));
+    this.app.delete('/api/chat/sessions/:sessionId', this.deleteChatSession.bind(this));
+    this.app.post('/api/chat/sessions/:sessionId/fork', this.forkChatSession.bind(this));
+    this.app.post('/api/chat/sessions/:sessionId/messages', this.sendChatMessage.bind(this));
+    this.app.post('/api/chat/sessions/:sessionId/messages/stream', this.streamChatMessage.bind(this));
+    this.app.get('/api/metrics', this.getMetrics.bind(this));
     
     // Utility routes
     this.app.get('/api/stats/user/:userId', this.getUserStats.bind(this));
-    this.app.post('/api/backup', this.createBackup.bind(this));
-    this.app.post('/api/restore', this.restoreBackup.bind(this));
+    this.app.use('/api/admin', this.requireAdmin.bind(this));
+    this.app.get('/api/admin/reembed', this.getReembedStatus.bind(this));
+    this.app.post('/api/admin/reembed', this.startReembed.bind(this));
+    this.app.post('/api/admin/reembed/pause', this.pauseReembed.bind(this));
+    this.app.get('/api/admin/consolidate', this.getConsolidationReport.bind(this));
+    this.app.post('/api/admin/consolidate', this.runConsolidation.bind(this));
+    this.app.post('/api/admin/archive', this.runArchival.bind(this));
+    this.app.get('/api/admin/schema', this.getSchemaReport.bind(this));
+    
+    // Backups (admin)
+    this.app.use('/api/backups', this.requireAdmin.bind(this));
+    this.app.get('/api/backups', this.listBackups.bind(this));
+    this.app.post('/api/backups', this.createBackup.bind(this));
+    this.app.get('/api/backups/:backupId', this.getBackup.bind(this));
+    this.app.get('/api/backups/:backupId/download', this.downloadBackup.bind(this));
+    this.app.post('/api/backups/:backupId/restore', this.restoreBackup.bind(this));
+    this.app.delete('/api/backups/:backupId', this.deleteBackup.bind(this));
   }
 
-  // Memory operations
-  async addMemory(req, res) {
+  setupErrorHandling() {
+    this.app.use('/api', (req, res) => {
+      this.sendError(req, res, new ApiError(404, 'NOT_FOUND', `No route for ${req.method} ${req.baseUrl}${req.path}`));
+    });
+    
+    // Malformed JSON bodies and anything a route let through
+    this.app.use((error, req, res, next) => {
+      if (res.headersSent) {
+        return next(error);
+      }
+      this.sendError(req, res, error, `handling ${req.method} ${req.path}`);
+    });
+  }
+
+  // The request's params, query and body checked against the handler's
+  // schema in request-schemas.js, with defaults filled in
+  validate(req, handler) {
+    return validateRequest(REQUEST_SCHEMAS[handler], req);
+  }
+
+  // Answer with the error envelope (see api-errors.js); only unexpected
+  // errors are logged, with the request id to find them by
+  sendError(req, res, error, action = 'handling request') {
+    const described = describeError(error);
+    const requestId = req.id || null;
+    if (described.code === 'INTERNAL_ERROR') {
+      console.error(`[Local Memory API] Error ${action}${requestId ? ` (${requestId})` : ''}:`, error);
+    }
+    res.status(described.status).json(errorBody(described, requestId));
+  }
+
+  getOpenApiDocument(req, res) {
+    if (!this.openApiDocument) {
+      this.openApiDocument = createOpenApiDocument();
+    }
+    res.json(this.openApiDocument);
+  }
+
+  // Accounts and tokens
+  async register(req, res) {
     try {
-      const { content, metadata = {} } = req.body;
-      
-      if (!content || content.trim().length === 0) {
-        return res.status(400).json({ error: 'Content is required' });
+      const { username, password } = this.validate(req, 'register').body;
+      const user = await this.auth.register(username, password);
+      const session = this.auth.createSession(user);
+      res.status(201).json({ success: true, user: publicUser(user), ...session });
+    } catch (error) {
+      this.sendError(req, res, error, 'registering user');
+    }
+  }
+
+  async login(req, res) {
+    try {
+      const { username, password } = this.validate(req, 'login').body;
+      const { user, token, expiresAt } = await this.auth.login(username, password);
+      res.json({ success: true, user: publicUser(user), token, expiresAt });
+    } catch (error) {
+      this.sendError(req, res, error, 'logging in');
+    }
+  }
+
+  // Passwordless account for the browser extension, signed in with an API token
+  async registerDevice(req, res) {
+    try {
+      const { name = 'extension' } = this.validate(req, 'registerDevice').body;
+      const { user, token } = await this.auth.registerDevice(name);
+      res.status(201).json({ success: true, user: publicUser(user), token: token.token, tokenId: token.id });
+    } catch (error) {
+      this.sendError(req, res, error, 'registering device');
+    }
+  }
+
+  async logout(req, res) {
+    try {
+      this.validate(req, 'logout');
+      await this.auth.logout(req.user.id);
+      res.json({ success: true });
+    } catch (error) {
+      this.sendError(req, res, error, 'logging out');
+    }
+  }
+
+  async getCurrentUser(req, res) {
+    res.json({ success: true, user: req.user });
+  }
+
+  async listApiTokens(req, res) {
+    try {
+      res.json({ success: true, tokens: this.auth.listApiTokens(req.user.id) });
+    } catch (error) {
+      this.sendError(req, res, error, 'listing tokens');
+    }
+  }
+
+  async createApiToken(req, res) {
+    try {
+      const { name = 'api' } = this.validate(req, 'createApiToken').body;
+      const token = await this.auth.createApiToken(req.user.id, name);
+      res.status(201).json({ success: true, token });
+    } catch (error) {
+      this.sendError(req, res, error, 'creating token');
+    }
+  }
+
+  async revokeApiToken(req, res) {
+    try {
+      const { tokenId } = this.validate(req, 'revokeApiToken').params;
+      await this.auth.revokeApiToken(req.user.id, tokenId);
+      res.json({ success: true });
+    } catch (error) {
+      this.sendError(req, res, error, 'revoking token');
+    }
+  }
+
+
+  // Server-Sent Events with the caller's changes as they happen. A client
+  // reconnecting with Last-Event-ID (or ?lastEventId=) is first sent what it
+  // missed, or a resync event when that is no longer known.
+  streamEvents(req, res) {
+    let query;
+    try {
+      query = this.validate(req, 'streamEvents').query;
+    } catch (error) {
+      return this.sendError(req, res, error, 'opening event stream');
+    }
+    const userId = req.user.id;
+    const lastEventId = req.get('Last-Event-ID') || query.lastEventId || null;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+    const send = event => res.write(formatEvent(event));
+    if (lastEventId) {
+      const missed = this.events.since(userId, lastEventId);
+      if (missed) {
+        missed.forEach(send);
+      } else {
+        send({ id: this.events.lastEventId(), type: RESYNC_EVENT, data: { reason: 'events-missed' } });
       }
+    }
+    const unsubscribe = this.events.subscribe(userId, send);
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), EVENT_HEARTBEAT_MS);
+
+    console.log(`[Events] Stream opened for ${userId} (${this.events.connections} open)`);
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+      console.log(`[Events] Stream closed for ${userId} (${this.events.connections} open)`);
+    });
+  }
+
+  // Webhooks
+  async listWebhooks(req, res) {
+    try {
+      const webhooks = await this.webhooks.list(req.user.id);
+      res.json({ success: true, webhooks: webhooks.map(publicWebhook) });
+    } catch (error) {
+      this.sendError(req, res, error, 'listing webhooks');
+    }
+  }
+
+  // The response carries the signing secret; it is not shown again
+  async createWebhook(req, res) {
+    try {
+      const body = this.validate(req, 'createWebhook').body;
+      await this.checkWebhookUrl(body.url);
+      const webhook = await this.webhooks.create(req.user.id, body);
+      res.status(201).json({ success: true, webhook });
+    } catch (error) {
+      this.sendError(req, res, error, 'creating webhook');
+    }
+  }
+
+  async getWebhook(req, res) {
+    try {
+      const { webhookId } = this.validate(req, 'getWebhook').params;
+      const webhook = await this.webhooks.get(req.user.id, webhookId);
+      res.json({ success: true, webhook: publicWebhook(webhook) });
+    } catch (error) {
+      this.sendError(req, res, error, 'reading webhook');
+    }
+  }
+
+  async updateWebhook(req, res) {
+    try {
+      const { params: { webhookId }, body } = this.validate(req, 'updateWebhook');
+      if (body.url !== undefined) await this.checkWebhookUrl(body.url);
+      const webhook = await this.webhooks.update(req.user.id, webhookId, body);
+      res.json({ success: true, webhook: publicWebhook(webhook) });
+    } catch (error) {
+      this.sendError(req, res, error, 'updating webhook');
+    }
+  }
+
+  // Private and local addresses are refused unless WEBHOOK_ALLOW_PRIVATE is
+  // set. A host that doesn't resolve yet is checked again on every delivery.
+  async checkWebhookUrl(url) {
+    if (!this.webhooks.allowPrivate && await this.webhooks.classifyTarget(url) === 'private') {
+      throw new ValidationError([{ location: 'body', field: 'url', message: 'must not point at a private or local address' }]);
+    }
+  }
+
+  async deleteWebhook(req, res) {
+    try {
+      const { webhookId } = this.validate(req, 'deleteWebhook').params;
+      await this.webhooks.delete(req.user.id, webhookId);
+      res.json({ success: true });
+    } catch (error) {
+      this.sendError(req, res, error, 'deleting webhook');
+    }
+  }
+
+  async rotateWebhookSecret(req, res) {
+    try {
+      const { webhookId } = this.validate(req, 'rotateWebhookSecret').params;
+      const webhook = await this.webhooks.rotateSecret(req.user.id, webhookId);
+      res.json({ success: true, webhook });
+    } catch (error) {
+      this.sendError(req, res, error, 'rotating webhook secret');
+    }
+  }
+
+  async pingWebhook(req, res) {
+    try {
+      const { webhookId } = this.validate(req, 'pingWebhook').params;
+      const delivery = await this.webhooks.ping(req.user.id, webhookId);
+      res.status(202).json({ success: true, delivery: publicDelivery(delivery) });
+    } catch (error) {
+      this.sendError(req, res, error, 'pinging webhook');
+    }
+  }
+
+  async listWebhookDeliveries(req, res) {
+    try {
+      const { params: { webhookId }, query } = this.validate(req, 'listWebhookDeliveries');
+      const deliveries = await this.webhooks.listDeliveries(req.user.id, webhookId, query);
+      res.json({ success: true, deliveries: deliveries.map(publicDelivery) });
+    } catch (error) {
+      this.sendError(req, res, error, 'listing webhook deliveries');
+    }
+  }
+
+  async listDeadLetters(req, res) {
+    try {
+      const { query } = this.validate(req, 'listDeadLetters');
+      const deliveries = await this.webhooks.listDeadLetters(req.user.id, query);
+      res.json({ success: true, deliveries: deliveries.map(publicDelivery) });
+    } catch (error) {
+      this.sendError(req, res, error, 'listing dead letters');
+    }
+  }
 
-      const userId = metadata.userId || 'default_user';
+  async redeliverWebhook(req, res) {
+    try {
+      const { webhookId, deliveryId } = this.validate(req, 'redeliverWebhook').params;
+      const delivery = await this.webhooks.redeliver(req.user.id, webhookId, deliveryId);
+      res.status(202).json({ success: true, delivery: publicDelivery(delivery) });
+    } catch (error) {
+      this.sendError(req, res, error, 'redelivering webhook');
+    }
+  }
+
+  // Memory operations
+  async addMemory(req, res) {
+    try {
+      const { content, metadata = {} } = this.validate(req, 'addMemory').body;
+      const userId = req.user.id;
       
-      // Generate embedding if OpenAI is available
       let embedding = null;
-      if (this.openai) {
-        try {
-          embedding = await this.generateEmbedding(content);
-        } catch (error) {
-          console.warn('[Local Memory API] Could not generate embedding:', error.message);
-        }
+      try {
+        embedding = await this.generateEmbedding(content, userId, { document: true });
+      } catch (error) {
+        console.warn('[Local Memory API] Could not generate embedding:', error.message);
       }
       
       // Categorize the memory
@@ -103,10 +643,15 @@ class LocalMemoryAPI {
         category: category,
         timestamp: new Date().toISOString(),
         source: metadata.source || 'api',
-        embedding: embedding
+        embedding: embedding,
+        embedding_model: this.embeddings.modelId
       };
 
       const memory = await this.storage.addMemory(content, memoryMetadata, userId);
+      this.keywordIndex.upsertMemory(memory);
+      await this.history.record('memory', 'create', memory);
+      this.events.recordChange('memory', 'created', memory);
+      const duplicates = await this.suggestDuplicates(memory);
 
       console.log(`[Local Memory API] Added memory: ${memory.id} for user: ${userId}`);
       res.json({ 
@@ -117,72 +662,66 @@ class LocalMemoryAPI {
           metadata: memory.metadata,
           category: memory.metadata.category,
           timestamp: memory.created_at
-        }
+        },
+        duplicates
       });
 
     } catch (error) {
-      console.error('[Local Memory API] Error adding memory:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'adding memory');
     }
   }
 
   async searchMemories(req, res) {
     try {
-      const { query, userId, limit = 5 } = req.body;
-      
-      if (!query || !userId) {
-        return res.status(400).json({ error: 'Query and userId are required' });
-      }
+      const { query, limit, mode, includeNotes, includeArchived } = this.validate(req, 'searchMemories').body;
+      const userId = req.user.id;
 
-      let memories = [];
-      
-      if (this.openai) {
-        // Use vector similarity search if OpenAI is available
-        try {
-          const queryEmbedding = await this.generateEmbedding(query);
-          memories = await this.storage.searchMemories(queryEmbedding, userId, 0.7, limit);
-        } catch (error) {
-          console.warn('[Local Memory API] Vector search failed, falling back to text search:', error.message);
-          memories = await this.textSearchMemories(query, userId, limit);
-        }
-      } else {
-        // Fall back to simple text search
-        memories = await this.textSearchMemories(query, userId, limit);
-      }
+      const { memories, notes, staleEmbeddings } = await this.rankedSearch(query, userId, { mode, limit, includeNotes, includeArchived });
 
       const formattedMemories = memories.map(item => ({
-        id: item.id,
-        content: item.content,
-        metadata: item.metadata,
-        relevanceScore: item.similarity || 1.0,
-        timestamp: item.created_at
+        id: item.record.id,
+        content: item.record.content,
+        metadata: item.record.metadata,
+        relevanceScore: item.relevanceScore,
+        importance: item.scores.importance,
+        archived: !!item.record.archived_at,
+        timestamp: item.record.created_at,
+        scores: item.scores
+      }));
+      const formattedNotes = notes.map(item => ({
+        ...item.record,
+        relevanceScore: item.relevanceScore,
+        scores: item.scores
       }));
 
-      console.log(`[Local Memory API] Found ${formattedMemories.length} memories for query: "${query}"`);
-      res.json({ success: true, memories: formattedMemories });
+      console.log(`[Local Memory API] Found ${formattedMemories.length} memories and ${formattedNotes.length} notes for ${mode} query: "${query}"`);
+      res.json({ success: true, mode, memories: formattedMemories, notes: formattedNotes, staleEmbeddings });
 
     } catch (error) {
-      console.error('[Local Memory API] Error searching memories:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'searching memories');
     }
   }
 
   async getUserMemories(req, res) {
     try {
-      const { userId } = req.params;
-      const { limit = 50, offset = 0, category } = req.query;
+      const userId = req.user.id;
+      const { limit, offset, category, tier } = this.validate(req, 'getUserMemories').query;
 
       const result = await this.storage.getUserMemories(
         userId, 
-        parseInt(limit), 
-        parseInt(offset), 
-        category
+        limit, 
+        offset, 
+        category,
+        { tier }
       );
 
+      const now = Date.now();
       const formattedMemories = result.memories.map(item => ({
         id: item.id,
         content: item.content,
         metadata: item.metadata,
+        importance: this.importance.score(item, now),
+        archived_at: item.archived_at || null,
         timestamp: item.created_at
       }));
 
@@ -193,38 +732,43 @@ class LocalMemoryAPI {
       });
 
     } catch (error) {
-      console.error('[Local Memory API] Error getting user memories:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'getting user memories');
     }
   }
 
   async updateMemory(req, res) {
     try {
-      const { memoryId } = req.params;
-      const { content, metadata, userId } = req.body;
+      const { params: { memoryId }, body: { content, metadata } } = this.validate(req, 'updateMemory');
+      const userId = req.user.id;
 
+      const previous = await this.findMemoryById(memoryId, userId);
       const updates = {};
 
+      // Metadata is merged into what the memory has, so the keys the server
+      // keeps there (the pin, access counts, merge provenance) survive an
+      // edit unless the body sets them
       if (content) {
         updates.content = content.trim();
         updates.metadata = {
+          ...previous.metadata,
           ...metadata,
           category: this.categorizeMemory(content)
         };
         
-        // Update embedding if OpenAI is available
-        if (this.openai) {
-          try {
-            updates.embedding = await this.generateEmbedding(content);
-          } catch (error) {
-            console.warn('[Local Memory API] Could not update embedding:', error.message);
-          }
+        try {
+          updates.embedding = await this.generateEmbedding(content, userId);
+          updates.embedding_model = this.embeddings.modelId;
+        } catch (error) {
+          console.warn('[Local Memory API] Could not update embedding:', error.message);
         }
       } else if (metadata) {
-        updates.metadata = metadata;
+        updates.metadata = { ...previous.metadata, ...metadata };
       }
 
       const memory = await this.storage.updateMemory(memoryId, updates, userId);
+      this.keywordIndex.upsertMemory(memory);
+      await this.history.record('memory', 'update', memory, previous);
+      this.events.recordChange('memory', 'updated', memory);
 
       res.json({ 
         success: true, 
@@ -237,49 +781,136 @@ class LocalMemoryAPI {
       });
 
     } catch (error) {
-      if (error.message === 'Memory not found') {
-        return res.status(404).json({ error: 'Memory not found' });
-      }
-      console.error('[Local Memory API] Error updating memory:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'updating memory');
     }
   }
 
   async deleteMemory(req, res) {
     try {
-      const { memoryId } = req.params;
-      const { userId } = req.body;
+      const { memoryId } = this.validate(req, 'deleteMemory').params;
+      const userId = req.user.id;
 
+      // The delete revision keeps the memory restorable from the trash
+      const memory = await this.findMemoryById(memoryId, userId);
+      await this.history.record('memory', 'delete', memory);
       await this.storage.deleteMemory(memoryId, userId);
+      this.keywordIndex.removeMemory(memoryId, userId);
+      this.events.recordChange('memory', 'deleted', memory);
       res.json({ success: true });
 
     } catch (error) {
-      if (error.message === 'Memory not found') {
-        return res.status(404).json({ error: 'Memory not found' });
+      this.sendError(req, res, error, 'deleting memory');
+    }
+  }
+
+  // Pinned memories keep full importance and are never archived
+  async pinMemory(req, res) {
+    try {
+      const { params: { memoryId }, body: { pinned } } = this.validate(req, 'pinMemory');
+      const userId = req.user.id;
+
+      const memory = await this.findMemoryById(memoryId, userId);
+      const updated = await this.storage.updateMemory(memoryId, { metadata: { ...memory.metadata, pinned } }, userId);
+      this.keywordIndex.upsertMemory(updated);
+      this.events.recordChange('memory', 'updated', updated);
+
+      res.json({ success: true, memory: this.formatTieredMemory(updated) });
+
+    } catch (error) {
+      this.sendError(req, res, error, 'pinning memory');
+    }
+  }
+
+  async archiveMemory(req, res) {
+    try {
+      const { memoryId } = this.validate(req, 'archiveMemory').params;
+      const memory = await this.archiver.archive(memoryId, req.user.id);
+      res.json({ success: true, memory: this.formatTieredMemory(memory) });
+    } catch (error) {
+      this.sendError(req, res, error, 'archiving memory');
+    }
+  }
+
+  async restoreMemory(req, res) {
+    try {
+      const { memoryId } = this.validate(req, 'restoreMemory').params;
+      const userId = req.user.id;
+
+      const memory = await this.archiver.restore(await this.findMemoryById(memoryId, userId));
+      res.json({ success: true, memory: this.formatTieredMemory(memory) });
+    } catch (error) {
+      this.sendError(req, res, error, 'restoring memory');
+    }
+  }
+
+  formatTieredMemory(memory) {
+    return {
+      id: memory.id,
+      content: memory.content,
+      metadata: memory.metadata,
+      importance: this.importance.score(memory),
+      archived_at: memory.archived_at || null,
+      timestamp: memory.created_at
+    };
+  }
+
+  async mergeMemories(req, res) {
+    try {
+      const { memoryIds, canonicalId } = this.validate(req, 'mergeMemories').body;
+      const userId = req.user.id;
+
+      if (new Set(memoryIds).size < 2) {
+        throw new ValidationError([{ location: 'body', field: 'memoryIds', message: 'must name at least two different memories' }]);
       }
-      console.error('[Local Memory API] Error deleting memory:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      if (canonicalId && !memoryIds.includes(canonicalId)) {
+        throw new ValidationError([{ location: 'body', field: 'canonicalId', message: 'must be one of memoryIds' }]);
+      }
+
+      const memory = await this.consolidator.merge(userId, memoryIds, canonicalId);
+      res.json({
+        success: true,
+        memory: {
+          id: memory.id,
+          content: memory.content,
+          metadata: memory.metadata,
+          timestamp: memory.updated_at
+        },
+        merged: new Set(memoryIds).size - 1
+      });
+
+    } catch (error) {
+      this.sendError(req, res, error, 'merging memories');
+    }
+  }
+
+  // Cluster a user's near-duplicate memories; dry run (the default) only
+  // reports what would be merged
+  async consolidateMemories(req, res) {
+    try {
+      const { dryRun, threshold = this.embeddings.thresholds.duplicate } = this.validate(req, 'consolidateMemories').body;
+      const userId = req.user.id;
+
+      const report = await this.consolidator.run({ userId, threshold, dryRun });
+      res.json({ success: true, report });
+
+    } catch (error) {
+      this.sendError(req, res, error, 'consolidating memories');
     }
   }
 
   async addMemoriesBatch(req, res) {
     try {
-      const { memories, userId } = req.body;
-      
-      if (!Array.isArray(memories) || memories.length === 0) {
-        return res.status(400).json({ error: 'Memories array is required' });
-      }
+      const { memories } = this.validate(req, 'addMemoriesBatch').body;
+      const userId = req.user.id;
 
       const processedMemories = [];
       
       for (const memory of memories) {
         let embedding = null;
-        if (this.openai) {
-          try {
-            embedding = await this.generateEmbedding(memory.content);
-          } catch (error) {
-            console.warn('[Local Memory API] Could not generate embedding for batch item:', error.message);
-          }
+        try {
+          embedding = await this.generateEmbedding(memory.content, userId, { document: true });
+        } catch (error) {
+          console.warn('[Local Memory API] Could not generate embedding for batch item:', error.message);
         }
         
         const category = this.categorizeMemory(memory.content);
@@ -287,6 +918,7 @@ class LocalMemoryAPI {
         processedMemories.push({
           content: memory.content.trim(),
           embedding: embedding,
+          embedding_model: this.embeddings.modelId,
           metadata: {
             ...memory.metadata,
             category: category,
@@ -297,17 +929,22 @@ class LocalMemoryAPI {
       }
 
       const result = await this.storage.addMemoriesBatch(processedMemories, userId);
+      for (const memory of result) {
+        this.keywordIndex.upsertMemory(memory);
+        await this.history.record('memory', 'create', memory);
+        this.events.recordChange('memory', 'created', memory);
+      }
       res.json({ success: true, count: result.length, memories: result });
 
     } catch (error) {
-      console.error('[Local Memory API] Error in batch add:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'in batch add');
     }
   }
 
   async getContextualMemories(req, res) {
     try {
-      const { context, userId, limit = 6 } = req.body;
+      const { context, limit } = this.validate(req, 'getContextualMemories').body;
+      const userId = req.user.id;
       const { url, pageTitle, selectedText, recentActivity } = context;
 
       // Build search queries from context
@@ -322,187 +959,1351 @@ class LocalMemoryAPI {
       
       // Search for each query
       for (const query of queries) {
-        let memories = [];
-        
-        if (this.openai) {
-          try {
-            const queryEmbedding = await this.generateEmbedding(query);
-            memories = await this.storage.searchMemories(queryEmbedding, userId, 0.6, 3);
-          } catch (error) {
-            memories = await this.textSearchMemories(query, userId, 3);
-          }
-        } else {
-          memories = await this.textSearchMemories(query, userId, 3);
-        }
-        
+        const memories = await this.findMemories(query, userId, this.embeddings.thresholds.context, 3);
         allMemories.push(...memories);
       }
 
-      // Deduplicate and sort by relevance
-      const uniqueMemories = this.deduplicateMemories(allMemories);
+      // Deduplicate and rank by relevance weighted by importance
+      const uniqueMemories = this.rankByImportance(this.deduplicateMemories(allMemories));
       const topMemories = uniqueMemories.slice(0, limit);
+      await this.recordAccess(topMemories, userId);
 
       const formattedMemories = topMemories.map(item => ({
         id: item.id,
         content: item.content,
         metadata: item.metadata,
         relevanceScore: item.similarity || 1.0,
+        importance: item.importance,
         timestamp: item.created_at
       }));
 
       res.json({ success: true, memories: formattedMemories });
 
     } catch (error) {
-      console.error('[Local Memory API] Error getting contextual memories:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'getting contextual memories');
     }
   }
 
   // Notes operations
   async addNote(req, res) {
     try {
-      const { content, metadata = {} } = req.body;
-      const userId = metadata.userId || 'default_user';
+      const { content, metadata = {} } = this.validate(req, 'addNote').body;
+      const userId = req.user.id;
       
       const note = await this.storage.addNote(content, metadata, userId);
+      this.keywordIndex.upsertNote(note);
+      await this.history.record('note', 'create', note);
+      this.events.recordChange('note', 'created', note);
       res.json({ success: true, note });
     } catch (error) {
-      console.error('[Local Memory API] Error adding note:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'adding note');
     }
   }
 
   async getUserNotes(req, res) {
     try {
-      const { userId } = req.params;
-      const { limit = 50, offset = 0 } = req.query;
+      const userId = req.user.id;
+      const { limit, offset } = this.validate(req, 'getUserNotes').query;
       
-      const notes = await this.storage.getUserNotes(userId, parseInt(limit), parseInt(offset));
+      const notes = await this.storage.getUserNotes(userId, limit, offset);
       res.json({ success: true, notes });
     } catch (error) {
-      console.error('[Local Memory API] Error getting notes:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'getting notes');
     }
   }
 
   async updateNote(req, res) {
     try {
-      const { noteId } = req.params;
-      const { userId, ...updates } = req.body;
+      const { params: { noteId }, body: updates } = this.validate(req, 'updateNote');
+      const userId = req.user.id;
       
+      const previous = await this.findNoteById(noteId, userId);
       const note = await this.storage.updateNote(noteId, updates, userId);
+      this.keywordIndex.upsertNote(note);
+      await this.history.record('note', 'update', note, previous);
+      this.events.recordChange('note', 'updated', note);
       res.json({ success: true, note });
     } catch (error) {
-      if (error.message === 'Note not found') {
-        return res.status(404).json({ error: 'Note not found' });
-      }
-      console.error('[Local Memory API] Error updating note:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'updating note');
     }
   }
 
   async deleteNote(req, res) {
     try {
-      const { noteId } = req.params;
-      const { userId } = req.body;
+      const { noteId } = this.validate(req, 'deleteNote').params;
+      const userId = req.user.id;
       
+      const note = await this.findNoteById(noteId, userId);
+      await this.history.record('note', 'delete', note);
       await this.storage.deleteNote(noteId, userId);
+      this.keywordIndex.removeNote(noteId, userId);
+      this.events.recordChange('note', 'deleted', note);
       res.json({ success: true });
     } catch (error) {
-      if (error.message === 'Note not found') {
-        return res.status(404).json({ error: 'Note not found' });
+      this.sendError(req, res, error, 'deleting note');
+    }
+  }
+
+  // Revision history (memories and notes)
+  async listRevisions(entityType, req, res) {
+    try {
+      const entityId = this.revisionEntityId(entityType, this.validate(req, 'listRevisions').params);
+      const userId = req.user.id;
+
+      const revisions = await this.history.list(entityType, entityId, userId);
+      if (revisions.length === 0) {
+        // Entities from before revision history have none yet
+        await this.findEntity(entityType, entityId, userId);
+      }
+      res.json({ success: true, revisions });
+
+    } catch (error) {
+      this.sendError(req, res, error, 'listing revisions');
+    }
+  }
+
+  // ?from=&to= revision numbers; by default the latest change
+  async diffRevisions(entityType, req, res) {
+    try {
+      const { params, query: { from = null, to = null } } = this.validate(req, 'diffRevisions');
+      const entityId = this.revisionEntityId(entityType, params);
+      const userId = req.user.id;
+
+      const diff = await this.history.diff(entityType, entityId, userId, { from, to });
+      res.json({ success: true, diff });
+
+    } catch (error) {
+      this.sendError(req, res, error, 'diffing revisions');
+    }
+  }
+
+  // Bring back the content and metadata of an earlier revision; the revert
+  // is itself a new revision, so it can be undone too
+  async revertRevision(entityType, req, res) {
+    try {
+      const { params, body: { revision: number } } = this.validate(req, 'revertRevision');
+      const entityId = this.revisionEntityId(entityType, params);
+      const userId = req.user.id;
+
+      const { snapshot } = await this.history.get(entityType, entityId, userId, number);
+      const current = await this.findEntity(entityType, entityId, userId);
+
+      let record;
+      if (entityType === 'memory') {
+        const updates = { content: snapshot.content, metadata: snapshot.metadata };
+        if (snapshot.content !== current.content) {
+          Object.assign(updates, await this.embeddingUpdate(snapshot.content, userId));
+        }
+        record = await this.storage.updateMemory(entityId, updates, userId);
+        this.keywordIndex.upsertMemory(record);
+      } else {
+        const { created_at, ...updates } = snapshot;
+        record = await this.storage.updateNote(entityId, updates, userId);
+        this.keywordIndex.upsertNote(record);
+      }
+      const revision = await this.history.record(entityType, 'revert', record, current);
+      this.events.recordChange(entityType, 'updated', record);
+
+      console.log(`[Local Memory API] Reverted ${entityType} ${entityId} to revision ${number}`);
+      res.json({ success: true, [entityType]: this.formatRevisionEntity(entityType, record), revision: revision.revision });
+
+    } catch (error) {
+      this.sendError(req, res, error, 'reverting');
+    }
+  }
+
+  async getTrash(req, res) {
+    try {
+      const userId = req.user.id;
+      const { type = null } = this.validate(req, 'getTrash').query;
+
+      const items = await this.history.trash(userId, type);
+      res.json({ success: true, items, total: items.length });
+
+    } catch (error) {
+      this.sendError(req, res, error, 'getting trash');
+    }
+  }
+
+  // Put a deleted memory or note back under its original id
+  async restoreFromTrash(req, res) {
+    try {
+      const { entityType, entityId } = this.validate(req, 'restoreFromTrash').params;
+      const userId = req.user.id;
+
+      const { snapshot } = await this.history.trashed(entityType, entityId, userId);
+
+      let record;
+      if (entityType === 'memory') {
+        const embedding = await this.embeddingUpdate(snapshot.content, userId);
+        record = await this.storage.insertMemory({ id: entityId, user_id: userId, ...snapshot, ...embedding });
+        this.keywordIndex.upsertMemory(record);
+      } else {
+        record = await this.storage.insertNote({ id: entityId, user_id: userId, ...snapshot });
+        this.keywordIndex.upsertNote(record);
       }
-      console.error('[Local Memory API] Error deleting note:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      await this.history.record(entityType, 'restore', record);
+      this.events.recordChange(entityType, 'created', record);
+
+      console.log(`[Local Memory API] Restored ${entityType} ${entityId} from trash for user: ${userId}`);
+      res.json({ success: true, [entityType]: this.formatRevisionEntity(entityType, record) });
+
+    } catch (error) {
+      this.sendError(req, res, error, 'restoring from trash');
     }
   }
 
+  // Delete for good: the entity's whole history goes with it
+  async purgeFromTrash(req, res) {
+    try {
+      const { entityType, entityId } = this.validate(req, 'purgeFromTrash').params;
+      const userId = req.user.id;
+
+      const purged = await this.history.purge(entityType, entityId, userId);
+      res.json({ success: true, purged });
+
+    } catch (error) {
+      this.sendError(req, res, error, 'purging from trash');
+    }
+  }
+
+  revisionEntityId(entityType, params) {
+    return entityType === 'memory' ? params.memoryId : params.noteId;
+  }
+
+  findEntity(entityType, entityId, userId) {
+    return entityType === 'memory' ? this.findMemoryById(entityId, userId) : this.findNoteById(entityId, userId);
+  }
+
+  formatRevisionEntity(entityType, record) {
+    return entityType === 'memory' ? this.formatTieredMemory(record) : record;
+  }
+
+  // Fresh vector for restored content; the memory is kept without one if
+  // the provider fails
+  async embeddingUpdate(content, userId) {
+    try {
+      return { embedding: await this.generateEmbedding(content, userId, { document: true }), embedding_model: this.embeddings.modelId };
+    } catch (error) {
+      console.warn('[Local Memory API] Could not generate embedding:', error.message);
+      return { embedding: null, embedding_model: null };
+    }
+  }
+
+
   // Mindmap operations
   async addMindmapNode(req, res) {
     try {
-      const { label, metadata = {} } = req.body;
-      const userId = metadata.userId || 'default_user';
+      const { label, metadata = {} } = this.validate(req, 'addMindmapNode').body;
+      const userId = req.user.id;
       
       const node = await this.storage.addMindmapNode(label, metadata, userId);
+      this.events.recordChange('mindmap.node', 'created', node);
+      res.json({ success: true, node });
+    } catch (error) {
+      this.sendError(req, res, error, 'adding mindmap node');
+    }
+  }
+
+  // `pinned` is kept in the node's metadata, which the rest of it is merged
+  // into
+  async updateMindmapNode(req, res) {
+    try {
+      const { params: { nodeId }, body: { pinned, ...updates } } = this.validate(req, 'updateMindmapNode');
+      const userId = req.user.id;
+      
+      if (pinned !== undefined) {
+        const existing = await this.findMindmapNode(nodeId, userId);
+        updates.metadata = { ...(updates.metadata || existing.metadata || {}), pinned };
+      }
+      const node = await this.storage.updateMindmapNode(nodeId, updates, userId);
+      this.events.recordChange('mindmap.node', 'updated', node);
       res.json({ success: true, node });
     } catch (error) {
-      console.error('[Local Memory API] Error adding mindmap node:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'updating mindmap node');
     }
   }
 
+  // The node's edges are deleted with it
+  async deleteMindmapNode(req, res) {
+    try {
+      const { nodeId } = this.validate(req, 'deleteMindmapNode').params;
+      const userId = req.user.id;
+      
+      const node = await this.findMindmapNode(nodeId, userId);
+      const edges = await this.storage.deleteMindmapNode(nodeId, userId);
+      edges.forEach(edge => this.events.recordChange('mindmap.edge', 'deleted', edge));
+      this.events.recordChange('mindmap.node', 'deleted', node);
+      res.json({ success: true, deletedEdges: edges.map(edge => edge.id) });
+    } catch (error) {
+      this.sendError(req, res, error, 'deleting mindmap node');
+    }
+  }
+
+  // Fold `nodeIds` into the node: their edges move onto it (see planMerge
+  // in mindmap-graph.js), they are deleted, and the node lists them under
+  // metadata.merged_from
+  async mergeMindmapNodes(req, res) {
+    try {
+      const { params: { nodeId }, body: { nodeIds } } = this.validate(req, 'mergeMindmapNodes');
+      const userId = req.user.id;
+
+      const mergedIds = [...new Set(nodeIds)];
+      if (mergedIds.includes(nodeId)) {
+        throw new ValidationError([{ location: 'body', field: 'nodeIds', message: 'must not include the node they are merged into' }]);
+      }
+
+      const mindmap = await this.storage.getUserMindmap(userId);
+      const find = id => {
+        const node = mindmap.nodes.find(n => n.id === id);
+        if (!node) throw new Error('Mindmap node not found');
+        return node;
+      };
+      const target = find(nodeId);
+      const merged = mergedIds.map(find);
+
+      const { moves, deletes } = planMerge(mindmap, nodeId, mergedIds);
+      for (const { edge, changes } of moves) {
+        this.events.recordChange('mindmap.edge', 'updated', await this.storage.updateMindmapEdge(edge.id, changes, userId));
+      }
+      for (const edge of deletes) {
+        await this.storage.deleteMindmapEdge(edge.id, userId);
+        this.events.recordChange('mindmap.edge', 'deleted', edge);
+      }
+      for (const node of merged) {
+        const edges = await this.storage.deleteMindmapNode(node.id, userId);
+        edges.forEach(edge => this.events.recordChange('mindmap.edge', 'deleted', edge));
+        this.events.recordChange('mindmap.node', 'deleted', node);
+      }
+
+      const metadata = target.metadata || {};
+      const node = await this.storage.updateMindmapNode(nodeId, {
+        metadata: {
+          ...metadata,
+          merged_from: [...(metadata.merged_from || []), ...merged.map(m => ({ id: m.id, label: m.label }))]
+        }
+      }, userId);
+      this.events.recordChange('mindmap.node', 'updated', node);
+      res.json({ success: true, node, merged: merged.length });
+    } catch (error) {
+      this.sendError(req, res, error, 'merging mindmap nodes');
+    }
+  }
+
+  // Both ends must be the user's own nodes
   async addMindmapEdge(req, res) {
     try {
-      const { sourceNodeId, targetNodeId, metadata = {} } = req.body;
-      const userId = metadata.userId || 'default_user';
+      const { sourceNodeId, targetNodeId, type, metadata = {} } = this.validate(req, 'addMindmapEdge').body;
+      const userId = req.user.id;
       
-      const edge = await this.storage.addMindmapEdge(sourceNodeId, targetNodeId, metadata, userId);
+      if (sourceNodeId === targetNodeId) {
+        throw new ValidationError([{ location: 'body', field: 'targetNodeId', message: 'must not be the source node' }]);
+      }
+      await this.findMindmapNode(sourceNodeId, userId);
+      await this.findMindmapNode(targetNodeId, userId);
+      
+      const edge = await this.storage.addMindmapEdge(sourceNodeId, targetNodeId, { ...metadata, type }, userId);
+      this.events.recordChange('mindmap.edge', 'created', edge);
       res.json({ success: true, edge });
     } catch (error) {
-      console.error('[Local Memory API] Error adding mindmap edge:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'adding mindmap edge');
     }
   }
 
-  async getUserMindmap(req, res) {
+  async updateMindmapEdge(req, res) {
     try {
-      const { userId } = req.params;
+      const { params: { edgeId }, body: updates } = this.validate(req, 'updateMindmapEdge');
       
-      const mindmap = await this.storage.getUserMindmap(userId);
+      const edge = await this.storage.updateMindmapEdge(edgeId, updates, req.user.id);
+      this.events.recordChange('mindmap.edge', 'updated', edge);
+      res.json({ success: true, edge });
+    } catch (error) {
+      this.sendError(req, res, error, 'updating mindmap edge');
+    }
+  }
+
+  async deleteMindmapEdge(req, res) {
+    try {
+      const { edgeId } = this.validate(req, 'deleteMindmapEdge').params;
+      const userId = req.user.id;
+      
+      const { edges } = await this.storage.getUserMindmap(userId);
+      const edge = edges.find(e => e.id === edgeId);
+      if (!edge) {
+        throw new Error('Mindmap edge not found');
+      }
+      await this.storage.deleteMindmapEdge(edgeId, userId);
+      this.events.recordChange('mindmap.edge', 'deleted', edge);
+      res.json({ success: true });
+    } catch (error) {
+      this.sendError(req, res, error, 'deleting mindmap edge');
+    }
+  }
+
+  async getUserMindmap(req, res) {
+    try {
+      const mindmap = await this.storage.getUserMindmap(req.user.id);
       res.json({ success: true, mindmap });
     } catch (error) {
-      console.error('[Local Memory API] Error getting mindmap:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'getting mindmap');
+    }
+  }
+
+  // Nodes within `hops` edges of the node, nearest first
+  async getMindmapNeighbours(req, res) {
+    try {
+      const { params: { nodeId }, query: { hops, type } } = this.validate(req, 'getMindmapNeighbours');
+      const mindmap = await this.storage.getUserMindmap(req.user.id);
+      if (!mindmap.nodes.some(n => n.id === nodeId)) {
+        throw new Error('Mindmap node not found');
+      }
+
+      const { nodes, edges } = neighbours(mindmap, nodeId, { hops, type });
+      res.json({ success: true, nodes, edges });
+    } catch (error) {
+      this.sendError(req, res, error, 'getting mindmap neighbours');
+    }
+  }
+
+  // The memories and notes a node's concept appears in; nodeId is a stored
+  // node's id or a derived concept's
+  async getConceptDocuments(req, res) {
+    try {
+      const { params: { nodeId }, query: { limit } } = this.validate(req, 'getConceptDocuments');
+      
+      const { memories, notes } = await this.conceptMap.documents(req.user.id, nodeId, limit);
+      res.json({ success: true, memories, notes });
+    } catch (error) {
+      this.sendError(req, res, error, 'getting concept documents');
+    }
+  }
+
+  // The shortest chain of prerequisites from one node to another; path is
+  // null when none leads there
+  async getPrerequisitePath(req, res) {
+    try {
+      const { from, to } = this.validate(req, 'getPrerequisitePath').query;
+      const mindmap = await this.storage.getUserMindmap(req.user.id);
+      if (!mindmap.nodes.some(n => n.id === from) || !mindmap.nodes.some(n => n.id === to)) {
+        throw new Error('Mindmap node not found');
+      }
+
+      res.json({ success: true, path: prerequisitePath(mindmap, from, to) });
+    } catch (error) {
+      this.sendError(req, res, error, 'finding prerequisite path');
+    }
+  }
+
+  // Prerequisites that lead back to themselves, which no learning order
+  // can satisfy
+  async getPrerequisiteCycles(req, res) {
+    try {
+      this.validate(req, 'getPrerequisiteCycles');
+      const cycles = prerequisiteCycles(await this.storage.getUserMindmap(req.user.id));
+      res.json({ success: true, cycles });
+    } catch (error) {
+      this.sendError(req, res, error, 'finding prerequisite cycles');
+    }
+  }
+
+  // Concept mastery
+  async listConceptMastery(req, res) {
+    try {
+      this.validate(req, 'listConceptMastery');
+      const concepts = await this.mastery.list(req.user.id);
+      res.json({ success: true, concepts });
+    } catch (error) {
+      this.sendError(req, res, error, 'listing concept mastery');
+    }
+  }
+
+  // One piece of evidence about a concept, named by its node (stored or
+  // derived) or in words
+  async recordMasteryEvidence(req, res) {
+    try {
+      const { nodeId, concept, ...evidence } = this.validate(req, 'recordMasteryEvidence').body;
+      const userId = req.user.id;
+
+      if ((nodeId === undefined) === (concept === undefined)) {
+        throw new ValidationError([{ location: 'body', field: 'nodeId', message: 'give either nodeId or concept' }]);
+      }
+      const field = evidence.source === 'self-rating' ? 'rating' : 'correct';
+      if (evidence[field] === undefined) {
+        throw new ValidationError([{ location: 'body', field, message: `is required for ${evidence.source} evidence` }]);
+      }
+
+      const mastery = await this.mastery.record(userId, await this.resolveConcept(userId, { nodeId, concept }), evidence);
+      this.events.recordChange('mastery', 'updated', mastery);
+      res.json({ success: true, mastery });
+    } catch (error) {
+      this.sendError(req, res, error, 'recording mastery evidence');
+    }
+  }
+
+  // Flashcards
+  async listFlashcards(req, res) {
+    try {
+      const { limit, offset } = this.validate(req, 'listFlashcards').query;
+      const cards = await this.flashcards.list(req.user.id);
+      res.json({ success: true, cards: cards.slice(offset, offset + limit), total: cards.length });
+    } catch (error) {
+      this.sendError(req, res, error, 'listing flashcards');
+    }
+  }
+
+  async createFlashcard(req, res) {
+    try {
+      const { front, back, concept } = this.validate(req, 'createFlashcard').body;
+      const userId = req.user.id;
+      const card = await this.flashcards.create(userId, {
+        front,
+        back,
+        concept: concept === undefined ? null : await this.resolveConcept(userId, { concept })
+      });
+      this.events.recordChange('flashcard', 'created', card);
+      res.status(201).json({ success: true, card });
+    } catch (error) {
+      this.sendError(req, res, error, 'creating flashcard');
+    }
+  }
+
+  // Draft cards from the given memories and notes (all of them when none are
+  // named), skipping those already drafted
+  async generateFlashcards(req, res) {
+    try {
+      const { memoryIds, noteIds } = this.validate(req, 'generateFlashcards').body;
+      const userId = req.user.id;
+
+      let documents = await this.conceptMap.loadDocuments(userId);
+      if (memoryIds || noteIds) {
+        const wanted = [...(memoryIds || []).map(id => `memory:${id}`), ...(noteIds || []).map(id => `note:${id}`)];
+        const found = new Map(documents.map(document => [`${document.kind}:${document.record.id}`, document]));
+        const missing = wanted.find(key => !found.has(key));
+        if (missing) {
+          throw new Error(missing.startsWith('memory:') ? 'Memory not found' : 'Note not found');
+        }
+        documents = [...new Set(wanted)].map(key => found.get(key));
+      }
+
+      const concepts = (await this.getUserMindMapData(userId)).nodes
+        .map(node => ({ key: nodeConceptKey(node), label: node.label }))
+        .filter(concept => concept.key);
+      const drafts = documents.flatMap(document => draftCards(document, concepts));
+      const cards = await this.flashcards.addGenerated(userId, drafts);
+      cards.forEach(card => this.events.recordChange('flashcard', 'created', card));
+      res.status(201).json({ success: true, cards, skipped: drafts.length - cards.length });
+    } catch (error) {
+      this.sendError(req, res, error, 'generating flashcards');
+    }
+  }
+
+  async getDueFlashcards(req, res) {
+    try {
+      const { limit } = this.validate(req, 'getDueFlashcards').query;
+      const { cards, due, next_due_at } = await this.flashcards.due(req.user.id, { limit });
+      res.json({ success: true, cards, due, nextDueAt: next_due_at });
+    } catch (error) {
+      this.sendError(req, res, error, 'getting due flashcards');
+    }
+  }
+
+  async getFlashcardStats(req, res) {
+    try {
+      this.validate(req, 'getFlashcardStats');
+      res.json({ success: true, stats: await this.flashcards.stats(req.user.id) });
+    } catch (error) {
+      this.sendError(req, res, error, 'getting flashcard stats');
+    }
+  }
+
+  async getFlashcard(req, res) {
+    try {
+      const { cardId } = this.validate(req, 'getFlashcard').params;
+      const card = await this.flashcards.get(req.user.id, cardId);
+      const reviews = await this.flashcards.history(req.user.id, cardId);
+      res.json({ success: true, card, reviews });
+    } catch (error) {
+      this.sendError(req, res, error, 'getting flashcard');
+    }
+  }
+
+  async updateFlashcard(req, res) {
+    try {
+      const { params: { cardId }, body } = this.validate(req, 'updateFlashcard');
+      const card = await this.flashcards.update(req.user.id, cardId, body);
+      this.events.recordChange('flashcard', 'updated', card);
+      res.json({ success: true, card });
+    } catch (error) {
+      this.sendError(req, res, error, 'updating flashcard');
+    }
+  }
+
+  async deleteFlashcard(req, res) {
+    try {
+      const { cardId } = this.validate(req, 'deleteFlashcard').params;
+      const card = await this.flashcards.delete(req.user.id, cardId);
+      this.events.recordChange('flashcard', 'deleted', card);
+      res.json({ success: true });
+    } catch (error) {
+      this.sendError(req, res, error, 'deleting flashcard');
+    }
+  }
+
+  // Grade a recall and reschedule the card. A card about a concept is also
+  // a quiz answer for the concept's mastery.
+  async reviewFlashcard(req, res) {
+    try {
+      const { params: { cardId }, body: { grade } } = this.validate(req, 'reviewFlashcard');
+      const userId = req.user.id;
+      const { card, review } = await this.flashcards.review(userId, cardId, grade);
+      this.events.recordChange('flashcard', 'updated', card);
+
+      let mastery = null;
+      if (card.concept_key) {
+        mastery = await this.mastery.record(userId, { key: card.concept_key, label: card.concept }, { source: 'quiz', correct: grade >= PASSING_GRADE });
+        this.events.recordChange('mastery', 'updated', mastery);
+      }
+      res.json({ success: true, card, review, mastery });
+    } catch (error) {
+      this.sendError(req, res, error, 'reviewing flashcard');
     }
   }
 
   // Utility operations
   async getUserStats(req, res) {
     try {
-      const { userId } = req.params;
-      
-      const stats = await this.storage.getMemoryStats(userId);
+      const stats = await this.storage.getMemoryStats(req.user.id);
       res.json({ success: true, stats });
     } catch (error) {
-      console.error('[Local Memory API] Error getting stats:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'getting stats');
+    }
+  }
+
+  // Backups (admin)
+  async listBackups(req, res) {
+    try {
+      const backups = await this.backups.list();
+      res.json({ success: true, backups, retention: this.backups.retention });
+    } catch (error) {
+      this.sendError(req, res, error, 'listing backups');
     }
   }
 
   async createBackup(req, res) {
     try {
-      const backupFile = await this.storage.createBackup();
-      res.json({ success: true, backupFile });
+      this.validate(req, 'createBackup');
+      const backup = await this.backups.create();
+      res.status(201).json({ success: true, backup });
+    } catch (error) {
+      this.sendError(req, res, error, 'creating backup');
+    }
+  }
+
+  async getBackup(req, res) {
+    try {
+      const { backupId } = this.validate(req, 'getBackup').params;
+      const backup = await this.backups.get(backupId);
+      res.json({ success: true, backup });
     } catch (error) {
-      console.error('[Local Memory API] Error creating backup:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'reading backup');
     }
   }
 
+  async downloadBackup(req, res) {
+    try {
+      const { backupId } = this.validate(req, 'downloadBackup').params;
+      const contents = await this.backups.read(backupId);
+      res.set('Content-Type', 'application/json');
+      res.set('Content-Disposition', `attachment; filename="${backupId}.json"`);
+      res.send(contents);
+    } catch (error) {
+      this.sendError(req, res, error, 'downloading backup');
+    }
+  }
+
+  // The whole store, or only `userId`'s memories, notes, mind map, history,
+  // mastery and flashcards
   async restoreBackup(req, res) {
     try {
-      const { backupFile } = req.body;
-      
-      await this.storage.restoreFromBackup(backupFile);
+      const { params: { backupId }, body: { userId = null } } = this.validate(req, 'restoreBackup');
+      const result = await this.backups.restore(backupId, { userId });
+      this.keywordIndex.clear();
+      this.events.resync(userId, 'backup-restored');
+      res.json({ success: true, ...result });
+    } catch (error) {
+      this.sendError(req, res, error, 'restoring backup');
+    }
+  }
+
+  async deleteBackup(req, res) {
+    try {
+      const { backupId } = this.validate(req, 'deleteBackup').params;
+      await this.backups.delete(backupId);
+      res.json({ success: true });
+    } catch (error) {
+      this.sendError(req, res, error, 'deleting backup');
+    }
+  }
+
+
+  // Schema (admin)
+  // The current schema version, the known migrations, and what the store
+  // upgraded or quarantined when it loaded its data
+  async getSchemaReport(req, res) {
+    try {
+      const report = await this.storage.getSchemaReport();
+      res.json({
+        success: true,
+        schemaVersion: SCHEMA_VERSION,
+        migrations: MIGRATIONS.map(({ version, description }) => ({ version, description })),
+        report
+      });
+    } catch (error) {
+      this.sendError(req, res, error, 'getting schema report');
+    }
+  }
+
+  // Re-embedding (admin)
+  async getReembedStatus(req, res) {
+    try {
+      if (!this.reembedJob.isRunning()) {
+        await this.reembedJob.loadState();
+      }
+      const stale = await this.storage.countStaleEmbeddings(this.embeddings.modelId);
+      res.json({ success: true, model: this.embeddings.modelId, stale, job: this.reembedJob.status() });
+    } catch (error) {
+      this.sendError(req, res, error, 'getting re-embed status');
+    }
+  }
+
+  async startReembed(req, res) {
+    try {
+      const { restart } = this.validate(req, 'startReembed').body;
+      const job = await this.reembedJob.start({ restart });
+      res.status(202).json({ success: true, model: this.embeddings.modelId, job });
+    } catch (error) {
+      this.sendError(req, res, error, 'starting re-embed');
+    }
+  }
+
+  async pauseReembed(req, res) {
+    try {
+      const job = await this.reembedJob.pause();
+      res.json({ success: true, model: this.embeddings.modelId, job });
+    } catch (error) {
+      this.sendError(req, res, error, 'pausing re-embed');
+    }
+  }
+
+  // Consolidation (admin)
+  async getConsolidationReport(req, res) {
+    try {
+      const report = await this.consolidator.loadReport();
+      res.json({ success: true, report, schedule: this.consolidationSchedule() });
+    } catch (error) {
+      this.sendError(req, res, error, 'getting consolidation report');
+    }
+  }
+
+  // Sweep every user now; dry run unless dryRun is false
+  async runConsolidation(req, res) {
+    try {
+      const { dryRun, threshold = this.embeddings.thresholds.duplicate } = this.validate(req, 'runConsolidation').body;
+      const report = await this.consolidator.run({ threshold, dryRun });
+      res.json({ success: true, report });
+    } catch (error) {
+      this.sendError(req, res, error, 'running consolidation');
+    }
+  }
+
+  // Archive low-importance memories now (one user with userId, else all)
+  async runArchival(req, res) {
+    try {
+      const { userId = null, dryRun } = this.validate(req, 'runArchival').body;
+      const report = await this.archiver.run({ userId, dryRun });
+      res.json({ success: true, report });
+    } catch (error) {
+      this.sendError(req, res, error, 'running archival');
+    }
+  }
+
+  // Chat operations
+  async handleChatQuery(req, res) {
+    try {
+      const { query } = this.validate(req, 'handleChatQuery').body;
+      const userId = req.user.id;
+
+      if (!this.llm) {
+        throw new ApiError(503, 'SERVICE_UNAVAILABLE', 'Chat requires a language model (set ANTHROPIC_API_KEY or LLM_PROVIDER)');
+      }
+
+      // Get relevant memories for context
+      let relevantMemories = [];
+      try {
+        relevantMemories = this.rankByImportance(await this.findMemories(query, userId, this.embeddings.thresholds.search, 5));
+        await this.recordAccess(relevantMemories, userId);
+      } catch (error) {
+        console.log('[Chat] Could not fetch memories, continuing without context');
+      }
+
+      // Get mind map data
+      const mindMapData = await this.getUserMindMapData(userId);
+
+      // Build context-aware prompt
+      const systemPrompt = this.tutorPrompt(mindMapData,
+        relevantMemories.length > 0 ? relevantMemories.map(m => `- ${m.content}`).join('\n') : 'No previous context available');
+
+      const { text: answer } = await this.llm.complete({
+        useCase: 'chat',
+        system: systemPrompt,
+        messages: [{ role: 'user', content: query }]
+      });
+      await this.recordQuestion(userId, query, mindMapData);
+
+      // Store this interaction as a memory
+      try {
+        await this.addMemoryInternal(
+          `User asked: "${query}" - Response context: ${answer.substring(0, 200)}...`,
+          { source: 'chat', topic: this.extractTopicFromQuery(query) },
+          userId
+        );
+      } catch (error) {
+        console.log('[Chat] Could not store interaction memory');
+      }
+
+      res.json({ success: true, answer });
+
+    } catch (error) {
+      this.sendError(req, res, error, 'handling chat query');
+    }
+  }
+
+  // Chat sessions
+  async listChatSessions(req, res) {
+    try {
+      this.validate(req, 'listChatSessions');
+      const sessions = await this.chats.list(req.user.id);
+      res.json({ success: true, sessions: sessions.map(sessionSummary) });
+    } catch (error) {
+      this.sendError(req, res, error, 'listing chat sessions');
+    }
+  }
+
+  async createChatSession(req, res) {
+    try {
+      const body = this.validate(req, 'createChatSession').body;
+      const session = await this.chats.create(req.user.id, body);
+      res.status(201).json({ success: true, session: sessionSummary(session) });
+    } catch (error) {
+      this.sendError(req, res, error, 'creating chat session');
+    }
+  }
+
+  async getChatSession(req, res) {
+    try {
+      const { sessionId } = this.validate(req, 'getChatSession').params;
+      const session = await this.chats.get(req.user.id, sessionId);
+      res.json({ success: true, session: sessionSummary(session), messages: session.messages });
+    } catch (error) {
+      this.sendError(req, res, error, 'reading chat session');
+    }
+  }
+
+  async renameChatSession(req, res) {
+    try {
+      const { params: { sessionId }, body: { title } } = this.validate(req, 'renameChatSession');
+      const session = await this.chats.rename(req.user.id, sessionId, title);
+      res.json({ success: true, session: sessionSummary(session) });
+    } catch (error) {
+      this.sendError(req, res, error, 'renaming chat session');
+    }
+  }
+
+  async deleteChatSession(req, res) {
+    try {
+      const { sessionId } = this.validate(req, 'deleteChatSession').params;
+      await this.chats.delete(req.user.id, sessionId);
       res.json({ success: true });
     } catch (error) {
-      console.error('[Local Memory API] Error restoring backup:', error);
-      res.status(500).json({ error: 'Internal server error' });
+      this.sendError(req, res, error, 'deleting chat session');
+    }
+  }
+
+  async forkChatSession(req, res) {
+    try {
+      const { params: { sessionId }, body } = this.validate(req, 'forkChatSession');
+      const session = await this.chats.fork(req.user.id, sessionId, body);
+      res.status(201).json({ success: true, session: sessionSummary(session), messages: session.messages });
+    } catch (error) {
+      this.sendError(req, res, error, 'forking chat session');
+    }
+  }
+
+  // One turn of a session: the question is answered with the session's
+  // recent messages and the memories and notes that match it, which come
+  // back as the reply's citations
+  async sendChatMessage(req, res) {
+    try {
+      const { params: { sessionId }, body: { content, context } } = this.validate(req, 'sendChatMessage');
+      const userId = req.user.id;
+
+      const { system, messages, citations, mindMapData } = await this.prepareChatTurn(userId, sessionId, content, context);
+      const { text } = await this.llm.complete({ useCase: 'chat', system, messages });
+
+      const { userMessage, assistantMessage } = await this.chats.addExchange(userId, sessionId, content, { content: text, citations });
+      await this.recordQuestion(userId, content, mindMapData);
+      const session = await this.chats.get(userId, sessionId);
+      res.json({ success: true, session: sessionSummary(session), userMessage, reply: assistantMessage });
+    } catch (error) {
+      this.sendError(req, res, error, 'sending chat message');
+    }
+  }
+
+  // sendChatMessage as Server-Sent Events: `sources` with the citations,
+  // `delta` with each piece of the answer, then `done` with what
+  // sendChatMessage returns, or `error` with the error envelope. Closing the
+  // connection cancels the model's request, and the turn isn't saved.
+  async streamChatMessage(req, res) {
+    const userId = req.user.id;
+    let request;
+    let turn;
+    try {
+      request = this.validate(req, 'streamChatMessage');
+      turn = await this.prepareChatTurn(userId, request.params.sessionId, request.body.content, request.body.context);
+    } catch (error) {
+      return this.sendError(req, res, error, 'streaming chat message');
+    }
+    const { params: { sessionId }, body: { content } } = request;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    const send = (type, data) => res.write(formatEvent({ type, data }));
+
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    send('sources', { citations: turn.citations });
+    try {
+      const { text } = await this.llm.stream(
+        { useCase: 'chat', system: turn.system, messages: turn.messages, signal: controller.signal },
+        chunk => send('delta', { text: chunk })
+      );
+
+      const { userMessage, assistantMessage } = await this.chats.addExchange(userId, sessionId, content, { content: text, citations: turn.citations });
+      await this.recordQuestion(userId, content, turn.mindMapData);
+      const session = await this.chats.get(userId, sessionId);
+      send('done', { session: sessionSummary(session), userMessage, reply: assistantMessage });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        console.log(`[Chat] Answer in ${sessionId} cancelled by the client`);
+        return;
+      }
+      const described = describeError(error);
+      if (described.code === 'INTERNAL_ERROR') {
+        console.error(`[Local Memory API] Error streaming chat message (${req.id}):`, error);
+      }
+      send('error', errorBody(described, req.id || null));
+    }
+    res.end();
+  }
+
+  // The system prompt, the session's turns ending with `content`, the
+  // citations and the mind map the prompt was built from, for one question.
+  // `context` is what the user is looking at (the sidebar sends the page); it
+  // informs this answer but isn't kept with the question.
+  async prepareChatTurn(userId, sessionId, content, context) {
+    if (!this.llm) {
+      throw new ApiError(503, 'SERVICE_UNAVAILABLE', 'Chat requires a language model (set ANTHROPIC_API_KEY or LLM_PROVIDER)');
+    }
+
+    const messages = await this.chats.turns(userId, sessionId, content, this.chatHistoryMessages);
+    const citations = await this.findChatSources(content, userId);
+    const mindMapData = await this.getUserMindMapData(userId);
+
+    const sources = citations.length > 0
+      ? citations.map(c => `[${c.index}] (${c.type}${c.title ? `: ${c.title}` : ''}) ${c.excerpt}`).join('\n')
+      : 'No previous context available';
+    const system = `${this.tutorPrompt(mindMapData, sources)}
+
+When you use one of the relevant memories or notes, cite it by its number, like [1].${context ? `
+
+CURRENT PAGE CONTEXT:
+${context}` : ''}`;
+
+    return { system, messages, citations, mindMapData };
+  }
+
+  // The memories and notes ranked for a chat question, numbered as the
+  // prompt lists them. Retrieval failing leaves the question without context.
+  async findChatSources(query, userId) {
+    let results;
+    try {
+      results = await this.rankedSearch(query, userId, { limit: CHAT_SOURCES });
+      await this.recordAccess(results.memories.map(item => item.record), userId);
+    } catch (error) {
+      console.warn('[Chat] Could not retrieve memories and notes:', error.message);
+      return [];
+    }
+
+    return [...results.memories, ...results.notes].map(({ type, record, relevanceScore }, i) => {
+      const metadata = record.metadata || {};
+      return {
+        index: i + 1,
+        type,
+        id: record.id,
+        title: (type === 'note' ? record.title : metadata.title || metadata.pageTitle) || null,
+        url: (type === 'note' ? record.url : metadata.url) || null,
+        excerpt: record.content.length > CITATION_EXCERPT_LENGTH ? `${record.content.slice(0, CITATION_EXCERPT_LENGTH)}…` : record.content,
+        score: relevanceScore
+      };
+    });
+  }
+
+  tutorPrompt(mindMapData, context) {
+    const labels = new Map(mindMapData.nodes.map(n => [n.id, n.label]));
+    return `You are an AI Study Tutor. You help students identify specific learning problems and provide targeted guidance.
+
+STUDENT'S MIND MAP: The student is learning these connected topics:
+${mindMapData.nodes.map(n => n.label).join(', ') || 'None yet'}
+
+Key connections: ${mindMapData.edges.map(e => `${labels.get(e.source)} → ${labels.get(e.target)}`).join(', ') || 'None yet'}
+
+Mastery: ${mindMapData.nodes.filter(n => n.mastery).map(n => `${n.label} (${n.mastery.level}, ${Math.round(n.mastery.p_known * 100)}%)`).join(', ') || 'Not measured yet'}
+
+RELEVANT MEMORIES:
+${context}
+
+YOUR APPROACH:
+1. Focus on identifying SPECIFIC problems and weaknesses, not just explaining concepts
+2. Ask follow-up questions to understand exactly where they're struggling
+3. Provide concrete critiques and actionable improvements
+4. Reference their mind map to show connections and suggest learning paths
+5. Be encouraging but direct about areas needing work
+6. Pitch explanations at their mastery: start from the basics for novice concepts, and build on what they already know for proficient ones
+
+Be conversational and supportive, like a real tutor who cares about their progress.`;
+  }
+
+  async getMindMap(req, res) {
+    try {
+      const mindMapData = await this.getUserMindMapData(req.user.id);
+      res.json(mindMapData);
+    } catch (error) {
+      this.sendError(req, res, error, 'getting mind map');
+    }
+  }
+
+  // Dashboard metrics
+  async getMetrics(req, res) {
+    try {
+      const userId = req.user.id;
+      
+      const stats = await this.storage.getMemoryStats(userId);
+      const notes = await this.storage.getUserNotes(userId, 1000, 0);
+      const mindMapData = await this.getUserMindMapData(userId);
+      const flashcards = await this.flashcards.stats(userId);
+      const memoryCount = stats.total_memories;
+      
+      res.json({
+        milestones: Math.min(Math.floor(memoryCount / 5), 10),
+        // Days in a row with a flashcard review
+        streak: flashcards.streak,
+        longestStreak: flashcards.longest_streak,
+        cardsDue: flashcards.due,
+        reviewsToday: flashcards.reviewed_today,
+        notesCount: notes.length,
+        mindNodes: mindMapData.nodes.length,
+        mindEdges: mindMapData.edges.length
+      });
+
+    } catch (error) {
+      this.sendError(req, res, error, 'getting metrics');
     }
   }
 
   // Helper methods
-  async generateEmbedding(text) {
-    if (!this.openai) {
-      throw new Error('OpenAI not configured');
+  // Vector search, with text search as the fallback when embedding fails or
+  // finds nothing (e.g. memories stored before embeddings were available)
+  async findMemories(query, userId, threshold = this.embeddings.thresholds.search, limit = 5) {
+    try {
+      const queryEmbedding = await this.generateEmbedding(query, userId);
+      const results = await this.storage.searchMemories(queryEmbedding, userId, threshold, limit, { model: this.embeddings.modelId });
+      if (results.length > 0) {
+        return results;
+      }
+    } catch (error) {
+      console.warn('[Local Memory API] Vector search failed, falling back to text search:', error.message);
     }
     
-    const response = await this.openai.embeddings.create({
-      model: 'text-embedding-3-small',
-      input: text,
+    return this.textSearchMemories(query, userId, limit);
+  }
+
+  async addMemoryInternal(content, metadata, userId) {
+    let embedding = null;
+    try {
+      embedding = await this.generateEmbedding(content, userId, { document: true });
+    } catch (error) {
+      console.warn('[Local Memory API] Could not generate embedding:', error.message);
+    }
+
+    const memory = await this.storage.addMemory(content, {
+      ...metadata,
+      category: this.categorizeMemory(content),
+      timestamp: new Date().toISOString(),
+      source: metadata.source || 'api',
+      embedding: embedding,
+      embedding_model: this.embeddings.modelId
+    }, userId);
+    this.keywordIndex.upsertMemory(memory);
+    await this.history.record('memory', 'create', memory);
+    return memory;
+  }
+
+  // Near-duplicates of a just-added memory, offered to the client as merge
+  // candidates. Never fails the insert.
+  async suggestDuplicates(memory) {
+    try {
+      const duplicates = await this.consolidator.findDuplicates(memory);
+      return duplicates.slice(0, 3).map(m => ({
+        id: m.id,
+        content: m.content,
+        similarity: m.similarity,
+        timestamp: m.created_at
+      }));
+    } catch (error) {
+      console.warn('[Local Memory API] Could not check for duplicates:', error.message);
+      return [];
+    }
+  }
+
+  // Sort retrieved memories by similarity weighted by importance, attaching
+  // each memory's importance
+  rankByImportance(memories) {
+    const now = Date.now();
+    return memories
+      .map(memory => ({
+        ...memory,
+        importance: this.importance.score(memory, now),
+        ranking: (memory.similarity || 1.0) * this.importance.rankingWeight(memory, now)
+      }))
+      .sort((a, b) => b.ranking - a.ranking)
+      .map(({ ranking, ...memory }) => memory);
+  }
+
+  // Count a retrieval towards each memory's importance. Never fails the
+  // request that retrieved them, and isn't published as a change.
+  async recordAccess(memories, userId) {
+    const now = Date.now();
+    for (const memory of memories) {
+      try {
+        const updated = await this.storage.updateMemory(memory.id, { metadata: this.importance.touched(memory.metadata, now) }, userId);
+        this.keywordIndex.upsertMemory(updated);
+      } catch (error) {
+        console.warn(`[Local Memory API] Could not record access to ${memory.id}:`, error.message);
+      }
+    }
+  }
+
+  // A memory from either tier, or Error('Memory not found')
+  async findMemoryById(memoryId, userId) {
+    const { memories } = await this.storage.getUserMemories(userId, 100000, 0, null, { tier: 'all' });
+    const memory = memories.find(m => m.id === memoryId);
+    if (!memory) {
+      throw new Error('Memory not found');
+    }
+    return memory;
+  }
+
+  async findNoteById(noteId, userId) {
+    const notes = await this.storage.getUserNotes(userId, 100000, 0);
+    const note = notes.find(n => n.id === noteId);
+    if (!note) {
+      throw new Error('Note not found');
+    }
+    return note;
+  }
+
+  async findMindmapNode(nodeId, userId) {
+    const { nodes } = await this.storage.getUserMindmap(userId);
+    const node = nodes.find(n => n.id === nodeId);
+    if (!node) {
+      throw new Error('Mindmap node not found');
+    }
+    return node;
+  }
+
+  // undefined means the provider's default; null means invalid
+  parseThreshold(value) {
+    if (value === undefined) return this.embeddings.thresholds.duplicate;
+    const threshold = Number(value);
+    return value !== null && Number.isFinite(threshold) && threshold > 0 && threshold <= 1 ? threshold : null;
+  }
+
+  consolidationSchedule() {
+    const hours = parseFloat(process.env.CONSOLIDATE_INTERVAL_HOURS);
+    return {
+      intervalHours: hours > 0 ? hours : null,
+      autoMerge: process.env.CONSOLIDATE_AUTO_MERGE === 'true'
+    };
+  }
+
+  // Keyword (BM25 over memories and notes), semantic (embedding similarity
+  // over memories) or hybrid search, fused by reciprocal rank. Every result
+  // carries a score breakdown showing which rankings it came from.
+  async rankedSearch(query, userId, { mode = 'hybrid', limit = 5, includeNotes = true, includeArchived = false } = {}) {
+    const candidates = Math.max(limit * 4, 50);
+    const rankings = {};
+
+    if (mode !== 'semantic') {
+      const index = await this.keywordIndex.forUser(userId);
+      const types = ['memory', ...(includeNotes ? ['note'] : []), ...(includeArchived ? ['archived'] : [])];
+      rankings.keyword = index.search(query, candidates, { types });
+    }
+
+    if (mode !== 'keyword') {
+      rankings.semantic = [];
+      try {
+        const queryEmbedding = await this.generateEmbedding(query, userId);
+        const matches = await this.storage.searchMemories(queryEmbedding, userId, this.embeddings.thresholds.search, candidates, { model: this.embeddings.modelId, includeArchived });
+        rankings.semantic = matches.map(memory => ({ key: memoryKey(memory.id), type: 'memory', record: memory, similarity: memory.similarity }));
+      } catch (error) {
+        console.warn('[Local Memory API] Vector search failed:', error.message);
+      }
+    }
+
+    const items = new Map();
+    for (const [source, ranking] of Object.entries(rankings)) {
+      ranking.forEach((item, i) => {
+        const entry = items.get(item.key) || { type: item.type, record: item.record, scores: { keyword: null, semantic: null } };
+        entry.scores[source] = source === 'keyword'
+          ? { score: item.score, rank: i + 1, matchedTerms: item.matchedTerms }
+          : { similarity: item.similarity, rank: i + 1 };
+        items.set(item.key, entry);
+      });
+    }
+
+    // Vectors from another model are skipped, so semantic results may be
+    // incomplete until the re-embedding job has caught up
+    const results = { memories: [], notes: [], staleEmbeddings: 0 };
+    if (mode !== 'keyword') {
+      results.staleEmbeddings = await this.storage.countStaleEmbeddings(this.embeddings.modelId, userId);
+    }
+
+    // Memories are ordered by fused score weighted by importance
+    const now = Date.now();
+    const fused = reciprocalRankFusion(rankings).map(({ key, score }) => {
+      const item = items.get(key);
+      if (item.type === 'note') {
+        return { item, score, ranking: score };
+      }
+      item.scores.importance = this.importance.score(item.record, now);
+      return { item, score, ranking: score * this.importance.rankingWeight(item.record, now) };
     });
+    fused.sort((a, b) => b.ranking - a.ranking);
+
+    for (const { item, score } of fused) {
+      const list = item.type === 'note' ? results.notes : results.memories;
+      if (list.length >= limit) continue;
+
+      item.scores.fused = score;
+      item.relevanceScore = mode === 'hybrid' ? score
+        : mode === 'keyword' ? item.scores.keyword.score
+        : item.scores.semantic.similarity;
+      list.push(item);
+    }
+
+    return results;
+  }
+
+  // The user's mind map, derived from their memories and notes (see
+  // concept-map.js); edges point at node ids, and concepts with a mastery
+  // estimate carry its probability and level
+  async getUserMindMapData(userId) {
+    const mindMap = await this.conceptMap.build(userId);
+    const mastery = await this.mastery.byKey(userId);
+    for (const node of mindMap.nodes) {
+      const estimate = mastery.get(nodeConceptKey(node));
+      if (estimate) {
+        node.mastery = { p_known: estimate.p_known, level: estimate.level };
+      }
+    }
+    return mindMap;
+  }
+
+  // { key, label } of the concept a node stands for, or of a concept named
+  // in words
+  async resolveConcept(userId, { nodeId, concept }) {
+    if (concept !== undefined) {
+      const key = conceptKey(concept);
+      if (!key) {
+        throw new ValidationError([{ location: 'body', field: 'concept', message: 'must name a concept' }]);
+      }
+      return { key, label: concept.trim() };
+    }
+
+    const node = nodeId.startsWith('concept:')
+      ? (await this.conceptMap.build(userId)).nodes.find(n => n.id === nodeId)
+      : await this.findMindmapNode(nodeId, userId);
+    if (!node) {
+      throw new Error('Mindmap node not found');
+    }
+    const key = nodeConceptKey(node);
+    if (!key) {
+      throw new ValidationError([{ location: 'body', field: 'nodeId', message: 'names no concept to track' }]);
+    }
+    return { key, label: node.label };
+  }
+
+  // A question about concepts on the student's map is a little evidence
+  // they don't know them yet. Recorded once the question has been answered,
+  // so a failed or cancelled answer counts for nothing; failing to record it
+  // doesn't fail the chat.
+  async recordQuestion(userId, question, mindMapData) {
+    try {
+      const phrases = extractPhrases(question);
+      const concepts = new Map();
+      for (const node of mindMapData.nodes) {
+        const key = nodeConceptKey(node);
+        if (key && phrases.has(key)) concepts.set(key, node.label);
+      }
+      for (const [key, label] of concepts) {
+        const mastery = await this.mastery.record(userId, { key, label }, { source: 'question', correct: false });
+        this.events.recordChange('mastery', 'updated', mastery);
+      }
+    } catch (error) {
+      console.warn('[Chat] Could not record the question as mastery evidence:', error.message);
+    }
+  }
+
+  extractTopicFromQuery(query) {
+    const topics = ['algebra', 'calculus', 'probability', 'statistics', 'geometry', 'trigonometry', 'physics', 'linear algebra', 'machine learning'];
+    const q = query.toLowerCase();
+    for (let topic of topics) {
+      if (q.includes(topic)) return topic;
+    }
+    return 'general';
+  }
+
+  // Embed text for a user. Corpus-trained providers are fitted to the user's
+  // memories on first use; with document: true the text is also counted as a
+  // new document in that corpus.
+  async generateEmbedding(text, userId, { document = false } = {}) {
+    if (this.embeddings.needsTraining(userId)) {
+      const { memories } = await this.storage.getUserMemories(userId, 100000, 0);
+      this.embeddings.train(userId, memories.map(m => m.content));
+    }
+    if (document) {
+      this.embeddings.observe(userId, text);
+    }
     
-    return response.data[0].embedding;
+    return this.embeddings.embed(text, { userId });
   }
 
   // Simple text-based search fallback
@@ -569,14 +2370,59 @@ class LocalMemoryAPI {
     });
   }
 
+  // Warn about vectors from another model, and pick up a re-embedding run
+  // that was cut off by a restart
+  async checkEmbeddings() {
+    const stale = await this.storage.countStaleEmbeddings(this.embeddings.modelId);
+    if (stale > 0) {
+      console.log(`[Local Memory API] ${stale} memories have no ${this.embeddings.modelId} embedding; run \`npm run reembed\` or POST /api/admin/reembed`);
+    }
+    await this.reembedJob.resumeIfInterrupted();
+  }
+
+  // Daily by default; ARCHIVE_INTERVAL_HOURS=0 turns archiving off
+  scheduleArchival() {
+    const hours = process.env.ARCHIVE_INTERVAL_HOURS !== undefined ? parseFloat(process.env.ARCHIVE_INTERVAL_HOURS) : 24;
+    if (!(hours > 0)) return;
+
+    this.archiver.schedule(hours * 60 * 60 * 1000);
+    console.log(`[Local Memory API] Archiving memories below importance ${this.importance.archiveThreshold} every ${hours}h`);
+  }
+
+  // Scheduled sweeps only report duplicates unless CONSOLIDATE_AUTO_MERGE=true
+  scheduleConsolidation() {
+    const { intervalHours, autoMerge } = this.consolidationSchedule();
+    if (!intervalHours) return;
+
+    this.consolidator.schedule(intervalHours * 60 * 60 * 1000, { dryRun: !autoMerge });
+    console.log(`[Local Memory API] Consolidation: every ${intervalHours}h (${autoMerge ? 'merging' : 'dry run'})`);
+  }
+
+  scheduleBackups() {
+    const hours = process.env.BACKUP_INTERVAL_HOURS !== undefined ? parseFloat(process.env.BACKUP_INTERVAL_HOURS) : 24;
+    if (!(hours > 0)) return;
+
+    this.backups.schedule(hours * 60 * 60 * 1000);
+    const { last, daily, weekly } = this.backups.retention;
+    console.log(`[Local Memory API] Backups: every ${hours}h, keeping the last ${last}, ${daily} daily and ${weekly} weekly`);
+  }
+
   async start() {
     try {
       await this.storage.init();
+      await this.auth.init();
+      await this.webhooks.init();
+      await this.chats.init();
+      await this.checkEmbeddings();
+      this.scheduleConsolidation();
+      this.scheduleArchival();
+      this.scheduleBackups();
       this.app.listen(this.port, () => {
         console.log(`[Local Memory API] Server running on port ${this.port}`);
         console.log(`[Local Memory API] Health check: http://localhost:${this.port}/health`);
-        console.log(`[Local Memory API] Storage: Local files in ./data/`);
-        console.log(`[Local Memory API] OpenAI embeddings: ${this.openai ? 'Enabled' : 'Disabled (using text search)'}`);
+        console.log(`[Local Memory API] Storage: ${this.storageType}${this.storageType === 'json' || this.storageType === 'sqlite' ? ` (${this.dataDir}/)` : ''}`);
+        console.log(`[Local Memory API] Embeddings: ${this.embeddings.name} (${this.embeddings.model}, ${this.embeddings.dimensions} dimensions)`);
+        console.log(`[Local Memory API] Chat: ${this.llm ? `${this.llm.name} (${this.llm.settings('chat').model})` : 'Disabled'}`);
       });
     } catch (error) {
       console.error('[Local Memory API] Failed to start:', error);
@@ -1,21 +1,61 @@
 // local-memory-storage.js - Local file-based memory storage system
 // Replaces Supabase with JSON files and in-memory vector search
+//
+// Every mutation is appended to an fsynced journal before the data files are
+// rewritten (atomically, via temp file + rename). On startup the journal is
+// replayed over the data files, and a corrupt data file is recovered from its
+// last good snapshot.
+//
+// Data files are stamped with the schema version of their records; older
+// files are upgraded on init() and records that fail validation are moved to
+// quarantine.json instead of being loaded.
 
 const fs = require('fs').promises;
 const path = require('path');
 const crypto = require('crypto');
+const { StorageAdapter, embeddingFields, inTier, trashedRevisions } = require('./storage-adapter');
+const { writeFileAtomic, appendFileDurable } = require('./atomic-file');
+const { MemoryVectorIndex } = require('./vector-index');
+const { SCHEMA_VERSION, migrateData, validateData, wrapDataFile, unwrapDataFile } = require('./data-schema');
 
-class LocalMemoryStorage {
+// Journal entries are compacted away once the data files hold this many
+const JOURNAL_COMPACT_THRESHOLD = 500;
+
+class LocalMemoryStorage extends StorageAdapter {
   constructor(dataDir = './data') {
+    super();
     this.dataDir = dataDir;
     this.memoriesFile = path.join(dataDir, 'memories.json');
     this.notesFile = path.join(dataDir, 'notes.json');
     this.mindmapFile = path.join(dataDir, 'mindmap.json');
+    this.revisionsFile = path.join(dataDir, 'revisions.json');
+    this.masteryFile = path.join(dataDir, 'mastery.json');
+    this.flashcardsFile = path.join(dataDir, 'flashcards.json');
+    this.journalFile = path.join(dataDir, 'journal.log');
+    this.quarantineFile = path.join(dataDir, 'quarantine.json');
     
     // In-memory cache for faster access
     this.memories = [];
     this.notes = [];
     this.mindmap = { nodes: [], edges: [] };
+    this.revisions = [];
+    this.mastery = [];
+    this.flashcards = { cards: [], reviews: [] };
+    
+    // Last revision number handed out per entity, so revisions added before
+    // their commit lands still get distinct numbers
+    this.revisionCounters = new Map();
+    
+    // Migrations run and records quarantined while loading the data files
+    this.schemaReport = { migrations: [], quarantined: [] };
+    
+    // Per-user ANN index over memory embeddings
+    this.vectorIndex = new MemoryVectorIndex({ file: path.join(dataDir, 'vector-index.json') });
+    
+    // Mutations are serialized so journal compaction never drops an entry
+    // whose data file write is still pending
+    this.writeQueue = Promise.resolve();
+    this.journalEntries = 0;
     
     this.initialized = false;
   }
@@ -31,6 +71,15 @@ class LocalMemoryStorage {
       await this.loadMemories();
       await this.loadNotes();
       await this.loadMindmap();
+      await this.loadRevisions();
+      await this.loadMastery();
+      await this.loadFlashcardData();
+      
+      // Re-apply mutations that may not have reached the data files
+      await this.replayJournal();
+      
+      // Reuse the persisted vector index where it still matches the memories
+      await this.vectorIndex.load(this.memories);
       
       this.initialized = true;
       console.log(`[Local Storage] Initialized with ${this.memories.length} memories, ${this.notes.length} notes`);
@@ -42,56 +91,65 @@ class LocalMemoryStorage {
 
   // Memory operations
   async loadMemories() {
-    try {
-      const data = await fs.readFile(this.memoriesFile, 'utf8');
-      this.memories = JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        this.memories = [];
-        await this.saveMemories();
-      } else {
-        throw error;
-      }
+    const loaded = await this.loadCollection(this.memoriesFile, 'memories');
+    this.memories = loaded ? loaded.value : [];
+    if (!loaded || loaded.dirty) {
+      await this.saveMemories();
     }
   }
 
   async saveMemories() {
-    await fs.writeFile(this.memoriesFile, JSON.stringify(this.memories, null, 2));
+    await this.writeDataFile(this.memoriesFile, 'memories', this.memories);
   }
 
   async addMemory(content, metadata = {}, userId) {
     await this.init();
     
+    const { embedding, embedding_model, ...rest } = metadata;
     const memory = {
       id: this.generateId(),
       user_id: userId,
       content: content.trim(),
-      embedding: metadata.embedding || null, // Will be set by the API layer
+      ...embeddingFields(embedding, embedding_model), // Set by the API layer
       metadata: {
-        ...metadata,
+        ...rest,
         timestamp: new Date().toISOString(),
         source: metadata.source || 'api'
       },
+      archived_at: null,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     };
 
-    this.memories.push(memory);
-    await this.saveMemories();
+    await this.commit({ op: 'upsert', collection: 'memories', record: memory });
     
     console.log(`[Local Storage] Added memory: ${memory.id} for user: ${userId}`);
     return memory;
   }
 
-  async searchMemories(queryEmbedding, userId, threshold = 0.7, limit = 5) {
+  async searchMemories(queryEmbedding, userId, threshold = 0.7, limit = 5, { model = null, includeArchived = false } = {}) {
     await this.init();
     
-    const userMemories = this.memories.filter(m => m.user_id === userId);
+    const userMemories = this.memories.filter(m =>
+      m.user_id === userId &&
+      (!model || m.embedding_model === model) &&
+      (includeArchived || !m.archived_at)
+    );
     
     if (!queryEmbedding || userMemories.length === 0) {
       return [];
     }
 
+    // Large collections go through the ANN index, which only holds the
+    // active tier
+    const hits = includeArchived ? null : this.vectorIndex.search(userId, queryEmbedding, limit, userMemories, model);
+    if (hits) {
+      const byId = new Map(userMemories.map(m => [m.id, m]));
+      return hits
+        .filter(hit => hit.similarity >= threshold && byId.has(hit.id))
+        .map(hit => ({ ...byId.get(hit.id), similarity: hit.similarity }));
+    }
+
     // Calculate cosine similarity for each memory
     const results = userMemories
       .map(memory => {
@@ -110,10 +168,10 @@ class LocalMemoryStorage {
     return results;
   }
 
-  async getUserMemories(userId, limit = 50, offset = 0, category = null) {
+  async getUserMemories(userId, limit = 50, offset = 0, category = null, { tier = 'active' } = {}) {
     await this.init();
     
-    let userMemories = this.memories.filter(m => m.user_id === userId);
+    let userMemories = this.memories.filter(m => m.user_id === userId && inTier(m, tier));
     
     if (category) {
       userMemories = userMemories.filter(m => m.metadata.category === category);
@@ -139,14 +197,13 @@ class LocalMemoryStorage {
       throw new Error('Memory not found');
     }
 
-    this.memories[index] = {
-      ...this.memories[index],
-      ...updates,
-      updated_at: new Date().toISOString()
-    };
+    const changes = { ...updates, updated_at: new Date().toISOString() };
+    if ('embedding' in updates) {
+      Object.assign(changes, embeddingFields(updates.embedding, updates.embedding_model));
+    }
 
-    await this.saveMemories();
-    return this.memories[index];
+    await this.commit({ op: 'patch', collection: 'memories', id: memoryId, changes });
+    return this.patched(this.memories, memoryId, 'Memory not found');
   }
 
   async deleteMemory(memoryId, userId) {
@@ -157,8 +214,7 @@ class LocalMemoryStorage {
       throw new Error('Memory not found');
     }
 
-    this.memories.splice(index, 1);
-    await this.saveMemories();
+    await this.commit({ op: 'delete', collection: 'memories', id: memoryId });
     
     console.log(`[Local Storage] Deleted memory: ${memoryId}`);
     return true;
@@ -166,21 +222,15 @@ class LocalMemoryStorage {
 
   // Notes operations
   async loadNotes() {
-    try {
-      const data = await fs.readFile(this.notesFile, 'utf8');
-      this.notes = JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        this.notes = [];
-        await this.saveNotes();
-      } else {
-        throw error;
-      }
+    const loaded = await this.loadCollection(this.notesFile, 'notes');
+    this.notes = loaded ? loaded.value : [];
+    if (!loaded || loaded.dirty) {
+      await this.saveNotes();
     }
   }
 
   async saveNotes() {
-    await fs.writeFile(this.notesFile, JSON.stringify(this.notes, null, 2));
+    await this.writeDataFile(this.notesFile, 'notes', this.notes);
   }
 
   async addNote(content, metadata = {}, userId) {
@@ -198,8 +248,7 @@ class LocalMemoryStorage {
       updated_at: new Date().toISOString()
     };
 
-    this.notes.push(note);
-    await this.saveNotes();
+    await this.commit({ op: 'upsert', collection: 'notes', record: note });
     
     return note;
   }
@@ -223,14 +272,9 @@ class LocalMemoryStorage {
       throw new Error('Note not found');
     }
 
-    this.notes[index] = {
-      ...this.notes[index],
-      ...updates,
-      updated_at: new Date().toISOString()
-    };
-
-    await this.saveNotes();
-    return this.notes[index];
+    const changes = { ...updates, updated_at: new Date().toISOString() };
+    await this.commit({ op: 'patch', collection: 'notes', id: noteId, changes });
+    return this.patched(this.notes, noteId, 'Note not found');
   }
 
   async deleteNote(noteId, userId) {
@@ -241,28 +285,121 @@ class LocalMemoryStorage {
       throw new Error('Note not found');
     }
 
-    this.notes.splice(index, 1);
-    await this.saveNotes();
+    await this.commit({ op: 'delete', collection: 'notes', id: noteId });
     return true;
   }
 
+  // Re-inserting deleted records
+  async insertMemory(memory) {
+    await this.init();
+    
+    if (this.memories.some(m => m.id === memory.id)) {
+      throw new Error('Memory already exists');
+    }
+
+    const { embedding_dimensions, ...fields } = memory;
+    const record = {
+      ...fields,
+      ...embeddingFields(memory.embedding, memory.embedding_model),
+      archived_at: memory.archived_at || null,
+      updated_at: new Date().toISOString()
+    };
+
+    await this.commit({ op: 'upsert', collection: 'memories', record });
+    return record;
+  }
+
+  async insertNote(note) {
+    await this.init();
+    
+    if (this.notes.some(n => n.id === note.id)) {
+      throw new Error('Note already exists');
+    }
+
+    const record = { ...note, updated_at: new Date().toISOString() };
+    await this.commit({ op: 'upsert', collection: 'notes', record });
+    return record;
+  }
+
+  // Revision history
+  async loadRevisions() {
+    const loaded = await this.loadCollection(this.revisionsFile, 'revisions');
+    this.revisions = loaded ? loaded.value : [];
+    if (!loaded || loaded.dirty) {
+      await this.saveRevisions();
+    }
+  }
+
+  async saveRevisions() {
+    await this.writeDataFile(this.revisionsFile, 'revisions', this.revisions);
+  }
+
+  async addRevision({ user_id, entity_type, entity_id, action, snapshot }) {
+    await this.init();
+    
+    const revision = {
+      id: this.generateId(),
+      user_id,
+      entity_type,
+      entity_id,
+      revision: this.nextRevision(entity_type, entity_id),
+      action,
+      snapshot,
+      created_at: new Date().toISOString()
+    };
+
+    await this.commit({ op: 'upsert', collection: 'revisions', record: revision });
+    return revision;
+  }
+
+  nextRevision(entityType, entityId) {
+    const key = `${entityType}:${entityId}`;
+    if (!this.revisionCounters.has(key)) {
+      const numbers = this.revisions
+        .filter(r => r.entity_type === entityType && r.entity_id === entityId)
+        .map(r => r.revision);
+      this.revisionCounters.set(key, Math.max(0, ...numbers));
+    }
+    
+    const next = this.revisionCounters.get(key) + 1;
+    this.revisionCounters.set(key, next);
+    return next;
+  }
+
+  async getRevisions(entityType, entityId, userId) {
+    await this.init();
+    
+    return this.revisions
+      .filter(r => r.entity_type === entityType && r.entity_id === entityId && r.user_id === userId)
+      .sort((a, b) => a.revision - b.revision);
+  }
+
+  async getTrash(userId, entityType = null) {
+    await this.init();
+    
+    return trashedRevisions(this.revisions.filter(r => r.user_id === userId), entityType);
+  }
+
+  async purgeRevisions(entityType, entityId, userId) {
+    await this.init();
+    
+    const revisions = await this.getRevisions(entityType, entityId, userId);
+    await this.commit(revisions.map(r => ({ op: 'delete', collection: 'revisions', id: r.id })));
+    this.revisionCounters.delete(`${entityType}:${entityId}`);
+    return revisions.length;
+  }
+
   // Mindmap operations
   async loadMindmap() {
-    try {
-      const data = await fs.readFile(this.mindmapFile, 'utf8');
-      this.mindmap = JSON.parse(data);
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        this.mindmap = { nodes: [], edges: [] };
-        await this.saveMindmap();
-      } else {
-        throw error;
-      }
+    const loaded = await this.loadCollection(this.mindmapFile, 'mindmap');
+    this.mindmap = loaded ? loaded.value : { nodes: [], edges: [] };
+    if (!loaded || loaded.dirty) {
+      await this.saveMindmap();
     }
   }
 
   async saveMindmap() {
-    await fs.writeFile(this.mindmapFile, JSON.stringify(this.mindmap, null, 2));
+    await this.writeDataFile(this.mindmapFile, 'mindmap', this.mindmap);
   }
 
   async addMindmapNode(label, metadata = {}, userId) {
@@ -281,8 +418,7 @@ class LocalMemoryStorage {
       updated_at: new Date().toISOString()
     };
 
-    this.mindmap.nodes.push(node);
-    await this.saveMindmap();
+    await this.commit({ op: 'upsert', collection: 'mindmap_nodes', record: node });
     
     return node;
   }
@@ -295,6 +431,7 @@ class LocalMemoryStorage {
       user_id: userId,
       source_node_id: sourceNodeId,
       target_node_id: targetNodeId,
+      type: metadata.type || 'related',
       label: metadata.label || null,
       weight: metadata.weight || 1.0,
       metadata: metadata,
@@ -302,10 +439,10 @@ class LocalMemoryStorage {
       updated_at: new Date().toISOString()
     };
 
-    this.mindmap.edges.push(edge);
-    await this.saveMindmap();
+    await this.commit({ op: 'upsert', collection: 'mindmap_edges', record: edge });
     
-    return edge;
+    // Not added when either node was deleted while it waited its turn
+    return this.patched(this.mindmap.edges, edge.id, 'Mindmap node not found');
   }
 
   async getUserMindmap(userId) {
@@ -317,6 +454,424 @@ class LocalMemoryStorage {
     return { nodes, edges };
   }
 
+  async updateMindmapNode(nodeId, updates, userId) {
+    await this.init();
+    
+    if (!this.mindmap.nodes.some(n => n.id === nodeId && n.user_id === userId)) {
+      throw new Error('Mindmap node not found');
+    }
+
+    const changes = { ...updates, updated_at: new Date().toISOString() };
+    await this.commit({ op: 'patch', collection: 'mindmap_nodes', id: nodeId, changes });
+    return this.patched(this.mindmap.nodes, nodeId, 'Mindmap node not found');
+  }
+
+  async deleteMindmapNode(nodeId, userId) {
+    await this.init();
+    
+    if (!this.mindmap.nodes.some(n => n.id === nodeId && n.user_id === userId)) {
+      throw new Error('Mindmap node not found');
+    }
+
+    // The node's edges go with it when the delete is applied, including any
+    // added while it waited its turn
+    const [removed] = await this.commit({ op: 'delete', collection: 'mindmap_nodes', id: nodeId });
+    if (removed.length === 0) {
+      throw new Error('Mindmap node not found');
+    }
+    return removed.filter(record => record.source_node_id !== undefined);
+  }
+
+  async updateMindmapEdge(edgeId, updates, userId) {
+    await this.init();
+    
+    if (!this.mindmap.edges.some(e => e.id === edgeId && e.user_id === userId)) {
+      throw new Error('Mindmap edge not found');
+    }
+
+    const changes = { ...updates, updated_at: new Date().toISOString() };
+    await this.commit({ op: 'patch', collection: 'mindmap_edges', id: edgeId, changes });
+    return this.patched(this.mindmap.edges, edgeId, 'Mindmap edge not found');
+  }
+
+  async deleteMindmapEdge(edgeId, userId) {
+    await this.init();
+    
+    if (!this.mindmap.edges.some(e => e.id === edgeId && e.user_id === userId)) {
+      throw new Error('Mindmap edge not found');
+    }
+
+    await this.commit({ op: 'delete', collection: 'mindmap_edges', id: edgeId });
+    return true;
+  }
+
+  // The record a patch (or new edge) was applied to, or `message` when it
+  // was deleted while the entry waited its turn
+  patched(collection, id, message) {
+    const record = collection.find(item => item.id === id);
+    if (!record) {
+      throw new Error(message);
+    }
+    return record;
+  }
+
+  // Concept mastery
+  // mastery.json and flashcards.json are read in the layout they had before
+  // their records moved here, and rewritten in this one on the next change
+  async loadMastery() {
+    const loaded = await this.loadCollection(this.masteryFile, 'mastery');
+    this.mastery = loaded ? loaded.value : [];
+    if (!loaded || loaded.dirty) {
+      await this.saveMastery();
+    }
+  }
+
+  async saveMastery() {
+    await this.writeDataFile(this.masteryFile, 'mastery', this.mastery);
+  }
+
+  async getConceptMastery(userId) {
+    await this.init();
+    
+    return this.mastery.filter(r => r.user_id === userId);
+  }
+
+  async saveConceptMastery(record) {
+    await this.init();
+    
+    await this.commit({ op: 'upsert', collection: 'concept_mastery', record });
+    return record;
+  }
+
+  // Flashcards
+  async loadFlashcardData() {
+    const loaded = await this.loadCollection(this.flashcardsFile, 'flashcards');
+    this.flashcards = loaded ? loaded.value : { cards: [], reviews: [] };
+    if (!loaded || loaded.dirty) {
+      await this.saveFlashcardData();
+    }
+  }
+
+  async saveFlashcardData() {
+    await this.writeDataFile(this.flashcardsFile, 'flashcards', this.flashcards);
+  }
+
+  async getFlashcards(userId) {
+    await this.init();
+    
+    return this.flashcards.cards.filter(c => c.user_id === userId);
+  }
+
+  async saveFlashcards(cards) {
+    await this.init();
+    
+    if (cards.length > 0) {
+      await this.commit(cards.map(record => ({ op: 'upsert', collection: 'flashcards', record })));
+    }
+    return cards;
+  }
+
+  async deleteFlashcard(cardId, userId) {
+    await this.init();
+    
+    if (!this.flashcards.cards.some(c => c.id === cardId && c.user_id === userId)) {
+      throw new Error('Flashcard not found');
+    }
+
+    await this.commit({ op: 'delete', collection: 'flashcards', id: cardId });
+    return true;
+  }
+
+  async getFlashcardReviews(userId, cardId = null) {
+    await this.init();
+    
+    return this.flashcards.reviews.filter(r => r.user_id === userId && (cardId === null || r.card_id === cardId));
+  }
+
+  async addFlashcardReview(review) {
+    await this.init();
+    
+    await this.commit({ op: 'upsert', collection: 'flashcard_reviews', record: review });
+    return review;
+  }
+
+  // Journal and recovery
+  // Append entries to the journal, apply them in memory, then rewrite the
+  // affected data files. Replaying an entry twice is harmless. Resolves to
+  // what each entry removed (see applyJournalEntry).
+  async commit(entries) {
+    entries = Array.isArray(entries) ? entries : [entries];
+    
+    const run = this.writeQueue.then(async () => {
+      const ts = new Date().toISOString();
+      await this.appendJournal(entries.map(entry => ({ ts, ...entry })));
+      
+      const collections = new Set();
+      const removed = [];
+      for (const entry of entries) {
+        removed.push(await this.applyJournalEntry(entry));
+        this.affectedCollections(entry).forEach(c => collections.add(c));
+      }
+      
+      await this.saveCollections(collections);
+      await this.maybeCompactJournal();
+      return removed;
+    });
+    
+    // Keep the queue alive after a failed write
+    this.writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async appendJournal(entries) {
+    const lines = entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+    await appendFileDurable(this.journalFile, lines);
+    this.journalEntries += entries.length;
+  }
+
+  // Returns the records the entry removed: a deleted mind map node takes
+  // the edges that touch it when it is applied
+  async applyJournalEntry(entry) {
+    if (entry.op === 'import') {
+      this.importCollections(entry.data, entry.userId);
+      return [];
+    }
+    // Journals written before imports carried their data name a backup file
+    if (entry.op === 'restore') {
+      const backup = JSON.parse(await fs.readFile(entry.backupFile, 'utf8'));
+      this.importCollections(migrateData(backup, backup.schema_version || 0).data, null);
+      return [];
+    }
+    
+    const collection = this.getCollection(entry.collection);
+    const id = entry.op === 'upsert' ? entry.record.id : entry.id;
+    const index = collection.findIndex(item => item.id === id);
+    
+    // A patch is merged into the record as it is when its turn comes, so
+    // overlapping updates don't undo each other and a record deleted in the
+    // meantime stays deleted
+    if (entry.op === 'patch') {
+      if (index !== -1) {
+        collection[index] = { ...collection[index], ...entry.changes };
+        if (entry.collection === 'memories') {
+          this.vectorIndex.upsert(collection[index]);
+        }
+      }
+    } else if (entry.op === 'upsert') {
+      if (entry.collection === 'mindmap_edges' && !this.hasNodes(entry.record)) return [];
+      if (index === -1) {
+        collection.push(entry.record);
+      } else {
+        collection[index] = entry.record;
+      }
+      if (entry.collection === 'memories') {
+        this.vectorIndex.upsert(entry.record);
+      }
+    } else if (entry.op === 'delete') {
+      if (index === -1) return [];
+      const [removed] = collection.splice(index, 1);
+      if (entry.collection === 'memories') {
+        this.vectorIndex.remove(removed);
+      }
+      if (entry.collection === 'mindmap_nodes') {
+        const edges = this.mindmap.edges.filter(e => e.source_node_id === id || e.target_node_id === id);
+        this.mindmap.edges = this.mindmap.edges.filter(e => !edges.includes(e));
+        return [removed, ...edges];
+      }
+      return [removed];
+    } else {
+      throw new Error(`Unknown journal op: ${entry.op}`);
+    }
+    return [];
+  }
+
+  // Whether both ends of an edge are still in the mind map
+  hasNodes(edge) {
+    return [edge.source_node_id, edge.target_node_id].every(id => this.mindmap.nodes.some(n => n.id === id));
+  }
+
+  getCollection(name) {
+    switch (name) {
+      case 'memories': return this.memories;
+      case 'notes': return this.notes;
+      case 'mindmap_nodes': return this.mindmap.nodes;
+      case 'mindmap_edges': return this.mindmap.edges;
+      case 'revisions': return this.revisions;
+      case 'concept_mastery': return this.mastery;
+      case 'flashcards': return this.flashcards.cards;
+      case 'flashcard_reviews': return this.flashcards.reviews;
+      default: throw new Error(`Unknown collection: ${name}`);
+    }
+  }
+
+  affectedCollections(entry) {
+    return entry.op === 'import' || entry.op === 'restore' ? ['memories', 'notes', 'mindmap_nodes', 'revisions', 'concept_mastery', 'flashcards'] : [entry.collection];
+  }
+
+  async saveCollections(collections) {
+    if (collections.has('memories')) await this.saveMemories();
+    if (collections.has('notes')) await this.saveNotes();
+    if (collections.has('mindmap_nodes') || collections.has('mindmap_edges')) await this.saveMindmap();
+    if (collections.has('revisions')) await this.saveRevisions();
+    if (collections.has('concept_mastery')) await this.saveMastery();
+    if (collections.has('flashcards') || collections.has('flashcard_reviews')) await this.saveFlashcardData();
+  }
+
+  // Once the data files are saved they hold every journaled change, so the
+  // journal can be emptied
+  async maybeCompactJournal(force = false) {
+    if (!force && this.journalEntries < JOURNAL_COMPACT_THRESHOLD) return;
+    await writeFileAtomic(this.journalFile, '');
+    this.journalEntries = 0;
+  }
+
+  async replayJournal() {
+    let data;
+    try {
+      data = await fs.readFile(this.journalFile, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+    
+    const lines = data.split('\n').filter(line => line.trim());
+    const collections = new Set();
+    let replayed = 0;
+    
+    for (const [i, line] of lines.entries()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // Only the last line can be torn by a crash mid-append
+        const kind = i === lines.length - 1 ? 'torn final' : 'corrupt';
+        console.warn(`[Local Storage] Skipping ${kind} journal line ${i + 1}`);
+        continue;
+      }
+      
+      try {
+        await this.applyJournalEntry(entry);
+        this.affectedCollections(entry).forEach(c => collections.add(c));
+        replayed++;
+      } catch (error) {
+        console.warn(`[Local Storage] Could not replay journal line ${i + 1}:`, error.message);
+      }
+    }
+    
+    if (replayed > 0) {
+      console.log(`[Local Storage] Replayed ${replayed} journal entries`);
+      await this.saveCollections(collections);
+    }
+    await this.maybeCompactJournal(true);
+  }
+
+  // Data files
+  // Read a data file, upgrading it to the current schema version and
+  // quarantining the records that fail validation. Returns null when there
+  // is nothing to load; `dirty` means the file should be rewritten.
+  async loadCollection(file, key) {
+    const loaded = await this.loadDataFile(file, key);
+    if (!loaded) return null;
+    
+    const name = path.basename(file);
+    const { data: migrated, applied } = migrateData({ [key]: loaded.value }, loaded.version);
+    if (applied.length) {
+      // The file as it was before the upgrade is kept next to it
+      await fs.copyFile(file, `${file}.v${loaded.version}`).catch(() => {});
+      this.schemaReport.migrations.push({ file: name, from: loaded.version, to: SCHEMA_VERSION });
+      console.log(`[Local Storage] Migrated ${name} from schema version ${loaded.version} to ${SCHEMA_VERSION}`);
+    }
+    
+    const { data, problems } = validateData(migrated);
+    if (problems.length) {
+      await this.quarantine(name, problems);
+    }
+    return { value: data[key], dirty: applied.length > 0 || problems.length > 0 };
+  }
+  
+  async writeDataFile(file, key, value) {
+    await writeFileAtomic(file, JSON.stringify(wrapDataFile(key, value), null, 2), { keepPrevious: true });
+  }
+  
+  // The contents and schema version of a data file, recovered from a
+  // snapshot when the file is corrupt
+  async loadDataFile(file, backupKey) {
+    let data;
+    try {
+      data = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    
+    try {
+      return unwrapDataFile(backupKey, JSON.parse(data));
+    } catch (error) {
+      const corruptFile = `${file}.corrupt-${Date.now()}`;
+      await fs.rename(file, corruptFile);
+      console.error(`[Local Storage] ${path.basename(file)} is corrupt (moved to ${path.basename(corruptFile)}), recovering`);
+      return this.recoverDataFile(file, backupKey);
+    }
+  }
+
+  // Snapshots are tried newest first: the previous version kept by
+  // writeFileAtomic, then the backup_*.json files
+  async recoverDataFile(file, backupKey) {
+    const candidates = [{ source: `${file}.bak`, read: data => unwrapDataFile(backupKey, data) }];
+    
+    const backups = (await fs.readdir(this.dataDir))
+      .filter(name => /^backup_\d+\.json$/.test(name))
+      .sort((a, b) => parseInt(b.slice(7)) - parseInt(a.slice(7)));
+    for (const name of backups) {
+      candidates.push({
+        source: path.join(this.dataDir, name),
+        read: data => unwrapDataFile(backupKey, { schema_version: data.schema_version || 0, [backupKey]: data[backupKey] })
+      });
+    }
+    
+    for (const candidate of candidates) {
+      try {
+        const recovered = candidate.read(JSON.parse(await fs.readFile(candidate.source, 'utf8')));
+        console.warn(`[Local Storage] Recovered ${path.basename(file)} from ${path.basename(candidate.source)}`);
+        return recovered;
+      } catch (error) {
+        // Missing or unreadable, try the next one
+      }
+    }
+    
+    console.error(`[Local Storage] No good snapshot found for ${path.basename(file)}, starting empty`);
+    return null;
+  }
+
+  // Records that fail validation are kept in quarantine.json, with the
+  // reason, so they can be repaired by hand
+  async quarantine(name, problems) {
+    let quarantined = [];
+    try {
+      const existing = JSON.parse(await fs.readFile(this.quarantineFile, 'utf8'));
+      if (!Array.isArray(existing)) throw new Error('quarantine.json is not a list');
+      quarantined = existing;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('[Local Storage] quarantine.json is unreadable, starting a new one');
+        await fs.rename(this.quarantineFile, `${this.quarantineFile}.corrupt-${Date.now()}`).catch(() => {});
+      }
+    }
+    
+    const quarantinedAt = new Date().toISOString();
+    const entries = problems.map(({ collection, id, reason, record }) => ({ file: name, collection, id, reason, record, quarantined_at: quarantinedAt }));
+    await writeFileAtomic(this.quarantineFile, JSON.stringify([...quarantined, ...entries], null, 2));
+    
+    for (const { record, ...entry } of entries) {
+      this.schemaReport.quarantined.push(entry);
+      console.warn(`[Local Storage] Quarantined a record from ${name}: ${entry.reason}`);
+    }
+  }
+
+  async getSchemaReport() {
+    return this.schemaReport;
+  }
+
   // Utility methods
   generateId() {
     return crypto.randomUUID();
@@ -352,23 +907,39 @@ class LocalMemoryStorage {
       id: this.generateId(),
       user_id: userId,
       content: memory.content.trim(),
-      embedding: memory.embedding || null,
+      ...embeddingFields(memory.embedding, memory.embedding_model),
       metadata: {
         ...memory.metadata,
         timestamp: new Date().toISOString(),
         source: 'batch'
       },
+      archived_at: null,
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString()
     }));
 
-    this.memories.push(...processedMemories);
-    await this.saveMemories();
+    await this.commit(processedMemories.map(memory => ({ op: 'upsert', collection: 'memories', record: memory })));
     
     console.log(`[Local Storage] Added ${processedMemories.length} memories in batch for user: ${userId}`);
     return processedMemories;
   }
 
+  // Re-embedding
+  async getStaleEmbeddings(model, { afterId = null, limit = 100, userId = null } = {}) {
+    await this.init();
+
+    return this.memories
+      .filter(m => m.embedding_model !== model && (!userId || m.user_id === userId) && (afterId === null || m.id > afterId))
+      .sort((a, b) => (a.id < b.id ? -1 : a.id > b.id ? 1 : 0))
+      .slice(0, limit);
+  }
+
+  async countStaleEmbeddings(model, userId = null) {
+    await this.init();
+
+    return this.memories.filter(m => m.embedding_model !== model && (!userId || m.user_id === userId)).length;
+  }
+
   // Statistics
   async getMemoryStats(userId) {
     await this.init();
@@ -386,43 +957,63 @@ class LocalMemoryStorage {
     };
   }
 
+  async getUserIds() {
+    await this.init();
+
+    return [...new Set(this.memories.map(m => m.user_id))].sort();
+  }
+
   // Backup and restore
-  async createBackup() {
+  async exportData() {
     await this.init();
     
-    const backup = {
-      timestamp: new Date().toISOString(),
-      memories: this.memories,
-      notes: this.notes,
-      mindmap: this.mindmap
+    return {
+      memories: [...this.memories],
+      notes: [...this.notes],
+      mindmap: { nodes: [...this.mindmap.nodes], edges: [...this.mindmap.edges] },
+      revisions: [...this.revisions],
+      mastery: [...this.mastery],
+      flashcards: { cards: [...this.flashcards.cards], reviews: [...this.flashcards.reviews] }
     };
+  }
 
-    const backupFile = path.join(this.dataDir, `backup_${Date.now()}.json`);
-    await fs.writeFile(backupFile, JSON.stringify(backup, null, 2));
+  // Imports are journaled with their data, so a crash part way through
+  // saving the data files is replayed in full
+  async importData(data, { userId = null } = {}) {
+    await this.init();
     
-    console.log(`[Local Storage] Backup created: ${backupFile}`);
-    return backupFile;
+    await this.commit({ op: 'import', userId, data });
+    console.log(`[Local Storage] Imported ${userId ? `data for user: ${userId}` : 'all data'}`);
+    return true;
   }
 
-  async restoreFromBackup(backupFile) {
-    try {
-      const data = await fs.readFile(backupFile, 'utf8');
-      const backup = JSON.parse(data);
-      
-      this.memories = backup.memories || [];
-      this.notes = backup.notes || [];
-      this.mindmap = backup.mindmap || { nodes: [], edges: [] };
-      
-      await this.saveMemories();
-      await this.saveNotes();
-      await this.saveMindmap();
-      
-      console.log(`[Local Storage] Restored from backup: ${backupFile}`);
-      return true;
-    } catch (error) {
-      console.error('[Local Storage] Restore error:', error);
-      throw error;
+  importCollections(data, userId) {
+    const others = records => (userId === null ? [] : records.filter(r => r.user_id !== userId));
+    const incoming = records => (records || []).filter(r => userId === null || r.user_id === userId);
+    const mindmap = data.mindmap || { nodes: [], edges: [] };
+    
+    this.memories = [...others(this.memories), ...incoming(data.memories)];
+    this.notes = [...others(this.notes), ...incoming(data.notes)];
+    this.mindmap = {
+      nodes: [...others(this.mindmap.nodes), ...incoming(mindmap.nodes)],
+      edges: [...others(this.mindmap.edges), ...incoming(mindmap.edges)]
+    };
+    // Backups from before revision history, concept mastery or flashcards
+    // leave the current ones alone
+    if (data.revisions) {
+      this.revisions = [...others(this.revisions), ...incoming(data.revisions)];
+    }
+    if (data.mastery) {
+      this.mastery = [...others(this.mastery), ...incoming(data.mastery)];
+    }
+    if (data.flashcards) {
+      this.flashcards = {
+        cards: [...others(this.flashcards.cards), ...incoming(data.flashcards.cards)],
+        reviews: [...others(this.flashcards.reviews), ...incoming(data.flashcards.reviews)]
+      };
     }
+    this.revisionCounters.clear();
+    this.vectorIndex.clear();
   }
 }
 
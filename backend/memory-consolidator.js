@@ -0,0 +1,238 @@
+// memory-consolidator.js - Finds and merges near-duplicate memories
+// Memories whose embeddings are at least `threshold` similar are grouped
+// around the oldest one. Merging keeps a single canonical memory and records
+// every memory folded into it under metadata.merged_from, so nothing the
+// user saved is lost.
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-file');
+
+// Most near-duplicates looked at for one memory
+const MAX_DUPLICATES = 20;
+
+// Metadata that describes a memory's own merge history rather than the memory
+const MERGE_FIELDS = ['merged_from', 'merged_at'];
+
+class MemoryConsolidator {
+  // embed(text, userId) returns a vector from `model`, used for memories
+  // whose stored vector is missing or from another model. With a
+  // RevisionHistory, merges are recorded and merged-away memories go to the
+  // trash; with an EventFeed, they are published.
+  constructor({ storage, embed, model, threshold, keywordIndex = null, history = null, events = null, reportFile = null }) {
+    this.storage = storage;
+    this.embed = embed;
+    this.model = model;
+    this.threshold = threshold;
+    this.keywordIndex = keywordIndex;
+    this.history = history;
+    this.events = events;
+    this.reportFile = reportFile;
+
+    this.lastReport = null;
+    this.running = null;
+    this.timer = null;
+  }
+
+  async vectorFor(memory) {
+    if (memory.embedding_model === this.model && Array.isArray(memory.embedding)) {
+      return memory.embedding;
+    }
+    return this.embed(memory.content, memory.user_id);
+  }
+
+  // Other memories of the same user at least `threshold` similar, most
+  // similar first
+  async findDuplicates(memory, { threshold = this.threshold } = {}) {
+    const vector = await this.vectorFor(memory);
+    const matches = await this.storage.searchMemories(vector, memory.user_id, threshold, MAX_DUPLICATES + 1, { model: this.model });
+    return matches.filter(match => match.id !== memory.id).slice(0, MAX_DUPLICATES);
+  }
+
+  // Each cluster is seeded by its oldest memory and holds the not yet
+  // clustered memories similar to that seed. Comparing against the seed
+  // rather than any member stops chains of small differences from pulling
+  // unrelated memories together.
+  async findClusters(userId, { threshold = this.threshold } = {}) {
+    const { memories } = await this.storage.getUserMemories(userId, 100000, 0);
+    memories.sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || (a.id < b.id ? -1 : 1));
+
+    const clustered = new Set();
+    const clusters = [];
+
+    for (const seed of memories) {
+      if (clustered.has(seed.id)) continue;
+
+      let duplicates;
+      try {
+        duplicates = (await this.findDuplicates(seed, { threshold })).filter(m => !clustered.has(m.id));
+      } catch (error) {
+        console.warn(`[Consolidation] Skipping memory ${seed.id}:`, error.message);
+        continue;
+      }
+      if (duplicates.length === 0) continue;
+
+      const members = [{ ...seed, similarity: 1 }, ...duplicates];
+      members.forEach(m => clustered.add(m.id));
+      clusters.push({ canonical: this.chooseCanonical(members), members });
+    }
+
+    return clusters;
+  }
+
+  // The most complete version wins: the longest content, then the oldest
+  chooseCanonical(members) {
+    return members.reduce((best, m) => {
+      if (m.content.length !== best.content.length) {
+        return m.content.length > best.content.length ? m : best;
+      }
+      return new Date(m.created_at) < new Date(best.created_at) ? m : best;
+    });
+  }
+
+  // Fold the memories into one. The canonical memory is updated before the
+  // others are deleted, so an interrupted merge leaves duplicates behind,
+  // never lost content.
+  async merge(userId, memoryIds, canonicalId = null) {
+    const { memories } = await this.storage.getUserMemories(userId, 100000, 0);
+    const byId = new Map(memories.map(m => [m.id, m]));
+
+    const members = [...new Set(memoryIds)].map(id => byId.get(id));
+    if (members.some(m => !m) || (canonicalId && !byId.has(canonicalId))) {
+      throw new Error('Memory not found');
+    }
+
+    const canonical = canonicalId ? byId.get(canonicalId) : this.chooseCanonical(members);
+    const others = members.filter(m => m.id !== canonical.id);
+    if (others.length === 0) {
+      return canonical;
+    }
+
+    const mergedFrom = [
+      ...(canonical.metadata.merged_from || []),
+      ...others.flatMap(m => [...(m.metadata.merged_from || []), this.provenance(m)])
+    ];
+    const updated = await this.storage.updateMemory(canonical.id, {
+      metadata: { ...canonical.metadata, merged_from: mergedFrom, merged_at: new Date().toISOString() }
+    }, userId);
+    if (this.keywordIndex) this.keywordIndex.upsertMemory(updated);
+    if (this.history) await this.history.record('memory', 'merge', updated, canonical);
+    if (this.events) this.events.recordChange('memory', 'updated', updated);
+
+    for (const memory of others) {
+      if (this.history) await this.history.record('memory', 'delete', memory);
+      await this.storage.deleteMemory(memory.id, userId);
+      if (this.keywordIndex) this.keywordIndex.removeMemory(memory.id, userId);
+      if (this.events) this.events.recordChange('memory', 'deleted', memory);
+    }
+
+    console.log(`[Consolidation] Merged ${others.length} memories into ${canonical.id} for user: ${userId}`);
+    return updated;
+  }
+
+  // What is kept of a memory merged into another
+  provenance(memory) {
+    const metadata = { ...memory.metadata };
+    MERGE_FIELDS.forEach(field => delete metadata[field]);
+    delete metadata.embedding;
+
+    return { id: memory.id, content: memory.content, created_at: memory.created_at, metadata };
+  }
+
+  // Cluster one user's memories (every user's without userId) and, unless
+  // dryRun, merge each cluster. Returns a report of the clusters found.
+  async run({ userId = null, threshold = this.threshold, dryRun = true } = {}) {
+    if (this.running) {
+      throw new Error('Consolidation already running');
+    }
+
+    this.running = this.consolidate({ userId, threshold, dryRun });
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async consolidate({ userId, threshold, dryRun }) {
+    const report = {
+      dryRun,
+      threshold,
+      model: this.model,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      users: 0,
+      clusters: [],
+      merged: 0
+    };
+
+    const userIds = userId ? [userId] : await this.storage.getUserIds();
+    for (const id of userIds) {
+      report.users++;
+      for (const cluster of await this.findClusters(id, { threshold })) {
+        report.clusters.push({
+          userId: id,
+          canonical: { id: cluster.canonical.id, content: cluster.canonical.content },
+          duplicates: cluster.members
+            .filter(m => m.id !== cluster.canonical.id)
+            .map(m => ({ id: m.id, content: m.content, similarity: m.similarity }))
+        });
+
+        if (!dryRun) {
+          await this.merge(id, cluster.members.map(m => m.id), cluster.canonical.id);
+          report.merged += cluster.members.length - 1;
+        }
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    console.log(`[Consolidation] ${dryRun ? 'Dry run' : 'Run'} finished: ${report.clusters.length} clusters across ${report.users} users, ${report.merged} memories merged`);
+
+    // Only sweeps across every user replace the saved report
+    if (!userId) {
+      this.lastReport = report;
+      await this.saveReport(report);
+    }
+    return report;
+  }
+
+  async loadReport() {
+    if (this.lastReport || !this.reportFile) return this.lastReport;
+
+    try {
+      this.lastReport = JSON.parse(await fs.readFile(this.reportFile, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[Consolidation] Ignoring unreadable report:', error.message);
+      }
+    }
+    return this.lastReport;
+  }
+
+  async saveReport(report) {
+    if (!this.reportFile) return;
+
+    await fs.mkdir(path.dirname(this.reportFile), { recursive: true });
+    await writeFileAtomic(this.reportFile, JSON.stringify(report, null, 2));
+  }
+
+  // Sweep every user on a timer; a sweep still running when the next is due
+  // is left to finish
+  schedule(intervalMs, options = {}) {
+    this.stop();
+    this.timer = setInterval(() => {
+      if (this.running) return;
+      this.run(options).catch(error => console.error('[Consolidation] Scheduled run failed:', error));
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = MemoryConsolidator;
@@ -0,0 +1,167 @@
+// memory-importance.js - Importance scores, decay and the archive tier
+// A memory's importance comes from its category, how often it has been
+// retrieved, how recently it was created or used, and whether the user
+// pinned it. Scores halve every `halfLifeDays` without use; unpinned
+// memories that fall below `archiveThreshold` are moved to the archive tier,
+// which default search skips but which can always be restored.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_HALF_LIFE_DAYS = 60;
+const DEFAULT_ARCHIVE_THRESHOLD = 0.1;
+
+// Starting importance by category (see categorizeMemory in local-memory-api.js)
+const CATEGORY_WEIGHTS = {
+  error_pattern: 0.8,
+  weakness: 0.8,
+  learning_preference: 0.7,
+  concept: 0.7,
+  fact: 0.7,
+  problem_solving: 0.6,
+  strength: 0.5,
+  general: 0.3
+};
+
+// Each doubling of the access count adds ACCESS_BOOST, up to MAX_ACCESS_BOOST
+const ACCESS_BOOST = 0.1;
+const MAX_ACCESS_BOOST = 0.4;
+
+// How much importance moves a retrieval score: a memory of importance 0
+// keeps half its relevance, one of importance 1 all of it
+const RANKING_WEIGHT = 0.5;
+
+class MemoryImportance {
+  constructor({
+    halfLifeDays = parseFloat(process.env.MEMORY_HALF_LIFE_DAYS) || DEFAULT_HALF_LIFE_DAYS,
+    archiveThreshold = process.env.MEMORY_ARCHIVE_THRESHOLD !== undefined
+      ? parseFloat(process.env.MEMORY_ARCHIVE_THRESHOLD)
+      : DEFAULT_ARCHIVE_THRESHOLD
+  } = {}) {
+    this.halfLifeDays = halfLifeDays;
+    this.archiveThreshold = archiveThreshold;
+  }
+
+  // 0..1, rounded so responses stay readable
+  score(memory, now = Date.now()) {
+    const metadata = memory.metadata || {};
+    if (metadata.pinned) {
+      return 1;
+    }
+
+    const base = CATEGORY_WEIGHTS[metadata.category] ?? CATEGORY_WEIGHTS.general;
+    const frequency = Math.min(MAX_ACCESS_BOOST, ACCESS_BOOST * Math.log2(1 + (metadata.access_count || 0)));
+
+    const lastUsed = Math.max(new Date(memory.created_at).getTime() || 0, new Date(metadata.last_accessed_at).getTime() || 0);
+    const ageDays = Math.max(0, now - lastUsed) / DAY_MS;
+    const decay = Math.pow(0.5, ageDays / this.halfLifeDays);
+
+    return Math.round(Math.min(1, base + frequency) * decay * 10000) / 10000;
+  }
+
+  // Multiplier applied to a relevance score when ranking retrieval results
+  rankingWeight(memory, now = Date.now()) {
+    return 1 - RANKING_WEIGHT + RANKING_WEIGHT * this.score(memory, now);
+  }
+
+  shouldArchive(memory, now = Date.now()) {
+    return !memory.archived_at && !(memory.metadata || {}).pinned && this.score(memory, now) < this.archiveThreshold;
+  }
+
+  // Metadata after one more retrieval
+  touched(metadata = {}, now = Date.now()) {
+    return {
+      ...metadata,
+      access_count: (metadata.access_count || 0) + 1,
+      last_accessed_at: new Date(now).toISOString()
+    };
+  }
+}
+
+// Moves memories between the active and archive tiers, and sweeps users
+// for memories whose importance has decayed below the threshold
+class MemoryArchiver {
+  constructor({ storage, importance, keywordIndex = null, events = null }) {
+    this.storage = storage;
+    this.importance = importance;
+    this.keywordIndex = keywordIndex;
+    this.events = events;
+    this.running = null;
+    this.timer = null;
+  }
+
+  async archive(memoryId, userId) {
+    const memory = await this.storage.updateMemory(memoryId, { archived_at: new Date().toISOString() }, userId);
+    if (this.keywordIndex) this.keywordIndex.upsertMemory(memory);
+    if (this.events) this.events.recordChange('memory', 'updated', memory);
+    return memory;
+  }
+
+  // Restoring counts as a use, so the next sweep doesn't archive the memory
+  // straight away again
+  async restore(memory) {
+    const restored = await this.storage.updateMemory(memory.id, {
+      archived_at: null,
+      metadata: this.importance.touched(memory.metadata)
+    }, memory.user_id);
+    if (this.keywordIndex) this.keywordIndex.upsertMemory(restored);
+    if (this.events) this.events.recordChange('memory', 'updated', restored);
+    return restored;
+  }
+
+  // Archive one user's (every user's without userId) low-importance
+  // memories; a dry run only lists them
+  async run({ userId = null, dryRun = false, now = Date.now() } = {}) {
+    if (this.running) {
+      throw new Error('Archival already running');
+    }
+
+    this.running = this.sweep({ userId, dryRun, now });
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async sweep({ userId, dryRun, now }) {
+    const report = { dryRun, threshold: this.importance.archiveThreshold, users: 0, archived: [] };
+
+    const userIds = userId ? [userId] : await this.storage.getUserIds();
+    for (const id of userIds) {
+      report.users++;
+      const { memories } = await this.storage.getUserMemories(id, 100000, 0);
+
+      for (const memory of memories.filter(m => this.importance.shouldArchive(m, now))) {
+        if (!dryRun) {
+          await this.archive(memory.id, id);
+        }
+        report.archived.push({ userId: id, id: memory.id, content: memory.content, importance: this.importance.score(memory, now) });
+      }
+    }
+
+    console.log(`[Archive] ${dryRun ? 'Dry run' : 'Sweep'} finished: ${report.archived.length} memories below ${report.threshold} across ${report.users} users`);
+    return report;
+  }
+
+  schedule(intervalMs) {
+    this.stop();
+    this.timer = setInterval(() => {
+      if (this.running) return;
+      this.run().catch(error => console.error('[Archive] Scheduled sweep failed:', error));
+    }, intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = {
+  MemoryImportance,
+  MemoryArchiver,
+  CATEGORY_WEIGHTS
+};
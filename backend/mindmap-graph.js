@@ -0,0 +1,229 @@
+// mindmap-graph.js - Queries over a user's stored mind map
+// Works on { nodes, edges } as getUserMindmap returns them. A prerequisite
+// edge runs from the concept to learn first to the one that builds on it;
+// neighbourhoods ignore direction, prerequisite paths and cycles follow it.
+
+// Furthest a neighbourhood query reaches
+const MAX_HOPS = 5;
+
+// The node and everything within `hops` edges of it (of `type` only, when
+// given), each with its distance, and the edges between them
+function neighbours(mindmap, nodeId, { hops = 1, type = null } = {}) {
+  const edges = mindmap.edges.filter(edge => !type || edge.type === type);
+  const adjacent = new Map();
+  for (const edge of edges) {
+    link(adjacent, edge.source_node_id, edge.target_node_id);
+    link(adjacent, edge.target_node_id, edge.source_node_id);
+  }
+
+  const distances = new Map([[nodeId, 0]]);
+  let frontier = [nodeId];
+  for (let hop = 1; hop <= Math.min(hops, MAX_HOPS) && frontier.length > 0; hop++) {
+    const next = [];
+    for (const id of frontier) {
+      for (const neighbour of adjacent.get(id) || []) {
+        if (distances.has(neighbour)) continue;
+        distances.set(neighbour, hop);
+        next.push(neighbour);
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    nodes: mindmap.nodes.filter(node => distances.has(node.id)).map(node => ({ ...node, hops: distances.get(node.id) }))
+      .sort((a, b) => a.hops - b.hops),
+    edges: edges.filter(edge => distances.has(edge.source_node_id) && distances.has(edge.target_node_id))
+  };
+}
+
+// The fewest prerequisite edges leading from `fromId` to `toId`, as the
+// nodes in learning order and the edges between them, or null when there
+// is no such chain
+function prerequisitePath(mindmap, fromId, toId) {
+  const outgoing = prerequisiteEdges(mindmap);
+  const via = new Map([[fromId, null]]);
+  let frontier = [fromId];
+  while (frontier.length > 0 && !via.has(toId)) {
+    const next = [];
+    for (const id of frontier) {
+      for (const edge of outgoing.get(id) || []) {
+        if (via.has(edge.target_node_id)) continue;
+        via.set(edge.target_node_id, edge);
+        next.push(edge.target_node_id);
+      }
+    }
+    frontier = next;
+  }
+  if (!via.has(toId)) return null;
+
+  const edges = [];
+  for (let edge = via.get(toId); edge; edge = via.get(edge.source_node_id)) {
+    edges.unshift(edge);
+  }
+  const byId = new Map(mindmap.nodes.map(node => [node.id, node]));
+  return { nodes: [fromId, ...edges.map(edge => edge.target_node_id)].map(id => byId.get(id)), edges };
+}
+
+// One cycle from each group of nodes whose prerequisites lead back to
+// themselves (a strongly connected component, or a node that is its own
+// prerequisite), each as its nodes in order and the edges closing it
+function prerequisiteCycles(mindmap) {
+  const outgoing = prerequisiteEdges(mindmap);
+  const byId = new Map(mindmap.nodes.map(node => [node.id, node]));
+  const cycles = [];
+
+  for (const component of stronglyConnected(mindmap.nodes.map(node => node.id), outgoing)) {
+    const members = new Set(component);
+    const start = component[0];
+    const selfLoop = (outgoing.get(start) || []).find(edge => edge.target_node_id === start);
+    if (component.length === 1 && !selfLoop) continue;
+
+    // Shortest way round: breadth first from the start until an edge
+    // leads back to it
+    const via = new Map([[start, null]]);
+    let closing = selfLoop || null;
+    let frontier = [start];
+    while (!closing && frontier.length > 0) {
+      const next = [];
+      for (const id of frontier) {
+        for (const edge of outgoing.get(id) || []) {
+          if (!members.has(edge.target_node_id)) continue;
+          if (edge.target_node_id === start) {
+            closing = closing || edge;
+          } else if (!via.has(edge.target_node_id)) {
+            via.set(edge.target_node_id, edge);
+            next.push(edge.target_node_id);
+          }
+        }
+      }
+      frontier = next;
+    }
+
+    const edges = [closing];
+    for (let edge = via.get(closing.source_node_id); edge; edge = via.get(edge.source_node_id)) {
+      edges.unshift(edge);
+    }
+    cycles.push({ nodes: edges.map(edge => byId.get(edge.source_node_id)), edges });
+  }
+  return cycles;
+}
+
+// What merging `mergedIds` into `nodeId` does to the edges: each edge of a
+// merged node is moved onto `nodeId`, unless that would join the node to
+// itself or repeat an edge it already has (same type and ends; either
+// direction for related edges), in which case it is deleted and the edge
+// kept has the larger weight. Returns { moves: [{ edge, changes }], deletes }.
+function planMerge(mindmap, nodeId, mergedIds) {
+  const merged = new Set(mergedIds);
+  const moved = id => (merged.has(id) ? nodeId : id);
+  const touches = edge => merged.has(edge.source_node_id) || merged.has(edge.target_node_id);
+
+  const kept = new Map();
+  for (const edge of mindmap.edges.filter(edge => !touches(edge))) {
+    kept.set(edgeKey(edge.type, edge.source_node_id, edge.target_node_id), { edge, changes: {} });
+  }
+
+  const deletes = [];
+  for (const edge of mindmap.edges.filter(touches)) {
+    const source = moved(edge.source_node_id);
+    const target = moved(edge.target_node_id);
+    const key = edgeKey(edge.type, source, target);
+    if (source === target) {
+      deletes.push(edge);
+    } else if (kept.has(key)) {
+      const existing = kept.get(key);
+      const weight = existing.changes.weight ?? existing.edge.weight;
+      if (edge.weight > weight) existing.changes.weight = edge.weight;
+      deletes.push(edge);
+    } else {
+      kept.set(key, { edge, changes: { source_node_id: source, target_node_id: target } });
+    }
+  }
+
+  const moves = [...kept.values()].filter(({ changes }) => Object.keys(changes).length > 0);
+  return { moves, deletes };
+}
+
+function link(adjacent, from, to) {
+  if (!adjacent.has(from)) adjacent.set(from, []);
+  adjacent.get(from).push(to);
+}
+
+// Node id => its outgoing prerequisite edges
+function prerequisiteEdges(mindmap) {
+  const outgoing = new Map();
+  for (const edge of mindmap.edges.filter(edge => edge.type === 'prerequisite')) {
+    if (!outgoing.has(edge.source_node_id)) outgoing.set(edge.source_node_id, []);
+    outgoing.get(edge.source_node_id).push(edge);
+  }
+  return outgoing;
+}
+
+function edgeKey(type, source, target) {
+  const [a, b] = type === 'related' && target < source ? [target, source] : [source, target];
+  return `${type}\n${a}\n${b}`;
+}
+
+// Tarjan's algorithm, iterative so long prerequisite chains can't overflow
+// the stack. Components come out in reverse topological order.
+function stronglyConnected(ids, outgoing) {
+  const index = new Map();
+  const lowlink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const components = [];
+  let counter = 0;
+
+  for (const root of ids) {
+    if (index.has(root)) continue;
+    const work = [{ id: root, next: 0 }];
+    index.set(root, counter);
+    lowlink.set(root, counter++);
+    stack.push(root);
+    onStack.add(root);
+
+    while (work.length > 0) {
+      const frame = work[work.length - 1];
+      const edges = outgoing.get(frame.id) || [];
+      if (frame.next < edges.length) {
+        const target = edges[frame.next++].target_node_id;
+        if (!index.has(target)) {
+          index.set(target, counter);
+          lowlink.set(target, counter++);
+          stack.push(target);
+          onStack.add(target);
+          work.push({ id: target, next: 0 });
+        } else if (onStack.has(target)) {
+          lowlink.set(frame.id, Math.min(lowlink.get(frame.id), index.get(target)));
+        }
+        continue;
+      }
+
+      work.pop();
+      if (work.length > 0) {
+        const parent = work[work.length - 1].id;
+        lowlink.set(parent, Math.min(lowlink.get(parent), lowlink.get(frame.id)));
+      }
+      if (lowlink.get(frame.id) === index.get(frame.id)) {
+        const component = [];
+        let id;
+        do {
+          id = stack.pop();
+          onStack.delete(id);
+          component.unshift(id);
+        } while (id !== frame.id);
+        components.push(component);
+      }
+    }
+  }
+  return components;
+}
+
+module.exports = {
+  MAX_HOPS,
+  neighbours,
+  prerequisitePath,
+  prerequisiteCycles,
+  planMerge
+};
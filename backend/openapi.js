@@ -0,0 +1,575 @@
+// openapi.js - OpenAPI description of the memory server
+// Every route the server registers is listed in OPERATIONS, with what it
+// returns. What a route accepts comes from its handler's entry in
+// request-schemas.js, so the document can't disagree with validation.
+// test-openapi.js checks OPERATIONS against the routes the server actually
+// registers, and generate-client.js builds the front-ends' client from it.
+
+const { REQUEST_SCHEMAS } = require('./request-schemas');
+const { REVISION_ENTITY_TYPES } = require('./revision-history');
+const { WEBHOOK_EVENT_FILTERS, DELIVERY_STATUSES } = require('./webhook-dispatcher');
+const { MESSAGE_ROLES } = require('./chat-sessions');
+const { MINDMAP_EDGE_TYPES } = require('./storage-adapter');
+const { EVIDENCE_SOURCES, MASTERY_LEVELS } = require('./concept-mastery');
+const { CARD_ORIGINS } = require('./flashcards');
+const { version } = require('./package.json');
+
+const OPENAPI_VERSION = '3.1.0';
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const object = (properties = {}, required = []) => ({ type: 'object', properties, required });
+const list = schema => ({ type: 'array', items: schema });
+const report = { type: 'object' };
+const masteryLevel = { type: 'string', enum: MASTERY_LEVELS.map(({ level }) => level) };
+
+const COMPONENT_SCHEMAS = {
+  Error: object({
+    success: { type: 'boolean', enum: [false] },
+    error: { type: 'string', description: 'Readable message' },
+    code: { type: 'string', description: 'Machine-readable error code' },
+    requestId: { type: ['string', 'null'], description: 'Also sent as the X-Request-Id header' },
+    details: list(object({
+      location: { type: 'string', enum: ['params', 'query', 'body'] },
+      field: { type: 'string' },
+      message: { type: 'string' }
+    }, ['location', 'field', 'message']))
+  }, ['success', 'error', 'code', 'requestId']),
+  User: object({
+    id: { type: 'string' },
+    username: { type: 'string' },
+    role: { type: 'string', enum: ['admin', 'user'] },
+    has_password: { type: 'boolean' },
+    created_at: { type: 'string' }
+  }, ['id', 'username', 'role']),
+  ApiToken: object({
+    id: { type: 'string' },
+    name: { type: 'string' },
+    token: { type: 'string', description: 'Only returned when the token is created' },
+    created_at: { type: 'string' },
+    last_used_at: { type: ['string', 'null'] }
+  }, ['id', 'name']),
+  Memory: object({
+    id: { type: 'string' },
+    content: { type: 'string' },
+    metadata: { type: 'object' },
+    category: { type: 'string' },
+    importance: { type: 'number' },
+    relevanceScore: { type: 'number' },
+    archived: { type: 'boolean' },
+    archived_at: { type: ['string', 'null'] },
+    timestamp: { type: 'string' },
+    scores: { type: 'object' }
+  }, ['id', 'content']),
+  Note: object({
+    id: { type: 'string' },
+    user_id: { type: 'string' },
+    content: { type: 'string' },
+    title: { type: ['string', 'null'] },
+    url: { type: ['string', 'null'] },
+    page_title: { type: ['string', 'null'] },
+    metadata: { type: 'object' },
+    relevanceScore: { type: 'number' },
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' }
+  }, ['id', 'content']),
+  Revision: object({
+    id: { type: 'string' },
+    entity_type: { type: 'string', enum: REVISION_ENTITY_TYPES },
+    entity_id: { type: 'string' },
+    revision: { type: 'integer' },
+    action: { type: 'string' },
+    snapshot: { type: 'object' },
+    created_at: { type: 'string' }
+  }, ['id', 'revision', 'action']),
+  TrashItem: object({
+    type: { type: 'string', enum: REVISION_ENTITY_TYPES },
+    id: { type: 'string' },
+    content: { type: ['string', 'null'] },
+    title: { type: ['string', 'null'] },
+    revision: { type: 'integer' },
+    deleted_at: { type: 'string' }
+  }, ['type', 'id', 'revision']),
+  MindmapNode: object({
+    id: { type: 'string' },
+    label: { type: 'string' },
+    x: { type: 'number' },
+    y: { type: 'number' },
+    color: { type: 'string' },
+    size: { type: 'number' },
+    metadata: { type: 'object' }
+  }, ['id', 'label']),
+  MindmapEdge: object({
+    id: { type: 'string' },
+    source_node_id: { type: 'string' },
+    target_node_id: { type: 'string' },
+    type: { type: 'string', enum: MINDMAP_EDGE_TYPES, description: 'A prerequisite edge runs from the node to learn first' },
+    label: { type: ['string', 'null'] },
+    weight: { type: 'number' },
+    metadata: { type: 'object' }
+  }, ['id', 'source_node_id', 'target_node_id']),
+  Mindmap: object({ nodes: list(ref('MindmapNode')), edges: list(ref('MindmapEdge')) }, ['nodes', 'edges']),
+  MindmapPath: object({ nodes: list(ref('MindmapNode')), edges: list(ref('MindmapEdge')) }, ['nodes', 'edges']),
+  ConceptNode: object({
+    id: { type: 'string', description: "A stored node's id, or concept:<phrase> for a derived one" },
+    label: { type: 'string' },
+    kind: { type: 'string', enum: ['concept', 'manual'] },
+    documents: { type: 'integer', description: 'Memories and notes the concept appears in' },
+    cluster: { type: 'integer', description: 'Group of closely linked concepts, numbered from the largest' },
+    x: { type: 'number', description: 'Pinned stored nodes only' },
+    y: { type: 'number', description: 'Pinned stored nodes only' },
+    mastery: object({
+      p_known: { type: 'number' },
+      level: masteryLevel
+    }, ['p_known', 'level'])
+  }, ['id', 'label', 'kind', 'documents', 'cluster']),
+  ConceptEdge: object({
+    id: { type: 'string', description: 'Stored edges only' },
+    source: { type: 'string', description: 'Node id' },
+    target: { type: 'string', description: 'Node id' },
+    kind: { type: 'string', enum: ['co-occurrence', 'similarity', 'manual'] },
+    type: { type: 'string', enum: MINDMAP_EDGE_TYPES, description: 'Stored edges only' },
+    weight: { type: 'number', description: 'Shared documents for co-occurrence, cosine similarity for similarity' }
+  }, ['source', 'target', 'kind', 'weight']),
+  ConceptMastery: object({
+    id: { type: 'string' },
+    user_id: { type: 'string' },
+    concept_key: { type: 'string', description: 'The concept\'s phrase, lower-cased' },
+    label: { type: 'string' },
+    p_known: { type: 'number', description: 'Probability the concept is known, by Bayesian knowledge tracing' },
+    level: masteryLevel,
+    observations: { type: 'integer' },
+    history: list(object({
+      source: { type: 'string', enum: EVIDENCE_SOURCES },
+      correct: { type: 'boolean' },
+      rating: { type: 'integer' },
+      p_known: { type: 'number', description: 'After this evidence' },
+      at: { type: 'string' }
+    }, ['source', 'p_known', 'at'])),
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' }
+  }, ['id', 'concept_key', 'label', 'p_known', 'level', 'observations']),
+  Flashcard: object({
+    id: { type: 'string' },
+    user_id: { type: 'string' },
+    front: { type: 'string' },
+    back: { type: 'string' },
+    origin: { type: 'string', enum: CARD_ORIGINS },
+    source: { ...object({ type: { type: 'string', enum: ['memory', 'note'] }, id: { type: 'string' } }, ['type', 'id']), type: ['object', 'null'], description: 'The memory or note a generated card was drafted from' },
+    concept_key: { type: ['string', 'null'] },
+    concept: { type: ['string', 'null'], description: 'The concept the card tests; reviews count towards its mastery' },
+    ease: { type: 'number', description: 'SM-2 ease factor, from 1.3' },
+    interval_days: { type: 'integer' },
+    repetitions: { type: 'integer', description: 'Reviews recalled in a row' },
+    lapses: { type: 'integer' },
+    due_at: { type: 'string' },
+    last_reviewed_at: { type: ['string', 'null'] },
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' }
+  }, ['id', 'front', 'back', 'origin', 'ease', 'interval_days', 'repetitions', 'due_at']),
+  FlashcardReview: object({
+    id: { type: 'string' },
+    user_id: { type: 'string' },
+    card_id: { type: 'string' },
+    grade: { type: 'integer' },
+    interval_days: { type: 'integer', description: 'Until the next review, as scheduled by this one' },
+    ease: { type: 'number' },
+    reviewed_at: { type: 'string' }
+  }, ['id', 'card_id', 'grade', 'reviewed_at']),
+  FlashcardStats: object({
+    cards: { type: 'integer' },
+    due: { type: 'integer' },
+    reviews: { type: 'integer' },
+    reviewed_today: { type: 'integer' },
+    streak: { type: 'integer', description: 'Days in a row with a review, up to today or yesterday (UTC)' },
+    longest_streak: { type: 'integer' }
+  }, ['cards', 'due', 'reviews', 'reviewed_today', 'streak', 'longest_streak']),
+  Webhook: object({
+    id: { type: 'string' },
+    user_id: { type: 'string' },
+    url: { type: 'string' },
+    events: list({ type: 'string', enum: WEBHOOK_EVENT_FILTERS }),
+    description: { type: ['string', 'null'] },
+    active: { type: 'boolean' },
+    secret: { type: 'string', description: 'Only returned when the webhook is created or its secret rotated' },
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' }
+  }, ['id', 'url', 'events', 'active']),
+  WebhookDelivery: object({
+    id: { type: 'string' },
+    webhook_id: { type: 'string' },
+    user_id: { type: 'string' },
+    event_id: { type: ['string', 'null'], description: 'The id of the event in GET /api/events; null for pings' },
+    event: { type: 'string' },
+    payload: object({ id: { type: 'string' }, event: { type: 'string' }, event_id: { type: ['string', 'null'] }, created_at: { type: 'string' }, data: { type: 'object' } }),
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    attempts: list(object({
+      at: { type: 'string' },
+      status_code: { type: ['integer', 'null'] },
+      duration_ms: { type: 'integer' },
+      error: { type: ['string', 'null'] },
+      response: { type: 'string', description: 'The start of the body of a failed response' }
+    }, ['at', 'status_code', 'error'])),
+    retry_from: { type: 'integer', description: 'Attempts made before the last redelivery' },
+    next_attempt_at: { type: ['string', 'null'] },
+    delivered_at: { type: ['string', 'null'] },
+    created_at: { type: 'string' }
+  }, ['id', 'webhook_id', 'event', 'status', 'attempts']),
+  ChatCitation: object({
+    index: { type: 'integer', description: 'The number the answer cites it by, as in [1]' },
+    type: { type: 'string', enum: ['memory', 'note'] },
+    id: { type: 'string' },
+    title: { type: ['string', 'null'] },
+    url: { type: ['string', 'null'] },
+    excerpt: { type: 'string' },
+    score: { type: 'number' }
+  }, ['index', 'type', 'id', 'excerpt']),
+  ChatSession: object({
+    id: { type: 'string' },
+    user_id: { type: 'string' },
+    title: { type: ['string', 'null'], description: 'Untitled sessions are named after their first question' },
+    forked_from: {
+      type: ['object', 'null'],
+      properties: { session_id: { type: 'string' }, message_id: { type: ['string', 'null'] } },
+      description: 'The session and message this one was forked from'
+    },
+    message_count: { type: 'integer' },
+    last_message_at: { type: ['string', 'null'] },
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' }
+  }, ['id', 'title', 'message_count']),
+  ChatMessage: object({
+    id: { type: 'string' },
+    session_id: { type: 'string' },
+    role: { type: 'string', enum: MESSAGE_ROLES },
+    content: { type: 'string' },
+    citations: list(ref('ChatCitation')),
+    created_at: { type: 'string' }
+  }, ['id', 'role', 'content', 'citations']),
+  Backup: object({
+    id: { type: 'string' },
+    created_at: { type: 'string' },
+    size: { type: 'integer' },
+    valid: { type: 'boolean' },
+    schema_version: { type: 'integer' },
+    error: { type: 'string' }
+  }, ['id', 'created_at'])
+};
+
+const EVENTS_DESCRIPTION = [
+  'A Server-Sent Events stream. Each event\'s data is JSON: the record for `memory.created`, `memory.updated`, `note.created`, `note.updated`, `mastery.updated`, `flashcard.created`, `flashcard.updated` and the `mindmap.node.*` and `mindmap.edge.*` events, and `{ id }` for `memory.deleted`, `note.deleted` and `flashcard.deleted`.',
+  'Reconnect with the Last-Event-ID header (or `lastEventId`) to be sent the events missed meanwhile. A `resync` event means some were lost (or a backup was restored): reload, then carry on from its id.',
+  'EventSource can\'t send an Authorization header, so this route also takes the token as `access_token`.'
+].join('\n\n');
+
+const WEBHOOKS_DESCRIPTION = [
+  'Each matching change is POSTed to `url` as `{ id, event, event_id, created_at, data }`, with `data` as in GET /api/events. `events` takes event types, `memory.*`, `note.*`, `mindmap.*`, `mastery.*` and `flashcard.*`, or `*` for everything.',
+  'Deliveries carry X-Prisma-Event, X-Prisma-Delivery, X-Prisma-Timestamp and X-Prisma-Signature: `sha256=` and the hex HMAC-SHA256 of `<timestamp>.<body>` keyed with the secret returned here.',
+  'Anything but a 2xx answer is retried with exponential backoff; deliveries that run out of attempts go to the dead letters.',
+  'A `url` on a loopback, private or link-local address is refused with 400 unless the server sets WEBHOOK_ALLOW_PRIVATE.'
+].join('\n\n');
+
+const CHAT_DESCRIPTION = [
+  'The question is answered with the session\'s recent messages (see CHAT_HISTORY_MESSAGES) and the memories and notes that best match it.',
+  'Those are returned as the reply\'s `citations`, numbered as the answer refers to them (`[1]`).',
+  '`context` (e.g. the page the sidebar is open on) is given to the tutor for this answer only; it is not stored with the question.'
+].join('\n\n');
+
+const CHAT_STREAM_DESCRIPTION = [
+  'The same turn as `sendChatMessage`, answered with Server-Sent Events whose data is JSON:',
+  '`sources` (`{ citations }`) first, `delta` (`{ text }`) for each piece of the answer, then `done` with what `sendChatMessage` returns, or `error` with the error envelope.',
+  'Closing the connection cancels the language model\'s request; a cancelled turn is not saved.'
+].join('\n\n');
+
+const MIND_MAP_DESCRIPTION = [
+  'Concepts are the words and phrases found in at least two of your memories and notes, and the topics your memories are tagged with.',
+  'Concepts found together in at least two documents are linked by `co-occurrence`; concepts whose memories have similar embeddings by `similarity`.',
+  'Nodes added with `addMindmapNode` take the place of the concept with the same name; edges point at node ids.',
+  'Concepts are grouped into clusters by label propagation over the edges. Stored nodes pinned with `updateMindmapNode` (`pinned: true`) come with the x and y they were pinned at.',
+  'Concepts with evidence recorded through `recordMasteryEvidence` (or questions asked in chat) carry their mastery estimate.'
+].join('\n\n');
+
+const MASTERY_EVIDENCE_DESCRIPTION = [
+  'Name the concept by `nodeId` (a stored node, or a derived `concept:<phrase>` node) or by `concept`, not both.',
+  '`quiz`, `nudge` and `question` evidence says whether the student got it right (`correct`); a `self-rating` is how well they think they know it, from 1 to 5 (`rating`). A quiz answer counts most, a question asked in chat least; questions in chat are recorded by the server itself.'
+].join('\n\n');
+
+const FLASHCARD_GENERATION_DESCRIPTION = [
+  'Drafts up to two cards from each memory and note: a question for a sentence that defines something ("A derivative is…" becomes "What is a derivative?"), otherwise a fill-in-the-blank for a sentence naming a concept from your mind map.',
+  'Without `memoryIds` or `noteIds`, every memory and note is used. Cards already drafted from the same memory or note with the same front are skipped, so it is safe to run again.'
+].join('\n\n');
+
+const FLASHCARD_REVIEW_DESCRIPTION = [
+  'Cards are scheduled with SM-2. `grade` is how well you recalled the back: 0-2 forgotten (the card starts over tomorrow), 3 hard, 4 good, 5 easy. A recalled card comes back after 1 day, then 6, then its last interval times its ease; the ease falls with hard grades and rises with easy ones.',
+  'A card about a concept also counts as a quiz answer for the concept\'s mastery (recalled from grade 3), returned as `mastery`.'
+].join('\n\n');
+
+const session = { user: ref('User'), token: { type: 'string' }, expiresAt: { type: 'string' } };
+
+// Every route of the server. `handler` is the LocalMemoryAPI method that
+// serves it (the operationId unless given); `response` lists the fields
+// next to `success: true`, or is the whole body when `raw` is set.
+// `stream` routes answer with Server-Sent Events instead of JSON.
+// `public` routes need no token, `admin` ones an admin's.
+const OPERATIONS = [
+  // System
+  { method: 'get', path: '/health', operationId: 'getHealth', handler: null, tag: 'System', public: true, raw: true, summary: 'Server status, storage backend, embedding model and language model', response: object({ status: { type: 'string' }, storage: { type: 'string' }, embeddings: { type: 'object' }, anthropic_enabled: { type: 'boolean' }, llm: { type: ['object', 'null'], description: 'The chat provider and the model of each use case; null when chat is off' } }, ['status']) },
+  { method: 'get', path: '/api/openapi.json', operationId: 'getOpenApiDocument', tag: 'System', public: true, raw: true, summary: 'This document', response: object({ openapi: { type: 'string' }, paths: { type: 'object' } }, ['openapi', 'paths']) },
+
+  // Accounts and tokens
+  { method: 'post', path: '/api/auth/register', operationId: 'register', tag: 'Accounts', public: true, status: 201, errors: [403, 409], summary: 'Create an account and get a session token', response: session },
+  { method: 'post', path: '/api/auth/login', operationId: 'login', tag: 'Accounts', public: true, summary: 'Get a session token', response: session },
+  { method: 'post', path: '/api/auth/device', operationId: 'registerDevice', tag: 'Accounts', public: true, status: 201, summary: 'Create a passwordless account with an API token', response: { user: ref('User'), token: { type: 'string' }, tokenId: { type: 'string' } } },
+  { method: 'post', path: '/api/auth/logout', operationId: 'logout', tag: 'Accounts', summary: 'Invalidate every session token of the account', response: {} },
+  { method: 'get', path: '/api/auth/me', operationId: 'getCurrentUser', tag: 'Accounts', summary: 'The signed-in account', response: { user: ref('User') } },
+  { method: 'get', path: '/api/auth/tokens', operationId: 'listApiTokens', tag: 'Accounts', summary: 'List API tokens', response: { tokens: list(ref('ApiToken')) } },
+  { method: 'post', path: '/api/auth/tokens', operationId: 'createApiToken', tag: 'Accounts', status: 201, summary: 'Create an API token; it is only shown once', response: { token: ref('ApiToken') } },
+  { method: 'delete', path: '/api/auth/tokens/:tokenId', operationId: 'revokeApiToken', tag: 'Accounts', summary: 'Revoke an API token', response: {} },
+
+  // Live changes
+  { method: 'get', path: '/api/events', operationId: 'streamEvents', tag: 'Events', stream: true, summary: 'Your memory, note and mind map changes as they happen', description: EVENTS_DESCRIPTION },
+
+  // Webhooks
+  { method: 'get', path: '/api/webhooks', operationId: 'listWebhooks', tag: 'Webhooks', summary: 'List your webhooks', response: { webhooks: list(ref('Webhook')) } },
+  { method: 'post', path: '/api/webhooks', operationId: 'createWebhook', tag: 'Webhooks', status: 201, summary: 'Register a webhook; its signing secret is only shown now', description: WEBHOOKS_DESCRIPTION, response: { webhook: ref('Webhook') } },
+  { method: 'get', path: '/api/webhooks/dead-letters', operationId: 'listDeadLetters', tag: 'Webhooks', summary: 'Deliveries of your webhooks that ran out of attempts, newest first', response: { deliveries: list(ref('WebhookDelivery')) } },
+  { method: 'get', path: '/api/webhooks/:webhookId', operationId: 'getWebhook', tag: 'Webhooks', summary: 'One webhook', response: { webhook: ref('Webhook') } },
+  { method: 'put', path: '/api/webhooks/:webhookId', operationId: 'updateWebhook', tag: 'Webhooks', summary: "Change a webhook's URL, events, description or active flag", response: { webhook: ref('Webhook') } },
+  { method: 'delete', path: '/api/webhooks/:webhookId', operationId: 'deleteWebhook', tag: 'Webhooks', summary: 'Delete a webhook and its delivery log', response: {} },
+  { method: 'post', path: '/api/webhooks/:webhookId/secret', operationId: 'rotateWebhookSecret', tag: 'Webhooks', summary: 'Replace the signing secret; the new one is only shown now', response: { webhook: ref('Webhook') } },
+  { method: 'post', path: '/api/webhooks/:webhookId/ping', operationId: 'pingWebhook', tag: 'Webhooks', status: 202, summary: 'Send a `ping` event to check the receiver', response: { delivery: ref('WebhookDelivery') } },
+  { method: 'get', path: '/api/webhooks/:webhookId/deliveries', operationId: 'listWebhookDeliveries', tag: 'Webhooks', summary: "A webhook's delivery log, newest first", response: { deliveries: list(ref('WebhookDelivery')) } },
+  { method: 'post', path: '/api/webhooks/:webhookId/deliveries/:deliveryId/redeliver', operationId: 'redeliverWebhook', tag: 'Webhooks', status: 202, errors: [409], summary: 'Send a delivery again with a fresh set of attempts', response: { delivery: ref('WebhookDelivery') } },
+
+  // Memories
+  { method: 'post', path: '/api/memory/add', operationId: 'addMemory', tag: 'Memories', summary: 'Add a memory; near-duplicates already stored are returned as `duplicates`', response: { memory: ref('Memory'), duplicates: list(ref('Memory')) } },
+  { method: 'post', path: '/api/memory/search', operationId: 'searchMemories', tag: 'Memories', summary: 'Search memories and notes', response: { mode: { type: 'string' }, memories: list(ref('Memory')), notes: list(ref('Note')), staleEmbeddings: { type: 'integer' } } },
+  { method: 'get', path: '/api/memory/user/:userId', operationId: 'getUserMemories', tag: 'Memories', summary: 'List your memories', response: { memories: list(ref('Memory')), total: { type: 'integer' } } },
+  { method: 'put', path: '/api/memory/:memoryId', operationId: 'updateMemory', tag: 'Memories', summary: 'Update a memory', response: { memory: ref('Memory') } },
+  { method: 'delete', path: '/api/memory/:memoryId', operationId: 'deleteMemory', tag: 'Memories', summary: 'Delete a memory (it goes to the trash)', response: {} },
+  { method: 'post', path: '/api/memory/:memoryId/pin', operationId: 'pinMemory', tag: 'Memories', summary: 'Pin or unpin a memory', response: { memory: ref('Memory') } },
+  { method: 'post', path: '/api/memory/:memoryId/archive', operationId: 'archiveMemory', tag: 'Memories', summary: 'Move a memory to the archive', response: { memory: ref('Memory') } },
+  { method: 'post', path: '/api/memory/:memoryId/restore', operationId: 'restoreMemory', tag: 'Memories', summary: 'Bring a memory back from the archive', response: { memory: ref('Memory') } },
+  { method: 'post', path: '/api/memory/merge', operationId: 'mergeMemories', tag: 'Memories', summary: 'Merge memories into one', response: { memory: ref('Memory'), merged: { type: 'integer' } } },
+  { method: 'post', path: '/api/memory/consolidate', operationId: 'consolidateMemories', tag: 'Memories', errors: [409], summary: 'Find (or merge) your duplicate clusters', response: { report } },
+  { method: 'post', path: '/api/memory/batch/add', operationId: 'addMemoriesBatch', tag: 'Memories', summary: 'Add several memories', response: { count: { type: 'integer' }, memories: list(ref('Memory')) } },
+  { method: 'post', path: '/api/memory/context', operationId: 'getContextualMemories', tag: 'Memories', summary: 'Memories relevant to a page, selection or recent activity', response: { memories: list(ref('Memory')) } },
+
+  // Notes
+  { method: 'post', path: '/api/notes/add', operationId: 'addNote', tag: 'Notes', summary: 'Add a note', response: { note: ref('Note') } },
+  { method: 'get', path: '/api/notes/user/:userId', operationId: 'getUserNotes', tag: 'Notes', summary: 'List your notes', response: { notes: list(ref('Note')) } },
+  { method: 'put', path: '/api/notes/:noteId', operationId: 'updateNote', tag: 'Notes', summary: 'Update a note', response: { note: ref('Note') } },
+  { method: 'delete', path: '/api/notes/:noteId', operationId: 'deleteNote', tag: 'Notes', summary: 'Delete a note (it goes to the trash)', response: {} },
+
+  // Revisions
+  { method: 'get', path: '/api/memory/:memoryId/revisions', operationId: 'listMemoryRevisions', handler: 'listRevisions', tag: 'Revisions', summary: "List a memory's revisions", response: { revisions: list(ref('Revision')) } },
+  { method: 'get', path: '/api/memory/:memoryId/revisions/diff', operationId: 'diffMemoryRevisions', handler: 'diffRevisions', tag: 'Revisions', summary: 'Diff two revisions of a memory (default: the latest change)', response: { diff: report } },
+  { method: 'post', path: '/api/memory/:memoryId/revert', operationId: 'revertMemory', handler: 'revertRevision', tag: 'Revisions', summary: 'Revert a memory to an earlier revision', response: { memory: ref('Memory'), revision: { type: 'integer' } } },
+  { method: 'get', path: '/api/notes/:noteId/revisions', operationId: 'listNoteRevisions', handler: 'listRevisions', tag: 'Revisions', summary: "List a note's revisions", response: { revisions: list(ref('Revision')) } },
+  { method: 'get', path: '/api/notes/:noteId/revisions/diff', operationId: 'diffNoteRevisions', handler: 'diffRevisions', tag: 'Revisions', summary: 'Diff two revisions of a note (default: the latest change)', response: { diff: report } },
+  { method: 'post', path: '/api/notes/:noteId/revert', operationId: 'revertNote', handler: 'revertRevision', tag: 'Revisions', summary: 'Revert a note to an earlier revision', response: { note: ref('Note'), revision: { type: 'integer' } } },
+
+  // Trash
+  { method: 'get', path: '/api/trash/user/:userId', operationId: 'getTrash', tag: 'Trash', summary: 'Deleted memories and notes, most recent first', response: { items: list(ref('TrashItem')), total: { type: 'integer' } } },
+  { method: 'post', path: '/api/trash/:entityType/:entityId/restore', operationId: 'restoreFromTrash', tag: 'Trash', errors: [409], summary: 'Put a deleted memory or note back', response: { memory: ref('Memory'), note: ref('Note') } },
+  { method: 'delete', path: '/api/trash/:entityType/:entityId', operationId: 'purgeFromTrash', tag: 'Trash', summary: 'Delete a memory or note and its history for good', response: { purged: { type: 'integer' } } },
+
+  // Mind map
+  { method: 'post', path: '/api/mindmap/node', operationId: 'addMindmapNode', tag: 'Mind map', summary: 'Add a mind map node', response: { node: ref('MindmapNode') } },
+  { method: 'put', path: '/api/mindmap/node/:nodeId', operationId: 'updateMindmapNode', tag: 'Mind map', summary: 'Rename, move or restyle a mind map node', response: { node: ref('MindmapNode') } },
+  { method: 'delete', path: '/api/mindmap/node/:nodeId', operationId: 'deleteMindmapNode', tag: 'Mind map', summary: 'Delete a mind map node and its edges', response: { deletedEdges: list({ type: 'string' }) } },
+  { method: 'post', path: '/api/mindmap/node/:nodeId/merge', operationId: 'mergeMindmapNodes', tag: 'Mind map', summary: 'Merge other nodes into this one, moving their edges onto it', description: 'Edges that would join the node to itself are dropped, as are edges it already has (same type and ends, either way round for `related`); the edge kept takes the larger weight.', response: { node: ref('MindmapNode'), merged: { type: 'integer' } } },
+  { method: 'get', path: '/api/mindmap/node/:nodeId/neighbours', operationId: 'getMindmapNeighbours', tag: 'Mind map', summary: 'Nodes within a number of hops of a node, in either direction, nearest first', response: { nodes: list(object({ ...COMPONENT_SCHEMAS.MindmapNode.properties, hops: { type: 'integer' } }, ['id', 'label', 'hops'])), edges: list(ref('MindmapEdge')) } },
+  { method: 'get', path: '/api/mindmap/node/:nodeId/documents', operationId: 'getConceptDocuments', tag: 'Mind map', summary: 'The memories and notes a concept appears in, newest first', description: 'Takes the id of a stored node, whose label is looked for, or of a derived `concept:<phrase>` node from `getMindMap`.', response: { memories: list(ref('Memory')), notes: list(ref('Note')) } },
+  { method: 'post', path: '/api/mindmap/edge', operationId: 'addMindmapEdge', tag: 'Mind map', summary: 'Connect two mind map nodes', response: { edge: ref('MindmapEdge') } },
+  { method: 'put', path: '/api/mindmap/edge/:edgeId', operationId: 'updateMindmapEdge', tag: 'Mind map', summary: 'Change a mind map edge\'s type, label or weight', response: { edge: ref('MindmapEdge') } },
+  { method: 'delete', path: '/api/mindmap/edge/:edgeId', operationId: 'deleteMindmapEdge', tag: 'Mind map', summary: 'Delete a mind map edge', response: {} },
+  { method: 'get', path: '/api/mindmap/path', operationId: 'getPrerequisitePath', tag: 'Mind map', summary: 'The shortest chain of prerequisites from one node to another, in learning order', response: { path: { ...COMPONENT_SCHEMAS.MindmapPath, type: ['object', 'null'], description: 'null when no chain of prerequisites leads there' } } },
+  { method: 'get', path: '/api/mindmap/cycles', operationId: 'getPrerequisiteCycles', tag: 'Mind map', summary: 'Prerequisites that lead back to themselves, one cycle per tangle', response: { cycles: list(ref('MindmapPath')) } },
+  { method: 'get', path: '/api/mindmap/user/:userId', operationId: 'getUserMindmap', tag: 'Mind map', summary: 'Your mind map', response: { mindmap: ref('Mindmap') } },
+  { method: 'get', path: '/api/mindmap/all', operationId: 'getMindMap', tag: 'Mind map', raw: true, summary: 'Your mind map of concepts from your memories and notes, with your own nodes and edges merged in', description: MIND_MAP_DESCRIPTION, response: object({ nodes: list(ref('ConceptNode')), edges: list(ref('ConceptEdge')) }, ['nodes', 'edges']) },
+
+  // Chat and dashboard
+  { method: 'post', path: '/api/chat/ask', operationId: 'handleChatQuery', tag: 'Chat', errors: [503], summary: 'Ask the study tutor a one-off question', response: { answer: { type: 'string' } } },
+  { method: 'get', path: '/api/mastery', operationId: 'listConceptMastery', tag: 'Mastery', summary: 'How well you know each concept, least known first', response: { concepts: list(ref('ConceptMastery')) } },
+  { method: 'post', path: '/api/mastery/evidence', operationId: 'recordMasteryEvidence', tag: 'Mastery', summary: 'Revise a concept\'s mastery with a quiz answer, nudge outcome, question or self-rating', description: MASTERY_EVIDENCE_DESCRIPTION, response: { mastery: ref('ConceptMastery') } },
+  { method: 'get', path: '/api/flashcards', operationId: 'listFlashcards', tag: 'Flashcards', summary: 'List your flashcards, newest first', response: { cards: list(ref('Flashcard')), total: { type: 'integer' } } },
+  { method: 'post', path: '/api/flashcards', operationId: 'createFlashcard', tag: 'Flashcards', status: 201, summary: 'Write a flashcard, optionally about a concept', response: { card: ref('Flashcard') } },
+  { method: 'post', path: '/api/flashcards/generate', operationId: 'generateFlashcards', tag: 'Flashcards', status: 201, summary: 'Draft flashcards from your memories and notes', description: FLASHCARD_GENERATION_DESCRIPTION, response: { cards: list(ref('Flashcard')), skipped: { type: 'integer', description: 'Drafts already among your cards' } } },
+  { method: 'get', path: '/api/flashcards/due', operationId: 'getDueFlashcards', tag: 'Flashcards', summary: 'Cards due for review, most overdue first', response: { cards: list(ref('Flashcard')), due: { type: 'integer', description: 'Cards due in all' }, nextDueAt: { type: ['string', 'null'], description: 'When the next card not yet due comes due' } } },
+  { method: 'get', path: '/api/flashcards/stats', operationId: 'getFlashcardStats', tag: 'Flashcards', summary: 'Card, review and streak counts', response: { stats: ref('FlashcardStats') } },
+  { method: 'get', path: '/api/flashcards/:cardId', operationId: 'getFlashcard', tag: 'Flashcards', summary: 'A flashcard and its reviews, oldest first', response: { card: ref('Flashcard'), reviews: list(ref('FlashcardReview')) } },
+  { method: 'put', path: '/api/flashcards/:cardId', operationId: 'updateFlashcard', tag: 'Flashcards', summary: 'Edit a flashcard\'s front or back', response: { card: ref('Flashcard') } },
+  { method: 'delete', path: '/api/flashcards/:cardId', operationId: 'deleteFlashcard', tag: 'Flashcards', summary: 'Delete a flashcard (its reviews still count towards streaks)', response: {} },
+  { method: 'post', path: '/api/flashcards/:cardId/review', operationId: 'reviewFlashcard', tag: 'Flashcards', summary: 'Grade a review and schedule the next', description: FLASHCARD_REVIEW_DESCRIPTION, response: { card: ref('Flashcard'), review: ref('FlashcardReview'), mastery: { ...COMPONENT_SCHEMAS.ConceptMastery, type: ['object', 'null'] } } },
+  { method: 'get', path: '/api/chat/sessions', operationId: 'listChatSessions', tag: 'Chat', summary: 'List your chat sessions, most recently active first', response: { sessions: list(ref('ChatSession')) } },
+  { method: 'post', path: '/api/chat/sessions', operationId: 'createChatSession', tag: 'Chat', status: 201, summary: 'Start a chat session', response: { session: ref('ChatSession') } },
+  { method: 'get', path: '/api/chat/sessions/:sessionId', operationId: 'getChatSession', tag: 'Chat', summary: 'A chat session with its messages', response: { session: ref('ChatSession'), messages: list(ref('ChatMessage')) } },
+  { method: 'put', path: '/api/chat/sessions/:sessionId', operationId: 'renameChatSession', tag: 'Chat', summary: 'Rename a chat session', response: { session: ref('ChatSession') } },
+  { method: 'delete', path: '/api/chat/sessions/:sessionId', operationId: 'deleteChatSession', tag: 'Chat', summary: 'Delete a chat session and its messages', response: {} },
+  { method: 'post', path: '/api/chat/sessions/:sessionId/fork', operationId: 'forkChatSession', tag: 'Chat', status: 201, summary: 'Copy a session, up to `messageId` if given, into a new one', response: { session: ref('ChatSession'), messages: list(ref('ChatMessage')) } },
+  { method: 'post', path: '/api/chat/sessions/:sessionId/messages', operationId: 'sendChatMessage', tag: 'Chat', errors: [503], summary: 'Ask a question in a session', description: CHAT_DESCRIPTION, response: { session: ref('ChatSession'), userMessage: ref('ChatMessage'), reply: ref('ChatMessage') } },
+  { method: 'post', path: '/api/chat/sessions/:sessionId/messages/stream', operationId: 'streamChatMessage', tag: 'Chat', stream: true, errors: [503], summary: 'Ask a question in a session, with the answer sent as it is written', description: CHAT_STREAM_DESCRIPTION },
+  { method: 'get', path: '/api/metrics', operationId: 'getMetrics', tag: 'Dashboard', raw: true, summary: 'Dashboard counters', response: object({ milestones: { type: 'integer' }, streak: { type: 'integer', description: 'Days in a row with a flashcard review' }, longestStreak: { type: 'integer' }, cardsDue: { type: 'integer' }, reviewsToday: { type: 'integer' }, notesCount: { type: 'integer' }, mindNodes: { type: 'integer' }, mindEdges: { type: 'integer' } }) },
+  { method: 'get', path: '/api/stats/user/:userId', operationId: 'getUserStats', tag: 'Dashboard', summary: 'Memory counts by category', response: { stats: report } },
+
+  // Admin
+  { method: 'get', path: '/api/admin/reembed', operationId: 'getReembedStatus', tag: 'Admin', admin: true, summary: 'Stale embeddings and the re-embedding job', response: { model: { type: 'string' }, stale: { type: 'integer' }, job: report } },
+  { method: 'post', path: '/api/admin/reembed', operationId: 'startReembed', tag: 'Admin', admin: true, status: 202, summary: 'Start or resume re-embedding', response: { model: { type: 'string' }, job: report } },
+  { method: 'post', path: '/api/admin/reembed/pause', operationId: 'pauseReembed', tag: 'Admin', admin: true, summary: 'Pause re-embedding after the current memory', response: { model: { type: 'string' }, job: report } },
+  { method: 'get', path: '/api/admin/consolidate', operationId: 'getConsolidationReport', tag: 'Admin', admin: true, summary: 'Last consolidation report and the schedule', response: { report: { type: ['object', 'null'] }, schedule: report } },
+  { method: 'post', path: '/api/admin/consolidate', operationId: 'runConsolidation', tag: 'Admin', admin: true, errors: [409], summary: 'Consolidate every user now', response: { report } },
+  { method: 'post', path: '/api/admin/archive', operationId: 'runArchival', tag: 'Admin', admin: true, errors: [409], summary: 'Archive low-importance memories now', response: { report } },
+  { method: 'get', path: '/api/admin/schema', operationId: 'getSchemaReport', tag: 'Admin', admin: true, summary: 'Schema version, migrations, and what was upgraded or quarantined', response: { schemaVersion: { type: 'integer' }, migrations: list({ type: 'object' }), report } },
+
+  // Backups
+  { method: 'get', path: '/api/backups', operationId: 'listBackups', tag: 'Backups', admin: true, summary: 'List backups and the retention policy', response: { backups: list(ref('Backup')), retention: report } },
+  { method: 'post', path: '/api/backups', operationId: 'createBackup', tag: 'Backups', admin: true, status: 201, summary: 'Back up the whole store now', response: { backup: ref('Backup') } },
+  { method: 'get', path: '/api/backups/:backupId', operationId: 'getBackup', tag: 'Backups', admin: true, summary: 'Summary and validation of one backup', response: { backup: ref('Backup') } },
+  { method: 'get', path: '/api/backups/:backupId/download', operationId: 'downloadBackup', tag: 'Backups', admin: true, raw: true, summary: 'The backup file', response: { type: 'object' } },
+  { method: 'post', path: '/api/backups/:backupId/restore', operationId: 'restoreBackup', tag: 'Backups', admin: true, errors: [422], summary: 'Restore the store, or one user, from a backup', response: { backup: ref('Backup'), safetyBackup: { type: 'string' } } },
+  { method: 'delete', path: '/api/backups/:backupId', operationId: 'deleteBackup', tag: 'Backups', admin: true, summary: 'Delete a backup', response: {} }
+];
+
+const ERROR_DESCRIPTIONS = {
+  400: 'The request does not match the schema (VALIDATION_FAILED) or is not JSON (INVALID_JSON)',
+  401: 'Missing or invalid token',
+  403: 'Not allowed for this account',
+  404: 'Not found',
+  409: 'Conflicts with the current state',
+  413: 'Request body too large',
+  422: 'The backup failed validation',
+  503: 'A service the route needs is not configured'
+};
+
+// '/api/memory/:memoryId' as '/api/memory/{memoryId}'
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParams(path) {
+  return [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+}
+
+function handlerOf(operation) {
+  return operation.handler === undefined ? operation.operationId : operation.handler;
+}
+
+// A copy of a request schema without the keywords only the validator reads
+function publicSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(publicSchema);
+  if (schema === null || typeof schema !== 'object') return schema;
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (key === 'errorMessage') continue;
+    result[key] = key === 'properties' ? mapValues(value, publicSchema) : publicSchema(value);
+  }
+  return result;
+}
+
+function mapValues(object, fn) {
+  return Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+}
+
+function parameters(operation, schema) {
+  const params = pathParams(operation.path).map(name => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: publicSchema((schema.params && schema.params.properties && schema.params.properties[name]) || { type: 'string' })
+  }));
+  const query = schema.query ? Object.entries(schema.query.properties).map(([name, property]) => ({
+    name,
+    in: 'query',
+    required: (schema.query.required || []).includes(name),
+    schema: publicSchema(property)
+  })) : [];
+  return [...params, ...query];
+}
+
+function errorStatuses(operation, schema) {
+  const params = pathParams(operation.path);
+  const statuses = [];
+  if (schema.params || schema.query || schema.body) statuses.push(400);
+  if (!operation.public) statuses.push(401);
+  if (operation.admin || params.includes('userId')) statuses.push(403);
+  if (params.some(name => name !== 'userId')) statuses.push(404);
+  return [...new Set([...statuses, ...(operation.errors || [])])].sort((a, b) => a - b);
+}
+
+function describeOperation(operation) {
+  const schema = REQUEST_SCHEMAS[handlerOf(operation)] || {};
+  const body = operation.raw
+    ? operation.response
+    : object({ success: { type: 'boolean', enum: [true] }, ...operation.response }, ['success']);
+
+  const content = operation.stream
+    ? { 'text/event-stream': { schema: { type: 'string' } } }
+    : { 'application/json': { schema: body } };
+  const responses = {
+    [operation.status || 200]: { description: 'Success', content }
+  };
+  for (const status of errorStatuses(operation, schema)) {
+    responses[status] = { $ref: `#/components/responses/Error${status}` };
+  }
+  responses.default = { $ref: '#/components/responses/Error' };
+
+  const description = {
+    operationId: operation.operationId,
+    tags: [operation.tag],
+    summary: operation.summary,
+    ...(operation.description ? { description: operation.description } : {}),
+    ...(operation.admin ? { description: 'Requires an admin account.' } : {}),
+    ...(operation.public ? { security: [] } : {}),
+    parameters: parameters(operation, schema),
+    responses
+  };
+  if (schema.body && Object.keys(schema.body.properties || {}).length > 0) {
+    description.requestBody = {
+      required: (schema.body.required || []).length > 0,
+      content: { 'application/json': { schema: publicSchema(schema.body) } }
+    };
+  }
+  return description;
+}
+
+function errorResponse(description) {
+  return { description, content: { 'application/json': { schema: ref('Error') } } };
+}
+
+// The OpenAPI document served at /api/openapi.json
+function createOpenApiDocument() {
+  const paths = {};
+  for (const operation of OPERATIONS) {
+    const path = toOpenApiPath(operation.path);
+    paths[path] = { ...paths[path], [operation.method]: describeOperation(operation) };
+  }
+
+  return {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: 'Prisma memory API',
+      version,
+      description: 'Memories, notes, revisions, mind maps and chat for the study extension. Failed requests answer with the Error envelope.'
+    },
+    tags: [...new Set(OPERATIONS.map(operation => operation.tag))].map(name => ({ name })),
+    security: [{ bearerAuth: [] }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'A session token from login or register, or an API token' }
+      },
+      schemas: COMPONENT_SCHEMAS,
+      responses: {
+        Error: errorResponse('Unexpected error (INTERNAL_ERROR)'),
+        ...Object.fromEntries(Object.entries(ERROR_DESCRIPTIONS).map(([status, text]) => [`Error${status}`, errorResponse(text)]))
+      }
+    }
+  };
+}
+
+module.exports = {
+  OPERATIONS,
+  createOpenApiDocument,
+  toOpenApiPath,
+  handlerOf
+};
@@ -0,0 +1,179 @@
+// reembed-job.js - Background job that re-embeds memories with the current model
+// Walks every memory whose vector is missing or came from another embedding
+// model, in id order, and saves progress after each batch so an interrupted
+// or paused run picks up where it stopped
+
+const fs = require('fs').promises;
+const path = require('path');
+const { writeFileAtomic } = require('./atomic-file');
+
+const DEFAULT_BATCH_SIZE = 50;
+
+// Most recent failures kept in the status for debugging
+const MAX_RECORDED_ERRORS = 20;
+
+class ReembedJob {
+  // embed(text, userId) returns a vector from the current model
+  constructor({ storage, embed, model, stateFile = null, batchSize = DEFAULT_BATCH_SIZE }) {
+    this.storage = storage;
+    this.embed = embed;
+    this.model = model;
+    this.stateFile = stateFile;
+    this.batchSize = batchSize;
+
+    this.state = this.initialState();
+    this.running = null;
+    this.pauseRequested = false;
+  }
+
+  initialState() {
+    return {
+      status: 'idle',
+      model: this.model,
+      total: 0,
+      processed: 0,
+      failed: 0,
+      lastId: null,
+      startedAt: null,
+      updatedAt: null,
+      finishedAt: null,
+      error: null,
+      errors: []
+    };
+  }
+
+  status() {
+    const { total, processed, failed } = this.state;
+    return {
+      ...this.state,
+      progress: total > 0 ? Math.min(1, (processed + failed) / total) : (this.state.status === 'completed' ? 1 : 0)
+    };
+  }
+
+  isRunning() {
+    return this.running !== null;
+  }
+
+  async loadState() {
+    if (!this.stateFile) return this.state;
+
+    try {
+      this.state = { ...this.initialState(), ...JSON.parse(await fs.readFile(this.stateFile, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[Re-embed] Ignoring unreadable state file:', error.message);
+      }
+    }
+    return this.state;
+  }
+
+  async saveState() {
+    this.state.updatedAt = new Date().toISOString();
+    if (this.stateFile) {
+      await fs.mkdir(path.dirname(this.stateFile), { recursive: true });
+      await writeFileAtomic(this.stateFile, JSON.stringify(this.state, null, 2));
+    }
+  }
+
+  // Start in the background, or carry on from the saved cursor when the last
+  // run for this model was paused, interrupted or failed. Returns the status
+  // straight away; `this.running` settles when the run stops.
+  async start({ restart = false } = {}) {
+    if (this.running) {
+      return this.status();
+    }
+
+    await this.loadState();
+    const resumable = this.state.model === this.model && ['running', 'paused', 'failed'].includes(this.state.status);
+
+    if (restart || !resumable) {
+      this.state = this.initialState();
+      this.state.total = await this.storage.countStaleEmbeddings(this.model);
+      this.state.startedAt = new Date().toISOString();
+    }
+
+    this.state.status = 'running';
+    this.state.error = null;
+    this.state.finishedAt = null;
+    this.pauseRequested = false;
+    await this.saveState();
+
+    console.log(`[Re-embed] ${resumable && !restart ? 'Resuming' : 'Starting'} re-embedding with ${this.model}: ${this.state.total} memories`);
+    this.running = this.run().finally(() => {
+      this.running = null;
+    });
+    return this.status();
+  }
+
+  // Resume a run the process died in the middle of
+  async resumeIfInterrupted() {
+    await this.loadState();
+    if (this.state.status === 'running' && this.state.model === this.model) {
+      return this.start();
+    }
+    return null;
+  }
+
+  // Stops after the memory being embedded; start() resumes from there
+  async pause() {
+    if (!this.running) {
+      return this.status();
+    }
+    this.pauseRequested = true;
+    await this.running;
+    return this.status();
+  }
+
+  async run() {
+    try {
+      while (!this.pauseRequested) {
+        const batch = await this.storage.getStaleEmbeddings(this.model, {
+          afterId: this.state.lastId,
+          limit: this.batchSize
+        });
+        if (batch.length === 0) {
+          this.state.status = 'completed';
+          this.state.finishedAt = new Date().toISOString();
+          break;
+        }
+
+        for (const memory of batch) {
+          if (this.pauseRequested) break;
+          await this.reembed(memory);
+          this.state.lastId = memory.id;
+        }
+        await this.saveState();
+      }
+
+      if (this.state.status === 'running') {
+        this.state.status = 'paused';
+      }
+    } catch (error) {
+      console.error('[Re-embed] Job failed:', error);
+      this.state.status = 'failed';
+      this.state.error = error.message;
+    }
+
+    await this.saveState();
+    console.log(`[Re-embed] ${this.state.status}: ${this.state.processed} re-embedded, ${this.state.failed} failed`);
+  }
+
+  // A memory that can't be embedded is recorded and skipped, so one bad
+  // record never blocks the rest of the run
+  async reembed(memory) {
+    try {
+      const embedding = await this.embed(memory.content, memory.user_id);
+      await this.storage.updateMemory(memory.id, { embedding, embedding_model: this.model }, memory.user_id);
+      this.state.processed++;
+    } catch (error) {
+      if (error.message === 'Memory not found') {
+        // Deleted since the batch was read
+        return;
+      }
+      this.state.failed++;
+      this.state.errors = [...this.state.errors, { id: memory.id, error: error.message }].slice(-MAX_RECORDED_ERRORS);
+    }
+  }
+}
+
+module.exports = ReembedJob;
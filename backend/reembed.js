@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+// reembed.js - Re-embed memories with the configured embedding model
+// Uses the same MEMORY_STORAGE / EMBEDDING_PROVIDER settings as the server.
+// Stop the server first when using JSON storage, since both write the same files.
+//
+// Usage:
+//   node reembed.js            Re-embed stale memories (resumes an unfinished run)
+//   node reembed.js --restart  Start over, retrying memories that failed before
+//   node reembed.js --status   Show progress without changing anything
+
+const LocalMemoryAPI = require('./local-memory-api');
+
+const PROGRESS_INTERVAL_MS = 1000;
+
+function formatStatus(job) {
+  return `${job.status}: ${job.processed} re-embedded, ${job.failed} failed of ${job.total} (${Math.round(job.progress * 100)}%)`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const api = new LocalMemoryAPI();
+  const job = api.reembedJob;
+
+  await api.storage.init();
+  const stale = await api.storage.countStaleEmbeddings(api.embeddings.modelId);
+
+  if (args.includes('--status')) {
+    await job.loadState();
+    console.log(`Model: ${api.embeddings.modelId}`);
+    console.log(`Memories needing re-embedding: ${stale}`);
+    console.log(`Last run: ${formatStatus(job.status())}`);
+    return 0;
+  }
+
+  console.log(`Re-embedding with ${api.embeddings.modelId} (${stale} memories without a current embedding)`);
+  await job.start({ restart: args.includes('--restart') });
+
+  // Ctrl+C pauses after the current memory so the next run can resume
+  process.once('SIGINT', () => {
+    console.log('\nPausing...');
+    job.pause();
+  });
+
+  const timer = setInterval(() => console.log(formatStatus(job.status())), PROGRESS_INTERVAL_MS);
+  await job.running;
+  clearInterval(timer);
+
+  const status = job.status();
+  console.log(formatStatus(status));
+  status.errors.forEach(({ id, error }) => console.log(`  ${id}: ${error}`));
+
+  if (api.storage.vectorIndex) {
+    await api.storage.vectorIndex.flush();
+  }
+  if (typeof api.storage.close === 'function') {
+    api.storage.close();
+  }
+  return status.status === 'failed' ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('Re-embedding failed:', error.message);
+    process.exit(1);
+  });
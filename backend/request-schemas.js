@@ -0,0 +1,341 @@
+// request-schemas.js - What every API route accepts
+// One entry per LocalMemoryAPI handler, with a schema for each of the
+// request's params, query and body (see request-validation.js for the
+// keywords understood). Request bodies are closed: a field not listed here
+// is rejected rather than ignored, so typos and fields the server owns
+// (id, user_id, timestamps) don't slip through.
+
+const { MEMORY_TIERS, MINDMAP_EDGE_TYPES } = require('./storage-adapter');
+const { REVISION_ENTITY_TYPES } = require('./revision-history');
+const { WEBHOOK_EVENT_FILTERS, DELIVERY_STATUSES } = require('./webhook-dispatcher');
+const { MAX_HOPS } = require('./mindmap-graph');
+const { EVIDENCE_SOURCES } = require('./concept-mastery');
+
+const SEARCH_MODES = ['keyword', 'semantic', 'hybrid'];
+
+const MAX_CONTENT_LENGTH = 100000;
+const MAX_BATCH_SIZE = 500;
+
+const id = { type: 'string', minLength: 1, maxLength: 200 };
+
+// Text that has to say something; whitespace alone is rejected
+function text(maxLength) {
+  return { type: 'string', maxLength, pattern: '\\S', errorMessage: { pattern: 'must not be blank' } };
+}
+
+// Free-form metadata, with the fields the server and clients read typed
+const metadata = {
+  type: 'object',
+  maxProperties: 50,
+  propertyNames: { maxLength: 100 },
+  properties: {
+    category: { type: 'string', maxLength: 100 },
+    source: { type: 'string', maxLength: 100 },
+    url: { type: ['string', 'null'], maxLength: 2048 },
+    title: { type: ['string', 'null'], maxLength: 500 },
+    pageTitle: { type: ['string', 'null'], maxLength: 500 },
+    timestamp: { type: 'string', maxLength: 100 },
+    tags: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 100 } },
+    pinned: { type: 'boolean' }
+  }
+};
+
+// Where and how a mind map node is drawn, and what an edge says
+const nodeFields = {
+  x: { type: 'number' },
+  y: { type: 'number' },
+  color: { type: 'string', maxLength: 50 },
+  size: { type: 'number', exclusiveMinimum: 0 },
+  // Kept where x and y put it rather than laid out by the map
+  pinned: { type: 'boolean' }
+};
+const edgeType = { type: 'string', enum: MINDMAP_EDGE_TYPES };
+const edgeFields = {
+  label: { type: ['string', 'null'], maxLength: 500 },
+  weight: { type: 'number', exclusiveMinimum: 0 }
+};
+
+const threshold = { type: 'number', exclusiveMinimum: 0, maximum: 1 };
+const dryRun = { type: 'boolean', default: true };
+
+const page = {
+  limit: { type: 'integer', minimum: 1, maximum: 1000, default: 50 },
+  offset: { type: 'integer', minimum: 0, default: 0 }
+};
+
+const closed = (properties, required = []) => ({ type: 'object', properties, required, additionalProperties: false });
+const empty = closed({});
+
+const memoryParams = closed({ memoryId: id }, ['memoryId']);
+const backupParams = closed({ backupId: { type: 'string', minLength: 1 } }, ['backupId']);
+const webhookParams = closed({ webhookId: id }, ['webhookId']);
+const chatParams = closed({ sessionId: id }, ['sessionId']);
+const nodeParams = closed({ nodeId: id }, ['nodeId']);
+const edgeParams = closed({ edgeId: id }, ['edgeId']);
+const cardParams = closed({ cardId: id }, ['cardId']);
+const trashParams = closed({ entityType: { type: 'string', enum: REVISION_ENTITY_TYPES }, entityId: id }, ['entityType', 'entityId']);
+
+// Memory and note revision routes share handlers; the entity id is
+// whichever of memoryId and noteId the route has
+const revisionParams = { type: 'object', properties: { memoryId: id, noteId: id } };
+
+const webhookUrl = { type: 'string', maxLength: 2048, pattern: '^https?://[^\\s/]+', errorMessage: { pattern: 'must be an http or https URL' } };
+const webhookEvents = { type: 'array', minItems: 1, maxItems: 50, items: { type: 'string', enum: WEBHOOK_EVENT_FILTERS } };
+const webhookDescription = { type: ['string', 'null'], maxLength: 500 };
+
+const chatTitle = text(200);
+const chatQuestion = closed({ content: text(10000), context: { type: 'string', maxLength: 5000 } }, ['content']);
+
+const username = { type: 'string' };
+const password = { type: 'string' };
+const tokenName = { type: 'string', minLength: 1, maxLength: 100 };
+
+const REQUEST_SCHEMAS = {
+  getOpenApiDocument: {},
+
+  // Accounts and tokens
+  register: { body: closed({ username, password }, ['username', 'password']) },
+  login: { body: closed({ username, password }, ['username', 'password']) },
+  registerDevice: { body: closed({ name: tokenName }) },
+  logout: { body: empty },
+  getCurrentUser: {},
+  listApiTokens: {},
+  createApiToken: { body: closed({ name: tokenName }) },
+  revokeApiToken: { params: closed({ tokenId: id }, ['tokenId']) },
+
+  // Live changes; the Last-Event-ID header takes precedence over lastEventId
+  streamEvents: {
+    query: closed({
+      lastEventId: { type: 'string', maxLength: 100 },
+      access_token: { type: 'string', minLength: 1 }
+    })
+  },
+
+  // Memories
+  addMemory: { body: closed({ content: text(MAX_CONTENT_LENGTH), metadata }, ['content']) },
+  searchMemories: {
+    body: closed({
+      query: text(1000),
+      limit: { type: 'integer', minimum: 1, maximum: 100, default: 5 },
+      mode: { type: 'string', enum: SEARCH_MODES, default: 'hybrid' },
+      includeNotes: { type: 'boolean', default: true },
+      includeArchived: { type: 'boolean', default: false }
+    }, ['query'])
+  },
+  getUserMemories: {
+    query: closed({
+      ...page,
+      category: { type: 'string', maxLength: 100 },
+      tier: { type: 'string', enum: MEMORY_TIERS, default: 'active' }
+    })
+  },
+  updateMemory: { params: memoryParams, body: closed({ content: text(MAX_CONTENT_LENGTH), metadata }) },
+  deleteMemory: { params: memoryParams },
+  pinMemory: { params: memoryParams, body: closed({ pinned: { type: 'boolean', default: true } }) },
+  archiveMemory: { params: memoryParams },
+  restoreMemory: { params: memoryParams },
+  mergeMemories: {
+    body: closed({
+      memoryIds: { type: 'array', minItems: 2, maxItems: 100, items: id },
+      canonicalId: { ...id, type: ['string', 'null'] }
+    }, ['memoryIds'])
+  },
+  consolidateMemories: { body: closed({ dryRun, threshold }) },
+
+  // Batch and context
+  addMemoriesBatch: {
+    body: closed({
+      memories: {
+        type: 'array',
+        minItems: 1,
+        maxItems: MAX_BATCH_SIZE,
+        items: closed({ content: text(MAX_CONTENT_LENGTH), metadata }, ['content'])
+      }
+    }, ['memories'])
+  },
+  getContextualMemories: {
+    body: closed({
+      context: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', maxLength: 2048 },
+          pageTitle: { type: 'string', maxLength: 500 },
+          selectedText: { type: 'string', maxLength: MAX_CONTENT_LENGTH },
+          recentActivity: { type: 'array', maxItems: 50, items: { type: 'string', maxLength: 1000 } }
+        }
+      },
+      limit: { type: 'integer', minimum: 1, maximum: 50, default: 6 }
+    }, ['context'])
+  },
+
+  // Notes
+  addNote: { body: closed({ content: text(MAX_CONTENT_LENGTH), metadata }, ['content']) },
+  getUserNotes: { query: closed(page) },
+  updateNote: {
+    params: closed({ noteId: id }, ['noteId']),
+    body: closed({
+      content: text(MAX_CONTENT_LENGTH),
+      title: { type: ['string', 'null'], maxLength: 500 },
+      url: { type: ['string', 'null'], maxLength: 2048 },
+      page_title: { type: ['string', 'null'], maxLength: 500 },
+      metadata
+    })
+  },
+  deleteNote: { params: closed({ noteId: id }, ['noteId']) },
+
+  // Revisions and trash
+  listRevisions: { params: revisionParams },
+  diffRevisions: {
+    params: revisionParams,
+    query: closed({ from: { type: 'integer', minimum: 1 }, to: { type: 'integer', minimum: 1 } })
+  },
+  revertRevision: { params: revisionParams, body: closed({ revision: { type: 'integer', minimum: 1 } }, ['revision']) },
+  getTrash: { query: closed({ type: { type: 'string', enum: REVISION_ENTITY_TYPES } }) },
+  restoreFromTrash: { params: trashParams },
+  purgeFromTrash: { params: trashParams },
+
+  // Mind map
+  addMindmapNode: {
+    body: closed({
+      label: text(500),
+      metadata: {
+        ...metadata,
+        properties: {
+          ...metadata.properties,
+          ...nodeFields
+        }
+      }
+    }, ['label'])
+  },
+  updateMindmapNode: {
+    params: nodeParams,
+    body: closed({ label: text(500), ...nodeFields, metadata })
+  },
+  deleteMindmapNode: { params: nodeParams },
+  mergeMindmapNodes: {
+    params: nodeParams,
+    body: closed({ nodeIds: { type: 'array', minItems: 1, maxItems: 100, items: id } }, ['nodeIds'])
+  },
+  getMindmapNeighbours: {
+    params: nodeParams,
+    query: closed({ hops: { type: 'integer', minimum: 1, maximum: MAX_HOPS, default: 1 }, type: edgeType })
+  },
+  getConceptDocuments: {
+    params: nodeParams,
+    query: closed({ limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 } })
+  },
+  addMindmapEdge: {
+    body: closed({
+      sourceNodeId: id,
+      targetNodeId: id,
+      type: { ...edgeType, default: 'related' },
+      metadata: {
+        ...metadata,
+        properties: {
+          ...metadata.properties,
+          label: edgeFields.label,
+          weight: edgeFields.weight
+        }
+      }
+    }, ['sourceNodeId', 'targetNodeId'])
+  },
+  updateMindmapEdge: {
+    params: edgeParams,
+    body: closed({ type: edgeType, ...edgeFields, metadata })
+  },
+  deleteMindmapEdge: { params: edgeParams },
+  getPrerequisitePath: { query: closed({ from: id, to: id }, ['from', 'to']) },
+  getPrerequisiteCycles: {},
+  getUserMindmap: {},
+  getMindMap: {},
+
+  // Concept mastery
+  listConceptMastery: {},
+  recordMasteryEvidence: {
+    body: closed({
+      nodeId: id,
+      concept: text(500),
+      source: { type: 'string', enum: EVIDENCE_SOURCES },
+      correct: { type: 'boolean' },
+      rating: { type: 'integer', minimum: 1, maximum: 5 }
+    }, ['source'])
+  },
+
+  // Flashcards
+  listFlashcards: { query: closed(page) },
+  createFlashcard: { body: closed({ front: text(2000), back: text(5000), concept: text(500) }, ['front', 'back']) },
+  generateFlashcards: {
+    body: closed({
+      memoryIds: { type: 'array', minItems: 1, maxItems: MAX_BATCH_SIZE, items: id },
+      noteIds: { type: 'array', minItems: 1, maxItems: MAX_BATCH_SIZE, items: id }
+    })
+  },
+  getDueFlashcards: { query: closed({ limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 } }) },
+  getFlashcardStats: {},
+  getFlashcard: { params: cardParams },
+  updateFlashcard: { params: cardParams, body: closed({ front: text(2000), back: text(5000) }) },
+  deleteFlashcard: { params: cardParams },
+  reviewFlashcard: {
+    params: cardParams,
+    body: closed({ grade: { type: 'integer', minimum: 0, maximum: 5 } }, ['grade'])
+  },
+
+  // Chat, dashboard and stats
+  handleChatQuery: { body: closed({ query: text(10000) }, ['query']) },
+  getMetrics: {},
+  getUserStats: {},
+
+  // Chat sessions
+  listChatSessions: {},
+  createChatSession: { body: closed({ title: chatTitle }) },
+  getChatSession: { params: chatParams },
+  renameChatSession: { params: chatParams, body: closed({ title: chatTitle }, ['title']) },
+  deleteChatSession: { params: chatParams },
+  forkChatSession: { params: chatParams, body: closed({ messageId: id, title: chatTitle }) },
+  sendChatMessage: { params: chatParams, body: chatQuestion },
+  streamChatMessage: { params: chatParams, body: chatQuestion },
+
+  // Webhooks
+  listWebhooks: {},
+  createWebhook: {
+    body: closed({ url: webhookUrl, events: { ...webhookEvents, default: ['*'] }, description: webhookDescription }, ['url'])
+  },
+  getWebhook: { params: webhookParams },
+  updateWebhook: {
+    params: webhookParams,
+    body: closed({ url: webhookUrl, events: webhookEvents, description: webhookDescription, active: { type: 'boolean' } })
+  },
+  deleteWebhook: { params: webhookParams },
+  rotateWebhookSecret: { params: webhookParams },
+  pingWebhook: { params: webhookParams },
+  listWebhookDeliveries: {
+    params: webhookParams,
+    query: closed({ status: { type: 'string', enum: DELIVERY_STATUSES }, limit: page.limit })
+  },
+  listDeadLetters: { query: closed({ limit: page.limit }) },
+  redeliverWebhook: { params: closed({ webhookId: id, deliveryId: id }, ['webhookId', 'deliveryId']) },
+
+  // Backups (admin)
+  listBackups: {},
+  createBackup: { body: empty },
+  restoreBackup: {
+    params: backupParams,
+    body: closed({ userId: { type: ['string', 'null'], minLength: 1, errorMessage: 'must be a non-empty string' } })
+  },
+  getBackup: { params: backupParams },
+  downloadBackup: { params: backupParams },
+  deleteBackup: { params: backupParams },
+
+  // Maintenance (admin)
+  getSchemaReport: {},
+  getReembedStatus: {},
+  startReembed: { body: closed({ restart: { type: 'boolean', default: false } }) },
+  pauseReembed: {},
+  getConsolidationReport: {},
+  runConsolidation: { body: closed({ dryRun, threshold }) },
+  runArchival: { body: closed({ userId: { ...id, type: ['string', 'null'] }, dryRun: { type: 'boolean', default: false } }) }
+};
+
+module.exports = {
+  REQUEST_SCHEMAS
+};
@@ -0,0 +1,195 @@
+// request-validation.js - Checks requests against declarative route schemas
+// A route schema has an optional JSON Schema for each of `params`, `query`
+// and `body`. Only the subset of JSON Schema below is understood, so the
+// same schemas can describe the API. Every problem is collected and reported
+// at once, per field, rather than stopping at the first.
+//
+// Query strings arrive as text, so in `query` numbers and booleans are
+// converted before they are checked. Missing values are filled in from
+// `default`.
+
+const { ValidationError } = require('./api-errors');
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// The request's params, query and body, checked and with defaults filled
+// in. Throws a ValidationError listing every problem.
+function validateRequest(schema, req) {
+  const details = [];
+  const result = {};
+
+  for (const location of LOCATIONS) {
+    const value = req[location] === undefined ? {} : req[location];
+    if (!schema[location]) {
+      result[location] = value;
+      continue;
+    }
+    const problems = [];
+    result[location] = checkValue(schema[location], value, '', problems, { coerce: location === 'query' });
+    details.push(...problems.map(({ field, message }) => ({ location, field: field || location, message })));
+  }
+
+  if (details.length > 0) {
+    throw new ValidationError(details);
+  }
+  return result;
+}
+
+// Problems with any value against a schema, as { field, message }; the
+// OpenAPI contract test checks responses with it
+function validateValue(schema, value) {
+  const problems = [];
+  checkValue(schema, value, '', problems, {});
+  return problems;
+}
+
+// Check one value against a schema, appending { field, message } problems.
+// Returns the value with defaults filled in (and coerced, for queries).
+function checkValue(schema, value, field, problems, options) {
+  const fail = (keyword, message) => {
+    problems.push({ field, message: customMessage(schema, keyword) || message });
+  };
+
+  if (options.coerce) {
+    value = coerce(schema, value);
+  }
+
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => hasType(value, type))) {
+    fail('type', `must be ${types.map(describeType).join(' or ')}`);
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail('enum', `must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      fail('pattern', `must match ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `must be at least ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value = value.map((item, i) => checkValue(schema.items, item, `${field}[${i}]`, problems, options));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    value = checkObject(schema, value, field, problems, options, fail);
+  }
+
+  return value;
+}
+
+function checkObject(schema, value, field, problems, options, fail) {
+  const properties = schema.properties || {};
+  const result = { ...value };
+  const child = name => (field ? `${field}.${name}` : name);
+
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) {
+      problems.push({ field: child(name), message: 'is required' });
+    }
+  }
+
+  const keys = Object.keys(value);
+  if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+    fail('maxProperties', `must have at most ${schema.maxProperties} fields`);
+  }
+
+  for (const name of keys) {
+    if (schema.propertyNames && schema.propertyNames.maxLength !== undefined && name.length > schema.propertyNames.maxLength) {
+      problems.push({ field: child(name), message: `name must be at most ${schema.propertyNames.maxLength} characters` });
+      continue;
+    }
+    if (properties[name]) {
+      result[name] = checkValue(properties[name], value[name], child(name), problems, options);
+    } else if (schema.additionalProperties === false) {
+      problems.push({ field: child(name), message: 'is not allowed' });
+    } else if (isPlainObject(schema.additionalProperties)) {
+      result[name] = checkValue(schema.additionalProperties, value[name], child(name), problems, options);
+    }
+  }
+
+  for (const [name, property] of Object.entries(properties)) {
+    if (result[name] === undefined && property.default !== undefined) {
+      result[name] = structuredClone(property.default);
+    }
+  }
+
+  return result;
+}
+
+// Query string values for numbers and booleans, as their typed value
+function coerce(schema, value) {
+  if (typeof value !== 'string') return value;
+
+  const types = [].concat(schema.type || []);
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && Number.isFinite(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+function hasType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'integer': return Number.isInteger(value);
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return isPlainObject(value);
+    case 'null': return value === null;
+    default: return false;
+  }
+}
+
+function describeType(type) {
+  return { integer: 'an integer', array: 'an array', object: 'an object', null: 'null' }[type] || `a ${type}`;
+}
+
+// `errorMessage` (as in ajv-errors) replaces the generated message: a string
+// for every keyword, or an object keyed by keyword
+function customMessage(schema, keyword) {
+  if (typeof schema.errorMessage === 'string') return schema.errorMessage;
+  if (schema.errorMessage && schema.errorMessage[keyword]) return schema.errorMessage[keyword];
+  return null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+module.exports = {
+  validateRequest,
+  validateValue
+};
@@ -0,0 +1,242 @@
+// revision-history.js - Revision history, diffs and the trash
+// Every create, update, delete, merge, revert and restore of a memory or note
+// records an immutable snapshot of the entity as it stood afterwards (a
+// delete keeps the state it was deleted in). An entity whose latest revision
+// is a delete is in the trash until it is restored or purged.
+
+const { REVISION_ENTITY_TYPES } = require('./storage-adapter');
+
+// 'baseline' is the state of an entity that existed before revision history
+// was kept, recorded the first time it changes
+const REVISION_ACTIONS = ['baseline', 'create', 'update', 'merge', 'delete', 'restore', 'revert'];
+
+// Fields kept in a snapshot. Embeddings are left out: they are regenerated
+// from the content when a snapshot is brought back.
+const SNAPSHOT_FIELDS = {
+  memory: ['content', 'metadata', 'archived_at', 'created_at'],
+  note: ['content', 'title', 'url', 'page_title', 'metadata', 'created_at']
+};
+
+// Compared as whole values by diff(); content and metadata get their own diffs
+const DIFF_FIELDS = {
+  memory: ['archived_at'],
+  note: ['title', 'url', 'page_title']
+};
+
+const NOT_FOUND = {
+  memory: 'Memory not found',
+  note: 'Note not found'
+};
+
+// Largest token table a content diff builds; longer texts are diffed by line,
+// and texts too long even for that are shown as replaced
+const MAX_DIFF_CELLS = 1000000;
+
+class RevisionHistory {
+  constructor({ storage }) {
+    this.storage = storage;
+  }
+
+  snapshot(entityType, record) {
+    const snapshot = {};
+    for (const field of SNAPSHOT_FIELDS[entityType]) {
+      snapshot[field] = record[field] === undefined ? null : record[field];
+    }
+    return snapshot;
+  }
+
+  // Record `action` on a memory or note. For updates, `previous` is the state
+  // being replaced: an entity without history gets it as a baseline first,
+  // so the change can still be reverted.
+  async record(entityType, action, record, previous = null) {
+    if (previous) {
+      const existing = await this.storage.getRevisions(entityType, record.id, record.user_id);
+      if (existing.length === 0) {
+        await this.add(entityType, 'baseline', previous);
+      }
+    }
+    return this.add(entityType, action, record);
+  }
+
+  async add(entityType, action, record) {
+    return this.storage.addRevision({
+      user_id: record.user_id,
+      entity_type: entityType,
+      entity_id: record.id,
+      action,
+      snapshot: this.snapshot(entityType, record)
+    });
+  }
+
+  async list(entityType, entityId, userId) {
+    return this.storage.getRevisions(entityType, entityId, userId);
+  }
+
+  async get(entityType, entityId, userId, number) {
+    const revision = (await this.list(entityType, entityId, userId)).find(r => r.revision === number);
+    if (!revision) {
+      throw new Error('Revision not found');
+    }
+    return revision;
+  }
+
+  // Changes from revision `from` to revision `to`; by default the latest
+  // revision against the one before it
+  async diff(entityType, entityId, userId, { from = null, to = null } = {}) {
+    const revisions = await this.list(entityType, entityId, userId);
+    if (revisions.length === 0) {
+      throw new Error(NOT_FOUND[entityType]);
+    }
+
+    const target = to === null ? revisions[revisions.length - 1].revision : to;
+    const base = from === null ? Math.max(1, target - 1) : from;
+    const before = revisions.find(r => r.revision === base);
+    const after = revisions.find(r => r.revision === target);
+    if (!before || !after) {
+      throw new Error('Revision not found');
+    }
+
+    const fields = {};
+    for (const field of DIFF_FIELDS[entityType]) {
+      if (!sameValue(before.snapshot[field], after.snapshot[field])) {
+        fields[field] = { from: before.snapshot[field], to: after.snapshot[field] };
+      }
+    }
+
+    return {
+      from: { revision: before.revision, action: before.action, created_at: before.created_at },
+      to: { revision: after.revision, action: after.action, created_at: after.created_at },
+      content: diffText(before.snapshot.content, after.snapshot.content),
+      metadata: diffObjects(before.snapshot.metadata, after.snapshot.metadata),
+      fields
+    };
+  }
+
+  // Trashed memories and notes of a user, most recently deleted first
+  async trash(userId, entityType = null) {
+    const revisions = await this.storage.getTrash(userId, entityType);
+    return revisions.map(revision => ({
+      type: revision.entity_type,
+      id: revision.entity_id,
+      content: revision.snapshot.content,
+      title: revision.snapshot.title || null,
+      revision: revision.revision,
+      deleted_at: revision.created_at
+    }));
+  }
+
+  // The delete revision of a trashed entity, or the entity type's not found
+  // error when it isn't in the trash
+  async trashed(entityType, entityId, userId) {
+    const revisions = await this.list(entityType, entityId, userId);
+    const latest = revisions[revisions.length - 1];
+    if (!latest || latest.action !== 'delete') {
+      throw new Error(NOT_FOUND[entityType]);
+    }
+    return latest;
+  }
+
+  // Empty one entity from the trash, history included
+  async purge(entityType, entityId, userId) {
+    await this.trashed(entityType, entityId, userId);
+    return this.storage.purgeRevisions(entityType, entityId, userId);
+  }
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a === undefined ? null : a) === JSON.stringify(b === undefined ? null : b);
+}
+
+// Word-level diff of two texts as runs of { type: 'equal' | 'added' |
+// 'removed', text }; joining the equal and removed runs gives `before`,
+// the equal and added runs give `after`
+function diffText(before, after) {
+  before = before || '';
+  after = after || '';
+
+  let a = tokenize(before, /(\s+)/);
+  let b = tokenize(after, /(\s+)/);
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    a = tokenize(before, /(\n)/);
+    b = tokenize(after, /(\n)/);
+  }
+  if (a.length * b.length > MAX_DIFF_CELLS) {
+    return [
+      ...(before ? [{ type: 'removed', text: before }] : []),
+      ...(after ? [{ type: 'added', text: after }] : [])
+    ];
+  }
+
+  // lcs[i][j] is the longest common subsequence of a[i..] and b[j..]
+  const width = b.length + 1;
+  const lcs = new Uint32Array((a.length + 1) * width);
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  const runs = [];
+  const push = (type, text) => {
+    const last = runs[runs.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      runs.push({ type, text });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i++]);
+      j++;
+    } else if (lcs[(i + 1) * width + j] >= lcs[i * width + j + 1]) {
+      push('removed', a[i++]);
+    } else {
+      push('added', b[j++]);
+    }
+  }
+  while (i < a.length) push('removed', a[i++]);
+  while (j < b.length) push('added', b[j++]);
+
+  return runs;
+}
+
+// Split keeping the separators, so the tokens join back into the text
+function tokenize(text, separator) {
+  return text.split(separator).filter(token => token.length > 0);
+}
+
+// Top-level keys added, removed and changed between two metadata objects
+function diffObjects(before, after) {
+  before = before || {};
+  after = after || {};
+  const diff = { added: {}, removed: {}, changed: {} };
+
+  for (const key of Object.keys(after)) {
+    if (!(key in before)) {
+      diff.added[key] = after[key];
+    } else if (!sameValue(before[key], after[key])) {
+      diff.changed[key] = { from: before[key], to: after[key] };
+    }
+  }
+  for (const key of Object.keys(before)) {
+    if (!(key in after)) {
+      diff.removed[key] = before[key];
+    }
+  }
+
+  return diff;
+}
+
+module.exports = {
+  RevisionHistory,
+  REVISION_ACTIONS,
+  REVISION_ENTITY_TYPES,
+  diffText,
+  diffObjects
+};
@@ -0,0 +1,1187 @@
+// sqlite-memory-storage.js - SQLite-backed memory storage system
+// Same method surface as LocalMemoryStorage, but every change is a row-level
+// write instead of rewriting the whole JSON file
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const { StorageAdapter, embeddingFields, trashedRevisions } = require('./storage-adapter');
+const { SCHEMA_VERSION, migrateData, validateData, unwrapDataFile } = require('./data-schema');
+const { MemoryVectorIndex } = require('./vector-index');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS memories (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    content TEXT NOT NULL,
+    embedding BLOB,
+    embedding_model TEXT,
+    embedding_dimensions INTEGER,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    archived_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_memories_user ON memories (user_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS notes (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    content TEXT NOT NULL,
+    title TEXT,
+    url TEXT,
+    page_title TEXT,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_notes_user ON notes (user_id, created_at);
+
+  CREATE TABLE IF NOT EXISTS mindmap_nodes (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    label TEXT,
+    x REAL,
+    y REAL,
+    color TEXT,
+    size REAL,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_mindmap_nodes_user ON mindmap_nodes (user_id);
+
+  CREATE TABLE IF NOT EXISTS mindmap_edges (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    source_node_id TEXT,
+    target_node_id TEXT,
+    type TEXT NOT NULL DEFAULT 'related',
+    label TEXT,
+    weight REAL,
+    metadata TEXT NOT NULL DEFAULT '{}',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_mindmap_edges_user ON mindmap_edges (user_id);
+  CREATE INDEX IF NOT EXISTS idx_mindmap_edges_source ON mindmap_edges (source_node_id);
+  CREATE INDEX IF NOT EXISTS idx_mindmap_edges_target ON mindmap_edges (target_node_id);
+
+  CREATE TABLE IF NOT EXISTS revisions (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT NOT NULL,
+    revision INTEGER NOT NULL,
+    action TEXT NOT NULL,
+    snapshot TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    UNIQUE (entity_type, entity_id, revision)
+  );
+  CREATE INDEX IF NOT EXISTS idx_revisions_user ON revisions (user_id, action);
+
+  CREATE TABLE IF NOT EXISTS concept_mastery (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    concept_key TEXT NOT NULL,
+    label TEXT NOT NULL,
+    p_known REAL NOT NULL,
+    level TEXT NOT NULL,
+    observations INTEGER NOT NULL DEFAULT 0,
+    history TEXT NOT NULL DEFAULT '[]',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_concept_mastery_user ON concept_mastery (user_id, concept_key);
+
+  CREATE TABLE IF NOT EXISTS flashcards (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    front TEXT NOT NULL,
+    back TEXT NOT NULL,
+    origin TEXT NOT NULL,
+    source TEXT,
+    concept_key TEXT,
+    concept TEXT,
+    ease REAL NOT NULL,
+    interval_days INTEGER NOT NULL DEFAULT 0,
+    repetitions INTEGER NOT NULL DEFAULT 0,
+    lapses INTEGER NOT NULL DEFAULT 0,
+    due_at TEXT NOT NULL,
+    last_reviewed_at TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_flashcards_user ON flashcards (user_id, due_at);
+
+  CREATE TABLE IF NOT EXISTS flashcard_reviews (
+    id TEXT PRIMARY KEY,
+    user_id TEXT,
+    card_id TEXT NOT NULL,
+    grade INTEGER NOT NULL,
+    interval_days INTEGER NOT NULL,
+    ease REAL NOT NULL,
+    reviewed_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_user ON flashcard_reviews (user_id, card_id);
+
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+`;
+
+class SqliteMemoryStorage extends StorageAdapter {
+  constructor(dataDir = './data') {
+    super();
+    this.dataDir = dataDir;
+    this.dbFile = path.join(dataDir, 'prisma.db');
+
+    // Legacy JSON files, only read by the one-shot migration
+    this.memoriesFile = path.join(dataDir, 'memories.json');
+    this.notesFile = path.join(dataDir, 'notes.json');
+    this.mindmapFile = path.join(dataDir, 'mindmap.json');
+    this.revisionsFile = path.join(dataDir, 'revisions.json');
+    this.masteryFile = path.join(dataDir, 'mastery.json');
+    this.flashcardsFile = path.join(dataDir, 'flashcards.json');
+
+    // Migrations run and records skipped while importing the JSON files
+    this.schemaReport = { migrations: [], quarantined: [] };
+
+    // Per-user ANN index over memory embeddings, built from the table on the
+    // first search after a start and kept in step with every write
+    this.vectorIndex = new MemoryVectorIndex();
+
+    this.db = null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    try {
+      await fs.mkdir(this.dataDir, { recursive: true });
+
+      // better-sqlite3 is an optional native dependency, so only load it
+      // when this backend is actually selected
+      let Database;
+      try {
+        Database = require('better-sqlite3');
+      } catch (error) {
+        throw new Error('SQLite storage requires the better-sqlite3 package (npm install better-sqlite3)');
+      }
+
+      this.db = new Database(this.dbFile);
+      this.db.pragma('journal_mode = WAL');
+      this.db.exec(SCHEMA);
+      this.addMissingColumns();
+
+      await this.migrateFromJson();
+      await this.migrateStoreFiles();
+
+      this.initialized = true;
+      const { count: memoryCount } = this.db.prepare('SELECT COUNT(*) AS count FROM memories').get();
+      const { count: noteCount } = this.db.prepare('SELECT COUNT(*) AS count FROM notes').get();
+      console.log(`[SQLite Storage] Initialized with ${memoryCount} memories, ${noteCount} notes`);
+    } catch (error) {
+      console.error('[SQLite Storage] Initialization error:', error);
+      throw error;
+    }
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+    this.initialized = false;
+  }
+
+  // Columns added after the first release; CREATE TABLE IF NOT EXISTS
+  // leaves existing databases without them
+  addMissingColumns() {
+    const columns = new Set(this.db.prepare('PRAGMA table_info(memories)').all().map(c => c.name));
+    if (!columns.has('embedding_model')) {
+      this.db.exec('ALTER TABLE memories ADD COLUMN embedding_model TEXT');
+    }
+    if (!columns.has('embedding_dimensions')) {
+      this.db.exec('ALTER TABLE memories ADD COLUMN embedding_dimensions INTEGER');
+    }
+    if (!columns.has('archived_at')) {
+      this.db.exec('ALTER TABLE memories ADD COLUMN archived_at TEXT');
+    }
+
+    const edgeColumns = new Set(this.db.prepare('PRAGMA table_info(mindmap_edges)').all().map(c => c.name));
+    if (!edgeColumns.has('type')) {
+      this.db.exec("ALTER TABLE mindmap_edges ADD COLUMN type TEXT NOT NULL DEFAULT 'related'");
+    }
+  }
+
+  // One-shot import of the JSON files written by LocalMemoryStorage.
+  // Runs on the first init() against a data directory and is recorded in
+  // the meta table so it never runs twice. Files from older schema versions
+  // are upgraded first; records that fail validation are skipped and left
+  // in the JSON files.
+  async migrateFromJson() {
+    if (this.getMeta('json_migrated_at')) {
+      return { migrated: false };
+    }
+
+    const { data, problems } = validateData({
+      memories: await this.readJsonFile(this.memoriesFile, 'memories', []),
+      notes: await this.readJsonFile(this.notesFile, 'notes', []),
+      mindmap: await this.readJsonFile(this.mindmapFile, 'mindmap', { nodes: [], edges: [] }),
+      revisions: await this.readJsonFile(this.revisionsFile, 'revisions', [])
+    });
+    for (const { collection, id, reason } of problems) {
+      const file = `${collection.split('.')[0]}.json`;
+      this.schemaReport.quarantined.push({ file, collection, id, reason });
+      console.warn(`[SQLite Storage] Skipped a record from ${file}: ${reason}`);
+    }
+    const { memories, notes, mindmap, revisions } = data;
+
+    this.db.transaction(() => {
+      memories.forEach(memory => this.insertMemoryRow(memory));
+      notes.forEach(note => this.insertNoteRow(note));
+      (mindmap.nodes || []).forEach(node => this.insertNodeRow(node));
+      (mindmap.edges || []).forEach(edge => this.insertEdgeRow(edge));
+      revisions.forEach(revision => this.insertRevisionRow(revision));
+      this.setMeta('json_migrated_at', new Date().toISOString());
+    })();
+
+    const counts = {
+      memories: memories.length,
+      notes: notes.length,
+      nodes: (mindmap.nodes || []).length,
+      edges: (mindmap.edges || []).length
+    };
+
+    if (counts.memories || counts.notes || counts.nodes || counts.edges) {
+      console.log(`[SQLite Storage] Migrated ${counts.memories} memories, ${counts.notes} notes, ${counts.nodes} nodes, ${counts.edges} edges from JSON files`);
+    }
+
+    return { migrated: true, ...counts };
+  }
+
+  // Concept mastery and flashcards were kept in mastery.json and
+  // flashcards.json beside the database before they moved into it. Each
+  // file is imported once, recorded apart from the other JSON files since
+  // older databases have imported those already.
+  async migrateStoreFiles() {
+    const stores = [
+      { key: 'mastery', file: this.masteryFile, fallback: [], insert: data => data.mastery.forEach(record => this.insertMasteryRow(record)) },
+      {
+        key: 'flashcards',
+        file: this.flashcardsFile,
+        fallback: { cards: [], reviews: [] },
+        insert: data => {
+          data.flashcards.cards.forEach(card => this.insertFlashcardRow(card));
+          data.flashcards.reviews.forEach(review => this.insertReviewRow(review));
+        }
+      }
+    ];
+
+    for (const { key, file, fallback, insert } of stores) {
+      const flag = `${key}_migrated_at`;
+      if (this.getMeta(flag)) continue;
+
+      const name = path.basename(file);
+      const { data, problems } = validateData({ [key]: await this.readJsonFile(file, key, fallback) });
+      for (const { collection, id, reason } of problems) {
+        this.schemaReport.quarantined.push({ file: name, collection, id, reason });
+        console.warn(`[SQLite Storage] Skipped a record from ${name}: ${reason}`);
+      }
+
+      this.db.transaction(() => {
+        insert(data);
+        this.setMeta(flag, new Date().toISOString());
+      })();
+
+      const count = key === 'flashcards' ? data.flashcards.cards.length + data.flashcards.reviews.length : data[key].length;
+      if (count) {
+        console.log(`[SQLite Storage] Migrated ${count} records from ${name}`);
+      }
+    }
+  }
+
+  // A legacy data file's contents, upgraded to the current schema version
+  async readJsonFile(file, key, fallback) {
+    let contents;
+    try {
+      contents = await fs.readFile(file, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return fallback;
+      }
+      throw error;
+    }
+
+    const { version, value } = unwrapDataFile(key, JSON.parse(contents));
+    const { data, applied } = migrateData({ [key]: value }, version);
+    if (applied.length) {
+      this.schemaReport.migrations.push({ file: path.basename(file), from: version, to: SCHEMA_VERSION });
+    }
+    return data[key];
+  }
+
+  async getSchemaReport() {
+    return this.schemaReport;
+  }
+
+  getMeta(key) {
+    const row = this.db.prepare('SELECT value FROM meta WHERE key = ?').get(key);
+    return row ? row.value : null;
+  }
+
+  setMeta(key, value) {
+    this.db.prepare('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value')
+      .run(key, value);
+  }
+
+  // Memory operations
+  async addMemory(content, metadata = {}, userId) {
+    await this.init();
+
+    const { embedding, embedding_model, ...rest } = metadata;
+    const memory = {
+      id: this.generateId(),
+      user_id: userId,
+      content: content.trim(),
+      ...embeddingFields(embedding, embedding_model), // Set by the API layer
+      metadata: {
+        ...rest,
+        timestamp: new Date().toISOString(),
+        source: metadata.source || 'api'
+      },
+      archived_at: null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    this.insertMemoryRow(memory);
+    this.vectorIndex.upsert(memory);
+
+    console.log(`[SQLite Storage] Added memory: ${memory.id} for user: ${userId}`);
+    return memory;
+  }
+
+  async searchMemories(queryEmbedding, userId, threshold = 0.7, limit = 5, { model = null, includeArchived = false } = {}) {
+    await this.init();
+
+    if (!queryEmbedding) {
+      return [];
+    }
+
+    let where = `user_id = ? AND embedding IS NOT NULL AND ${this.tierFilter(includeArchived ? 'all' : 'active')}`;
+    const params = [userId];
+    if (model) {
+      where += ' AND embedding_model = ?';
+      params.push(model);
+    }
+    const load = () => this.db.prepare(`SELECT * FROM memories WHERE ${where}`).all(...params).map(row => this.rowToMemory(row));
+
+    // Large collections go through the ANN index, which only holds the
+    // active tier
+    if (!includeArchived) {
+      const { count } = this.db.prepare(`SELECT COUNT(*) AS count FROM memories WHERE ${where}`).get(...params);
+      const hits = this.vectorIndex.searchStored(userId, queryEmbedding, limit, count, load, model);
+      if (hits) {
+        const similarities = new Map(hits.filter(hit => hit.similarity >= threshold).map(hit => [hit.id, hit.similarity]));
+        const ids = [...similarities.keys()];
+        if (ids.length === 0) return [];
+        return this.db
+          .prepare(`SELECT * FROM memories WHERE ${where} AND id IN (${ids.map(() => '?').join(', ')})`)
+          .all(...params, ...ids)
+          .map(row => ({ ...this.rowToMemory(row), similarity: similarities.get(row.id) }))
+          .sort((a, b) => b.similarity - a.similarity);
+      }
+    }
+
+    return load()
+      .map(memory => ({
+        ...memory,
+        similarity: this.cosineSimilarity(queryEmbedding, memory.embedding)
+      }))
+      .filter(result => result.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  }
+
+  async getUserMemories(userId, limit = 50, offset = 0, category = null, { tier = 'active' } = {}) {
+    await this.init();
+
+    let where = `user_id = ? AND ${this.tierFilter(tier)}`;
+    const params = [userId];
+
+    if (category) {
+      where += " AND json_extract(metadata, '$.category') = ?";
+      params.push(category);
+    }
+
+    const { total } = this.db.prepare(`SELECT COUNT(*) AS total FROM memories WHERE ${where}`).get(...params);
+    const rows = this.db
+      .prepare(`SELECT * FROM memories WHERE ${where} ORDER BY created_at DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset);
+
+    return {
+      memories: rows.map(row => this.rowToMemory(row)),
+      total
+    };
+  }
+
+  tierFilter(tier) {
+    if (tier === 'all') return '1 = 1';
+    return tier === 'archived' ? 'archived_at IS NOT NULL' : 'archived_at IS NULL';
+  }
+
+  async updateMemory(memoryId, updates, userId) {
+    await this.init();
+
+    const row = this.db.prepare('SELECT * FROM memories WHERE id = ? AND user_id = ?').get(memoryId, userId);
+    if (!row) {
+      throw new Error('Memory not found');
+    }
+
+    const memory = {
+      ...this.rowToMemory(row),
+      ...updates,
+      updated_at: new Date().toISOString()
+    };
+    if ('embedding' in updates) {
+      Object.assign(memory, embeddingFields(updates.embedding, updates.embedding_model));
+    }
+
+    this.db.prepare(`
+      UPDATE memories SET content = ?, embedding = ?, embedding_model = ?, embedding_dimensions = ?, metadata = ?, archived_at = ?, updated_at = ?
+      WHERE id = ? AND user_id = ?
+    `).run(
+      memory.content,
+      this.encodeEmbedding(memory.embedding),
+      memory.embedding_model || null,
+      memory.embedding_dimensions || null,
+      JSON.stringify(memory.metadata || {}),
+      memory.archived_at || null,
+      memory.updated_at,
+      memoryId,
+      userId
+    );
+    this.vectorIndex.upsert(memory);
+
+    return memory;
+  }
+
+  async deleteMemory(memoryId, userId) {
+    await this.init();
+
+    const result = this.db.prepare('DELETE FROM memories WHERE id = ? AND user_id = ?').run(memoryId, userId);
+    if (result.changes === 0) {
+      throw new Error('Memory not found');
+    }
+    this.vectorIndex.remove({ id: memoryId, user_id: userId });
+
+    console.log(`[SQLite Storage] Deleted memory: ${memoryId}`);
+    return true;
+  }
+
+  // Notes operations
+  async addNote(content, metadata = {}, userId) {
+    await this.init();
+
+    const note = {
+      id: this.generateId(),
+      user_id: userId,
+      content: content.trim(),
+      title: metadata.title || null,
+      url: metadata.url || null,
+      page_title: metadata.pageTitle || null,
+      metadata: metadata,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    this.insertNoteRow(note);
+    return note;
+  }
+
+  async getUserNotes(userId, limit = 50, offset = 0) {
+    await this.init();
+
+    return this.db
+      .prepare('SELECT * FROM notes WHERE user_id = ? ORDER BY created_at DESC LIMIT ? OFFSET ?')
+      .all(userId, limit, offset)
+      .map(row => this.rowToNote(row));
+  }
+
+  async updateNote(noteId, updates, userId) {
+    await this.init();
+
+    const row = this.db.prepare('SELECT * FROM notes WHERE id = ? AND user_id = ?').get(noteId, userId);
+    if (!row) {
+      throw new Error('Note not found');
+    }
+
+    const note = {
+      ...this.rowToNote(row),
+      ...updates,
+      updated_at: new Date().toISOString()
+    };
+
+    this.db.prepare(`
+      UPDATE notes SET content = ?, title = ?, url = ?, page_title = ?, metadata = ?, updated_at = ?
+      WHERE id = ? AND user_id = ?
+    `).run(
+      note.content,
+      note.title,
+      note.url,
+      note.page_title,
+      JSON.stringify(note.metadata || {}),
+      note.updated_at,
+      noteId,
+      userId
+    );
+
+    return note;
+  }
+
+  async deleteNote(noteId, userId) {
+    await this.init();
+
+    const result = this.db.prepare('DELETE FROM notes WHERE id = ? AND user_id = ?').run(noteId, userId);
+    if (result.changes === 0) {
+      throw new Error('Note not found');
+    }
+
+    return true;
+  }
+
+  // Re-inserting deleted records
+  async insertMemory(memory) {
+    await this.init();
+
+    if (this.db.prepare('SELECT 1 FROM memories WHERE id = ?').get(memory.id)) {
+      throw new Error('Memory already exists');
+    }
+
+    const record = {
+      ...memory,
+      ...embeddingFields(memory.embedding, memory.embedding_model),
+      archived_at: memory.archived_at || null,
+      updated_at: new Date().toISOString()
+    };
+    this.insertMemoryRow(record);
+    this.vectorIndex.upsert(record);
+    return record;
+  }
+
+  async insertNote(note) {
+    await this.init();
+
+    if (this.db.prepare('SELECT 1 FROM notes WHERE id = ?').get(note.id)) {
+      throw new Error('Note already exists');
+    }
+
+    const record = { ...note, updated_at: new Date().toISOString() };
+    this.insertNoteRow(record);
+    return record;
+  }
+
+  // Revision history
+  async addRevision({ user_id, entity_type, entity_id, action, snapshot }) {
+    await this.init();
+
+    const revision = {
+      id: this.generateId(),
+      user_id,
+      entity_type,
+      entity_id,
+      revision: null,
+      action,
+      snapshot,
+      created_at: new Date().toISOString()
+    };
+
+    // Numbering and insert in one transaction, so concurrent writers never
+    // share a number
+    this.db.transaction(() => {
+      const { last } = this.db
+        .prepare('SELECT MAX(revision) AS last FROM revisions WHERE entity_type = ? AND entity_id = ?')
+        .get(entity_type, entity_id);
+      revision.revision = (last || 0) + 1;
+      this.insertRevisionRow(revision);
+    })();
+
+    return revision;
+  }
+
+  async getRevisions(entityType, entityId, userId) {
+    await this.init();
+
+    return this.db
+      .prepare('SELECT * FROM revisions WHERE entity_type = ? AND entity_id = ? AND user_id = ? ORDER BY revision')
+      .all(entityType, entityId, userId)
+      .map(row => this.rowToRevision(row));
+  }
+
+  async getTrash(userId, entityType = null) {
+    await this.init();
+
+    const rows = this.db.prepare(`
+      SELECT * FROM revisions r
+      WHERE r.user_id = ? AND r.action = 'delete'
+        AND r.revision = (SELECT MAX(revision) FROM revisions WHERE entity_type = r.entity_type AND entity_id = r.entity_id)
+    `).all(userId);
+
+    return trashedRevisions(rows.map(row => this.rowToRevision(row)), entityType);
+  }
+
+  async purgeRevisions(entityType, entityId, userId) {
+    await this.init();
+
+    return this.db
+      .prepare('DELETE FROM revisions WHERE entity_type = ? AND entity_id = ? AND user_id = ?')
+      .run(entityType, entityId, userId)
+      .changes;
+  }
+
+  // Mindmap operations
+  async addMindmapNode(label, metadata = {}, userId) {
+    await this.init();
+
+    const node = {
+      id: this.generateId(),
+      user_id: userId,
+      label: label,
+      x: metadata.x || 0,
+      y: metadata.y || 0,
+      color: metadata.color || '#3B82F6',
+      size: metadata.size || 1.0,
+      metadata: metadata,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    this.insertNodeRow(node);
+    return node;
+  }
+
+  async addMindmapEdge(sourceNodeId, targetNodeId, metadata = {}, userId) {
+    await this.init();
+
+    const edge = {
+      id: this.generateId(),
+      user_id: userId,
+      source_node_id: sourceNodeId,
+      target_node_id: targetNodeId,
+      type: metadata.type || 'related',
+      label: metadata.label || null,
+      weight: metadata.weight || 1.0,
+      metadata: metadata,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+
+    this.insertEdgeRow(edge);
+    return edge;
+  }
+
+  async getUserMindmap(userId) {
+    await this.init();
+
+    const nodes = this.db
+      .prepare('SELECT * FROM mindmap_nodes WHERE user_id = ? ORDER BY created_at')
+      .all(userId)
+      .map(row => this.rowWithMetadata(row));
+    const edges = this.db
+      .prepare('SELECT * FROM mindmap_edges WHERE user_id = ? ORDER BY created_at')
+      .all(userId)
+      .map(row => this.rowWithMetadata(row));
+
+    return { nodes, edges };
+  }
+
+  async updateMindmapNode(nodeId, updates, userId) {
+    await this.init();
+
+    const row = this.db.prepare('SELECT * FROM mindmap_nodes WHERE id = ? AND user_id = ?').get(nodeId, userId);
+    if (!row) {
+      throw new Error('Mindmap node not found');
+    }
+
+    const node = { ...this.rowWithMetadata(row), ...updates, updated_at: new Date().toISOString() };
+    this.insertNodeRow(node);
+    return node;
+  }
+
+  async deleteMindmapNode(nodeId, userId) {
+    await this.init();
+
+    if (!this.db.prepare('SELECT 1 FROM mindmap_nodes WHERE id = ? AND user_id = ?').get(nodeId, userId)) {
+      throw new Error('Mindmap node not found');
+    }
+
+    let edges;
+    this.db.transaction(() => {
+      edges = this.db
+        .prepare('SELECT * FROM mindmap_edges WHERE user_id = ? AND (source_node_id = ? OR target_node_id = ?) ORDER BY created_at')
+        .all(userId, nodeId, nodeId)
+        .map(row => this.rowWithMetadata(row));
+      this.db.prepare('DELETE FROM mindmap_edges WHERE user_id = ? AND (source_node_id = ? OR target_node_id = ?)').run(userId, nodeId, nodeId);
+      this.db.prepare('DELETE FROM mindmap_nodes WHERE id = ? AND user_id = ?').run(nodeId, userId);
+    })();
+    return edges;
+  }
+
+  async updateMindmapEdge(edgeId, updates, userId) {
+    await this.init();
+
+    const row = this.db.prepare('SELECT * FROM mindmap_edges WHERE id = ? AND user_id = ?').get(edgeId, userId);
+    if (!row) {
+      throw new Error('Mindmap edge not found');
+    }
+
+    const edge = { ...this.rowWithMetadata(row), ...updates, updated_at: new Date().toISOString() };
+    this.insertEdgeRow(edge);
+    return edge;
+  }
+
+  async deleteMindmapEdge(edgeId, userId) {
+    await this.init();
+
+    const result = this.db.prepare('DELETE FROM mindmap_edges WHERE id = ? AND user_id = ?').run(edgeId, userId);
+    if (result.changes === 0) {
+      throw new Error('Mindmap edge not found');
+    }
+
+    return true;
+  }
+
+  // Concept mastery
+  async getConceptMastery(userId) {
+    await this.init();
+
+    return this.db
+      .prepare('SELECT * FROM concept_mastery WHERE user_id = ?')
+      .all(userId)
+      .map(row => this.rowToMastery(row));
+  }
+
+  async saveConceptMastery(record) {
+    await this.init();
+
+    this.insertMasteryRow(record);
+    return record;
+  }
+
+  // Flashcards
+  async getFlashcards(userId) {
+    await this.init();
+
+    return this.db
+      .prepare('SELECT * FROM flashcards WHERE user_id = ? ORDER BY created_at, rowid')
+      .all(userId)
+      .map(row => this.rowToFlashcard(row));
+  }
+
+  async saveFlashcards(cards) {
+    await this.init();
+
+    this.db.transaction(() => cards.forEach(card => this.insertFlashcardRow(card)))();
+    return cards;
+  }
+
+  async deleteFlashcard(cardId, userId) {
+    await this.init();
+
+    const result = this.db.prepare('DELETE FROM flashcards WHERE id = ? AND user_id = ?').run(cardId, userId);
+    if (result.changes === 0) {
+      throw new Error('Flashcard not found');
+    }
+
+    return true;
+  }
+
+  async getFlashcardReviews(userId, cardId = null) {
+    await this.init();
+
+    return cardId === null
+      ? this.db.prepare('SELECT * FROM flashcard_reviews WHERE user_id = ? ORDER BY reviewed_at, rowid').all(userId)
+      : this.db.prepare('SELECT * FROM flashcard_reviews WHERE user_id = ? AND card_id = ? ORDER BY reviewed_at, rowid').all(userId, cardId);
+  }
+
+  async addFlashcardReview(review) {
+    await this.init();
+
+    this.insertReviewRow(review);
+    return review;
+  }
+
+  // Row helpers
+  insertMemoryRow(memory) {
+    const { embedding: metadataEmbedding, ...metadata } = memory.metadata || {};
+    const embedding = memory.embedding || metadataEmbedding;
+    this.db.prepare(`
+      INSERT OR REPLACE INTO memories (id, user_id, content, embedding, embedding_model, embedding_dimensions, metadata, archived_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      memory.id,
+      memory.user_id,
+      memory.content,
+      this.encodeEmbedding(embedding),
+      (embedding && memory.embedding_model) || null,
+      embedding ? embedding.length : null,
+      JSON.stringify(metadata),
+      memory.archived_at || null,
+      memory.created_at,
+      memory.updated_at || memory.created_at
+    );
+  }
+
+  insertNoteRow(note) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO notes (id, user_id, content, title, url, page_title, metadata, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      note.id,
+      note.user_id,
+      note.content,
+      note.title || null,
+      note.url || null,
+      note.page_title || null,
+      JSON.stringify(note.metadata || {}),
+      note.created_at,
+      note.updated_at || note.created_at
+    );
+  }
+
+  insertNodeRow(node) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO mindmap_nodes (id, user_id, label, x, y, color, size, metadata, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      node.id,
+      node.user_id,
+      node.label,
+      node.x,
+      node.y,
+      node.color,
+      node.size,
+      JSON.stringify(node.metadata || {}),
+      node.created_at,
+      node.updated_at || node.created_at
+    );
+  }
+
+  insertEdgeRow(edge) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO mindmap_edges (id, user_id, source_node_id, target_node_id, type, label, weight, metadata, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      edge.id,
+      edge.user_id,
+      edge.source_node_id,
+      edge.target_node_id,
+      edge.type || 'related',
+      edge.label,
+      edge.weight,
+      JSON.stringify(edge.metadata || {}),
+      edge.created_at,
+      edge.updated_at || edge.created_at
+    );
+  }
+
+  insertRevisionRow(revision) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO revisions (id, user_id, entity_type, entity_id, revision, action, snapshot, created_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      revision.id,
+      revision.user_id,
+      revision.entity_type,
+      revision.entity_id,
+      revision.revision,
+      revision.action,
+      JSON.stringify(revision.snapshot || {}),
+      revision.created_at
+    );
+  }
+
+  insertMasteryRow(record) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO concept_mastery (id, user_id, concept_key, label, p_known, level, observations, history, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      record.id,
+      record.user_id,
+      record.concept_key,
+      record.label,
+      record.p_known,
+      record.level,
+      record.observations || 0,
+      JSON.stringify(record.history || []),
+      record.created_at,
+      record.updated_at || record.created_at
+    );
+  }
+
+  // Replacing a card in place keeps its rowid, and with it its place among
+  // cards created in the same millisecond
+  insertFlashcardRow(card) {
+    this.db.prepare(`
+      INSERT INTO flashcards (id, user_id, front, back, origin, source, concept_key, concept, ease, interval_days, repetitions, lapses, due_at, last_reviewed_at, created_at, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(id) DO UPDATE SET
+        user_id = excluded.user_id, front = excluded.front, back = excluded.back, origin = excluded.origin,
+        source = excluded.source, concept_key = excluded.concept_key, concept = excluded.concept,
+        ease = excluded.ease, interval_days = excluded.interval_days, repetitions = excluded.repetitions,
+        lapses = excluded.lapses, due_at = excluded.due_at, last_reviewed_at = excluded.last_reviewed_at,
+        created_at = excluded.created_at, updated_at = excluded.updated_at
+    `).run(
+      card.id,
+      card.user_id,
+      card.front,
+      card.back,
+      card.origin || 'manual',
+      card.source ? JSON.stringify(card.source) : null,
+      card.concept_key ?? null,
+      card.concept ?? null,
+      card.ease,
+      card.interval_days || 0,
+      card.repetitions || 0,
+      card.lapses || 0,
+      card.due_at,
+      card.last_reviewed_at ?? null,
+      card.created_at,
+      card.updated_at || card.created_at
+    );
+  }
+
+  insertReviewRow(review) {
+    this.db.prepare(`
+      INSERT OR REPLACE INTO flashcard_reviews (id, user_id, card_id, grade, interval_days, ease, reviewed_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      review.id,
+      review.user_id,
+      review.card_id,
+      review.grade,
+      review.interval_days,
+      review.ease,
+      review.reviewed_at
+    );
+  }
+
+  rowWithMetadata(row) {
+    return { ...row, metadata: JSON.parse(row.metadata || '{}') };
+  }
+
+  rowToMemory(row) {
+    return {
+      ...this.rowWithMetadata(row),
+      embedding: this.decodeEmbedding(row.embedding)
+    };
+  }
+
+  rowToNote(row) {
+    return this.rowWithMetadata(row);
+  }
+
+  rowToRevision(row) {
+    return { ...row, snapshot: JSON.parse(row.snapshot) };
+  }
+
+  rowToMastery(row) {
+    return { ...row, history: JSON.parse(row.history) };
+  }
+
+  rowToFlashcard(row) {
+    return { ...row, source: row.source ? JSON.parse(row.source) : null };
+  }
+
+  // Embeddings are stored as packed float32 blobs, roughly a quarter of the
+  // size of the same vector serialized as JSON
+  encodeEmbedding(embedding) {
+    if (!embedding) return null;
+    return Buffer.from(new Float32Array(embedding).buffer);
+  }
+
+  decodeEmbedding(blob) {
+    if (!blob) return null;
+    return Array.from(new Float32Array(blob.buffer, blob.byteOffset, blob.byteLength / 4));
+  }
+
+  // Utility methods
+  generateId() {
+    return crypto.randomUUID();
+  }
+
+  cosineSimilarity(vecA, vecB) {
+    if (!vecA || !vecB || vecA.length !== vecB.length) {
+      return 0;
+    }
+
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < vecA.length; i++) {
+      dotProduct += vecA[i] * vecB[i];
+      normA += vecA[i] * vecA[i];
+      normB += vecB[i] * vecB[i];
+    }
+
+    if (normA === 0 || normB === 0) {
+      return 0;
+    }
+
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+  }
+
+  // Batch operations
+  async addMemoriesBatch(memories, userId) {
+    await this.init();
+
+    const processedMemories = memories.map(memory => ({
+      id: this.generateId(),
+      user_id: userId,
+      content: memory.content.trim(),
+      ...embeddingFields(memory.embedding, memory.embedding_model),
+      metadata: {
+        ...memory.metadata,
+        timestamp: new Date().toISOString(),
+        source: 'batch'
+      },
+      archived_at: null,
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }));
+
+    this.db.transaction(() => {
+      processedMemories.forEach(memory => this.insertMemoryRow(memory));
+    })();
+    processedMemories.forEach(memory => this.vectorIndex.upsert(memory));
+
+    console.log(`[SQLite Storage] Added ${processedMemories.length} memories in batch for user: ${userId}`);
+    return processedMemories;
+  }
+
+  // Re-embedding
+  async getStaleEmbeddings(model, { afterId = null, limit = 100, userId = null } = {}) {
+    await this.init();
+
+    const { where, params } = this.staleFilter(model, userId);
+    const rows = this.db
+      .prepare(`SELECT * FROM memories WHERE ${where} AND id > ? ORDER BY id LIMIT ?`)
+      .all(...params, afterId === null ? '' : afterId, limit);
+    return rows.map(row => this.rowToMemory(row));
+  }
+
+  async countStaleEmbeddings(model, userId = null) {
+    await this.init();
+
+    const { where, params } = this.staleFilter(model, userId);
+    return this.db.prepare(`SELECT COUNT(*) AS count FROM memories WHERE ${where}`).get(...params).count;
+  }
+
+  staleFilter(model, userId) {
+    let where = '(embedding_model IS NULL OR embedding_model != ?)';
+    const params = [model];
+    if (userId) {
+      where += ' AND user_id = ?';
+      params.push(userId);
+    }
+    return { where, params };
+  }
+
+  // Statistics
+  async getMemoryStats(userId) {
+    await this.init();
+
+    const row = this.db.prepare(`
+      SELECT COUNT(*) AS total,
+             COUNT(DISTINCT json_extract(metadata, '$.category')) AS categories,
+             MIN(created_at) AS first_date,
+             MAX(created_at) AS last_date
+      FROM memories WHERE user_id = ?
+    `).get(userId);
+
+    return {
+      total_memories: row.total,
+      categories_count: row.categories,
+      last_memory_date: row.last_date ? new Date(row.last_date).getTime() : null,
+      first_memory_date: row.first_date ? new Date(row.first_date).getTime() : null
+    };
+  }
+
+  async getUserIds() {
+    await this.init();
+
+    return this.db.prepare('SELECT DISTINCT user_id FROM memories ORDER BY user_id').all().map(row => row.user_id);
+  }
+
+  // Backup and restore
+  // Exports use the same layout as LocalMemoryStorage so a backup can be
+  // restored into either backend
+  async exportData() {
+    await this.init();
+
+    return {
+      memories: this.db.prepare('SELECT * FROM memories').all().map(row => this.rowToMemory(row)),
+      notes: this.db.prepare('SELECT * FROM notes').all().map(row => this.rowToNote(row)),
+      mindmap: {
+        nodes: this.db.prepare('SELECT * FROM mindmap_nodes').all().map(row => this.rowWithMetadata(row)),
+        edges: this.db.prepare('SELECT * FROM mindmap_edges').all().map(row => this.rowWithMetadata(row))
+      },
+      revisions: this.db.prepare('SELECT * FROM revisions').all().map(row => this.rowToRevision(row)),
+      mastery: this.db.prepare('SELECT * FROM concept_mastery').all().map(row => this.rowToMastery(row)),
+      flashcards: {
+        cards: this.db.prepare('SELECT * FROM flashcards ORDER BY created_at, rowid').all().map(row => this.rowToFlashcard(row)),
+        reviews: this.db.prepare('SELECT * FROM flashcard_reviews ORDER BY reviewed_at, rowid').all()
+      }
+    };
+  }
+
+  async importData(data, { userId = null } = {}) {
+    await this.init();
+
+    const mindmap = data.mindmap || { nodes: [], edges: [] };
+    const incoming = records => (records || []).filter(r => userId === null || r.user_id === userId);
+    const clear = table => {
+      if (userId === null) {
+        this.db.prepare(`DELETE FROM ${table}`).run();
+      } else {
+        this.db.prepare(`DELETE FROM ${table} WHERE user_id = ?`).run(userId);
+      }
+    };
+
+    this.db.transaction(() => {
+      ['mindmap_edges', 'mindmap_nodes', 'notes', 'memories'].forEach(clear);
+      incoming(data.memories).forEach(memory => this.insertMemoryRow(memory));
+      incoming(data.notes).forEach(note => this.insertNoteRow(note));
+      incoming(mindmap.nodes).forEach(node => this.insertNodeRow(node));
+      incoming(mindmap.edges).forEach(edge => this.insertEdgeRow(edge));
+
+      // Backups from before revision history, concept mastery or flashcards
+      // leave the current ones alone
+      if (data.revisions) {
+        clear('revisions');
+        incoming(data.revisions).forEach(revision => this.insertRevisionRow(revision));
+      }
+      if (data.mastery) {
+        clear('concept_mastery');
+        incoming(data.mastery).forEach(record => this.insertMasteryRow(record));
+      }
+      if (data.flashcards) {
+        clear('flashcard_reviews');
+        clear('flashcards');
+        incoming(data.flashcards.cards).forEach(card => this.insertFlashcardRow(card));
+        incoming(data.flashcards.reviews).forEach(review => this.insertReviewRow(review));
+      }
+    })();
+    this.vectorIndex.clear();
+
+    console.log(`[SQLite Storage] Imported ${userId ? `data for user: ${userId}` : 'all data'}`);
+    return true;
+  }
+}
+
+module.exports = SqliteMemoryStorage;
@@ -0,0 +1,236 @@
+// storage-adapter.js - Storage adapter contract for the memory server
+// Every backend (JSON files, SQLite, in-memory, Supabase) implements these
+// methods, so every route in local-memory-api.js works against any of them
+
+// Methods every adapter must provide. Lookups are always scoped by userId;
+// "not found" is reported by throwing Error('Memory not found') or
+// Error('Note not found') so the API layer can map it to a 404.
+//
+// Memories record which model produced their vector in embedding_model and
+// embedding_dimensions (both null without a vector). The model arrives as
+// metadata.embedding_model on add, on each batch item, or in the updates.
+//
+// Memories are in the active tier until archived_at is set (via
+// updateMemory). Archived memories are left out of searchMemories and
+// getUserMemories unless asked for, and setting archived_at back to null
+// restores them.
+//
+// Revisions are immutable snapshots of a memory or note, numbered from 1 per
+// entity. The API layer records one for every create, update, delete, revert
+// and restore, so deleting a record leaves its last state in the history:
+// an entity whose latest revision is a 'delete' is in the trash, and
+// insertMemory / insertNote put it back under its original id.
+const ADAPTER_METHODS = [
+  'init',
+  'addMemory',
+  'searchMemories',
+  'getUserMemories',
+  'updateMemory',
+  'deleteMemory',
+  'addMemoriesBatch',
+  'addNote',
+  'getUserNotes',
+  'updateNote',
+  'deleteNote',
+  'insertMemory',
+  'insertNote',
+  'addRevision',
+  'getRevisions',
+  'getTrash',
+  'purgeRevisions',
+  'addMindmapNode',
+  'addMindmapEdge',
+  'getUserMindmap',
+  'updateMindmapNode',
+  'deleteMindmapNode',
+  'updateMindmapEdge',
+  'deleteMindmapEdge',
+  'getConceptMastery',
+  'saveConceptMastery',
+  'getFlashcards',
+  'saveFlashcards',
+  'deleteFlashcard',
+  'getFlashcardReviews',
+  'addFlashcardReview',
+  'getMemoryStats',
+  'getUserIds',
+  'getStaleEmbeddings',
+  'countStaleEmbeddings',
+  'exportData',
+  'importData'
+];
+
+const STORAGE_TYPES = ['json', 'sqlite', 'memory', 'supabase'];
+
+const MEMORY_TIERS = ['active', 'archived', 'all'];
+
+const REVISION_ENTITY_TYPES = ['memory', 'note'];
+
+// What a mind map edge says about its nodes: the source is a prerequisite of
+// the target, the two are related, or the source is an example of the target
+const MINDMAP_EDGE_TYPES = ['prerequisite', 'related', 'example-of'];
+
+class StorageAdapter {
+  async init() {}
+
+  // What init() found in data written by older versions: the migrations it
+  // ran ({ file, from, to }) and the records it quarantined ({ file,
+  // collection, id, reason }). Stores that don't load data files have none.
+  async getSchemaReport() {
+    return { migrations: [], quarantined: [] };
+  }
+
+  // Memory operations
+  async addMemory(content, metadata = {}, userId) { this.notImplemented('addMemory'); }
+  // With options.model, only vectors produced by that model are compared;
+  // options.includeArchived searches the archive tier as well
+  async searchMemories(queryEmbedding, userId, threshold = 0.7, limit = 5, options = {}) { this.notImplemented('searchMemories'); }
+  // options.tier is one of MEMORY_TIERS (default 'active')
+  async getUserMemories(userId, limit = 50, offset = 0, category = null, options = {}) { this.notImplemented('getUserMemories'); }
+  async updateMemory(memoryId, updates, userId) { this.notImplemented('updateMemory'); }
+  async deleteMemory(memoryId, userId) { this.notImplemented('deleteMemory'); }
+  async addMemoriesBatch(memories, userId) { this.notImplemented('addMemoriesBatch'); }
+
+  // Notes operations
+  async addNote(content, metadata = {}, userId) { this.notImplemented('addNote'); }
+  async getUserNotes(userId, limit = 50, offset = 0) { this.notImplemented('getUserNotes'); }
+  async updateNote(noteId, updates, userId) { this.notImplemented('updateNote'); }
+  async deleteNote(noteId, userId) { this.notImplemented('deleteNote'); }
+
+  // Re-insert a deleted record with its original id and timestamps
+  async insertMemory(memory) { this.notImplemented('insertMemory'); }
+  async insertNote(note) { this.notImplemented('insertNote'); }
+
+  // Revision history. addRevision takes { user_id, entity_type, entity_id,
+  // action, snapshot } and returns it with its id, revision number and
+  // created_at; getRevisions lists them oldest first
+  async addRevision(revision) { this.notImplemented('addRevision'); }
+  async getRevisions(entityType, entityId, userId) { this.notImplemented('getRevisions'); }
+  // The delete revision of every trashed entity, most recently deleted first
+  async getTrash(userId, entityType = null) { this.notImplemented('getTrash'); }
+  // Drop an entity's history for good (emptying it from the trash)
+  async purgeRevisions(entityType, entityId, userId) { this.notImplemented('purgeRevisions'); }
+
+  // Mindmap operations. Edges take their type (one of MINDMAP_EDGE_TYPES,
+  // 'related' by default), label and weight from the metadata. "Not found"
+  // is Error('Mindmap node not found') or Error('Mindmap edge not found').
+  async addMindmapNode(label, metadata = {}, userId) { this.notImplemented('addMindmapNode'); }
+  async addMindmapEdge(sourceNodeId, targetNodeId, metadata = {}, userId) { this.notImplemented('addMindmapEdge'); }
+  async getUserMindmap(userId) { this.notImplemented('getUserMindmap'); }
+  async updateMindmapNode(nodeId, updates, userId) { this.notImplemented('updateMindmapNode'); }
+  // Deletes the node's edges with it, and returns them
+  async deleteMindmapNode(nodeId, userId) { this.notImplemented('deleteMindmapNode'); }
+  async updateMindmapEdge(edgeId, updates, userId) { this.notImplemented('updateMindmapEdge'); }
+  async deleteMindmapEdge(edgeId, userId) { this.notImplemented('deleteMindmapEdge'); }
+
+  // Concept mastery (see concept-mastery.js): one estimate per user and
+  // concept key. saveConceptMastery inserts the record or replaces the one
+  // with its id, and returns it.
+  async getConceptMastery(userId) { this.notImplemented('getConceptMastery'); }
+  async saveConceptMastery(record) { this.notImplemented('saveConceptMastery'); }
+
+  // Flashcards and their reviews (see flashcards.js). Cards are listed in
+  // the order they were added and reviews oldest first; saveFlashcards
+  // inserts each card or replaces the one with its id. Reviews outlive their
+  // card. "Not found" is Error('Flashcard not found').
+  async getFlashcards(userId) { this.notImplemented('getFlashcards'); }
+  async saveFlashcards(cards) { this.notImplemented('saveFlashcards'); }
+  async deleteFlashcard(cardId, userId) { this.notImplemented('deleteFlashcard'); }
+  // All of the user's reviews, or only those of cardId
+  async getFlashcardReviews(userId, cardId = null) { this.notImplemented('getFlashcardReviews'); }
+  async addFlashcardReview(review) { this.notImplemented('addFlashcardReview'); }
+
+  // Statistics
+  async getMemoryStats(userId) { this.notImplemented('getMemoryStats'); }
+  // Every user with at least one memory, for jobs that sweep all users
+  async getUserIds() { this.notImplemented('getUserIds'); }
+
+  // Re-embedding: memories (all users unless options.userId) whose vector is
+  // missing or came from a model other than `model`, ordered by id so a job
+  // can resume after options.afterId
+  async getStaleEmbeddings(model, options = {}) { this.notImplemented('getStaleEmbeddings'); }
+  async countStaleEmbeddings(model, userId = null) { this.notImplemented('countStaleEmbeddings'); }
+
+  // Backup and restore (see backup-manager.js)
+  // Every record as { memories, notes, mindmap: { nodes, edges }, revisions,
+  // mastery, flashcards: { cards, reviews } }
+  async exportData() { this.notImplemented('exportData'); }
+  // Replace every record, or only those of options.userId, with the ones in
+  // `data`. Data without revisions, mastery or flashcards leaves those alone.
+  async importData(data, options = {}) { this.notImplemented('importData'); }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}`);
+  }
+}
+
+// Build a storage adapter by name. Modules are required lazily so optional
+// dependencies (better-sqlite3, @supabase/supabase-js) are only loaded when
+// their backend is selected.
+function createStorage(type = 'json', options = {}) {
+  const dataDir = options.dataDir || './data';
+
+  switch (type) {
+    case 'json': {
+      const LocalMemoryStorage = require('./local-memory-storage');
+      return new LocalMemoryStorage(dataDir);
+    }
+    case 'sqlite': {
+      const SqliteMemoryStorage = require('./sqlite-memory-storage');
+      return new SqliteMemoryStorage(dataDir);
+    }
+    case 'memory': {
+      const InMemoryStorage = require('./in-memory-storage');
+      return new InMemoryStorage();
+    }
+    case 'supabase': {
+      const SupabaseMemoryStorage = require('./supabase-memory-storage');
+      return new SupabaseMemoryStorage(options);
+    }
+    default:
+      throw new Error(`Unknown storage type: ${type} (expected one of ${STORAGE_TYPES.join(', ')})`);
+  }
+}
+
+// Columns recording where a memory's vector came from
+function embeddingFields(embedding, model) {
+  return {
+    embedding: embedding || null,
+    embedding_model: embedding ? model || null : null,
+    embedding_dimensions: embedding ? embedding.length : null
+  };
+}
+
+function inTier(memory, tier = 'active') {
+  if (tier === 'all') return true;
+  return tier === 'archived' ? !!memory.archived_at : !memory.archived_at;
+}
+
+// The latest revision of each entity whose history ends in a delete, from
+// revisions of any order
+function trashedRevisions(revisions, entityType = null) {
+  const latest = new Map();
+  for (const revision of revisions) {
+    if (entityType && revision.entity_type !== entityType) continue;
+    const key = `${revision.entity_type}:${revision.entity_id}`;
+    if (!latest.has(key) || latest.get(key).revision < revision.revision) {
+      latest.set(key, revision);
+    }
+  }
+  return [...latest.values()]
+    .filter(revision => revision.action === 'delete')
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+module.exports = {
+  StorageAdapter,
+  ADAPTER_METHODS,
+  STORAGE_TYPES,
+  MEMORY_TIERS,
+  REVISION_ENTITY_TYPES,
+  MINDMAP_EDGE_TYPES,
+  createStorage,
+  embeddingFields,
+  inTier,
+  trashedRevisions
+};
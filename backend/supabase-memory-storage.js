@@ -0,0 +1,719 @@
+// supabase-memory-storage.js - Supabase (Postgres + pgvector) memory storage
+// Storage adapter over the tables and functions in supabase-schema.sql
+
+const { StorageAdapter, embeddingFields, trashedRevisions } = require('./storage-adapter');
+
+// Used to match every row when clearing a table, since Supabase refuses
+// unfiltered deletes
+const NIL_UUID = '00000000-0000-0000-0000-000000000000';
+
+class SupabaseMemoryStorage extends StorageAdapter {
+  constructor(options = {}) {
+    super();
+    this.supabaseUrl = options.supabaseUrl || process.env.SUPABASE_URL;
+    this.supabaseKey = options.supabaseKey || process.env.SUPABASE_ANON_KEY;
+
+    this.supabase = options.client || null;
+    this.initialized = false;
+  }
+
+  async init() {
+    if (this.initialized) return;
+
+    if (!this.supabase) {
+      if (!this.supabaseUrl || !this.supabaseKey) {
+        throw new Error('Supabase storage requires SUPABASE_URL and SUPABASE_ANON_KEY');
+      }
+
+      let createClient;
+      try {
+        ({ createClient } = require('@supabase/supabase-js'));
+      } catch (error) {
+        throw new Error('Supabase storage requires the @supabase/supabase-js package (npm install @supabase/supabase-js)');
+      }
+
+      this.supabase = createClient(this.supabaseUrl, this.supabaseKey);
+    }
+
+    this.initialized = true;
+    console.log('[Supabase Storage] Initialized');
+  }
+
+  // Memory operations
+  async addMemory(content, metadata = {}, userId) {
+    await this.init();
+
+    const { embedding, embedding_model, ...rest } = metadata;
+    const data = this.unwrap(await this.supabase
+      .from('memories')
+      .insert([{
+        user_id: userId,
+        content: content.trim(),
+        ...embeddingFields(embedding, embedding_model),
+        metadata: {
+          ...rest,
+          timestamp: new Date().toISOString(),
+          source: metadata.source || 'api'
+        },
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single(), 'add memory');
+
+    console.log(`[Supabase Storage] Added memory: ${data.id} for user: ${userId}`);
+    return this.rowToMemory(data);
+  }
+
+  async searchMemories(queryEmbedding, userId, threshold = 0.7, limit = 5, { model = null, includeArchived = false } = {}) {
+    await this.init();
+
+    if (!queryEmbedding) {
+      return [];
+    }
+
+    const data = this.unwrap(await this.supabase.rpc('search_memories', {
+      query_embedding: queryEmbedding,
+      match_user_id: userId,
+      match_threshold: threshold,
+      match_count: limit,
+      match_model: model,
+      include_archived: includeArchived
+    }), 'search memories');
+
+    return data.map(row => ({ ...row, user_id: userId }));
+  }
+
+  async getUserMemories(userId, limit = 50, offset = 0, category = null, { tier = 'active' } = {}) {
+    await this.init();
+
+    let query = this.supabase
+      .from('memories')
+      .select('*', { count: 'exact' })
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (category) {
+      query = query.eq('metadata->>category', category);
+    }
+    if (tier === 'active') {
+      query = query.is('archived_at', null);
+    } else if (tier === 'archived') {
+      query = query.not('archived_at', 'is', null);
+    }
+
+    const result = await query;
+    const data = this.unwrap(result, 'fetch memories');
+
+    return {
+      memories: data.map(row => this.rowToMemory(row)),
+      total: result.count || 0
+    };
+  }
+
+  async updateMemory(memoryId, updates, userId) {
+    await this.init();
+
+    const { id, user_id, created_at, ...columns } = updates;
+    if ('embedding' in columns) {
+      Object.assign(columns, embeddingFields(columns.embedding, columns.embedding_model));
+    }
+    const data = this.unwrap(await this.supabase
+      .from('memories')
+      .update({ ...columns, updated_at: new Date().toISOString() })
+      .eq('id', memoryId)
+      .eq('user_id', userId)
+      .select(), 'update memory');
+
+    if (data.length === 0) {
+      throw new Error('Memory not found');
+    }
+
+    return this.rowToMemory(data[0]);
+  }
+
+  async deleteMemory(memoryId, userId) {
+    await this.init();
+
+    const data = this.unwrap(await this.supabase
+      .from('memories')
+      .delete()
+      .eq('id', memoryId)
+      .eq('user_id', userId)
+      .select('id'), 'delete memory');
+
+    if (data.length === 0) {
+      throw new Error('Memory not found');
+    }
+
+    console.log(`[Supabase Storage] Deleted memory: ${memoryId}`);
+    return true;
+  }
+
+  async addMemoriesBatch(memories, userId) {
+    await this.init();
+
+    const rows = memories.map(memory => ({
+      user_id: userId,
+      content: memory.content.trim(),
+      ...embeddingFields(memory.embedding, memory.embedding_model),
+      metadata: {
+        ...memory.metadata,
+        timestamp: new Date().toISOString(),
+        source: 'batch'
+      },
+      created_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    }));
+
+    const data = this.unwrap(await this.supabase
+      .from('memories')
+      .insert(rows)
+      .select(), 'batch insert memories');
+
+    console.log(`[Supabase Storage] Added ${data.length} memories in batch for user: ${userId}`);
+    return data.map(row => this.rowToMemory(row));
+  }
+
+  // Notes operations
+  async addNote(content, metadata = {}, userId) {
+    await this.init();
+
+    return this.unwrap(await this.supabase
+      .from('notes')
+      .insert([{
+        user_id: userId,
+        content: content.trim(),
+        title: metadata.title || null,
+        url: metadata.url || null,
+        page_title: metadata.pageTitle || null,
+        metadata: metadata,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single(), 'add note');
+  }
+
+  async getUserNotes(userId, limit = 50, offset = 0) {
+    await this.init();
+
+    return this.unwrap(await this.supabase
+      .from('notes')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1), 'fetch notes');
+  }
+
+  async updateNote(noteId, updates, userId) {
+    await this.init();
+
+    const { id, user_id, created_at, ...columns } = updates;
+    const data = this.unwrap(await this.supabase
+      .from('notes')
+      .update({ ...columns, updated_at: new Date().toISOString() })
+      .eq('id', noteId)
+      .eq('user_id', userId)
+      .select(), 'update note');
+
+    if (data.length === 0) {
+      throw new Error('Note not found');
+    }
+
+    return data[0];
+  }
+
+  async deleteNote(noteId, userId) {
+    await this.init();
+
+    const data = this.unwrap(await this.supabase
+      .from('notes')
+      .delete()
+      .eq('id', noteId)
+      .eq('user_id', userId)
+      .select('id'), 'delete note');
+
+    if (data.length === 0) {
+      throw new Error('Note not found');
+    }
+
+    return true;
+  }
+
+  // Re-inserting deleted records
+  async insertMemory(memory) {
+    await this.init();
+
+    if (await this.exists('memories', memory.id)) {
+      throw new Error('Memory already exists');
+    }
+
+    const { embedding_dimensions, similarity, ...fields } = memory;
+    const data = this.unwrap(await this.supabase
+      .from('memories')
+      .insert([{
+        ...fields,
+        ...embeddingFields(memory.embedding, memory.embedding_model),
+        archived_at: memory.archived_at || null,
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single(), 'restore memory');
+
+    return this.rowToMemory(data);
+  }
+
+  async insertNote(note) {
+    await this.init();
+
+    if (await this.exists('notes', note.id)) {
+      throw new Error('Note already exists');
+    }
+
+    return this.unwrap(await this.supabase
+      .from('notes')
+      .insert([{ ...note, updated_at: new Date().toISOString() }])
+      .select()
+      .single(), 'restore note');
+  }
+
+  // Revision history
+  // Numbers come from the latest revision; the unique constraint on
+  // (entity_type, entity_id, revision) rejects a concurrent writer that
+  // picked the same one
+  async addRevision({ user_id, entity_type, entity_id, action, snapshot }) {
+    await this.init();
+
+    const latest = this.unwrap(await this.supabase
+      .from('revisions')
+      .select('revision')
+      .eq('entity_type', entity_type)
+      .eq('entity_id', entity_id)
+      .order('revision', { ascending: false })
+      .limit(1), 'find latest revision');
+
+    return this.unwrap(await this.supabase
+      .from('revisions')
+      .insert([{
+        user_id,
+        entity_type,
+        entity_id,
+        revision: latest.length > 0 ? latest[0].revision + 1 : 1,
+        action,
+        snapshot,
+        created_at: new Date().toISOString()
+      }])
+      .select()
+      .single(), 'add revision');
+  }
+
+  async getRevisions(entityType, entityId, userId) {
+    await this.init();
+
+    return this.unwrap(await this.supabase
+      .from('revisions')
+      .select('*')
+      .eq('entity_type', entityType)
+      .eq('entity_id', entityId)
+      .eq('user_id', userId)
+      .order('revision'), 'fetch revisions');
+  }
+
+  async getTrash(userId, entityType = null) {
+    await this.init();
+
+    const data = this.unwrap(await this.supabase
+      .from('revisions')
+      .select('*')
+      .eq('user_id', userId), 'fetch trash');
+    return trashedRevisions(data, entityType);
+  }
+
+  async purgeRevisions(entityType, entityId, userId) {
+    await this.init();
+
+    const data = this.unwrap(await this.supabase
+      .from('revisions')
+      .delete()
+      .eq('entity_type', entityType)
+      .eq('entity_id', entityId)
+      .eq('user_id', userId)
+      .select('id'), 'purge revisions');
+    return data.length;
+  }
+
+  // Mindmap operations
+  async addMindmapNode(label, metadata = {}, userId) {
+    await this.init();
+
+    return this.unwrap(await this.supabase
+      .from('mindmap_nodes')
+      .insert([{
+        user_id: userId,
+        label: label,
+        x: metadata.x || 0,
+        y: metadata.y || 0,
+        color: metadata.color || '#3B82F6',
+        size: metadata.size || 1.0,
+        metadata: metadata,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single(), 'add mindmap node');
+  }
+
+  async addMindmapEdge(sourceNodeId, targetNodeId, metadata = {}, userId) {
+    await this.init();
+
+    return this.unwrap(await this.supabase
+      .from('mindmap_edges')
+      .insert([{
+        user_id: userId,
+        source_node_id: sourceNodeId,
+        target_node_id: targetNodeId,
+        type: metadata.type || 'related',
+        label: metadata.label || null,
+        weight: metadata.weight || 1.0,
+        metadata: metadata,
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      }])
+      .select()
+      .single(), 'add mindmap edge');
+  }
+
+  async getUserMindmap(userId) {
+    await this.init();
+
+    const nodes = this.unwrap(await this.supabase
+      .from('mindmap_nodes')
+      .select('*')
+      .eq('user_id', userId), 'fetch mindmap nodes');
+    const edges = this.unwrap(await this.supabase
+      .from('mindmap_edges')
+      .select('*')
+      .eq('user_id', userId), 'fetch mindmap edges');
+
+    return { nodes, edges };
+  }
+
+  async updateMindmapNode(nodeId, updates, userId) {
+    await this.init();
+
+    const { id, user_id, created_at, ...columns } = updates;
+    const data = this.unwrap(await this.supabase
+      .from('mindmap_nodes')
+      .update({ ...columns, updated_at: new Date().toISOString() })
+      .eq('id', nodeId)
+      .eq('user_id', userId)
+      .select(), 'update mindmap node');
+
+    if (data.length === 0) {
+      throw new Error('Mindmap node not found');
+    }
+
+    return data[0];
+  }
+
+  // The edges' foreign keys cascade, so they are read first to be returned
+  async deleteMindmapNode(nodeId, userId) {
+    await this.init();
+
+    const edges = this.unwrap(await this.supabase
+      .from('mindmap_edges')
+      .select('*')
+      .eq('user_id', userId)
+      .or(`source_node_id.eq.${nodeId},target_node_id.eq.${nodeId}`), 'fetch mindmap edges');
+    const data = this.unwrap(await this.supabase
+      .from('mindmap_nodes')
+      .delete()
+      .eq('id', nodeId)
+      .eq('user_id', userId)
+      .select('id'), 'delete mindmap node');
+
+    if (data.length === 0) {
+      throw new Error('Mindmap node not found');
+    }
+
+    return edges;
+  }
+
+  async updateMindmapEdge(edgeId, updates, userId) {
+    await this.init();
+
+    const { id, user_id, created_at, ...columns } = updates;
+    const data = this.unwrap(await this.supabase
+      .from('mindmap_edges')
+      .update({ ...columns, updated_at: new Date().toISOString() })
+      .eq('id', edgeId)
+      .eq('user_id', userId)
+      .select(), 'update mindmap edge');
+
+    if (data.length === 0) {
+      throw new Error('Mindmap edge not found');
+    }
+
+    return data[0];
+  }
+
+  async deleteMindmapEdge(edgeId, userId) {
+    await this.init();
+
+    const data = this.unwrap(await this.supabase
+      .from('mindmap_edges')
+      .delete()
+      .eq('id', edgeId)
+      .eq('user_id', userId)
+      .select('id'), 'delete mindmap edge');
+
+    if (data.length === 0) {
+      throw new Error('Mindmap edge not found');
+    }
+
+    return true;
+  }
+
+  // Concept mastery
+  async getConceptMastery(userId) {
+    await this.init();
+
+    return this.unwrap(await this.supabase
+      .from('concept_mastery')
+      .select('*')
+      .eq('user_id', userId), 'fetch concept mastery');
+  }
+
+  async saveConceptMastery(record) {
+    await this.init();
+
+    return this.unwrap(await this.supabase
+      .from('concept_mastery')
+      .upsert(record)
+      .select()
+      .single(), 'save concept mastery');
+  }
+
+  // Flashcards
+  async getFlashcards(userId) {
+    await this.init();
+
+    const data = this.unwrap(await this.supabase
+      .from('flashcards')
+      .select('*')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true }), 'fetch flashcards');
+    return data.map(row => this.rowToFlashcard(row));
+  }
+
+  async saveFlashcards(cards) {
+    await this.init();
+
+    if (cards.length > 0) {
+      this.unwrap(await this.supabase.from('flashcards').upsert(cards), 'save flashcards');
+    }
+    return cards;
+  }
+
+  async deleteFlashcard(cardId, userId) {
+    await this.init();
+
+    const data = this.unwrap(await this.supabase
+      .from('flashcards')
+      .delete()
+      .eq('id', cardId)
+      .eq('user_id', userId)
+      .select('id'), 'delete flashcard');
+
+    if (data.length === 0) {
+      throw new Error('Flashcard not found');
+    }
+
+    return true;
+  }
+
+  async getFlashcardReviews(userId, cardId = null) {
+    await this.init();
+
+    let query = this.supabase
+      .from('flashcard_reviews')
+      .select('*')
+      .eq('user_id', userId);
+    if (cardId !== null) {
+      query = query.eq('card_id', cardId);
+    }
+
+    const data = this.unwrap(await query.order('reviewed_at', { ascending: true }), 'fetch flashcard reviews');
+    return data.map(row => this.rowToReview(row));
+  }
+
+  async addFlashcardReview(review) {
+    await this.init();
+
+    const data = this.unwrap(await this.supabase
+      .from('flashcard_reviews')
+      .insert([review])
+      .select()
+      .single(), 'save flashcard review');
+    return this.rowToReview(data);
+  }
+
+  // Re-embedding
+  async getStaleEmbeddings(model, { afterId = null, limit = 100, userId = null } = {}) {
+    await this.init();
+
+    let query = this.staleQuery(this.supabase.from('memories').select('*'), model, userId)
+      .order('id', { ascending: true })
+      .limit(limit);
+    if (afterId !== null) {
+      query = query.gt('id', afterId);
+    }
+
+    const data = this.unwrap(await query, 'fetch stale embeddings');
+    return data.map(row => this.rowToMemory(row));
+  }
+
+  async countStaleEmbeddings(model, userId = null) {
+    await this.init();
+
+    const result = await this.staleQuery(this.supabase.from('memories').select('id', { count: 'exact', head: true }), model, userId);
+    this.unwrap(result, 'count stale embeddings');
+    return result.count || 0;
+  }
+
+  staleQuery(query, model, userId) {
+    query = query.or(`embedding_model.is.null,embedding_model.neq.${model}`);
+    return userId ? query.eq('user_id', userId) : query;
+  }
+
+  // Statistics
+  async getMemoryStats(userId) {
+    await this.init();
+
+    const data = this.unwrap(await this.supabase
+      .from('memory_stats')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle(), 'fetch memory stats');
+
+    return {
+      total_memories: data ? data.total_memories : 0,
+      categories_count: data ? data.categories_count : 0,
+      last_memory_date: data && data.last_memory_date ? new Date(data.last_memory_date).getTime() : null,
+      first_memory_date: data && data.first_memory_date ? new Date(data.first_memory_date).getTime() : null
+    };
+  }
+
+  async getUserIds() {
+    await this.init();
+
+    const data = this.unwrap(await this.supabase
+      .from('memory_stats')
+      .select('user_id')
+      .order('user_id'), 'list users');
+    return data.map(row => row.user_id);
+  }
+
+  // Backup and restore
+  // Exports use the same layout as LocalMemoryStorage
+  async exportData() {
+    await this.init();
+
+    const select = async table => this.unwrap(await this.supabase.from(table).select('*'), `export ${table}`);
+    return {
+      memories: (await select('memories')).map(row => this.rowToMemory(row)),
+      notes: await select('notes'),
+      mindmap: {
+        nodes: await select('mindmap_nodes'),
+        edges: await select('mindmap_edges')
+      },
+      revisions: await select('revisions'),
+      mastery: await select('concept_mastery'),
+      flashcards: {
+        cards: (await select('flashcards')).map(row => this.rowToFlashcard(row)),
+        reviews: (await select('flashcard_reviews')).map(row => this.rowToReview(row))
+      }
+    };
+  }
+
+  async importData(data, { userId = null } = {}) {
+    await this.init();
+
+    const mindmap = data.mindmap || { nodes: [], edges: [] };
+    const incoming = records => (records || []).filter(r => userId === null || r.user_id === userId);
+
+    // Edges reference nodes, so clear them first and insert them last.
+    // Backups from before revision history, concept mastery or flashcards
+    // leave the current ones alone.
+    const tables = [
+      'mindmap_edges', 'mindmap_nodes', 'notes', 'memories',
+      ...(data.revisions ? ['revisions'] : []),
+      ...(data.mastery ? ['concept_mastery'] : []),
+      ...(data.flashcards ? ['flashcards', 'flashcard_reviews'] : [])
+    ];
+    for (const table of tables) {
+      const query = this.supabase.from(table).delete();
+      this.unwrap(await (userId === null ? query.neq('id', NIL_UUID) : query.eq('user_id', userId)), `clear ${table}`);
+    }
+
+    const insert = async (table, rows) => {
+      if (rows.length > 0) {
+        this.unwrap(await this.supabase.from(table).insert(rows), `import ${table}`);
+      }
+    };
+    await insert('memories', incoming(data.memories).map(({ similarity, ...memory }) => memory));
+    await insert('notes', incoming(data.notes));
+    await insert('mindmap_nodes', incoming(mindmap.nodes));
+    await insert('mindmap_edges', incoming(mindmap.edges));
+    await insert('revisions', incoming(data.revisions));
+    await insert('concept_mastery', incoming(data.mastery));
+    if (data.flashcards) {
+      await insert('flashcards', incoming(data.flashcards.cards));
+      await insert('flashcard_reviews', incoming(data.flashcards.reviews));
+    }
+
+    console.log(`[Supabase Storage] Imported ${userId ? `data for user: ${userId}` : 'all data'}`);
+    return true;
+  }
+
+  // Helpers
+  unwrap({ data, error }, action) {
+    if (error) {
+      console.error(`[Supabase Storage] Failed to ${action}:`, error);
+      throw new Error(`Supabase error: failed to ${action}`);
+    }
+    return data;
+  }
+
+  async exists(table, id) {
+    const data = this.unwrap(await this.supabase.from(table).select('id').eq('id', id), `look up ${table}`);
+    return data.length > 0;
+  }
+
+  // pgvector columns come back as '[0.1,0.2,...]' strings
+  rowToMemory(row) {
+    const embedding = typeof row.embedding === 'string' ? JSON.parse(row.embedding) : row.embedding;
+    return { ...row, embedding: embedding || null };
+  }
+
+  // Timestamps come back as '2024-01-01T00:00:00+00:00'; Flashcards compares
+  // due dates as strings, so they are put back in toISOString()'s format
+  rowToFlashcard(row) {
+    const iso = value => (value ? new Date(value).toISOString() : null);
+    return {
+      ...row,
+      due_at: iso(row.due_at),
+      last_reviewed_at: iso(row.last_reviewed_at),
+      created_at: iso(row.created_at),
+      updated_at: iso(row.updated_at)
+    };
+  }
+
+  rowToReview(row) {
+    return { ...row, reviewed_at: new Date(row.reviewed_at).toISOString() };
+  }
+}
+
+module.exports = SupabaseMemoryStorage;
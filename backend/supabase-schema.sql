@@ -9,33 +9,47 @@ CREATE TABLE IF NOT EXISTS memories (
     id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
     user_id TEXT NOT NULL,
     content TEXT NOT NULL,
-    embedding vector(1536), -- OpenAI text-embedding-3-small dimension
+    embedding vector, -- Any dimension; see embedding_model and embedding_dimensions
+    embedding_model TEXT, -- e.g. openai:text-embedding-3-small or local:hashed-tfidf-1536
+    embedding_dimensions INT,
     metadata JSONB DEFAULT '{}',
+    archived_at TIMESTAMP WITH TIME ZONE, -- Set when moved to the archive tier
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Create indexes for better performance
 CREATE INDEX IF NOT EXISTS idx_memories_user_id ON memories(user_id);
+CREATE INDEX IF NOT EXISTS idx_memories_active ON memories(user_id) WHERE archived_at IS NULL;
 CREATE INDEX IF NOT EXISTS idx_memories_created_at ON memories(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_memories_metadata_category ON memories USING GIN ((metadata->>'category'));
 
--- Create vector similarity index using HNSW (Hierarchical Navigable Small World)
-CREATE INDEX IF NOT EXISTS idx_memories_embedding ON memories 
-USING hnsw (embedding vector_cosine_ops) 
-WITH (m = 16, ef_construction = 64);
+-- Create vector similarity index using HNSW (Hierarchical Navigable Small World).
+-- HNSW needs a fixed dimension, so index each dimension in use separately
+-- (add another like this one when switching to a model of a new size)
+CREATE INDEX IF NOT EXISTS idx_memories_embedding_1536 ON memories 
+USING hnsw ((embedding::vector(1536)) vector_cosine_ops) 
+WITH (m = 16, ef_construction = 64)
+WHERE embedding_dimensions = 1536;
+CREATE INDEX IF NOT EXISTS idx_memories_embedding_model ON memories(embedding_model);
 
--- Function to search memories by vector similarity
+-- Function to search memories by vector similarity. With match_model, only
+-- vectors from that embedding model are compared; vectors of another size
+-- are always skipped. Archived memories are skipped unless include_archived.
 CREATE OR REPLACE FUNCTION search_memories(
-    query_embedding vector(1536),
+    query_embedding vector,
     match_user_id text,
     match_threshold float DEFAULT 0.7,
-    match_count int DEFAULT 5
+    match_count int DEFAULT 5,
+    match_model text DEFAULT NULL,
+    include_archived boolean DEFAULT false
 )
 RETURNS TABLE (
     id uuid,
     content text,
     metadata jsonb,
+    embedding_model text,
+    archived_at timestamp with time zone,
     created_at timestamp with time zone,
     similarity float
 )
@@ -47,10 +61,15 @@ BEGIN
         memories.id,
         memories.content,
         memories.metadata,
+        memories.embedding_model,
+        memories.archived_at,
         memories.created_at,
         (1 - (memories.embedding <=> query_embedding)) as similarity
     FROM memories
     WHERE memories.user_id = match_user_id
+        AND memories.embedding_dimensions = vector_dims(query_embedding)
+        AND (match_model IS NULL OR memories.embedding_model = match_model)
+        AND (include_archived OR memories.archived_at IS NULL)
         AND (1 - (memories.embedding <=> query_embedding)) > match_threshold
     ORDER BY memories.embedding <=> query_embedding
     LIMIT match_count;
@@ -148,6 +167,22 @@ CREATE INDEX IF NOT EXISTS idx_notes_user_id ON notes(user_id);
 CREATE INDEX IF NOT EXISTS idx_notes_created_at ON notes(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_notes_url ON notes(url);
 
+-- Immutable snapshots of memories and notes, numbered per entity. An entity
+-- whose latest revision is a 'delete' is in the trash and can be restored.
+CREATE TABLE IF NOT EXISTS revisions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    entity_type TEXT NOT NULL CHECK (entity_type IN ('memory', 'note')),
+    entity_id UUID NOT NULL,
+    revision INT NOT NULL,
+    action TEXT NOT NULL,
+    snapshot JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (entity_type, entity_id, revision)
+);
+
+CREATE INDEX IF NOT EXISTS idx_revisions_user_action ON revisions(user_id, action);
+
 -- Create trigger for notes updated_at
 CREATE TRIGGER update_notes_updated_at 
     BEFORE UPDATE ON notes 
@@ -173,6 +208,7 @@ CREATE TABLE IF NOT EXISTS mindmap_edges (
     user_id TEXT NOT NULL,
     source_node_id UUID REFERENCES mindmap_nodes(id) ON DELETE CASCADE,
     target_node_id UUID REFERENCES mindmap_nodes(id) ON DELETE CASCADE,
+    type TEXT NOT NULL DEFAULT 'related' CHECK (type IN ('prerequisite', 'related', 'example-of')),
     label TEXT,
     weight FLOAT DEFAULT 1.0,
     metadata JSONB DEFAULT '{}',
@@ -197,11 +233,67 @@ CREATE TRIGGER update_mindmap_edges_updated_at
     FOR EACH ROW 
     EXECUTE FUNCTION update_updated_at_column();
 
+-- How well each user knows each concept of their mind map, one estimate per
+-- concept key (see concept-mastery.js)
+CREATE TABLE IF NOT EXISTS concept_mastery (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    concept_key TEXT NOT NULL,
+    label TEXT NOT NULL,
+    p_known FLOAT NOT NULL CHECK (p_known >= 0 AND p_known <= 1),
+    level TEXT NOT NULL,
+    observations INT NOT NULL DEFAULT 0,
+    history JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_concept_mastery_user_key ON concept_mastery(user_id, concept_key);
+
+-- Spaced-repetition flashcards and every review of them (see flashcards.js).
+-- Reviews outlive their card, so card_id is not a foreign key.
+CREATE TABLE IF NOT EXISTS flashcards (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    front TEXT NOT NULL,
+    back TEXT NOT NULL,
+    origin TEXT NOT NULL DEFAULT 'manual',
+    source JSONB,
+    concept_key TEXT,
+    concept TEXT,
+    ease FLOAT NOT NULL,
+    interval_days INT NOT NULL DEFAULT 0,
+    repetitions INT NOT NULL DEFAULT 0,
+    lapses INT NOT NULL DEFAULT 0,
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    last_reviewed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_flashcards_user_due ON flashcards(user_id, due_at);
+
+CREATE TABLE IF NOT EXISTS flashcard_reviews (
+    id TEXT PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    card_id TEXT NOT NULL,
+    grade INT NOT NULL CHECK (grade >= 0 AND grade <= 5),
+    interval_days INT NOT NULL,
+    ease FLOAT NOT NULL,
+    reviewed_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_flashcard_reviews_user_card ON flashcard_reviews(user_id, card_id);
+
 -- Row Level Security (RLS) policies for data isolation
 ALTER TABLE memories ENABLE ROW LEVEL SECURITY;
 ALTER TABLE notes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE mindmap_nodes ENABLE ROW LEVEL SECURITY;
 ALTER TABLE mindmap_edges ENABLE ROW LEVEL SECURITY;
+ALTER TABLE revisions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE concept_mastery ENABLE ROW LEVEL SECURITY;
+ALTER TABLE flashcards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE flashcard_reviews ENABLE ROW LEVEL SECURITY;
 
 -- Policies to ensure users can only access their own data
 CREATE POLICY "Users can only access their own memories" ON memories
@@ -216,6 +308,18 @@ CREATE POLICY "Users can only access their own mindmap nodes" ON mindmap_nodes
 CREATE POLICY "Users can only access their own mindmap edges" ON mindmap_edges
     FOR ALL USING (auth.uid()::text = user_id);
 
+CREATE POLICY "Users can only access their own revisions" ON revisions
+    FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can only access their own concept mastery" ON concept_mastery
+    FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can only access their own flashcards" ON flashcards
+    FOR ALL USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can only access their own flashcard reviews" ON flashcard_reviews
+    FOR ALL USING (auth.uid()::text = user_id);
+
 -- Create a view for memory statistics
 CREATE OR REPLACE VIEW memory_stats AS
 SELECT 
@@ -227,6 +331,40 @@ SELECT
 FROM memories
 GROUP BY user_id;
 
+-- Upgrading a database created before embedding models were recorded:
+-- run these statements once, then re-embed (POST /api/admin/reembed or
+-- npm run reembed) so every vector is tagged with its model.
+--
+-- DROP INDEX IF EXISTS idx_memories_embedding;
+-- DROP FUNCTION IF EXISTS search_memories(vector, text, float, int);
+-- ALTER TABLE memories ALTER COLUMN embedding TYPE vector;
+-- ALTER TABLE memories ADD COLUMN IF NOT EXISTS embedding_model TEXT;
+-- ALTER TABLE memories ADD COLUMN IF NOT EXISTS embedding_dimensions INT;
+-- UPDATE memories SET embedding_dimensions = vector_dims(embedding) WHERE embedding IS NOT NULL;
+-- ...then re-run the CREATE INDEX and CREATE FUNCTION search_memories statements above.
+
+-- Upgrading a database created before the archive tier:
+--
+-- DROP FUNCTION IF EXISTS search_memories(vector, text, float, int, text);
+-- ALTER TABLE memories ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP WITH TIME ZONE;
+-- ...then re-run CREATE INDEX idx_memories_active and CREATE FUNCTION search_memories above.
+
+-- Upgrading a database created before revision history: run the CREATE TABLE
+-- revisions, CREATE INDEX idx_revisions_user_action, ENABLE ROW LEVEL SECURITY
+-- and CREATE POLICY statements for revisions above.
+
+-- Upgrading a database created before concept mastery was stored in it: run
+-- the CREATE TABLE concept_mastery, CREATE INDEX idx_concept_mastery_user_key,
+-- ENABLE ROW LEVEL SECURITY and CREATE POLICY statements for concept_mastery
+-- above, then restore a backup made before the upgrade to bring in the
+-- estimates that were kept in mastery.json.
+
+-- Upgrading a database created before flashcards were stored in it: run the
+-- CREATE TABLE, CREATE INDEX, ENABLE ROW LEVEL SECURITY and CREATE POLICY
+-- statements for flashcards and flashcard_reviews above, then restore a
+-- backup made before the upgrade to bring in the cards and reviews that were
+-- kept in flashcards.json.
+
 -- Grant permissions (adjust based on your Supabase setup)
 -- GRANT ALL ON ALL TABLES IN SCHEMA public TO anon, authenticated;
 -- GRANT ALL ON ALL FUNCTIONS IN SCHEMA public TO anon, authenticated;
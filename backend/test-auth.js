@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+// test-auth.js - Accounts, session and API tokens, and per-user scoping of the API
+
+const assert = require('assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { AuthService } = require('./auth-service');
+const { createAPI } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const PASSWORD = 'correct horse battery';
+
+// Runs the API on a free port for the duration of `fn`
+async function withServer(api, fn) {
+  const server = await new Promise(resolve => {
+    const listening = api.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = async (method, route, { token, body } = {}) => {
+    const res = await fetch(base + route, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  try {
+    await fn(request);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+async function expectError(promise, message) {
+  await assert.rejects(promise, error => error.message === message);
+}
+
+const checks = [
+  {
+    name: 'Registration validates accounts, and only ADMIN_USERNAME or grant-admin makes an admin',
+    fn: async () => {
+      const auth = new AuthService({ secret: 'test-secret' });
+      const { user: device } = await auth.registerDevice();
+      const first = await auth.register('ada', PASSWORD);
+      const user = await auth.register('grace', PASSWORD);
+      assert.deepStrictEqual([device.role, first.role, user.role], ['user', 'user', 'user'], 'being first makes no one an admin');
+
+      const admin = await auth.setRole('ADA', 'admin');
+      assert.strictEqual(admin, first);
+      assert.strictEqual(admin.role, 'admin');
+      await expectError(auth.setRole(device.username, 'admin'), 'Device accounts cannot be admins');
+      await expectError(auth.setRole('linus', 'admin'), 'User not found');
+
+      // ADMIN_USERNAME names the admin
+      const named = new AuthService({ secret: 'test-secret', adminUsername: 'Grace' });
+      assert.deepStrictEqual([(await named.register('ada', PASSWORD)).role, (await named.register('grace', PASSWORD)).role], ['user', 'admin']);
+      assert.ok(admin.id.startsWith('user_'));
+      assert.ok(!admin.password_hash.includes(PASSWORD));
+
+      // Registrations racing for one name: only one gets it, checked after
+      // the password is hashed
+      const racing = new AuthService({ secret: 'test-secret', adminUsername: 'linus' });
+      const results = await Promise.allSettled([racing.register('linus', PASSWORD), racing.register('Linus', PASSWORD)]);
+      assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+      assert.strictEqual(results.find(r => r.status === 'rejected').reason.message, 'Username already taken');
+      assert.strictEqual(racing.users.filter(u => u.role === 'admin').length, 1);
+
+      await expectError(auth.register('ADA', PASSWORD), 'Username already taken');
+      await assert.rejects(auth.register('a', PASSWORD), /^Error: Username must/);
+      await assert.rejects(auth.register('linus', 'short'), /^Error: Password must/);
+
+      const closed = new AuthService({ secret: 'test-secret', allowRegistration: false });
+      await expectError(closed.register('ada', PASSWORD), 'Registration is disabled');
+      await expectError(closed.registerDevice(), 'Registration is disabled');
+    }
+  },
+  {
+    name: 'Session tokens verify until they expire, are tampered with or the user logs out',
+    fn: async () => {
+      const auth = new AuthService({ secret: 'test-secret', sessionTtlHours: 1 });
+      const user = await auth.register('ada', PASSWORD);
+
+      await expectError(auth.login('ada', 'wrong password'), 'Invalid username or password');
+      await expectError(auth.login('nobody', PASSWORD), 'Invalid username or password');
+
+      const { token, expiresAt } = await auth.login('ADA', PASSWORD);
+      assert.strictEqual((await auth.verify(token)).id, user.id);
+      assert.ok(new Date(expiresAt) > new Date());
+
+      const later = Date.now() + 2 * 60 * 60 * 1000;
+      await expectError(auth.verify(token, later), 'Invalid token');
+
+      const [payload, signature] = token.split('.');
+      const forged = Buffer.from(JSON.stringify({ sub: 'user_other', iat: Date.now(), exp: later })).toString('base64url');
+      await expectError(auth.verify(`${forged}.${signature}`), 'Invalid token');
+      await expectError(auth.verify(`${payload}.${signature}x`), 'Invalid token');
+      await expectError(new AuthService({ secret: 'other-secret' }).verify(token), 'Invalid token');
+
+      await auth.logout(user.id);
+      await expectError(auth.verify(token), 'Invalid token');
+      const { token: fresh } = await auth.login('ada', PASSWORD);
+      assert.strictEqual((await auth.verify(fresh)).id, user.id);
+    }
+  },
+  {
+    name: 'API tokens are stored hashed, listed without the secret and can be revoked',
+    fn: async () => {
+      const auth = new AuthService({ secret: 'test-secret' });
+      const { user, token: device } = await auth.registerDevice('extension');
+      assert.ok(user.username.startsWith('device_'));
+      assert.strictEqual(user.password_hash, null);
+      assert.strictEqual((await auth.verify(device.token)).id, user.id);
+
+      const second = await auth.createApiToken(user.id, 'script');
+      assert.ok(second.token.startsWith('prisma_'));
+      assert.ok(!JSON.stringify(user.api_tokens).includes(second.token));
+
+      const listed = auth.listApiTokens(user.id);
+      assert.deepStrictEqual(listed.map(t => t.name), ['extension', 'script']);
+      assert.ok(listed.every(t => t.token === undefined && t.hash === undefined));
+      assert.ok(listed[0].last_used_at);
+
+      await auth.revokeApiToken(user.id, second.id);
+      await expectError(auth.verify(second.token), 'Invalid token');
+      await expectError(auth.revokeApiToken(user.id, second.id), 'Token not found');
+      await expectError(auth.verify('prisma_unknown'), 'Invalid token');
+    }
+  },
+  {
+    name: 'Accounts and the generated secret persist in auth.json',
+    fn: async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prisma-auth-'));
+      try {
+        const file = path.join(dir, 'auth.json');
+        const first = new AuthService({ file, secret: null });
+        await first.register('ada', PASSWORD);
+        const { token } = await first.login('ada', PASSWORD);
+        const { token: apiToken } = await first.registerDevice();
+
+        const second = new AuthService({ file, secret: null });
+        assert.strictEqual((await second.verify(token)).username, 'ada');
+        assert.ok((await second.verify(apiToken.token)).username.startsWith('device_'));
+
+        const stored = await fs.readFile(file, 'utf8');
+        assert.ok(!stored.includes(PASSWORD) && !stored.includes(apiToken.token));
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'The API requires a bearer token and scopes every route to its user',
+    fn: async () => {
+      const api = createAPI({ adminUsername: 'ada' });
+      await withServer(api, async request => {
+        assert.strictEqual((await request('POST', '/api/memory/add', { body: { content: 'anonymous' } })).status, 401);
+        assert.strictEqual((await request('GET', '/api/auth/me', { token: 'not-a-token' })).status, 401);
+
+        // A device account made before anyone registers is no admin
+        const first = await request('POST', '/api/auth/device', { body: { name: 'extension' } });
+        assert.strictEqual(first.body.user.role, 'user');
+        assert.strictEqual((await request('GET', '/api/backups', { token: first.body.token })).status, 403);
+
+        const ada = await request('POST', '/api/auth/register', { body: { username: 'ada', password: PASSWORD } });
+        assert.strictEqual(ada.status, 201);
+        assert.strictEqual(ada.body.user.role, 'admin');
+        assert.strictEqual(ada.body.user.password_hash, undefined);
+        assert.strictEqual((await request('POST', '/api/auth/register', { body: { username: 'ada', password: PASSWORD } })).status, 409);
+        assert.strictEqual((await request('POST', '/api/auth/login', { body: { username: 'ada', password: 'nope' } })).status, 401);
+
+        const device = await request('POST', '/api/auth/device', { body: { name: 'extension' } });
+        assert.strictEqual(device.status, 201);
+        assert.strictEqual(device.body.user.role, 'user');
+
+        // A userId in the body can't write into someone else's memories
+        const added = await request('POST', '/api/memory/add', {
+          token: device.body.token,
+          body: { content: 'Device memory', metadata: { userId: ada.body.user.id } }
+        });
+        assert.strictEqual(added.status, 200);
+        assert.strictEqual((await api.storage.getUserMemories(device.body.user.id)).total, 1);
+        assert.strictEqual((await api.storage.getUserMemories(ada.body.user.id)).total, 0);
+
+        const mine = await request('GET', `/api/memory/user/${device.body.user.id}`, { token: device.body.token });
+        assert.strictEqual(mine.body.total, 1);
+        assert.strictEqual((await request('GET', `/api/memory/user/${ada.body.user.id}`, { token: device.body.token })).status, 403);
+        assert.strictEqual((await request('GET', `/api/memory/user/${ada.body.user.id}`, { token: ada.body.token })).body.total, 0);
+        assert.strictEqual((await request('DELETE', `/api/memory/${added.body.memory.id}`, { token: ada.body.token })).status, 404);
+
+        assert.strictEqual((await request('GET', '/api/admin/reembed', { token: device.body.token })).status, 403);
+        assert.strictEqual((await request('GET', '/api/admin/reembed', { token: ada.body.token })).status, 200);
+
+        const me = await request('GET', '/api/auth/me', { token: device.body.token });
+        assert.strictEqual(me.body.user.id, device.body.user.id);
+
+        const created = await request('POST', '/api/auth/tokens', { token: ada.body.token, body: { name: 'cli' } });
+        assert.strictEqual(created.status, 201);
+        assert.strictEqual((await request('GET', '/api/auth/me', { token: created.body.token.token })).body.user.username, 'ada');
+        assert.strictEqual((await request('DELETE', `/api/auth/tokens/${created.body.token.id}`, { token: ada.body.token })).status, 200);
+        assert.strictEqual((await request('GET', '/api/auth/me', { token: created.body.token.token })).status, 401);
+
+        assert.strictEqual((await request('POST', '/api/auth/logout', { token: ada.body.token })).status, 200);
+        assert.strictEqual((await request('GET', '/api/auth/me', { token: ada.body.token })).status, 401);
+      });
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Authentication Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,301 @@
+#!/usr/bin/env node
+// test-backups.js - Backup ids, validation, restore, retention and the backup routes
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { BackupManager, validateBackup, selectRetained } = require('./backup-manager');
+const LocalMemoryStorage = require('./local-memory-storage');
+const InMemoryStorage = require('./in-memory-storage');
+const { createAPI, caller } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const ADMIN = 'backup_admin';
+const NO_RETENTION = { last: 0, daily: 0, weekly: 0 };
+
+function freshDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'prisma-backups-'));
+}
+
+// Backups made through the API are never pruned here
+function backupAPI() {
+  const api = createAPI();
+  api.backups.retention = NO_RETENTION;
+  return api;
+}
+
+const call = caller({ id: ADMIN, role: 'admin' });
+
+async function expectError(promise, message) {
+  await assert.rejects(promise, error => error.message === message);
+}
+
+const checks = [
+  {
+    name: 'Backups are files in the data directory addressed only by id',
+    fn: async () => {
+      const dataDir = freshDir();
+      try {
+        const storage = new LocalMemoryStorage(dataDir);
+        await storage.addMemory('backed up', {}, 'alice');
+        fs.writeFileSync(path.join(dataDir, 'secrets.json'), '{"memories":[],"notes":[]}');
+
+        const backups = new BackupManager({ storage, dir: dataDir, retention: NO_RETENTION });
+        const first = await backups.create();
+        const second = await backups.create();
+
+        assert.match(first.id, /^backup_\d+$/);
+        assert.notStrictEqual(first.id, second.id);
+        assert.ok(fs.existsSync(path.join(dataDir, `${first.id}.json`)));
+        assert.ok(first.checksum.startsWith('sha256:'));
+        assert.deepStrictEqual(first.counts, { memories: 1, notes: 0, nodes: 0, edges: 0, revisions: 0, mastery: 0, cards: 0, reviews: 0 });
+        assert.deepStrictEqual((await backups.list()).map(b => b.id), [second.id, first.id]);
+
+        for (const id of ['secrets', '../secrets', `${dataDir}/secrets`, 'backup_1/../../secrets', null]) {
+          await expectError(backups.read(id), 'Backup not found');
+          await expectError(backups.restore(id), 'Backup not found');
+        }
+
+        await backups.delete(first.id);
+        assert.ok(!fs.existsSync(path.join(dataDir, `${first.id}.json`)));
+        await expectError(backups.delete(first.id), 'Backup not found');
+      } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'Damaged backups are listed as invalid and refused on restore',
+    fn: async () => {
+      const dataDir = freshDir();
+      try {
+        const storage = new LocalMemoryStorage(dataDir);
+        await storage.addMemory('original', {}, 'alice');
+        const backups = new BackupManager({ storage, dir: dataDir, retention: NO_RETENTION });
+        const { id } = await backups.create();
+
+        const file = path.join(dataDir, `${id}.json`);
+        const tampered = JSON.parse(fs.readFileSync(file, 'utf8'));
+        tampered.memories[0].content = 'tampered';
+        fs.writeFileSync(file, JSON.stringify(tampered));
+
+        const summary = await backups.get(id);
+        assert.strictEqual(summary.valid, false);
+        assert.strictEqual(summary.error, 'Invalid backup: checksum does not match its contents');
+        await expectError(backups.restore(id), 'Invalid backup: checksum does not match its contents');
+        assert.strictEqual((await storage.getUserMemories('alice')).memories[0].content, 'original');
+
+        fs.writeFileSync(file, '{"memories": [');
+        await expectError(backups.restore(id), 'Invalid backup: not valid JSON');
+      } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'Validation checks the layout, and accepts backups made before checksums',
+    fn: async () => {
+      const legacy = { timestamp: new Date().toISOString(), memories: [{ id: 'm1', user_id: 'u', content: 'x' }], notes: [], mindmap: { nodes: [], edges: [] } };
+      validateBackup(legacy);
+
+      const invalid = (backup, reason) => assert.throws(() => validateBackup(backup), { message: `Invalid backup: ${reason}` });
+      invalid([], 'not an object');
+      invalid({ ...legacy, memories: {} }, 'memories must be an array');
+      invalid({ ...legacy, notes: [{ id: 'n1' }] }, 'notes[0].user_id must be a string');
+      invalid({ ...legacy, memories: [legacy.memories[0], legacy.memories[0]] }, 'memories has duplicate id m1');
+      invalid({ ...legacy, revisions: [{ id: 'r', user_id: 'u', entity_id: 'm1', entity_type: 'memory', revision: 0 }] }, 'revisions[0].revision must be a positive integer');
+      invalid({ ...legacy, version: 99 }, 'version 99 is newer than this server supports');
+    }
+  },
+  {
+    name: 'Restores everything or one user, after backing up the current state',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      const backups = new BackupManager({ storage, retention: NO_RETENTION });
+      await storage.addMemory('alice before', {}, 'alice');
+      await storage.addMemory('bob before', {}, 'bob');
+      const { id } = await backups.create();
+
+      await storage.addMemory('alice after', {}, 'alice');
+      await storage.addMemory('bob after', {}, 'bob');
+
+      const result = await backups.restore(id, { userId: 'alice' });
+      assert.strictEqual(result.backup.id, id);
+      assert.deepStrictEqual((await storage.getUserMemories('alice')).memories.map(m => m.content), ['alice before']);
+      assert.strictEqual((await storage.getUserMemories('bob')).total, 2);
+      await expectError(backups.restore(id, { userId: 'carol' }), 'User not found in backup');
+
+      // The automatic backup taken before the restore undoes it
+      await backups.restore(result.safetyBackup);
+      assert.strictEqual((await storage.getUserMemories('alice')).total, 2);
+      assert.strictEqual((await backups.get(result.safetyBackup)).kind, 'pre-restore');
+
+      await backups.restore(id);
+      assert.deepStrictEqual((await storage.getUserMemories('bob')).memories.map(m => m.content), ['bob before']);
+    }
+  },
+  {
+    name: 'Retention keeps the newest backups and the newest of each day and week',
+    fn: async () => {
+      const DAY = 24 * 60 * 60 * 1000;
+      // Monday 2026-03-02, midday; two backups a day for five weeks
+      const start = Date.UTC(2026, 2, 2, 12);
+      const backups = [];
+      for (let day = 0; day < 35; day++) {
+        backups.push({ id: `d${day}-am`, created_at: new Date(start + day * DAY - 2 * 60 * 60 * 1000) });
+        backups.push({ id: `d${day}-pm`, created_at: new Date(start + day * DAY) });
+      }
+
+      const keep = selectRetained(backups, { last: 3, daily: 2, weekly: 3 });
+      // Newest three, the newest of the last two days, and the newest of the
+      // last three weeks (each ending on a Sunday)
+      assert.deepStrictEqual([...keep].sort(), ['d20-pm', 'd27-pm', 'd33-pm', 'd34-am', 'd34-pm'].sort());
+      assert.strictEqual(selectRetained(backups, NO_RETENTION).size, 0);
+    }
+  },
+  {
+    name: 'Creating a backup prunes the ones outside the retention policy',
+    fn: async () => {
+      const backups = new BackupManager({ storage: new InMemoryStorage(), retention: { last: 2, daily: 0, weekly: 0 } });
+      const created = [];
+      for (let i = 0; i < 4; i++) {
+        created.push((await backups.create()).id);
+      }
+      assert.deepStrictEqual((await backups.list()).map(b => b.id), created.slice(2).reverse());
+    }
+  },
+  {
+    name: 'Backups carry concept mastery, restored with everything or one user',
+    fn: async () => {
+      const api = backupAPI();
+      const limits = { key: 'limit', label: 'Limits' };
+      await api.mastery.record(ADMIN, limits, { source: 'quiz', correct: true });
+      await api.mastery.record('bob', limits, { source: 'quiz', correct: true });
+      const { id } = await api.backups.create();
+      assert.strictEqual((await api.backups.get(id)).counts.mastery, 2);
+
+      await api.mastery.record(ADMIN, limits, { source: 'quiz', correct: false });
+      await api.mastery.record(ADMIN, { key: 'integral', label: 'Integrals' }, { source: 'self-rating', rating: 5 });
+      await api.mastery.record('bob', limits, { source: 'quiz', correct: false });
+
+      await api.backups.restore(id, { userId: ADMIN });
+      assert.deepStrictEqual((await api.mastery.list(ADMIN)).map(r => [r.label, r.observations]), [['Limits', 1]]);
+      assert.strictEqual((await api.mastery.list('bob'))[0].observations, 2, 'other users keep theirs');
+      await api.backups.restore(id);
+      assert.strictEqual((await api.mastery.list('bob'))[0].observations, 1);
+
+      const damaged = JSON.parse(await api.backups.read(id));
+      damaged.mastery[0].p_known = 'high';
+      delete damaged.checksum;
+      assert.throws(() => validateBackup(damaged), /^Error: Invalid backup: mastery\[0\]\.p_known must be a probability$/);
+    }
+  },
+  {
+    name: 'Backups carry flashcards and their reviews, restored with everything or one user',
+    fn: async () => {
+      const api = backupAPI();
+      const kept = await api.flashcards.create(ADMIN, { front: 'What is a limit?', back: 'The value approached' });
+      await api.flashcards.review(ADMIN, kept.id, 4);
+      const bobs = await api.flashcards.create('bob', { front: 'What is an integral?', back: 'An area' });
+      const { id } = await api.backups.create();
+      assert.deepStrictEqual([(await api.backups.get(id)).counts.cards, (await api.backups.get(id)).counts.reviews], [2, 1]);
+
+      await api.flashcards.delete(ADMIN, kept.id);
+      await api.flashcards.create(ADMIN, { front: 'Added after', back: 'Lost on restore' });
+      await api.flashcards.review('bob', bobs.id, 5);
+
+      await api.backups.restore(id, { userId: ADMIN });
+      assert.deepStrictEqual((await api.flashcards.list(ADMIN)).map(c => c.front), ['What is a limit?']);
+      assert.strictEqual((await api.flashcards.history(ADMIN, kept.id)).length, 1);
+      assert.strictEqual((await api.flashcards.stats(ADMIN)).streak, 1, 'the streak comes back with the reviews');
+      assert.strictEqual((await api.flashcards.stats('bob')).reviews, 1, 'other users keep theirs');
+      await api.backups.restore(id);
+      assert.strictEqual((await api.flashcards.stats('bob')).reviews, 0);
+
+      const damaged = JSON.parse(await api.backups.read(id));
+      damaged.flashcards.reviews[0].grade = 9;
+      delete damaged.checksum;
+      assert.throws(() => validateBackup(damaged), /^Error: Invalid backup: flashcards\.reviews\[0\]\.grade must be an integer from 0 to 5$/);
+    }
+  },
+  {
+    name: 'Backup routes create, list, download, restore and delete by id',
+    fn: async () => {
+      const api = backupAPI();
+      await api.addMemoryInternal('Kept in the backup', {}, ADMIN);
+
+      const created = await call(api.createBackup.bind(api));
+      assert.strictEqual(created.status, 201);
+      const { id } = created.body.backup;
+
+      const listed = await call(api.listBackups.bind(api));
+      assert.deepStrictEqual(listed.body.backups.map(b => b.id), [id]);
+      assert.deepStrictEqual(listed.body.retention, NO_RETENTION);
+
+      const download = await call(api.downloadBackup.bind(api), { params: { backupId: id } });
+      assert.strictEqual(download.headers['Content-Disposition'], `attachment; filename="${id}.json"`);
+      assert.strictEqual(JSON.parse(download.body).memories[0].content, 'Kept in the backup');
+
+      await api.addMemoryInternal('Added later', {}, ADMIN);
+      const restored = await call(api.restoreBackup.bind(api), { params: { backupId: id }, body: { userId: ADMIN } });
+      assert.strictEqual(restored.status, 200);
+      assert.ok(restored.body.safetyBackup);
+      const search = await call(api.searchMemories.bind(api), { body: { query: 'added later', mode: 'keyword' } });
+      assert.deepStrictEqual(search.body.memories, []);
+
+      assert.strictEqual((await call(api.getBackup.bind(api), { params: { backupId: '../auth' } })).status, 404);
+      assert.strictEqual((await call(api.restoreBackup.bind(api), { params: { backupId: id }, body: { userId: 7 } })).status, 400);
+      assert.strictEqual((await call(api.deleteBackup.bind(api), { params: { backupId: id } })).status, 200);
+      assert.strictEqual((await call(api.restoreBackup.bind(api), { params: { backupId: id } })).status, 404);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Backup Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
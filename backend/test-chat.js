@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+// test-chat.js - Chat sessions: history sent with each turn, citations from
+// the memories and notes retrieved for it, streamed answers, rename, fork,
+// delete and persistence in chats.json
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { ChatSessions } = require('./chat-sessions');
+const { MockLLMProvider } = require('./llm-provider');
+const { createAPI, callServer } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Runs the API on a free port for the duration of `fn`
+async function withServer(api, fn) {
+  const server = http.createServer(api.app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  try {
+    await fn(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    api.webhooks.stop();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+// The events of a text/event-stream body, as [type, data] pairs
+function parseEvents(text) {
+  return text.split('\n\n').filter(Boolean).map(message => {
+    const type = /^event: (.*)$/m.exec(message)[1];
+    return [type, JSON.parse(/^data: (.*)$/m.exec(message)[1])];
+  });
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+async function register(base, username) {
+  return (await callServer(base, 'POST', '/api/auth/register', null, { username, password: 'correct horse battery' })).body;
+}
+
+const checks = [
+  {
+    name: 'Each turn is sent the session history and answered with citations of the memories and notes retrieved',
+    fn: async () => {
+      const api = createAPI();
+      const tutor = new MockLLMProvider({ fallback: 'Keep practising [1].' });
+      api.llm = tutor;
+      await withServer(api, async base => {
+        const { token } = await register(base, 'ada');
+        await callServer(base, 'POST', '/api/memory/add', token, { content: 'Eigenvalues scale eigenvectors under a linear map', metadata: { title: 'Linear algebra' } });
+        await callServer(base, 'POST', '/api/memory/add', token, { content: 'Photosynthesis turns light into chemical energy' });
+        await callServer(base, 'POST', '/api/notes/add', token, { content: 'Eigenvalues are the roots of the characteristic polynomial', metadata: { title: 'Eigen notes' } });
+
+        const created = await callServer(base, 'POST', '/api/chat/sessions', token, {});
+        assert.strictEqual(created.status, 201);
+        const sessionId = created.body.session.id;
+        assert.strictEqual(created.body.session.title, null);
+
+        const first = await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/messages`, token, { content: 'What are eigenvalues?' });
+        assert.strictEqual(first.status, 200);
+        assert.strictEqual(first.body.reply.content, 'Keep practising [1].');
+        assert.strictEqual(first.body.session.title, 'What are eigenvalues?');
+        assert.strictEqual(first.body.session.message_count, 2);
+
+        const { citations } = first.body.reply;
+        assert.deepStrictEqual(citations.map(c => c.index), citations.map((c, i) => i + 1));
+        const memory = citations.find(c => c.type === 'memory' && c.excerpt.startsWith('Eigenvalues scale'));
+        const note = citations.find(c => c.type === 'note');
+        assert.ok(memory && note, 'cites the matching memory and note');
+        assert.strictEqual(memory.title, 'Linear algebra');
+        assert.strictEqual(note.title, 'Eigen notes');
+        assert.ok(!citations.some(c => c.excerpt.startsWith('Photosynthesis')));
+
+        // The prompt numbers the same sources the reply cites
+        assert.match(tutor.calls[0].system, /\[1\] \(/);
+        assert.deepStrictEqual(tutor.calls[0].messages, [{ role: 'user', content: 'What are eigenvalues?' }]);
+
+        await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/messages`, token, { content: 'And eigenvectors?' });
+        assert.deepStrictEqual(tutor.calls[1].messages.map(m => [m.role, m.content]), [
+          ['user', 'What are eigenvalues?'],
+          ['assistant', 'Keep practising [1].'],
+          ['user', 'And eigenvectors?']
+        ]);
+
+        // Only the latest messages go with a question; page context goes
+        // to the tutor but not into the session
+        api.chatHistoryMessages = 2;
+        await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/messages`, token, { content: 'Thanks', context: 'Page: Spectral theorem' });
+        assert.deepStrictEqual(tutor.calls[2].messages.map(m => m.content), ['And eigenvectors?', 'Keep practising [1].', 'Thanks']);
+        assert.match(tutor.calls[2].system, /CURRENT PAGE CONTEXT:\nPage: Spectral theorem$/);
+        assert.doesNotMatch(tutor.calls[1].system, /CURRENT PAGE CONTEXT/);
+
+        const { body } = await callServer(base, 'GET', `/api/chat/sessions/${sessionId}`, token);
+        assert.deepStrictEqual(body.messages.map(m => m.role), ['user', 'assistant', 'user', 'assistant', 'user', 'assistant']);
+        assert.deepStrictEqual(body.messages[0].citations, []);
+        assert.deepStrictEqual(body.messages[1].citations, citations);
+        assert.strictEqual(body.messages[4].content, 'Thanks');
+      });
+    }
+  },
+  {
+    name: 'A failed answer leaves the session unchanged, and sessions need a language model',
+    fn: async () => {
+      const api = createAPI();
+      api.llm = null;
+      await withServer(api, async base => {
+        const { token } = await register(base, 'ada');
+        const sessionId = (await callServer(base, 'POST', '/api/chat/sessions', token, { title: 'Calculus' })).body.session.id;
+
+        const unavailable = await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/messages`, token, { content: 'Hello?' });
+        assert.deepStrictEqual([unavailable.status, unavailable.body.code], [503, 'SERVICE_UNAVAILABLE']);
+
+        api.llm = new MockLLMProvider({ responses: [new Error('overloaded')] });
+        const failed = await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/messages`, token, { content: 'Hello?' });
+        assert.strictEqual(failed.status, 500);
+
+        const { body } = await callServer(base, 'GET', `/api/chat/sessions/${sessionId}`, token);
+        assert.deepStrictEqual(body.messages, []);
+        assert.strictEqual(body.session.title, 'Calculus');
+      });
+    }
+  },
+  {
+    name: 'Streamed answers arrive as sources, deltas and done, and closing the stream cancels the turn',
+    fn: async () => {
+      const api = createAPI();
+      api.llm = new MockLLMProvider({ responses: ['Eigenvalues scale eigenvectors [1].'] });
+      await withServer(api, async base => {
+        const { token } = await register(base, 'ada');
+        const headers = { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` };
+        await callServer(base, 'POST', '/api/memory/add', token, { content: 'Eigenvalues scale eigenvectors under a linear map' });
+        const sessionId = (await callServer(base, 'POST', '/api/chat/sessions', token, {})).body.session.id;
+        const route = `${base}/api/chat/sessions/${sessionId}/messages/stream`;
+
+        const res = await fetch(route, { method: 'POST', headers, body: JSON.stringify({ content: 'What are eigenvalues?' }) });
+        assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+        const events = parseEvents(await res.text());
+        const types = events.map(([type]) => type);
+        assert.deepStrictEqual([types[0], types[types.length - 1]], ['sources', 'done']);
+        assert.ok(types.filter(type => type === 'delta').length > 1, 'the answer comes in pieces');
+
+        const [, sources] = events[0];
+        const [, done] = events[events.length - 1];
+        const streamed = events.filter(([type]) => type === 'delta').map(([, data]) => data.text).join('');
+        assert.strictEqual(streamed, 'Eigenvalues scale eigenvectors [1].');
+        assert.strictEqual(done.reply.content, streamed);
+        assert.deepStrictEqual(done.reply.citations, sources.citations);
+        assert.strictEqual(done.session.message_count, 2);
+
+        // Closing the connection part way aborts the model's request, and
+        // the question isn't saved
+        const slow = new MockLLMProvider({ fallback: 'word '.repeat(200), chunkDelayMs: 10 });
+        api.llm = slow;
+        const controller = new AbortController();
+        const cancelled = await fetch(route, { method: 'POST', headers, body: JSON.stringify({ content: 'Tell me more' }), signal: controller.signal });
+        const reader = cancelled.body.getReader();
+        let received = '';
+        while (!received.includes('event: delta')) {
+          received += new TextDecoder().decode((await reader.read()).value);
+        }
+        controller.abort();
+        await waitFor(() => slow.calls[0].signal.aborted);
+        await new Promise(resolve => setTimeout(resolve, 50));
+        assert.strictEqual((await callServer(base, 'GET', `/api/chat/sessions/${sessionId}`, token)).body.messages.length, 2);
+
+        // Failures before the stream starts are ordinary error responses;
+        // later ones are an error event
+        api.llm = new MockLLMProvider({ responses: [new Error('overloaded')] });
+        const failed = parseEvents(await (await fetch(route, { method: 'POST', headers, body: JSON.stringify({ content: 'Again?' }) })).text());
+        assert.deepStrictEqual(failed.map(([type]) => type), ['sources', 'error']);
+        assert.strictEqual(failed[1][1].code, 'INTERNAL_ERROR');
+        assert.match(failed[1][1].requestId, /^req_/);
+
+        assert.strictEqual((await callServer(base, 'POST', '/api/chat/sessions/chat_missing/messages/stream', token, { content: 'Hi' })).status, 404);
+        api.llm = null;
+        const unavailable = await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/messages/stream`, token, { content: 'Hello?' });
+        assert.deepStrictEqual([unavailable.status, unavailable.body.code], [503, 'SERVICE_UNAVAILABLE']);
+      });
+    }
+  },
+  {
+    name: 'Sessions can be listed, renamed, forked and deleted by their owner only',
+    fn: async () => {
+      const api = createAPI();
+      const tutor = new MockLLMProvider({ responses: ['Answer 1', 'Answer 2', 'Answer 3'] });
+      api.llm = tutor;
+      await withServer(api, async base => {
+        const { token } = await register(base, 'ada');
+        const { token: other } = await register(base, 'grace');
+
+        const sessionId = (await callServer(base, 'POST', '/api/chat/sessions', token, {})).body.session.id;
+        await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/messages`, token, { content: 'First question' });
+        await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/messages`, token, { content: 'Second question' });
+        const { messages } = (await callServer(base, 'GET', `/api/chat/sessions/${sessionId}`, token)).body;
+
+        const renamed = await callServer(base, 'PUT', `/api/chat/sessions/${sessionId}`, token, { title: 'Revision plan' });
+        assert.strictEqual(renamed.body.session.title, 'Revision plan');
+
+        // Forking at the first answer keeps the first exchange only
+        const forked = await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/fork`, token, { messageId: messages[1].id });
+        assert.strictEqual(forked.status, 201);
+        assert.strictEqual(forked.body.session.title, 'Revision plan (fork)');
+        assert.deepStrictEqual(forked.body.session.forked_from, { session_id: sessionId, message_id: messages[1].id });
+        assert.deepStrictEqual(forked.body.messages.map(m => m.content), ['First question', 'Answer 1']);
+        assert.ok(forked.body.messages.every(m => m.session_id === forked.body.session.id && !messages.some(o => o.id === m.id)));
+
+        // A fork ending on a question has it joined with the next one
+        const atQuestion = await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/fork`, token, { messageId: messages[2].id, title: 'Retry' });
+        await callServer(base, 'POST', `/api/chat/sessions/${atQuestion.body.session.id}/messages`, token, { content: 'Put differently' });
+        assert.deepStrictEqual(tutor.calls[2].messages.map(m => m.role), ['user', 'assistant', 'user']);
+        assert.strictEqual(tutor.calls[2].messages[2].content, 'Second question\n\nPut differently');
+
+        const listed = (await callServer(base, 'GET', '/api/chat/sessions', token)).body.sessions;
+        assert.deepStrictEqual(listed.map(s => s.title), ['Retry', 'Revision plan (fork)', 'Revision plan']);
+        assert.deepStrictEqual(listed.map(s => s.message_count), [5, 2, 4]);
+        assert.ok(listed.every(s => s.messages === undefined));
+
+        // Someone else's sessions don't exist for them
+        assert.deepStrictEqual((await callServer(base, 'GET', '/api/chat/sessions', other)).body.sessions, []);
+        for (const [method, route, body] of [
+          ['GET', `/api/chat/sessions/${sessionId}`],
+          ['PUT', `/api/chat/sessions/${sessionId}`, { title: 'Mine now' }],
+          ['POST', `/api/chat/sessions/${sessionId}/messages`, { content: 'Hi' }],
+          ['POST', `/api/chat/sessions/${sessionId}/fork`, {}],
+          ['DELETE', `/api/chat/sessions/${sessionId}`]
+        ]) {
+          assert.strictEqual((await callServer(base, method, route, other, body)).status, 404, `${method} ${route}`);
+        }
+
+        const missingMessage = await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/fork`, token, { messageId: 'msg_missing' });
+        assert.deepStrictEqual([missingMessage.status, missingMessage.body.error], [404, 'Chat message not found']);
+        const blank = await callServer(base, 'POST', `/api/chat/sessions/${sessionId}/messages`, token, { content: '  ' });
+        assert.deepStrictEqual([blank.status, blank.body.code], [400, 'VALIDATION_FAILED']);
+        assert.strictEqual((await callServer(base, 'PUT', `/api/chat/sessions/${sessionId}`, token, {})).status, 400);
+
+        assert.strictEqual((await callServer(base, 'DELETE', `/api/chat/sessions/${sessionId}`, token)).status, 200);
+        assert.strictEqual((await callServer(base, 'GET', `/api/chat/sessions/${sessionId}`, token)).status, 404);
+        assert.strictEqual((await callServer(base, 'GET', '/api/chat/sessions', token)).body.sessions.length, 2);
+      });
+    }
+  },
+  {
+    name: 'Sessions are kept in chats.json across restarts',
+    fn: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chat-test-'));
+      const file = path.join(dir, 'chats.json');
+      try {
+        const before = new ChatSessions({ file });
+        const session = await before.create('user_1', { title: null });
+        await before.addExchange('user_1', session.id, 'Why does the sky look blue?', { content: 'Rayleigh scattering [1].', citations: [{ index: 1, type: 'memory', id: 'mem_1', excerpt: 'Scattering' }] });
+        await before.create('user_2', { title: 'Someone else' });
+        await before.store.writeQueue;
+
+        const after = new ChatSessions({ file });
+        const [restored] = await after.list('user_1');
+        assert.strictEqual(restored.title, 'Why does the sky look blue?');
+        assert.deepStrictEqual(restored.messages.map(m => m.content), ['Why does the sky look blue?', 'Rayleigh scattering [1].']);
+        assert.strictEqual(restored.messages[1].citations[0].id, 'mem_1');
+        await assert.rejects(after.get('user_2', session.id), /Chat session not found/);
+
+        // Long questions are cut down for the title
+        const long = await after.create('user_1');
+        await after.addExchange('user_1', long.id, `Explain ${'very '.repeat(30)}slowly`, { content: 'Sure.' });
+        assert.strictEqual(long.title.length, 60);
+        assert.ok(long.title.endsWith('…'));
+        await after.store.writeQueue;
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Chat Session Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
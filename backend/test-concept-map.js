@@ -0,0 +1,240 @@
+#!/usr/bin/env node
+// test-concept-map.js - Checks for the mind map derived from memories and
+// notes: concept extraction, co-occurrence and similarity links, clusters,
+// and merging the user's own nodes and edges
+
+const assert = require('assert');
+const { ConceptMap, extractPhrases, conceptKey } = require('./concept-map');
+const { AuthService } = require('./auth-service');
+const LocalEmbeddingProvider = require('./local-embedding-provider');
+const InMemoryStorage = require('./in-memory-storage');
+const LocalMemoryAPI = require('./local-memory-api');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'user_1';
+
+// Stores each text as a memory, with `vectors[i]` from `model` when given
+async function addMemories(storage, texts, { vectors = [], model = 'stub:test', metadata = {} } = {}) {
+  for (let i = 0; i < texts.length; i++) {
+    const embedded = vectors[i] ? { embedding: vectors[i], embedding_model: model } : {};
+    await storage.addMemory(texts[i], { ...metadata, ...embedded }, USER);
+  }
+}
+
+function edgeBetween(map, a, b) {
+  return map.edges.find(e => (e.source === a && e.target === b) || (e.source === b && e.target === a));
+}
+
+const checks = [
+  {
+    name: 'phrases are stemmed words and word pairs that never span a stopword',
+    fn: async () => {
+      const phrases = extractPhrases('The chain rule differentiates composite functions; use it with derivatives.', 'Calculus');
+      assert.deepStrictEqual([...phrases.keys()], [
+        'chain', 'rule', 'chain rule', 'differentiate', 'rule differentiate', 'composite', 'differentiate composite',
+        'function', 'composite function', 'derivative', 'calculu'
+      ]);
+      assert.strictEqual(phrases.get('composite function'), 'composite functions');
+      assert.strictEqual(conceptKey('Composite Functions'), 'composite function');
+      assert.strictEqual(conceptKey('The'), '');
+    }
+  },
+  {
+    name: 'recurring words and phrases become concepts linked by co-occurrence',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      await addMemories(storage, [
+        'The chain rule differentiates composite functions',
+        'Use the chain rule for nested derivatives',
+        'Derivatives measure rates of change',
+        'Integrals undo derivatives',
+        'Photosynthesis happens once'
+      ]);
+      await storage.addNote('Derivatives and integrals are linked by the fundamental theorem', { title: 'Integrals' }, USER);
+      const map = await new ConceptMap({ storage, model: 'stub:test', similarityThreshold: 0.9 }).build(USER);
+
+      assert.deepStrictEqual(map.nodes, [
+        { id: 'concept:derivative', label: 'Derivatives', kind: 'concept', documents: 4, cluster: 0 },
+        { id: 'concept:chain-rule', label: 'Chain rule', kind: 'concept', documents: 2, cluster: 1 },
+        { id: 'concept:integral', label: 'Integrals', kind: 'concept', documents: 2, cluster: 0 }
+      ]);
+      // 'chain' and 'rule' only ever appear as 'chain rule'; the note counts once
+      assert.deepStrictEqual(map.edges, [
+        { source: 'concept:derivative', target: 'concept:integral', kind: 'co-occurrence', weight: 2 }
+      ]);
+
+      const capped = await new ConceptMap({ storage, model: 'stub:test', similarityThreshold: 0.9, maxConcepts: 1 }).build(USER);
+      assert.deepStrictEqual(capped.nodes.map(n => n.id), ['concept:derivative']);
+
+      assert.deepStrictEqual(await new ConceptMap({ storage, model: 'stub:test', similarityThreshold: 0.9 }).build('someone_else'), { nodes: [], edges: [] });
+    }
+  },
+  {
+    name: 'concepts whose memories have similar embeddings are linked',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      await addMemories(storage, [
+        'Eigenvalues of a matrix',
+        'Eigenvalues of a symmetric matrix',
+        'Eigenvalues scale vectors',
+        'Determinants of a square matrix',
+        'Determinants detect singular maps'
+      ], { vectors: [[1, 0, 0], [1, 0, 0], [0.9, 0.1, 0], [0.8, 0.2, 0], [1, 0, 0]] });
+      // Vectors from another model aren't compared
+      await addMemories(storage, ['Photosynthesis in leaves', 'Photosynthesis needs light'], { vectors: [[1, 0, 0], [1, 0, 0]], model: 'stub:other' });
+
+      const map = await new ConceptMap({ storage, model: 'stub:test', similarityThreshold: 0.9 }).build(USER);
+      const similarity = edgeBetween(map, 'concept:eigenvalue', 'concept:determinant');
+      assert.strictEqual(similarity.kind, 'similarity');
+      assert.ok(similarity.weight >= 0.9 && similarity.weight <= 1, `weight ${similarity.weight}`);
+      assert.strictEqual(edgeBetween(map, 'concept:eigenvalue', 'concept:photosynthesi'), undefined);
+      // Already linked by co-occurrence, so not again by similarity
+      assert.strictEqual(edgeBetween(map, 'concept:eigenvalue', 'concept:matrix').kind, 'co-occurrence');
+
+      const strict = await new ConceptMap({ storage, model: 'stub:test', similarityThreshold: 0.999 }).build(USER);
+      assert.strictEqual(edgeBetween(strict, 'concept:eigenvalue', 'concept:determinant'), undefined);
+    }
+  },
+  {
+    name: 'manual nodes and edges are merged in and served to the web page and the tutor',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      const api = new LocalMemoryAPI({
+        storage,
+        storageType: 'memory',
+        embeddings: new LocalEmbeddingProvider({ dimensions: 512 }),
+        auth: new AuthService({ secret: 'test-secret' })
+      });
+      await addMemories(storage, ['Calculus studies limits and derivatives', 'Derivatives in calculus measure change'], { metadata: { topic: 'calculus' } });
+      const calculus = await storage.addMindmapNode('Calculus', {}, USER);
+      const physics = await storage.addMindmapNode('Physics', {}, USER);
+      const edge = await storage.addMindmapEdge(calculus.id, physics.id, { weight: 2 }, USER);
+
+      let payload;
+      await api.getMindMap({ params: {}, query: {}, body: {}, user: { id: USER, role: 'user' }, id: 'req_test' }, { json(data) { payload = data; return this; } });
+
+      // The stored Calculus node takes the place of the derived concept
+      assert.deepStrictEqual(payload.nodes, [
+        { id: calculus.id, label: 'Calculus', kind: 'manual', documents: 2, cluster: 0 },
+        { id: 'concept:derivative', label: 'Derivatives', kind: 'concept', documents: 2, cluster: 0 },
+        { id: physics.id, label: 'Physics', kind: 'manual', documents: 0, cluster: 0 }
+      ]);
+      assert.deepStrictEqual(payload.edges, [
+        { id: edge.id, source: calculus.id, target: physics.id, kind: 'manual', type: 'related', weight: 2 },
+        { source: calculus.id, target: 'concept:derivative', kind: 'co-occurrence', weight: 2 }
+      ]);
+
+      const prompt = api.tutorPrompt(payload, 'No previous context available');
+      assert.match(prompt, /Calculus, Derivatives, Physics/);
+      assert.match(prompt, /Calculus → Physics, Calculus → Derivatives/);
+      assert.match(api.tutorPrompt({ nodes: [], edges: [] }, ''), /connected topics:\nNone yet/);
+    }
+  },
+  {
+    name: 'clusters group closely linked concepts, and pinned nodes keep their place',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      await addMemories(storage, [
+        'Derivatives and limits', 'Derivatives and limits again',
+        'Cells and enzymes', 'Cells and enzymes again',
+        'Photosynthesis once', 'Photosynthesis twice'
+      ]);
+      const limits = await storage.addMindmapNode('Limits', { x: 120, y: 80, pinned: true }, USER);
+      await storage.addMindmapNode('Orbits', { x: 5, y: 5 }, USER);
+      const map = await new ConceptMap({ storage, model: 'stub:test', similarityThreshold: 0.9 }).build(USER);
+
+      const clusterOf = label => map.nodes.find(n => n.label === label).cluster;
+      assert.strictEqual(clusterOf('Derivatives'), clusterOf('Limits'));
+      assert.strictEqual(clusterOf('Cells'), clusterOf('Enzymes'));
+      assert.notStrictEqual(clusterOf('Derivatives'), clusterOf('Cells'));
+      assert.deepStrictEqual(new Set(map.nodes.map(n => n.cluster)).size, 4);
+      assert.ok(clusterOf('Derivatives') < clusterOf('Photosynthesis'), 'larger clusters come first');
+
+      assert.deepStrictEqual(map.nodes.find(n => n.id === limits.id), { id: limits.id, label: 'Limits', kind: 'manual', documents: 2, x: 120, y: 80, cluster: clusterOf('Limits') });
+      assert.ok(!('x' in map.nodes.find(n => n.label === 'Orbits')), 'unpinned nodes are laid out by the map');
+    }
+  },
+  {
+    name: 'a concept\'s memories and notes are listed, and pins are written back through the API',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      const api = new LocalMemoryAPI({
+        storage,
+        storageType: 'memory',
+        embeddings: new LocalEmbeddingProvider({ dimensions: 512 }),
+        auth: new AuthService({ secret: 'test-secret' })
+      });
+      await addMemories(storage, ['The chain rule for composites', 'Chain rule practice', 'Integrals by parts']);
+      await storage.addNote('Worked chain rule examples', { title: 'Chain rule' }, USER);
+      const user = { id: USER, role: 'user' };
+      const call = async (handler, req) => {
+        let payload;
+        await api[handler]({ params: {}, query: {}, body: {}, user, id: 'req_test', ...req }, { json(data) { payload = data; return this; }, status() { return this; } });
+        return payload;
+      };
+
+      const derived = await call('getConceptDocuments', { params: { nodeId: 'concept:chain-rule' } });
+      assert.deepStrictEqual(derived.memories.map(m => m.content), ['Chain rule practice', 'The chain rule for composites']);
+      assert.deepStrictEqual(derived.notes.map(n => n.title), ['Chain rule']);
+      assert.strictEqual((await call('getConceptDocuments', { params: { nodeId: 'concept:chain-rule' }, query: { limit: '1' } })).memories.length, 1);
+
+      const { node } = await call('addMindmapNode', { body: { label: 'Integrals', metadata: { source: 'web' } } });
+      const stored = await call('getConceptDocuments', { params: { nodeId: node.id } });
+      assert.deepStrictEqual(stored.memories.map(m => m.content), ['Integrals by parts']);
+      assert.strictEqual((await call('getConceptDocuments', { params: { nodeId: 'missing' } })).code, 'NOT_FOUND');
+
+      const pinned = await call('updateMindmapNode', { params: { nodeId: node.id }, body: { x: 40, y: 60, pinned: true } });
+      assert.deepStrictEqual([pinned.node.x, pinned.node.y, pinned.node.metadata], [40, 60, { source: 'web', pinned: true }]);
+      const unpinned = await call('updateMindmapNode', { params: { nodeId: node.id }, body: { pinned: false } });
+      assert.deepStrictEqual(unpinned.node.metadata, { source: 'web', pinned: false });
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Concept Map Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
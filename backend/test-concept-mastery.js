@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+// test-concept-mastery.js - Checks for the concept mastery model: knowledge
+// tracing steps, the store, recording evidence through the API, questions
+// answered in chat, and mastery shown on the mind map
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConceptMastery, BKT, applyEvidence, masteryLevel } = require('./concept-mastery');
+const { MockLLMProvider } = require('./llm-provider');
+const LocalMemoryStorage = require('./local-memory-storage');
+const SqliteMemoryStorage = require('./sqlite-memory-storage');
+const { createAPI, caller } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'user_1';
+
+const call = caller({ id: USER, role: 'user' });
+
+async function addMemories(api, texts) {
+  for (const text of texts) {
+    await api.storage.addMemory(text, {}, USER);
+  }
+}
+
+const checks = [
+  {
+    name: 'each piece of evidence is a knowledge tracing step scaled by its source',
+    fn: async () => {
+      // Right: 0.3 * 0.9 / (0.27 + 0.7 * 0.2) = 0.6585, then learning adds 0.1 of the rest
+      assert.strictEqual(applyEvidence(BKT.prior, { source: 'quiz', correct: true }), 0.6927);
+      assert.strictEqual(applyEvidence(BKT.prior, { source: 'quiz', correct: false }), 0.1458);
+
+      const nudge = applyEvidence(BKT.prior, { source: 'nudge', correct: true });
+      const question = applyEvidence(BKT.prior, { source: 'question', correct: false });
+      assert.ok(nudge > BKT.prior && nudge < 0.6927, 'a nudge counts for less than a quiz answer');
+      assert.ok(question < BKT.prior && question > 0.1458, 'and a question for less again');
+
+      assert.strictEqual(applyEvidence(0.3, { source: 'self-rating', rating: 5 }), 0.65);
+      assert.strictEqual(applyEvidence(0.3, { source: 'self-rating', rating: 1 }), 0.15);
+
+      assert.deepStrictEqual([0, 0.39, 0.4, 0.7, 0.95, 1].map(masteryLevel),
+        ['novice', 'novice', 'developing', 'proficient', 'mastered', 'mastered']);
+    }
+  },
+  {
+    name: 'estimates are kept per user and concept, with their recent history, across restarts',
+    fn: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mastery-'));
+      try {
+        const mastery = new ConceptMastery({ storage: new LocalMemoryStorage(dir) });
+        const limits = { key: 'limit', label: 'Limits' };
+        // Evidence arriving together is applied in turn, none of it lost
+        await Promise.all(Array.from({ length: 25 }, () => mastery.record(USER, limits, { source: 'quiz', correct: true })));
+        await mastery.record(USER, { key: 'integral', label: 'Integrals' }, { source: 'self-rating', rating: 2 });
+        await mastery.record('user_2', limits, { source: 'quiz', correct: false });
+
+        const restarted = new ConceptMastery({ storage: new LocalMemoryStorage(dir) });
+        const reloaded = await restarted.list(USER);
+        assert.deepStrictEqual(reloaded.map(r => [r.label, r.level]), [['Integrals', 'novice'], ['Limits', 'mastered']]);
+        const [, known] = reloaded;
+        assert.strictEqual(known.observations, 25);
+        assert.strictEqual(known.history.length, 20);
+        assert.strictEqual(known.history[19].p_known, known.p_known);
+        assert.deepStrictEqual(reloaded[0].history.map(h => [h.source, h.rating]), [['self-rating', 2]]);
+        assert.strictEqual((await restarted.list('user_2'))[0].level, 'novice');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'mastery.json from before the estimates moved into storage is taken over by the JSON and SQLite backends',
+    fn: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mastery-legacy-'));
+      const legacy = {
+        concepts: [{
+          id: 'mastery_1', user_id: USER, concept_key: 'limit', label: 'Limits', p_known: 0.6927, level: 'developing',
+          observations: 1, history: [{ source: 'quiz', correct: true, p_known: 0.6927, at: '2026-01-01T00:00:00.000Z' }],
+          created_at: '2026-01-01T00:00:00.000Z', updated_at: '2026-01-01T00:00:00.000Z'
+        }]
+      };
+      try {
+        for (const Storage of [LocalMemoryStorage, SqliteMemoryStorage]) {
+          const dataDir = path.join(dir, Storage.name);
+          fs.mkdirSync(dataDir);
+          fs.writeFileSync(path.join(dataDir, 'mastery.json'), JSON.stringify(legacy));
+
+          const storage = new Storage(dataDir);
+          const mastery = new ConceptMastery({ storage });
+          assert.deepStrictEqual((await mastery.list(USER)).map(r => [r.id, r.level, r.history.length]), [['mastery_1', 'developing', 1]], Storage.name);
+          const revised = await mastery.record(USER, { key: 'limit', label: 'Limits' }, { source: 'quiz', correct: true });
+          assert.strictEqual(revised.id, 'mastery_1');
+          assert.strictEqual(revised.observations, 2);
+          if (storage.close) storage.close();
+
+          const reopened = new Storage(dataDir);
+          assert.strictEqual((await reopened.getConceptMastery(USER))[0].observations, 2, Storage.name);
+          if (reopened.close) reopened.close();
+        }
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'the API records evidence for stored and derived nodes and for named concepts',
+    fn: async () => {
+      const api = createAPI();
+      const events = [];
+      api.events.subscribe(USER, event => events.push(event));
+      await addMemories(api, ['Derivatives measure rates of change', 'Integrals undo derivatives']);
+      const { node } = (await call(api.addMindmapNode.bind(api), { body: { label: 'Chain Rule' } })).body;
+
+      let { status, body } = await call(api.recordMasteryEvidence.bind(api), { body: { nodeId: 'concept:derivative', source: 'quiz', correct: true } });
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual([body.mastery.concept_key, body.mastery.label, body.mastery.p_known], ['derivative', 'Derivatives', 0.6927]);
+
+      await call(api.recordMasteryEvidence.bind(api), { body: { nodeId: node.id, source: 'self-rating', rating: 4 } });
+      ({ status, body } = await call(api.recordMasteryEvidence.bind(api), { body: { concept: 'chain rules', source: 'nudge', correct: false } }));
+      assert.strictEqual(body.mastery.concept_key, 'chain rule', 'a named concept shares the node\'s estimate');
+      assert.strictEqual(body.mastery.observations, 2);
+
+      ({ status, body } = await call(api.listConceptMastery.bind(api)));
+      assert.deepStrictEqual(body.concepts.map(c => c.label), ['Chain Rule', 'Derivatives']);
+      assert.deepStrictEqual(events.map(e => e.type).filter(type => type.startsWith('mastery')), ['mastery.updated', 'mastery.updated', 'mastery.updated']);
+
+      const rejected = async evidence => (await call(api.recordMasteryEvidence.bind(api), { body: evidence })).body;
+      assert.strictEqual((await rejected({ source: 'quiz', correct: true })).code, 'VALIDATION_FAILED');
+      assert.strictEqual((await rejected({ nodeId: node.id, concept: 'limits', source: 'quiz', correct: true })).code, 'VALIDATION_FAILED');
+      assert.strictEqual((await rejected({ concept: 'limits', source: 'quiz', rating: 3 })).details[0].field, 'correct');
+      assert.strictEqual((await rejected({ concept: 'limits', source: 'self-rating', rating: 6 })).code, 'VALIDATION_FAILED');
+      assert.strictEqual((await rejected({ concept: 'the', source: 'quiz', correct: true })).details[0].field, 'concept');
+      assert.strictEqual((await call(api.recordMasteryEvidence.bind(api), { body: { nodeId: 'concept:photosynthesis', source: 'quiz', correct: true } })).status, 404);
+    }
+  },
+  {
+    name: 'questions in chat count against the concepts they ask about, which the map and prompt then show',
+    fn: async () => {
+      const api = createAPI();
+      const tutor = new MockLLMProvider({ fallback: 'Think of speed.' });
+      api.llm = tutor;
+      await addMemories(api, [
+        'Derivatives measure rates of change',
+        'Integrals undo derivatives',
+        'Integrals add up areas'
+      ]);
+
+      const { body: { session } } = await call(api.createChatSession.bind(api));
+      const { status } = await call(api.sendChatMessage.bind(api), { params: { sessionId: session.id }, body: { content: 'How do derivatives work?' } });
+      assert.strictEqual(status, 200);
+
+      const { concepts } = (await call(api.listConceptMastery.bind(api))).body;
+      assert.deepStrictEqual(concepts.map(c => [c.label, c.history[0].source, c.history[0].correct]), [['Derivatives', 'question', false]]);
+      assert.ok(concepts[0].p_known < BKT.prior);
+
+      const map = await api.getUserMindMapData(USER);
+      const byId = new Map(map.nodes.map(n => [n.id, n]));
+      assert.deepStrictEqual(byId.get('concept:derivative').mastery, { p_known: concepts[0].p_known, level: 'novice' });
+      assert.strictEqual(byId.get('concept:integral').mastery, undefined);
+
+      await call(api.sendChatMessage.bind(api), { params: { sessionId: session.id }, body: { content: 'And integrals?' } });
+      assert.match(tutor.calls[1].system, /Mastery: Derivatives \(novice, \d+%\)/);
+    }
+  },
+  {
+    name: 'a question counts only once it is answered, in a session or through /api/chat/ask',
+    fn: async () => {
+      const api = createAPI();
+      api.llm = new MockLLMProvider({ responses: [new Error('The model is unavailable')], fallback: 'Think of areas.' });
+      await addMemories(api, ['Derivatives measure rates of change', 'Integrals undo derivatives', 'Integrals add up areas']);
+
+      const { body: { session } } = await call(api.createChatSession.bind(api));
+      const { status } = await call(api.sendChatMessage.bind(api), { params: { sessionId: session.id }, body: { content: 'How do derivatives work?' } });
+      assert.notStrictEqual(status, 200);
+      assert.deepStrictEqual((await call(api.listConceptMastery.bind(api))).body.concepts, [], 'an unanswered question is no evidence');
+
+      const { status: askStatus, body: { answer } } = await call(api.handleChatQuery.bind(api), { body: { query: 'What do integrals do?' } });
+      assert.deepStrictEqual([askStatus, answer], [200, 'Think of areas.']);
+      const { concepts } = (await call(api.listConceptMastery.bind(api))).body;
+      assert.deepStrictEqual(concepts.map(c => [c.label, c.history[0].source]), [['Integrals', 'question']]);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Concept Mastery Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+// test-consolidation.js - Near-duplicate detection, merging and the
+// consolidation report
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MemoryConsolidator = require('./memory-consolidator');
+const { createAPI, caller } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'dedup_user';
+
+const DERIVATIVE = 'Q: What is a derivative?\nA: A derivative measures the instantaneous rate of change of a function.';
+const DERIVATIVE_AGAIN = 'Q: what is a derivative\nA: The derivative measures the instantaneous rate of change of a function at a point.';
+const CHAIN_RULE = 'Important: the chain rule differentiates composite functions';
+const CHAIN_RULE_AGAIN = 'Important: The chain rule is used to differentiate composite functions.';
+const MITOCHONDRIA = 'Q: What does mitochondria do?\nA: Mitochondria produce ATP, the energy currency of the cell.';
+
+const call = caller({ id: USER });
+
+async function addAll(api, contents, userId = USER) {
+  const memories = [];
+  for (const content of contents) {
+    memories.push(await api.addMemoryInternal(content, {}, userId));
+  }
+  return memories;
+}
+
+const checks = [
+  {
+    name: 'suggests near-duplicates when a memory is added',
+    fn: async () => {
+      const api = createAPI();
+      const [original] = await addAll(api, [DERIVATIVE, MITOCHONDRIA]);
+
+      const added = await call(api.addMemory.bind(api), { body: { content: DERIVATIVE_AGAIN } });
+      assert.strictEqual(added.status, 200);
+      assert.deepStrictEqual(added.body.duplicates.map(d => d.id), [original.id]);
+      assert.ok(added.body.duplicates[0].similarity >= api.embeddings.thresholds.duplicate);
+
+      const unrelated = await call(api.addMemory.bind(api), { body: { content: CHAIN_RULE } });
+      assert.deepStrictEqual(unrelated.body.duplicates, []);
+    }
+  },
+  {
+    name: 'merges memories into one canonical memory with provenance',
+    fn: async () => {
+      const api = createAPI();
+      const [short, long] = await addAll(api, [DERIVATIVE, DERIVATIVE_AGAIN]);
+
+      const merged = await call(api.mergeMemories.bind(api), { body: { memoryIds: [short.id, long.id] } });
+      assert.strictEqual(merged.status, 200);
+      assert.strictEqual(merged.body.memory.id, long.id);
+      assert.strictEqual(merged.body.merged, 1);
+      const [provenance] = merged.body.memory.metadata.merged_from;
+      assert.strictEqual(provenance.id, short.id);
+      assert.strictEqual(provenance.content, DERIVATIVE);
+      assert.strictEqual(provenance.metadata.embedding, undefined);
+
+      const { memories } = await api.storage.getUserMemories(USER, 10, 0);
+      assert.deepStrictEqual(memories.map(m => m.id), [long.id]);
+      const search = await call(api.searchMemories.bind(api), { body: { query: 'derivative', mode: 'keyword' } });
+      assert.deepStrictEqual(search.body.memories.map(m => m.id), [long.id]);
+    }
+  },
+  {
+    name: 'keeps provenance when merged memories are merged again',
+    fn: async () => {
+      const api = createAPI();
+      const [a, b, c] = await addAll(api, ['alpha', 'alpha beta', 'alpha beta gamma']);
+
+      await api.consolidator.merge(USER, [a.id, b.id], b.id);
+      const merged = await api.consolidator.merge(USER, [b.id, c.id], c.id);
+      assert.deepStrictEqual(merged.metadata.merged_from.map(p => p.id), [a.id, b.id]);
+      assert.strictEqual(merged.metadata.merged_from[1].metadata.merged_from, undefined);
+    }
+  },
+  {
+    name: 'rejects merges of unknown or foreign memories',
+    fn: async () => {
+      const api = createAPI();
+      const [mine] = await addAll(api, [DERIVATIVE]);
+      const [theirs] = await addAll(api, [DERIVATIVE_AGAIN], 'someone_else');
+
+      const foreign = await call(api.mergeMemories.bind(api), { body: { memoryIds: [mine.id, theirs.id] } });
+      assert.strictEqual(foreign.status, 404);
+      const single = await call(api.mergeMemories.bind(api), { body: { memoryIds: [mine.id, mine.id] } });
+      assert.strictEqual(single.status, 400);
+      const outside = await call(api.mergeMemories.bind(api), { body: { memoryIds: [mine.id, theirs.id], canonicalId: 'x' } });
+      assert.strictEqual(outside.status, 400);
+
+      assert.strictEqual((await api.storage.getUserMemories('someone_else', 10, 0)).total, 1);
+    }
+  },
+  {
+    name: 'dry run reports clusters without changing anything',
+    fn: async () => {
+      const api = createAPI();
+      const [derivative, , chain] = await addAll(api, [DERIVATIVE, MITOCHONDRIA, CHAIN_RULE, DERIVATIVE_AGAIN, CHAIN_RULE_AGAIN]);
+
+      const dry = await call(api.consolidateMemories.bind(api));
+      assert.strictEqual(dry.status, 200);
+      assert.strictEqual(dry.body.report.dryRun, true);
+      assert.strictEqual(dry.body.report.merged, 0);
+      assert.strictEqual(dry.body.report.clusters.length, 2);
+      assert.deepStrictEqual(
+        dry.body.report.clusters.map(c => [c.canonical.content, c.duplicates.map(d => d.content)]).sort(),
+        [[CHAIN_RULE_AGAIN, [CHAIN_RULE]], [DERIVATIVE_AGAIN, [DERIVATIVE]]]
+      );
+      assert.strictEqual((await api.storage.getUserMemories(USER, 10, 0)).total, 5);
+
+      const applied = await call(api.consolidateMemories.bind(api), { body: { dryRun: false } });
+      assert.strictEqual(applied.body.report.merged, 2);
+      const { memories } = await api.storage.getUserMemories(USER, 10, 0);
+      assert.strictEqual(memories.length, 3);
+      assert.ok(memories.every(m => m.id !== derivative.id && m.id !== chain.id));
+
+      const invalid = await call(api.consolidateMemories.bind(api), { body: { threshold: 2 } });
+      assert.strictEqual(invalid.status, 400);
+    }
+  },
+  {
+    name: 'scheduled sweeps cover every user and save the report',
+    fn: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prisma-dedup-'));
+      try {
+        const api = createAPI();
+        await addAll(api, [DERIVATIVE, DERIVATIVE_AGAIN], 'first');
+        await addAll(api, [CHAIN_RULE, CHAIN_RULE_AGAIN], 'second');
+
+        const consolidator = new MemoryConsolidator({
+          storage: api.storage,
+          embed: (text, userId) => api.generateEmbedding(text, userId),
+          model: api.embeddings.modelId,
+          threshold: api.embeddings.thresholds.duplicate,
+          reportFile: path.join(dir, 'consolidation-report.json')
+        });
+        const report = await consolidator.run();
+        assert.strictEqual(report.users, 2);
+        assert.deepStrictEqual(report.clusters.map(c => c.userId).sort(), ['first', 'second']);
+
+        const saved = JSON.parse(fs.readFileSync(consolidator.reportFile, 'utf8'));
+        assert.strictEqual(saved.clusters.length, 2);
+        consolidator.lastReport = null;
+        assert.strictEqual((await consolidator.loadReport()).startedAt, report.startedAt);
+
+        consolidator.schedule(60 * 60 * 1000);
+        assert.ok(consolidator.timer);
+        consolidator.stop();
+        assert.strictEqual(consolidator.timer, null);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Consolidation Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,180 @@
+#!/usr/bin/env node
+// test-embedding-provider.js - Checks for the embedding providers and their
+// use by the memory API, with no network access
+
+const assert = require('assert');
+const { OpenAIEmbeddingProvider, StubEmbeddingProvider, createEmbeddingProvider } = require('./embedding-provider');
+const LocalEmbeddingProvider = require('./local-embedding-provider');
+const { createAPI } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function cosine(a, b) {
+  return a.reduce((sum, x, i) => sum + x * b[i], 0);
+}
+
+const CORPUS = [
+  'The derivative measures the rate of change of a function',
+  'Integrals compute the area under a curve',
+  'Photosynthesis converts sunlight into chemical energy in plants',
+  'The French Revolution began in 1789',
+  'Matrix multiplication is not commutative'
+];
+
+const checks = [
+  {
+    name: 'local provider ranks related text above unrelated text',
+    fn: async () => {
+      const provider = new LocalEmbeddingProvider({ dimensions: 256 });
+      provider.train('u', CORPUS);
+
+      const query = await provider.embed('how do derivatives describe change?', { userId: 'u' });
+      const scores = await Promise.all(CORPUS.map(async text => cosine(query, await provider.embed(text, { userId: 'u' }))));
+      const best = scores.indexOf(Math.max(...scores));
+
+      assert.strictEqual(best, 0);
+      assert.strictEqual(query.length, 256);
+      assert.ok(Math.abs(cosine(query, query) - 1) < 1e-9);
+    }
+  },
+  {
+    name: 'local provider is deterministic and down-weights common words',
+    fn: async () => {
+      const provider = new LocalEmbeddingProvider({ dimensions: 256 });
+      const a = await provider.embed('calculus limits', { userId: 'u' });
+      assert.deepStrictEqual(a, await new LocalEmbeddingProvider({ dimensions: 256 }).embed('calculus limits', { userId: 'u' }));
+
+      // "calculus" appears in every document, "limits" in one
+      provider.train('u', ['calculus limits', 'calculus series', 'calculus proofs', 'calculus tricks']);
+      const calculus = await provider.embed('calculus', { userId: 'u' });
+      const limits = await provider.embed('limits', { userId: 'u' });
+      const trained = await provider.embed('calculus limits', { userId: 'u' });
+      assert.ok(cosine(trained, limits) > cosine(trained, calculus));
+    }
+  },
+  {
+    name: 'local provider keeps a separate corpus per user',
+    fn: async () => {
+      const provider = new LocalEmbeddingProvider({ dimensions: 64 });
+      assert.ok(provider.needsTraining('alice'));
+      provider.train('alice', CORPUS);
+      provider.observe('alice', 'one more');
+
+      assert.ok(!provider.needsTraining('alice'));
+      assert.ok(provider.needsTraining('bob'));
+      assert.strictEqual(provider.corpora.get('alice').documents, CORPUS.length + 1);
+    }
+  },
+  {
+    name: 'factory picks providers by name and by OPENAI_API_KEY',
+    fn: async () => {
+      const saved = process.env.OPENAI_API_KEY;
+      delete process.env.OPENAI_API_KEY;
+      try {
+        assert.strictEqual(createEmbeddingProvider(undefined).name, 'local');
+        assert.strictEqual(createEmbeddingProvider('stub').name, 'stub');
+        assert.throws(() => createEmbeddingProvider('openai'), /OPENAI_API_KEY/);
+        assert.throws(() => createEmbeddingProvider('nope'), /Unknown embedding provider/);
+      } finally {
+        if (saved !== undefined) process.env.OPENAI_API_KEY = saved;
+      }
+    }
+  },
+  {
+    name: 'OpenAI provider keeps batch results in input order',
+    fn: async () => {
+      const client = {
+        embeddings: {
+          create: async ({ input }) => ({
+            data: [].concat(input).map((text, index) => ({ index, embedding: [text.length] })).reverse()
+          })
+        }
+      };
+      const provider = new OpenAIEmbeddingProvider({ client });
+
+      assert.deepStrictEqual(await provider.embed('abc'), [3]);
+      assert.deepStrictEqual(await provider.embedBatch(['a', 'abcd']), [[1], [4]]);
+    }
+  },
+  {
+    name: 'memory API finds memories by meaning with the local provider',
+    fn: async () => {
+      const api = createAPI();
+      for (const content of CORPUS) {
+        await api.addMemoryInternal(content, {}, 'student');
+      }
+
+      const { memories } = await api.storage.getUserMemories('student');
+      assert.ok(memories.every(m => m.embedding && m.embedding.length === 512));
+
+      const results = await api.findMemories('area under curves', 'student');
+      assert.strictEqual(results[0].content, CORPUS[1]);
+      assert.ok(results[0].similarity < 1);
+    }
+  },
+  {
+    name: 'memory API uses a swapped-in stub and falls back to text search',
+    fn: async () => {
+      const embeddings = new StubEmbeddingProvider({
+        dimensions: 2,
+        vectors: { 'stored fact': [1, 0], 'query': [0, 1] },
+        thresholds: { search: 0.9, context: 0.9 }
+      });
+      const api = createAPI({ embeddings });
+      await api.addMemoryInternal('stored fact', {}, 'student');
+
+      // The stub says nothing is similar, so word overlap takes over
+      const results = await api.findMemories('stored', 'student');
+      assert.deepStrictEqual(embeddings.calls, ['stored fact', 'stored']);
+      assert.strictEqual(results[0].content, 'stored fact');
+      assert.strictEqual((await api.findMemories('query', 'student')).length, 0);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Embedding Provider Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,310 @@
+#!/usr/bin/env node
+// test-events.js - The change feed: publishing, resuming from Last-Event-ID,
+// and the Server-Sent Events stream at /api/events
+
+const assert = require('assert');
+const fs = require('fs');
+const { EventFeed, formatEvent } = require('./event-feed');
+const { CLIENT_FILES } = require('./generate-client');
+const { createAPI } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Runs the API on a free port for the duration of `fn`
+async function withServer(api, fn) {
+  const server = await new Promise(resolve => {
+    const listening = api.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await fn(base);
+  } finally {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+async function post(base, route, token, body) {
+  const res = await fetch(base + route, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: JSON.stringify(body)
+  });
+  return res.json();
+}
+
+// An open event stream; next() resolves with the next parsed event
+async function openStream(base, { token, headers = {}, query = '' } = {}) {
+  const controller = new AbortController();
+  const res = await fetch(`${base}/api/events${query}`, {
+    headers: { ...(token ? { Authorization: `Bearer ${token}` } : {}), ...headers },
+    signal: controller.signal
+  });
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const next = async () => {
+    for (;;) {
+      const end = buffer.indexOf('\n\n');
+      if (end !== -1) {
+        const message = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const event = {};
+        for (const line of message.split('\n')) {
+          const [field, ...rest] = line.split(': ');
+          event[field] = rest.join(': ');
+        }
+        if (!event.event) continue; // retry: and heartbeat comments
+        return { id: event.id, type: event.event, data: JSON.parse(event.data) };
+      }
+      const { value, done } = await reader.read();
+      if (done) throw new Error('Stream ended');
+      buffer += decoder.decode(value, { stream: true });
+    }
+  };
+  return { res, next, close: () => controller.abort() };
+}
+
+// Polls until `condition()` holds, for up to `ms`
+async function until(condition, ms = 10000) {
+  const deadline = Date.now() + ms;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${condition}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+function withTimeout(promise, ms = 2000) {
+  return Promise.race([promise, new Promise((resolve, reject) => setTimeout(() => reject(new Error('Timed out waiting for an event')), ms))]);
+}
+
+const checks = [
+  {
+    name: 'Events reach only their owner and are kept in a bounded log',
+    fn: async () => {
+      const feed = new EventFeed({ logSize: 3 });
+      const received = [];
+      const unsubscribe = feed.subscribe('alice', event => received.push(event.type));
+
+      const first = feed.recordChange('memory', 'created', { id: 'm1', user_id: 'alice', content: 'Limits', embedding: [0.1, 0.2] });
+      assert.deepStrictEqual(first.data, { id: 'm1', user_id: 'alice', content: 'Limits' });
+      feed.recordChange('note', 'created', { id: 'n1', user_id: 'bob', content: 'Not alice\'s' });
+      feed.recordChange('memory', 'deleted', { id: 'm1', user_id: 'alice', content: 'Limits' });
+      assert.deepStrictEqual(received, ['memory.created', 'memory.deleted']);
+
+      unsubscribe();
+      feed.publish('alice', 'note.created', { id: 'n2' });
+      assert.strictEqual(received.length, 2);
+
+      // Resuming from the first event sends what came after it
+      assert.deepStrictEqual(feed.since('alice', first.id).map(event => event.type), ['memory.deleted', 'note.created']);
+      assert.deepStrictEqual(feed.since('bob', feed.lastEventId()), []);
+
+      // Once the log has dropped events after an id, or for ids from another
+      // run, the client has to resync
+      feed.publish('alice', 'note.created', { id: 'n3' });
+      feed.publish('alice', 'note.created', { id: 'n4' });
+      assert.strictEqual(feed.since('alice', first.id), null);
+      assert.strictEqual(feed.since('alice', '0-1'), null);
+      assert.strictEqual(feed.since('alice', 'garbage'), null);
+
+      assert.strictEqual(formatEvent(first), `id: ${first.id}\nevent: memory.created\ndata: {"id":"m1","user_id":"alice","content":"Limits"}\n\n`);
+    }
+  },
+  {
+    name: 'The stream delivers memory, note and mind map changes as they happen',
+    fn: async () => {
+      const api = createAPI();
+      await withServer(api, async base => {
+        const { token } = await post(base, '/api/auth/register', null, { username: 'ada', password: 'correct horse battery' });
+        const { token: otherToken } = await post(base, '/api/auth/register', null, { username: 'bob', password: 'correct horse battery' });
+
+        const stream = await openStream(base, { token });
+        assert.strictEqual(stream.res.status, 200);
+        assert.match(stream.res.headers.get('content-type'), /^text\/event-stream/);
+
+        const { memory } = await post(base, '/api/memory/add', token, { content: 'Derivatives measure rates of change' });
+        await post(base, '/api/notes/add', otherToken, { content: 'Someone else\'s note' });
+        const { note } = await post(base, '/api/notes/add', token, { content: 'Chain rule' });
+        const { node } = await post(base, '/api/mindmap/node', token, { label: 'Calculus' });
+        await fetch(`${base}/api/memory/${memory.id}`, { method: 'DELETE', headers: { Authorization: `Bearer ${token}` } });
+
+        const events = [];
+        for (let i = 0; i < 4; i++) events.push(await withTimeout(stream.next()));
+        assert.deepStrictEqual(events.map(event => `${event.type} ${event.data.id}`), [
+          `memory.created ${memory.id}`,
+          `note.created ${note.id}`,
+          `mindmap.node.created ${node.id}`,
+          `memory.deleted ${memory.id}`
+        ]);
+        assert.strictEqual(events[0].data.content, 'Derivatives measure rates of change');
+        assert.ok(!('embedding' in events[0].data));
+        stream.close();
+
+        const anonymous = await fetch(`${base}/api/events`);
+        assert.strictEqual(anonymous.status, 401);
+      });
+    }
+  },
+  {
+    name: 'Reconnecting with Last-Event-ID replays missed events, or asks for a resync',
+    fn: async () => {
+      const api = createAPI();
+      await withServer(api, async base => {
+        const { token } = await post(base, '/api/auth/register', null, { username: 'ada', password: 'correct horse battery' });
+
+        const first = await openStream(base, { token });
+        await post(base, '/api/memory/add', token, { content: 'Integrals accumulate area' });
+        const seen = await withTimeout(first.next());
+        first.close();
+
+        // Changes made while disconnected
+        await post(base, '/api/notes/add', token, { content: 'Fundamental theorem' });
+        await post(base, '/api/memory/batch/add', token, { memories: [{ content: 'Limits' }, { content: 'Series' }] });
+
+        const resumed = await openStream(base, { token, headers: { 'Last-Event-ID': seen.id } });
+        const missed = [];
+        for (let i = 0; i < 3; i++) missed.push((await withTimeout(resumed.next())).type);
+        assert.deepStrictEqual(missed, ['note.created', 'memory.created', 'memory.created']);
+        resumed.close();
+
+        // EventSource can't send headers: token and last id in the query
+        const fromQuery = await openStream(base, { query: `?access_token=${token}&lastEventId=${seen.id}` });
+        assert.strictEqual((await withTimeout(fromQuery.next())).type, 'note.created');
+        fromQuery.close();
+
+        // An id this server never issued (e.g. from before a restart)
+        const stale = await openStream(base, { token, headers: { 'Last-Event-ID': 'abc-12' } });
+        const resync = await withTimeout(stale.next());
+        assert.deepStrictEqual([resync.type, resync.data.reason, resync.id], ['resync', 'events-missed', api.events.lastEventId()]);
+        stale.close();
+
+        const invalid = await fetch(`${base}/api/events?since=1`, { headers: { Authorization: `Bearer ${token}` } });
+        assert.strictEqual(invalid.status, 400);
+      });
+    }
+  },
+  {
+    name: 'Merges and archiving are published, and closed streams unsubscribe',
+    fn: async () => {
+      const api = createAPI();
+      await withServer(api, async base => {
+        const { token, user } = await post(base, '/api/auth/register', null, { username: 'ada', password: 'correct horse battery' });
+        const { memory: a } = await post(base, '/api/memory/add', token, { content: 'Graph search uses a queue' });
+        const { memory: b } = await post(base, '/api/memory/add', token, { content: 'Graph search uses a queue, breadth first' });
+
+        const stream = await openStream(base, { token });
+        assert.strictEqual(api.events.connections, 1);
+
+        await post(base, '/api/memory/merge', token, { memoryIds: [a.id, b.id], canonicalId: b.id });
+        await api.archiver.archive(b.id, user.id);
+
+        const events = [];
+        for (let i = 0; i < 3; i++) events.push(await withTimeout(stream.next()));
+        assert.deepStrictEqual(events.map(event => `${event.type} ${event.data.id}`), [
+          `memory.updated ${b.id}`,
+          `memory.deleted ${a.id}`,
+          `memory.updated ${b.id}`
+        ]);
+        assert.ok(events[2].data.archived_at);
+
+        stream.close();
+        await until(() => api.events.connections === 0);
+      });
+    }
+  },
+  {
+    name: 'The generated client follows the stream and resumes after a dropped connection',
+    fn: async () => {
+      const api = createAPI();
+      const { MemoryApiClient } = await import(`data:text/javascript,${encodeURIComponent(fs.readFileSync(CLIENT_FILES[0], 'utf8'))}`);
+
+      await withServer(api, async base => {
+        const { token } = await post(base, '/api/auth/register', null, { username: 'ada', password: 'correct horse battery' });
+
+        // Each connection the client opens, with a way to drop it
+        const connections = [];
+        const client = new MemoryApiClient({
+          baseUrl: base,
+          getToken: async () => token,
+          fetch: (url, options) => {
+            const controller = new AbortController();
+            options.signal.addEventListener('abort', () => controller.abort());
+            connections.push({ headers: options.headers, drop: () => controller.abort() });
+            return fetch(url, { ...options, signal: controller.signal });
+          }
+        });
+
+        const received = [];
+        const errors = [];
+        const stop = client.streamEvents(event => received.push(event), { onError: error => errors.push(error) });
+
+        await until(() => api.events.connections === 1);
+        await post(base, '/api/notes/add', token, { content: 'Before the drop' });
+        await until(() => received.length === 1);
+
+        connections[0].drop();
+        await until(() => api.events.connections === 0);
+        await post(base, '/api/notes/add', token, { content: 'While disconnected' });
+
+        // The client waits the server's retry interval, then resumes
+        await until(() => received.length === 2);
+        assert.strictEqual(connections[1].headers['Last-Event-ID'], received[0].id);
+        assert.deepStrictEqual(received.map(event => `${event.type} ${event.data.content}`), ['note.created Before the drop', 'note.created While disconnected']);
+        assert.strictEqual(errors.length, 1);
+
+        stop();
+        await until(() => api.events.connections === 0);
+        assert.strictEqual(connections.length, 2);
+      });
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Change Feed Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,245 @@
+#!/usr/bin/env node
+// test-flashcards.js - Checks for spaced-repetition flashcards: SM-2
+// scheduling, drafting cards from memories and notes, the due queue, review
+// history and streaks, and the API, including reviews feeding concept
+// mastery and the dashboard
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Flashcards, schedule, draftCards } = require('./flashcards');
+const InMemoryStorage = require('./in-memory-storage');
+const LocalMemoryStorage = require('./local-memory-storage');
+const SqliteMemoryStorage = require('./sqlite-memory-storage');
+const { createAPI, caller } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'user_1';
+
+const call = caller({ id: USER, role: 'user' });
+
+function day(date) {
+  return new Date(`${date}T12:00:00Z`);
+}
+
+const checks = [
+  {
+    name: 'SM-2 spaces recalled cards out by their ease and starts lapsed ones over',
+    fn: async () => {
+      let card = { ease: 2.5, interval_days: 0, repetitions: 0, lapses: 0 };
+      const intervals = [];
+      for (const grade of [4, 4, 5, 5]) {
+        card = { ...card, ...schedule(card, grade, day('2026-03-01')) };
+        intervals.push(card.interval_days);
+      }
+      assert.deepStrictEqual(intervals, [1, 6, 15, 39]);
+      assert.strictEqual(card.ease, 2.7);
+      assert.strictEqual(card.due_at, '2026-04-09T12:00:00.000Z');
+
+      card = { ...card, ...schedule(card, 1, day('2026-03-01')) };
+      assert.deepStrictEqual([card.interval_days, card.repetitions, card.lapses, card.ease], [1, 0, 1, 2.16]);
+      for (let i = 0; i < 5; i++) card = { ...card, ...schedule(card, 0, day('2026-03-01')) };
+      assert.strictEqual(card.ease, 1.3, 'the ease never falls below 1.3');
+    }
+  },
+  {
+    name: 'definitions become questions and sentences naming a concept become blanks',
+    fn: async () => {
+      const concepts = [{ key: 'derivative', label: 'Derivatives' }, { key: 'chain rule', label: 'Chain rule' }, { key: 'rule', label: 'Rule' }];
+      const memory = text => ({ kind: 'memory', record: { id: 'm1' }, text });
+
+      assert.deepStrictEqual(draftCards(memory('A derivative is the rate of change of a function. Use the chain rule for nested functions!'), concepts), [
+        { front: 'What is a derivative?', back: 'A derivative is the rate of change of a function.', concept: concepts[0], source: { type: 'memory', id: 'm1' } },
+        { front: 'Use the _____ for nested functions!', back: 'chain rule', concept: concepts[1], source: { type: 'memory', id: 'm1' } }
+      ]);
+      assert.deepStrictEqual(draftCards(memory('An eigenvector means a direction a map only stretches'), []).map(d => [d.front, d.concept]),
+        [['What does an eigenvector mean?', null]]);
+
+      // Pronouns aren't defined, short sentences are skipped, and two cards
+      // are drafted from a document at most
+      assert.deepStrictEqual(draftCards(memory('It is the rate of change of something. Too short. Photosynthesis needs light.'), concepts), []);
+      const long = ['Derivatives measure change.', 'Derivatives of sums add up.', 'Derivatives of constants vanish.'].join(' ');
+      assert.strictEqual(draftCards(memory(long), concepts).length, 2);
+    }
+  },
+  {
+    name: 'the due queue, review history and streaks follow the review log',
+    fn: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flashcards-'));
+      try {
+        const cards = new Flashcards({ storage: new LocalMemoryStorage(dir) });
+        const first = await cards.create(USER, { front: 'd/dx x²', back: '2x' });
+        const second = await cards.create(USER, { front: '∫ 2x dx', back: 'x² + C' });
+        await cards.create('user_2', { front: 'Theirs', back: 'Not yours' });
+
+        const now = new Date();
+        assert.deepStrictEqual((await cards.due(USER, { now })).cards.map(c => c.id), [first.id, second.id]);
+
+        for (const date of ['2026-03-01', '2026-03-02', '2026-03-03', '2026-03-05', '2026-03-06']) {
+          await cards.review(USER, first.id, 4, day(date));
+        }
+        await cards.review(USER, second.id, 2, day('2026-03-06'));
+
+        const reloaded = new Flashcards({ storage: new LocalMemoryStorage(dir) });
+        assert.deepStrictEqual((await reloaded.history(USER, first.id)).map(r => r.interval_days), [1, 6, 15, 38, 95]);
+        const queue = await reloaded.due(USER, { now: day('2026-03-07'), limit: 10 });
+        assert.deepStrictEqual([queue.cards.map(c => c.id), queue.due, queue.next_due_at], [[second.id], 1, '2026-06-09T12:00:00.000Z']);
+
+        const stats = await reloaded.stats(USER, day('2026-03-07'));
+        assert.deepStrictEqual(stats, { cards: 2, due: 1, reviews: 6, reviewed_today: 0, streak: 2, longest_streak: 3 });
+        assert.strictEqual((await reloaded.stats(USER, day('2026-03-08'))).streak, 0, 'a day without reviews ends the streak');
+
+        await reloaded.delete(USER, first.id);
+        assert.strictEqual((await reloaded.stats(USER, day('2026-03-06'))).reviewed_today, 2, 'reviews outlive their card');
+        await assert.rejects(reloaded.review(USER, first.id, 4), /Flashcard not found/);
+        await assert.rejects(reloaded.get('user_2', second.id), /Flashcard not found/);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'reviews of one card arriving together are each scheduled from the one before',
+    fn: async () => {
+      const cards = new Flashcards({ storage: new InMemoryStorage() });
+      const card = await cards.create(USER, { front: 'd/dx sin x', back: 'cos x' });
+      await Promise.all([4, 4, 4].map(grade => cards.review(USER, card.id, grade, day('2026-03-01'))));
+      assert.deepStrictEqual((await cards.history(USER, card.id)).map(r => r.interval_days), [1, 6, 15]);
+      assert.strictEqual((await cards.get(USER, card.id)).repetitions, 3);
+    }
+  },
+  {
+    name: 'flashcards.json from before the cards moved into storage is taken over by the JSON and SQLite backends',
+    fn: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'flashcards-legacy-'));
+      const legacy = {
+        schema_version: 2,
+        cards: [{
+          id: 'card_1', user_id: USER, front: 'What is a limit?', back: 'The value a function approaches', origin: 'generated',
+          source: { type: 'memory', id: 'm1' }, concept_key: 'limit', concept: 'Limits', ease: 2.5, interval_days: 1,
+          repetitions: 1, lapses: 0, due_at: '2026-01-02T00:00:00.000Z', last_reviewed_at: '2026-01-01T00:00:00.000Z',
+          created_at: '2026-01-01T00:00:00.000Z', updated_at: '2026-01-01T00:00:00.000Z'
+        }],
+        reviews: [{ id: 'review_1', user_id: USER, card_id: 'card_1', grade: 4, interval_days: 1, ease: 2.5, reviewed_at: '2026-01-01T00:00:00.000Z' }]
+      };
+      try {
+        for (const Storage of [LocalMemoryStorage, SqliteMemoryStorage]) {
+          const dataDir = path.join(dir, Storage.name);
+          fs.mkdirSync(dataDir);
+          fs.writeFileSync(path.join(dataDir, 'flashcards.json'), JSON.stringify(legacy));
+
+          const storage = new Storage(dataDir);
+          const cards = new Flashcards({ storage });
+          assert.deepStrictEqual(await cards.get(USER, 'card_1'), legacy.cards[0], Storage.name);
+          await cards.review(USER, 'card_1', 5, day('2026-01-02'));
+          if (storage.close) storage.close();
+
+          const reopened = new Flashcards({ storage: new Storage(dataDir) });
+          assert.deepStrictEqual((await reopened.history(USER, 'card_1')).map(r => r.id.startsWith('review_')), [true, true], Storage.name);
+          assert.strictEqual((await reopened.get(USER, 'card_1')).interval_days, 6, Storage.name);
+          if (reopened.storage.close) reopened.storage.close();
+        }
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'the API drafts cards once, and reviews feed concept mastery, events and the dashboard',
+    fn: async () => {
+      const api = createAPI();
+      const events = [];
+      api.events.subscribe(USER, event => events.push(event.type));
+      const memory = await api.storage.addMemory('A derivative is the rate of change of a function.', {}, USER);
+      await api.storage.addMemory('Integrals undo derivatives when the bounds are fixed', {}, USER);
+      const note = await api.storage.addNote('Write down every derivative you meet in class', { title: 'Homework' }, USER);
+
+      let { status, body } = await call(api.generateFlashcards.bind(api), { body: { memoryIds: [memory.id] } });
+      assert.strictEqual(status, 201);
+      assert.deepStrictEqual(body.cards.map(c => [c.front, c.origin, c.concept, c.source.id]), [['What is a derivative?', 'generated', 'Derivative', memory.id]]);
+
+      ({ status, body } = await call(api.generateFlashcards.bind(api)));
+      assert.deepStrictEqual([body.cards.length, body.skipped], [2, 1]);
+      assert.ok(body.cards.some(c => c.source.id === note.id && c.front.includes('_____')));
+      assert.strictEqual((await call(api.generateFlashcards.bind(api), { body: { noteIds: ['missing'] } })).status, 404);
+
+      ({ status, body } = await call(api.createFlashcard.bind(api), { body: { front: 'Power rule?', back: 'n·xⁿ⁻¹', concept: 'derivatives' } }));
+      assert.strictEqual(status, 201);
+      const manual = body.card;
+      assert.deepStrictEqual([manual.origin, manual.concept_key, manual.concept], ['manual', 'derivative', 'derivatives']);
+
+      ({ status, body } = await call(api.getDueFlashcards.bind(api), { query: { limit: '2' } }));
+      assert.deepStrictEqual([body.cards.length, body.due, body.nextDueAt], [2, 4, null]);
+
+      ({ status, body } = await call(api.reviewFlashcard.bind(api), { params: { cardId: manual.id }, body: { grade: 5 } }));
+      assert.deepStrictEqual([body.card.interval_days, body.review.grade, body.mastery.concept_key], [1, 5, 'derivative']);
+      assert.strictEqual(body.mastery.history[0].source, 'quiz');
+      assert.strictEqual((await call(api.reviewFlashcard.bind(api), { params: { cardId: manual.id }, body: { grade: 6 } })).status, 400);
+
+      const metrics = (await call(api.getMetrics.bind(api))).body;
+      assert.deepStrictEqual([metrics.streak, metrics.cardsDue, metrics.reviewsToday], [1, 3, 1]);
+
+      ({ status, body } = await call(api.getFlashcard.bind(api), { params: { cardId: manual.id } }));
+      assert.strictEqual(body.reviews.length, 1);
+      await call(api.updateFlashcard.bind(api), { params: { cardId: manual.id }, body: { back: 'n times x to the n minus one' } });
+      await call(api.deleteFlashcard.bind(api), { params: { cardId: manual.id } });
+      assert.strictEqual((await call(api.getFlashcard.bind(api), { params: { cardId: manual.id } })).status, 404);
+      assert.strictEqual((await call(api.getFlashcardStats.bind(api))).body.stats.streak, 1);
+
+      const flashcardEvents = events.filter(type => type.startsWith('flashcard.'));
+      assert.deepStrictEqual(flashcardEvents, [
+        'flashcard.created', 'flashcard.created', 'flashcard.created', 'flashcard.created',
+        'flashcard.updated', 'flashcard.updated', 'flashcard.deleted'
+      ]);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Flashcard Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
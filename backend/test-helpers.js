@@ -0,0 +1,57 @@
+// test-helpers.js - Fixtures shared by the test files: an API over an
+// in-memory store, calling its handlers as express would, and calling a
+// running server over HTTP
+
+const { AuthService } = require('./auth-service');
+const LocalEmbeddingProvider = require('./local-embedding-provider');
+const InMemoryStorage = require('./in-memory-storage');
+const LocalMemoryAPI = require('./local-memory-api');
+
+// Empty in-memory storage, 512-dimension local embeddings, a fixed token
+// secret and no language model (whatever ANTHROPIC_API_KEY says) unless
+// others are given
+function createAPI({
+  storage = new InMemoryStorage(),
+  embeddings = new LocalEmbeddingProvider({ dimensions: 512 }),
+  adminUsername = null,
+  llm = null
+} = {}) {
+  return new LocalMemoryAPI({
+    storage,
+    storageType: 'memory',
+    embeddings,
+    auth: new AuthService({ secret: 'test-secret', adminUsername }),
+    llm
+  });
+}
+
+// A call(handler, { body, params, query, user }) that calls a handler as
+// express would, signed in as `user` unless the call names another, and
+// resolves to { status, body, headers }
+function caller(user) {
+  return async (handler, { body = {}, params = {}, query = {}, user: as = user } = {}) => {
+    let status = 200;
+    let payload;
+    const headers = {};
+    const res = {
+      status(code) { status = code; return this; },
+      json(data) { payload = data; return this; },
+      send(data) { payload = data; return this; },
+      set(name, value) { headers[name] = value; return this; }
+    };
+    await handler({ body, params, query, user: as, id: 'req_test' }, res);
+    return { status, body: payload, headers };
+  };
+}
+
+// A JSON request to the server listening at `base`, with a bearer token
+async function callServer(base, method, route, token, body) {
+  const res = await fetch(base + route, {
+    method,
+    headers: { 'Content-Type': 'application/json', ...(token ? { Authorization: `Bearer ${token}` } : {}) },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+module.exports = { createAPI, caller, callServer };
@@ -0,0 +1,197 @@
+#!/usr/bin/env node
+// test-hybrid-search.js - BM25 keyword index, rank fusion and the
+// keyword/semantic/hybrid modes of memory search
+
+const assert = require('assert');
+const { Bm25Index, KeywordIndex, reciprocalRankFusion } = require('./keyword-index');
+const { StubEmbeddingProvider } = require('./embedding-provider');
+const { createAPI } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'search_user';
+
+// Calls a route handler directly, without starting the HTTP server
+async function callSearch(api, body) {
+  let status = 200;
+  let payload;
+  const res = {
+    status(code) { status = code; return this; },
+    json(data) { payload = data; return this; }
+  };
+  await api.searchMemories({ body, user: { id: USER } }, res);
+  return { status, body: payload };
+}
+
+const checks = [
+  {
+    name: 'BM25 favours rare terms and shorter documents',
+    fn: async () => {
+      const index = new Bm25Index();
+      index.add('a', 'memory', { id: 'a' }, 'eigenvalues of a matrix');
+      index.add('b', 'memory', { id: 'b' }, 'a matrix is a grid of numbers');
+      index.add('c', 'memory', { id: 'c' }, 'determinants, inverses and ranks are properties of a square matrix studied in linear algebra');
+
+      const results = index.search('matrix eigenvalues', 10);
+      assert.deepStrictEqual(results.map(r => r.key), ['a', 'b', 'c']);
+      assert.deepStrictEqual(results[0].matchedTerms.sort(), ['eigenvalue', 'matrix']);
+      assert.deepStrictEqual(index.search('the of', 10), []);
+    }
+  },
+  {
+    name: 'BM25 index updates and removes documents',
+    fn: async () => {
+      const index = new Bm25Index();
+      index.add('a', 'memory', { id: 'a' }, 'photosynthesis');
+      index.add('a', 'memory', { id: 'a' }, 'respiration');
+      index.add('n', 'note', { id: 'n' }, 'respiration notes');
+
+      assert.deepStrictEqual(index.search('photosynthesis', 10), []);
+      assert.deepStrictEqual(index.search('respiration', 10, { types: ['note'] }).map(r => r.key), ['n']);
+
+      index.remove('a');
+      assert.strictEqual(index.size, 1);
+      assert.strictEqual(index.totalLength, 2);
+    }
+  },
+  {
+    name: 'reciprocal-rank fusion rewards items found by both rankings',
+    fn: async () => {
+      const fused = reciprocalRankFusion({
+        keyword: [{ key: 'x' }, { key: 'both' }],
+        semantic: [{ key: 'y' }, { key: 'both' }]
+      });
+
+      assert.strictEqual(fused[0].key, 'both');
+      assert.deepStrictEqual(fused[0].ranks, { keyword: 2, semantic: 2 });
+      assert.ok(Math.abs(fused[0].score - 2 / 62) < 1e-12);
+    }
+  },
+  {
+    name: 'keyword index builds lazily and discards builds that raced a write',
+    fn: async () => {
+      let loads = 0;
+      let release;
+      const index = new KeywordIndex({
+        loadUser: async () => {
+          loads++;
+          if (loads === 1) await new Promise(resolve => { release = resolve; });
+          return { memories: [{ id: 'm1', user_id: 'u', content: 'old content' }], notes: [] };
+        }
+      });
+
+      const first = index.forUser('u');
+      index.upsertMemory({ id: 'm2', user_id: 'u', content: 'new content' });
+      release();
+      await first;
+      assert.ok(!index.indexes.has('u'));
+
+      const second = await index.forUser('u');
+      assert.strictEqual(loads, 2);
+      assert.strictEqual(second, await index.forUser('u'));
+
+      index.upsertMemory({ id: 'm3', user_id: 'u', content: 'fresh content' });
+      assert.deepStrictEqual(second.search('fresh', 5).map(r => r.record.id), ['m3']);
+    }
+  },
+  {
+    name: 'search modes rank memories and notes with score breakdowns',
+    fn: async () => {
+      const api = createAPI();
+      await api.addMemoryInternal('Integrals compute the area under a curve', {}, USER);
+      await api.addMemoryInternal('The derivative measures the rate of change', {}, USER);
+      await api.addMemoryInternal('Mitochondria are the powerhouse of the cell', {}, USER);
+      const note = await api.storage.addNote('Riemann sums approximate the integral', { title: 'Integration' }, USER);
+      api.keywordIndex.upsertNote(note);
+
+      const keyword = await callSearch(api, { query: 'integral area', mode: 'keyword' });
+      assert.strictEqual(keyword.status, 200);
+      assert.strictEqual(keyword.body.mode, 'keyword');
+      assert.strictEqual(keyword.body.memories[0].content, 'Integrals compute the area under a curve');
+      assert.strictEqual(keyword.body.notes[0].title, 'Integration');
+      assert.strictEqual(keyword.body.memories[0].scores.semantic, null);
+      assert.deepStrictEqual(keyword.body.memories[0].scores.keyword.matchedTerms.sort(), ['area', 'integral']);
+
+      const semantic = await callSearch(api, { query: 'rate of change', mode: 'semantic' });
+      assert.strictEqual(semantic.body.memories[0].content, 'The derivative measures the rate of change');
+      assert.strictEqual(semantic.body.memories[0].scores.keyword, null);
+      assert.strictEqual(semantic.body.notes.length, 0);
+      assert.strictEqual(semantic.body.memories[0].relevanceScore, semantic.body.memories[0].scores.semantic.similarity);
+
+      const hybrid = await callSearch(api, { query: 'integral area', includeNotes: false });
+      const top = hybrid.body.memories[0];
+      assert.strictEqual(hybrid.body.mode, 'hybrid');
+      assert.strictEqual(top.content, 'Integrals compute the area under a curve');
+      assert.strictEqual(top.scores.keyword.rank, 1);
+      assert.strictEqual(top.scores.semantic.rank, 1);
+      assert.strictEqual(top.relevanceScore, top.scores.fused);
+      assert.strictEqual(hybrid.body.notes.length, 0);
+    }
+  },
+  {
+    name: 'search follows updates and deletes, and rejects unknown modes',
+    fn: async () => {
+      const api = createAPI({ embeddings: new StubEmbeddingProvider() });
+      const memory = await api.addMemoryInternal('quantum tunnelling', {}, USER);
+
+      assert.strictEqual((await callSearch(api, { query: 'tunnelling', mode: 'keyword' })).body.memories.length, 1);
+
+      const updated = await api.storage.updateMemory(memory.id, { content: 'classical mechanics' }, USER);
+      api.keywordIndex.upsertMemory(updated);
+      assert.strictEqual((await callSearch(api, { query: 'tunnelling', mode: 'keyword' })).body.memories.length, 0);
+
+      await api.deleteMemory({ params: { memoryId: memory.id }, body: {}, user: { id: USER } }, { json() {}, status() { return this; } });
+      assert.strictEqual((await callSearch(api, { query: 'classical', mode: 'keyword' })).body.memories.length, 0);
+
+      const invalid = await callSearch(api, { query: 'x', mode: 'fuzzy' });
+      assert.strictEqual(invalid.status, 400);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Hybrid Search Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,224 @@
+#!/usr/bin/env node
+// test-importance.js - Importance scores, importance-weighted retrieval and
+// the archive tier
+
+const assert = require('assert');
+const { MemoryImportance } = require('./memory-importance');
+const { ANN_MIN_SIZE } = require('./vector-index');
+const { StubEmbeddingProvider } = require('./embedding-provider');
+const InMemoryStorage = require('./in-memory-storage');
+const { createAPI, caller } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'importance_user';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.parse('2026-06-01T00:00:00Z');
+
+function memoryAt(daysAgo, metadata = {}) {
+  return { created_at: new Date(NOW - daysAgo * DAY_MS).toISOString(), metadata };
+}
+
+const call = caller({ id: USER });
+
+// Backdate a memory, as if it had been saved `days` ago
+async function age(api, memory, days) {
+  return api.storage.updateMemory(memory.id, { created_at: new Date(Date.now() - days * DAY_MS).toISOString() }, memory.user_id);
+}
+
+const checks = [
+  {
+    name: 'scores category, access frequency, recency and pinning',
+    fn: async () => {
+      const importance = new MemoryImportance({ halfLifeDays: 30, archiveThreshold: 0.1 });
+
+      assert.strictEqual(importance.score(memoryAt(0, { category: 'general' }), NOW), 0.3);
+      assert.strictEqual(importance.score(memoryAt(0, { category: 'error_pattern' }), NOW), 0.8);
+      assert.strictEqual(importance.score(memoryAt(0, { category: 'general', access_count: 3 }), NOW), 0.5);
+      assert.strictEqual(importance.score(memoryAt(0, { category: 'fact', access_count: 1000 }), NOW), 1);
+
+      assert.strictEqual(importance.score(memoryAt(30, { category: 'fact' }), NOW), 0.35);
+      assert.strictEqual(importance.score(memoryAt(60, { category: 'fact' }), NOW), 0.175);
+      const used = memoryAt(90, { category: 'fact', last_accessed_at: new Date(NOW).toISOString() });
+      assert.strictEqual(importance.score(used, NOW), 0.7);
+
+      assert.strictEqual(importance.score(memoryAt(365, { pinned: true }), NOW), 1);
+      assert.ok(importance.shouldArchive(memoryAt(120, { category: 'general' }), NOW));
+      assert.ok(!importance.shouldArchive(memoryAt(120, { category: 'general', pinned: true }), NOW));
+      assert.ok(!importance.shouldArchive(memoryAt(10, { category: 'general' }), NOW));
+    }
+  },
+  {
+    name: 'context retrieval favours important memories and records access',
+    fn: async () => {
+      const api = createAPI({
+        embeddings: new StubEmbeddingProvider({
+          thresholds: { search: 0.5, context: 0.5 },
+          vectors: { 'vectors': [1, 0, 0, 0, 0, 0, 0, 0] }
+        })
+      });
+      const trivial = await api.addMemoryInternal('vectors', {}, USER);
+      const mistake = await api.addMemoryInternal('vectors', {}, USER);
+      await api.storage.updateMemory(mistake.id, { metadata: { ...mistake.metadata, category: 'error_pattern' } }, USER);
+      await age(api, trivial, 1);
+
+      const context = await call(api.getContextualMemories.bind(api), { body: { context: { selectedText: 'vectors' } } });
+      assert.deepStrictEqual(context.body.memories.map(m => m.id), [mistake.id, trivial.id]);
+      assert.ok(context.body.memories[0].importance > context.body.memories[1].importance);
+
+      const { memories } = await api.storage.getUserMemories(USER);
+      assert.ok(memories.every(m => m.metadata.access_count === 1 && m.metadata.last_accessed_at));
+    }
+  },
+  {
+    name: 'archives decayed memories and keeps them out of default search',
+    fn: async () => {
+      const api = createAPI();
+      const old = await api.addMemoryInternal('Photosynthesis turns light into chemical energy', {}, USER);
+      const pinned = await api.addMemoryInternal('Photosynthesis happens in chloroplasts', {}, USER);
+      const recent = await api.addMemoryInternal('Photosynthesis releases oxygen', {}, USER);
+      await age(api, old, 400);
+      await age(api, pinned, 400);
+      await call(api.pinMemory.bind(api), { params: { memoryId: pinned.id }, body: {} });
+
+      const dry = await call(api.runArchival.bind(api), { body: { dryRun: true } });
+      assert.deepStrictEqual(dry.body.report.archived.map(m => m.id), [old.id]);
+      assert.strictEqual((await api.storage.getUserMemories(USER)).total, 3);
+
+      const sweep = await call(api.runArchival.bind(api), { body: {} });
+      assert.deepStrictEqual(sweep.body.report.archived.map(m => m.id), [old.id]);
+
+      for (const mode of ['keyword', 'semantic', 'hybrid']) {
+        const search = await call(api.searchMemories.bind(api), { body: { query: 'photosynthesis light energy', mode } });
+        assert.ok(search.body.memories.every(m => m.id !== old.id), `${mode} search returned an archived memory`);
+        const withArchive = await call(api.searchMemories.bind(api), { body: { query: 'photosynthesis light energy', mode, includeArchived: true } });
+        const hit = withArchive.body.memories.find(m => m.id === old.id);
+        assert.ok(hit && hit.archived, `${mode} search missed the archive`);
+      }
+
+      const listed = await call(api.getUserMemories.bind(api), { params: { userId: USER }, query: { tier: 'archived' } });
+      assert.deepStrictEqual(listed.body.memories.map(m => m.id), [old.id]);
+      assert.ok(listed.body.memories[0].archived_at);
+      const active = await call(api.getUserMemories.bind(api), { params: { userId: USER }, query: {} });
+      assert.deepStrictEqual(active.body.memories.map(m => m.id).sort(), [pinned.id, recent.id].sort());
+    }
+  },
+  {
+    name: 'restores archived memories',
+    fn: async () => {
+      const api = createAPI();
+      const memory = await api.addMemoryInternal('Mitosis has four phases', {}, USER);
+      await call(api.archiveMemory.bind(api), { params: { memoryId: memory.id }, body: {} });
+      assert.strictEqual((await api.storage.getUserMemories(USER)).total, 0);
+
+      const restored = await call(api.restoreMemory.bind(api), { params: { memoryId: memory.id }, body: {} });
+      assert.strictEqual(restored.status, 200);
+      assert.strictEqual(restored.body.memory.archived_at, null);
+      assert.strictEqual(restored.body.memory.metadata.access_count, 1);
+
+      const search = await call(api.searchMemories.bind(api), { body: { query: 'mitosis', mode: 'keyword' } });
+      assert.deepStrictEqual(search.body.memories.map(m => m.id), [memory.id]);
+
+      const missing = await call(api.restoreMemory.bind(api), { params: { memoryId: 'nope' }, body: {} });
+      assert.strictEqual(missing.status, 404);
+      const invalid = await call(api.getUserMemories.bind(api), { params: { userId: USER }, query: { tier: 'attic' } });
+      assert.strictEqual(invalid.status, 400);
+    }
+  },
+  {
+    name: 'editing a memory keeps its pin, access counts and merge provenance',
+    fn: async () => {
+      const api = createAPI();
+      const memory = await api.addMemoryInternal('Mitosis has four phases', {}, USER);
+      await call(api.pinMemory.bind(api), { params: { memoryId: memory.id }, body: {} });
+      await api.recordAccess([await api.findMemoryById(memory.id, USER)], USER);
+      const provenance = [{ id: 'old', content: 'Mitosis has phases' }];
+      const current = await api.findMemoryById(memory.id, USER);
+      await api.storage.updateMemory(memory.id, { metadata: { ...current.metadata, merged_from: provenance } }, USER);
+
+      let edited = await call(api.updateMemory.bind(api), { params: { memoryId: memory.id }, body: { content: 'Mitosis has four phases: PMAT' } });
+      assert.strictEqual(edited.status, 200);
+      let { metadata } = edited.body.memory;
+      assert.deepStrictEqual([metadata.pinned, metadata.access_count, metadata.merged_from], [true, 1, provenance]);
+      assert.ok(metadata.last_accessed_at);
+
+      edited = await call(api.updateMemory.bind(api), { params: { memoryId: memory.id }, body: { metadata: { topic: 'biology' } } });
+      ({ metadata } = edited.body.memory);
+      assert.deepStrictEqual([metadata.pinned, metadata.topic, metadata.access_count], [true, 'biology', 1]);
+
+      // Setting a kept key in the body still changes it
+      edited = await call(api.updateMemory.bind(api), { params: { memoryId: memory.id }, body: { metadata: { pinned: false } } });
+      assert.strictEqual(edited.body.memory.metadata.pinned, false);
+    }
+  },
+  {
+    name: 'archived memories drop out of the ANN index',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      const memories = await storage.addMemoriesBatch(
+        Array.from({ length: ANN_MIN_SIZE + 10 }, (_, i) => ({
+          content: `memory ${i}`,
+          embedding: Array.from({ length: 8 }, (_, j) => Math.sin(i * 7 + j)),
+          embedding_model: 'stub:stub'
+        })),
+        USER
+      );
+      const target = memories[42];
+      const [before] = await storage.searchMemories(target.embedding, USER, 0.9, 1, { model: 'stub:stub' });
+      assert.strictEqual(before.id, target.id);
+
+      await storage.updateMemory(target.id, { archived_at: new Date().toISOString() }, USER);
+      const after = await storage.searchMemories(target.embedding, USER, 0.9, 5, { model: 'stub:stub' });
+      assert.ok(after.every(m => m.id !== target.id));
+      const [archived] = await storage.searchMemories(target.embedding, USER, 0.9, 1, { model: 'stub:stub', includeArchived: true });
+      assert.strictEqual(archived.id, target.id);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Importance & Archive Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
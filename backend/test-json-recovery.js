@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+// test-json-recovery.js - Crash recovery checks for the JSON file store
+// Simulates crashes by editing the data files and journal between restarts
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalMemoryStorage = require('./local-memory-storage');
+const { BackupManager } = require('./backup-manager');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'recovery_user';
+
+function freshDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'prisma-recovery-'));
+}
+
+async function contents(dataDir) {
+  const storage = new LocalMemoryStorage(dataDir);
+  await storage.init();
+  const { memories } = await storage.getUserMemories(USER);
+  return memories.map(m => m.content).sort();
+}
+
+const checks = [
+  {
+    name: 'replays journaled writes that never reached the data file',
+    fn: async dataDir => {
+      const storage = new LocalMemoryStorage(dataDir);
+      await storage.addMemory('saved', {}, USER);
+
+      // Crash after the journal append but before memories.json was rewritten
+      const record = {
+        id: 'journaled-only',
+        user_id: USER,
+        content: 'journaled',
+        embedding: null,
+        metadata: {},
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      fs.appendFileSync(path.join(dataDir, 'journal.log'), JSON.stringify({ op: 'upsert', collection: 'memories', record }) + '\n');
+
+      assert.deepStrictEqual(await contents(dataDir), ['journaled', 'saved']);
+      assert.strictEqual(fs.readFileSync(path.join(dataDir, 'journal.log'), 'utf8'), '');
+    }
+  },
+  {
+    name: 'replays a journaled import for one user',
+    fn: async dataDir => {
+      const storage = new LocalMemoryStorage(dataDir);
+      await storage.addMemory('replaced', {}, USER);
+      await storage.addMemory('untouched', {}, 'someone_else');
+
+      // Crash after journaling a restore of USER, before any data file was saved
+      const record = { id: 'imported', user_id: USER, content: 'imported', metadata: {}, created_at: new Date().toISOString() };
+      const data = { memories: [record], notes: [], mindmap: { nodes: [], edges: [] } };
+      fs.appendFileSync(path.join(dataDir, 'journal.log'), JSON.stringify({ op: 'import', userId: USER, data }) + '\n');
+
+      assert.deepStrictEqual(await contents(dataDir), ['imported']);
+      const reopened = new LocalMemoryStorage(dataDir);
+      assert.strictEqual((await reopened.getUserMemories('someone_else')).memories[0].content, 'untouched');
+    }
+  },
+  {
+    name: 'ignores a torn final journal line',
+    fn: async dataDir => {
+      const storage = new LocalMemoryStorage(dataDir);
+      await storage.addMemory('saved', {}, USER);
+      fs.appendFileSync(path.join(dataDir, 'journal.log'), '{"op":"upsert","collection":"memo');
+
+      assert.deepStrictEqual(await contents(dataDir), ['saved']);
+    }
+  },
+  {
+    name: 'recovers a truncated data file from the last good snapshot and journal',
+    fn: async dataDir => {
+      const storage = new LocalMemoryStorage(dataDir);
+      await storage.addMemory('first', {}, USER);
+      await storage.addMemory('second', {}, USER);
+
+      const memoriesFile = path.join(dataDir, 'memories.json');
+      const data = fs.readFileSync(memoriesFile, 'utf8');
+      fs.writeFileSync(memoriesFile, data.slice(0, data.length / 2));
+
+      assert.deepStrictEqual(await contents(dataDir), ['first', 'second']);
+      assert.ok(fs.readdirSync(dataDir).some(name => name.startsWith('memories.json.corrupt-')));
+    }
+  },
+  {
+    name: 'falls back to the newest backup when no previous version exists',
+    fn: async dataDir => {
+      const storage = new LocalMemoryStorage(dataDir);
+      await storage.addMemory('backed up', {}, USER);
+      await new BackupManager({ storage, dir: dataDir }).create();
+      await storage.maybeCompactJournal(true);
+
+      fs.writeFileSync(path.join(dataDir, 'memories.json'), '[{"id":');
+      fs.rmSync(path.join(dataDir, 'memories.json.bak'), { force: true });
+
+      assert.deepStrictEqual(await contents(dataDir), ['backed up']);
+    }
+  },
+  {
+    name: 'overlapping updates and deletes all land, across a restart',
+    fn: async dataDir => {
+      const storage = new LocalMemoryStorage(dataDir);
+      const memory = await storage.addMemory('original', {}, USER);
+      const doomed = await storage.addMemory('doomed', {}, USER);
+      const note = await storage.addNote('draft', {}, USER);
+
+      // Started together, as a search touching memories while they are edited
+      await Promise.all([
+        storage.updateMemory(memory.id, { content: 'edited' }, USER),
+        storage.updateMemory(memory.id, { metadata: { touched: true } }, USER),
+        storage.deleteMemory(doomed.id, USER),
+        assert.rejects(storage.updateMemory(doomed.id, { metadata: { touched: true } }, USER), /Memory not found/),
+        storage.updateNote(note.id, { content: 'final' }, USER),
+        storage.updateNote(note.id, { title: 'Title' }, USER)
+      ]);
+
+      const reloaded = new LocalMemoryStorage(dataDir);
+      await reloaded.init();
+      const { memories } = await reloaded.getUserMemories(USER);
+      assert.deepStrictEqual(memories.map(m => [m.content, m.metadata]), [['edited', { touched: true }]]);
+      const [saved] = await reloaded.getUserNotes(USER);
+      assert.deepStrictEqual([saved.content, saved.title], ['final', 'Title']);
+    }
+  },
+  {
+    name: 'overlapping mind map edits and deletes all land, leaving no dangling edges',
+    fn: async dataDir => {
+      const storage = new LocalMemoryStorage(dataDir);
+      const doomed = await storage.addMindmapNode('Doomed', {}, USER);
+      const kept = await storage.addMindmapNode('Kept', {}, USER);
+      const other = await storage.addMindmapNode('Other', {}, USER);
+      const edge = await storage.addMindmapEdge(kept.id, other.id, {}, USER);
+
+      // Each write is queued behind the one started before it
+      const [added, removed] = await Promise.all([
+        storage.addMindmapEdge(kept.id, doomed.id, {}, USER),
+        storage.deleteMindmapNode(doomed.id, USER),
+        assert.rejects(storage.updateMindmapNode(doomed.id, { label: 'Revived' }, USER), /Mindmap node not found/),
+        assert.rejects(storage.addMindmapEdge(other.id, doomed.id, {}, USER), /Mindmap node not found/),
+        storage.updateMindmapEdge(edge.id, { label: 'leads to' }, USER),
+        storage.updateMindmapNode(kept.id, { label: 'Still here' }, USER)
+      ]);
+      assert.deepStrictEqual(removed.map(e => e.id), [added.id], 'the edge added meanwhile goes with the node');
+
+      const reloaded = new LocalMemoryStorage(dataDir);
+      await reloaded.init();
+      const { nodes, edges } = await reloaded.getUserMindmap(USER);
+      assert.deepStrictEqual(nodes.map(n => n.label).sort(), ['Other', 'Still here']);
+      assert.deepStrictEqual(edges.map(e => [e.id, e.label]), [[edge.id, 'leads to']]);
+    }
+  },
+  {
+    name: 'leaves no temp files behind',
+    fn: async dataDir => {
+      const storage = new LocalMemoryStorage(dataDir);
+      const memory = await storage.addMemory('temp', {}, USER);
+      await storage.updateMemory(memory.id, { content: 'updated' }, USER);
+      await storage.addNote('note', {}, USER);
+      await storage.addMindmapNode('Node', {}, USER);
+
+      assert.deepStrictEqual(fs.readdirSync(dataDir).filter(name => name.endsWith('.tmp')), []);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 JSON Store Recovery Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    const dataDir = freshDir();
+    try {
+      await check.fn(dataDir);
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    } finally {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
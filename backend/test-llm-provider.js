@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+// test-llm-provider.js - Checks for the language model providers, their per
+// use case settings and their use by the chat routes, with no network access
+
+const assert = require('assert');
+const { AnthropicProvider, OpenAICompatibleProvider, MockLLMProvider, useCasesFromEnv, createLLMProvider } = require('./llm-provider');
+const { AuthService } = require('./auth-service');
+const LocalEmbeddingProvider = require('./local-embedding-provider');
+const InMemoryStorage = require('./in-memory-storage');
+const LocalMemoryAPI = require('./local-memory-api');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Runs `fn` with only the given LLM_* and ANTHROPIC_API_KEY variables set
+function withEnv(values, fn) {
+  const saved = {};
+  for (const key of Object.keys(process.env).filter(k => k.startsWith('LLM_') || k === 'ANTHROPIC_API_KEY')) {
+    saved[key] = process.env[key];
+    delete process.env[key];
+  }
+  Object.assign(process.env, values);
+  try {
+    return fn();
+  } finally {
+    for (const key of Object.keys(values)) delete process.env[key];
+    Object.assign(process.env, saved);
+  }
+}
+
+// Records what a provider sends to its SDK client
+function recordingClient(answer) {
+  const requests = [];
+  return {
+    requests,
+    messages: { create: async request => { requests.push(request); return answer; } },
+    chat: { completions: { create: async request => { requests.push(request); return answer; } } }
+  };
+}
+
+// A client whose requests answer with a stream of `events`; `onEvent` runs
+// before each one is handed over
+function streamingClient(events, onEvent = () => {}) {
+  const requests = [];
+  const create = async (request, options) => {
+    requests.push({ request, options });
+    return (async function* () {
+      for (const event of events) {
+        onEvent(event);
+        yield event;
+      }
+    })();
+  };
+  return { requests, messages: { create }, chat: { completions: { create } } };
+}
+
+const checks = [
+  {
+    name: 'factory picks providers by name and by ANTHROPIC_API_KEY',
+    fn: async () => {
+      withEnv({}, () => {
+        assert.strictEqual(createLLMProvider(), null);
+        assert.strictEqual(createLLMProvider('mock').name, 'mock');
+        assert.strictEqual(createLLMProvider('openai-compatible').baseUrl, 'http://localhost:11434/v1');
+        assert.throws(() => createLLMProvider('anthropic'), /ANTHROPIC_API_KEY/);
+        assert.throws(() => createLLMProvider('nope'), /Unknown LLM provider/);
+      });
+      withEnv({ ANTHROPIC_API_KEY: 'sk-test' }, () => {
+        assert.strictEqual(createLLMProvider().name, 'anthropic');
+      });
+      withEnv({ LLM_PROVIDER: 'openai-compatible', LLM_BASE_URL: 'http://127.0.0.1:8080/v1' }, () => {
+        assert.strictEqual(createLLMProvider().describe().baseUrl, 'http://127.0.0.1:8080/v1');
+      });
+    }
+  },
+  {
+    name: 'each use case has its own model, max tokens and temperature',
+    fn: async () => {
+      const provider = new AnthropicProvider({ client: recordingClient() });
+      assert.deepStrictEqual(provider.settings('chat'), { model: 'claude-3-5-sonnet-20241022', maxTokens: 1000, temperature: null });
+      assert.deepStrictEqual(provider.settings('nudge'), { model: 'claude-3-haiku-20240307', maxTokens: 150, temperature: null });
+      assert.throws(() => provider.settings('poetry'), /Unknown LLM use case/);
+
+      const useCases = useCasesFromEnv({ LLM_MODEL: 'llama3.2', LLM_NUDGE_MODEL: 'qwen2.5:0.5b', LLM_SUMMARISE_MAX_TOKENS: '800', LLM_CHAT_TEMPERATURE: '0.2' });
+      const local = new OpenAICompatibleProvider({ client: recordingClient(), useCases });
+      assert.deepStrictEqual(local.describe().models, { chat: 'llama3.2', nudge: 'qwen2.5:0.5b', summarise: 'llama3.2' });
+      assert.deepStrictEqual(local.settings('summarise'), { model: 'llama3.2', maxTokens: 800, temperature: null });
+      assert.strictEqual(local.settings('chat').temperature, 0.2);
+    }
+  },
+  {
+    name: 'Anthropic and OpenAI-compatible requests carry the use case settings',
+    fn: async () => {
+      const anthropicClient = recordingClient({ content: [{ type: 'text', text: 'Hello ' }, { type: 'text', text: 'there' }], usage: { input_tokens: 12, output_tokens: 3 } });
+      const anthropic = new AnthropicProvider({ client: anthropicClient, useCases: { nudge: { temperature: 0.5 } } });
+      const result = await anthropic.complete({ useCase: 'nudge', system: 'Be brief', messages: [{ role: 'user', content: 'Hi' }] });
+      assert.deepStrictEqual(result, { text: 'Hello there', model: 'claude-3-haiku-20240307', usage: { input_tokens: 12, output_tokens: 3 } });
+      assert.deepStrictEqual(anthropicClient.requests[0], {
+        model: 'claude-3-haiku-20240307', max_tokens: 150, temperature: 0.5, system: 'Be brief', messages: [{ role: 'user', content: 'Hi' }]
+      });
+
+      const openaiClient = recordingClient({ choices: [{ message: { content: 'Hi!' } }], usage: { prompt_tokens: 9, completion_tokens: 2 } });
+      const local = new OpenAICompatibleProvider({ client: openaiClient, useCases: { chat: { model: 'llama3.2' } } });
+      const reply = await local.complete({ system: 'Be kind', messages: [{ role: 'user', content: 'Hi' }] });
+      assert.deepStrictEqual(reply, { text: 'Hi!', model: 'llama3.2', usage: { input_tokens: 9, output_tokens: 2 } });
+      // The system prompt becomes the first message; no temperature is sent unless set
+      assert.deepStrictEqual(openaiClient.requests[0], {
+        model: 'llama3.2', max_tokens: 1000, messages: [{ role: 'system', content: 'Be kind' }, { role: 'user', content: 'Hi' }]
+      });
+    }
+  },
+  {
+    name: 'mock provider plays its script, then echoes the question',
+    fn: async () => {
+      const mock = new MockLLMProvider({ responses: ['First', request => `Second to ${request.messages.length} messages`, new Error('overloaded')] });
+      const ask = content => mock.complete({ messages: [{ role: 'user', content }] });
+
+      assert.strictEqual((await ask('a')).text, 'First');
+      assert.strictEqual((await ask('b')).text, 'Second to 1 messages');
+      await assert.rejects(ask('c'), /overloaded/);
+      assert.strictEqual((await ask('What is a limit?')).text, 'Mock reply to: What is a limit?');
+      assert.deepStrictEqual(mock.calls.map(call => call.messages[0].content), ['a', 'b', 'c', 'What is a limit?']);
+      assert.strictEqual(mock.calls[0].model, 'mock');
+    }
+  },
+  {
+    name: 'streamed replies arrive in pieces and can be cancelled',
+    fn: async () => {
+      const anthropicClient = streamingClient([
+        { type: 'message_start', message: { usage: { input_tokens: 10, output_tokens: 1 } } },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hel' } },
+        { type: 'content_block_delta', delta: { type: 'text_delta', text: 'lo' } },
+        { type: 'message_delta', usage: { output_tokens: 4 } }
+      ]);
+      const anthropic = new AnthropicProvider({ client: anthropicClient });
+      const signal = new AbortController().signal;
+      const pieces = [];
+      const result = await anthropic.stream({ messages: [{ role: 'user', content: 'Hi' }], signal }, text => pieces.push(text));
+      assert.deepStrictEqual(pieces, ['Hel', 'lo']);
+      assert.deepStrictEqual(result, { text: 'Hello', model: 'claude-3-5-sonnet-20241022', usage: { input_tokens: 10, output_tokens: 4 } });
+      assert.strictEqual(anthropicClient.requests[0].request.stream, true);
+      assert.strictEqual(anthropicClient.requests[0].options.signal, signal);
+
+      const openaiClient = streamingClient([
+        { choices: [{ delta: { role: 'assistant' } }] },
+        { choices: [{ delta: { content: 'Hi' } }] },
+        { choices: [{ delta: { content: '!' } }] }
+      ]);
+      const local = new OpenAICompatibleProvider({ client: openaiClient });
+      const chunks = [];
+      assert.strictEqual((await local.stream({ system: 'Be kind', messages: [{ role: 'user', content: 'Hi' }] }, text => chunks.push(text))).text, 'Hi!');
+      assert.deepStrictEqual(chunks, ['Hi', '!']);
+      assert.deepStrictEqual(openaiClient.requests[0].request.messages[0], { role: 'system', content: 'Be kind' });
+
+      // Whatever the SDK throws once the signal is aborted, callers see an AbortError
+      const controller = new AbortController();
+      const interrupted = new AnthropicProvider({
+        client: streamingClient([
+          { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Part' } },
+          { type: 'content_block_delta', delta: { type: 'text_delta', text: 'ial' } }
+        ], event => {
+          if (event.delta.text === 'ial') {
+            controller.abort();
+            throw new Error('Request was aborted.');
+          }
+        })
+      });
+      await assert.rejects(interrupted.stream({ messages: [{ role: 'user', content: 'Hi' }], signal: controller.signal }, () => {}), { name: 'AbortError' });
+
+      // The mock streams a word at a time
+      const mock = new MockLLMProvider({ responses: ['One two  three'] });
+      const words = [];
+      await mock.stream({ messages: [{ role: 'user', content: 'Count' }] }, text => words.push(text));
+      assert.deepStrictEqual(words, ['One ', 'two  ', 'three']);
+      const aborted = new AbortController();
+      aborted.abort();
+      await assert.rejects(mock.stream({ messages: [{ role: 'user', content: 'Count' }], signal: aborted.signal }, () => {}), { name: 'AbortError' });
+    }
+  },
+  {
+    name: 'chat routes answer through the configured provider',
+    fn: async () => {
+      const llm = new MockLLMProvider({ fallback: 'Limits describe where a function is heading.' });
+      const api = new LocalMemoryAPI({
+        storage: new InMemoryStorage(),
+        storageType: 'memory',
+        embeddings: new LocalEmbeddingProvider({ dimensions: 512 }),
+        auth: new AuthService({ secret: 'test-secret' }),
+        llm
+      });
+      let status = 200;
+      let payload;
+      const res = {
+        status(code) { status = code; return this; },
+        json(data) { payload = data; return this; }
+      };
+
+      await api.handleChatQuery({ body: { query: 'What is a limit?' }, params: {}, query: {}, user: { id: 'user_1', role: 'user' }, id: 'req_test' }, res);
+      assert.deepStrictEqual([status, payload.answer], [200, 'Limits describe where a function is heading.']);
+      assert.strictEqual(llm.calls[0].maxTokens, 1000);
+      assert.match(llm.calls[0].system, /AI Study Tutor/);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 LLM Provider Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
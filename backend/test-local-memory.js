@@ -1,10 +1,16 @@
 #!/usr/bin/env node
 // test-local-memory.js - Quick test script to verify local memory system is working
+// Backups need the admin role, so start the server with
+// ADMIN_USERNAME=test_user_123 for the backup check to pass.
 
 const axios = require('axios');
 
 const BASE_URL = 'http://localhost:3000';
 const TEST_USER = 'test_user_123';
+const TEST_PASSWORD = 'test_password_123';
+
+// Set by testAuthenticate; the API scopes every call to this account
+let userId = null;
 
 // Colors for console output
 const colors = {
@@ -27,7 +33,7 @@ async function testHealthCheck() {
     log(`✅ Server is healthy!`, 'green');
     log(`   Status: ${response.data.status}`);
     log(`   Storage: ${response.data.storage}`);
-    log(`   OpenAI: ${response.data.openai_enabled ? 'Enabled' : 'Disabled (using text search)'}`);
+    log(`   Embeddings: ${response.data.embeddings.provider} (${response.data.embeddings.model})`);
     return true;
   } catch (error) {
     log(`❌ Health check failed: ${error.message}`, 'red');
@@ -36,13 +42,38 @@ async function testHealthCheck() {
   }
 }
 
+async function testAuthenticate() {
+  log('\n🔑 Testing Authentication...', 'blue');
+  try {
+    const credentials = { username: TEST_USER, password: TEST_PASSWORD };
+    let response;
+    try {
+      response = await axios.post(`${BASE_URL}/api/auth/register`, credentials);
+    } catch (error) {
+      if (!error.response || error.response.status !== 409) throw error;
+      response = await axios.post(`${BASE_URL}/api/auth/login`, credentials);
+    }
+    
+    axios.defaults.headers.common.Authorization = `Bearer ${response.data.token}`;
+    userId = response.data.user.id;
+    
+    const me = await axios.get(`${BASE_URL}/api/auth/me`);
+    log(`✅ Signed in as ${me.data.user.username}!`, 'green');
+    log(`   User ID: ${userId}`);
+    log(`   Role: ${me.data.user.role}`);
+    return me.data.user.id === userId;
+  } catch (error) {
+    log(`❌ Authentication failed: ${error.message}`, 'red');
+    return false;
+  }
+}
+
 async function testAddMemory() {
   log('\n🧠 Testing Add Memory...', 'blue');
   try {
     const response = await axios.post(`${BASE_URL}/api/memory/add`, {
       content: "I am really good at calculus but struggle with discrete mathematics",
       metadata: {
-        userId: TEST_USER,
         source: 'test',
         category: 'learning_preference'
       }
@@ -68,7 +99,6 @@ async function testSearchMemory() {
   try {
     const response = await axios.post(`${BASE_URL}/api/memory/search`, {
       query: "mathematics",
-      userId: TEST_USER,
       limit: 5
     });
     
@@ -97,7 +127,6 @@ async function testAddNote() {
     const response = await axios.post(`${BASE_URL}/api/notes/add`, {
       content: "Remember: Integration by parts formula is ∫u dv = uv - ∫v du",
       metadata: {
-        userId: TEST_USER,
         title: "Calculus Notes",
         url: "https://example.com/calculus"
       }
@@ -122,13 +151,13 @@ async function testGetUserData() {
   log('\n📊 Testing Get User Data...', 'blue');
   try {
     // Get memories
-    const memoriesResponse = await axios.get(`${BASE_URL}/api/memory/user/${TEST_USER}`);
+    const memoriesResponse = await axios.get(`${BASE_URL}/api/memory/user/${userId}`);
     
     // Get notes  
-    const notesResponse = await axios.get(`${BASE_URL}/api/notes/user/${TEST_USER}`);
+    const notesResponse = await axios.get(`${BASE_URL}/api/notes/user/${userId}`);
     
     // Get stats
-    const statsResponse = await axios.get(`${BASE_URL}/api/stats/user/${TEST_USER}`);
+    const statsResponse = await axios.get(`${BASE_URL}/api/stats/user/${userId}`);
     
     log(`✅ User data retrieved successfully!`, 'green');
     log(`   Memories: ${memoriesResponse.data.memories.length}`);
@@ -150,7 +179,6 @@ async function testMindMap() {
     const nodeResponse = await axios.post(`${BASE_URL}/api/mindmap/node`, {
       label: "Calculus",
       metadata: {
-        userId: TEST_USER,
         x: 100,
         y: 100,
         color: "#3B82F6"
@@ -163,7 +191,6 @@ async function testMindMap() {
     const node2Response = await axios.post(`${BASE_URL}/api/mindmap/node`, {
       label: "Integration",
       metadata: {
-        userId: TEST_USER,
         x: 200,
         y: 150,
         color: "#10B981"
@@ -177,13 +204,12 @@ async function testMindMap() {
       sourceNodeId: nodeId,
       targetNodeId: node2Id,
       metadata: {
-        userId: TEST_USER,
         label: "includes"
       }
     });
     
     // Get the mind map
-    const mindmapResponse = await axios.get(`${BASE_URL}/api/mindmap/user/${TEST_USER}`);
+    const mindmapResponse = await axios.get(`${BASE_URL}/api/mindmap/user/${userId}`);
     
     log(`✅ Mind map operations successful!`, 'green');
     log(`   Nodes: ${mindmapResponse.data.mindmap.nodes.length}`);
@@ -203,7 +229,17 @@ async function testFileStorage() {
   
   try {
     const dataDir = path.join(__dirname, 'data');
-    const files = ['memories.json', 'notes.json', 'mindmap.json'];
+    const health = await axios.get(`${BASE_URL}/health`);
+    const filesByStorage = {
+      json: ['memories.json', 'notes.json', 'mindmap.json', 'auth.json'],
+      sqlite: ['prisma.db', 'auth.json']
+    };
+    const files = filesByStorage[health.data.storage];
+    
+    if (!files) {
+      log(`   ⏭️ ${health.data.storage} storage keeps no local data files`, 'yellow');
+      return true;
+    }
     
     let filesExist = 0;
     for (const file of files) {
@@ -233,18 +269,22 @@ async function testFileStorage() {
 async function testBackup() {
   log('\n💾 Testing Backup System...', 'blue');
   try {
-    const response = await axios.post(`${BASE_URL}/api/backup`);
+    const response = await axios.post(`${BASE_URL}/api/backups`);
     
     if (response.data.success) {
+      const listed = await axios.get(`${BASE_URL}/api/backups`);
       log(`✅ Backup created successfully!`, 'green');
-      log(`   Backup file: ${response.data.backupFile}`);
-      return true;
+      log(`   Backup: ${response.data.backup.id} (${response.data.backup.counts.memories} memories)`);
+      return listed.data.backups.some(backup => backup.id === response.data.backup.id);
     } else {
       log(`❌ Backup failed`, 'red');
       return false;
     }
   } catch (error) {
     log(`❌ Backup test failed: ${error.message}`, 'red');
+    if (error.response && error.response.status === 403) {
+      log(`   Backups need the admin role: restart the server with ADMIN_USERNAME=${TEST_USER}`, 'yellow');
+    }
     return false;
   }
 }
@@ -255,6 +295,7 @@ async function runAllTests() {
   
   const tests = [
     { name: 'Health Check', fn: testHealthCheck },
+    { name: 'Authentication', fn: testAuthenticate },
     { name: 'Add Memory', fn: testAddMemory },
     { name: 'Search Memory', fn: testSearchMemory },
     { name: 'Add Note', fn: testAddNote },
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// test-mindmap-graph.js - Checks for the queries over a stored mind map
+// (neighbourhoods, prerequisite paths and cycles) and for editing it through
+// the API: merging nodes, cascading deletes and edge validation
+
+const assert = require('assert');
+const { neighbours, prerequisitePath, prerequisiteCycles, planMerge } = require('./mindmap-graph');
+const { createAPI, caller } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'user_1';
+
+// A mind map from 'a>b' (prerequisite), 'a-b' (related) and 'a~b'
+// (example-of) edges, with nodes named after their ids
+function graph(...specs) {
+  const types = { '>': 'prerequisite', '-': 'related', '~': 'example-of' };
+  const ids = new Set();
+  const edges = specs.map((spec, i) => {
+    const [, source, symbol, target, weight] = spec.match(/^(\w+)([>~-])(\w+)(?::(\d+))?$/);
+    ids.add(source).add(target);
+    return { id: `e${i + 1}`, source_node_id: source, target_node_id: target, type: types[symbol], weight: Number(weight || 1) };
+  });
+  return { nodes: [...ids].sort().map(id => ({ id, label: id })), edges };
+}
+
+const call = caller({ id: USER, role: 'user' });
+
+const checks = [
+  {
+    name: 'neighbours are found within the hop limit in either direction, optionally by edge type',
+    fn: async () => {
+      const mindmap = graph('a>b', 'b>c', 'c>d', 'e-b', 'f~a');
+
+      const near = neighbours(mindmap, 'b');
+      assert.deepStrictEqual(near.nodes.map(n => [n.id, n.hops]), [['b', 0], ['a', 1], ['c', 1], ['e', 1]]);
+      assert.deepStrictEqual(near.edges.map(e => e.id), ['e1', 'e2', 'e4']);
+
+      const far = neighbours(mindmap, 'b', { hops: 2 });
+      assert.deepStrictEqual(far.nodes.map(n => n.id).sort(), ['a', 'b', 'c', 'd', 'e', 'f']);
+
+      const prerequisites = neighbours(mindmap, 'b', { hops: 5, type: 'prerequisite' });
+      assert.deepStrictEqual(prerequisites.nodes.map(n => n.id), ['b', 'a', 'c', 'd']);
+      assert.ok(prerequisites.edges.every(e => e.type === 'prerequisite'));
+    }
+  },
+  {
+    name: 'the prerequisite path is the shortest chain that follows edge direction',
+    fn: async () => {
+      const mindmap = graph('a>b', 'b>c', 'c>d', 'a>x', 'x>d', 'd-e');
+
+      const path = prerequisitePath(mindmap, 'a', 'd');
+      assert.deepStrictEqual(path.nodes.map(n => n.id), ['a', 'x', 'd']);
+      assert.deepStrictEqual(path.edges.map(e => e.id), ['e4', 'e5']);
+
+      assert.strictEqual(prerequisitePath(mindmap, 'd', 'a'), null, 'prerequisites run one way');
+      assert.strictEqual(prerequisitePath(mindmap, 'a', 'e'), null, 'related edges are not prerequisites');
+      assert.deepStrictEqual(prerequisitePath(mindmap, 'b', 'b'), { nodes: [{ id: 'b', label: 'b' }], edges: [] });
+    }
+  },
+  {
+    name: 'one shortest cycle is reported for each tangle of prerequisites',
+    fn: async () => {
+      assert.deepStrictEqual(prerequisiteCycles(graph('a>b', 'b>c', 'a>c', 'c-a')), []);
+
+      const cycles = prerequisiteCycles(graph('a>b', 'b>c', 'c>a', 'b>a', 'd>e', 'e>d', 'f>f', 'c>g'));
+      const described = cycles.map(cycle => cycle.nodes.map(n => n.id).join('>')).sort();
+      assert.deepStrictEqual(described, ['a>b', 'd>e', 'f']);
+      for (const { nodes, edges } of cycles) {
+        assert.strictEqual(nodes.length, edges.length);
+        edges.forEach((edge, i) => {
+          assert.strictEqual(edge.source_node_id, nodes[i].id);
+          assert.strictEqual(edge.target_node_id, nodes[(i + 1) % nodes.length].id);
+        });
+      }
+    }
+  },
+  {
+    name: 'merging moves edges onto the kept node, dropping self-loops and duplicates',
+    fn: async () => {
+      // Merging b into a: a-b becomes a loop, c-b repeats a-c (the heavier
+      // weight wins), b>d moves, and d~b stays distinct from a~d
+      const mindmap = graph('a-b', 'a-c:1', 'c-b:4', 'b>d', 'a~d', 'd~b');
+      const { moves, deletes } = planMerge(mindmap, 'a', ['b']);
+
+      assert.deepStrictEqual(deletes.map(e => e.id), ['e1', 'e3']);
+      assert.deepStrictEqual(moves.map(({ edge, changes }) => [edge.id, changes]), [
+        ['e2', { weight: 4 }],
+        ['e4', { source_node_id: 'a', target_node_id: 'd' }],
+        ['e6', { source_node_id: 'd', target_node_id: 'a' }]
+      ]);
+    }
+  },
+  {
+    name: 'the API merges nodes, cascades deletes and answers graph queries',
+    fn: async () => {
+      const api = createAPI();
+      const add = async label => (await call(api.addMindmapNode.bind(api), { body: { label } })).body.node;
+      const [limits, derivatives, differentials, integrals] = await Promise.all(['Limits', 'Derivatives', 'Differentials', 'Integrals'].map(add));
+      const link = async (source, target, type, weight) =>
+        (await call(api.addMindmapEdge.bind(api), { body: { sourceNodeId: source.id, targetNodeId: target.id, type, metadata: weight ? { weight } : {} } })).body.edge;
+
+      await link(limits, derivatives, 'prerequisite');
+      await link(limits, differentials, 'prerequisite', 3);
+      await link(differentials, integrals, 'prerequisite');
+      assert.strictEqual((await call(api.addMindmapEdge.bind(api), { body: { sourceNodeId: limits.id, targetNodeId: limits.id } })).status, 400);
+      assert.strictEqual((await call(api.addMindmapEdge.bind(api), { body: { sourceNodeId: limits.id, targetNodeId: 'missing' } })).status, 404);
+
+      let { status, body } = await call(api.getPrerequisitePath.bind(api), { query: { from: limits.id, to: integrals.id } });
+      assert.deepStrictEqual(body.path.nodes.map(n => n.label), ['Limits', 'Differentials', 'Integrals']);
+
+      ({ status, body } = await call(api.mergeMindmapNodes.bind(api), { params: { nodeId: derivatives.id }, body: { nodeIds: [differentials.id] } }));
+      assert.strictEqual(status, 200);
+      assert.deepStrictEqual(body.node.metadata.merged_from, [{ id: differentials.id, label: 'Differentials' }]);
+      const { mindmap } = (await call(api.getUserMindmap.bind(api), { params: { userId: USER } })).body;
+      assert.deepStrictEqual(mindmap.nodes.map(n => n.label).sort(), ['Derivatives', 'Integrals', 'Limits']);
+      assert.deepStrictEqual(mindmap.edges.map(e => [e.source_node_id, e.target_node_id, e.weight]).sort(), [
+        [derivatives.id, integrals.id, 1],
+        [limits.id, derivatives.id, 3]
+      ].sort());
+      ({ status } = await call(api.mergeMindmapNodes.bind(api), { params: { nodeId: derivatives.id }, body: { nodeIds: [derivatives.id] } }));
+      assert.strictEqual(status, 400);
+
+      ({ status, body } = await call(api.getMindmapNeighbours.bind(api), { params: { nodeId: limits.id }, query: { hops: '2' } }));
+      assert.deepStrictEqual(body.nodes.map(n => [n.label, n.hops]), [['Limits', 0], ['Derivatives', 1], ['Integrals', 2]]);
+
+      await link(integrals, limits, 'prerequisite');
+      ({ status, body } = await call(api.getPrerequisiteCycles.bind(api)));
+      assert.deepStrictEqual(body.cycles.map(c => c.nodes.length), [3]);
+
+      ({ status, body } = await call(api.deleteMindmapNode.bind(api), { params: { nodeId: integrals.id } }));
+      assert.strictEqual(body.deletedEdges.length, 2);
+      assert.deepStrictEqual((await call(api.getPrerequisiteCycles.bind(api))).body.cycles, []);
+      assert.strictEqual((await call(api.deleteMindmapNode.bind(api), { params: { nodeId: integrals.id } })).status, 404);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Mind Map Graph Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
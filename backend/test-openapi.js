@@ -0,0 +1,321 @@
+#!/usr/bin/env node
+// test-openapi.js - The OpenAPI document against the routes the server
+// registers, the generated client against the document, and live responses
+// against their schemas
+
+const assert = require('assert');
+const fs = require('fs');
+const { MockLLMProvider } = require('./llm-provider');
+const { OPERATIONS, createOpenApiDocument, toOpenApiPath, handlerOf } = require('./openapi');
+const { CLIENT_FILES, generateClient } = require('./generate-client');
+const { REQUEST_SCHEMAS } = require('./request-schemas');
+const { validateValue } = require('./request-validation');
+const { createAPI } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// 'METHOD /path' => handler name, for every route express knows about
+function registeredRoutes(api) {
+  const routes = new Map();
+  for (const layer of api.app._router.stack) {
+    if (!layer.route) continue;
+    const last = layer.route.stack[layer.route.stack.length - 1];
+    for (const method of Object.keys(layer.route.methods)) {
+      routes.set(`${method} ${layer.route.path}`, last.handle.name.replace(/^bound /, ''));
+    }
+  }
+  return routes;
+}
+
+// A schema with every $ref replaced by what it points to
+function resolveRefs(document, schema) {
+  if (Array.isArray(schema)) return schema.map(item => resolveRefs(document, item));
+  if (schema === null || typeof schema !== 'object') return schema;
+  if (schema.$ref) {
+    const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node[key], document);
+    return resolveRefs(document, target);
+  }
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [key, resolveRefs(document, value)]));
+}
+
+// The document's operation for a request, preferring literal path segments
+// over parameters ('/api/memory/merge' over '/api/memory/{memoryId}')
+function findOperation(document, method, pathname) {
+  const candidates = Object.entries(document.paths)
+    .filter(([route, operations]) => operations[method] && new RegExp(`^${route.replace(/\{\w+\}/g, '[^/]+')}$`).test(pathname))
+    .sort(([a], [b]) => (a.match(/\{/g) || []).length - (b.match(/\{/g) || []).length);
+  return candidates.length > 0 ? candidates[0][1][method] : null;
+}
+
+// fetch() that checks every response body against the document
+function checkingFetch(document, problems) {
+  return async (url, options) => {
+    const response = await fetch(url, options);
+    const { pathname } = new URL(url);
+    const method = options.method.toLowerCase();
+    const operation = findOperation(document, method, pathname);
+    if (!operation) {
+      problems.push(`${method} ${pathname}: not in the document`);
+      return response;
+    }
+
+    const described = resolveRefs(document, operation.responses[response.status] || operation.responses.default);
+    if (!described.content['application/json']) {
+      return response; // Event streams are checked in test-events.js
+    }
+    const schema = described.content['application/json'].schema;
+    const body = await response.clone().json();
+    for (const { field, message } of validateValue(schema, body)) {
+      problems.push(`${operation.operationId} ${response.status}: ${field || 'body'} ${message}`);
+    }
+    return response;
+  };
+}
+
+async function importClient() {
+  return import(`data:text/javascript,${encodeURIComponent(fs.readFileSync(CLIENT_FILES[0], 'utf8'))}`);
+}
+
+const checks = [
+  {
+    name: 'Every registered route is described, and every described route is registered',
+    fn: async () => {
+      const routes = registeredRoutes(createAPI());
+      const described = new Map(OPERATIONS.map(operation => [`${operation.method} ${operation.path}`, operation]));
+
+      const undocumented = [...routes.keys()].filter(route => !described.has(route));
+      const missing = [...described.keys()].filter(route => !routes.has(route));
+      assert.deepStrictEqual({ undocumented, missing }, { undocumented: [], missing: [] });
+
+      for (const [route, operation] of described) {
+        if (handlerOf(operation) !== null) {
+          assert.strictEqual(routes.get(route), handlerOf(operation), `${route} is served by ${routes.get(route)}`);
+        }
+      }
+
+      const operationIds = OPERATIONS.map(operation => operation.operationId);
+      assert.strictEqual(new Set(operationIds).size, operationIds.length, 'operationIds are unique');
+    }
+  },
+  {
+    name: 'Handlers have a request schema and path parameters match the route',
+    fn: async () => {
+      const document = createOpenApiDocument();
+      for (const operation of OPERATIONS) {
+        const handler = handlerOf(operation);
+        if (handler === null) continue;
+        assert.ok(REQUEST_SCHEMAS[handler], `${handler} has a request schema`);
+
+        const route = toOpenApiPath(operation.path);
+        const described = document.paths[route][operation.method];
+        const inPath = described.parameters.filter(p => p.in === 'path').map(p => p.name);
+        assert.deepStrictEqual(inPath, [...route.matchAll(/\{(\w+)\}/g)].map(match => match[1]), route);
+
+        // Parameters the schema knows but the route can't carry
+        const params = REQUEST_SCHEMAS[handler].params;
+        for (const name of (params && params.required) || []) {
+          assert.ok(inPath.includes(name), `${route} is missing :${name}`);
+        }
+      }
+    }
+  },
+  {
+    name: 'The generated clients are up to date',
+    fn: async () => {
+      const source = generateClient(createOpenApiDocument());
+      for (const file of CLIENT_FILES) {
+        assert.ok(fs.readFileSync(file, 'utf8') === source, `${file} is stale; run npm run generate:client`);
+      }
+
+      const { MemoryApiClient } = await importClient();
+      for (const operation of OPERATIONS) {
+        assert.strictEqual(typeof MemoryApiClient.prototype[operation.operationId], 'function', operation.operationId);
+      }
+    }
+  },
+  {
+    name: 'Responses through the generated client match the document',
+    fn: async () => {
+      const api = createAPI({ adminUsername: 'ada' });
+      // The client test registers a webhook on 127.0.0.1
+      api.webhooks.allowPrivate = true;
+      const server = await new Promise(resolve => {
+        const listening = api.app.listen(0, '127.0.0.1', () => resolve(listening));
+      });
+      const document = createOpenApiDocument();
+      const problems = [];
+      const { MemoryApiClient, MemoryApiError } = await importClient();
+      let token = null;
+      const client = new MemoryApiClient({
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        getToken: async () => token,
+        fetch: checkingFetch(document, problems)
+      });
+
+      try {
+        const served = await client.getOpenApiDocument();
+        assert.deepStrictEqual(served, JSON.parse(JSON.stringify(document)));
+        assert.strictEqual((await client.getHealth()).status, 'healthy');
+
+        const session = await client.register({ username: 'ada', password: 'correct horse battery' });
+        token = session.token;
+        const userId = session.user.id;
+        await client.getCurrentUser();
+        await client.createApiToken({ name: 'cli' });
+        await client.listApiTokens();
+
+        const { memory } = await client.addMemory({ content: 'Derivatives measure rates of change', metadata: { category: 'concept' } });
+        await client.addMemory({ content: 'Integrals accumulate area under a curve' });
+        await client.addMemoriesBatch({ memories: [{ content: 'Limits underpin calculus' }] });
+        await client.searchMemories({ query: 'rates of change', mode: 'keyword' });
+        await client.getContextualMemories({ context: { pageTitle: 'Calculus' } });
+        assert.strictEqual((await client.getUserMemories(userId, { limit: 2 })).memories.length, 2);
+        await client.updateMemory(memory.id, { content: 'Derivatives measure instantaneous rates of change' });
+        await client.pinMemory(memory.id);
+        await client.listMemoryRevisions(memory.id);
+        await client.diffMemoryRevisions(memory.id);
+        await client.revertMemory(memory.id, { revision: 1 });
+        await client.archiveMemory(memory.id);
+        await client.restoreMemory(memory.id);
+
+        const { note } = await client.addNote({ content: 'Chain rule: f(g(x))' });
+        await client.updateNote(note.id, { title: 'Chain rule' });
+        await client.getUserNotes(userId, { limit: 10 });
+        await client.deleteNote(note.id);
+        await client.getTrash(userId);
+        await client.restoreFromTrash('note', note.id);
+
+        const { node: first } = await client.addMindmapNode({ label: 'Derivatives' });
+        const { node: second } = await client.addMindmapNode({ label: 'Integrals', metadata: { x: 10, y: 20 } });
+        const { node: third } = await client.addMindmapNode({ label: 'Differentials' });
+        const { edge } = await client.addMindmapEdge({ sourceNodeId: first.id, targetNodeId: second.id, type: 'prerequisite' });
+        await client.addMindmapEdge({ sourceNodeId: third.id, targetNodeId: second.id });
+        await client.updateMindmapEdge(edge.id, { weight: 2 });
+        await client.updateMindmapNode(first.id, { x: 5, y: 5, pinned: true });
+        await client.getConceptDocuments(first.id, { limit: 5 });
+        await client.getConceptDocuments('concept:derivative');
+        assert.strictEqual((await client.getPrerequisitePath({ from: first.id, to: second.id })).path.edges.length, 1);
+        assert.strictEqual((await client.getPrerequisitePath({ from: second.id, to: first.id })).path, null);
+        await client.getPrerequisiteCycles();
+        await client.recordMasteryEvidence({ nodeId: first.id, source: 'self-rating', rating: 3 });
+        await client.recordMasteryEvidence({ concept: 'Integrals', source: 'quiz', correct: true });
+        assert.strictEqual((await client.listConceptMastery()).concepts.length, 2);
+        const { card } = await client.createFlashcard({ front: 'What is a derivative?', back: 'A rate of change', concept: 'Derivatives' });
+        await client.generateFlashcards({});
+        await client.listFlashcards({ limit: 10 });
+        await client.getDueFlashcards({ limit: 5 });
+        assert.strictEqual((await client.reviewFlashcard(card.id, { grade: 4 })).mastery.concept_key, 'derivative');
+        await client.updateFlashcard(card.id, { back: 'The rate of change of a function' });
+        assert.strictEqual((await client.getFlashcard(card.id)).reviews.length, 1);
+        assert.strictEqual((await client.getFlashcardStats()).stats.streak, 1);
+        await client.deleteFlashcard(card.id);
+        await client.getMindmapNeighbours(first.id, { hops: 2, type: 'prerequisite' });
+        await client.mergeMindmapNodes(first.id, { nodeIds: [third.id] });
+        await client.getUserMindmap(userId);
+        await client.getMindMap();
+        const { node: spare } = await client.addMindmapNode({ label: 'Spare' });
+        const { edge: spareEdge } = await client.addMindmapEdge({ sourceNodeId: spare.id, targetNodeId: second.id, type: 'example-of' });
+        await client.deleteMindmapEdge(spareEdge.id);
+        await client.deleteMindmapNode(spare.id);
+
+        // Nothing listens on the discard port, so deliveries stay pending
+        const { webhook } = await client.createWebhook({ url: 'http://127.0.0.1:9/hooks', events: ['memory.*'] });
+        assert.ok(webhook.secret.startsWith('whsec_'));
+        await client.updateWebhook(webhook.id, { description: 'Study wiki', active: true });
+        await client.listWebhooks();
+        await client.getWebhook(webhook.id);
+        await client.rotateWebhookSecret(webhook.id);
+        await client.pingWebhook(webhook.id);
+        await client.listWebhookDeliveries(webhook.id, { status: 'pending' });
+        await client.listDeadLetters();
+        await client.deleteWebhook(webhook.id);
+
+        api.llm = new MockLLMProvider({ fallback: 'Derivatives are rates of change [1].' });
+        const { session: chat } = await client.createChatSession({});
+        const { reply } = await client.sendChatMessage(chat.id, { content: 'What do derivatives measure?' });
+        assert.ok(reply.citations.length > 0);
+        const streamed = [];
+        await client.streamChatMessage(chat.id, { content: 'And integrals?' }, event => streamed.push(event.type));
+        assert.deepStrictEqual([streamed[0], streamed[streamed.length - 1]], ['sources', 'done']);
+        await client.renameChatSession(chat.id, { title: 'Derivatives' });
+        await client.listChatSessions();
+        const { session: fork } = await client.forkChatSession(chat.id, { messageId: reply.id });
+        await client.getChatSession(fork.id);
+        await client.deleteChatSession(fork.id);
+        await client.getMetrics();
+        await client.getUserStats(userId);
+        await client.consolidateMemories();
+
+        // ada is ADMIN_USERNAME, so the admin
+        await client.getSchemaReport();
+        await client.getReembedStatus();
+        await client.getConsolidationReport();
+
+        await assert.rejects(client.deleteMemory('missing'), error => {
+          assert.ok(error instanceof MemoryApiError);
+          assert.deepStrictEqual([error.status, error.code], [404, 'NOT_FOUND']);
+          assert.match(error.requestId, /^req_/);
+          return true;
+        });
+        await assert.rejects(client.addMemory({ content: '' }), error => {
+          assert.deepStrictEqual(error.details, [{ location: 'body', field: 'content', message: 'must not be blank' }]);
+          return true;
+        });
+        token = null;
+        await assert.rejects(client.getCurrentUser(), { status: 401, code: 'UNAUTHORIZED' });
+      } finally {
+        api.webhooks.stop();
+        await new Promise(resolve => server.close(resolve));
+      }
+
+      assert.deepStrictEqual(problems, []);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 OpenAPI Contract Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+// test-reembed.js - Embedding model tracking and the resumable re-embedding job
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StubEmbeddingProvider } = require('./embedding-provider');
+const InMemoryStorage = require('./in-memory-storage');
+const ReembedJob = require('./reembed-job');
+const { createAPI, caller } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'reembed_user';
+
+const call = caller({ id: USER });
+
+async function seed(storage, count) {
+  const api = createAPI({ storage, embeddings: new StubEmbeddingProvider({ model: 'old', dimensions: 8 }) });
+  for (let i = 0; i < count; i++) {
+    await api.addMemoryInternal(`memory number ${i}`, {}, USER);
+  }
+}
+
+const checks = [
+  {
+    name: 'tags memories with the model that embedded them',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      const api = createAPI({ storage, embeddings: new StubEmbeddingProvider({ model: 'old', dimensions: 8 }) });
+      const memory = await api.addMemoryInternal('Ohm\'s law relates voltage and current', {}, USER);
+
+      const { memories: [stored] } = await storage.getUserMemories(USER, 1, 0);
+      assert.strictEqual(stored.id, memory.id);
+      assert.strictEqual(stored.embedding_model, 'stub:old');
+      assert.strictEqual(stored.embedding_dimensions, 8);
+      assert.strictEqual(await storage.countStaleEmbeddings('stub:old'), 0);
+      assert.strictEqual(await storage.countStaleEmbeddings('stub:new'), 1);
+    }
+  },
+  {
+    name: 'switching models skips stale vectors and reports them',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      await seed(storage, 3);
+      const api = createAPI({ storage, embeddings: new StubEmbeddingProvider({ model: 'new', dimensions: 12 }) });
+
+      const search = await call(api.searchMemories.bind(api), { body: { query: 'memory number 1', mode: 'semantic' } });
+      assert.strictEqual(search.status, 200);
+      assert.strictEqual(search.body.memories.length, 0);
+      assert.strictEqual(search.body.staleEmbeddings, 3);
+
+      const status = await call(api.getReembedStatus.bind(api));
+      assert.strictEqual(status.body.model, 'stub:new');
+      assert.strictEqual(status.body.stale, 3);
+      assert.strictEqual(status.body.job.status, 'idle');
+    }
+  },
+  {
+    name: 're-embeds every stale memory in batches',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      await seed(storage, 7);
+      const api = createAPI({ storage, embeddings: new StubEmbeddingProvider({ model: 'new', dimensions: 12 }) });
+      api.reembedJob.batchSize = 3;
+
+      const started = await call(api.startReembed.bind(api));
+      assert.strictEqual(started.status, 202);
+      assert.strictEqual(started.body.job.total, 7);
+      await api.reembedJob.running;
+
+      const job = api.reembedJob.status();
+      assert.strictEqual(job.status, 'completed');
+      assert.strictEqual(job.processed, 7);
+      assert.strictEqual(job.progress, 1);
+      assert.strictEqual(await storage.countStaleEmbeddings('stub:new'), 0);
+
+      const search = await call(api.searchMemories.bind(api), { body: { query: 'memory number 1', mode: 'semantic' } });
+      assert.ok(search.body.memories.length > 0);
+      assert.strictEqual(search.body.staleEmbeddings, 0);
+    }
+  },
+  {
+    name: 'pauses and resumes from the saved cursor',
+    fn: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prisma-reembed-'));
+      const stateFile = path.join(dir, 'reembed-state.json');
+      try {
+        const storage = new InMemoryStorage();
+        await seed(storage, 6);
+
+        let embedded = 0;
+        const first = new ReembedJob({
+          storage,
+          model: 'stub:new',
+          stateFile,
+          batchSize: 2,
+          embed: async () => {
+            if (++embedded === 3) first.pauseRequested = true;
+            return [1, 0, 0, 0];
+          }
+        });
+        await first.start();
+        await first.running;
+        const paused = first.status();
+        assert.strictEqual(paused.status, 'paused');
+        assert.strictEqual(paused.processed, 3);
+        assert.strictEqual(await storage.countStaleEmbeddings('stub:new'), 3);
+
+        // A fresh job (as after a restart) carries on instead of starting over
+        const second = new ReembedJob({ storage, model: 'stub:new', stateFile, batchSize: 2, embed: async () => [0, 1, 0, 0] });
+        const resumed = await second.start();
+        assert.strictEqual(resumed.processed, 3);
+        await second.running;
+        assert.strictEqual(second.status().status, 'completed');
+        assert.strictEqual(second.status().processed, 6);
+        assert.strictEqual(await storage.countStaleEmbeddings('stub:new'), 0);
+
+        const saved = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+        assert.strictEqual(saved.status, 'completed');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'records failures and moves on',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      await seed(storage, 4);
+      const job = new ReembedJob({
+        storage,
+        model: 'stub:new',
+        embed: async text => {
+          if (text.endsWith('2')) throw new Error('rate limited');
+          return [1, 0, 0, 0];
+        }
+      });
+
+      await job.start();
+      await job.running;
+      const status = job.status();
+      assert.strictEqual(status.status, 'completed');
+      assert.strictEqual(status.processed, 3);
+      assert.strictEqual(status.failed, 1);
+      assert.deepStrictEqual(status.errors.map(e => e.error), ['rate limited']);
+      assert.strictEqual(await storage.countStaleEmbeddings('stub:new'), 1);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Re-embedding Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
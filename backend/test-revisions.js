@@ -0,0 +1,249 @@
+#!/usr/bin/env node
+// test-revisions.js - Revision history, diffs, reverts and the trash
+
+const assert = require('assert');
+const { diffText, diffObjects } = require('./revision-history');
+const { createAPI, caller } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'revisions_user';
+
+const call = caller({ id: USER });
+
+async function addMemory(api, content) {
+  const { body } = await call(api.addMemory.bind(api), { body: { content } });
+  return body.memory;
+}
+
+function joined(runs, types) {
+  return runs.filter(run => types.includes(run.type)).map(run => run.text).join('');
+}
+
+const checks = [
+  {
+    name: 'diffs text by word and metadata by key',
+    fn: async () => {
+      const before = 'The mitochondria is the powerhouse of the cell';
+      const after = 'The mitochondrion is the powerhouse of every cell';
+      const runs = diffText(before, after);
+
+      assert.strictEqual(joined(runs, ['equal', 'removed']), before);
+      assert.strictEqual(joined(runs, ['equal', 'added']), after);
+      assert.deepStrictEqual(runs.filter(r => r.type === 'removed').map(r => r.text), ['mitochondria', 'the']);
+      assert.deepStrictEqual(runs.filter(r => r.type === 'added').map(r => r.text), ['mitochondrion', 'every']);
+      assert.deepStrictEqual(diffText('same', 'same'), [{ type: 'equal', text: 'same' }]);
+
+      assert.deepStrictEqual(diffObjects({ a: 1, b: [1], c: 'x' }, { a: 1, b: [2], d: true }), {
+        added: { d: true },
+        removed: { c: 'x' },
+        changed: { b: { from: [1], to: [2] } }
+      });
+    }
+  },
+  {
+    name: 'records a revision for every create and update',
+    fn: async () => {
+      const api = createAPI();
+      const memory = await addMemory(api, 'Remember that water boils at 100C');
+
+      await call(api.updateMemory.bind(api), { params: { memoryId: memory.id }, body: { content: 'Remember that water boils at 100C at sea level' } });
+      await call(api.updateMemory.bind(api), { params: { memoryId: memory.id }, body: { metadata: { pinned: true } } });
+
+      const list = await call(api.listRevisions.bind(api, 'memory'), { params: { memoryId: memory.id }, query: {} });
+      assert.strictEqual(list.status, 200);
+      assert.deepStrictEqual(list.body.revisions.map(r => [r.revision, r.action]), [[1, 'create'], [2, 'update'], [3, 'update']]);
+      assert.strictEqual(list.body.revisions[0].snapshot.content, 'Remember that water boils at 100C');
+      assert.ok(list.body.revisions.every(r => !('embedding' in r.snapshot)));
+
+      const diff = await call(api.diffRevisions.bind(api, 'memory'), { params: { memoryId: memory.id }, query: { from: '1', to: '2' } });
+      assert.strictEqual(diff.status, 200);
+      assert.deepStrictEqual(diff.body.diff.content.filter(r => r.type === 'added').map(r => r.text), [' at sea level']);
+
+      const latest = await call(api.diffRevisions.bind(api, 'memory'), { params: { memoryId: memory.id }, query: {} });
+      assert.strictEqual(latest.body.diff.to.revision, 3);
+      assert.deepStrictEqual(latest.body.diff.metadata.added, { pinned: true });
+
+      const other = await call(api.listRevisions.bind(api, 'memory'), { params: { memoryId: memory.id }, user: { id: 'someone_else' } });
+      assert.strictEqual(other.status, 404);
+      const badRange = await call(api.diffRevisions.bind(api, 'memory'), { params: { memoryId: memory.id }, query: { from: 'first' } });
+      assert.strictEqual(badRange.status, 400);
+      const missing = await call(api.diffRevisions.bind(api, 'memory'), { params: { memoryId: memory.id }, query: { from: '9' } });
+      assert.strictEqual(missing.status, 404);
+    }
+  },
+  {
+    name: 'reverts to an earlier revision as a new revision',
+    fn: async () => {
+      const api = createAPI();
+      const memory = await addMemory(api, 'The derivative of sin is cos');
+      await call(api.updateMemory.bind(api), { params: { memoryId: memory.id }, body: { content: 'The derivative of sin is -cos' } });
+
+      const reverted = await call(api.revertRevision.bind(api, 'memory'), { params: { memoryId: memory.id }, body: { revision: 1 } });
+      assert.strictEqual(reverted.status, 200);
+      assert.strictEqual(reverted.body.memory.content, 'The derivative of sin is cos');
+      assert.strictEqual(reverted.body.revision, 3);
+
+      const { memories } = await api.storage.getUserMemories(USER);
+      assert.strictEqual(memories[0].content, 'The derivative of sin is cos');
+      assert.ok(Array.isArray(memories[0].embedding), 'reverted memory was not re-embedded');
+
+      const search = await call(api.searchMemories.bind(api), { body: { query: '-cos', mode: 'keyword' } });
+      assert.ok(search.body.memories.every(m => m.content !== 'The derivative of sin is -cos'));
+
+      const invalid = await call(api.revertRevision.bind(api, 'memory'), { params: { memoryId: memory.id }, body: { revision: 0 } });
+      assert.strictEqual(invalid.status, 400);
+      const unknown = await call(api.revertRevision.bind(api, 'memory'), { params: { memoryId: memory.id }, body: { revision: 7 } });
+      assert.strictEqual(unknown.status, 404);
+    }
+  },
+  {
+    name: 'keeps a baseline of memories saved before history was kept',
+    fn: async () => {
+      const api = createAPI();
+      const legacy = await api.storage.addMemory('Legacy fact about photosynthesis', { category: 'fact' }, USER);
+
+      const empty = await call(api.listRevisions.bind(api, 'memory'), { params: { memoryId: legacy.id }, query: {} });
+      assert.deepStrictEqual(empty.body.revisions, []);
+
+      await call(api.updateMemory.bind(api), { params: { memoryId: legacy.id }, body: { content: 'Overwritten fact' } });
+      const list = await call(api.listRevisions.bind(api, 'memory'), { params: { memoryId: legacy.id }, query: {} });
+      assert.deepStrictEqual(list.body.revisions.map(r => r.action), ['baseline', 'update']);
+      assert.strictEqual(list.body.revisions[0].snapshot.content, 'Legacy fact about photosynthesis');
+
+      const unknown = await call(api.listRevisions.bind(api, 'memory'), { params: { memoryId: 'nope' }, query: {} });
+      assert.strictEqual(unknown.status, 404);
+    }
+  },
+  {
+    name: 'soft deletes memories to a restorable trash',
+    fn: async () => {
+      const api = createAPI();
+      const memory = await addMemory(api, 'Osmosis moves water across a membrane');
+      await call(api.pinMemory.bind(api), { params: { memoryId: memory.id }, body: {} });
+
+      const deleted = await call(api.deleteMemory.bind(api), { params: { memoryId: memory.id }, body: {} });
+      assert.strictEqual(deleted.status, 200);
+      assert.strictEqual((await api.storage.getUserMemories(USER)).total, 0);
+
+      const trash = await call(api.getTrash.bind(api), { params: { userId: USER }, query: {} });
+      assert.deepStrictEqual(trash.body.items.map(i => [i.type, i.id, i.content]), [['memory', memory.id, 'Osmosis moves water across a membrane']]);
+
+      const revert = await call(api.revertRevision.bind(api, 'memory'), { params: { memoryId: memory.id }, body: { revision: 1 } });
+      assert.strictEqual(revert.status, 404);
+
+      const restored = await call(api.restoreFromTrash.bind(api), { params: { entityType: 'memory', entityId: memory.id }, body: {} });
+      assert.strictEqual(restored.status, 200);
+      assert.strictEqual(restored.body.memory.id, memory.id);
+      assert.strictEqual(restored.body.memory.metadata.pinned, true);
+      assert.strictEqual(restored.body.memory.timestamp, memory.timestamp);
+
+      const search = await call(api.searchMemories.bind(api), { body: { query: 'osmosis membrane' } });
+      assert.strictEqual(search.body.memories[0].id, memory.id);
+      assert.deepStrictEqual((await call(api.getTrash.bind(api), { params: { userId: USER }, query: {} })).body.items, []);
+
+      const again = await call(api.restoreFromTrash.bind(api), { params: { entityType: 'memory', entityId: memory.id }, body: {} });
+      assert.strictEqual(again.status, 404);
+      const badType = await call(api.restoreFromTrash.bind(api), { params: { entityType: 'mindmap', entityId: memory.id }, body: {} });
+      assert.strictEqual(badType.status, 400);
+
+      const list = await call(api.listRevisions.bind(api, 'memory'), { params: { memoryId: memory.id }, query: {} });
+      assert.deepStrictEqual(list.body.revisions.map(r => r.action), ['create', 'delete', 'restore']);
+    }
+  },
+  {
+    name: 'keeps note history and purges trashed notes for good',
+    fn: async () => {
+      const api = createAPI();
+      const { body } = await call(api.addNote.bind(api), { body: { content: 'Lecture 3 notes', metadata: { title: 'Week 3' } } });
+      const noteId = body.note.id;
+
+      await call(api.updateNote.bind(api), { params: { noteId }, body: { title: 'Week 3 (revised)', content: 'Lecture 3 notes, revised' } });
+      const diff = await call(api.diffRevisions.bind(api, 'note'), { params: { noteId }, query: {} });
+      assert.deepStrictEqual(diff.body.diff.fields, { title: { from: 'Week 3', to: 'Week 3 (revised)' } });
+
+      const reverted = await call(api.revertRevision.bind(api, 'note'), { params: { noteId }, body: { revision: 1 } });
+      assert.strictEqual(reverted.body.note.title, 'Week 3');
+      assert.strictEqual(reverted.body.note.content, 'Lecture 3 notes');
+
+      await call(api.deleteNote.bind(api), { params: { noteId }, body: {} });
+      const trash = await call(api.getTrash.bind(api), { params: { userId: USER }, query: { type: 'note' } });
+      assert.deepStrictEqual(trash.body.items.map(i => [i.id, i.title]), [[noteId, 'Week 3']]);
+      assert.strictEqual((await call(api.getTrash.bind(api), { params: { userId: USER }, query: { type: 'memory' } })).body.total, 0);
+      assert.strictEqual((await call(api.getTrash.bind(api), { params: { userId: USER }, query: { type: 'bin' } })).status, 400);
+
+      const purged = await call(api.purgeFromTrash.bind(api), { params: { entityType: 'note', entityId: noteId }, body: {} });
+      assert.deepStrictEqual(purged.body, { success: true, purged: 4 });
+      assert.strictEqual((await call(api.getTrash.bind(api), { params: { userId: USER }, query: {} })).body.total, 0);
+      assert.strictEqual((await call(api.restoreFromTrash.bind(api), { params: { entityType: 'note', entityId: noteId }, body: {} })).status, 404);
+    }
+  },
+  {
+    name: 'merged-away memories can be restored from the trash',
+    fn: async () => {
+      const api = createAPI();
+      const first = await addMemory(api, 'Newton first law: objects keep moving');
+      const second = await addMemory(api, 'Newton first law: objects keep moving unless a force acts');
+
+      const merged = await call(api.mergeMemories.bind(api), { body: { memoryIds: [first.id, second.id], canonicalId: second.id } });
+      assert.strictEqual(merged.status, 200);
+
+      const list = await call(api.listRevisions.bind(api, 'memory'), { params: { memoryId: second.id }, query: {} });
+      assert.deepStrictEqual(list.body.revisions.map(r => r.action), ['create', 'merge']);
+
+      const trash = await call(api.getTrash.bind(api), { params: { userId: USER }, query: {} });
+      assert.deepStrictEqual(trash.body.items.map(i => i.id), [first.id]);
+
+      const restored = await call(api.restoreFromTrash.bind(api), { params: { entityType: 'memory', entityId: first.id }, body: {} });
+      assert.strictEqual(restored.body.memory.content, first.content);
+      assert.strictEqual((await api.storage.getUserMemories(USER)).total, 2);
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Revision History & Trash Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
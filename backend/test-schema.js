@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+// test-schema.js - Schema versions, migrations of older data files and backups,
+// and quarantining of malformed records
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SCHEMA_VERSION, migrateData, validateData } = require('./data-schema');
+const { BackupManager, validateBackup } = require('./backup-manager');
+const LocalEmbeddingProvider = require('./local-embedding-provider');
+const LocalMemoryStorage = require('./local-memory-storage');
+const SqliteMemoryStorage = require('./sqlite-memory-storage');
+const InMemoryStorage = require('./in-memory-storage');
+const LocalMemoryAPI = require('./local-memory-api');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'schema_user';
+const TIMESTAMP = '2025-01-01T00:00:00.000Z';
+
+// Records as older versions of the server wrote them: no category, no
+// archived_at, and the user only in the metadata or not at all
+const LEGACY_MEMORIES = [
+  { id: 'm1', user_id: USER, content: 'Saved by addMemory', metadata: { category: 'fact', timestamp: TIMESTAMP }, created_at: TIMESTAMP, updated_at: TIMESTAMP },
+  { id: 'm2', content: 'Saved by an old client', metadata: { userId: USER, timestamp: TIMESTAMP } }
+];
+
+function freshDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'prisma-schema-'));
+}
+
+function writeJson(dir, name, data) {
+  fs.writeFileSync(path.join(dir, name), JSON.stringify(data));
+}
+
+function readJson(dir, name) {
+  return JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+}
+
+const checks = [
+  {
+    name: 'Migrations fill in the fields older code paths left out, without touching their input',
+    fn: async () => {
+      const input = {
+        memories: LEGACY_MEMORIES,
+        mindmap: {
+          nodes: [{ id: 'n1', user_id: USER, label: 'Node' }],
+          edges: [
+            { id: 'e1', user_id: USER, source_node_id: 'n1', target_node_id: 'n2', metadata: { type: 'prerequisite' } },
+            { id: 'e2', user_id: USER, source_node_id: 'n1', target_node_id: 'n3', metadata: {} }
+          ]
+        }
+      };
+      const before = JSON.stringify(input);
+      const { data, applied } = migrateData(input, 0);
+
+      assert.deepStrictEqual(applied, [1, 2]);
+      assert.strictEqual(JSON.stringify(input), before);
+      assert.strictEqual(data.memories[0].metadata.category, 'fact');
+      assert.strictEqual(data.memories[1].metadata.category, 'general');
+      assert.strictEqual(data.memories[1].user_id, USER);
+      assert.strictEqual(data.memories[1].archived_at, null);
+      assert.strictEqual(data.memories[1].created_at, TIMESTAMP);
+      assert.strictEqual(data.memories[1].updated_at, TIMESTAMP);
+      assert.deepStrictEqual(data.mindmap.nodes[0].metadata, {});
+      assert.deepStrictEqual(data.mindmap.edges.map(e => e.type), ['prerequisite', 'related']);
+      assert.strictEqual(data.notes, undefined);
+
+      assert.deepStrictEqual(migrateData(data, SCHEMA_VERSION).applied, []);
+      assert.throws(() => migrateData(data, SCHEMA_VERSION + 1), { message: `Schema version ${SCHEMA_VERSION + 1} is newer than this server supports` });
+    }
+  },
+  {
+    name: 'Validation reports malformed and duplicate records and keeps the rest',
+    fn: async () => {
+      const good = { id: 'n1', user_id: USER, content: 'note', metadata: {} };
+      const { data, problems } = validateData({
+        notes: [good, 'not a record', { id: 'n2', user_id: USER, content: 'x', metadata: 'tags' }, { ...good, content: 'copy' }, { id: 'n3', content: 'no user' }]
+      });
+
+      assert.deepStrictEqual(data.notes, [good]);
+      assert.deepStrictEqual(problems.map(p => p.reason), [
+        'notes[1] must be an object',
+        'notes[2].metadata must be an object',
+        'notes has duplicate id n1',
+        'notes[4].user_id must be a string'
+      ]);
+      assert.deepStrictEqual(problems.map(p => p.id), [null, 'n2', 'n1', 'n3']);
+    }
+  },
+  {
+    name: 'init() upgrades unversioned data files once and keeps the originals',
+    fn: async () => {
+      const dataDir = freshDir();
+      try {
+        writeJson(dataDir, 'memories.json', LEGACY_MEMORIES);
+        writeJson(dataDir, 'mindmap.json', { nodes: [], edges: [] });
+
+        const storage = new LocalMemoryStorage(dataDir);
+        const { memories } = await storage.getUserMemories(USER);
+        assert.deepStrictEqual(memories.map(m => m.metadata.category).sort(), ['fact', 'general']);
+        assert.ok(await storage.getMemoryStats(USER));
+
+        for (const [name, key] of [['memories.json', 'memories'], ['notes.json', 'notes'], ['mindmap.json', 'mindmap'], ['revisions.json', 'revisions']]) {
+          const file = readJson(dataDir, name);
+          assert.strictEqual(file.schema_version, SCHEMA_VERSION, name);
+          assert.ok(file[key], name);
+        }
+        assert.deepStrictEqual(readJson(dataDir, 'memories.json.v0'), LEGACY_MEMORIES);
+        assert.deepStrictEqual((await storage.getSchemaReport()).migrations, [
+          { file: 'memories.json', from: 0, to: SCHEMA_VERSION },
+          { file: 'mindmap.json', from: 0, to: SCHEMA_VERSION }
+        ]);
+
+        const reopened = new LocalMemoryStorage(dataDir);
+        assert.strictEqual((await reopened.getUserMemories(USER)).total, 2);
+        assert.deepStrictEqual((await reopened.getSchemaReport()).migrations, []);
+      } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'Malformed records are quarantined instead of crashing the server',
+    fn: async () => {
+      const dataDir = freshDir();
+      try {
+        const broken = { id: 'm3', user_id: USER, content: null, metadata: {} };
+        writeJson(dataDir, 'memories.json', { schema_version: SCHEMA_VERSION, memories: [LEGACY_MEMORIES[0], broken, 42] });
+        writeJson(dataDir, 'notes.json', { schema_version: SCHEMA_VERSION, notes: [{ id: 'n1', user_id: USER, content: 'note', metadata: null }] });
+
+        const storage = new LocalMemoryStorage(dataDir);
+        assert.deepStrictEqual((await storage.getUserMemories(USER)).memories.map(m => m.id), ['m1']);
+        assert.deepStrictEqual(await storage.getUserNotes(USER), []);
+        assert.deepStrictEqual(readJson(dataDir, 'memories.json').memories.map(m => m.id), ['m1']);
+
+        const quarantined = readJson(dataDir, 'quarantine.json');
+        assert.deepStrictEqual(quarantined.map(q => [q.file, q.reason]), [
+          ['memories.json', 'memories[1].content must be a string'],
+          ['memories.json', 'memories[2] must be an object'],
+          ['notes.json', 'notes[0].metadata must be an object']
+        ]);
+        assert.deepStrictEqual(quarantined[0].record, broken);
+        assert.deepStrictEqual((await storage.getSchemaReport()).quarantined.map(q => q.id), ['m3', null, 'n1']);
+
+        // A data file from a newer server is refused rather than rewritten
+        writeJson(dataDir, 'notes.json', { schema_version: SCHEMA_VERSION + 1, notes: [] });
+        await assert.rejects(new LocalMemoryStorage(dataDir).init(), /is newer than this server supports/);
+      } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'Backups record the schema version and older ones are upgraded on restore',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      const backups = new BackupManager({ storage, retention: { last: 0, daily: 0, weekly: 0 } });
+      await storage.addMemory('current', { category: 'fact' }, USER);
+
+      const created = await backups.create();
+      assert.strictEqual(created.schema_version, SCHEMA_VERSION);
+      assert.strictEqual(JSON.parse(await backups.read(created.id)).schema_version, SCHEMA_VERSION);
+
+      const legacy = { timestamp: TIMESTAMP, memories: LEGACY_MEMORIES, notes: [], mindmap: { nodes: [], edges: [] } };
+      validateBackup(legacy);
+      backups.backups.set('backup_1', JSON.stringify(legacy));
+      assert.strictEqual((await backups.get('backup_1')).schema_version, 0);
+
+      await backups.restore('backup_1');
+      const { memories } = await storage.getUserMemories(USER);
+      assert.deepStrictEqual(memories.map(m => m.metadata.category).sort(), ['fact', 'general']);
+
+      assert.throws(() => validateBackup({ ...legacy, schema_version: SCHEMA_VERSION + 1 }), {
+        message: `Invalid backup: schema version ${SCHEMA_VERSION + 1} is newer than this server supports`
+      });
+    }
+  },
+  {
+    name: 'SQLite imports older JSON files upgraded and skips malformed records',
+    fn: async () => {
+      const dataDir = freshDir();
+      const storage = new SqliteMemoryStorage(dataDir);
+      try {
+        writeJson(dataDir, 'memories.json', [...LEGACY_MEMORIES, { id: 'm3', user_id: USER }]);
+
+        const { memories } = await storage.getUserMemories(USER);
+        assert.deepStrictEqual(memories.map(m => m.metadata.category).sort(), ['fact', 'general']);
+        const report = await storage.getSchemaReport();
+        assert.deepStrictEqual(report.migrations, [{ file: 'memories.json', from: 0, to: SCHEMA_VERSION }]);
+        assert.deepStrictEqual(report.quarantined.map(q => q.reason), ['memories[2].content must be a string']);
+      } finally {
+        storage.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'The schema route reports the version, migrations and quarantined records',
+    fn: async () => {
+      const dataDir = freshDir();
+      try {
+        writeJson(dataDir, 'memories.json', [LEGACY_MEMORIES[0], { id: 'bad' }]);
+        const api = new LocalMemoryAPI({
+          storage: new LocalMemoryStorage(dataDir),
+          storageType: 'json',
+          embeddings: new LocalEmbeddingProvider({ dimensions: 512 })
+        });
+        await api.storage.init();
+
+        let payload;
+        await api.getSchemaReport({ user: { id: USER, role: 'admin' } }, { json(data) { payload = data; }, status() { return this; } });
+        assert.strictEqual(payload.schemaVersion, SCHEMA_VERSION);
+        assert.deepStrictEqual(payload.migrations.map(m => m.version), [1, 2]);
+        assert.deepStrictEqual(payload.report.migrations.map(m => m.file), ['memories.json']);
+        assert.deepStrictEqual(payload.report.quarantined.map(q => q.id), ['bad']);
+      } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Schema Migration Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
@@ -0,0 +1,553 @@
+#!/usr/bin/env node
+// test-storage-adapters.js - Conformance suite every storage adapter must pass
+// Runs against in-memory, JSON and SQLite storage; Supabase runs too when
+// SUPABASE_URL and SUPABASE_ANON_KEY are set
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { StorageAdapter, ADAPTER_METHODS, createStorage } = require('./storage-adapter');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  yellow: '\x1b[33m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// 1536 dimensions so the same vectors fit the Supabase vector(1536) column
+function vector(...hot) {
+  const v = new Array(1536).fill(0);
+  hot.forEach(i => { v[i] = 1; });
+  return v;
+}
+
+function uniqueUser(name) {
+  return `conformance_${name}_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+async function assertRejects(promise, message) {
+  await assert.rejects(promise, error => error.message === message);
+}
+
+const checks = [
+  {
+    name: 'implements every adapter method',
+    fn: async storage => {
+      for (const method of ADAPTER_METHODS) {
+        assert.strictEqual(typeof storage[method], 'function', `${method} missing`);
+        if (method !== 'init') {
+          assert.notStrictEqual(storage[method], StorageAdapter.prototype[method], `${method} not implemented`);
+        }
+      }
+    }
+  },
+  {
+    name: 'adds and lists memories per user, newest first',
+    fn: async storage => {
+      const user = uniqueUser('list');
+      const other = uniqueUser('other');
+
+      const first = await storage.addMemory('  first memory  ', { category: 'fact' }, user);
+      await sleep(5);
+      await storage.addMemory('second memory', { category: 'concept', source: 'test' }, user);
+      await storage.addMemory('someone else', {}, other);
+
+      assert.ok(first.id);
+      assert.strictEqual(first.content, 'first memory');
+      assert.strictEqual(first.metadata.source, 'api');
+
+      const { memories, total } = await storage.getUserMemories(user);
+      assert.strictEqual(total, 2);
+      assert.deepStrictEqual(memories.map(m => m.content), ['second memory', 'first memory']);
+
+      const page = await storage.getUserMemories(user, 1, 1);
+      assert.strictEqual(page.memories.length, 1);
+      assert.strictEqual(page.memories[0].content, 'first memory');
+
+      const facts = await storage.getUserMemories(user, 50, 0, 'fact');
+      assert.strictEqual(facts.total, 1);
+      assert.strictEqual(facts.memories[0].id, first.id);
+    }
+  },
+  {
+    name: 'searches memories by embedding similarity',
+    fn: async storage => {
+      const user = uniqueUser('search');
+
+      await storage.addMemory('exact match', { embedding: vector(0) }, user);
+      await storage.addMemory('partial match', { embedding: vector(0, 1) }, user);
+      await storage.addMemory('no match', { embedding: vector(2) }, user);
+      await storage.addMemory('no embedding', {}, user);
+      await storage.addMemory('other user', { embedding: vector(0) }, uniqueUser('search_other'));
+
+      const results = await storage.searchMemories(vector(0), user, 0.5, 5);
+      assert.deepStrictEqual(results.map(r => r.content), ['exact match', 'partial match']);
+      assert.ok(Math.abs(results[0].similarity - 1) < 1e-6);
+
+      const limited = await storage.searchMemories(vector(0), user, 0.5, 1);
+      assert.strictEqual(limited.length, 1);
+
+      assert.deepStrictEqual(await storage.searchMemories(null, user), []);
+    }
+  },
+  {
+    name: 'updates and deletes memories scoped to their owner',
+    fn: async storage => {
+      const user = uniqueUser('update');
+      const memory = await storage.addMemory('original', {}, user);
+
+      const updated = await storage.updateMemory(memory.id, { content: 'changed', metadata: { category: 'fact' } }, user);
+      assert.strictEqual(updated.id, memory.id);
+      assert.strictEqual(updated.content, 'changed');
+      assert.strictEqual(updated.metadata.category, 'fact');
+
+      await assertRejects(storage.updateMemory(memory.id, { content: 'hijack' }, uniqueUser('intruder')), 'Memory not found');
+      await assertRejects(storage.deleteMemory(memory.id, uniqueUser('intruder')), 'Memory not found');
+
+      assert.strictEqual(await storage.deleteMemory(memory.id, user), true);
+      await assertRejects(storage.deleteMemory(memory.id, user), 'Memory not found');
+      assert.strictEqual((await storage.getUserMemories(user)).total, 0);
+    }
+  },
+  {
+    name: 'adds memories in batch',
+    fn: async storage => {
+      const user = uniqueUser('batch');
+      const added = await storage.addMemoriesBatch([
+        { content: 'one', metadata: { category: 'fact' } },
+        { content: 'two', embedding: vector(3), metadata: {} }
+      ], user);
+
+      assert.strictEqual(added.length, 2);
+      assert.ok(added.every(m => m.id && m.metadata.source === 'batch'));
+      assert.strictEqual((await storage.getUserMemories(user)).total, 2);
+    }
+  },
+  {
+    name: 'supports notes CRUD',
+    fn: async storage => {
+      const user = uniqueUser('notes');
+      const note = await storage.addNote('a note', { title: 'Title', url: 'https://example.com', pageTitle: 'Page' }, user);
+
+      assert.ok(note.id);
+      assert.strictEqual(note.title, 'Title');
+      assert.strictEqual(note.page_title, 'Page');
+
+      const updated = await storage.updateNote(note.id, { content: 'edited' }, user);
+      assert.strictEqual(updated.content, 'edited');
+      await assertRejects(storage.updateNote(note.id, { content: 'x' }, uniqueUser('intruder')), 'Note not found');
+
+      const notes = await storage.getUserNotes(user);
+      assert.deepStrictEqual(notes.map(n => n.content), ['edited']);
+
+      assert.strictEqual(await storage.deleteNote(note.id, user), true);
+      await assertRejects(storage.deleteNote(note.id, user), 'Note not found');
+    }
+  },
+  {
+    name: 'stores mind map nodes and edges per user',
+    fn: async storage => {
+      const user = uniqueUser('mindmap');
+      const a = await storage.addMindmapNode('Algebra', { x: 10, y: 20 }, user);
+      const b = await storage.addMindmapNode('Calculus', {}, user);
+      const edge = await storage.addMindmapEdge(a.id, b.id, { label: 'leads to' }, user);
+      await storage.addMindmapNode('Other', {}, uniqueUser('mindmap_other'));
+
+      assert.strictEqual(a.x, 10);
+      assert.strictEqual(b.color, '#3B82F6');
+      assert.strictEqual(edge.source_node_id, a.id);
+      assert.strictEqual(edge.label, 'leads to');
+
+      const mindmap = await storage.getUserMindmap(user);
+      assert.deepStrictEqual(mindmap.nodes.map(n => n.label).sort(), ['Algebra', 'Calculus']);
+      assert.strictEqual(mindmap.edges.length, 1);
+    }
+  },
+  {
+    name: 'updates and deletes mind map nodes and typed edges, cascading to edges',
+    fn: async storage => {
+      const user = uniqueUser('mindmap_crud');
+      const a = await storage.addMindmapNode('Limits', {}, user);
+      const b = await storage.addMindmapNode('Derivatives', {}, user);
+      const c = await storage.addMindmapNode('Integrals', {}, user);
+      const related = await storage.addMindmapEdge(a.id, b.id, {}, user);
+      const prerequisite = await storage.addMindmapEdge(b.id, c.id, { type: 'prerequisite', weight: 2 }, user);
+      assert.strictEqual(related.type, 'related');
+      assert.strictEqual(prerequisite.type, 'prerequisite');
+
+      const moved = await storage.updateMindmapNode(a.id, { label: 'Limits and continuity', x: 40 }, user);
+      assert.deepStrictEqual([moved.label, moved.x, moved.color], ['Limits and continuity', 40, '#3B82F6']);
+      const retyped = await storage.updateMindmapEdge(related.id, { type: 'example-of', weight: 3 }, user);
+      assert.deepStrictEqual([retyped.type, retyped.weight, retyped.source_node_id], ['example-of', 3, a.id]);
+      await assertRejects(storage.updateMindmapNode(a.id, { label: 'Stolen' }, uniqueUser('intruder')), 'Mindmap node not found');
+      await assertRejects(storage.updateMindmapEdge('missing', { weight: 1 }, user), 'Mindmap edge not found');
+
+      const removed = await storage.deleteMindmapNode(b.id, user);
+      assert.deepStrictEqual(removed.map(e => e.id).sort(), [related.id, prerequisite.id].sort());
+      const mindmap = await storage.getUserMindmap(user);
+      assert.deepStrictEqual(mindmap.nodes.map(n => n.label).sort(), ['Integrals', 'Limits and continuity']);
+      assert.deepStrictEqual(mindmap.edges, []);
+      await assertRejects(storage.deleteMindmapNode(b.id, user), 'Mindmap node not found');
+
+      const edge = await storage.addMindmapEdge(a.id, c.id, {}, user);
+      await storage.deleteMindmapEdge(edge.id, user);
+      assert.deepStrictEqual((await storage.getUserMindmap(user)).edges, []);
+      await assertRejects(storage.deleteMindmapEdge(edge.id, user), 'Mindmap edge not found');
+    }
+  },
+  {
+    name: 'saves concept mastery per user, replacing estimates by id',
+    fn: async storage => {
+      const user = uniqueUser('mastery');
+      const other = uniqueUser('mastery_other');
+      const estimate = {
+        id: `mastery_${user}`,
+        user_id: user,
+        concept_key: 'limit',
+        label: 'Limits',
+        p_known: 0.3,
+        level: 'novice',
+        observations: 0,
+        history: [],
+        created_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+      };
+      assert.deepStrictEqual(await storage.getConceptMastery(user), []);
+
+      const saved = await storage.saveConceptMastery(estimate);
+      assert.strictEqual(saved.id, estimate.id);
+      const history = [{ source: 'quiz', correct: true, p_known: 0.6927, at: new Date().toISOString() }];
+      await storage.saveConceptMastery({ ...estimate, p_known: 0.6927, level: 'developing', observations: 1, history });
+      await storage.saveConceptMastery({ ...estimate, id: `mastery_${other}`, user_id: other });
+
+      const [stored, ...rest] = await storage.getConceptMastery(user);
+      assert.strictEqual(rest.length, 0);
+      assert.deepStrictEqual([stored.concept_key, stored.label, stored.p_known, stored.level, stored.observations], ['limit', 'Limits', 0.6927, 'developing', 1]);
+      assert.deepStrictEqual(stored.history, history);
+      assert.strictEqual((await storage.getConceptMastery(other)).length, 1);
+    }
+  },
+  {
+    name: 'saves flashcards and their reviews per user, keeping reviews of deleted cards',
+    fn: async storage => {
+      const user = uniqueUser('cards');
+      const other = uniqueUser('cards_other');
+      const now = new Date().toISOString();
+      const card = (id, userId, front) => ({
+        id, user_id: userId, front, back: 'back', origin: 'manual', source: null, concept_key: null, concept: null,
+        ease: 2.5, interval_days: 0, repetitions: 0, lapses: 0, due_at: now, last_reviewed_at: null, created_at: now, updated_at: now
+      });
+      assert.deepStrictEqual(await storage.getFlashcards(user), []);
+
+      const first = card(`card_1_${user}`, user, 'first');
+      const second = { ...card(`card_2_${user}`, user, 'second'), source: { type: 'memory', id: 'm1' }, concept_key: 'limit', concept: 'Limits' };
+      await storage.saveFlashcards([first, second]);
+      await storage.saveFlashcards([card(`card_${other}`, other, 'theirs')]);
+      await storage.saveFlashcards([{ ...first, front: 'first, edited', repetitions: 1, interval_days: 1 }]);
+
+      const stored = await storage.getFlashcards(user);
+      assert.deepStrictEqual(stored.map(c => [c.front, c.repetitions]), [['first, edited', 1], ['second', 0]], 'cards stay in the order they were added');
+      assert.deepStrictEqual([stored[1].source, stored[1].concept], [{ type: 'memory', id: 'm1' }, 'Limits']);
+
+      const review = { id: `review_${user}`, user_id: user, card_id: first.id, grade: 4, interval_days: 1, ease: 2.5, reviewed_at: now };
+      await storage.addFlashcardReview(review);
+      await storage.addFlashcardReview({ ...review, id: `review_2_${user}`, card_id: second.id });
+      assert.deepStrictEqual((await storage.getFlashcardReviews(user, first.id)).map(r => r.id), [review.id]);
+      assert.strictEqual((await storage.getFlashcardReviews(user)).length, 2);
+
+      assert.strictEqual(await storage.deleteFlashcard(first.id, user), true);
+      assert.deepStrictEqual((await storage.getFlashcards(user)).map(c => c.id), [second.id]);
+      assert.strictEqual((await storage.getFlashcardReviews(user, first.id)).length, 1, 'reviews outlive their card');
+      await assert.rejects(storage.deleteFlashcard(first.id, user), /Flashcard not found/);
+      await assert.rejects(storage.deleteFlashcard(`card_${other}`, user), /Flashcard not found/);
+      assert.strictEqual((await storage.getFlashcards(other)).length, 1);
+    }
+  },
+  {
+    name: 'reports memory statistics',
+    fn: async storage => {
+      const user = uniqueUser('stats');
+      assert.strictEqual((await storage.getMemoryStats(user)).total_memories, 0);
+
+      await storage.addMemory('one', { category: 'fact' }, user);
+      await storage.addMemory('two', { category: 'concept' }, user);
+
+      const stats = await storage.getMemoryStats(user);
+      assert.strictEqual(stats.total_memories, 2);
+      assert.strictEqual(stats.categories_count, 2);
+      assert.ok(stats.first_memory_date <= stats.last_memory_date);
+    }
+  },
+  {
+    name: 'records embedding models and finds stale vectors',
+    fn: async storage => {
+      const user = uniqueUser('models');
+      const current = await storage.addMemory('current', { embedding: vector(0), embedding_model: 'test:new' }, user);
+      const old = await storage.addMemory('old model', { embedding: vector(0), embedding_model: 'test:old' }, user);
+      const none = await storage.addMemory('no embedding', {}, user);
+      const [batched] = await storage.addMemoriesBatch([{ content: 'batched', embedding: vector(1), embedding_model: 'test:new' }], user);
+
+      assert.strictEqual(current.embedding_model, 'test:new');
+      assert.strictEqual(current.embedding_dimensions, 1536);
+      assert.strictEqual(current.metadata.embedding_model, undefined);
+      assert.strictEqual(none.embedding_model, null);
+      assert.strictEqual(batched.embedding_model, 'test:new');
+
+      const results = await storage.searchMemories(vector(0), user, 0.5, 5, { model: 'test:new' });
+      assert.deepStrictEqual(results.map(r => r.content), ['current']);
+      assert.strictEqual((await storage.searchMemories(vector(0), user, 0.5, 5)).length, 2);
+
+      assert.strictEqual(await storage.countStaleEmbeddings('test:new', user), 2);
+      const stale = await storage.getStaleEmbeddings('test:new', { userId: user });
+      assert.deepStrictEqual(stale.map(m => m.id), [old.id, none.id].sort());
+      const [first] = stale;
+      const rest = await storage.getStaleEmbeddings('test:new', { userId: user, afterId: first.id });
+      assert.deepStrictEqual(rest.map(m => m.id), stale.slice(1).map(m => m.id));
+
+      const updated = await storage.updateMemory(old.id, { embedding: vector(2, 3), embedding_model: 'test:new' }, user);
+      assert.strictEqual(updated.embedding_model, 'test:new');
+      assert.strictEqual(await storage.countStaleEmbeddings('test:new', user), 1);
+    }
+  },
+  {
+    name: 'keeps archived memories out of default listing and search',
+    fn: async storage => {
+      const user = uniqueUser('archive');
+      const active = await storage.addMemory('active', { embedding: vector(0) }, user);
+      const archived = await storage.addMemory('archived', { embedding: vector(0) }, user);
+      assert.strictEqual(active.archived_at, null);
+
+      const moved = await storage.updateMemory(archived.id, { archived_at: new Date().toISOString() }, user);
+      assert.ok(moved.archived_at);
+
+      assert.deepStrictEqual((await storage.getUserMemories(user)).memories.map(m => m.id), [active.id]);
+      assert.deepStrictEqual((await storage.getUserMemories(user, 50, 0, null, { tier: 'archived' })).memories.map(m => m.id), [archived.id]);
+      assert.strictEqual((await storage.getUserMemories(user, 50, 0, null, { tier: 'all' })).total, 2);
+
+      assert.deepStrictEqual((await storage.searchMemories(vector(0), user, 0.5, 5)).map(m => m.id), [active.id]);
+      assert.strictEqual((await storage.searchMemories(vector(0), user, 0.5, 5, { includeArchived: true })).length, 2);
+
+      await storage.updateMemory(archived.id, { archived_at: null }, user);
+      assert.strictEqual((await storage.getUserMemories(user)).total, 2);
+    }
+  },
+  {
+    name: 'lists users with memories',
+    fn: async storage => {
+      const first = uniqueUser('users');
+      const second = uniqueUser('users');
+      await storage.addMemory('one', {}, first);
+      await storage.addMemory('two', {}, second);
+      await storage.addMemory('three', {}, second);
+
+      const users = await storage.getUserIds();
+      assert.ok(users.includes(first) && users.includes(second));
+      assert.strictEqual(users.filter(id => id === second).length, 1);
+    }
+  },
+  {
+    name: 'numbers revisions per entity and lists the trash',
+    fn: async storage => {
+      const user = uniqueUser('revisions');
+      const memory = await storage.addMemory('first', {}, user);
+      const note = await storage.addNote('a note', { title: 'Note' }, user);
+      const revision = (action, entity, type, snapshot) =>
+        storage.addRevision({ user_id: user, entity_type: type, entity_id: entity.id, action, snapshot });
+
+      const created = await revision('create', memory, 'memory', { content: 'first' });
+      assert.ok(created.id && created.created_at);
+      assert.strictEqual(created.revision, 1);
+      await revision('update', memory, 'memory', { content: 'second' });
+      await revision('create', note, 'note', { content: 'a note', title: 'Note' });
+
+      const revisions = await storage.getRevisions('memory', memory.id, user);
+      assert.deepStrictEqual(revisions.map(r => [r.revision, r.action, r.snapshot.content]), [[1, 'create', 'first'], [2, 'update', 'second']]);
+      assert.deepStrictEqual(await storage.getRevisions('memory', memory.id, uniqueUser('intruder')), []);
+      assert.deepStrictEqual(await storage.getTrash(user), []);
+
+      await revision('delete', memory, 'memory', { content: 'second' });
+      await revision('delete', note, 'note', { content: 'a note', title: 'Note' });
+      await revision('restore', note, 'note', { content: 'a note', title: 'Note' });
+
+      const trash = await storage.getTrash(user);
+      assert.deepStrictEqual(trash.map(r => [r.entity_type, r.entity_id, r.revision]), [['memory', memory.id, 3]]);
+      assert.deepStrictEqual(await storage.getTrash(user, 'note'), []);
+
+      assert.strictEqual(await storage.purgeRevisions('memory', memory.id, user), 3);
+      assert.deepStrictEqual(await storage.getRevisions('memory', memory.id, user), []);
+      assert.strictEqual((await revision('create', memory, 'memory', { content: 'again' })).revision, 1);
+    }
+  },
+  {
+    name: 'reinserts deleted records under their original id',
+    fn: async storage => {
+      const user = uniqueUser('reinsert');
+      const memory = await storage.addMemory('kept in trash', { category: 'fact', embedding: vector(5), embedding_model: 'test:model' }, user);
+      const note = await storage.addNote('note in trash', { title: 'T' }, user);
+      await storage.deleteMemory(memory.id, user);
+      await storage.deleteNote(note.id, user);
+
+      const { embedding, embedding_dimensions, ...fields } = memory;
+      const restored = await storage.insertMemory({ ...fields, embedding: vector(5) });
+      assert.strictEqual(restored.id, memory.id);
+      assert.strictEqual(restored.embedding_model, 'test:model');
+      await assertRejects(storage.insertMemory({ ...fields }), 'Memory already exists');
+
+      const { memories } = await storage.getUserMemories(user);
+      assert.deepStrictEqual(memories.map(m => [m.id, m.content, m.metadata.category]), [[memory.id, 'kept in trash', 'fact']]);
+      assert.strictEqual(new Date(memories[0].created_at).getTime(), new Date(memory.created_at).getTime());
+      const [found] = await storage.searchMemories(vector(5), user, 0.9, 1, { model: 'test:model' });
+      assert.strictEqual(found.id, memory.id);
+
+      await storage.insertNote(note);
+      assert.deepStrictEqual((await storage.getUserNotes(user)).map(n => [n.id, n.title]), [[note.id, 'T']]);
+    }
+  },
+  {
+    name: 'exports and imports all data or one user\'s',
+    // Importing replaces the whole store, so never run it against a shared Supabase project
+    destructive: true,
+    fn: async storage => {
+      const user = uniqueUser('backup');
+      const other = uniqueUser('backup_other');
+      const kept = await storage.addMemory('kept', {}, user);
+      await storage.addNote('kept note', {}, user);
+      await storage.addMemory('other kept', {}, other);
+      await storage.addRevision({ user_id: user, entity_type: 'memory', entity_id: kept.id, action: 'create', snapshot: { content: 'kept' } });
+      const estimate = { id: `mastery_${user}`, user_id: user, concept_key: 'limit', label: 'Limits', p_known: 0.3, level: 'novice', observations: 0, history: [], created_at: new Date().toISOString() };
+      await storage.saveConceptMastery(estimate);
+      const now = new Date().toISOString();
+      const card = {
+        id: `card_${user}`, user_id: user, front: 'front', back: 'back', origin: 'manual', source: null, concept_key: null, concept: null,
+        ease: 2.5, interval_days: 0, repetitions: 0, lapses: 0, due_at: now, last_reviewed_at: null, created_at: now, updated_at: now
+      };
+      await storage.saveFlashcards([card]);
+      await storage.addFlashcardReview({ id: `review_${user}`, user_id: user, card_id: card.id, grade: 3, interval_days: 1, ease: 2.36, reviewed_at: now });
+
+      const data = JSON.parse(JSON.stringify(await storage.exportData()));
+      assert.ok(data.memories.some(m => m.id === kept.id));
+      assert.ok(Array.isArray(data.mindmap.nodes) && Array.isArray(data.revisions));
+      assert.ok(data.mastery.some(r => r.id === estimate.id));
+      assert.ok(data.flashcards.cards.some(c => c.id === card.id) && data.flashcards.reviews.some(r => r.card_id === card.id));
+
+      await storage.deleteMemory(kept.id, user);
+      await storage.addMemory('added after backup', {}, user);
+      await storage.addMemory('other added after backup', {}, other);
+      await storage.saveConceptMastery({ ...estimate, p_known: 0.9, level: 'proficient' });
+      await storage.deleteFlashcard(card.id, user);
+
+      // One user's records come back; everyone else's are left alone
+      assert.strictEqual(await storage.importData(data, { userId: user }), true);
+      assert.deepStrictEqual((await storage.getUserMemories(user)).memories.map(m => m.content), ['kept']);
+      assert.deepStrictEqual((await storage.getUserMemories(other)).memories.map(m => m.content).sort(), ['other added after backup', 'other kept']);
+      assert.strictEqual((await storage.getRevisions('memory', kept.id, user)).length, 1);
+      assert.deepStrictEqual((await storage.getConceptMastery(user)).map(r => r.level), ['novice']);
+      assert.deepStrictEqual((await storage.getFlashcards(user)).map(c => c.id), [card.id]);
+
+      assert.strictEqual(await storage.importData(data), true);
+      assert.deepStrictEqual((await storage.getUserMemories(other)).memories.map(m => m.content), ['other kept']);
+      assert.strictEqual((await storage.getUserNotes(user)).length, 1);
+
+      // Data without revisions, mastery or flashcards keeps the current ones
+      await storage.importData({ memories: [], notes: [], mindmap: { nodes: [], edges: [] } }, { userId: user });
+      assert.strictEqual((await storage.getUserMemories(user)).total, 0);
+      assert.strictEqual((await storage.getRevisions('memory', kept.id, user)).length, 1);
+      assert.strictEqual((await storage.getConceptMastery(user)).length, 1);
+      assert.strictEqual((await storage.getFlashcardReviews(user)).length, 1);
+    }
+  }
+];
+
+function adapterTargets() {
+  const tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'prisma-adapters-'));
+  const targets = [
+    { type: 'memory', create: () => createStorage('memory') },
+    { type: 'json', create: () => createStorage('json', { dataDir: path.join(tmpRoot, 'json') }) },
+    { type: 'sqlite', create: () => createStorage('sqlite', { dataDir: path.join(tmpRoot, 'sqlite') }) }
+  ];
+
+  if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+    targets.push({ type: 'supabase', shared: true, create: () => createStorage('supabase', { dataDir: path.join(tmpRoot, 'supabase') }) });
+  } else {
+    targets.push({ type: 'supabase', skip: 'SUPABASE_URL and SUPABASE_ANON_KEY not set' });
+  }
+
+  return { tmpRoot, targets };
+}
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Storage Adapter Conformance Suite${colors.reset}`, 'blue');
+
+  const { tmpRoot, targets } = adapterTargets();
+  let passed = 0;
+  let failed = 0;
+
+  for (const target of targets) {
+    log(`\n📦 ${target.type}`, 'blue');
+
+    if (target.skip) {
+      log(`   ⏭️ Skipped: ${target.skip}`, 'yellow');
+      continue;
+    }
+
+    let storage;
+    try {
+      storage = target.create();
+      await storage.init();
+    } catch (error) {
+      log(`   ⏭️ Skipped: ${error.message}`, 'yellow');
+      continue;
+    }
+
+    for (const check of checks) {
+      if (check.destructive && target.shared) {
+        log(`   ⏭️ ${check.name} (destructive on shared storage)`, 'yellow');
+        continue;
+      }
+
+      try {
+        await check.fn(storage);
+        log(`   ✅ ${check.name}`, 'green');
+        passed++;
+      } catch (error) {
+        log(`   ❌ ${check.name}: ${error.message}`, 'red');
+        failed++;
+      }
+    }
+
+    if (typeof storage.close === 'function') {
+      storage.close();
+    }
+  }
+
+  fs.rmSync(tmpRoot, { recursive: true, force: true });
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests, checks };
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// test-validation.js - Request schemas, field-level validation errors and the
+// shared error envelope
+
+const assert = require('assert');
+const { ApiError, describeError } = require('./api-errors');
+const { validateRequest } = require('./request-validation');
+const { MockLLMProvider } = require('./llm-provider');
+const { createAPI, caller } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const USER = 'validation_user';
+
+const call = caller({ id: USER, role: 'user' });
+
+// Runs the API on a free port for the duration of `fn`
+async function withServer(api, fn) {
+  const server = await new Promise(resolve => {
+    const listening = api.app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const request = async (method, route, { token, body, headers = {} } = {}) => {
+    const res = await fetch(base + route, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...headers
+      },
+      body: typeof body === 'string' ? body : body ? JSON.stringify(body) : undefined
+    });
+    return { status: res.status, requestId: res.headers.get('x-request-id'), body: await res.json() };
+  };
+
+  try {
+    await fn(request);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+}
+
+const checks = [
+  {
+    name: 'Schemas coerce query strings, fill in defaults and report every problem by field',
+    fn: async () => {
+      const schema = {
+        query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1, default: 10 }, archived: { type: 'boolean' } } },
+        body: {
+          type: 'object',
+          required: ['title', 'tags'],
+          additionalProperties: false,
+          properties: {
+            title: { type: 'string', pattern: '\\S', errorMessage: { pattern: 'must not be blank' } },
+            tags: { type: 'array', items: { type: 'string' } },
+            mode: { type: 'string', enum: ['a', 'b'], default: 'a' }
+          }
+        }
+      };
+
+      const valid = validateRequest(schema, { query: { archived: 'true' }, body: { title: 'Notes', tags: [] } });
+      assert.deepStrictEqual(valid.query, { archived: true, limit: 10 });
+      assert.deepStrictEqual(valid.body, { title: 'Notes', tags: [], mode: 'a' });
+      assert.deepStrictEqual(valid.params, {});
+
+      assert.throws(() => validateRequest(schema, { query: { limit: '0' }, body: { title: '  ', tags: ['x', 3], colour: 'red' } }), error => {
+        assert.strictEqual(error.status, 400);
+        assert.strictEqual(error.code, 'VALIDATION_FAILED');
+        assert.deepStrictEqual(error.details, [
+          { location: 'query', field: 'limit', message: 'must be at least 1' },
+          { location: 'body', field: 'title', message: 'must not be blank' },
+          { location: 'body', field: 'tags[1]', message: 'must be a string' },
+          { location: 'body', field: 'colour', message: 'is not allowed' }
+        ]);
+        assert.strictEqual(error.message, 'Invalid request: limit must be at least 1; title must not be blank; tags[1] must be a string; colour is not allowed');
+        return true;
+      });
+    }
+  },
+  {
+    name: 'Errors map to a status and a stable code, hiding internal messages',
+    fn: async () => {
+      const codes = [
+        new Error('Memory not found'),
+        new Error('Username already taken'),
+        new Error('Invalid backup: checksum does not match its contents'),
+        new Error('Invalid username or password'),
+        new ApiError(503, 'SERVICE_UNAVAILABLE', 'Chat requires ANTHROPIC_API_KEY'),
+        Object.assign(new Error('Unexpected token'), { type: 'entity.parse.failed' }),
+        new Error('ENOSPC: no space left on device')
+      ].map(error => {
+        const { status, code } = describeError(error);
+        return `${status} ${code}`;
+      });
+      assert.deepStrictEqual(codes, [
+        '404 NOT_FOUND',
+        '409 CONFLICT',
+        '422 INVALID_BACKUP',
+        '401 INVALID_CREDENTIALS',
+        '503 SERVICE_UNAVAILABLE',
+        '400 INVALID_JSON',
+        '500 INTERNAL_ERROR'
+      ]);
+      assert.strictEqual(describeError(new Error('ENOSPC: no space left on device')).message, 'Internal server error');
+    }
+  },
+  {
+    name: 'Handlers reject malformed input with field-level details and store nothing',
+    fn: async () => {
+      const api = createAPI();
+
+      const batch = await call(api.addMemoriesBatch.bind(api), { body: { memories: [{ content: 'Valid' }, { content: '' }, { text: 'typo' }] } });
+      assert.strictEqual(batch.status, 400);
+      assert.strictEqual(batch.body.success, false);
+      assert.strictEqual(batch.body.code, 'VALIDATION_FAILED');
+      assert.strictEqual(batch.body.requestId, 'req_test');
+      assert.deepStrictEqual(batch.body.details.map(d => `${d.field} ${d.message}`), [
+        'memories[1].content must not be blank',
+        'memories[2].content is required',
+        'memories[2].text is not allowed'
+      ]);
+      assert.strictEqual((await api.storage.getUserMemories(USER)).total, 0);
+
+      const context = await call(api.getContextualMemories.bind(api), { body: { context: 'calculus', limit: 500 } });
+      assert.deepStrictEqual(context.body.details, [
+        { location: 'body', field: 'context', message: 'must be an object' },
+        { location: 'body', field: 'limit', message: 'must be at most 50' }
+      ]);
+
+      const node = await call(api.addMindmapNode.bind(api), { body: { label: 'Limits', metadata: { x: 'left' } } });
+      assert.deepStrictEqual(node.body.details.map(d => d.field), ['metadata.x']);
+
+      // Fields the server owns can't be written through an update
+      const { body: added } = await call(api.addNote.bind(api), { body: { content: 'Lecture notes' } });
+      const update = await call(api.updateNote.bind(api), { params: { noteId: added.note.id }, body: { user_id: 'someone_else' } });
+      assert.strictEqual(update.status, 400);
+      assert.deepStrictEqual(update.body.details, [{ location: 'body', field: 'user_id', message: 'is not allowed' }]);
+
+      const merge = await call(api.mergeMemories.bind(api), { body: { memoryIds: ['a', 'a'] } });
+      assert.deepStrictEqual(merge.body.details.map(d => d.field), ['memoryIds']);
+    }
+  },
+  {
+    name: 'Every response carries a request id and failures share one envelope',
+    fn: async () => {
+      const api = createAPI();
+      await withServer(api, async request => {
+        const { body: session } = await request('POST', '/api/auth/register', { body: { username: 'ada', password: 'correct horse battery' } });
+        const token = session.token;
+
+        const traced = await request('POST', '/api/memory/add', { token, body: { content: 'Traced memory' }, headers: { 'X-Request-Id': 'trace-42' } });
+        assert.strictEqual(traced.status, 200);
+        assert.strictEqual(traced.requestId, 'trace-42');
+
+        const invalid = await request('POST', '/api/memory/add', { token, body: { content: 42 } });
+        assert.strictEqual(invalid.status, 400);
+        assert.match(invalid.requestId, /^req_[0-9a-f]{16}$/);
+        assert.deepStrictEqual(invalid.body, {
+          success: false,
+          error: 'Invalid request: content must be a string',
+          code: 'VALIDATION_FAILED',
+          requestId: invalid.requestId,
+          details: [{ location: 'body', field: 'content', message: 'must be a string' }]
+        });
+
+        const badJson = await request('POST', '/api/memory/add', { token, body: '{"content": ' });
+        assert.deepStrictEqual([badJson.status, badJson.body.code, badJson.body.requestId], [400, 'INVALID_JSON', badJson.requestId]);
+
+        const limit = await request('GET', `/api/memory/user/${session.user.id}?limit=ten`, { token });
+        assert.deepStrictEqual(limit.body.details, [{ location: 'query', field: 'limit', message: 'must be an integer' }]);
+
+        const unknownRoute = await request('GET', '/api/nope', { token });
+        assert.deepStrictEqual([unknownRoute.status, unknownRoute.body.code], [404, 'NOT_FOUND']);
+
+        const missing = await request('DELETE', '/api/memory/nope', { token });
+        assert.deepStrictEqual([missing.status, missing.body.code, missing.body.error], [404, 'NOT_FOUND', 'Memory not found']);
+
+        const anonymous = await request('GET', '/api/auth/me');
+        assert.deepStrictEqual([anonymous.status, anonymous.body.code], [401, 'UNAUTHORIZED']);
+
+        const chat = await request('POST', '/api/chat/ask', { token, body: { query: 'Explain limits' } });
+        assert.deepStrictEqual([chat.status, chat.body.code], [503, 'SERVICE_UNAVAILABLE']);
+      });
+
+      await withServer(createAPI({ llm: new MockLLMProvider({ fallback: 'Limits describe approach.' }) }), async request => {
+        const { body: session } = await request('POST', '/api/auth/register', { body: { username: 'ada', password: 'correct horse battery' } });
+        const chat = await request('POST', '/api/chat/ask', { token: session.token, body: { query: 'Explain limits' } });
+        assert.deepStrictEqual([chat.status, chat.body.answer], [200, 'Limits describe approach.']);
+      });
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Request Validation Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
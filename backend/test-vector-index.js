@@ -0,0 +1,290 @@
+#!/usr/bin/env node
+// test-vector-index.js - Recall and consistency checks for the HNSW memory index
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { HnswIndex, ANN_MIN_SIZE } = require('./vector-index');
+const LocalMemoryStorage = require('./local-memory-storage');
+const SqliteMemoryStorage = require('./sqlite-memory-storage');
+const InMemoryStorage = require('./in-memory-storage');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// Small deterministic PRNG so recall numbers are reproducible
+function seededRandom(seed) {
+  return () => {
+    seed = (seed * 1664525 + 1013904223) % 4294967296;
+    return seed / 4294967296;
+  };
+}
+
+function randomVectors(count, dim, seed) {
+  const random = seededRandom(seed);
+  return Array.from({ length: count }, () => Array.from({ length: dim }, () => random() * 2 - 1));
+}
+
+function bruteForce(index, query, k) {
+  return [...index.nodes.keys()]
+    .map(id => ({ id, similarity: index.similarity(index.normalize(query), index.nodes.get(id).vector) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k);
+}
+
+function recall(index, queries, k) {
+  let found = 0;
+  for (const query of queries) {
+    const expected = new Set(bruteForce(index, query, k).map(r => r.id));
+    found += index.search(query, k).filter(r => expected.has(r.id)).length;
+  }
+  return found / (queries.length * k);
+}
+
+function hasIndex(storage, userId) {
+  return [...storage.vectorIndex.indexes.values()].some(entry => entry.userId === userId);
+}
+
+function buildIndex(vectors) {
+  const index = new HnswIndex();
+  vectors.forEach((vector, i) => index.insert(`v${i}`, vector));
+  return index;
+}
+
+const DIM = 32;
+const vectors = randomVectors(1500, DIM, 42);
+const queries = randomVectors(40, DIM, 7);
+
+const checks = [
+  {
+    name: 'finds the true nearest neighbours (recall@10 >= 0.9)',
+    fn: async () => {
+      const index = buildIndex(vectors);
+      const r = recall(index, queries, 10);
+      assert.ok(r >= 0.9, `recall ${r.toFixed(3)}`);
+    }
+  },
+  {
+    name: 'keeps recall after incremental deletes and re-inserts',
+    fn: async () => {
+      const index = buildIndex(vectors);
+      for (let i = 0; i < 300; i++) {
+        index.remove(`v${i * 5}`);
+      }
+      for (let i = 0; i < 50; i++) {
+        index.insert(`v${i * 5}`, vectors[i * 5]);
+      }
+
+      assert.strictEqual(index.size, 1250);
+      for (const query of queries) {
+        for (const hit of index.search(query, 10)) {
+          assert.ok(index.has(hit.id), `removed id ${hit.id} returned`);
+        }
+      }
+      const r = recall(index, queries, 10);
+      assert.ok(r >= 0.9, `recall ${r.toFixed(3)}`);
+
+      // Every link is recorded on the node it points to, and only those
+      for (const [id, node] of index.nodes) {
+        node.inbound.forEach((from, layer) => {
+          for (const otherId of from) {
+            assert.ok(index.nodes.get(otherId).neighbors[layer].includes(id), `stale inbound link ${otherId} -> ${id}`);
+          }
+        });
+        node.neighbors.forEach((links, layer) => {
+          for (const neighborId of links) {
+            assert.ok(index.nodes.get(neighborId).inbound[layer].has(id), `missing inbound link ${id} -> ${neighborId}`);
+          }
+        });
+      }
+    }
+  },
+  {
+    name: 'rejects vectors of another dimension',
+    fn: async () => {
+      const index = new HnswIndex();
+      assert.strictEqual(index.insert('a', [1, 0, 0]), true);
+      assert.strictEqual(index.insert('b', [1, 0]), false);
+      assert.deepStrictEqual(index.search([1, 0], 5), []);
+    }
+  },
+  {
+    name: 'round-trips through JSON without storing vectors',
+    fn: async () => {
+      const index = buildIndex(vectors.slice(0, 300));
+      const embeddings = new Map(vectors.slice(0, 300).map((v, i) => [`v${i}`, v]));
+      const restored = HnswIndex.fromJSON(JSON.parse(JSON.stringify(index.toJSON())), embeddings);
+
+      for (const query of queries) {
+        assert.deepStrictEqual(restored.search(query, 5).map(r => r.id), index.search(query, 5).map(r => r.id));
+      }
+
+      embeddings.delete('v0');
+      assert.strictEqual(HnswIndex.fromJSON(index.toJSON(), embeddings), null);
+    }
+  },
+  {
+    name: 'LocalMemoryStorage searches, updates and persists through the index',
+    fn: async () => {
+      const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prisma-ann-'));
+      const user = 'ann_user';
+      try {
+        const storage = new LocalMemoryStorage(dataDir);
+        const memories = await storage.addMemoriesBatch(
+          vectors.slice(0, ANN_MIN_SIZE + 50).map((embedding, i) => ({ content: `memory ${i}`, embedding, metadata: {} })),
+          user
+        );
+
+        const [top] = await storage.searchMemories(vectors[10], user, 0.5, 1);
+        assert.strictEqual(top.id, memories[10].id);
+        assert.ok(hasIndex(storage, user));
+
+        await storage.deleteMemory(memories[10].id, user);
+        const afterDelete = await storage.searchMemories(vectors[10], user, -1, 5);
+        assert.ok(afterDelete.every(m => m.id !== memories[10].id));
+
+        // Updates that keep the embedding, as every search hit's access
+        // count is, leave the graph as it is
+        const [{ index }] = storage.vectorIndex.indexes.values();
+        const graph = JSON.stringify(index.toJSON());
+        await storage.updateMemory(memories[30].id, { metadata: { access_count: 1 } }, user);
+        assert.strictEqual(JSON.stringify(index.toJSON()), graph);
+
+        await storage.updateMemory(memories[20].id, { embedding: vectors[10] }, user);
+        const [moved] = await storage.searchMemories(vectors[10], user, 0.5, 1);
+        assert.strictEqual(moved.id, memories[20].id);
+
+        await storage.vectorIndex.flush();
+        const reloaded = new LocalMemoryStorage(dataDir);
+        await reloaded.init();
+        assert.ok(hasIndex(reloaded, user), 'persisted index not reused');
+        const [again] = await reloaded.searchMemories(vectors[10], user, 0.5, 1);
+        assert.strictEqual(again.id, memories[20].id);
+      } finally {
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'SqliteMemoryStorage searches through the index, kept in step with its writes',
+    fn: async () => {
+      const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'prisma-ann-sqlite-'));
+      const user = 'ann_sqlite';
+      const storage = new SqliteMemoryStorage(dataDir);
+      try {
+        const memories = await storage.addMemoriesBatch(
+          vectors.slice(0, ANN_MIN_SIZE + 50).map((embedding, i) => ({ content: `memory ${i}`, embedding, metadata: {} })),
+          user
+        );
+
+        const [top] = await storage.searchMemories(vectors[10], user, 0.5, 1);
+        assert.strictEqual(top.id, memories[10].id);
+        assert.ok(hasIndex(storage, user), 'search did not go through the index');
+
+        await storage.deleteMemory(memories[10].id, user);
+        const afterDelete = await storage.searchMemories(vectors[10], user, -1, 5);
+        assert.ok(afterDelete.every(m => m.id !== memories[10].id));
+
+        await storage.updateMemory(memories[20].id, { embedding: vectors[10] }, user);
+        const [moved] = await storage.searchMemories(vectors[10], user, 0.5, 1);
+        assert.strictEqual(moved.id, memories[20].id);
+
+        const added = await storage.addMemory('added later', { embedding: vectors[ANN_MIN_SIZE + 100] }, user);
+        const [found] = await storage.searchMemories(vectors[ANN_MIN_SIZE + 100], user, 0.5, 1);
+        assert.strictEqual(found.id, added.id);
+
+        // Archived memories leave the index, and come back with their row
+        await storage.updateMemory(added.id, { archived_at: new Date().toISOString() }, user);
+        assert.ok((await storage.searchMemories(vectors[ANN_MIN_SIZE + 100], user, 0.99, 1)).length === 0);
+        const [archived] = await storage.searchMemories(vectors[ANN_MIN_SIZE + 100], user, 0.99, 1, { includeArchived: true });
+        assert.strictEqual(archived.id, added.id);
+
+        // A restart builds the index again from the table
+        storage.close();
+        const reopened = new SqliteMemoryStorage(dataDir);
+        const [again] = await reopened.searchMemories(vectors[10], user, 0.5, 1);
+        assert.strictEqual(again.id, memories[20].id);
+        assert.ok(hasIndex(reopened, user));
+        reopened.close();
+      } finally {
+        storage.close();
+        fs.rmSync(dataDir, { recursive: true, force: true });
+      }
+    }
+  },
+  {
+    name: 'keeps a separate index per embedding model',
+    fn: async () => {
+      const storage = new InMemoryStorage();
+      const user = 'ann_models';
+      const small = randomVectors(ANN_MIN_SIZE + 10, 16, 3);
+      const old = await storage.addMemoriesBatch(
+        vectors.slice(0, ANN_MIN_SIZE + 10).map((embedding, i) => ({ content: `old ${i}`, embedding, embedding_model: 'test:old' })),
+        user
+      );
+      const fresh = await storage.addMemoriesBatch(
+        small.map((embedding, i) => ({ content: `new ${i}`, embedding, embedding_model: 'test:new' })),
+        user
+      );
+
+      const [top] = await storage.searchMemories(small[5], user, 0.5, 1, { model: 'test:new' });
+      assert.strictEqual(top.id, fresh[5].id);
+      const [oldTop] = await storage.searchMemories(vectors[5], user, 0.5, 1, { model: 'test:old' });
+      assert.strictEqual(oldTop.id, old[5].id);
+
+      // Re-embedding moves a memory from the old model's index to the new one
+      await storage.updateMemory(old[7].id, { embedding: small[5], embedding_model: 'test:new' }, user);
+      const moved = await storage.searchMemories(small[5], user, 0.99, 5, { model: 'test:new' });
+      assert.deepStrictEqual(moved.map(m => m.id).sort(), [fresh[5].id, old[7].id].sort());
+      const remaining = await storage.searchMemories(vectors[7], user, -1, 50, { model: 'test:old' });
+      assert.ok(remaining.every(m => m.id !== old[7].id));
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Vector Index Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
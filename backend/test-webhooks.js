@@ -0,0 +1,428 @@
+#!/usr/bin/env node
+// test-webhooks.js - Outbound webhooks: filtering, signatures, retries with
+// backoff, dead letters and the delivery log, against a local HTTP receiver
+
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { EventFeed } = require('./event-feed');
+const { WebhookDispatcher, WEBHOOK_EVENT_FILTERS, matchesFilters, isPublicAddress, signPayload } = require('./webhook-dispatcher');
+const { createAPI, callServer } = require('./test-helpers');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  blue: '\x1b[34m',
+  reset: '\x1b[0m',
+  bold: '\x1b[1m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+// The receivers listen on 127.0.0.1, which webhooks may only reach with
+// WEBHOOK_ALLOW_PRIVATE
+function webhookAPI({ allowPrivate = true } = {}) {
+  const api = createAPI();
+  api.webhooks.allowPrivate = allowPrivate;
+  return api;
+}
+
+// Resolves every host to one public address
+const publicLookup = async () => [{ address: '93.184.216.34', family: 4 }];
+
+async function listen(server) {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+async function close(server) {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+}
+
+// Runs the API on a free port for the duration of `fn`
+async function withServer(api, fn) {
+  const server = http.createServer(api.app);
+  try {
+    await fn(await listen(server));
+  } finally {
+    api.webhooks.stop();
+    await close(server);
+  }
+}
+
+// A local HTTP receiver recording every request; respond(request) may
+// return { status, body, delay } to answer with something other than a 200
+async function withReceiver(respond, fn) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = { path: req.url, headers: req.headers, body, json: JSON.parse(body), at: Date.now() };
+      received.push(request);
+      const { status = 200, body: reply = 'ok', delay = 0 } = respond(request) || {};
+      setTimeout(() => res.writeHead(status).end(reply), delay);
+    });
+  });
+  const base = await listen(server);
+  try {
+    await fn(base, received);
+  } finally {
+    await close(server);
+  }
+}
+
+async function register(base, username) {
+  return (await callServer(base, 'POST', '/api/auth/register', null, { username, password: 'correct horse battery' })).body;
+}
+
+async function until(condition, ms = 10000) {
+  const deadline = Date.now() + ms;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error(`Timed out waiting for ${condition}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// What a receiver does to check a delivery
+function verify(request, secret) {
+  const expected = signPayload(secret, request.headers['x-prisma-timestamp'], request.body);
+  const given = request.headers['x-prisma-signature'];
+  return given.length === expected.length && crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected));
+}
+
+const checks = [
+  {
+    name: 'Filters match event types, kinds of events and everything',
+    fn: async () => {
+      assert.ok(matchesFilters(['*'], 'note.deleted'));
+      assert.ok(matchesFilters(['memory.*'], 'memory.updated'));
+      assert.ok(matchesFilters(['mindmap.*'], 'mindmap.edge.created'));
+      assert.ok(matchesFilters(['note.created', 'note.deleted'], 'note.deleted'));
+      assert.ok(!matchesFilters(['memory.*'], 'note.created'));
+      assert.ok(!matchesFilters(['note.created'], 'note.updated'));
+
+      const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+      assert.strictEqual(signPayload('whsec_test', 1700000000, '{"a":1}'), `sha256=${expected}`);
+    }
+  },
+  {
+    name: 'Resync events stay on event streams and are never sent to webhooks',
+    fn: async () => {
+      assert.ok(!WEBHOOK_EVENT_FILTERS.includes('resync'));
+
+      const feed = new EventFeed();
+      const streamed = [];
+      const hooked = [];
+      feed.subscribe('ada', event => streamed.push(event.type));
+      feed.subscribeAll((userId, event) => hooked.push(event.type));
+      feed.publish('ada', 'note.created', { id: 'n1' });
+      feed.resync('ada', 'backup-restored');
+      assert.deepStrictEqual(streamed, ['note.created', 'resync']);
+      assert.deepStrictEqual(hooked, ['note.created']);
+    }
+  },
+  {
+    name: "Signed deliveries reach a local receiver, filtered by event type and limited to the owner's changes",
+    fn: async () => {
+      const api = webhookAPI();
+      await withReceiver(() => null, async (receiver, received) => {
+        await withServer(api, async base => {
+          const ada = await register(base, 'ada');
+          const bob = await register(base, 'bob');
+
+          const created = await callServer(base, 'POST', '/api/webhooks', ada.token, { url: `${receiver}/ada`, events: ['memory.*', 'note.deleted'] });
+          assert.strictEqual(created.status, 201);
+          const { webhook } = created.body;
+          assert.deepStrictEqual(webhook.events, ['memory.*', 'note.deleted']);
+          const { webhook: bobs } = (await callServer(base, 'POST', '/api/webhooks', bob.token, { url: `${receiver}/bob` })).body;
+          assert.deepStrictEqual(bobs.events, ['*']);
+
+          const { memory } = (await callServer(base, 'POST', '/api/memory/add', ada.token, { content: 'Eigenvectors keep their direction' })).body;
+          const { note } = (await callServer(base, 'POST', '/api/notes/add', ada.token, { content: 'Spectral theorem' })).body;
+          await callServer(base, 'DELETE', `/api/notes/${note.id}`, ada.token);
+          await callServer(base, 'POST', '/api/notes/add', bob.token, { content: 'Bayes rule' });
+
+          await until(() => received.length === 3);
+          const forAda = received.filter(request => request.path === '/ada');
+          const forBob = received.filter(request => request.path === '/bob');
+          assert.deepStrictEqual(forAda.map(request => request.json.event).sort(), ['memory.created', 'note.deleted']);
+          assert.deepStrictEqual(forBob.map(request => request.json.event), ['note.created']);
+
+          const delivered = forAda.find(request => request.json.event === 'memory.created');
+          assert.ok(verify(delivered, webhook.secret), 'signed with the secret');
+          assert.ok(!verify(delivered, bobs.secret), 'not with another secret');
+          assert.strictEqual(delivered.headers['content-type'], 'application/json');
+          assert.strictEqual(delivered.headers['x-prisma-event'], 'memory.created');
+          assert.strictEqual(delivered.headers['x-prisma-delivery'], delivered.json.id);
+          assert.strictEqual(delivered.json.data.id, memory.id);
+          assert.strictEqual(delivered.json.data.content, 'Eigenvectors keep their direction');
+          assert.strictEqual(delivered.json.data.embedding, undefined);
+          assert.match(delivered.json.event_id, /^\w+-\d+$/);
+
+          await until(async () => (await callServer(base, 'GET', `/api/webhooks/${webhook.id}/deliveries?status=delivered`, ada.token)).body.deliveries.length === 2);
+          const { deliveries } = (await callServer(base, 'GET', `/api/webhooks/${webhook.id}/deliveries`, ada.token)).body;
+          assert.deepStrictEqual(deliveries.map(d => d.event), ['note.deleted', 'memory.created']);
+          assert.strictEqual(deliveries[1].id, delivered.json.id);
+          assert.deepStrictEqual(deliveries[1].payload, delivered.json);
+          assert.strictEqual(deliveries[1].attempts.length, 1);
+          assert.strictEqual(deliveries[1].attempts[0].status_code, 200);
+          assert.strictEqual(deliveries[1].attempts[0].error, null);
+        });
+      });
+    }
+  },
+  {
+    name: 'Failed deliveries are retried with backoff, dead-lettered, and can be redelivered',
+    fn: async () => {
+      const api = webhookAPI();
+      api.webhooks.retryBaseMs = 40;
+      api.webhooks.maxAttempts = 3;
+      api.webhooks.timeoutMs = 200;
+      let healthy = false;
+
+      await withReceiver(request => {
+        if (request.path === '/slow') return { delay: 1000 };
+        return healthy ? null : { status: 500, body: 'database is down' };
+      }, async (receiver, received) => {
+        await withServer(api, async base => {
+          const { token } = await register(base, 'ada');
+          const { webhook } = (await callServer(base, 'POST', '/api/webhooks', token, { url: `${receiver}/hook`, events: ['note.created'] })).body;
+          await callServer(base, 'POST', '/api/notes/add', token, { content: 'Fourier series' });
+
+          const deadLetters = async () => (await callServer(base, 'GET', '/api/webhooks/dead-letters', token)).body.deliveries;
+          await until(async () => (await deadLetters()).length === 1);
+          const [dead] = await deadLetters();
+          assert.strictEqual(dead.webhook_id, webhook.id);
+          assert.strictEqual(dead.status, 'dead');
+          assert.strictEqual(dead.next_attempt_at, null);
+          assert.deepStrictEqual(dead.attempts.map(a => [a.status_code, a.error, a.response]), Array(3).fill([500, 'HTTP 500', undefined]), 'answers from private hosts are not kept');
+
+          // The same bytes every time, waiting 4x longer after each failure
+          assert.strictEqual(received.length, 3);
+          assert.strictEqual(new Set(received.map(request => request.body)).size, 1);
+          assert.ok(received[1].at - received[0].at >= 40, 'first retry after the base delay');
+          assert.ok(received[2].at - received[1].at >= 160, 'second retry four times later');
+
+          healthy = true;
+          const redelivered = await callServer(base, 'POST', `/api/webhooks/${webhook.id}/deliveries/${dead.id}/redeliver`, token);
+          assert.strictEqual(redelivered.status, 202);
+          assert.strictEqual(redelivered.body.delivery.status, 'pending');
+
+          const latest = async () => (await callServer(base, 'GET', `/api/webhooks/${webhook.id}/deliveries`, token)).body.deliveries[0];
+          await until(async () => (await latest()).status === 'delivered');
+          assert.strictEqual((await deadLetters()).length, 0);
+          const delivery = await latest();
+          assert.strictEqual(delivery.attempts.length, 4);
+          assert.strictEqual(delivery.retry_from, 3);
+          assert.strictEqual(received[3].json.id, dead.id);
+
+          const missing = await callServer(base, 'POST', `/api/webhooks/${webhook.id}/deliveries/whd_missing/redeliver`, token);
+          assert.strictEqual(missing.status, 404);
+
+          // A receiver that doesn't answer in time counts as a failure
+          const { webhook: slow } = (await callServer(base, 'POST', '/api/webhooks', token, { url: `${receiver}/slow` })).body;
+          await callServer(base, 'POST', `/api/webhooks/${slow.id}/ping`, token);
+          await until(async () => (await deadLetters()).length === 1);
+          const [timedOut] = await deadLetters();
+          assert.strictEqual(timedOut.event, 'ping');
+          assert.strictEqual(timedOut.attempts[0].status_code, null);
+          assert.strictEqual(timedOut.attempts[0].error, 'No response within 200ms');
+        });
+      });
+    }
+  },
+  {
+    name: 'Webhook routes show the secret once, validate input and keep webhooks private',
+    fn: async () => {
+      const api = webhookAPI();
+      await withReceiver(() => null, async (receiver, received) => {
+        await withServer(api, async base => {
+          const { token } = await register(base, 'ada');
+          const { token: otherToken } = await register(base, 'bob');
+          const { webhook } = (await callServer(base, 'POST', '/api/webhooks', token, { url: `${receiver}/hook`, events: ['mindmap.*'], description: 'Wiki' })).body;
+          assert.match(webhook.secret, /^whsec_[0-9a-f]{48}$/);
+
+          const listed = (await callServer(base, 'GET', '/api/webhooks', token)).body.webhooks;
+          assert.deepStrictEqual(listed.map(w => [w.id, w.secret]), [[webhook.id, undefined]]);
+          assert.strictEqual((await callServer(base, 'GET', '/api/webhooks', otherToken)).body.webhooks.length, 0);
+          assert.strictEqual((await callServer(base, 'GET', `/api/webhooks/${webhook.id}`, otherToken)).status, 404);
+          assert.strictEqual((await callServer(base, 'DELETE', `/api/webhooks/${webhook.id}`, otherToken)).status, 404);
+
+          const badUrl = await callServer(base, 'POST', '/api/webhooks', token, { url: 'ftp://example.com/hook' });
+          assert.strictEqual(badUrl.status, 400);
+          assert.deepStrictEqual(badUrl.body.details, [{ location: 'body', field: 'url', message: 'must be an http or https URL' }]);
+          const badEvent = await callServer(base, 'POST', '/api/webhooks', token, { url: `${receiver}/hook`, events: ['memory.added'] });
+          assert.strictEqual(badEvent.status, 400);
+          assert.strictEqual(badEvent.body.details[0].field, 'events[0]');
+
+          // A ping goes out whatever the filters say
+          const ping = await callServer(base, 'POST', `/api/webhooks/${webhook.id}/ping`, token);
+          assert.strictEqual(ping.status, 202);
+          await until(() => received.length === 1);
+          assert.strictEqual(received[0].headers['x-prisma-event'], 'ping');
+          assert.deepStrictEqual(received[0].json.data, { webhook_id: webhook.id });
+          assert.ok(verify(received[0], webhook.secret));
+
+          const { webhook: rotated } = (await callServer(base, 'POST', `/api/webhooks/${webhook.id}/secret`, token)).body;
+          assert.notStrictEqual(rotated.secret, webhook.secret);
+          await callServer(base, 'POST', '/api/mindmap/node', token, { label: 'Topology' });
+          await until(() => received.length === 2);
+          assert.strictEqual(received[1].json.event, 'mindmap.node.created');
+          assert.ok(verify(received[1], rotated.secret));
+
+          // Paused webhooks get nothing
+          const paused = await callServer(base, 'PUT', `/api/webhooks/${webhook.id}`, token, { active: false });
+          assert.strictEqual(paused.body.webhook.active, false);
+          assert.strictEqual(paused.body.webhook.secret, undefined);
+          await callServer(base, 'POST', '/api/mindmap/node', token, { label: 'Geometry' });
+
+          assert.strictEqual((await callServer(base, 'DELETE', `/api/webhooks/${webhook.id}`, token)).status, 200);
+          assert.strictEqual((await callServer(base, 'GET', `/api/webhooks/${webhook.id}/deliveries`, token)).status, 404);
+          assert.strictEqual(received.length, 2);
+        });
+      });
+    }
+  },
+  {
+    name: 'Private, loopback and link-local hosts are refused unless WEBHOOK_ALLOW_PRIVATE is set',
+    fn: async () => {
+      for (const address of ['127.0.0.1', '10.0.0.8', '172.20.1.1', '192.168.1.10', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', '::', 'fe80::1', 'fd00::1', '::ffff:127.0.0.1', '::ffff:a9fe:a9fe']) {
+        assert.ok(!isPublicAddress(address), `${address} is not public`);
+      }
+      assert.ok(isPublicAddress('93.184.216.34'));
+      assert.ok(isPublicAddress('2606:4700::1111'));
+
+      const api = webhookAPI({ allowPrivate: false });
+      await withServer(api, async base => {
+        const { token } = await register(base, 'ada');
+        for (const url of ['http://127.0.0.1:8080/hook', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/hook', 'http://localhost/hook']) {
+          const refused = await callServer(base, 'POST', '/api/webhooks', token, { url });
+          assert.strictEqual(refused.status, 400, url);
+          assert.deepStrictEqual(refused.body.details, [{ location: 'body', field: 'url', message: 'must not point at a private or local address' }]);
+        }
+        assert.deepStrictEqual((await callServer(base, 'GET', '/api/webhooks', token)).body.webhooks, []);
+      });
+
+      // A host that turns private after registering is checked on every
+      // attempt, and never sent to
+      const sent = [];
+      let address = '93.184.216.34';
+      const dispatcher = new WebhookDispatcher({
+        lookup: async () => [{ address, family: 4 }],
+        fetch: async url => {
+          sent.push(url);
+          return new Response('internal details', { status: 500 });
+        },
+        maxAttempts: 1
+      });
+      const webhook = await dispatcher.create('user_1', { url: 'http://rebinding.test/hook' });
+      await dispatcher.attempt(dispatcher.enqueue(webhook, { id: null, type: 'ping', data: {} }));
+      assert.deepStrictEqual(dispatcher.deliveries[0].attempts.map(a => [a.error, a.response]), [['HTTP 500', 'internal details']], 'answers from public hosts are kept');
+
+      address = '169.254.169.254';
+      await dispatcher.attempt(dispatcher.enqueue(webhook, { id: null, type: 'ping', data: {} }));
+      assert.deepStrictEqual(dispatcher.deliveries[1].attempts.map(a => [a.status_code, a.error, a.response]), [[null, 'Host resolves to a private address', undefined]]);
+      assert.strictEqual(sent.length, 1);
+      dispatcher.stop();
+    }
+  },
+  {
+    name: 'Pending deliveries survive a restart',
+    fn: async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+      const file = path.join(dir, 'webhooks.json');
+      const sent = [];
+      try {
+        const events = new EventFeed();
+        const before = new WebhookDispatcher({
+          file,
+          events,
+          retryBaseMs: 300,
+          lookup: publicLookup,
+          fetch: async () => { throw new Error('connect ECONNREFUSED'); }
+        });
+        const webhook = await before.create('user_1', { url: 'http://receiver.test/hook' });
+        events.publish('user_1', 'memory.created', { id: 'mem_1', content: 'Green functions' });
+        events.publish('user_2', 'memory.created', { id: 'mem_2', content: 'Not for this webhook' });
+
+        await until(() => before.deliveries.length === 1 && before.deliveries[0].attempts.length === 1);
+        before.stop();
+        await before.store.writeQueue;
+
+        const after = new WebhookDispatcher({
+          file,
+          lookup: publicLookup,
+          fetch: async (url, options) => {
+            sent.push({ url, options });
+            return new Response('ok');
+          }
+        });
+        await after.init();
+        await until(() => after.deliveries[0].status === 'delivered');
+
+        const [delivery] = after.deliveries;
+        assert.strictEqual(delivery.attempts.length, 2);
+        assert.strictEqual(delivery.attempts[0].error, 'connect ECONNREFUSED');
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(sent[0].url, 'http://receiver.test/hook');
+        assert.deepStrictEqual(JSON.parse(sent[0].options.body).data, { id: 'mem_1', content: 'Green functions' });
+        const timestamp = sent[0].options.headers['X-Prisma-Timestamp'];
+        assert.strictEqual(sent[0].options.headers['X-Prisma-Signature'], signPayload(webhook.secret, timestamp, sent[0].options.body));
+
+        // Only one redelivery at a time
+        await assert.rejects(
+          Promise.all([after.redeliver('user_1', webhook.id, delivery.id), after.redeliver('user_1', webhook.id, delivery.id)]),
+          /already pending/
+        );
+        after.stop();
+        await after.store.writeQueue;
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    }
+  }
+];
+
+async function runAllTests() {
+  log(`${colors.bold}🧪 Webhook Tests${colors.reset}`, 'blue');
+
+  let passed = 0;
+  let failed = 0;
+
+  for (const check of checks) {
+    try {
+      await check.fn();
+      log(`   ✅ ${check.name}`, 'green');
+      passed++;
+    } catch (error) {
+      log(`   ❌ ${check.name}: ${error.message}`, 'red');
+      failed++;
+    }
+  }
+
+  log(`\n${colors.bold}📊 Test Results:${colors.reset}`);
+  log(`✅ Passed: ${passed}`, 'green');
+  log(`❌ Failed: ${failed}`, failed > 0 ? 'red' : 'reset');
+
+  return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+  runAllTests()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+      log(`\n💥 Test suite crashed: ${error.message}`, 'red');
+      process.exit(1);
+    });
+}
+
+module.exports = { runAllTests };
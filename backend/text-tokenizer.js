@@ -0,0 +1,33 @@
+// text-tokenizer.js - Shared word tokenizer for local embeddings and keyword search
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'does',
+  'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how', 'i', 'if', 'in', 'into',
+  'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'our', 'she', 'so', 'that', 'the',
+  'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was', 'we', 'were',
+  'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with', 'you', 'your'
+]);
+
+// Lowercased, stemmed words with stopwords and single letters removed
+function tokenize(text) {
+  return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Just enough stemming to match plurals and common verb endings
+function stem(word) {
+  if (word.length <= 4) return word;
+  if (word.endsWith('ies')) return word.slice(0, -3) + 'y';
+  if (word.endsWith('ing') && word.length > 6) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 5) return word.slice(0, -2);
+  if (word.endsWith('es') && /(ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+module.exports = {
+  STOPWORDS,
+  tokenize,
+  stem
+};
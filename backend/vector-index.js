@@ -0,0 +1,528 @@
+// vector-index.js - Approximate nearest-neighbour search for memory embeddings
+// Pure JS HNSW (Hierarchical Navigable Small World) graph, one per user,
+// kept in sync with the memory store and persisted next to the data files
+
+const fs = require('fs').promises;
+const { writeFileAtomic } = require('./atomic-file');
+
+// Below this many embedded memories a brute-force scan is just as fast
+const ANN_MIN_SIZE = 200;
+
+// The persisted graph is a cache, so writes are batched
+const SAVE_DELAY_MS = 2000;
+
+// Version 2 added one index per embedding model
+const INDEX_FILE_VERSION = 2;
+
+// Binary heap ordered by `compare` (smallest first)
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+class HnswIndex {
+  constructor(options = {}) {
+    this.M = options.M || 16;
+    this.maxM0 = this.M * 2;
+    this.efConstruction = options.efConstruction || 100;
+    this.efSearch = options.efSearch || 64;
+    this.levelMult = 1 / Math.log(this.M);
+    this.dim = options.dim || null;
+
+    // id -> { vector: Float32Array (unit length), level, neighbors: [[id, ...] per layer],
+    //        inbound: [Set of ids linking here, per layer] }
+    this.nodes = new Map();
+    this.entryPoint = null;
+    this.maxLevel = -1;
+  }
+
+  get size() {
+    return this.nodes.size;
+  }
+
+  has(id) {
+    return this.nodes.has(id);
+  }
+
+  // Whether the index already holds `embedding` for `id`, so inserting it
+  // again would only rewire the graph
+  holds(id, embedding) {
+    const node = this.nodes.get(id);
+    if (!node || embedding.length !== node.vector.length) return false;
+    const vector = this.normalize(embedding);
+    return vector.every((value, i) => value === node.vector[i]);
+  }
+
+  // Insert or replace a vector. Vectors with a different dimension than the
+  // index (e.g. from another embedding model) are rejected.
+  insert(id, embedding) {
+    if (this.nodes.has(id)) {
+      this.remove(id);
+    }
+
+    if (this.dim === null) {
+      this.dim = embedding.length;
+    }
+    if (embedding.length !== this.dim) {
+      return false;
+    }
+
+    const vector = this.normalize(embedding);
+    const level = Math.floor(-Math.log(Math.random() || Number.MIN_VALUE) * this.levelMult);
+    const node = {
+      vector,
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      inbound: Array.from({ length: level + 1 }, () => new Set())
+    };
+    this.nodes.set(id, node);
+
+    if (this.entryPoint === null) {
+      this.entryPoint = id;
+      this.maxLevel = level;
+      return true;
+    }
+
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > level; layer--) {
+      entry = this.greedyClosest(vector, entry, layer);
+    }
+
+    for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+      const candidates = this.searchLayer(vector, entry, this.efConstruction, layer);
+      const selected = this.selectNeighbors(vector, candidates, this.M);
+      this.setNeighbors(id, layer, selected.map(c => c.id));
+
+      for (const { id: neighborId } of selected) {
+        this.link(neighborId, id, layer);
+      }
+      entry = candidates[0].id;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = id;
+    }
+    return true;
+  }
+
+  remove(id) {
+    const node = this.nodes.get(id);
+    if (!node) return false;
+    this.nodes.delete(id);
+
+    for (let layer = 0; layer <= node.level; layer++) {
+      for (const neighborId of node.neighbors[layer]) {
+        this.nodes.get(neighborId).inbound[layer].delete(id);
+      }
+    }
+
+    // Links are directed; each node that linked here is reconnected using
+    // the removed node's neighbours
+    for (let layer = 0; layer <= node.level; layer++) {
+      for (const otherId of node.inbound[layer]) {
+        const other = this.nodes.get(otherId);
+        const links = other.neighbors[layer].filter(linked => linked !== id);
+        other.neighbors[layer] = links;
+
+        const pool = new Set([...links, ...node.neighbors[layer]]);
+        pool.delete(otherId);
+        pool.delete(id);
+        this.setNeighbors(otherId, layer, this.selectNeighbors(
+          other.vector,
+          this.scoreCandidates(other.vector, pool),
+          this.maxConnections(layer)
+        ).map(c => c.id));
+      }
+    }
+
+    if (this.entryPoint === id) {
+      this.entryPoint = null;
+      this.maxLevel = -1;
+      for (const [otherId, other] of this.nodes) {
+        if (other.level > this.maxLevel) {
+          this.entryPoint = otherId;
+          this.maxLevel = other.level;
+        }
+      }
+    }
+    return true;
+  }
+
+  // Top-k most similar ids as [{ id, similarity }], best first
+  search(embedding, k = 5, ef = this.efSearch) {
+    if (this.entryPoint === null || embedding.length !== this.dim) {
+      return [];
+    }
+
+    const vector = this.normalize(embedding);
+    let entry = this.entryPoint;
+    for (let layer = this.maxLevel; layer > 0; layer--) {
+      entry = this.greedyClosest(vector, entry, layer);
+    }
+
+    return this.searchLayer(vector, entry, Math.max(ef, k), 0).slice(0, k);
+  }
+
+  // Graph helpers
+  greedyClosest(vector, entry, layer) {
+    let current = entry;
+    let currentSim = this.similarity(vector, this.nodes.get(current).vector);
+    let improved = true;
+
+    while (improved) {
+      improved = false;
+      for (const neighborId of this.nodes.get(current).neighbors[layer] || []) {
+        const sim = this.similarity(vector, this.nodes.get(neighborId).vector);
+        if (sim > currentSim) {
+          current = neighborId;
+          currentSim = sim;
+          improved = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  // Beam search on one layer; returns up to ef candidates, best first
+  searchLayer(vector, entry, ef, layer) {
+    const entrySim = this.similarity(vector, this.nodes.get(entry).vector);
+    const visited = new Set([entry]);
+    const candidates = new Heap((a, b) => b.similarity - a.similarity); // best first
+    const results = new Heap((a, b) => a.similarity - b.similarity); // worst first
+
+    candidates.push({ id: entry, similarity: entrySim });
+    results.push({ id: entry, similarity: entrySim });
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.similarity < results.peek().similarity) break;
+
+      for (const neighborId of this.nodes.get(current.id).neighbors[layer] || []) {
+        if (visited.has(neighborId)) continue;
+        visited.add(neighborId);
+
+        const similarity = this.similarity(vector, this.nodes.get(neighborId).vector);
+        if (results.size < ef || similarity > results.peek().similarity) {
+          candidates.push({ id: neighborId, similarity });
+          results.push({ id: neighborId, similarity });
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  // Neighbour selection heuristic from the HNSW paper: prefer candidates that
+  // are closer to the base than to any already selected neighbour, which keeps
+  // links spread across clusters. Pruned candidates fill any remaining slots.
+  selectNeighbors(vector, candidates, max) {
+    const sorted = [...candidates].sort((a, b) => b.similarity - a.similarity);
+    const selected = [];
+    const pruned = [];
+
+    for (const candidate of sorted) {
+      if (selected.length >= max) break;
+      const candidateVector = this.nodes.get(candidate.id).vector;
+      const diverse = selected.every(s =>
+        this.similarity(candidateVector, this.nodes.get(s.id).vector) < candidate.similarity
+      );
+      (diverse ? selected : pruned).push(candidate);
+    }
+
+    for (const candidate of pruned) {
+      if (selected.length >= max) break;
+      selected.push(candidate);
+    }
+    return selected;
+  }
+
+  link(fromId, toId, layer) {
+    const node = this.nodes.get(fromId);
+    const links = node.neighbors[layer];
+    if (links.includes(toId)) return;
+
+    if (links.length < this.maxConnections(layer)) {
+      this.setNeighbors(fromId, layer, [...links, toId]);
+    } else {
+      this.setNeighbors(fromId, layer, this.selectNeighbors(
+        node.vector,
+        this.scoreCandidates(node.vector, [...links, toId]),
+        this.maxConnections(layer)
+      ).map(c => c.id));
+    }
+  }
+
+  // Replace a node's links on one layer, keeping the inbound sets in step
+  setNeighbors(id, layer, ids) {
+    const node = this.nodes.get(id);
+    const next = new Set(ids);
+    for (const old of node.neighbors[layer]) {
+      if (!next.has(old)) this.nodes.get(old).inbound[layer].delete(id);
+    }
+    for (const added of next) {
+      this.nodes.get(added).inbound[layer].add(id);
+    }
+    node.neighbors[layer] = ids;
+  }
+
+  scoreCandidates(vector, ids) {
+    return [...ids].map(id => ({ id, similarity: this.similarity(vector, this.nodes.get(id).vector) }));
+  }
+
+  maxConnections(layer) {
+    return layer === 0 ? this.maxM0 : this.M;
+  }
+
+  normalize(embedding) {
+    const vector = Float32Array.from(embedding);
+    let norm = 0;
+    for (let i = 0; i < vector.length; i++) norm += vector[i] * vector[i];
+    norm = Math.sqrt(norm) || 1;
+    for (let i = 0; i < vector.length; i++) vector[i] /= norm;
+    return vector;
+  }
+
+  // Cosine similarity of unit vectors
+  similarity(a, b) {
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) dot += a[i] * b[i];
+    return dot;
+  }
+
+  // Serialization: only the graph is stored, vectors come from the memories
+  toJSON() {
+    return {
+      M: this.M,
+      efConstruction: this.efConstruction,
+      efSearch: this.efSearch,
+      dim: this.dim,
+      entryPoint: this.entryPoint,
+      maxLevel: this.maxLevel,
+      nodes: [...this.nodes].map(([id, node]) => [id, node.level, node.neighbors])
+    };
+  }
+
+  // Returns null if the graph references a vector that no longer exists
+  static fromJSON(data, embeddingsById) {
+    const index = new HnswIndex(data);
+    for (const [id, level, neighbors] of data.nodes) {
+      const embedding = embeddingsById.get(id);
+      if (!embedding || embedding.length !== data.dim) return null;
+      index.nodes.set(id, {
+        vector: index.normalize(embedding),
+        level,
+        neighbors,
+        inbound: Array.from({ length: level + 1 }, () => new Set())
+      });
+    }
+    for (const [id, node] of index.nodes) {
+      for (const [layer, links] of node.neighbors.entries()) {
+        for (const neighborId of links) {
+          const neighbor = index.nodes.get(neighborId);
+          if (!neighbor || !neighbor.inbound[layer]) return null;
+          neighbor.inbound[layer].add(id);
+        }
+      }
+    }
+    index.entryPoint = data.entryPoint;
+    index.maxLevel = data.maxLevel;
+    return index;
+  }
+}
+
+// Per-user HNSW indexes over a storage backend's memories. Searches scoped
+// to an embedding model get their own index holding only that model's vectors.
+// Indexes are built lazily on the first search that needs one and updated
+// incrementally after that; a persisted index is only reused if it matches
+// the stored memories.
+class MemoryVectorIndex {
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.minSize = options.minSize || ANN_MIN_SIZE;
+    this.hnswOptions = options.hnsw || {};
+
+    this.indexes = new Map(); // indexKey(userId, model) -> { userId, model, index }
+    this.saveTimer = null;
+  }
+
+  async load(memories) {
+    if (!this.file) return;
+
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn('[Vector Index] Ignoring unreadable index file:', error.message);
+      }
+      return;
+    }
+    if (data.version !== INDEX_FILE_VERSION) {
+      console.log('[Vector Index] Index file is from an older version, will rebuild on next search');
+      return;
+    }
+
+    for (const { userId, model, graph } of data.indexes || []) {
+      const embeddings = memories
+        .filter(m => m.user_id === userId && m.embedding && m.embedding.length === graph.dim && (!model || m.embedding_model === model))
+        .map(m => [m.id, m.embedding]);
+      const index = embeddings.length === graph.nodes.length ? HnswIndex.fromJSON(graph, new Map(embeddings)) : null;
+
+      if (index) {
+        this.indexes.set(indexKey(userId, model), { userId, model, index });
+      } else {
+        console.log(`[Vector Index] Index for ${userId} is stale, will rebuild on next search`);
+      }
+    }
+  }
+
+  // Returns [{ id, similarity }] or null when the collection is small enough
+  // that the caller should scan it directly. userMemories must already be
+  // limited to `model` when one is given.
+  search(userId, queryEmbedding, limit, userMemories, model = null) {
+    const embedded = userMemories.filter(m => m.embedding);
+    return this.searchStored(userId, queryEmbedding, limit, embedded.length, () => embedded, model);
+  }
+
+  // search() for stores that keep their memories on disk: `size` is how many
+  // embedded memories the user has in scope, and loadMemories() returns them
+  // when the index has to be built
+  searchStored(userId, queryEmbedding, limit, size, loadMemories, model = null) {
+    if (size < this.minSize) {
+      return null;
+    }
+
+    let entry = this.indexes.get(indexKey(userId, model));
+    if (!entry || (entry.index.dim && entry.index.dim !== queryEmbedding.length)) {
+      entry = this.build(userId, model, loadMemories(), queryEmbedding.length);
+    }
+    return entry.index.search(queryEmbedding, limit);
+  }
+
+  build(userId, model, memories, dim) {
+    const started = Date.now();
+    const index = new HnswIndex(this.hnswOptions);
+    for (const memory of memories) {
+      if (memory.embedding && memory.embedding.length === dim) {
+        index.insert(memory.id, memory.embedding);
+      }
+    }
+
+    const entry = { userId, model, index };
+    this.indexes.set(indexKey(userId, model), entry);
+    this.scheduleSave();
+    console.log(`[Vector Index] Built index for ${userId}${model ? ` (${model})` : ''}: ${index.size} vectors in ${Date.now() - started}ms`);
+    return entry;
+  }
+
+  // Keep already-built indexes in step with a stored memory; archived
+  // memories drop out. Most updates (access counts, metadata) leave the
+  // embedding alone, and then the graph is left alone too; re-embedding
+  // with another model changes the vector, or takes the memory out of the
+  // old model's index.
+  upsert(memory) {
+    for (const { userId, model, index } of this.indexes.values()) {
+      if (userId !== memory.user_id) continue;
+
+      let changed;
+      if (memory.embedding && !memory.archived_at && (!model || memory.embedding_model === model)) {
+        changed = !index.holds(memory.id, memory.embedding);
+        if (changed) index.insert(memory.id, memory.embedding);
+      } else {
+        changed = index.remove(memory.id);
+      }
+      if (changed) this.scheduleSave();
+    }
+  }
+
+  remove(memory) {
+    for (const { userId, index } of this.indexes.values()) {
+      if (userId === memory.user_id && index.remove(memory.id)) {
+        this.scheduleSave();
+      }
+    }
+  }
+
+  clear() {
+    this.indexes.clear();
+    this.scheduleSave();
+  }
+
+  // Persistence
+  scheduleSave() {
+    if (!this.file || this.saveTimer) return;
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save().catch(error => console.warn('[Vector Index] Save failed:', error.message));
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+
+  async flush() {
+    if (!this.saveTimer) return;
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    await this.save();
+  }
+
+  async save() {
+    const indexes = [...this.indexes.values()].map(({ userId, model, index }) => ({ userId, model, graph: index.toJSON() }));
+    await writeFileAtomic(this.file, JSON.stringify({ version: INDEX_FILE_VERSION, indexes }));
+  }
+}
+
+function indexKey(userId, model) {
+  return JSON.stringify([userId, model || null]);
+}
+
+module.exports = {
+  HnswIndex,
+  MemoryVectorIndex,
+  ANN_MIN_SIZE
+};
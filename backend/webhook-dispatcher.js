@@ -0,0 +1,430 @@
+// webhook-dispatcher.js - Outbound webhooks for the change feed
+// Each user can register URLs that are POSTed the events of their feed
+// (see event-feed.js) whose type matches the webhook's filters. Webhooks and
+// their deliveries live in webhooks.json next to the data (in memory for the
+// 'memory' storage), so pending retries survive a restart.
+//
+// Every delivery is signed: X-Prisma-Signature is
+// `sha256=<hex HMAC-SHA256 of "<X-Prisma-Timestamp>.<body>">` keyed with the
+// webhook's secret. A delivery that fails (no 2xx answer within the timeout)
+// is retried with exponential backoff; after `maxAttempts` failures it is
+// moved to the dead-letter list, from where it can be redelivered.
+//
+// Webhooks can't reach private, loopback or link-local addresses (the host
+// is resolved again before every attempt) unless WEBHOOK_ALLOW_PRIVATE is
+// set, and only answers from public hosts are kept in the delivery log.
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const { JsonFileStore } = require('./json-file-store');
+const { EVENT_TYPES } = require('./event-feed');
+
+// What a webhook can subscribe to: an event type, every event of one kind
+// ('memory.*') or everything ('*')
+const WEBHOOK_EVENT_FILTERS = ['*', 'memory.*', 'note.*', 'mindmap.*', 'mastery.*', 'flashcard.*', ...EVENT_TYPES];
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_BASE_SECONDS = 30;
+const DEFAULT_TIMEOUT_SECONDS = 10;
+// Each retry waits RETRY_FACTOR times longer than the one before:
+// 30s, 2m, 8m, 32m and ~2h with the defaults
+const RETRY_FACTOR = 4;
+// Delivered and dead deliveries kept per webhook
+const DELIVERY_LOG_SIZE = 100;
+// How much of a failed response's body the delivery log keeps
+const RESPONSE_EXCERPT_LENGTH = 500;
+
+// Addresses a webhook may not be sent to: unspecified, private, shared,
+// loopback, link-local, benchmarking, documentation, multicast and reserved
+// ranges. IPv4-mapped IPv6 addresses are checked as IPv4.
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => PRIVATE_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const SECRET_PREFIX = 'whsec_';
+const USER_AGENT = 'Prisma-Webhooks/1.0';
+
+class WebhookDispatcher {
+  constructor({
+    file = null,
+    events = null,
+    fetch = null,
+    maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS,
+    retryBaseMs = (parseFloat(process.env.WEBHOOK_RETRY_BASE_SECONDS) || DEFAULT_RETRY_BASE_SECONDS) * 1000,
+    timeoutMs = (parseFloat(process.env.WEBHOOK_TIMEOUT_SECONDS) || DEFAULT_TIMEOUT_SECONDS) * 1000,
+    logSize = DELIVERY_LOG_SIZE,
+    allowPrivate = process.env.WEBHOOK_ALLOW_PRIVATE === 'true',
+    lookup = null
+  } = {}) {
+    this.fetch = fetch || ((...args) => globalThis.fetch(...args));
+    this.lookup = lookup || ((host, options) => dns.lookup(host, options));
+    this.allowPrivate = allowPrivate;
+    this.maxAttempts = maxAttempts;
+    this.retryBaseMs = retryBaseMs;
+    this.timeoutMs = timeoutMs;
+    this.logSize = logSize;
+
+    this.webhooks = [];
+    this.deliveries = [];
+    this.timers = new Map(); // deliveryId -> retry timer
+    this.store = new JsonFileStore(file, () => ({ webhooks: this.webhooks, deliveries: this.deliveries }));
+
+    if (events) {
+      events.subscribeAll((userId, event) => {
+        this.dispatch(userId, event).catch(error => console.error('[Webhooks] Dispatch failed:', error));
+      });
+    }
+  }
+
+  // Load webhooks.json once and pick up the retries that were pending
+  async init() {
+    return this.store.load(state => {
+      this.webhooks = state.webhooks || [];
+      this.deliveries = state.deliveries || [];
+      const pending = this.deliveries.filter(delivery => delivery.status === 'pending');
+      pending.forEach(delivery => this.schedule(delivery));
+      if (pending.length > 0) {
+        console.log(`[Webhooks] Resuming ${pending.length} pending deliveries`);
+      }
+    });
+  }
+
+  // Cancel the retry timers, e.g. before shutting down
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+
+  // Webhooks
+  async list(userId) {
+    await this.init();
+    return this.webhooks.filter(webhook => webhook.user_id === userId);
+  }
+
+  async get(userId, webhookId) {
+    await this.init();
+    const webhook = this.webhooks.find(w => w.id === webhookId && w.user_id === userId);
+    if (!webhook) {
+      throw new Error('Webhook not found');
+    }
+    return webhook;
+  }
+
+  // The secret is only returned here and by rotateSecret()
+  async create(userId, { url, events = ['*'], description = null }) {
+    await this.init();
+
+    const now = new Date().toISOString();
+    const webhook = {
+      id: `wh_${crypto.randomUUID()}`,
+      user_id: userId,
+      url,
+      events: [...new Set(events)],
+      description,
+      active: true,
+      secret: newSecret(),
+      created_at: now,
+      updated_at: now
+    };
+    this.webhooks.push(webhook);
+    await this.store.save();
+
+    console.log(`[Webhooks] Registered ${webhook.id} for ${userId}: ${url} (${webhook.events.join(', ')})`);
+    return webhook;
+  }
+
+  async update(userId, webhookId, changes) {
+    const webhook = await this.get(userId, webhookId);
+    for (const field of ['url', 'description', 'active']) {
+      if (changes[field] !== undefined) webhook[field] = changes[field];
+    }
+    if (changes.events !== undefined) {
+      webhook.events = [...new Set(changes.events)];
+    }
+    webhook.updated_at = new Date().toISOString();
+    await this.store.save();
+    return webhook;
+  }
+
+  async rotateSecret(userId, webhookId) {
+    const webhook = await this.get(userId, webhookId);
+    webhook.secret = newSecret();
+    webhook.updated_at = new Date().toISOString();
+    await this.store.save();
+    return webhook;
+  }
+
+  // Removes the webhook with its delivery log; pending retries are dropped
+  async delete(userId, webhookId) {
+    const webhook = await this.get(userId, webhookId);
+    for (const delivery of this.deliveries.filter(d => d.webhook_id === webhook.id)) {
+      this.cancel(delivery);
+    }
+    this.webhooks = this.webhooks.filter(w => w !== webhook);
+    this.deliveries = this.deliveries.filter(d => d.webhook_id !== webhook.id);
+    await this.store.save();
+  }
+
+  // Deliveries
+  // A change from the feed, queued for each of the user's active webhooks
+  // whose filters match it
+  async dispatch(userId, event) {
+    await this.init();
+    const webhooks = this.webhooks.filter(w => w.user_id === userId && w.active && matchesFilters(w.events, event.type));
+    if (webhooks.length === 0) return [];
+
+    const deliveries = webhooks.map(webhook => this.enqueue(webhook, event));
+    await this.store.save();
+    return deliveries;
+  }
+
+  // A `ping` event sent to one webhook, whatever its filters, to check the
+  // receiver
+  async ping(userId, webhookId) {
+    const webhook = await this.get(userId, webhookId);
+    const delivery = this.enqueue(webhook, { id: null, type: 'ping', data: { webhook_id: webhook.id } });
+    await this.store.save();
+    return delivery;
+  }
+
+  // The webhook's deliveries, newest first
+  async listDeliveries(userId, webhookId, { status = null, limit = 50 } = {}) {
+    const webhook = await this.get(userId, webhookId);
+    return this.deliveries
+      .filter(d => d.webhook_id === webhook.id && (!status || d.status === status))
+      .slice(-limit)
+      .reverse();
+  }
+
+  // Deliveries of any of the user's webhooks that ran out of attempts,
+  // newest first
+  async listDeadLetters(userId, { limit = 50 } = {}) {
+    await this.init();
+    return this.deliveries
+      .filter(d => d.user_id === userId && d.status === 'dead')
+      .slice(-limit)
+      .reverse();
+  }
+
+  // Send a delivery again now, with a fresh set of attempts; its earlier
+  // attempts stay in the log
+  async redeliver(userId, webhookId, deliveryId) {
+    const webhook = await this.get(userId, webhookId);
+    const delivery = this.deliveries.find(d => d.id === deliveryId && d.webhook_id === webhook.id);
+    if (!delivery) {
+      throw new Error('Delivery not found');
+    }
+    if (delivery.status === 'pending') {
+      throw new Error('Delivery is already pending');
+    }
+
+    // Moved to the end so the log stays in queue order
+    this.deliveries = this.deliveries.filter(d => d !== delivery);
+    this.deliveries.push(delivery);
+    delivery.status = 'pending';
+    delivery.retry_from = delivery.attempts.length;
+    delivery.next_attempt_at = new Date().toISOString();
+    delivery.delivered_at = null;
+    this.schedule(delivery);
+    await this.store.save();
+    return delivery;
+  }
+
+  enqueue(webhook, event) {
+    const now = new Date().toISOString();
+    const id = `whd_${crypto.randomUUID()}`;
+    const delivery = {
+      id,
+      webhook_id: webhook.id,
+      user_id: webhook.user_id,
+      event_id: event.id,
+      event: event.type,
+      // Stored as sent, so every attempt is signed over the same bytes
+      payload: JSON.stringify({ id, event: event.type, event_id: event.id, created_at: now, data: event.data }),
+      status: 'pending',
+      attempts: [],
+      retry_from: 0,
+      next_attempt_at: now,
+      delivered_at: null,
+      created_at: now
+    };
+    this.deliveries.push(delivery);
+    this.schedule(delivery);
+    return delivery;
+  }
+
+  schedule(delivery) {
+    this.cancel(delivery);
+    const wait = Math.max(0, new Date(delivery.next_attempt_at).getTime() - Date.now());
+    const timer = setTimeout(() => {
+      this.timers.delete(delivery.id);
+      this.attempt(delivery).catch(error => console.error(`[Webhooks] Delivery ${delivery.id} failed:`, error));
+    }, wait);
+    timer.unref();
+    this.timers.set(delivery.id, timer);
+  }
+
+  cancel(delivery) {
+    clearTimeout(this.timers.get(delivery.id));
+    this.timers.delete(delivery.id);
+  }
+
+  // 'public' when every address the URL's host resolves to is public,
+  // 'private' when any is not, and 'unresolved' when it doesn't resolve
+  async classifyTarget(url) {
+    const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+      addresses = await this.lookup(host, { all: true });
+    } catch (error) {
+      return 'unresolved';
+    }
+    return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address)) ? 'public' : 'private';
+  }
+
+  // POST the delivery once, then mark it delivered, schedule the next try,
+  // or dead-letter it
+  async attempt(delivery) {
+    const webhook = this.webhooks.find(w => w.id === delivery.webhook_id);
+    if (!webhook || delivery.status !== 'pending') return;
+
+    const started = Date.now();
+    const attempt = { at: new Date(started).toISOString(), status_code: null, duration_ms: 0, error: null };
+    const target = await this.classifyTarget(webhook.url);
+    if (target === 'unresolved') {
+      attempt.error = 'Host could not be resolved';
+    } else if (target === 'private' && !this.allowPrivate) {
+      attempt.error = 'Host resolves to a private address';
+    } else {
+      await this.post(webhook, delivery, attempt, { keepResponse: target === 'public' });
+    }
+    attempt.duration_ms = Date.now() - started;
+    delivery.attempts.push(attempt);
+
+    // The webhook may have been deleted while the request was out
+    if (!this.deliveries.includes(delivery)) return;
+
+    const failures = delivery.attempts.length - delivery.retry_from;
+    if (!attempt.error) {
+      delivery.status = 'delivered';
+      delivery.delivered_at = new Date().toISOString();
+      delivery.next_attempt_at = null;
+    } else if (failures >= this.maxAttempts) {
+      delivery.status = 'dead';
+      delivery.next_attempt_at = null;
+      console.warn(`[Webhooks] ${delivery.event} to ${webhook.url} failed ${failures} times (${attempt.error}); moved to dead letters`);
+    } else {
+      delivery.next_attempt_at = new Date(Date.now() + this.retryDelay(failures)).toISOString();
+      this.schedule(delivery);
+    }
+
+    this.prune(webhook.id);
+    await this.store.save();
+  }
+
+  // Send the delivery, recording the outcome in `attempt`; the body of a
+  // failed response is kept with keepResponse
+  async post(webhook, delivery, attempt, { keepResponse }) {
+    try {
+      const response = await this.fetch(webhook.url, {
+        method: 'POST',
+        headers: signedHeaders(webhook.secret, delivery),
+        body: delivery.payload,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      attempt.status_code = response.status;
+      const body = await response.text().catch(() => '');
+      if (!response.ok) {
+        attempt.error = `HTTP ${response.status}`;
+        if (keepResponse) attempt.response = body.slice(0, RESPONSE_EXCERPT_LENGTH);
+      }
+    } catch (error) {
+      attempt.error = error.name === 'TimeoutError'
+        ? `No response within ${this.timeoutMs}ms`
+        : (error.cause && error.cause.code) || error.message;
+    }
+  }
+
+  // How long to wait after the `failures`th failed attempt
+  retryDelay(failures) {
+    return this.retryBaseMs * RETRY_FACTOR ** (failures - 1);
+  }
+
+  // Keep the newest `logSize` delivered and dead deliveries of a webhook
+  prune(webhookId) {
+    for (const status of ['delivered', 'dead']) {
+      const finished = this.deliveries.filter(d => d.webhook_id === webhookId && d.status === status);
+      const dropped = new Set(finished.slice(0, Math.max(0, finished.length - this.logSize)));
+      if (dropped.size > 0) {
+        this.deliveries = this.deliveries.filter(d => !dropped.has(d));
+      }
+    }
+  }
+}
+
+function newSecret() {
+  return SECRET_PREFIX + crypto.randomBytes(24).toString('hex');
+}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// True when any filter ('*', 'memory.*' or an exact type) matches `type`
+function matchesFilters(filters, type) {
+  return filters.some(filter => filter === '*'
+    || filter === type
+    || (filter.endsWith('.*') && type.startsWith(filter.slice(0, -1))));
+}
+
+// The signature a receiver should compute to check a delivery
+function signPayload(secret, timestamp, payload) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex')}`;
+}
+
+function signedHeaders(secret, delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  return {
+    'Content-Type': 'application/json',
+    'User-Agent': USER_AGENT,
+    'X-Prisma-Event': delivery.event,
+    'X-Prisma-Delivery': delivery.id,
+    'X-Prisma-Timestamp': String(timestamp),
+    'X-Prisma-Signature': signPayload(secret, timestamp, delivery.payload)
+  };
+}
+
+// A webhook without its secret
+function publicWebhook(webhook) {
+  const { secret, ...rest } = webhook;
+  return rest;
+}
+
+// A delivery with its payload parsed
+function publicDelivery(delivery) {
+  return { ...delivery, payload: JSON.parse(delivery.payload) };
+}
+
+module.exports = {
+  WebhookDispatcher,
+  WEBHOOK_EVENT_FILTERS,
+  DELIVERY_STATUSES,
+  matchesFilters,
+  isPublicAddress,
+  signPayload,
+  publicWebhook,
+  publicDelivery
+};
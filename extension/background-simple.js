@@ -1,10 +1,13 @@
 // background-simple.js - Simplified version for testing
 
+import { createLLMProvider } from './llm-provider.js';
+
 // Store capture data in memory (could be enhanced with chrome.storage for persistence)
 let captureDataStore = [];
 
-// Store API key when received from sidebar
-let storedApiKey = null;
+// Language model provider, built from the settings the sidebar reads from
+// config.js (see llm-provider.js)
+let llmProvider = null;
 
 chrome.runtime.onInstalled.addListener(() => {
   console.log("AI Study Copilot extension installed");
@@ -23,14 +26,19 @@ chrome.action.onClicked.addListener((tab) => {
 
 // Handle API calls from sidebar and typing data
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg.type === 'anthropic-api-call') {
-    handleAnthropicAPI(msg.data)
+  if (msg.type === 'llm-api-call') {
+    handleLLMCall(msg.data)
       .then(result => sendResponse({ success: true, data: result }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Keep message channel open for async response
   } else if (msg.type === 'SET_API_KEY') {
-    storedApiKey = msg.data.apiKey;
-    sendResponse({ success: true });
+    try {
+      llmProvider = createLLMProvider(msg.data);
+      sendResponse({ success: true });
+    } catch (error) {
+      llmProvider = null;
+      sendResponse({ success: false, error: error.message });
+    }
     return true;
   } else if (msg.type === 'CAPTURE_DATA') {
     // Store capture data
@@ -62,33 +70,16 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   }
 });
 
-async function handleAnthropicAPI(requestData) {
-  const { apiKey, prompt } = requestData;
-  
-  if (!apiKey || apiKey === "YOUR_ANTHROPIC_API_KEY_HERE") {
-    throw new Error("Anthropic API key is not set");
-  }
+async function handleLLMCall(requestData) {
+  const { prompt, useCase = 'chat', llm } = requestData;
 
-  const response = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-      "content-type": "application/json",
-      "anthropic-dangerous-direct-browser-access": "true"
-    },
-    body: JSON.stringify({
-      model: "claude-3-haiku-20240307",
-      max_tokens: 1024,
-      messages: [{ role: "user", content: prompt }]
-    })
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(`API Error: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
+  if (!llmProvider && llm) {
+    llmProvider = createLLMProvider(llm);
+  }
+  if (!llmProvider) {
+    throw new Error("Language model is not configured");
   }
 
-  const result = await response.json();
-  return result.content[0].text;
+  const { text } = await llmProvider.complete({ useCase, messages: [{ role: "user", content: prompt }] });
+  return text;
 }
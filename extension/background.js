@@ -25,6 +25,7 @@ let captureDataStore = [];
 // Import modules using static imports (works in service workers)
 import { TandemProcessor } from './tandem-processor.js';
 import { PrismaNudgeSystem } from './claude-nudge-system.js';
+import { createLLMProvider } from './llm-provider.js';
 
 // Initialize processors
 let tandemProcessor = null;
@@ -55,7 +56,7 @@ function initializeProcessors() {
 // Monitor for new structured batches and trigger Prisma analysis
 function startBatchMonitoring() {
   setInterval(() => {
-    if (tandemProcessor && prismaNudgeSystem && storedApiKey) {
+    if (tandemProcessor && prismaNudgeSystem && llmProvider) {
       try {
         const latestBatch = tandemProcessor.getLatestStructuredBatch();
         if (latestBatch && shouldAnalyzeBatch(latestBatch)) {
@@ -93,12 +94,12 @@ async function analyzeBatchWithPrisma(batch) {
       timespan: batch.timespan,
       textLength: batch.structuredText.length
     });
-    console.log('🔑 API Key Status:', storedApiKey ? '✅ Available' : '❌ Missing');
+    console.log('🔑 LLM Provider:', llmProvider ? `✅ ${llmProvider.name}` : '❌ Missing');
     console.log('📝 Structured Text Preview:', batch.structuredText.substring(0, 500) + '...');
     console.log('🎯 Full Structured Text:', batch.structuredText);
     
     console.log('🧠 Calling Prisma Nudge System...');
-    const nudge = await prismaNudgeSystem.analyzeAndNudge(batch, storedApiKey);
+    const nudge = await prismaNudgeSystem.analyzeAndNudge(batch, llmProvider);
     
     if (nudge) {
       console.log('✅ Nudge Generated Successfully!');
@@ -118,7 +119,9 @@ async function analyzeBatchWithPrisma(batch) {
           message: nudge.text,
           level: nudge.level,
           timestamp: nudge.timestamp,
-          analysis: nudge.analysis
+          analysis: nudge.analysis,
+          concepts: nudge.concepts,
+          outcome: nudge.outcome
         }
       });
     } else {
@@ -152,20 +155,28 @@ chrome.action.onClicked.addListener((tab) => {
   });
 });
 
-// Store API key when received from sidebar
-let storedApiKey = null;
+// Language model provider, built from the settings the sidebar reads from
+// config.js (see llm-provider.js)
+let llmProvider = null;
 
 // Handle API calls from sidebar and typing data
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
-  if (msg.type === 'anthropic-api-call') {
-    handleAnthropicAPI(msg.data)
+  if (msg.type === 'llm-api-call') {
+    handleLLMCall(msg.data)
       .then(result => sendResponse({ success: true, data: result }))
       .catch(error => sendResponse({ success: false, error: error.message }));
     return true; // Keep message channel open for async response
   } else if (msg.type === 'SET_API_KEY') {
-    storedApiKey = msg.data.apiKey;
-    console.log('[Background] API key received and stored:', storedApiKey ? `${storedApiKey.substring(0, 10)}...` : 'INVALID');
-    sendResponse({ success: true });
+    // msg.data holds the provider settings: { provider, apiKey, baseUrl, useCases }
+    try {
+      llmProvider = createLLMProvider(msg.data);
+      console.log('[Background] LLM provider configured:', llmProvider.name);
+      sendResponse({ success: true });
+    } catch (error) {
+      llmProvider = null;
+      console.error('[Background] LLM provider not configured:', error.message);
+      sendResponse({ success: false, error: error.message });
+    }
     return true;
   } else if (msg.type === 'CAPTURE_DATA') {
     // Store capture data
@@ -214,6 +225,10 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   } else if (msg.type === 'CLEAR_CAPTURE_HISTORY') {
     captureDataStore = [];
     sendResponse({ success: true });
+  } else if (msg.type === 'MASTERY_UPDATE') {
+    // The sidebar's concepts and their mastery, for pitching nudges
+    prismaNudgeSystem?.setMastery(msg.data);
+    sendResponse({ success: true });
   } else if (msg.type === 'TRIGGER_AI_NOW') {
     // Manual trigger for immediate AI analysis
     handleManualAITrigger()
@@ -239,10 +254,10 @@ async function handleManualAITrigger() {
       throw new Error('AI systems not initialized');
     }
     
-    if (!storedApiKey) {
-      console.error('❌ API Key Check Failed: No Anthropic Prisma API key available');
+    if (!llmProvider) {
+      console.error('❌ LLM Check Failed: No language model provider configured');
       console.groupEnd();
-      throw new Error('Anthropic Prisma API key not configured. Please check that the sidebar loaded properly and config.js contains a valid ANTHROPIC_API_KEY.');
+      throw new Error('Language model not configured. Please check that the sidebar loaded properly and config.js contains a valid ANTHROPIC_API_KEY or LLM_CONFIG.');
     }
     
     console.log('✅ System Check Passed - Forcing batch processing...');
@@ -265,7 +280,7 @@ async function handleManualAITrigger() {
     console.log('🚀 Forcing Prisma Analysis (bypassing cooldowns)...');
     
     // Force Prisma analysis regardless of cooldowns
-    const nudge = await prismaNudgeSystem.forceAnalyzeAndNudge(forcedBatch, storedApiKey);
+    const nudge = await prismaNudgeSystem.forceAnalyzeAndNudge(forcedBatch, llmProvider);
     
     if (nudge) {
       console.log('✅ Manual Nudge Generated Successfully!');
@@ -287,6 +302,8 @@ async function handleManualAITrigger() {
           level: nudge.level,
           timestamp: nudge.timestamp,
           analysis: nudge.analysis,
+          concepts: nudge.concepts,
+          outcome: nudge.outcome,
           manualTrigger: true
         }
       });
@@ -307,33 +324,56 @@ async function handleManualAITrigger() {
   }
 }
 
-async function handleAnthropicAPI(requestData) {
-  const { apiKey, prompt } = requestData;
-  
-  if (!apiKey || apiKey === "YOUR_ANTHROPIC_API_KEY_HERE") {
-    throw new Error("Anthropic API key is not set");
+// Answer a prompt from the sidebar; `useCase` picks the model and limits
+async function handleLLMCall(requestData) {
+  const { prompt, useCase = 'chat', llm } = requestData;
+  const { text } = await providerFor(llm).complete({ useCase, messages: [{ role: "user", content: prompt }] });
+  return text;
+}
+
+// The configured provider, made from the sidebar's settings when the worker
+// has restarted since it sent them
+function providerFor(settings) {
+  if (!llmProvider && settings) {
+    llmProvider = createLLMProvider(settings);
   }
+  if (!llmProvider) {
+    throw new Error("Language model is not configured");
+  }
+  return llmProvider;
+}
 
-  const response = await fetch("https://api.anthropic.com/v1/messages", {
-    method: "POST",
-    headers: {
-      "x-api-key": apiKey,
-      "anthropic-version": "2023-06-01",
-      "content-type": "application/json",
-      "anthropic-dangerous-direct-browser-access": "true"
-    },
-    body: JSON.stringify({
-      model: "claude-3-haiku-20240307",
-      max_tokens: 1024,
-      messages: [{ role: "user", content: prompt }]
-    })
-  });
+// Streamed answers for the sidebar over a long-lived port. The sidebar posts
+// { type: 'start', data: { prompt, useCase, llm } } and is sent
+// { type: 'delta', text } for each piece of the answer, then
+// { type: 'done', text } or { type: 'error', error }. Disconnecting the port
+// cancels the request upstream.
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'llm-stream') return;
 
-  if (!response.ok) {
-    const errorData = await response.json();
-    throw new Error(`API Error: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
-  }
+  const controller = new AbortController();
+  port.onDisconnect.addListener(() => controller.abort());
 
-  const result = await response.json();
-  return result.content[0].text;
-}
+  port.onMessage.addListener(async (msg) => {
+    if (msg.type !== 'start') return;
+    const { prompt, useCase = 'chat', llm } = msg.data;
+    const send = (message) => {
+      if (!controller.signal.aborted) port.postMessage(message);
+    };
+
+    try {
+      const { text } = await providerFor(llm).stream(
+        { useCase, messages: [{ role: "user", content: prompt }], signal: controller.signal },
+        (chunk) => send({ type: 'delta', text: chunk })
+      );
+      send({ type: 'done', text });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        console.log('[Background] Streamed answer cancelled by the sidebar');
+        return;
+      }
+      console.error('[Background] Streamed answer failed:', error);
+      send({ type: 'error', error: error.message });
+    }
+  });
+});
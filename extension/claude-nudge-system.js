@@ -16,18 +16,55 @@ class PrismaNudgeSystem {
       toLevel2: 4,    // 4 concerning signals = stronger hint
       toLevel3: 6     // 6 concerning signals = full interference
     };
+    // The student's concepts ({ label, mastery: { p_known, level } | undefined }),
+    // sent by the sidebar from the server's mind map
+    this.concepts = [];
+  }
+
+  // Replace the concepts nudges are pitched against
+  setMastery(concepts) {
+    this.concepts = concepts || [];
+    console.log(`[Prisma Nudge] Mastery known for ${this.concepts.filter(c => c.mastery).length} of ${this.concepts.length} concepts`);
+  }
+
+  // The concepts named in the activity, longest label first so a phrase
+  // wins over the words in it
+  conceptsIn(structuredText) {
+    const text = (structuredText || '').toLowerCase();
+    return this.concepts
+      .filter(concept => text.includes(concept.label.toLowerCase()))
+      .sort((a, b) => b.label.length - a.label.length)
+      .slice(0, 5);
+  }
+
+  // 'success' when the student just got something right, 'struggle' when
+  // something went wrong, null when the activity says neither
+  outcomeOf(analysis) {
+    if (analysis.concerningSignals > 0) return 'struggle';
+    return analysis.patterns.hasSuccessIndicators ? 'success' : null;
+  }
+
+  // Prompt lines telling the model how well the student knows the concepts
+  // in view, or nothing when none of them has an estimate yet
+  masteryGuidance(concepts) {
+    const known = concepts.filter(concept => concept.mastery);
+    if (known.length === 0) return '';
+    return `Student's mastery of the concepts in view: ${known.map(c => `${c.label} (${c.mastery.level})`).join(', ')}
+Pitch your words at that mastery: spell out the basic idea for novice concepts; for proficient or mastered ones a terse pointer is enough.
+
+`;
   }
 
   // Analyze structured batch from Tandem and decide on nudging
-  analyzeAndNudge(structuredBatch, apiKey) {
+  analyzeAndNudge(structuredBatch, llm) {
     console.group('🧠 [Prisma Nudge Analysis] Starting Analysis Pipeline');
     console.log('📥 Input Batch:', structuredBatch);
-    console.log('🔑 API Key Available:', !!apiKey);
+    console.log('🔑 LLM Provider Available:', !!llm);
     
-    if (!structuredBatch || !apiKey) {
+    if (!structuredBatch || !llm) {
       console.error('❌ Missing Required Data:', { 
         hasBatch: !!structuredBatch, 
-        hasApiKey: !!apiKey 
+        hasProvider: !!llm 
       });
       console.groupEnd();
       return null;
@@ -60,7 +97,7 @@ class PrismaNudgeSystem {
 
       if (shouldNudge) {
         console.log('✅ Proceeding with nudge generation...');
-        const result = this.generateNudge(structuredBatch, analysis, apiKey);
+        const result = this.generateNudge(structuredBatch, analysis, llm);
         console.groupEnd();
         return result;
       }
@@ -269,12 +306,12 @@ class PrismaNudgeSystem {
   }
 
   // Generate appropriate nudge based on interference level
-  async generateNudge(structuredBatch, analysis, apiKey) {
+  async generateNudge(structuredBatch, analysis, llm) {
     const now = Date.now();
     
     try {
       const prompt = this.buildPrismaPrompt(structuredBatch, analysis);
-      const nudgeText = await this.callPrisma(prompt, apiKey);
+      const nudgeText = await this.callPrisma(prompt, llm);
 
       // If Prisma returns an empty or whitespace-only string, decide on fallback or skip
       let cleanedText = (nudgeText || '').trim();
@@ -296,7 +333,10 @@ class PrismaNudgeSystem {
         level: this.interferenceLevel,
         text: cleanedText,
         analysis: analysis,
-        batchId: structuredBatch.batchId
+        batchId: structuredBatch.batchId,
+        // What the nudge says about the concepts in view, for their mastery
+        concepts: this.conceptsIn(structuredBatch.structuredText).map(c => c.label),
+        outcome: this.outcomeOf(analysis)
       };
 
       this.nudgeHistory.push(nudge);
@@ -388,6 +428,7 @@ class PrismaNudgeSystem {
     // Treat as success only when explicit success indicators are present to avoid praising incorrect work
     const hasSuccess = analysis.patterns.hasSuccessIndicators;
     const hasProblems = analysis.concerningSignals > 0;
+    const mastery = this.masteryGuidance(this.conceptsIn(structuredText));
     
     let basePrompt;
     
@@ -399,7 +440,7 @@ Real-time learning data: ${structuredText}
 
 Detected success signals: ${signalTypes.join(', ')}
 
-Give a brief congratulatory message (1 sentence). Examples:
+${mastery}Give a brief congratulatory message (1 sentence). Examples:
 - "Great job getting the right answer!"
 - "Perfect! You solved it correctly."
 - "Excellent work figuring that out!"
@@ -420,7 +461,7 @@ Real-time learning data: ${structuredText}
 Detected concerning signals: ${signalTypes.join(', ')}
 Urgency level: ${urgency}
 
-`;
+${mastery}`;
     }
 
     if (hasSuccess && !hasProblems) {
@@ -464,59 +505,24 @@ Your response (brief direct guidance):`;
     return basePrompt;
   }
 
-  // Call Anthropic Prisma API
-  async callPrisma(prompt, apiKey) {
+  // Ask the language model for a nudge; `llm` is the provider from
+  // llm-provider.js, whose 'nudge' use case sets the model and limits
+  async callPrisma(prompt, llm) {
     const startTime = Date.now();
     const requestId = `req_${startTime}`;
     
     console.group(`🤖 [Prisma Inference ${requestId}] Starting API Call`);
     console.log('📝 Full Prompt Input:', prompt);
-    console.log('🔑 API Key Status:', apiKey ? `✅ Present (${apiKey.substring(0, 10)}...)` : '❌ MISSING');
+    console.log('🔑 Provider:', llm ? `✅ ${llm.name} (${llm.settings('nudge').model})` : '❌ MISSING');
     console.log('⏰ Request Time:', new Date().toISOString());
     
     try {
-      const requestBody = {
-        model: "claude-3-haiku-20240307",
-        max_tokens: 150,
-        messages: [{ role: "user", content: prompt }]
-      };
-      
-      console.log('📦 Request Body:', JSON.stringify(requestBody, null, 2));
-      console.log('🌐 API Endpoint:', "https://api.anthropic.com/v1/messages");
-      
-      const response = await fetch("https://api.anthropic.com/v1/messages", {
-        method: "POST",
-        headers: {
-          "x-api-key": apiKey,
-          "anthropic-version": "2023-06-01",
-          "content-type": "application/json",
-          "anthropic-dangerous-direct-browser-access": "true"
-        },
-        body: JSON.stringify(requestBody)
-      });
+      const result = await llm.complete({ useCase: 'nudge', messages: [{ role: "user", content: prompt }] });
 
       const responseTime = Date.now() - startTime;
       console.log(`⚡ Response Time: ${responseTime}ms`);
-      console.log('📊 Response Status:', response.status, response.statusText);
-      console.log('📋 Response Headers:', Object.fromEntries(response.headers.entries()));
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('❌ Error Response Body:', errorText);
-        console.groupEnd();
-        throw new Error(`Prisma API Error: ${response.status} ${response.statusText} - ${errorText}`);
-      }
-
-      const result = await response.json();
-      console.log('✅ Raw API Response:', JSON.stringify(result, null, 2));
-      
-      if (!result.content || !result.content[0] || !result.content[0].text) {
-        console.error('❌ Invalid Response Structure:', 'Missing content/text in API response');
-        console.groupEnd();
-        throw new Error('Invalid response format from Prisma API');
-      }
       
-      let responseText = result.content[0].text.trim();
+      let responseText = result.text.trim();
       console.log('🎯 Extracted AI Response:', responseText);
       
       // Handle SILENT responses
@@ -528,11 +534,7 @@ Your response (brief direct guidance):`;
       
       // Log token usage if available
       if (result.usage) {
-        console.log('📊 Token Usage:', {
-          prompt_tokens: result.usage.prompt_tokens,
-          completion_tokens: result.usage.completion_tokens,
-          total_tokens: result.usage.total_tokens
-        });
+        console.log('📊 Token Usage:', result.usage);
       }
       
       // Filter out generic/annoying responses
@@ -573,7 +575,7 @@ Your response (brief direct guidance):`;
       return responseText;
       
     } catch (error) {
-      console.error('❌ Prisma API Request Failed:', error);
+      console.error('❌ Prisma LLM Request Failed:', error);
       console.error('🔍 Error Details:', {
         name: error.name,
         message: error.message,
@@ -600,9 +602,9 @@ Your response (brief direct guidance):`;
   }
 
   // Force analyze and nudge (for manual triggers)
-  async forceAnalyzeAndNudge(structuredBatch, apiKey) {
-    if (!structuredBatch || !apiKey) {
-      console.log('[Prisma Nudge] Missing batch or API key for forced analysis');
+  async forceAnalyzeAndNudge(structuredBatch, llm) {
+    if (!structuredBatch || !llm) {
+      console.log('[Prisma Nudge] Missing batch or LLM provider for forced analysis');
       return null;
     }
 
@@ -623,7 +625,7 @@ Your response (brief direct guidance):`;
       }
       
       // Use forced prompting for manual triggers
-      const nudge = await this.generateForcedNudge(structuredBatch, analysis, apiKey);
+      const nudge = await this.generateForcedNudge(structuredBatch, analysis, llm);
       
       // Restore original timing but don't reset interference level
       this.lastNudgeTime = originalLastNudgeTime;
@@ -642,12 +644,12 @@ Your response (brief direct guidance):`;
   }
 
   // Generate forced nudge (Prisma must respond, not stay silent)
-  async generateForcedNudge(structuredBatch, analysis, apiKey) {
+  async generateForcedNudge(structuredBatch, analysis, llm) {
     const now = Date.now();
     
     try {
       const prompt = this.buildForcedPrismaPrompt(structuredBatch, analysis);
-      const nudgeText = await this.callPrisma(prompt, apiKey);
+      const nudgeText = await this.callPrisma(prompt, llm);
       
       // If Prisma still tries to be silent, give a default encouraging response
       const finalText = nudgeText || "Keep doing what you're doing - you're on the right track!";
@@ -659,6 +661,9 @@ Your response (brief direct guidance):`;
         text: finalText,
         analysis: analysis,
         batchId: structuredBatch.batchId,
+        // What the nudge says about the concepts in view, for their mastery
+        concepts: this.conceptsIn(structuredBatch.structuredText).map(c => c.label),
+        outcome: this.outcomeOf(analysis),
         forced: true
       };
 
@@ -691,7 +696,7 @@ Real-time learning data: ${structuredText}
 Detected signals: ${signalTypes.join(', ')}
 Urgency level: ${urgency}
 
-Since this is a manual request, you must either:
+${this.masteryGuidance(this.conceptsIn(structuredText))}Since this is a manual request, you must either:
 1. Give a specific hint if you see any areas for improvement
 2. Give encouragement like "Keep doing what you're doing - you're on the right track!" if they're doing well
 
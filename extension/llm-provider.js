@@ -0,0 +1,311 @@
+// llm-provider.js - Language model providers for the extension
+// The same contract as the server's backend/llm-provider.js, over fetch:
+// Anthropic, any OpenAI-compatible server (OpenAI itself, or a local one such
+// as Ollama or llama.cpp) and a scripted mock. Each call names its use case
+// (chat, nudge, summarise), which picks the model, max tokens and temperature.
+//
+// Configured from config.js; without LLM_CONFIG, Anthropic is used with
+// ANTHROPIC_API_KEY:
+//
+//   export const LLM_CONFIG = {
+//     provider: 'openai-compatible',
+//     baseUrl: 'http://localhost:11434/v1',
+//     useCases: { nudge: { model: 'qwen2.5:0.5b', temperature: 0.3 } }
+//   };
+
+export const LLM_PROVIDERS = ['anthropic', 'openai-compatible', 'mock'];
+
+// Settings each use case starts from; a null temperature leaves the
+// provider's own default
+export const LLM_USE_CASES = {
+  chat: { maxTokens: 1024, temperature: null },
+  nudge: { maxTokens: 150, temperature: null },
+  summarise: { maxTokens: 500, temperature: null }
+};
+
+const DEFAULT_MODELS = {
+  anthropic: { chat: 'claude-3-haiku-20240307', nudge: 'claude-3-haiku-20240307', summarise: 'claude-3-haiku-20240307' },
+  'openai-compatible': { chat: 'llama3.1', nudge: 'llama3.1', summarise: 'llama3.1' },
+  mock: { chat: 'mock', nudge: 'mock', summarise: 'mock' }
+};
+
+const ANTHROPIC_URL = 'https://api.anthropic.com/v1/messages';
+
+// Ollama's OpenAI-compatible endpoint
+const DEFAULT_OPENAI_COMPATIBLE_URL = 'http://localhost:11434/v1';
+
+// The placeholder config.js.example ships with
+const PLACEHOLDER_API_KEY = 'YOUR_ANTHROPIC_API_KEY_HERE';
+
+export class LLMProvider {
+  constructor({ useCases = {} } = {}) {
+    this.name = 'base';
+    this.models = {};
+    this.useCases = useCases;
+  }
+
+  // The model, max tokens and temperature a use case runs with
+  settings(useCase) {
+    if (!LLM_USE_CASES[useCase]) {
+      throw new Error(`Unknown LLM use case "${useCase}" (expected one of: ${Object.keys(LLM_USE_CASES).join(', ')})`);
+    }
+    const overrides = this.useCases[useCase] || {};
+    return {
+      model: overrides.model || this.models[useCase],
+      maxTokens: overrides.maxTokens || LLM_USE_CASES[useCase].maxTokens,
+      temperature: overrides.temperature !== undefined ? overrides.temperature : LLM_USE_CASES[useCase].temperature
+    };
+  }
+
+  // Answer `messages` ({ role: 'user' | 'assistant', content } turns) under
+  // an optional system prompt. Resolves to { text, model, usage }.
+  async complete({ useCase = 'chat', system = null, messages }) {
+    const settings = this.settings(useCase);
+    const { text, usage = null } = await this.generate({ ...settings, system, messages });
+    return { text, model: settings.model, usage };
+  }
+
+  // complete(), calling onText(chunk) with each piece of the reply as it
+  // arrives. Aborting `signal` cancels the request; the promise then rejects
+  // with an error named AbortError.
+  async stream({ useCase = 'chat', system = null, messages, signal = null }, onText) {
+    const settings = this.settings(useCase);
+    const { text, usage = null } = await this.generateStream({ ...settings, system, messages, signal }, onText);
+    return { text, model: settings.model, usage };
+  }
+
+  async generate(request) {
+    throw new Error(`${this.constructor.name} does not implement generate`);
+  }
+
+  // Providers that can't stream send the whole reply as one chunk
+  async generateStream(request, onText) {
+    const result = await this.generate(request);
+    throwIfAborted(request.signal);
+    onText(result.text);
+    return result;
+  }
+}
+
+export class AnthropicProvider extends LLMProvider {
+  constructor({ apiKey, ...options } = {}) {
+    super(options);
+    if (!apiKey || apiKey === PLACEHOLDER_API_KEY) {
+      throw new Error('Anthropic API key is not set');
+    }
+    this.name = 'anthropic';
+    this.models = DEFAULT_MODELS.anthropic;
+    this.apiKey = apiKey;
+  }
+
+  async generate(request) {
+    const result = await (await this.post(request)).json();
+    return {
+      text: (result.content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+      usage: result.usage ? { input_tokens: result.usage.input_tokens, output_tokens: result.usage.output_tokens } : null
+    };
+  }
+
+  async generateStream(request, onText) {
+    const response = await this.post(request, true);
+    let text = '';
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    await readServerSentEvents(response.body, data => {
+      const event = JSON.parse(data);
+      if (event.type === 'message_start' && event.message.usage) {
+        usage.input_tokens = event.message.usage.input_tokens;
+      } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        text += event.delta.text;
+        onText(event.delta.text);
+      } else if (event.type === 'message_delta' && event.usage) {
+        usage.output_tokens = event.usage.output_tokens;
+      } else if (event.type === 'error') {
+        throw new Error(`API Error: ${event.error.message}`);
+      }
+    });
+    return { text, usage };
+  }
+
+  async post({ model, maxTokens, temperature, system, messages, signal = null }, stream = false) {
+    const response = await fetch(ANTHROPIC_URL, {
+      method: 'POST',
+      headers: {
+        'x-api-key': this.apiKey,
+        'anthropic-version': '2023-06-01',
+        'content-type': 'application/json',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        ...(temperature !== null ? { temperature } : {}),
+        ...(system ? { system } : {}),
+        messages,
+        ...(stream ? { stream: true } : {})
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(`API Error: ${response.status} ${response.statusText} - ${errorData.error?.message || 'Unknown error'}`);
+    }
+    return response;
+  }
+}
+
+// Chat completions from any server speaking OpenAI's API. Local servers
+// usually need no key.
+export class OpenAICompatibleProvider extends LLMProvider {
+  constructor({ baseUrl = DEFAULT_OPENAI_COMPATIBLE_URL, apiKey = null, ...options } = {}) {
+    super(options);
+    this.name = 'openai-compatible';
+    this.models = DEFAULT_MODELS['openai-compatible'];
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.apiKey = apiKey;
+  }
+
+  async generate(request) {
+    const result = await (await this.post(request)).json();
+    return {
+      text: result.choices[0].message.content || '',
+      usage: result.usage ? { input_tokens: result.usage.prompt_tokens, output_tokens: result.usage.completion_tokens } : null
+    };
+  }
+
+  // Not every server reports usage while streaming, so none is returned
+  async generateStream(request, onText) {
+    const response = await this.post(request, true);
+    let text = '';
+    await readServerSentEvents(response.body, data => {
+      if (data === '[DONE]') return;
+      const choice = JSON.parse(data).choices[0];
+      const delta = choice && choice.delta && choice.delta.content;
+      if (delta) {
+        text += delta;
+        onText(delta);
+      }
+    });
+    return { text, usage: null };
+  }
+
+  async post({ model, maxTokens, temperature, system, messages, signal = null }, stream = false) {
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        ...(this.apiKey ? { authorization: `Bearer ${this.apiKey}` } : {})
+      },
+      body: JSON.stringify({
+        model,
+        max_tokens: maxTokens,
+        ...(temperature !== null ? { temperature } : {}),
+        messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+        ...(stream ? { stream: true } : {})
+      }),
+      signal
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '');
+      throw new Error(`API Error: ${response.status} ${response.statusText} - ${errorText || 'Unknown error'}`);
+    }
+    return response;
+  }
+}
+
+// Scripted replies for trying the sidebar offline. `responses` are used in
+// order, each a string, an Error to throw, or a function of the request;
+// once they run out every call gets `fallback`, by default an echo of the
+// last user message.
+export class MockLLMProvider extends LLMProvider {
+  constructor({ responses = [], fallback = null, chunkDelayMs = 50, ...options } = {}) {
+    super(options);
+    this.name = 'mock';
+    this.models = DEFAULT_MODELS.mock;
+    this.chunkDelayMs = chunkDelayMs;
+    this.responses = [...responses];
+    this.fallback = fallback || (request => {
+      const message = [...request.messages].reverse().find(m => m.role === 'user');
+      return `Mock reply to: ${message ? message.content : ''}`;
+    });
+    this.calls = [];
+  }
+
+  async generate(request) {
+    this.calls.push(request);
+    const next = this.responses.length > 0 ? this.responses.shift() : this.fallback;
+    const reply = typeof next === 'function' ? await next(request) : next;
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return { text: reply, usage: { input_tokens: 0, output_tokens: 0 } };
+  }
+
+  // A word at a time, `chunkDelayMs` apart
+  async generateStream(request, onText) {
+    const result = await this.generate(request);
+    for (const chunk of result.text.match(/\s*\S+\s*/g) || []) {
+      await new Promise(resolve => setTimeout(resolve, this.chunkDelayMs));
+      throwIfAborted(request.signal);
+      onText(chunk);
+    }
+    return result;
+  }
+}
+
+// Calls onData(data) with the data of each Server-Sent Event in a response
+// body until it ends
+async function readServerSentEvents(body, onData) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    const events = buffer.split(/\r?\n\r?\n/);
+    buffer = events.pop();
+    for (const event of events) {
+      const data = event.split(/\r?\n/).filter(line => line.startsWith('data:')).map(line => line.slice(5).replace(/^ /, '')).join('\n');
+      if (data) onData(data);
+    }
+  }
+}
+
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw new DOMException('The language model request was cancelled', 'AbortError');
+  }
+}
+
+// Create a provider from config.js settings ({ provider, apiKey, baseUrl,
+// useCases, ... }); the provider defaults to Anthropic
+export function createLLMProvider({ provider = 'anthropic', ...options } = {}) {
+  switch (provider) {
+    case 'anthropic':
+      return new AnthropicProvider(options);
+    case 'openai-compatible':
+      return new OpenAICompatibleProvider(options);
+    case 'mock':
+      return new MockLLMProvider(options);
+    default:
+      throw new Error(`Unknown LLM provider "${provider}" (expected one of: ${LLM_PROVIDERS.join(', ')})`);
+  }
+}
+
+// The provider settings config.js describes: LLM_CONFIG, with
+// ANTHROPIC_API_KEY as the key when it names none
+export function llmSettingsFromConfig(config) {
+  const settings = { ...(config.LLM_CONFIG || {}) };
+  if (!settings.apiKey && (settings.provider || 'anthropic') === 'anthropic') {
+    settings.apiKey = config.ANTHROPIC_API_KEY;
+  }
+  return settings;
+}
+
+// Whether the settings can make a provider: Anthropic needs a real key
+export function isLLMConfigured(settings) {
+  if ((settings.provider || 'anthropic') !== 'anthropic') return true;
+  return !!settings.apiKey && settings.apiKey !== PLACEHOLDER_API_KEY;
+}
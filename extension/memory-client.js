@@ -1,65 +1,107 @@
 // memory-client.js - Client for local memory API
 // Easy integration with your extension
 
-import { LOCAL_MEMORY_API_URL, DEFAULT_USER_ID } from './config.js';
+import { LOCAL_MEMORY_API_URL } from './config.js';
+import { MemoryApiClient } from './memory-api-client.js';
+
+// Shared with MemoryManager, so both act as the same account
+const AUTH_STORAGE_KEY = 'prisma_auth';
 
 class MemoryClient {
-  constructor(userId = DEFAULT_USER_ID) {
+  constructor() {
     this.baseUrl = LOCAL_MEMORY_API_URL;
-    this.userId = userId;
+    this.auth = JSON.parse(localStorage.getItem(AUTH_STORAGE_KEY) || 'null');
+    // Failed calls reject with a MemoryApiError carrying the error envelope's
+    // code, request id and field problems
+    this.api = new MemoryApiClient({
+      baseUrl: this.baseUrl,
+      getToken: async () => (await this.ensureAuth()).token,
+      onUnauthorized: () => this.reauthorize()
+    });
+  }
+
+  // Sign in with an account created on the server; replaces the device account
+  async login(username, password) {
+    const result = await this.api.login({ username, password });
+    this.setAuth({ kind: 'session', token: result.token, userId: result.user.id, username: result.user.username });
+    return result.user;
+  }
+
+  logout() {
+    this.setAuth(null);
+  }
+
+  setAuth(auth) {
+    this.auth = auth;
+    if (auth) {
+      localStorage.setItem(AUTH_STORAGE_KEY, JSON.stringify(auth));
+    } else {
+      localStorage.removeItem(AUTH_STORAGE_KEY);
+    }
+  }
+
+  // Without a login the extension registers its own passwordless account and
+  // keeps the API token it is issued
+  async ensureAuth() {
+    if (this.auth) return this.auth;
+
+    const result = await this.api.registerDevice({ name: 'extension' });
+    this.setAuth({ kind: 'device', token: result.token, userId: result.user.id, username: result.user.username });
+    console.log('[Memory] Registered device account:', result.user.username);
+    return this.auth;
+  }
+
+  // Called on a 401. A rejected device token is replaced and the request
+  // retried once; an expired login is reported instead, so the extension
+  // doesn't quietly switch accounts.
+  reauthorize() {
+    if (this.auth && this.auth.kind === 'session') {
+      throw new Error('Session expired, please log in again');
+    }
+    this.setAuth(null);
+    return true;
   }
 
   // Add a memory (user preference, fact, etc.)
   async addMemory(content, metadata = {}) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/memory/add`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          content,
-          metadata: {
-            ...metadata,
-            userId: this.userId,
-            source: 'extension',
-            url: window.location.href,
-            timestamp: new Date().toISOString()
-          }
-        })
+      const result = await this.api.addMemory({
+        content,
+        metadata: {
+          ...metadata,
+          source: 'extension',
+          url: window.location.href,
+          timestamp: new Date().toISOString()
+        }
       });
-      
-      const result = await response.json();
-      if (result.success) {
-        console.log('[Memory] Added:', result.memory.id);
-        return result.memory;
-      } else {
-        throw new Error(result.error || 'Failed to add memory');
-      }
+
+      console.log('[Memory] Added:', result.memory.id);
+      // Similar memories already stored, offered as merge candidates
+      return { ...result.memory, duplicates: result.duplicates || [] };
     } catch (error) {
       console.error('[Memory] Add failed:', error);
       throw error;
     }
   }
 
+  // Merge near-duplicate memories into one (the longest, unless canonicalId is given)
+  async mergeMemories(memoryIds, canonicalId = null) {
+    try {
+      const result = await this.api.mergeMemories({ memoryIds, canonicalId });
+      console.log(`[Memory] Merged ${result.merged} memories into:`, result.memory.id);
+      return result.memory;
+    } catch (error) {
+      console.error('[Memory] Merge failed:', error);
+      throw error;
+    }
+  }
+
   // Search memories for context
   async searchMemories(query, limit = 5) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/memory/search`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          query,
-          userId: this.userId,
-          limit
-        })
-      });
-      
-      const result = await response.json();
-      if (result.success) {
-        console.log(`[Memory] Found ${result.memories.length} memories for: "${query}"`);
-        return result.memories;
-      } else {
-        throw new Error(result.error || 'Search failed');
-      }
+      const result = await this.api.searchMemories({ query, limit });
+      console.log(`[Memory] Found ${result.memories.length} memories for: "${query}"`);
+      return result.memories;
     } catch (error) {
       console.error('[Memory] Search failed:', error);
       return []; // Return empty array on failure
@@ -76,23 +118,9 @@ class MemoryClient {
         ...context
       };
 
-      const response = await fetch(`${this.baseUrl}/api/memory/context`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          context: contextData,
-          userId: this.userId,
-          limit: 6
-        })
-      });
-      
-      const result = await response.json();
-      if (result.success) {
-        console.log(`[Memory] Found ${result.memories.length} contextual memories`);
-        return result.memories;
-      } else {
-        throw new Error(result.error || 'Context search failed');
-      }
+      const result = await this.api.getContextualMemories({ context: contextData, limit: 6 });
+      console.log(`[Memory] Found ${result.memories.length} contextual memories`);
+      return result.memories;
     } catch (error) {
       console.error('[Memory] Context search failed:', error);
       return [];
@@ -102,28 +130,18 @@ class MemoryClient {
   // Add a note
   async addNote(content, metadata = {}) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/notes/add`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          content,
-          metadata: {
-            ...metadata,
-            userId: this.userId,
-            url: window.location.href,
-            pageTitle: document.title,
-            timestamp: new Date().toISOString()
-          }
-        })
+      const result = await this.api.addNote({
+        content,
+        metadata: {
+          ...metadata,
+          url: window.location.href,
+          pageTitle: document.title,
+          timestamp: new Date().toISOString()
+        }
       });
-      
-      const result = await response.json();
-      if (result.success) {
-        console.log('[Memory] Note added:', result.note.id);
-        return result.note;
-      } else {
-        throw new Error(result.error || 'Failed to add note');
-      }
+
+      console.log('[Memory] Note added:', result.note.id);
+      return result.note;
     } catch (error) {
       console.error('[Memory] Add note failed:', error);
       throw error;
@@ -133,14 +151,9 @@ class MemoryClient {
   // Get user's notes
   async getNotes(limit = 20) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/notes/user/${this.userId}?limit=${limit}`);
-      const result = await response.json();
-      
-      if (result.success) {
-        return result.notes;
-      } else {
-        throw new Error(result.error || 'Failed to get notes');
-      }
+      const { userId } = await this.ensureAuth();
+      const result = await this.api.getUserNotes(userId, { limit });
+      return result.notes;
     } catch (error) {
       console.error('[Memory] Get notes failed:', error);
       return [];
@@ -150,25 +163,9 @@ class MemoryClient {
   // Add mind map node
   async addMindMapNode(label, metadata = {}) {
     try {
-      const response = await fetch(`${this.baseUrl}/api/mindmap/node`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          label,
-          metadata: {
-            ...metadata,
-            userId: this.userId
-          }
-        })
-      });
-      
-      const result = await response.json();
-      if (result.success) {
-        console.log('[Memory] Mind map node added:', result.node.id);
-        return result.node;
-      } else {
-        throw new Error(result.error || 'Failed to add node');
-      }
+      const result = await this.api.addMindmapNode({ label, metadata });
+      console.log('[Memory] Mind map node added:', result.node.id);
+      return result.node;
     } catch (error) {
       console.error('[Memory] Add node failed:', error);
       throw error;
@@ -178,25 +175,122 @@ class MemoryClient {
   // Get user's mind map
   async getMindMap() {
     try {
-      const response = await fetch(`${this.baseUrl}/api/mindmap/user/${this.userId}`);
-      const result = await response.json();
-      
-      if (result.success) {
-        return result.mindmap;
-      } else {
-        throw new Error(result.error || 'Failed to get mind map');
-      }
+      const { userId } = await this.ensureAuth();
+      const result = await this.api.getUserMindmap(userId);
+      return result.mindmap;
     } catch (error) {
       console.error('[Memory] Get mind map failed:', error);
       return { nodes: [], edges: [] };
     }
   }
 
+  // The concepts of the user's mind map, each with its mastery estimate
+  // ({ p_known, level }) when there is one
+  async getConcepts() {
+    try {
+      const { nodes } = await this.api.getMindMap();
+      return nodes;
+    } catch (error) {
+      console.error('[Memory] Get concepts failed:', error);
+      return [];
+    }
+  }
+
+  // One piece of evidence about how well a concept is known: { concept or
+  // nodeId, source: 'quiz' | 'nudge' | 'question' | 'self-rating', correct
+  // or rating }. Resolves to the revised estimate.
+  async recordMasteryEvidence(evidence) {
+    const result = await this.api.recordMasteryEvidence(evidence);
+    console.log(`[Memory] Mastery of ${result.mastery.label}: ${result.mastery.level}`);
+    return result.mastery;
+  }
+
+  // Flashcards due for review, most overdue first: { cards, due, nextDueAt }
+  async getDueCards(limit = 20) {
+    try {
+      return await this.api.getDueFlashcards({ limit });
+    } catch (error) {
+      console.error('[Memory] Get due cards failed:', error);
+      return { cards: [], due: 0, nextDueAt: null };
+    }
+  }
+
+  // Grade a recall of the card from 0 (blackout) to 5 (perfect); resolves to
+  // the rescheduled card
+  async reviewCard(cardId, grade) {
+    const result = await this.api.reviewFlashcard(cardId, { grade });
+    console.log(`[Memory] Card ${cardId} due again in ${result.card.interval_days} day(s)`);
+    return result.card;
+  }
+
+  async createCard(front, back, concept = undefined) {
+    const result = await this.api.createFlashcard({ front, back, concept });
+    console.log('[Memory] Card created:', result.card.id);
+    return result.card;
+  }
+
+  // Draft cards from all of the user's memories and notes; resolves to the
+  // cards added
+  async generateCards() {
+    const result = await this.api.generateFlashcards({});
+    console.log(`[Memory] ${result.cards.length} card(s) drafted, ${result.skipped} already there`);
+    return result.cards;
+  }
+
+  // Chat threads are kept by the server and shared with the web chat page.
+  // The sidebar continues the most recently active one, or starts one.
+  async currentChatSession() {
+    const { sessions } = await this.api.listChatSessions();
+    if (sessions.length > 0) return sessions[0];
+    return this.startChatSession();
+  }
+
+  async startChatSession(title = undefined) {
+    const result = await this.api.createChatSession({ title });
+    console.log('[Memory] Chat session started:', result.session.id);
+    return result.session;
+  }
+
+  // Ask within a session; `context` (e.g. the page) informs this answer only.
+  // Resolves to the assistant's message, with its citations.
+  async askInSession(sessionId, content, context = undefined) {
+    const result = await this.api.sendChatMessage(sessionId, { content, context });
+    return result.reply;
+  }
+
+  // askInSession with the answer streamed: onText(chunk) for each piece as it
+  // is written. Aborting `signal` stops it, and the server then keeps
+  // neither the question nor the partial answer.
+  async streamInSession(sessionId, content, context = undefined, onText = () => {}, signal = null) {
+    let reply = null;
+    let failure = null;
+    await this.api.streamChatMessage(sessionId, { content, context }, ({ type, data }) => {
+      if (type === 'delta') onText(data.text);
+      else if (type === 'done') reply = data.reply;
+      else if (type === 'error') failure = data;
+    }, { signal });
+
+    if (failure) {
+      throw Object.assign(new Error(failure.error), { code: failure.code, requestId: failure.requestId });
+    }
+    return reply;
+  }
+
+  // Follow this account's memory, note, mind map and mastery changes,
+  // including those made from other sidebars and the web pages:
+  // onChange({ id, type, data }) with types such as memory.created or
+  // note.deleted. A `resync` event means changes were missed and anything
+  // shown should be reloaded. Returns stop().
+  watchChanges(onChange) {
+    return this.api.streamEvents(onChange, {
+      onError: error => console.warn('[Memory] Change feed interrupted:', error.message)
+    });
+  }
+
   // Check if memory system is available
   async isAvailable() {
     try {
-      const response = await fetch(`${this.baseUrl}/health`);
-      const result = await response.json();
+      const result = await this.api.getHealth();
       return result.status === 'healthy';
     } catch (error) {
       console.warn('[Memory] System unavailable:', error.message);
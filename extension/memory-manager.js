@@ -1,22 +1,41 @@
 // memory-manager.js - Client-side memory management for AI Study Copilot
 // Inspired by Mem0 architecture for stateful AI interactions
 
+import { MemoryApiClient } from './memory-api-client.js';
+
 class MemoryManager {
   constructor() {
-    this.apiBaseUrl = 'http://localhost:3000/api'; // Backend API URL
-    this.userId = this.getUserId();
+    this.auth = JSON.parse(localStorage.getItem('prisma_auth') || 'null'); // Shared with MemoryClient
+    this.api = new MemoryApiClient({
+      baseUrl: 'http://localhost:3000', // Backend API URL
+      getToken: async () => (await this.ensureAuth()).token,
+      onUnauthorized: () => this.resetDeviceAuth()
+    });
     this.memoryCache = new Map(); // Local cache for recent memories
     this.maxCacheSize = 100;
   }
 
-  // Get or generate user ID
-  getUserId() {
-    let userId = localStorage.getItem('ai_copilot_user_id');
-    if (!userId) {
-      userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-      localStorage.setItem('ai_copilot_user_id', userId);
+  // Get the stored token, or register a passwordless device account for it
+  async ensureAuth() {
+    if (this.auth) {
+      return this.auth;
     }
-    return userId;
+
+    const result = await this.api.registerDevice({ name: 'extension' });
+    this.auth = { kind: 'device', token: result.token, userId: result.user.id, username: result.user.username };
+    localStorage.setItem('prisma_auth', JSON.stringify(this.auth));
+    return this.auth;
+  }
+
+  // A rejected device token is dropped so the request is retried once with a
+  // new one; a rejected login is left for MemoryClient to report
+  resetDeviceAuth() {
+    if (!this.auth || this.auth.kind !== 'device') {
+      return false;
+    }
+    this.auth = null;
+    localStorage.removeItem('prisma_auth');
+    return true;
   }
 
   // Add a new memory
@@ -27,32 +46,24 @@ class MemoryManager {
         metadata: {
           ...metadata,
           timestamp: new Date().toISOString(),
-          source: 'extension',
-          userId: this.userId
+          source: 'extension'
         }
       };
 
-      const response = await fetch(`${this.apiBaseUrl}/memory/add`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(memoryData)
-      });
-
-      if (!response.ok) {
-        throw new Error(`Memory API error: ${response.status}`);
-      }
-
-      const result = await response.json();
+      const result = await this.api.addMemory(memoryData);
       
       // Cache the memory locally
       this.cacheMemory(result.memory);
       
       console.log('[Memory] Added successfully:', result.memory.id);
-      return result.memory;
+      // Similar memories already stored, offered as merge candidates
+      return { ...result.memory, duplicates: result.duplicates || [] };
     } catch (error) {
       console.error('[Memory] Error adding memory:', error);
+      // The local fallback is for an unreachable API, not for rejected input
+      if (error.code === 'VALIDATION_FAILED') {
+        throw error;
+      }
       // Fallback to local storage if API is unavailable
       return this.addMemoryLocal(content, metadata);
     }
@@ -61,23 +72,10 @@ class MemoryManager {
   // Search for relevant memories
   async searchMemories(query, limit = 5) {
     try {
-      const response = await fetch(`${this.apiBaseUrl}/memory/search`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query: query,
-          userId: this.userId,
-          limit: limit
-        })
+      const result = await this.api.searchMemories({
+        query: query,
+        limit: limit
       });
-
-      if (!response.ok) {
-        throw new Error(`Memory search error: ${response.status}`);
-      }
-
-      const result = await response.json();
       console.log(`[Memory] Found ${result.memories.length} relevant memories for query: "${query}"`);
       return result.memories;
     } catch (error) {
@@ -90,13 +88,8 @@ class MemoryManager {
   // Get all memories for a user
   async getAllMemories() {
     try {
-      const response = await fetch(`${this.apiBaseUrl}/memory/user/${this.userId}`);
-      
-      if (!response.ok) {
-        throw new Error(`Memory fetch error: ${response.status}`);
-      }
-
-      const result = await response.json();
+      const { userId } = await this.ensureAuth();
+      const result = await this.api.getUserMemories(userId);
       return result.memories;
     } catch (error) {
       console.error('[Memory] Error fetching all memories:', error);
@@ -107,22 +100,7 @@ class MemoryManager {
   // Update a memory
   async updateMemory(memoryId, updates) {
     try {
-      const response = await fetch(`${this.apiBaseUrl}/memory/${memoryId}`, {
-        method: 'PUT',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          ...updates,
-          userId: this.userId
-        })
-      });
-
-      if (!response.ok) {
-        throw new Error(`Memory update error: ${response.status}`);
-      }
-
-      const result = await response.json();
+      const result = await this.api.updateMemory(memoryId, updates);
       this.cacheMemory(result.memory);
       return result.memory;
     } catch (error) {
@@ -131,20 +109,27 @@ class MemoryManager {
     }
   }
 
-  // Delete a memory
-  async deleteMemory(memoryId) {
+  // Merge near-duplicate memories into one (the longest, unless canonicalId is given)
+  async mergeMemories(memoryIds, canonicalId = null) {
     try {
-      const response = await fetch(`${this.apiBaseUrl}/memory/${memoryId}`, {
-        method: 'DELETE',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({ userId: this.userId })
+      const result = await this.api.mergeMemories({
+        memoryIds: memoryIds,
+        canonicalId: canonicalId
       });
+      memoryIds.forEach(id => this.memoryCache.delete(id));
+      this.cacheMemory(result.memory);
+      console.log('[Memory] Merged successfully into:', result.memory.id);
+      return result.memory;
+    } catch (error) {
+      console.error('[Memory] Error merging memories:', error);
+      return null;
+    }
+  }
 
-      if (!response.ok) {
-        throw new Error(`Memory delete error: ${response.status}`);
-      }
+  // Delete a memory
+  async deleteMemory(memoryId) {
+    try {
+      await this.api.deleteMemory(memoryId);
 
       // Remove from cache
       this.memoryCache.delete(memoryId);
@@ -217,8 +202,7 @@ class MemoryManager {
       metadata: {
         ...metadata,
         timestamp: new Date().toISOString(),
-        source: 'extension_local',
-        userId: this.userId
+        source: 'extension_local'
       },
       relevanceScore: 1.0
     };
@@ -303,8 +287,4 @@ class MemoryManager {
 }
 
 // Export for use in other scripts
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = MemoryManager;
-} else if (typeof window !== 'undefined') {
-  window.MemoryManager = MemoryManager;
-}
+export default MemoryManager;
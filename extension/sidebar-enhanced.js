@@ -1,14 +1,22 @@
 // sidebar-enhanced.js - Enhanced sidebar with conversation memory and proper response handling
 // Import API keys from config
-import { ANTHROPIC_API_KEY, TANDEM_DeepSeek_API_KEY } from './config.js';
+import * as config from './config.js';
+import { llmSettingsFromConfig, isLLMConfigured } from './llm-provider.js';
+
+// Language model settings: config.js's LLM_CONFIG, or Anthropic with ANTHROPIC_API_KEY
+const LLM_SETTINGS = llmSettingsFromConfig(config);
 
 // Import new memory client for stateful AI
 let memoryClient = null;
 
 // Conversation history management
 let conversationHistory = [];
+let memoryAvailable = false;
+let chatSessionId = null;
 let currentInterventionData = null;
 let nudgeTimeoutId = null;
+// Mind map concepts, with their mastery estimates, for pitching answers
+let concepts = [];
 
 // Initialize memory client
 async function initializeMemoryManager() {
@@ -19,10 +27,26 @@ async function initializeMemoryManager() {
     
     // Test connection
     const isAvailable = await memoryClient.isAvailable();
+    memoryAvailable = isAvailable;
     console.log('[Memory] Memory client initialized, available:', isAvailable);
     
     // Update UI to show memory status
     updateMemoryStatus(isAvailable);
+    
+    // Changes saved from other sidebars or the dashboard arrive live
+    if (isAvailable) {
+      await refreshConcepts();
+      await refreshReviewQueue();
+      memoryClient.watchChanges(event => {
+        console.log(`[Memory] Live ${event.type}:`, event.data.id || event.data.reason);
+        if (event.type === 'mastery.updated' || event.type.startsWith('mindmap.node.') || event.type === 'resync') {
+          refreshConcepts();
+        }
+        if (event.type.startsWith('flashcard.') || event.type === 'resync') {
+          refreshReviewQueue();
+        }
+      });
+    }
     return isAvailable;
   } catch (error) {
     console.error('[Memory] Failed to initialize memory client:', error);
@@ -31,6 +55,36 @@ async function initializeMemoryManager() {
   }
 }
 
+// Reload the concepts and their mastery, and pass them on to the nudge
+// system in the background
+async function refreshConcepts() {
+  concepts = await memoryClient.getConcepts();
+  chrome.runtime.sendMessage({ type: 'MASTERY_UPDATE', data: concepts }, () => {
+    if (chrome.runtime.lastError) {
+      console.warn('[Mastery] Background not reachable:', chrome.runtime.lastError.message);
+    }
+  });
+}
+
+// The concepts a question names that have a mastery estimate
+function masteryOfConceptsIn(question) {
+  const text = question.toLowerCase();
+  return concepts.filter(concept => concept.mastery && text.includes(concept.label.toLowerCase()));
+}
+
+// A nudge that caught the student struggling, or saw them succeed, is
+// evidence about the concepts it was about
+async function recordNudgeOutcome(nudgeData) {
+  if (!memoryClient || !memoryAvailable || !nudgeData.outcome) return;
+  for (const concept of nudgeData.concepts || []) {
+    try {
+      await memoryClient.recordMasteryEvidence({ concept, source: 'nudge', correct: nudgeData.outcome === 'success' });
+    } catch (error) {
+      console.warn(`[Mastery] Could not record the nudge for ${concept}:`, error.message);
+    }
+  }
+}
+
 // Update memory status indicator in UI
 function updateMemoryStatus(isActive) {
   const statusElement = document.getElementById('memory-status');
@@ -120,6 +174,15 @@ function buildEducationalPrompt(question, conversationHistory, memories, pageCon
   const isFollowUp = isFollowUpToIntervention(question);
   console.log('[Prompt Debug] Is follow-up to intervention:', isFollowUp);
   
+  const mastery = masteryOfConceptsIn(question);
+  const masterySection = mastery.length > 0 ? `
+MASTERY OF THE CONCEPTS ASKED ABOUT:
+${mastery.map(c => `• ${c.label}: ${c.mastery.level} (${Math.round(c.mastery.p_known * 100)}%)`).join('\n')}
+` : '';
+  const masteryInstruction = mastery.length > 0
+    ? `\n- Pitch the explanation at their mastery: start from the basics for novice concepts, build on what they know for proficient ones`
+    : '';
+  
   let prompt;
   
   if (isFollowUp && currentInterventionData) {
@@ -138,14 +201,14 @@ ${conversationHistory.slice(-2).map((exchange, i) =>
 
 STUDENT PROFILE:
 ${memories.length > 0 ? formatMemoriesForAI(memories) : 'No specific learning profile yet.'}
-
+${masterySection}
 INSTRUCTIONS:
 - This is a follow-up to your hint
 - Give ONE specific next step (maximum 2 short sentences)  
 - For math: show one calculation step, not full solution
 - Be direct and actionable, not explanatory
 - CRITICAL: Keep response under 100 words
-- IMPORTANT: Use the current page context to understand what problem they're working on
+- IMPORTANT: Use the current page context to understand what problem they're working on${masteryInstruction}
 
 Specific help:`;
   } else {
@@ -154,7 +217,7 @@ Specific help:`;
 
 STUDENT PROFILE:
 ${memories.length > 0 ? formatMemoriesForAI(memories) : 'No specific learning profile yet.'}
-
+${masterySection}
 RECENT CONVERSATION:
 ${conversationHistory.slice(-3).map((exchange, i) => 
   `${i+1}. Student: "${exchange.question}"\n   You: "${exchange.response.substring(0, 150)}..."`
@@ -170,7 +233,7 @@ INSTRUCTIONS:
 - Be specific and concise
 - CRITICAL: Keep response under 150 words
 - IMPORTANT: Use the current page context to understand what problem they're working on
-- For math problems, provide confident answers based on the specific problem context
+- For math problems, provide confident answers based on the specific problem context${masteryInstruction}
 
 Response:`;
   }
@@ -248,30 +311,62 @@ function updateInterventionResponse(response, memories = []) {
   banner.classList.remove('hidden');
 }
 
-// Call Anthropic API
-async function callAnthropicAPI(prompt) {
+// Ask the configured language model with the answer streamed over a port
+// to the background script: onText(chunk) for each piece. Aborting `signal`
+// disconnects the port, which cancels the request upstream.
+function streamLanguageModel(prompt, onText, signal) {
   return new Promise((resolve, reject) => {
-    chrome.runtime.sendMessage({
-      type: 'anthropic-api-call',
-      data: { 
-        apiKey: ANTHROPIC_API_KEY, 
-        prompt: prompt,
-        hasMemoryContext: true
-      }
-    }, (response) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-      } else if (response.success) {
-        resolve(response.data);
-      } else {
-        reject(new Error(response.error));
+    const port = chrome.runtime.connect({ name: 'llm-stream' });
+    const cancel = () => {
+      port.disconnect();
+      reject(new DOMException('The answer was stopped', 'AbortError'));
+    };
+    if (signal.aborted) return cancel();
+    signal.addEventListener('abort', cancel, { once: true });
+
+    const finish = () => {
+      signal.removeEventListener('abort', cancel);
+      port.disconnect();
+    };
+    port.onMessage.addListener((msg) => {
+      if (msg.type === 'delta') {
+        onText(msg.text);
+      } else if (msg.type === 'done') {
+        finish();
+        resolve(msg.text);
+      } else if (msg.type === 'error') {
+        finish();
+        reject(new Error(msg.error));
       }
     });
+    port.onDisconnect.addListener(() => {
+      signal.removeEventListener('abort', cancel);
+      reject(new Error(chrome.runtime.lastError?.message || 'The background script closed the connection'));
+    });
+    port.postMessage({ type: 'start', data: { llm: LLM_SETTINGS, prompt, useCase: 'chat' } });
   });
 }
 
+// Shows the answer so far in the tutor banner while it streams in
+function showPartialResponse(text) {
+  const banner = document.getElementById('ai-intervention-banner');
+  const messageElement = document.getElementById('intervention-message');
+  if (!banner || !messageElement) return;
+
+  let body = messageElement.querySelector('[data-streaming]');
+  if (!body) {
+    messageElement.innerHTML = `
+      <div class="font-medium text-orange-800 mb-2">💡 AI Tutor:</div>
+      <div data-streaming class="text-orange-700 whitespace-pre-line"></div>
+    `;
+    body = messageElement.querySelector('[data-streaming]');
+  }
+  body.textContent = text;
+  banner.classList.remove('hidden');
+}
+
 // Tab switching logic
-const tabs = ["ask", "notes", "typing"];
+const tabs = ["ask", "notes", "typing", "review"];
 
 tabs.forEach((name) => {
   document.getElementById(`tab-${name}`).addEventListener("click", () => {
@@ -312,12 +407,147 @@ showTab("ask");
 const askInput = document.getElementById("ask-input");
 const askResponse = document.getElementById("ask-response");
 
+// The problem on the active tab, described for the tutor ('' if unavailable)
+async function getPageContext() {
+  let pageContext = '';
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    
+    // Get page content using content script
+    const result = await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      function: () => {
+        // Get the current problem/question text from the page
+        const problemElements = document.querySelectorAll('h1, h2, h3, .problem, .question, [class*="problem"], [class*="question"]');
+        let problemText = '';
+        
+        // Try to find the main problem text
+        problemElements.forEach(el => {
+          const text = el.textContent.trim();
+          if (text.length > problemText.length && text.length < 500) {
+            problemText = text;
+          }
+        });
+        
+        // If no specific problem found, get visible text
+        if (!problemText) {
+          const visibleText = document.body.innerText || document.body.textContent || '';
+          problemText = visibleText.substring(0, 1000); // First 1000 chars
+        }
+        
+        return {
+          url: window.location.href,
+          title: document.title,
+          problemText: problemText,
+          selectedText: window.getSelection().toString()
+        };
+      }
+    });
+    
+    const context = result[0]?.result;
+    if (context && context.problemText) {
+      pageContext = `Page: ${context.title}
+URL: ${context.url}
+Problem/Content: ${context.problemText}
+${context.selectedText ? `Selected Text: ${context.selectedText}` : ''}`;
+      console.log('[Context] ✅ Retrieved page context:', context);
+    }
+  } catch (contextError) {
+    console.warn('[Context] ❌ Could not get page context:', contextError);
+  }
+  return pageContext;
+}
+
+// With the memory server up, questions go to the chat session it shares
+// with the web chat page; null means ask the language model from here instead
+async function askServerSession(question, onText, signal) {
+  if (!memoryAvailable) return null;
+
+  try {
+    if (!chatSessionId) {
+      chatSessionId = (await memoryClient.currentChatSession()).id;
+    }
+    const pageContext = await getPageContext();
+    return await memoryClient.streamInSession(chatSessionId, question, pageContext.slice(0, 5000) || undefined, onText, signal);
+  } catch (error) {
+    // The server answers without a language model of its own with a 503
+    if (error.code === 'SERVICE_UNAVAILABLE') {
+      console.warn('[Conversation] Server chat unavailable, asking directly:', error.message);
+      return null;
+    }
+    // The session was deleted, e.g. from the chat page
+    if (error.code === 'NOT_FOUND') {
+      chatSessionId = null;
+    }
+    throw error;
+  }
+}
+
+// The question being answered, if any; the Stop button aborts it
+let askController = null;
+
+function setAsking(asking) {
+  document.getElementById("ask-submit").disabled = asking;
+  document.getElementById("ask-cancel")?.classList.toggle("hidden", !asking);
+}
+
+document.getElementById("ask-cancel")?.addEventListener("click", () => {
+  if (askController) askController.abort();
+});
+
 document.getElementById("ask-submit").addEventListener("click", async () => {
   const q = askInput.value.trim();
-  if (!q) return;
+  if (!q || askController) return;
+
+  askController = new AbortController();
+  setAsking(true);
+  try {
+    await askQuestion(q, askController.signal);
+  } finally {
+    askController = null;
+    setAsking(false);
+  }
+});
 
-  if (typeof ANTHROPIC_API_KEY === 'undefined' || ANTHROPIC_API_KEY === "YOUR_ANTHROPIC_API_KEY_HERE") {
-    askResponse.textContent = "⚠️ Anthropic API key is not set. Please add your key to the config.js file.";
+// Answers `q`, showing the answer in the tutor banner as it streams in. A
+// stopped answer stays on screen but isn't kept in the conversation.
+async function askQuestion(q, signal) {
+  let streamed = '';
+  const onText = (chunk) => {
+    streamed += chunk;
+    askResponse.textContent = '';
+    showPartialResponse(streamed);
+  };
+  const showStopped = () => {
+    showPartialResponse(`${streamed.trim()}\n\n⏹️ Stopped.`);
+    askResponse.textContent = '';
+  };
+
+  if (memoryAvailable) {
+    askResponse.textContent = "🧠 Thinking with your learning context...";
+    try {
+      const reply = await askServerSession(q, onText, signal);
+      if (reply) {
+        updateInterventionResponse(reply.content, reply.citations);
+        askResponse.textContent = '';
+        askInput.value = '';
+        console.log(`[Conversation] Exchange saved to session ${chatSessionId}`);
+        return;
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        showStopped();
+        return;
+      }
+      console.error("Server chat failed:", error);
+      updateInterventionResponse(`❌ Error: ${error.message}`);
+      askResponse.textContent = '';
+      return;
+    }
+  }
+
+  if (!isLLMConfigured(LLM_SETTINGS)) {
+    askResponse.textContent = "⚠️ No language model is configured. Please add your Anthropic key or an LLM_CONFIG to the config.js file.";
     return;
   }
 
@@ -341,58 +571,13 @@ document.getElementById("ask-submit").addEventListener("click", async () => {
     askResponse.textContent = "🤔 Thinking...";
   }
 
+  let memories = [];
   try {
      // Get current page context
-     let pageContext = '';
-     try {
-       const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
-       
-       // Get page content using content script
-       const result = await chrome.scripting.executeScript({
-         target: { tabId: tab.id },
-         function: () => {
-           // Get the current problem/question text from the page
-           const problemElements = document.querySelectorAll('h1, h2, h3, .problem, .question, [class*="problem"], [class*="question"]');
-           let problemText = '';
-           
-           // Try to find the main problem text
-           problemElements.forEach(el => {
-             const text = el.textContent.trim();
-             if (text.length > problemText.length && text.length < 500) {
-               problemText = text;
-             }
-           });
-           
-           // If no specific problem found, get visible text
-           if (!problemText) {
-             const visibleText = document.body.innerText || document.body.textContent || '';
-             problemText = visibleText.substring(0, 1000); // First 1000 chars
-           }
-           
-           return {
-             url: window.location.href,
-             title: document.title,
-             problemText: problemText,
-             selectedText: window.getSelection().toString()
-           };
-         }
-       });
-       
-       const context = result[0]?.result;
-       if (context && context.problemText) {
-         pageContext = `\n\nCURRENT PAGE CONTEXT:
-Page: ${context.title}
-URL: ${context.url}
-Problem/Content: ${context.problemText}
-${context.selectedText ? `Selected Text: ${context.selectedText}` : ''}`;
-         console.log('[Context] ✅ Retrieved page context:', context);
-       }
-     } catch (contextError) {
-       console.warn('[Context] ❌ Could not get page context:', contextError);
-     }
+     const pageContext = await getPageContext();
+     const pagePrompt = pageContext ? `\n\nCURRENT PAGE CONTEXT:\n${pageContext}` : '';
      
      // Get memories for context
-     let memories = [];
      if (memoryClient) {
        try {
          console.log('[Memory] 🔍 Searching for memories related to:', q);
@@ -418,7 +603,7 @@ ${context.selectedText ? `Selected Text: ${context.selectedText}` : ''}`;
     console.log('[Conversation] History length:', conversationHistory.length);
     
     // Build educational prompt with conversation history and page context
-    const enhancedPrompt = buildEducationalPrompt(q, conversationHistory, memories, pageContext);
+    const enhancedPrompt = buildEducationalPrompt(q, conversationHistory, memories, pagePrompt);
     console.log('[AI] Sending educational prompt with conversation context and page context');
     console.log('[AI] Full prompt being sent:', enhancedPrompt);
     
@@ -435,8 +620,8 @@ ${context.selectedText ? `Selected Text: ${context.selectedText}` : ''}`;
       askResponse.textContent = "🧠 Thinking with your learning context...";
     }
     
-    // Call AI
-    const response = await callAnthropicAPI(enhancedPrompt);
+    // Call AI, showing the answer as it arrives
+    const response = await streamLanguageModel(enhancedPrompt, onText, signal);
     
     // Store in conversation history
     conversationHistory.push({ 
@@ -458,6 +643,10 @@ ${context.selectedText ? `Selected Text: ${context.selectedText}` : ''}`;
     console.log(`[Conversation] Exchange saved. Total: ${conversationHistory.length}`);
     
   } catch (error) {
+    if (error.name === 'AbortError') {
+      showStopped();
+      return;
+    }
     console.error("AI call failed:", error);
     const errorMsg = `❌ Error: ${error.message}`;
     
@@ -465,7 +654,7 @@ ${context.selectedText ? `Selected Text: ${context.selectedText}` : ''}`;
     updateInterventionResponse(errorMsg, memories);
     askResponse.textContent = '';
   }
-});
+}
 
 // Enter key support for ask input
 askInput.addEventListener("keypress", (e) => {
@@ -479,6 +668,14 @@ askInput.addEventListener("keypress", (e) => {
 document.getElementById("clear-conversation")?.addEventListener("click", async () => {
   if (confirm("Clear conversation history? This will reset the AI's memory of your current session.")) {
     await clearConversationHistory();
+    // The server keeps the old thread; the next questions start a new one
+    if (memoryAvailable) {
+      try {
+        chatSessionId = (await memoryClient.startChatSession()).id;
+      } catch (error) {
+        console.warn('[Conversation] Could not start a new chat session:', error);
+      }
+    }
     askResponse.textContent = "🔄 Conversation history cleared. Starting fresh!";
   }
 });
@@ -497,6 +694,7 @@ document.getElementById("remember-this")?.addEventListener("click", async () =>
       });
       console.log('[Memory] ✅ Successfully saved memory with ID:', savedMemory.id);
       askResponse.textContent = `✅ Remembered: "${selectedText.substring(0, 100)}..."`;
+      await offerMerge(savedMemory);
     } catch (error) {
       console.error('[Memory] ❌ Failed to save memory:', error);
       askResponse.textContent = "❌ Failed to save memory";
@@ -507,6 +705,21 @@ document.getElementById("remember-this")?.addEventListener("click", async () =>
   }
 });
 
+// "This looks like memory X - merge?" after saving a near-duplicate
+async function offerMerge(savedMemory) {
+  const [duplicate] = savedMemory.duplicates || [];
+  if (!duplicate) return;
+
+  if (confirm(`This looks like a memory you already have:\n\n"${duplicate.content.substring(0, 200)}"\n\nMerge them?`)) {
+    try {
+      await memoryClient.mergeMemories([duplicate.id, savedMemory.id]);
+      askResponse.textContent += "\n🔗 Merged with your existing memory.";
+    } catch (error) {
+      console.error('[Memory] ❌ Failed to merge memories:', error);
+    }
+  }
+}
+
 // Get selected text from the current page
 async function getSelectedTextFromPage() {
   return new Promise((resolve) => {
@@ -558,6 +771,7 @@ document.getElementById("trigger-ai-now")?.addEventListener("click", async () =>
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg.type === 'TANDEM_NUDGE') {
     showTandemNudge(msg.data);
+    recordNudgeOutcome(msg.data);
     sendResponse({ success: true });
   }
 });
@@ -688,12 +902,94 @@ addNoteBtn?.addEventListener("click", async () => {
   }
 });
 
+// Flashcard review: the due queue, one card at a time
+const reviewDue = document.getElementById("review-due");
+const reviewCard = document.getElementById("review-card");
+const reviewBack = document.getElementById("review-back");
+const reviewShow = document.getElementById("review-show");
+const reviewGrades = document.getElementById("review-grades");
+let dueCards = [];
+
+// Reload the due queue, staying on the card shown if it is still due
+async function refreshReviewQueue() {
+  if (!memoryClient || !memoryAvailable) return;
+  const shown = dueCards[0];
+  const { cards, due, nextDueAt } = await memoryClient.getDueCards();
+  dueCards = cards;
+  const index = shown ? dueCards.findIndex(card => card.id === shown.id) : -1;
+  if (index > 0) dueCards.unshift(...dueCards.splice(index, 1));
+
+  reviewDue.textContent = due > 0
+    ? `${due} card${due === 1 ? '' : 's'} due`
+    : nextDueAt ? `No cards due until ${new Date(nextDueAt).toLocaleString()}` : 'No cards due';
+  if (index !== 0) showDueCard();
+}
+
+function showDueCard() {
+  const card = dueCards[0];
+  reviewCard.classList.toggle("hidden", !card);
+  if (!card) return;
+  document.getElementById("review-concept").textContent = card.concept || '';
+  document.getElementById("review-front").textContent = card.front;
+  reviewBack.textContent = card.back;
+  reviewBack.classList.add("hidden");
+  reviewGrades.classList.add("hidden");
+  reviewShow.classList.remove("hidden");
+}
+
+reviewShow.addEventListener("click", () => {
+  reviewBack.classList.remove("hidden");
+  reviewGrades.classList.remove("hidden");
+  reviewShow.classList.add("hidden");
+});
+
+reviewGrades.addEventListener("click", async (e) => {
+  const grade = e.target.dataset.grade;
+  const card = dueCards[0];
+  if (!grade || !card) return;
+  try {
+    await memoryClient.reviewCard(card.id, Number(grade));
+    dueCards.shift();
+    await refreshReviewQueue();
+  } catch (error) {
+    console.error('[Flashcards] ❌ Failed to grade card:', error);
+    reviewDue.textContent = "❌ Failed to save the grade";
+  }
+});
+
+document.getElementById("review-generate").addEventListener("click", async () => {
+  if (!memoryClient || !memoryAvailable) return;
+  try {
+    const cards = await memoryClient.generateCards();
+    await refreshReviewQueue();
+    if (cards.length === 0) reviewDue.textContent += ' (no new cards to draft)';
+  } catch (error) {
+    console.error('[Flashcards] ❌ Failed to draft cards:', error);
+    reviewDue.textContent = "❌ Failed to draft cards";
+  }
+});
+
+document.getElementById("card-save").addEventListener("click", async () => {
+  const front = document.getElementById("card-front");
+  const back = document.getElementById("card-back");
+  if (!front.value.trim() || !back.value.trim() || !memoryClient) return;
+  try {
+    await memoryClient.createCard(front.value.trim(), back.value.trim());
+    front.value = '';
+    back.value = '';
+    await refreshReviewQueue();
+  } catch (error) {
+    console.error('[Flashcards] ❌ Failed to add card:', error);
+    reviewDue.textContent = "❌ Failed to add the card";
+  }
+});
+
 // Initialize everything when DOM is loaded
 document.addEventListener('DOMContentLoaded', async () => {
   console.log('[Sidebar Enhanced] Initializing...');
   
   // Initialize memory system
-  const memoryAvailable = await initializeMemoryManager();
+  await initializeMemoryManager();
   
   // Show current memory contents for debugging
   if (memoryAvailable && memoryClient) {
@@ -713,20 +1009,20 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Load conversation history
   await loadConversationHistory();
   
-  // Send API key to background script to enable AI interventions
-  if (typeof ANTHROPIC_API_KEY !== 'undefined' && ANTHROPIC_API_KEY !== "YOUR_ANTHROPIC_API_KEY_HERE") {
+  // Send language model settings to background script to enable AI interventions
+  if (isLLMConfigured(LLM_SETTINGS)) {
     chrome.runtime.sendMessage({
       type: 'SET_API_KEY',
-      data: { apiKey: ANTHROPIC_API_KEY }
+      data: LLM_SETTINGS
     }, (response) => {
       if (response && response.success) {
-        console.log('[AI Intervention] API key sent to background script - interventions enabled');
+        console.log('[AI Intervention] Language model settings sent to background script - interventions enabled');
       } else {
-        console.warn('[AI Intervention] Failed to send API key to background script');
+        console.warn('[AI Intervention] Failed to send language model settings to background script');
       }
     });
   } else {
-    console.warn('[AI Intervention] No valid API key - interventions disabled');
+    console.warn('[AI Intervention] No language model configured - interventions disabled');
   }
   
   console.log('[Sidebar Enhanced] Initialization complete');
@@ -1,6 +1,10 @@
 // sidebar.js
 // Import API keys from config
-import { ANTHROPIC_API_KEY, TANDEM_DeepSeek_API_KEY } from './config.js';
+import * as config from './config.js';
+import { llmSettingsFromConfig, isLLMConfigured } from './llm-provider.js';
+
+// Language model settings: config.js's LLM_CONFIG, or Anthropic with ANTHROPIC_API_KEY
+const LLM_SETTINGS = llmSettingsFromConfig(config);
 
 // Import memory manager for stateful AI
 let memoryManager = null;
@@ -66,15 +70,15 @@ showTab("ask");
 // Initialize memory manager
 initializeMemoryManager();
 
-// Send Anthropic API key to background script for interventions
-if (typeof ANTHROPIC_API_KEY !== 'undefined' && ANTHROPIC_API_KEY !== "YOUR_ANTHROPIC_API_KEY_HERE") {
-  console.log('[Sidebar] Sending Anthropic API key to background script');
+// Send language model settings to background script for interventions
+if (isLLMConfigured(LLM_SETTINGS)) {
+  console.log('[Sidebar] Sending language model settings to background script');
   chrome.runtime.sendMessage({
     type: 'SET_API_KEY',
-    data: { apiKey: ANTHROPIC_API_KEY }
+    data: LLM_SETTINGS
   });
 } else {
-  console.error('[Sidebar] Anthropic API key not configured or invalid');
+  console.error('[Sidebar] Language model not configured (ANTHROPIC_API_KEY or LLM_CONFIG)');
 }
 
 // Ask AI handlers
@@ -86,8 +90,8 @@ document.getElementById("ask-submit").addEventListener("click", async () => {
   if (!q) return;
   askResponse.textContent = "🤔 Thinking...";
 
-  if (typeof ANTHROPIC_API_KEY === 'undefined' || ANTHROPIC_API_KEY === "YOUR_ANTHROPIC_API_KEY_HERE") {
-    askResponse.textContent = "⚠️ Anthropic API key is not set. Please add your key to the config.js file.";
+  if (!isLLMConfigured(LLM_SETTINGS)) {
+    askResponse.textContent = "⚠️ No language model is configured. Please add your Anthropic key or an LLM_CONFIG to the config.js file.";
     return;
   }
 
@@ -131,9 +135,9 @@ Please provide a personalized response that takes into account the user's learni
     // Send request to background script with enhanced prompt
     const response = await new Promise((resolve, reject) => {
       chrome.runtime.sendMessage({
-        type: 'anthropic-api-call',
+        type: 'llm-api-call',
         data: { 
-          apiKey: ANTHROPIC_API_KEY, 
+          llm: LLM_SETTINGS,
           prompt: enhancedPrompt,
           hasMemoryContext: relevantMemories.length > 0
         }
@@ -157,7 +161,7 @@ Please provide a personalized response that takes into account the user's learni
     askResponse.textContent = displayResponse;
 
   } catch (error) {
-    console.error("Anthropic API call failed:", error);
+    console.error("Language model call failed:", error);
     askResponse.textContent = `❌ An error occurred: ${error.message}`;
   }
 });
@@ -418,6 +422,14 @@ document.getElementById("remember-this").addEventListener("click", async () => {
       if (savedMemory) {
         askResponse.textContent = currentResponse + "\n\n✅ Added to memory for future reference!";
         console.log('[Memory] Successfully saved memory:', savedMemory.id);
+        
+        // Offer to merge with a near-identical Q&A that is already stored
+        const [duplicate] = savedMemory.duplicates || [];
+        if (duplicate && confirm(`This looks like a memory you already have:\n\n"${duplicate.content.substring(0, 200)}"\n\nMerge them?`)) {
+          if (await memoryManager.mergeMemories([duplicate.id, savedMemory.id])) {
+            askResponse.textContent += "\n🔗 Merged with your existing memory.";
+          }
+        }
       } else {
         askResponse.textContent = currentResponse + "\n\n⚠️ Failed to save to memory.";
       }
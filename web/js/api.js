@@ -1,16 +1,26 @@
 // Simple API helpers
-export async function apiGet(path) {
-  const res = await fetch(path);
-  if (!res.ok) throw new Error(`GET ${path} failed: ${res.status}`);
-  return res.json();
+
+import { MemoryApiClient } from './memory-api-client.js';
+
+// Bearer token for the API; a device account is registered on first use
+async function authToken() {
+  let auth = JSON.parse(localStorage.getItem('prisma_auth') || 'null');
+  if (!auth) {
+    const data = await api.registerDevice({ name: 'web' });
+    auth = { kind: 'device', token: data.token, userId: data.user.id, username: data.user.username };
+    localStorage.setItem('prisma_auth', JSON.stringify(auth));
+  }
+  return auth.token;
+}
+
+// The generated client, one method per route; failed calls reject with a
+// MemoryApiError
+export const api = new MemoryApiClient({ getToken: authToken });
+
+export function apiGet(path) {
+  return api.request('GET', path);
 }
 
-export async function apiPost(path, body) {
-  const res = await fetch(path, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  });
-  if (!res.ok) throw new Error(`POST ${path} failed: ${res.status}`);
-  return res.json();
+export function apiPost(path, body) {
+  return api.request('POST', path, { body });
 }
@@ -0,0 +1,997 @@
+// memory-api-client.js - Client for the memory server's API (Prisma memory API 1.0.0)
+// Generated by backend/generate-client.js from the OpenAPI document served at
+// /api/openapi.json. Don't edit it here: change the server and run
+// `npm run generate:client` in backend/. Required body fields are marked *.
+
+export class MemoryApiError extends Error {
+  constructor(status, body, fallback) {
+    super((body && body.error) || fallback);
+    this.name = 'MemoryApiError';
+    this.status = status;
+    this.code = (body && body.code) || null;
+    this.requestId = (body && body.requestId) || null;
+    this.details = (body && body.details) || [];
+  }
+}
+
+// Options:
+//   baseUrl         The server, e.g. 'http://localhost:3000' ('' for the same origin)
+//   getToken        async () => the bearer token, or null to send none
+//   onUnauthorized  async (error) => true to retry a request once after a 401
+//   fetch           fetch() to use instead of the global one
+export class MemoryApiClient {
+  constructor({ baseUrl = '', getToken = null, onUnauthorized = null, fetch = null } = {}) {
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+    this.getToken = getToken;
+    this.onUnauthorized = onUnauthorized;
+    this.fetch = fetch || ((...args) => globalThis.fetch(...args));
+  }
+
+  // Resolves with the response body; rejects with a MemoryApiError carrying
+  // the error envelope's code, requestId and details
+  async request(method, path, { params = {}, query = null, body, auth = true } = {}, retry = true) {
+    const headers = {};
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const token = auth && this.getToken ? await this.getToken() : null;
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const url = this.baseUrl + expandPath(path, params) + queryString(query);
+    const response = await this.fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+    if (response.ok) {
+      return (response.headers.get('Content-Type') || '').includes('application/json') ? response.json() : response.text();
+    }
+
+    const error = await responseError(method, path, response);
+    if (response.status === 401 && auth && retry && this.onUnauthorized && await this.onUnauthorized(error)) {
+      return this.request(method, path, { params, query, body, auth }, false);
+    }
+    throw error;
+  }
+
+  // Follows a Server-Sent Events route, calling onEvent({ id, type, data })
+  // for each event. After an error or a dropped connection it reconnects
+  // with the last event id, so the events missed meanwhile come first; a
+  // MemoryApiError below 500 (other than a 401 that onUnauthorized handles)
+  // ends it. Returns a function that stops it.
+  stream(path, { params = {}, query = null, onEvent, onError = null } = {}) {
+    const url = this.baseUrl + expandPath(path, params) + queryString(query);
+    let lastEventId = null;
+    let delay = 3000;
+    let controller = null;
+    let stopped = false;
+
+    const connect = async () => {
+      const headers = { Accept: 'text/event-stream' };
+      const token = this.getToken ? await this.getToken() : null;
+      if (token) {
+        headers.Authorization = `Bearer ${token}`;
+      }
+      if (lastEventId) {
+        headers['Last-Event-ID'] = lastEventId;
+      }
+
+      controller = new AbortController();
+      const response = await this.fetch(url, { method: 'GET', headers, signal: controller.signal });
+      if (!response.ok) {
+        const error = await responseError('GET', path, response);
+        if (response.status === 401 && this.onUnauthorized && await this.onUnauthorized(error)) {
+          return;
+        }
+        throw error;
+      }
+
+      await readEventStream(response.body, event => {
+        if (event.retry) delay = event.retry;
+        if (event.id !== null) lastEventId = event.id;
+        if (event.data.length > 0 && !stopped) {
+          onEvent({ id: event.id, type: event.type, data: JSON.parse(event.data.join('\n')) });
+        }
+      });
+    };
+
+    (async () => {
+      while (!stopped) {
+        try {
+          await connect();
+        } catch (error) {
+          if (stopped) break;
+          if (onError) onError(error);
+          if (error instanceof MemoryApiError && error.status < 500) break;
+        }
+        if (!stopped) await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    })();
+
+    return () => {
+      stopped = true;
+      if (controller) controller.abort();
+    };
+  }
+
+  // Sends one request answered with Server-Sent Events, calling
+  // onEvent({ id, type, data }) for each event; resolves when the stream
+  // ends. It is never resent, since that would repeat the request; aborting
+  // `signal` closes it.
+  async requestStream(method, path, { params = {}, query = null, body, onEvent, signal = null } = {}, retry = true) {
+    const headers = { Accept: 'text/event-stream' };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+    const token = this.getToken ? await this.getToken() : null;
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+
+    const url = this.baseUrl + expandPath(path, params) + queryString(query);
+    const response = await this.fetch(url, { method, headers, body: body === undefined ? undefined : JSON.stringify(body), signal });
+    if (!response.ok) {
+      const error = await responseError(method, path, response);
+      if (response.status === 401 && retry && this.onUnauthorized && await this.onUnauthorized(error)) {
+        return this.requestStream(method, path, { params, query, body, onEvent, signal }, false);
+      }
+      throw error;
+    }
+
+    await readEventStream(response.body, event => {
+      if (event.data.length > 0) {
+        onEvent({ id: event.id, type: event.type, data: JSON.parse(event.data.join('\n')) });
+      }
+    });
+  }
+
+  /**
+   * Server status, storage backend, embedding model and language model
+   * GET /health
+   */
+  getHealth() {
+    return this.request('GET', '/health', { auth: false });
+  }
+
+  /**
+   * This document
+   * GET /api/openapi.json
+   */
+  getOpenApiDocument() {
+    return this.request('GET', '/api/openapi.json', { auth: false });
+  }
+
+  /**
+   * Create an account and get a session token
+   * POST /api/auth/register
+   * body: username*, password*
+   */
+  register(body) {
+    return this.request('POST', '/api/auth/register', { body, auth: false });
+  }
+
+  /**
+   * Get a session token
+   * POST /api/auth/login
+   * body: username*, password*
+   */
+  login(body) {
+    return this.request('POST', '/api/auth/login', { body, auth: false });
+  }
+
+  /**
+   * Create a passwordless account with an API token
+   * POST /api/auth/device
+   * body: name
+   */
+  registerDevice(body = {}) {
+    return this.request('POST', '/api/auth/device', { body, auth: false });
+  }
+
+  /**
+   * Invalidate every session token of the account
+   * POST /api/auth/logout
+   */
+  logout() {
+    return this.request('POST', '/api/auth/logout');
+  }
+
+  /**
+   * The signed-in account
+   * GET /api/auth/me
+   */
+  getCurrentUser() {
+    return this.request('GET', '/api/auth/me');
+  }
+
+  /**
+   * List API tokens
+   * GET /api/auth/tokens
+   */
+  listApiTokens() {
+    return this.request('GET', '/api/auth/tokens');
+  }
+
+  /**
+   * Create an API token; it is only shown once
+   * POST /api/auth/tokens
+   * body: name
+   */
+  createApiToken(body = {}) {
+    return this.request('POST', '/api/auth/tokens', { body });
+  }
+
+  /**
+   * Revoke an API token
+   * DELETE /api/auth/tokens/{tokenId}
+   */
+  revokeApiToken(tokenId) {
+    return this.request('DELETE', '/api/auth/tokens/{tokenId}', { params: { tokenId } });
+  }
+
+  /**
+   * Your memory, note and mind map changes as they happen
+   * GET /api/events
+   * query: lastEventId, access_token
+   * onEvent({ id, type, data }) for each event; returns stop()
+   */
+  streamEvents(onEvent, { query = {}, onError = null } = {}) {
+    return this.stream('/api/events', { query, onEvent, onError });
+  }
+
+  /**
+   * List your webhooks
+   * GET /api/webhooks
+   */
+  listWebhooks() {
+    return this.request('GET', '/api/webhooks');
+  }
+
+  /**
+   * Register a webhook; its signing secret is only shown now
+   * POST /api/webhooks
+   * body: url*, events, description
+   */
+  createWebhook(body) {
+    return this.request('POST', '/api/webhooks', { body });
+  }
+
+  /**
+   * Deliveries of your webhooks that ran out of attempts, newest first
+   * GET /api/webhooks/dead-letters
+   * query: limit
+   */
+  listDeadLetters(query = {}) {
+    return this.request('GET', '/api/webhooks/dead-letters', { query });
+  }
+
+  /**
+   * One webhook
+   * GET /api/webhooks/{webhookId}
+   */
+  getWebhook(webhookId) {
+    return this.request('GET', '/api/webhooks/{webhookId}', { params: { webhookId } });
+  }
+
+  /**
+   * Change a webhook's URL, events, description or active flag
+   * PUT /api/webhooks/{webhookId}
+   * body: url, events, description, active
+   */
+  updateWebhook(webhookId, body = {}) {
+    return this.request('PUT', '/api/webhooks/{webhookId}', { params: { webhookId }, body });
+  }
+
+  /**
+   * Delete a webhook and its delivery log
+   * DELETE /api/webhooks/{webhookId}
+   */
+  deleteWebhook(webhookId) {
+    return this.request('DELETE', '/api/webhooks/{webhookId}', { params: { webhookId } });
+  }
+
+  /**
+   * Replace the signing secret; the new one is only shown now
+   * POST /api/webhooks/{webhookId}/secret
+   */
+  rotateWebhookSecret(webhookId) {
+    return this.request('POST', '/api/webhooks/{webhookId}/secret', { params: { webhookId } });
+  }
+
+  /**
+   * Send a `ping` event to check the receiver
+   * POST /api/webhooks/{webhookId}/ping
+   */
+  pingWebhook(webhookId) {
+    return this.request('POST', '/api/webhooks/{webhookId}/ping', { params: { webhookId } });
+  }
+
+  /**
+   * A webhook's delivery log, newest first
+   * GET /api/webhooks/{webhookId}/deliveries
+   * query: status, limit
+   */
+  listWebhookDeliveries(webhookId, query = {}) {
+    return this.request('GET', '/api/webhooks/{webhookId}/deliveries', { params: { webhookId }, query });
+  }
+
+  /**
+   * Send a delivery again with a fresh set of attempts
+   * POST /api/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver
+   */
+  redeliverWebhook(webhookId, deliveryId) {
+    return this.request('POST', '/api/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver', { params: { webhookId, deliveryId } });
+  }
+
+  /**
+   * Add a memory; near-duplicates already stored are returned as `duplicates`
+   * POST /api/memory/add
+   * body: content*, metadata
+   */
+  addMemory(body) {
+    return this.request('POST', '/api/memory/add', { body });
+  }
+
+  /**
+   * Search memories and notes
+   * POST /api/memory/search
+   * body: query*, limit, mode, includeNotes, includeArchived
+   */
+  searchMemories(body) {
+    return this.request('POST', '/api/memory/search', { body });
+  }
+
+  /**
+   * List your memories
+   * GET /api/memory/user/{userId}
+   * query: limit, offset, category, tier
+   */
+  getUserMemories(userId, query = {}) {
+    return this.request('GET', '/api/memory/user/{userId}', { params: { userId }, query });
+  }
+
+  /**
+   * Update a memory
+   * PUT /api/memory/{memoryId}
+   * body: content, metadata
+   */
+  updateMemory(memoryId, body = {}) {
+    return this.request('PUT', '/api/memory/{memoryId}', { params: { memoryId }, body });
+  }
+
+  /**
+   * Delete a memory (it goes to the trash)
+   * DELETE /api/memory/{memoryId}
+   */
+  deleteMemory(memoryId) {
+    return this.request('DELETE', '/api/memory/{memoryId}', { params: { memoryId } });
+  }
+
+  /**
+   * Pin or unpin a memory
+   * POST /api/memory/{memoryId}/pin
+   * body: pinned
+   */
+  pinMemory(memoryId, body = {}) {
+    return this.request('POST', '/api/memory/{memoryId}/pin', { params: { memoryId }, body });
+  }
+
+  /**
+   * Move a memory to the archive
+   * POST /api/memory/{memoryId}/archive
+   */
+  archiveMemory(memoryId) {
+    return this.request('POST', '/api/memory/{memoryId}/archive', { params: { memoryId } });
+  }
+
+  /**
+   * Bring a memory back from the archive
+   * POST /api/memory/{memoryId}/restore
+   */
+  restoreMemory(memoryId) {
+    return this.request('POST', '/api/memory/{memoryId}/restore', { params: { memoryId } });
+  }
+
+  /**
+   * Merge memories into one
+   * POST /api/memory/merge
+   * body: memoryIds*, canonicalId
+   */
+  mergeMemories(body) {
+    return this.request('POST', '/api/memory/merge', { body });
+  }
+
+  /**
+   * Find (or merge) your duplicate clusters
+   * POST /api/memory/consolidate
+   * body: dryRun, threshold
+   */
+  consolidateMemories(body = {}) {
+    return this.request('POST', '/api/memory/consolidate', { body });
+  }
+
+  /**
+   * Add several memories
+   * POST /api/memory/batch/add
+   * body: memories*
+   */
+  addMemoriesBatch(body) {
+    return this.request('POST', '/api/memory/batch/add', { body });
+  }
+
+  /**
+   * Memories relevant to a page, selection or recent activity
+   * POST /api/memory/context
+   * body: context*, limit
+   */
+  getContextualMemories(body) {
+    return this.request('POST', '/api/memory/context', { body });
+  }
+
+  /**
+   * Add a note
+   * POST /api/notes/add
+   * body: content*, metadata
+   */
+  addNote(body) {
+    return this.request('POST', '/api/notes/add', { body });
+  }
+
+  /**
+   * List your notes
+   * GET /api/notes/user/{userId}
+   * query: limit, offset
+   */
+  getUserNotes(userId, query = {}) {
+    return this.request('GET', '/api/notes/user/{userId}', { params: { userId }, query });
+  }
+
+  /**
+   * Update a note
+   * PUT /api/notes/{noteId}
+   * body: content, title, url, page_title, metadata
+   */
+  updateNote(noteId, body = {}) {
+    return this.request('PUT', '/api/notes/{noteId}', { params: { noteId }, body });
+  }
+
+  /**
+   * Delete a note (it goes to the trash)
+   * DELETE /api/notes/{noteId}
+   */
+  deleteNote(noteId) {
+    return this.request('DELETE', '/api/notes/{noteId}', { params: { noteId } });
+  }
+
+  /**
+   * List a memory's revisions
+   * GET /api/memory/{memoryId}/revisions
+   */
+  listMemoryRevisions(memoryId) {
+    return this.request('GET', '/api/memory/{memoryId}/revisions', { params: { memoryId } });
+  }
+
+  /**
+   * Diff two revisions of a memory (default: the latest change)
+   * GET /api/memory/{memoryId}/revisions/diff
+   * query: from, to
+   */
+  diffMemoryRevisions(memoryId, query = {}) {
+    return this.request('GET', '/api/memory/{memoryId}/revisions/diff', { params: { memoryId }, query });
+  }
+
+  /**
+   * Revert a memory to an earlier revision
+   * POST /api/memory/{memoryId}/revert
+   * body: revision*
+   */
+  revertMemory(memoryId, body) {
+    return this.request('POST', '/api/memory/{memoryId}/revert', { params: { memoryId }, body });
+  }
+
+  /**
+   * List a note's revisions
+   * GET /api/notes/{noteId}/revisions
+   */
+  listNoteRevisions(noteId) {
+    return this.request('GET', '/api/notes/{noteId}/revisions', { params: { noteId } });
+  }
+
+  /**
+   * Diff two revisions of a note (default: the latest change)
+   * GET /api/notes/{noteId}/revisions/diff
+   * query: from, to
+   */
+  diffNoteRevisions(noteId, query = {}) {
+    return this.request('GET', '/api/notes/{noteId}/revisions/diff', { params: { noteId }, query });
+  }
+
+  /**
+   * Revert a note to an earlier revision
+   * POST /api/notes/{noteId}/revert
+   * body: revision*
+   */
+  revertNote(noteId, body) {
+    return this.request('POST', '/api/notes/{noteId}/revert', { params: { noteId }, body });
+  }
+
+  /**
+   * Deleted memories and notes, most recent first
+   * GET /api/trash/user/{userId}
+   * query: type
+   */
+  getTrash(userId, query = {}) {
+    return this.request('GET', '/api/trash/user/{userId}', { params: { userId }, query });
+  }
+
+  /**
+   * Put a deleted memory or note back
+   * POST /api/trash/{entityType}/{entityId}/restore
+   */
+  restoreFromTrash(entityType, entityId) {
+    return this.request('POST', '/api/trash/{entityType}/{entityId}/restore', { params: { entityType, entityId } });
+  }
+
+  /**
+   * Delete a memory or note and its history for good
+   * DELETE /api/trash/{entityType}/{entityId}
+   */
+  purgeFromTrash(entityType, entityId) {
+    return this.request('DELETE', '/api/trash/{entityType}/{entityId}', { params: { entityType, entityId } });
+  }
+
+  /**
+   * Add a mind map node
+   * POST /api/mindmap/node
+   * body: label*, metadata
+   */
+  addMindmapNode(body) {
+    return this.request('POST', '/api/mindmap/node', { body });
+  }
+
+  /**
+   * Rename, move or restyle a mind map node
+   * PUT /api/mindmap/node/{nodeId}
+   * body: label, x, y, color, size, pinned, metadata
+   */
+  updateMindmapNode(nodeId, body = {}) {
+    return this.request('PUT', '/api/mindmap/node/{nodeId}', { params: { nodeId }, body });
+  }
+
+  /**
+   * Delete a mind map node and its edges
+   * DELETE /api/mindmap/node/{nodeId}
+   */
+  deleteMindmapNode(nodeId) {
+    return this.request('DELETE', '/api/mindmap/node/{nodeId}', { params: { nodeId } });
+  }
+
+  /**
+   * Merge other nodes into this one, moving their edges onto it
+   * POST /api/mindmap/node/{nodeId}/merge
+   * body: nodeIds*
+   */
+  mergeMindmapNodes(nodeId, body) {
+    return this.request('POST', '/api/mindmap/node/{nodeId}/merge', { params: { nodeId }, body });
+  }
+
+  /**
+   * Nodes within a number of hops of a node, in either direction, nearest first
+   * GET /api/mindmap/node/{nodeId}/neighbours
+   * query: hops, type
+   */
+  getMindmapNeighbours(nodeId, query = {}) {
+    return this.request('GET', '/api/mindmap/node/{nodeId}/neighbours', { params: { nodeId }, query });
+  }
+
+  /**
+   * The memories and notes a concept appears in, newest first
+   * GET /api/mindmap/node/{nodeId}/documents
+   * query: limit
+   */
+  getConceptDocuments(nodeId, query = {}) {
+    return this.request('GET', '/api/mindmap/node/{nodeId}/documents', { params: { nodeId }, query });
+  }
+
+  /**
+   * Connect two mind map nodes
+   * POST /api/mindmap/edge
+   * body: sourceNodeId*, targetNodeId*, type, metadata
+   */
+  addMindmapEdge(body) {
+    return this.request('POST', '/api/mindmap/edge', { body });
+  }
+
+  /**
+   * Change a mind map edge's type, label or weight
+   * PUT /api/mindmap/edge/{edgeId}
+   * body: type, label, weight, metadata
+   */
+  updateMindmapEdge(edgeId, body = {}) {
+    return this.request('PUT', '/api/mindmap/edge/{edgeId}', { params: { edgeId }, body });
+  }
+
+  /**
+   * Delete a mind map edge
+   * DELETE /api/mindmap/edge/{edgeId}
+   */
+  deleteMindmapEdge(edgeId) {
+    return this.request('DELETE', '/api/mindmap/edge/{edgeId}', { params: { edgeId } });
+  }
+
+  /**
+   * The shortest chain of prerequisites from one node to another, in learning order
+   * GET /api/mindmap/path
+   * query: from, to
+   */
+  getPrerequisitePath(query = {}) {
+    return this.request('GET', '/api/mindmap/path', { query });
+  }
+
+  /**
+   * Prerequisites that lead back to themselves, one cycle per tangle
+   * GET /api/mindmap/cycles
+   */
+  getPrerequisiteCycles() {
+    return this.request('GET', '/api/mindmap/cycles');
+  }
+
+  /**
+   * Your mind map
+   * GET /api/mindmap/user/{userId}
+   */
+  getUserMindmap(userId) {
+    return this.request('GET', '/api/mindmap/user/{userId}', { params: { userId } });
+  }
+
+  /**
+   * Your mind map of concepts from your memories and notes, with your own nodes and edges merged in
+   * GET /api/mindmap/all
+   */
+  getMindMap() {
+    return this.request('GET', '/api/mindmap/all');
+  }
+
+  /**
+   * Ask the study tutor a one-off question
+   * POST /api/chat/ask
+   * body: query*
+   */
+  handleChatQuery(body) {
+    return this.request('POST', '/api/chat/ask', { body });
+  }
+
+  /**
+   * How well you know each concept, least known first
+   * GET /api/mastery
+   */
+  listConceptMastery() {
+    return this.request('GET', '/api/mastery');
+  }
+
+  /**
+   * Revise a concept's mastery with a quiz answer, nudge outcome, question or self-rating
+   * POST /api/mastery/evidence
+   * body: nodeId, concept, source*, correct, rating
+   */
+  recordMasteryEvidence(body) {
+    return this.request('POST', '/api/mastery/evidence', { body });
+  }
+
+  /**
+   * List your flashcards, newest first
+   * GET /api/flashcards
+   * query: limit, offset
+   */
+  listFlashcards(query = {}) {
+    return this.request('GET', '/api/flashcards', { query });
+  }
+
+  /**
+   * Write a flashcard, optionally about a concept
+   * POST /api/flashcards
+   * body: front*, back*, concept
+   */
+  createFlashcard(body) {
+    return this.request('POST', '/api/flashcards', { body });
+  }
+
+  /**
+   * Draft flashcards from your memories and notes
+   * POST /api/flashcards/generate
+   * body: memoryIds, noteIds
+   */
+  generateFlashcards(body = {}) {
+    return this.request('POST', '/api/flashcards/generate', { body });
+  }
+
+  /**
+   * Cards due for review, most overdue first
+   * GET /api/flashcards/due
+   * query: limit
+   */
+  getDueFlashcards(query = {}) {
+    return this.request('GET', '/api/flashcards/due', { query });
+  }
+
+  /**
+   * Card, review and streak counts
+   * GET /api/flashcards/stats
+   */
+  getFlashcardStats() {
+    return this.request('GET', '/api/flashcards/stats');
+  }
+
+  /**
+   * A flashcard and its reviews, oldest first
+   * GET /api/flashcards/{cardId}
+   */
+  getFlashcard(cardId) {
+    return this.request('GET', '/api/flashcards/{cardId}', { params: { cardId } });
+  }
+
+  /**
+   * Edit a flashcard's front or back
+   * PUT /api/flashcards/{cardId}
+   * body: front, back
+   */
+  updateFlashcard(cardId, body = {}) {
+    return this.request('PUT', '/api/flashcards/{cardId}', { params: { cardId }, body });
+  }
+
+  /**
+   * Delete a flashcard (its reviews still count towards streaks)
+   * DELETE /api/flashcards/{cardId}
+   */
+  deleteFlashcard(cardId) {
+    return this.request('DELETE', '/api/flashcards/{cardId}', { params: { cardId } });
+  }
+
+  /**
+   * Grade a review and schedule the next
+   * POST /api/flashcards/{cardId}/review
+   * body: grade*
+   */
+  reviewFlashcard(cardId, body) {
+    return this.request('POST', '/api/flashcards/{cardId}/review', { params: { cardId }, body });
+  }
+
+  /**
+   * List your chat sessions, most recently active first
+   * GET /api/chat/sessions
+   */
+  listChatSessions() {
+    return this.request('GET', '/api/chat/sessions');
+  }
+
+  /**
+   * Start a chat session
+   * POST /api/chat/sessions
+   * body: title
+   */
+  createChatSession(body = {}) {
+    return this.request('POST', '/api/chat/sessions', { body });
+  }
+
+  /**
+   * A chat session with its messages
+   * GET /api/chat/sessions/{sessionId}
+   */
+  getChatSession(sessionId) {
+    return this.request('GET', '/api/chat/sessions/{sessionId}', { params: { sessionId } });
+  }
+
+  /**
+   * Rename a chat session
+   * PUT /api/chat/sessions/{sessionId}
+   * body: title*
+   */
+  renameChatSession(sessionId, body) {
+    return this.request('PUT', '/api/chat/sessions/{sessionId}', { params: { sessionId }, body });
+  }
+
+  /**
+   * Delete a chat session and its messages
+   * DELETE /api/chat/sessions/{sessionId}
+   */
+  deleteChatSession(sessionId) {
+    return this.request('DELETE', '/api/chat/sessions/{sessionId}', { params: { sessionId } });
+  }
+
+  /**
+   * Copy a session, up to `messageId` if given, into a new one
+   * POST /api/chat/sessions/{sessionId}/fork
+   * body: messageId, title
+   */
+  forkChatSession(sessionId, body = {}) {
+    return this.request('POST', '/api/chat/sessions/{sessionId}/fork', { params: { sessionId }, body });
+  }
+
+  /**
+   * Ask a question in a session
+   * POST /api/chat/sessions/{sessionId}/messages
+   * body: content*, context
+   */
+  sendChatMessage(sessionId, body) {
+    return this.request('POST', '/api/chat/sessions/{sessionId}/messages', { params: { sessionId }, body });
+  }
+
+  /**
+   * Ask a question in a session, with the answer sent as it is written
+   * POST /api/chat/sessions/{sessionId}/messages/stream
+   * body: content*, context
+   * onEvent({ id, type, data }) for each event; aborting `signal` closes the stream
+   */
+  streamChatMessage(sessionId, body, onEvent, { signal = null } = {}) {
+    return this.requestStream('POST', '/api/chat/sessions/{sessionId}/messages/stream', { params: { sessionId }, body, onEvent, signal });
+  }
+
+  /**
+   * Dashboard counters
+   * GET /api/metrics
+   */
+  getMetrics() {
+    return this.request('GET', '/api/metrics');
+  }
+
+  /**
+   * Memory counts by category
+   * GET /api/stats/user/{userId}
+   */
+  getUserStats(userId) {
+    return this.request('GET', '/api/stats/user/{userId}', { params: { userId } });
+  }
+
+  /**
+   * Stale embeddings and the re-embedding job
+   * GET /api/admin/reembed
+   */
+  getReembedStatus() {
+    return this.request('GET', '/api/admin/reembed');
+  }
+
+  /**
+   * Start or resume re-embedding
+   * POST /api/admin/reembed
+   * body: restart
+   */
+  startReembed(body = {}) {
+    return this.request('POST', '/api/admin/reembed', { body });
+  }
+
+  /**
+   * Pause re-embedding after the current memory
+   * POST /api/admin/reembed/pause
+   */
+  pauseReembed() {
+    return this.request('POST', '/api/admin/reembed/pause');
+  }
+
+  /**
+   * Last consolidation report and the schedule
+   * GET /api/admin/consolidate
+   */
+  getConsolidationReport() {
+    return this.request('GET', '/api/admin/consolidate');
+  }
+
+  /**
+   * Consolidate every user now
+   * POST /api/admin/consolidate
+   * body: dryRun, threshold
+   */
+  runConsolidation(body = {}) {
+    return this.request('POST', '/api/admin/consolidate', { body });
+  }
+
+  /**
+   * Archive low-importance memories now
+   * POST /api/admin/archive
+   * body: userId, dryRun
+   */
+  runArchival(body = {}) {
+    return this.request('POST', '/api/admin/archive', { body });
+  }
+
+  /**
+   * Schema version, migrations, and what was upgraded or quarantined
+   * GET /api/admin/schema
+   */
+  getSchemaReport() {
+    return this.request('GET', '/api/admin/schema');
+  }
+
+  /**
+   * List backups and the retention policy
+   * GET /api/backups
+   */
+  listBackups() {
+    return this.request('GET', '/api/backups');
+  }
+
+  /**
+   * Back up the whole store now
+   * POST /api/backups
+   */
+  createBackup() {
+    return this.request('POST', '/api/backups');
+  }
+
+  /**
+   * Summary and validation of one backup
+   * GET /api/backups/{backupId}
+   */
+  getBackup(backupId) {
+    return this.request('GET', '/api/backups/{backupId}', { params: { backupId } });
+  }
+
+  /**
+   * Delete a backup
+   * DELETE /api/backups/{backupId}
+   */
+  deleteBackup(backupId) {
+    return this.request('DELETE', '/api/backups/{backupId}', { params: { backupId } });
+  }
+
+  /**
+   * The backup file
+   * GET /api/backups/{backupId}/download
+   */
+  downloadBackup(backupId) {
+    return this.request('GET', '/api/backups/{backupId}/download', { params: { backupId } });
+  }
+
+  /**
+   * Restore the store, or one user, from a backup
+   * POST /api/backups/{backupId}/restore
+   * body: userId
+   */
+  restoreBackup(backupId, body = {}) {
+    return this.request('POST', '/api/backups/{backupId}/restore', { params: { backupId }, body });
+  }
+}
+
+function expandPath(path, params) {
+  return path.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+}
+
+function queryString(query) {
+  const entries = Object.entries(query || {}).filter(([, value]) => value !== undefined && value !== null);
+  return entries.length > 0 ? `?${new URLSearchParams(entries.map(([name, value]) => [name, String(value)]))}` : '';
+}
+
+async function responseError(method, path, response) {
+  const body = (response.headers.get('Content-Type') || '').includes('application/json') ? await response.json() : null;
+  const error = new MemoryApiError(response.status, body, `${method} ${path} failed: ${response.status}`);
+  error.requestId = error.requestId || response.headers.get('X-Request-Id');
+  return error;
+}
+
+// Calls onMessage({ id, type, data: [lines], retry }) for each message of a
+// text/event-stream body until it ends
+async function readEventStream(body, onMessage) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    buffer += decoder.decode(value, { stream: true });
+    const messages = buffer.split(/\r?\n\r?\n/);
+    buffer = messages.pop();
+    messages.forEach(message => onMessage(parseEventMessage(message)));
+  }
+}
+
+function parseEventMessage(message) {
+  const event = { id: null, type: 'message', data: [], retry: null };
+  for (const line of message.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'id') event.id = value;
+    else if (field === 'event') event.type = value;
+    else if (field === 'data') event.data.push(value);
+    else if (field === 'retry' && /^\d+$/.test(value)) event.retry = Number(value);
+  }
+  return event;
+}